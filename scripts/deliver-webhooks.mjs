@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Deliver Webhooks
+ *
+ * Attempts every webhook delivery that is due: retries whose backoff has
+ * passed, and new deliveries whose first (background) attempt never ran.
+ * Run it every minute from cron:
+ *
+ *   * * * * * cd /path/to/actionchat && yarn deliver-webhooks
+ *
+ * Usage:
+ *   node scripts/deliver-webhooks.mjs
+ *   node scripts/deliver-webhooks.mjs --limit=500
+ *   node scripts/deliver-webhooks.mjs --org=<uuid>
+ *
+ * Requirements:
+ *   - NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE in .env
+ *   - CREDENTIALS_MASTER_KEY in .env (to decrypt endpoint secrets)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from 'dotenv';
+import { setKeyStore } from '../src/lib/secrets/keyring.js';
+import { setWebhookStore, processDueDeliveries } from '../src/lib/webhooks/dispatcher.js';
+
+config();
+
+const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE || process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+  console.error('Missing NEXT_PUBLIC_SUPABASE_URL or SUPABASE_SERVICE_ROLE');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+setKeyStore(supabase);
+setWebhookStore(supabase);
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const limit = parseInt(args.find(a => a.startsWith('--limit='))?.split('=')[1], 10) || 100;
+const orgFilter = args.find(a => a.startsWith('--org='))?.split('=')[1];
+
+async function main() {
+  try {
+    const counts = await processDueDeliveries({ limit, orgId: orgFilter });
+    console.log(`Processed ${counts.processed} deliveries: ${counts.succeeded} succeeded, ${counts.failed} failed`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Failed to process deliveries:', err.message);
+    process.exit(1);
+  }
+}
+
+main();
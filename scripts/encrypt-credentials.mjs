@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Encrypt Credentials
+ *
+ * One-off migration after sql/migrations/006-encrypted-credentials.sql:
+ * encrypts plaintext user credentials, org LLM keys and source secrets with
+ * each org's data key. Safe to re-run; encrypted values are skipped.
+ *
+ * Usage:
+ *   node scripts/encrypt-credentials.mjs
+ *   node scripts/encrypt-credentials.mjs --org=<uuid>   # One org only
+ *   node scripts/encrypt-credentials.mjs --dry-run      # Count, don't write
+ *
+ * Requirements:
+ *   - NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE in .env
+ *   - CREDENTIALS_MASTER_KEY in .env
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from 'dotenv';
+import { setKeyStore } from '../src/lib/secrets/keyring.js';
+import { encryptOrgSecrets } from '../src/lib/secrets/rotation.js';
+
+config();
+
+const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE || process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+  console.error('Missing NEXT_PUBLIC_SUPABASE_URL or SUPABASE_SERVICE_ROLE');
+  process.exit(1);
+}
+
+if (!process.env.CREDENTIALS_MASTER_KEY) {
+  console.error('Missing CREDENTIALS_MASTER_KEY (generate one with: openssl rand -base64 32)');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+setKeyStore(supabase);
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const orgFilter = args.find(a => a.startsWith('--org='))?.split('=')[1];
+const dryRun = args.includes('--dry-run');
+
+async function main() {
+  let query = supabase.from('org').select('id, name');
+  if (orgFilter) query = query.eq('id', orgFilter);
+
+  const { data: orgs, error } = await query;
+  if (error) {
+    console.error('Failed to load orgs:', error.message);
+    process.exit(1);
+  }
+
+  console.log(`Encrypting secrets for ${orgs.length} org(s)${dryRun ? ' (dry run)' : ''}`);
+
+  const totals = { credentials: 0, settings: 0, sources: 0, webhooks: 0 };
+  let failed = 0;
+
+  for (const org of orgs) {
+    try {
+      const counts = await encryptOrgSecrets(supabase, org.id, { dryRun });
+      for (const k of Object.keys(totals)) totals[k] += counts[k];
+      console.log(`  ✓ ${org.name}: ${counts.credentials} credentials, ${counts.sources} sources, ${counts.webhooks} webhooks, ${counts.queued} queued calls, ${counts.undo} undos, ${counts.settings ? 'settings' : 'no settings'}`);
+    } catch (err) {
+      failed++;
+      console.error(`  ✗ ${org.name}: ${err.message}`);
+    }
+  }
+
+  console.log(`\nDone: ${totals.credentials} credentials, ${totals.sources} sources, ${totals.webhooks} webhooks, ${totals.settings} org settings${failed ? `, ${failed} org(s) failed` : ''}`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Purge Idempotency Keys
+ *
+ * Deletes idempotency keys whose replay window has passed. Calls made after
+ * that execute again anyway, so the rows are only dead weight. Run it daily
+ * from cron:
+ *
+ *   0 3 * * * cd /path/to/actionchat && yarn purge-idempotency-keys
+ *
+ * Usage:
+ *   node scripts/purge-idempotency-keys.mjs
+ *
+ * Requirements:
+ *   - NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE in .env
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from 'dotenv';
+import { setIdempotencyStore, purgeExpiredIdempotencyKeys } from '../src/lib/tools/idempotency.js';
+
+config();
+
+const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE || process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+  console.error('Missing NEXT_PUBLIC_SUPABASE_URL or SUPABASE_SERVICE_ROLE');
+  process.exit(1);
+}
+
+setIdempotencyStore(createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY));
+
+async function main() {
+  try {
+    const deleted = await purgeExpiredIdempotencyKeys();
+    console.log(`Deleted ${deleted} expired idempotency keys`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Failed to purge idempotency keys:', err.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Rotate Encryption Keys
+ *
+ * Master key rotation (default):
+ *   1. Move the old key to CREDENTIALS_MASTER_KEY_PREVIOUS, set the new one as
+ *      CREDENTIALS_MASTER_KEY and deploy
+ *   2. Run this script to re-wrap every org's data keys under the new master key
+ *   3. Remove CREDENTIALS_MASTER_KEY_PREVIOUS and deploy
+ *
+ * Data key rotation (--data-keys): give each org a new data key and
+ * re-encrypt all of its secrets with it. Old keys are retired, not deleted:
+ * running servers cache the active key for up to 5 minutes and may still
+ * write with the old one. A few minutes later, run --purge-retired: it moves
+ * any stragglers to the active key, then deletes the retired keys.
+ *
+ * Usage:
+ *   node scripts/rotate-keys.mjs
+ *   node scripts/rotate-keys.mjs --data-keys
+ *   node scripts/rotate-keys.mjs --data-keys --org=<uuid>
+ *   node scripts/rotate-keys.mjs --purge-retired
+ *
+ * Requirements:
+ *   - NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE in .env
+ *   - CREDENTIALS_MASTER_KEY (and CREDENTIALS_MASTER_KEY_PREVIOUS while rotating) in .env
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from 'dotenv';
+import { setKeyStore, createDataKey } from '../src/lib/secrets/keyring.js';
+import { encryptOrgSecrets, rewrapDataKeys, purgeRetiredDataKeys } from '../src/lib/secrets/rotation.js';
+
+config();
+
+const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE || process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+  console.error('Missing NEXT_PUBLIC_SUPABASE_URL or SUPABASE_SERVICE_ROLE');
+  process.exit(1);
+}
+
+if (!process.env.CREDENTIALS_MASTER_KEY) {
+  console.error('Missing CREDENTIALS_MASTER_KEY');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+setKeyStore(supabase);
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const orgFilter = args.find(a => a.startsWith('--org='))?.split('=')[1];
+const rotateDataKeys = args.includes('--data-keys');
+const purgeRetired = args.includes('--purge-retired');
+
+async function main() {
+  // Always bring wrapped keys onto the current master key first
+  const rewrapped = await rewrapDataKeys(supabase, { orgId: orgFilter });
+  console.log(`Re-wrapped ${rewrapped} data key(s) under the current master key`);
+
+  if (rotateDataKeys || purgeRetired) {
+    let query = supabase.from('org').select('id, name');
+    if (orgFilter) query = query.eq('id', orgFilter);
+    const { data: orgs, error } = await query;
+    if (error) throw error;
+
+    let failed = 0;
+    for (const org of orgs) {
+      try {
+        if (rotateDataKeys) await createDataKey(org.id);
+        const counts = await encryptOrgSecrets(supabase, org.id);
+        console.log(`  ✓ ${org.name}: ${rotateDataKeys ? 'new data key, ' : ''}re-encrypted ${counts.credentials} credentials, ${counts.sources} sources, ${counts.webhooks} webhooks, ${counts.queued} queued calls, ${counts.undo} undos, ${counts.settings ? 'settings' : 'no settings'}`);
+      } catch (err) {
+        failed++;
+        console.error(`  ✗ ${org.name}: ${err.message}`);
+      }
+    }
+
+    if (failed) {
+      console.error(`\n${failed} org(s) failed; retired keys kept. Re-run to finish.`);
+      process.exit(1);
+    }
+  }
+
+  if (purgeRetired) {
+    const { purged, kept } = await purgeRetiredDataKeys(supabase, { orgId: orgFilter });
+    console.log(`Deleted ${purged} retired data key(s)`);
+    if (kept.length) {
+      console.error(`Kept ${kept.length} retired data key(s) still in use: ${kept.join(', ')}. Re-run to finish.`);
+      process.exit(1);
+    }
+  }
+
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('Rotation failed:', err.message);
+  process.exit(1);
+});
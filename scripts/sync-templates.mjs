@@ -17,6 +17,8 @@
 import { createClient } from '@supabase/supabase-js';
 import { config } from 'dotenv';
 import { parseOpenApiSpec } from '../src/lib/tools/openapi-parser.js';
+import { loadSpecDocument } from '../src/lib/tools/spec-loader.js';
+import { inverseForTool } from '../src/lib/tools/undo.js';
 
 // Load env vars BEFORE importing ai.js (which reads env at module load)
 config();
@@ -72,14 +74,12 @@ async function syncTemplate(template) {
       console.error(`  ✗ Failed to fetch: ${res.status} ${res.statusText}`);
       return { error: `fetch_failed: ${res.status}` };
     }
-    const text = await res.text();
-    // Try to parse as JSON, fall back to assuming it's already JSON
+    // JSON or YAML
     try {
-      specContent = JSON.parse(text);
-    } catch {
-      // Might be YAML - for now, skip YAML specs
-      console.error('  ✗ Spec is not JSON (YAML not supported yet)');
-      return { error: 'yaml_not_supported' };
+      specContent = loadSpecDocument(await res.text());
+    } catch (err) {
+      console.error(`  ✗ ${err.message}`);
+      return { error: 'invalid_spec' };
     }
   } catch (err) {
     console.error(`  ✗ Fetch error: ${err.message}`);
@@ -118,6 +118,8 @@ async function syncTemplate(template) {
     path: tool.path,
     parameters: tool.parameters || {},
     request_body: tool.request_body || null,
+    servers: tool.servers || [],
+    inverse: inverseForTool(tool, template.inverses),
     risk_level: tool.risk_level,
     requires_confirmation: tool.requires_confirmation,
     tags: tool.tags || [],
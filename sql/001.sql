@@ -22,7 +22,7 @@ CREATE TABLE org (
   name TEXT NOT NULL,
   allowed_domain TEXT,                    -- email domain for auto-join (e.g. "acme.com")
   is_onboarded BOOLEAN NOT NULL DEFAULT false,
-  settings JSONB NOT NULL DEFAULT '{}',   -- LLM API keys, plan config, feature flags
+  settings JSONB NOT NULL DEFAULT '{}',   -- LLM API keys (encrypted, see org_data_keys), redaction_policy, rate_limits, usage_budget, plan config, feature flags
   created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
 );
@@ -98,6 +98,9 @@ CREATE TABLE source_templates (
   -- MCP behavior hints (applied at runtime for ALL users of this template)
   mcp_hints JSONB DEFAULT '{}',
 
+  -- Inverse operations by operation_id, copied to template_tools.inverse on sync
+  inverses JSONB NOT NULL DEFAULT '{}',
+
   -- Metadata
   is_featured BOOLEAN DEFAULT false,
   is_synced BOOLEAN DEFAULT false,    -- true = template_tools populated (MCP: always true, OpenAPI: after sync)
@@ -124,8 +127,10 @@ CREATE TABLE template_tools (
   path TEXT NOT NULL,                     -- e.g. "/v1/refunds" (for MCP: tool name)
   parameters JSONB NOT NULL DEFAULT '{}', -- JSON Schema for query/path params
   request_body JSONB,                     -- JSON Schema for request body
+  servers JSONB NOT NULL DEFAULT '[]',    -- operation-level servers (override the source's)
   -- MCP-specific fields
   mcp_tool_name TEXT,                     -- MCP tool identifier
+  inverse JSONB,                          -- undo: { tool, args, restore?, snapshot? } (see lib/tools/undo.js)
   -- Risk and confirmation
   risk_level TEXT NOT NULL DEFAULT 'safe'
     CHECK (risk_level IN ('safe', 'moderate', 'dangerous')),
@@ -160,15 +165,26 @@ CREATE TABLE api_sources (
   spec_content JSONB,                     -- raw OpenAPI spec JSON
   spec_url TEXT,                          -- remote URL to fetch OpenAPI spec from
   spec_hash TEXT,                         -- SHA-256 of spec_content for change detection
-  base_url TEXT,                          -- e.g. "https://api.stripe.com/v1"
+  base_url TEXT,                          -- e.g. "https://api.stripe.com/v1" or "https://{region}.api.example.com"
+  servers JSONB NOT NULL DEFAULT '[]',    -- all declared servers: [{ url, description, variables }]
+  server_variables JSONB NOT NULL DEFAULT '{}', -- admin-chosen values for base_url {variables}
   -- MCP-specific fields
   mcp_server_uri TEXT,                    -- MCP server command or URL
   mcp_transport TEXT DEFAULT 'stdio',     -- 'stdio' or 'http'
   mcp_env JSONB DEFAULT '{}',             -- environment variables for MCP server
   -- Auth configuration
   auth_type TEXT NOT NULL DEFAULT 'passthrough'
-    CHECK (auth_type IN ('bearer', 'api_key', 'basic', 'passthrough', 'none', 'header')),
-  auth_config JSONB NOT NULL DEFAULT '{}', -- target API credentials (stripped for non-admins in API layer)
+    CHECK (auth_type IN ('bearer', 'api_key', 'basic', 'passthrough', 'none', 'header', 'oauth2')),
+  auth_config JSONB NOT NULL DEFAULT '{}', -- target API credentials (stripped for non-admins in API layer, secret fields encrypted); oauth2: authorization_url, token_url, client_id, client_secret, scopes
+  credential_mode TEXT NOT NULL DEFAULT 'user'
+    CHECK (credential_mode IN ('user', 'shared', 'user_override')), -- whose credential tool calls use
+  shared_credentials JSONB NOT NULL DEFAULT '{}', -- org-wide service credential (encrypted envelope), set by admins
+  request_policy JSONB NOT NULL DEFAULT '{}', -- timeout/retry/circuit breaker overrides (see src/lib/tools/request-policy.js)
+  idempotency_header TEXT,                -- header carrying the idempotency key on write calls (when no vendor adapter sets one)
+  redaction_policy JSONB,                 -- response masking for people and the model, on top of org.settings.redaction_policy (see src/lib/tools/redaction.js)
+  guardrails JSONB NOT NULL DEFAULT '{}', -- argument rules per tool id: block or require confirmation (see src/lib/tools/guardrails.js)
+  approval_policy JSONB NOT NULL DEFAULT '{}', -- per tool id: { role?, access_level? } who must approve its calls (see src/lib/tools/approval-policy.js)
+  rate_limits JSONB NOT NULL DEFAULT '{}', -- calls_per_hour, tools: { [tool id]: calls_per_hour } (see src/lib/limits/rate-limits.js)
   is_active BOOLEAN NOT NULL DEFAULT true,
   last_synced_at TIMESTAMPTZ,             -- when spec was last re-parsed
   created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
@@ -187,7 +203,9 @@ CREATE TABLE user_api_credentials (
   user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
   source_id UUID NOT NULL REFERENCES api_sources(id) ON DELETE CASCADE,
   label TEXT NOT NULL DEFAULT 'Default',    -- user-defined label, e.g. "Production", "Test", "Staging"
-  credentials JSONB NOT NULL DEFAULT '{}',  -- { token: "xxx" } or { api_key: "xxx" } or { username, password }
+  credentials JSONB NOT NULL DEFAULT '{}',  -- encrypted envelope of { token } or { api_key } or { username, password } or { access_token, refresh_token, expires_at }
+  server_url TEXT,                          -- environment for this credential (one of the source's servers)
+  server_variables JSONB NOT NULL DEFAULT '{}', -- e.g. { region: "eu" }
   is_active BOOLEAN NOT NULL DEFAULT true,  -- which credential to use (only one active per user+source)
   created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
@@ -213,8 +231,10 @@ CREATE TABLE tools (
   path TEXT NOT NULL,                     -- e.g. "/v1/refunds" (for MCP: tool name)
   parameters JSONB NOT NULL DEFAULT '{}', -- JSON Schema for query/path params
   request_body JSONB,                     -- JSON Schema for request body
+  servers JSONB NOT NULL DEFAULT '[]',    -- operation-level servers (override the source's)
   -- MCP-specific fields
   mcp_tool_name TEXT,                     -- MCP tool identifier
+  inverse JSONB,                          -- undo: { tool, args, restore?, snapshot? } (see lib/tools/undo.js)
   -- Risk and confirmation
   risk_level TEXT NOT NULL DEFAULT 'safe'
     CHECK (risk_level IN ('safe', 'moderate', 'dangerous')),
@@ -251,7 +271,7 @@ CREATE TABLE agents (
   model_name TEXT NOT NULL DEFAULT 'gpt-4o',
   temperature NUMERIC(3,2) NOT NULL DEFAULT 0.1 CHECK (temperature >= 0 AND temperature <= 2),
   is_active BOOLEAN NOT NULL DEFAULT true,
-  settings JSONB NOT NULL DEFAULT '{}',   -- max_tokens, top_p, tool_choice, etc.
+  settings JSONB NOT NULL DEFAULT '{}',   -- max_tokens, top_p, tool_choice, servers (per-source environment), dry_run, rate_limits, etc.
   created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
 );
@@ -308,6 +328,15 @@ CREATE TABLE routines (
   -- Tool chain: ordered list of tool IDs that make up this routine
   tool_chain UUID[] NOT NULL DEFAULT '{}',
   tool_chain_names TEXT[] NOT NULL DEFAULT '{}',  -- human-readable names for display
+  -- Deterministic mode: run the compiled step graph on the server instead of the LLM
+  mode TEXT NOT NULL DEFAULT 'llm' CHECK (mode IN ('llm', 'deterministic')),
+  steps JSONB,                              -- compiled steps, see src/lib/routines/steps.js
+  -- Schedule: run on a cron schedule as the creator or the service identity
+  schedule JSONB,                           -- see src/lib/schedules/schedule.js
+  next_run_at TIMESTAMPTZ,                  -- next due time; NULL without an enabled schedule
+  -- Versioning: the published routine_versions row; prompt through steps and the
+  -- counters below are that version's (edits publish a new one, rollback an old one)
+  version INTEGER NOT NULL DEFAULT 1,
   -- Confidence tracking: Bayesian scoring = (success+1)/(total+2)
   success_count INTEGER NOT NULL DEFAULT 0,
   failure_count INTEGER NOT NULL DEFAULT 0,
@@ -320,6 +349,7 @@ CREATE TRIGGER trg_routines BEFORE UPDATE ON routines FOR EACH ROW EXECUTE FUNCT
 CREATE INDEX idx_routines_org ON routines(org_id);
 CREATE INDEX idx_routines_user ON routines(created_by);
 CREATE INDEX idx_routines_source_chat ON routines(source_chat_id);
+CREATE INDEX idx_routines_next_run ON routines(next_run_at) WHERE next_run_at IS NOT NULL;
 CREATE INDEX idx_routines_embedding ON routines USING hnsw (embedding_1536 extensions.vector_cosine_ops);
 COMMENT ON TABLE routines IS 'Recorded multi-step workflows. LLM extracts pattern from chat history, identifies variables.';
 
@@ -339,18 +369,25 @@ LANGUAGE sql STABLE AS $$
   LIMIT p_limit;
 $$;
 
--- Atomically increment routine feedback counters (avoids race conditions)
+-- Atomically increment routine feedback counters (avoids race conditions). The
+-- version that ran (default: the published one) gets the count; the routine's own
+-- counters only while that version is published
 CREATE OR REPLACE FUNCTION increment_routine_feedback(
   p_routine_id UUID,
-  p_is_success BOOLEAN
+  p_is_success BOOLEAN,
+  p_version INTEGER DEFAULT NULL
 )
 RETURNS void
 LANGUAGE plpgsql AS $$
+DECLARE
+  v_version INTEGER := COALESCE(p_version, (SELECT version FROM routines WHERE id = p_routine_id));
 BEGIN
   IF p_is_success THEN
-    UPDATE routines SET success_count = success_count + 1 WHERE id = p_routine_id;
+    UPDATE routines SET success_count = success_count + 1 WHERE id = p_routine_id AND version = v_version;
+    UPDATE routine_versions SET success_count = success_count + 1 WHERE routine_id = p_routine_id AND version = v_version;
   ELSE
-    UPDATE routines SET failure_count = failure_count + 1 WHERE id = p_routine_id;
+    UPDATE routines SET failure_count = failure_count + 1 WHERE id = p_routine_id AND version = v_version;
+    UPDATE routine_versions SET failure_count = failure_count + 1 WHERE routine_id = p_routine_id AND version = v_version;
   END IF;
 END;
 $$;
@@ -366,6 +403,7 @@ CREATE TABLE chats (
   user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
   title TEXT,
   source_ids UUID[] NOT NULL DEFAULT '{}',  -- snapshot of which API sources were active
+  dry_run BOOLEAN NOT NULL DEFAULT false,   -- simulation mode: write tool calls are built but not sent
   is_archived BOOLEAN NOT NULL DEFAULT false,
   created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
@@ -386,7 +424,7 @@ CREATE TABLE messages (
   role TEXT NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
   content TEXT,
   tool_calls JSONB,                       -- [{tool_id, name, arguments, result}]
-  metadata JSONB NOT NULL DEFAULT '{}',   -- token counts, latency, model used
+  metadata JSONB NOT NULL DEFAULT '{}',   -- usage (token counts), cost_usd, model, provider
   created_at TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 CREATE INDEX idx_messages_chat ON messages(chat_id, created_at);
@@ -669,7 +707,7 @@ END; $$;
 CREATE OR REPLACE FUNCTION get_agent_tools(agent_uuid UUID)
 RETURNS TABLE(
   tool_id UUID, tool_name TEXT, description TEXT,
-  method TEXT, path TEXT, parameters JSONB, request_body JSONB,
+  method TEXT, path TEXT, parameters JSONB, request_body JSONB, servers JSONB,
   risk_level TEXT, requires_confirmation BOOLEAN,
   source_name TEXT, base_url TEXT, permission TEXT
 )
@@ -677,7 +715,7 @@ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public AS $$
 BEGIN
   RETURN QUERY
   SELECT t.id, t.name, t.description,
-         t.method, t.path, t.parameters, t.request_body,
+         t.method, t.path, t.parameters, t.request_body, t.servers,
          t.risk_level, t.requires_confirmation,
          s.name, s.base_url, ags.permission
   FROM tools t
@@ -840,3 +878,358 @@ CREATE POLICY uo_admin ON user_onboarding FOR SELECT USING (
   org_id = ANY(get_user_admin_org_ids()));
 
 GRANT ALL ON user_onboarding TO authenticated;
+
+-- ============================================================================
+-- 17. ORG_DATA_KEYS — per-org data keys for encrypting stored secrets
+-- ============================================================================
+-- Each org's credentials, LLM keys and source secrets are encrypted with its
+-- active data key; data keys are wrapped with CREDENTIALS_MASTER_KEY (env).
+-- Service role only: no policies, no grants to authenticated.
+
+CREATE TABLE org_data_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  wrapped_key TEXT NOT NULL,           -- AES-256-GCM, "v1.<iv>.<tag>.<ct>", org_id as AAD
+  master_key_id TEXT NOT NULL,         -- sha256 prefix of the master key that wrapped it
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  retired_at TIMESTAMPTZ               -- set when rotated; kept until nothing references it
+);
+
+CREATE UNIQUE INDEX idx_org_data_keys_active ON org_data_keys(org_id) WHERE is_active;
+CREATE INDEX idx_org_data_keys_org ON org_data_keys(org_id);
+
+ALTER TABLE org_data_keys ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- 18. ACTION_LOG — audit trail of every tool execution
+-- ============================================================================
+-- One row per tool call from chat, /api/tools/execute, /api/tools/paginate,
+-- undo, routine runs, schedules and the embed widget.
+-- Written with the service role only: users read their own rows, admins read
+-- the org's rows. No deletes.
+
+CREATE TABLE action_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,      -- NULL for direct executions
+  chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+  source_id UUID REFERENCES api_sources(id) ON DELETE SET NULL,
+  tool_id UUID,                          -- tools.id or template_tools.id
+  tool_name TEXT NOT NULL,
+  tool_call_id TEXT UNIQUE,              -- AI SDK tool call id (chat only)
+  origin TEXT NOT NULL DEFAULT 'chat' CHECK (origin IN ('chat', 'execute', 'paginate', 'undo', 'routine', 'schedule', 'embed')),
+  method TEXT,
+  url TEXT,                              -- sensitive query params masked
+  request_body JSONB NOT NULL DEFAULT '{}',  -- tool arguments, sensitive keys masked
+  status TEXT NOT NULL DEFAULT 'executing'
+    CHECK (status IN ('pending_confirmation', 'confirmed', 'rejected', 'executing', 'completed', 'failed', 'simulated')),
+  response_status INT,
+  error_message TEXT,
+  duration_ms INT,
+  approval TEXT NOT NULL DEFAULT 'not_required'
+    CHECK (approval IN ('not_required', 'pending', 'approved', 'rejected')),
+  approved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMPTZ,
+  approval_route JSONB,                  -- queued for someone else's approval: { role?, access_level? } (see src/lib/audit/approval-queue.js)
+  queued_args JSONB,                     -- unmasked arguments of a queued call, encrypted with the org data key; dropped once decided
+  credential_identity JSONB,             -- { type: 'user'|'shared'|'none', ... } (never the secret)
+  undo JSONB,                            -- inverse call shown to people: { tool_id, tool_name, method, path, args (masked), is_template_tool }
+  undo_args JSONB,                       -- arguments the undo sends, encrypted with the org data key
+  undo_of UUID REFERENCES action_log(id) ON DELETE SET NULL,  -- on undo rows: the action undone
+  undone_at TIMESTAMPTZ,                 -- set when this action was undone
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_action_log_org ON action_log(org_id, created_at DESC);
+CREATE INDEX idx_action_log_org_status ON action_log(org_id, status, created_at DESC);
+CREATE INDEX idx_action_log_user ON action_log(user_id, created_at DESC);
+CREATE INDEX idx_action_log_agent ON action_log(agent_id, created_at DESC);
+CREATE INDEX idx_action_log_undo_of ON action_log(undo_of) WHERE undo_of IS NOT NULL;
+CREATE INDEX idx_action_log_queue ON action_log(org_id, created_at) WHERE status = 'pending_confirmation' AND approval_route IS NOT NULL;
+COMMENT ON TABLE action_log IS 'Audit trail of tool executions: who, which agent/source, redacted request, status, duration, approval outcome.';
+
+ALTER TABLE action_log ENABLE ROW LEVEL SECURITY;
+
+-- Users read their own calls, admins all (audit). Rows are written by the
+-- service role only: queued calls carry the arguments an approver's decision
+-- runs, and undos the arguments they send
+CREATE POLICY action_log_own_read ON action_log FOR SELECT USING (user_id = auth.uid());
+CREATE POLICY action_log_audit ON action_log FOR SELECT USING (
+  org_id = ANY(get_user_admin_org_ids()));
+
+GRANT SELECT ON action_log TO authenticated;
+
+-- ============================================================================
+-- 19. WEBHOOKS — outbound event notifications
+-- ============================================================================
+-- Admins register endpoints subscribed to events; every emitted event gets a
+-- delivery row per endpoint, retried with backoff by `yarn deliver-webhooks`.
+-- Deliveries are written by the service role (events fire from member
+-- sessions); admins read them in Settings → Webhooks.
+
+CREATE TABLE webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  description TEXT,
+  secret JSONB NOT NULL,                 -- signing secret, encrypted with the org data key
+  secret_preview TEXT NOT NULL,          -- "whsec_AbCd…" for display
+  events TEXT[] NOT NULL DEFAULT '{}',   -- action.completed, action.failed, action.rejected, routine.failed, source.sync_failed
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE TRIGGER trg_webhook_endpoints BEFORE UPDATE ON webhook_endpoints FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE INDEX idx_webhook_endpoints_org ON webhook_endpoints(org_id) WHERE is_active;
+COMMENT ON TABLE webhook_endpoints IS 'Org webhook endpoints: URL, event filter, encrypted HMAC signing secret.';
+
+CREATE TABLE webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  event_id UUID NOT NULL,                -- payload id, shared by the deliveries of one event
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'retrying', 'succeeded', 'failed')),
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ,           -- NULL once succeeded or out of attempts
+  response_status INT,
+  response_body TEXT,                    -- first 1000 chars of the last response
+  error_message TEXT,
+  duration_ms INT,
+  last_attempt_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at)
+  WHERE status IN ('pending', 'retrying');
+CREATE INDEX idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX idx_webhook_deliveries_org ON webhook_deliveries(org_id, created_at DESC);
+COMMENT ON TABLE webhook_deliveries IS 'Webhook delivery log: payload, attempts, last response, retry schedule.';
+
+ALTER TABLE webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Endpoints: admin only. Deliveries: admins read; the service role writes
+CREATE POLICY webhook_endpoints_admin ON webhook_endpoints FOR ALL USING (
+  org_id = ANY(get_user_admin_org_ids()));
+CREATE POLICY webhook_deliveries_admin_read ON webhook_deliveries FOR SELECT USING (
+  org_id = ANY(get_user_admin_org_ids()));
+
+GRANT ALL ON webhook_endpoints TO authenticated;
+GRANT SELECT ON webhook_deliveries TO authenticated;
+
+-- ============================================================================
+-- 20. IDEMPOTENCY_KEYS — replay protection for write tool calls
+-- ============================================================================
+
+CREATE TABLE idempotency_keys (
+  key TEXT PRIMARY KEY,                  -- derived from source, tool and call id (see src/lib/tools/idempotency.js)
+  org_id UUID REFERENCES org(id) ON DELETE CASCADE,
+  source_id UUID REFERENCES api_sources(id) ON DELETE CASCADE,
+  tool_name TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'in_progress'
+    CHECK (status IN ('in_progress', 'completed')),
+  result JSONB,                          -- executor result, returned to replays
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL        -- replays after this execute again
+);
+
+CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+COMMENT ON TABLE idempotency_keys IS 'One row per write tool call with a stable call id: claimed before the request, then holds the result for replays.';
+
+-- Service role only: no client policies
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- 21. LLM_USAGE_DAILY — token usage and cost rollup
+-- ============================================================================
+
+CREATE TABLE llm_usage_daily (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  day DATE NOT NULL,                     -- UTC
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,  -- NULL for embed visitors and API keys
+  origin TEXT NOT NULL CHECK (origin IN ('chat', 'api', 'embed', 'schedule')),
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  requests INT NOT NULL DEFAULT 0,       -- LLM responses (all steps of one response count once)
+  input_tokens BIGINT NOT NULL DEFAULT 0,
+  output_tokens BIGINT NOT NULL DEFAULT 0,
+  total_tokens BIGINT NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(14, 6) NOT NULL DEFAULT 0,  -- from src/lib/usage/pricing.js; 0 for models without a known price
+  UNIQUE NULLS NOT DISTINCT (org_id, day, agent_id, user_id, origin, provider, model)
+);
+
+CREATE INDEX idx_llm_usage_daily_org ON llm_usage_daily(org_id, day DESC);
+COMMENT ON TABLE llm_usage_daily IS 'LLM tokens and cost per org, day, agent, user, origin and model. Written by record_llm_usage.';
+
+CREATE OR REPLACE FUNCTION record_llm_usage(
+  p_org_id UUID,
+  p_agent_id UUID,
+  p_user_id UUID,
+  p_origin TEXT,
+  p_provider TEXT,
+  p_model TEXT,
+  p_input_tokens BIGINT,
+  p_output_tokens BIGINT,
+  p_total_tokens BIGINT,
+  p_cost_usd NUMERIC,
+  p_day DATE
+)
+RETURNS void
+LANGUAGE plpgsql AS $$
+BEGIN
+  INSERT INTO llm_usage_daily AS u
+    (org_id, day, agent_id, user_id, origin, provider, model, requests, input_tokens, output_tokens, total_tokens, cost_usd)
+  VALUES
+    (p_org_id, p_day, p_agent_id, p_user_id, p_origin, p_provider, p_model, 1, p_input_tokens, p_output_tokens, p_total_tokens, p_cost_usd)
+  ON CONFLICT (org_id, day, agent_id, user_id, origin, provider, model) DO UPDATE SET
+    requests = u.requests + 1,
+    input_tokens = u.input_tokens + EXCLUDED.input_tokens,
+    output_tokens = u.output_tokens + EXCLUDED.output_tokens,
+    total_tokens = u.total_tokens + EXCLUDED.total_tokens,
+    cost_usd = u.cost_usd + EXCLUDED.cost_usd;
+END;
+$$;
+
+ALTER TABLE llm_usage_daily ENABLE ROW LEVEL SECURITY;
+
+-- Admins read; the service role writes (record_llm_usage)
+CREATE POLICY llm_usage_daily_admin_read ON llm_usage_daily FOR SELECT USING (
+  org_id = ANY(get_user_admin_org_ids()));
+
+GRANT SELECT ON llm_usage_daily TO authenticated;
+REVOKE EXECUTE ON FUNCTION record_llm_usage FROM PUBLIC, anon, authenticated;
+
+-- ============================================================================
+-- 22. ROUTINE_RUNS — deterministic routine runs
+-- ============================================================================
+
+CREATE TABLE routine_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  routine_id UUID NOT NULL REFERENCES routines(id) ON DELETE CASCADE,
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,  -- NULL for scheduled runs as the service identity
+  params JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'needs_confirmation', 'completed', 'failed', 'cancelled')),
+  results JSONB NOT NULL DEFAULT '{}',   -- per step id: { status, args, response_status, response, action_id, error }
+  pending JSONB,                         -- the step waiting for confirmation: { step_id, tool_name, args, reasons }
+  failed_step TEXT,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE TRIGGER trg_routine_runs BEFORE UPDATE ON routine_runs FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE INDEX idx_routine_runs_routine ON routine_runs(routine_id, created_at DESC);
+CREATE INDEX idx_routine_runs_user ON routine_runs(user_id, created_at DESC);
+COMMENT ON TABLE routine_runs IS 'Progress of a deterministic routine run, so a run paused for confirmation resumes where it stopped.';
+
+ALTER TABLE routine_runs ENABLE ROW LEVEL SECURITY;
+
+-- Users manage their own runs
+CREATE POLICY routine_runs_own ON routine_runs FOR ALL USING (user_id = auth.uid());
+
+GRANT ALL ON routine_runs TO authenticated;
+
+-- ============================================================================
+-- 23. ROUTINE_SCHEDULE_RUNS — history of scheduled routine runs
+-- ============================================================================
+
+CREATE TABLE routine_schedule_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  routine_id UUID NOT NULL REFERENCES routines(id) ON DELETE CASCADE,
+  agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  trigger TEXT NOT NULL DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'manual')),
+  run_as TEXT NOT NULL CHECK (run_as IN ('owner', 'service')),
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,  -- whose credentials ran it; NULL for the service identity
+  chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,      -- where the result was delivered
+  routine_run_id UUID REFERENCES routine_runs(id) ON DELETE SET NULL,  -- deterministic runs
+  mode TEXT NOT NULL CHECK (mode IN ('llm', 'deterministic')),
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  scheduled_for TIMESTAMPTZ,             -- the due time it ran for (NULL for manual runs)
+  output TEXT,
+  error TEXT,
+  fallback_reason TEXT,                  -- why a deterministic run handed over to the LLM
+  usage JSONB,                           -- LLM token usage
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at TIMESTAMPTZ
+);
+CREATE INDEX idx_routine_schedule_runs_routine ON routine_schedule_runs(routine_id, started_at DESC);
+COMMENT ON TABLE routine_schedule_runs IS 'One row per scheduled (or run-now) routine run, with its output or failure.';
+
+ALTER TABLE routine_schedule_runs ENABLE ROW LEVEL SECURITY;
+
+-- The routine's creator and org admins read; the service role writes (the schedule runner)
+CREATE POLICY routine_schedule_runs_read ON routine_schedule_runs FOR SELECT USING (
+  org_id = ANY(get_user_admin_org_ids())
+  OR routine_id IN (SELECT id FROM routines WHERE created_by = auth.uid()));
+
+GRANT SELECT ON routine_schedule_runs TO authenticated;
+
+-- ============================================================================
+-- 24. ROUTINE_VERSIONS — immutable history of a routine's content
+-- ============================================================================
+
+CREATE TABLE routine_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  routine_id UUID NOT NULL REFERENCES routines(id) ON DELETE CASCADE,
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  prompt TEXT NOT NULL,
+  description TEXT,
+  parameters JSONB NOT NULL DEFAULT '{}',
+  tool_chain UUID[] NOT NULL DEFAULT '{}',
+  tool_chain_names TEXT[] NOT NULL DEFAULT '{}',
+  mode TEXT NOT NULL DEFAULT 'llm' CHECK (mode IN ('llm', 'deterministic')),
+  steps JSONB,
+  -- Confidence of this version alone (see increment_routine_feedback)
+  success_count INTEGER NOT NULL DEFAULT 0,
+  failure_count INTEGER NOT NULL DEFAULT 0,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,  -- author of the edit
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (routine_id, version)
+);
+COMMENT ON TABLE routine_versions IS 'One row per edit of a routine. Content is immutable; routines.version says which one is published.';
+
+-- Content can't change once written; only the feedback counters move
+CREATE OR REPLACE FUNCTION routine_versions_immutable()
+RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF (NEW.routine_id, NEW.org_id, NEW.version, NEW.prompt, NEW.description, NEW.parameters,
+      NEW.tool_chain, NEW.tool_chain_names, NEW.mode, NEW.steps, NEW.created_at)
+     IS DISTINCT FROM
+     (OLD.routine_id, OLD.org_id, OLD.version, OLD.prompt, OLD.description, OLD.parameters,
+      OLD.tool_chain, OLD.tool_chain_names, OLD.mode, OLD.steps, OLD.created_at) THEN
+    RAISE EXCEPTION 'routine versions are immutable';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+CREATE TRIGGER trg_routine_versions_immutable BEFORE UPDATE ON routine_versions
+  FOR EACH ROW EXECUTE FUNCTION routine_versions_immutable();
+
+ALTER TABLE routine_versions ENABLE ROW LEVEL SECURITY;
+
+-- Visible with the routine; its owner adds versions and (through
+-- increment_routine_feedback) counts feedback, as on routines
+CREATE POLICY routine_versions_read ON routine_versions FOR SELECT USING (
+  routine_id IN (SELECT id FROM routines));
+CREATE POLICY routine_versions_insert ON routine_versions FOR INSERT WITH CHECK (
+  created_by = auth.uid() AND routine_id IN (SELECT id FROM routines WHERE created_by = auth.uid()));
+CREATE POLICY routine_versions_feedback ON routine_versions FOR UPDATE USING (
+  routine_id IN (SELECT id FROM routines WHERE created_by = auth.uid()));
+
+GRANT SELECT, INSERT, UPDATE ON routine_versions TO authenticated;
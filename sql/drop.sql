@@ -5,6 +5,11 @@
 
 -- Drop tables in reverse dependency order
 DROP TABLE IF EXISTS
+  idempotency_keys,
+  webhook_deliveries,
+  webhook_endpoints,
+  action_log,
+  org_data_keys,
   user_onboarding,
   api_keys,
   embed_configs,
@@ -0,0 +1,46 @@
+-- Migration: Multi-server and server-variable support for API sources
+-- Date: 2026-10-19
+-- Purpose: Keep every server an OpenAPI spec declares (US/EU/staging hosts,
+--          {region}-style variables) and let admins, agents and users pick one
+
+-- All declared servers; base_url stays the admin-selected default
+ALTER TABLE api_sources ADD COLUMN IF NOT EXISTS servers JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE api_sources ADD COLUMN IF NOT EXISTS server_variables JSONB NOT NULL DEFAULT '{}';
+
+-- Operation-level servers override the source's list for that tool
+ALTER TABLE tools ADD COLUMN IF NOT EXISTS servers JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE template_tools ADD COLUMN IF NOT EXISTS servers JSONB NOT NULL DEFAULT '[]';
+
+-- Per-credential environment (e.g. the "Staging" credential goes to the staging host)
+ALTER TABLE user_api_credentials ADD COLUMN IF NOT EXISTS server_url TEXT;
+ALTER TABLE user_api_credentials ADD COLUMN IF NOT EXISTS server_variables JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN api_sources.servers IS 'Declared servers from the spec: [{ url, description, variables: { name: { default, enum } } }]';
+COMMENT ON COLUMN api_sources.server_variables IS 'Admin-chosen values for {variables} in base_url';
+COMMENT ON COLUMN tools.servers IS 'Operation-level servers; override api_sources.servers for this tool';
+COMMENT ON COLUMN template_tools.servers IS 'Operation-level servers; override the source servers for this tool';
+COMMENT ON COLUMN user_api_credentials.server_url IS 'Server this credential targets; must be one of the source servers';
+
+-- get_agent_tools returns the tool's servers (return type changes, so drop first)
+DROP FUNCTION IF EXISTS get_agent_tools(UUID);
+CREATE OR REPLACE FUNCTION get_agent_tools(agent_uuid UUID)
+RETURNS TABLE(
+  tool_id UUID, tool_name TEXT, description TEXT,
+  method TEXT, path TEXT, parameters JSONB, request_body JSONB, servers JSONB,
+  risk_level TEXT, requires_confirmation BOOLEAN,
+  source_name TEXT, base_url TEXT, permission TEXT
+)
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public AS $$
+BEGIN
+  RETURN QUERY
+  SELECT t.id, t.name, t.description,
+         t.method, t.path, t.parameters, t.request_body, t.servers,
+         t.risk_level, t.requires_confirmation,
+         s.name, s.base_url, ags.permission
+  FROM tools t
+  JOIN api_sources s ON s.id = t.source_id
+  JOIN agent_sources ags ON ags.source_id = s.id
+  WHERE ags.agent_id = agent_uuid AND t.is_active AND s.is_active;
+END; $$;
+
+GRANT EXECUTE ON FUNCTION get_agent_tools(UUID) TO authenticated;
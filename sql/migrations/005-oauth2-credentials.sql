@@ -0,0 +1,13 @@
+-- Migration: OAuth2 authorization-code credentials
+-- Date: 2026-10-19
+-- Purpose: Let sources use auth_type 'oauth2'. Users connect through the
+--          authorization-code + PKCE flow; the access/refresh tokens and their
+--          expiry are stored in user_api_credentials.credentials and refreshed
+--          before tool calls.
+
+ALTER TABLE api_sources DROP CONSTRAINT IF EXISTS api_sources_auth_type_check;
+ALTER TABLE api_sources ADD CONSTRAINT api_sources_auth_type_check
+  CHECK (auth_type IN ('bearer', 'api_key', 'basic', 'passthrough', 'none', 'header', 'oauth2'));
+
+COMMENT ON COLUMN api_sources.auth_config IS 'Target API auth settings. oauth2: { authorization_url, token_url, client_id, client_secret, scopes }';
+COMMENT ON COLUMN user_api_credentials.credentials IS 'Per-user secret. oauth2: { access_token, refresh_token, token_type, scope, expires_at }';
@@ -0,0 +1,32 @@
+-- Migration: Encrypt stored credentials at rest
+-- Date: 2026-10-19
+-- Purpose: Envelope encryption for user_api_credentials.credentials, the LLM
+--          keys in org.settings and secret fields in api_sources.auth_config.
+--          A master key (CREDENTIALS_MASTER_KEY) wraps one data key per org;
+--          data keys live here and are readable by the service role only.
+--
+-- After applying, encrypt existing rows with:
+--   yarn encrypt-credentials
+-- Rotate keys with:
+--   yarn rotate-keys               (re-wrap data keys under a new master key)
+--   yarn rotate-keys --data-keys   (new data keys, re-encrypt every row)
+
+CREATE TABLE IF NOT EXISTS org_data_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  wrapped_key TEXT NOT NULL,
+  master_key_id TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  retired_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_org_data_keys_active ON org_data_keys(org_id) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_org_data_keys_org ON org_data_keys(org_id);
+
+-- No policies: only the service role can read wrapped keys
+ALTER TABLE org_data_keys ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE org_data_keys IS 'Per-org data keys wrapped with CREDENTIALS_MASTER_KEY. One active key per org; retired keys kept for decrypting older values.';
+COMMENT ON COLUMN user_api_credentials.credentials IS 'Encrypted envelope { $enc, kid, iv, tag, ct } of the per-user secret. oauth2: { access_token, refresh_token, token_type, scope, expires_at }';
+COMMENT ON COLUMN org.settings IS 'Org settings; openai_api_key, anthropic_api_key and google_generative_ai_api_key are encrypted envelopes';
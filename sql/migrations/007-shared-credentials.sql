@@ -0,0 +1,16 @@
+-- Migration: Org-level shared service credentials
+-- Date: 2026-10-19
+-- Purpose: Let admins set one org-wide credential on a source and decide
+--          whether members use it ('shared'), bring their own ('user', the
+--          previous behavior) or may override it with their own
+--          ('user_override'). Each tool call records which identity ran it.
+
+ALTER TABLE api_sources ADD COLUMN IF NOT EXISTS credential_mode TEXT NOT NULL DEFAULT 'user';
+ALTER TABLE api_sources DROP CONSTRAINT IF EXISTS api_sources_credential_mode_check;
+ALTER TABLE api_sources ADD CONSTRAINT api_sources_credential_mode_check
+  CHECK (credential_mode IN ('user', 'shared', 'user_override'));
+
+ALTER TABLE api_sources ADD COLUMN IF NOT EXISTS shared_credentials JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN api_sources.credential_mode IS 'user: members bring their own credential; shared: everyone uses shared_credentials; user_override: shared_credentials unless the member has an active credential';
+COMMENT ON COLUMN api_sources.shared_credentials IS 'Org-wide service credential, encrypted envelope of the same shape as user_api_credentials.credentials. Never returned to clients.';
@@ -0,0 +1,55 @@
+-- Migration: Action audit log
+-- Date: 2026-10-19
+-- Purpose: Record every tool execution (chat, /api/tools/execute,
+--          /api/tools/paginate) in a dedicated table instead of only inside
+--          messages.tool_calls. Backs GET /api/activity and the Activity page.
+--          Rows are written by the server with the service role only; users
+--          read their own rows and admins their org's, nobody edits them.
+
+CREATE TABLE IF NOT EXISTS action_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+  source_id UUID REFERENCES api_sources(id) ON DELETE SET NULL,
+  tool_id UUID,
+  tool_name TEXT NOT NULL,
+  tool_call_id TEXT UNIQUE,
+  origin TEXT NOT NULL DEFAULT 'chat' CHECK (origin IN ('chat', 'execute', 'paginate')),
+  method TEXT,
+  url TEXT,
+  request_body JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'executing'
+    CHECK (status IN ('pending_confirmation', 'confirmed', 'rejected', 'executing', 'completed', 'failed')),
+  response_status INT,
+  error_message TEXT,
+  duration_ms INT,
+  approval TEXT NOT NULL DEFAULT 'not_required'
+    CHECK (approval IN ('not_required', 'pending', 'approved', 'rejected')),
+  approved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMPTZ,
+  credential_identity JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_action_log_org ON action_log(org_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_action_log_org_status ON action_log(org_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_action_log_user ON action_log(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_action_log_agent ON action_log(agent_id, created_at DESC);
+COMMENT ON TABLE action_log IS 'Audit trail of tool executions: who, which agent/source, redacted request, status, duration, approval outcome.';
+
+ALTER TABLE action_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS action_log_own_read ON action_log;
+DROP POLICY IF EXISTS action_log_own_insert ON action_log;
+DROP POLICY IF EXISTS action_log_own_update ON action_log;
+DROP POLICY IF EXISTS action_log_audit ON action_log;
+
+CREATE POLICY action_log_own_read ON action_log FOR SELECT USING (user_id = auth.uid());
+CREATE POLICY action_log_audit ON action_log FOR SELECT USING (
+  org_id = ANY(get_user_admin_org_ids()));
+
+REVOKE INSERT, UPDATE, DELETE ON action_log FROM authenticated;
+GRANT SELECT ON action_log TO authenticated;
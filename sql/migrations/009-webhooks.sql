@@ -0,0 +1,66 @@
+-- Migration: Outbound webhooks
+-- Date: 2026-10-19
+-- Purpose: Org admins register webhook endpoints with event filters
+--          (action.completed, action.failed, action.rejected, routine.failed,
+--          source.sync_failed). Payloads are HMAC-signed; deliveries are
+--          retried with backoff by `yarn deliver-webhooks` and logged in
+--          webhook_deliveries (Settings → Webhooks).
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  description TEXT,
+  secret JSONB NOT NULL,
+  secret_preview TEXT NOT NULL,
+  events TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+DROP TRIGGER IF EXISTS trg_webhook_endpoints ON webhook_endpoints;
+CREATE TRIGGER trg_webhook_endpoints BEFORE UPDATE ON webhook_endpoints FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_org ON webhook_endpoints(org_id) WHERE is_active;
+COMMENT ON TABLE webhook_endpoints IS 'Org webhook endpoints: URL, event filter, encrypted HMAC signing secret.';
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  event_id UUID NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'retrying', 'succeeded', 'failed')),
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ,
+  response_status INT,
+  response_body TEXT,
+  error_message TEXT,
+  duration_ms INT,
+  last_attempt_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at)
+  WHERE status IN ('pending', 'retrying');
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_org ON webhook_deliveries(org_id, created_at DESC);
+COMMENT ON TABLE webhook_deliveries IS 'Webhook delivery log: payload, attempts, last response, retry schedule.';
+
+ALTER TABLE webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS webhook_endpoints_admin ON webhook_endpoints;
+DROP POLICY IF EXISTS webhook_deliveries_admin_read ON webhook_deliveries;
+
+CREATE POLICY webhook_endpoints_admin ON webhook_endpoints FOR ALL USING (
+  org_id = ANY(get_user_admin_org_ids()));
+CREATE POLICY webhook_deliveries_admin_read ON webhook_deliveries FOR SELECT USING (
+  org_id = ANY(get_user_admin_org_ids()));
+
+GRANT ALL ON webhook_endpoints TO authenticated;
+GRANT SELECT ON webhook_deliveries TO authenticated;
@@ -0,0 +1,9 @@
+-- Migration: Per-source request policy
+-- Date: 2026-10-19
+-- Purpose: Let admins tune how tool calls to a source behave when it is slow
+--          or failing: request timeout, retries with exponential backoff,
+--          and a circuit breaker. Empty means the built-in defaults.
+
+ALTER TABLE api_sources ADD COLUMN IF NOT EXISTS request_policy JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN api_sources.request_policy IS 'Overrides of timeout_ms, max_retries, backoff_base_ms, backoff_max_ms, breaker_threshold, breaker_cooldown_ms. Missing keys use the defaults.';
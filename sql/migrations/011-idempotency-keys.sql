@@ -0,0 +1,29 @@
+-- Migration: Idempotency keys for write tool calls
+-- Date: 2026-10-19
+-- Purpose: A write call (POST/PUT/PATCH/DELETE) with a stable call id is
+--          sent with an idempotency key and claimed in idempotency_keys;
+--          a repeat within 24h (double approval, reconnected stream)
+--          returns the stored result instead of executing again. Sources
+--          without a vendor adapter can name the header to send it in.
+
+ALTER TABLE api_sources ADD COLUMN IF NOT EXISTS idempotency_header TEXT;
+
+COMMENT ON COLUMN api_sources.idempotency_header IS 'Header carrying the idempotency key on write calls, e.g. Idempotency-Key. NULL: only a vendor adapter sends one.';
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  key TEXT PRIMARY KEY,
+  org_id UUID REFERENCES org(id) ON DELETE CASCADE,
+  source_id UUID REFERENCES api_sources(id) ON DELETE CASCADE,
+  tool_name TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'in_progress'
+    CHECK (status IN ('in_progress', 'completed')),
+  result JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+COMMENT ON TABLE idempotency_keys IS 'One row per write tool call with a stable call id: claimed before the request, then holds the result for replays.';
+
+-- Service role only: no client policies
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
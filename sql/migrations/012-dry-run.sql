@@ -0,0 +1,13 @@
+-- Migration: Dry-run (simulation) mode
+-- Date: 2026-10-19
+-- Purpose: Agents (settings.dry_run) and chats (chats.dry_run) can run in
+--          simulation mode: reads execute, write calls are built but not
+--          sent. Those calls are logged with the new 'simulated' status.
+
+ALTER TABLE chats ADD COLUMN IF NOT EXISTS dry_run BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN chats.dry_run IS 'Simulation mode for this chat: write tool calls return the request they would send instead of executing.';
+
+ALTER TABLE action_log DROP CONSTRAINT IF EXISTS action_log_status_check;
+ALTER TABLE action_log ADD CONSTRAINT action_log_status_check
+  CHECK (status IN ('pending_confirmation', 'confirmed', 'rejected', 'executing', 'completed', 'failed', 'simulated'));
@@ -0,0 +1,28 @@
+-- Migration: Reversible actions (undo)
+-- Date: 2026-10-19
+-- Purpose: Tools and templates declare an inverse operation (tools.inverse,
+--          template_tools.inverse, source_templates.inverses). A completed
+--          call keeps its inverse call in action_log.undo (its arguments
+--          encrypted in undo_args); running it logs an 'undo' origin row
+--          (undo_of) and marks the original undone_at.
+
+ALTER TABLE source_templates ADD COLUMN IF NOT EXISTS inverses JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE template_tools ADD COLUMN IF NOT EXISTS inverse JSONB;
+ALTER TABLE tools ADD COLUMN IF NOT EXISTS inverse JSONB;
+
+COMMENT ON COLUMN source_templates.inverses IS 'Inverse operations keyed by operation_id, copied to template_tools.inverse on sync.';
+COMMENT ON COLUMN tools.inverse IS 'Undo declaration: { tool, args, restore?, snapshot? } (x-actionchat-inverse in the spec).';
+
+ALTER TABLE action_log ADD COLUMN IF NOT EXISTS undo JSONB;
+ALTER TABLE action_log ADD COLUMN IF NOT EXISTS undo_args JSONB;
+ALTER TABLE action_log ADD COLUMN IF NOT EXISTS undo_of UUID REFERENCES action_log(id) ON DELETE SET NULL;
+ALTER TABLE action_log ADD COLUMN IF NOT EXISTS undone_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN action_log.undo IS 'Inverse call shown to people: { tool_id, tool_name, method, path, args, is_template_tool }.';
+COMMENT ON COLUMN action_log.undo_args IS 'Arguments of the inverse call, encrypted with the org data key; what POST /api/activity/[id]/undo sends.';
+
+CREATE INDEX IF NOT EXISTS idx_action_log_undo_of ON action_log(undo_of) WHERE undo_of IS NOT NULL;
+
+ALTER TABLE action_log DROP CONSTRAINT IF EXISTS action_log_origin_check;
+ALTER TABLE action_log ADD CONSTRAINT action_log_origin_check
+  CHECK (origin IN ('chat', 'execute', 'paginate', 'undo'));
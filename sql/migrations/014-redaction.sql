@@ -0,0 +1,11 @@
+-- Migration: Response redaction and PII masking
+-- Date: 2026-10-19
+-- Purpose: Admins mask response fields (JSON paths) and personal data
+--          (card numbers, SSNs, emails, tokens, custom regexes) per source
+--          (api_sources.redaction_policy) and org-wide
+--          (org.settings.redaction_policy, no schema change), with separate
+--          rules for what people see and what the model sees.
+
+ALTER TABLE api_sources ADD COLUMN IF NOT EXISTS redaction_policy JSONB;
+
+COMMENT ON COLUMN api_sources.redaction_policy IS 'Redaction rules { human?, llm? } of { paths, detectors, patterns }, added to the org policy.';
@@ -0,0 +1,9 @@
+-- Migration: Argument guardrails per tool
+-- Date: 2026-10-19
+-- Purpose: Admins set rules on tool arguments (min/max, allowed values,
+--          patterns, role exemptions) keyed by tool id. The executor checks
+--          them before a call and either blocks it or requires confirmation.
+
+ALTER TABLE api_sources ADD COLUMN IF NOT EXISTS guardrails JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN api_sources.guardrails IS 'Argument rules keyed by tool id: [{ field, min?, max?, enum?, pattern?, action, unless_role?, message? }].';
@@ -0,0 +1,26 @@
+-- Migration: Approval queue for high-risk tools
+-- Date: 2026-10-19
+-- Purpose: Admins route calls of a tool to a second person by org role or
+--          agent access level. Such calls wait in action_log as
+--          pending_confirmation with the route and their encrypted arguments
+--          until someone eligible approves or rejects them. Only the service
+--          role writes action_log, so a requester can't change what an
+--          approver's decision runs.
+
+ALTER TABLE api_sources ADD COLUMN IF NOT EXISTS approval_policy JSONB NOT NULL DEFAULT '{}';
+
+ALTER TABLE action_log ADD COLUMN IF NOT EXISTS approval_route JSONB;
+ALTER TABLE action_log ADD COLUMN IF NOT EXISTS queued_args JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_action_log_queue ON action_log(org_id, created_at)
+  WHERE status = 'pending_confirmation' AND approval_route IS NOT NULL;
+
+COMMENT ON COLUMN api_sources.approval_policy IS 'Per tool id: { role?, access_level? } - who other than the requester must approve its calls.';
+COMMENT ON COLUMN action_log.approval_route IS 'Set on calls queued for someone else''s approval: { role?, access_level? }.';
+COMMENT ON COLUMN action_log.queued_args IS 'Unmasked arguments of a queued call, encrypted with the org data key; cleared once decided.';
+
+-- Service-role writes only (as set in 008-action-log.sql; restated so no
+-- earlier user policy survives on databases migrated before it)
+DROP POLICY IF EXISTS action_log_own_insert ON action_log;
+DROP POLICY IF EXISTS action_log_own_update ON action_log;
+REVOKE INSERT, UPDATE, DELETE ON action_log FROM authenticated;
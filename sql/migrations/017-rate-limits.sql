@@ -0,0 +1,10 @@
+-- Migration: Rate limits and quotas
+-- Date: 2026-10-19
+-- Purpose: Admins cap tool calls per hour for a source or one of its tools.
+--          Message and token limits live in org.settings.rate_limits and
+--          agents.settings.rate_limits (no schema change); counters are kept
+--          by the app (src/lib/limits).
+
+ALTER TABLE api_sources ADD COLUMN IF NOT EXISTS rate_limits JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN api_sources.rate_limits IS 'calls_per_hour for the whole source, and tools: { [tool id]: calls_per_hour }.';
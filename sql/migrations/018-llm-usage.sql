@@ -0,0 +1,64 @@
+-- Migration: LLM usage and cost tracking
+-- Date: 2026-10-19
+-- Purpose: Roll up each LLM response's tokens and cost per org, UTC day,
+--          agent, user, origin and model for the usage dashboard. The org's
+--          monthly spend budget lives in org.settings.usage_budget (no
+--          schema change).
+
+CREATE TABLE IF NOT EXISTS llm_usage_daily (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  day DATE NOT NULL,                     -- UTC
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,  -- NULL for embed visitors and API keys
+  origin TEXT NOT NULL CHECK (origin IN ('chat', 'api', 'embed')),
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  requests INT NOT NULL DEFAULT 0,       -- LLM responses (all steps of one response count once)
+  input_tokens BIGINT NOT NULL DEFAULT 0,
+  output_tokens BIGINT NOT NULL DEFAULT 0,
+  total_tokens BIGINT NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(14, 6) NOT NULL DEFAULT 0,  -- from src/lib/usage/pricing.js; 0 for models without a known price
+  UNIQUE NULLS NOT DISTINCT (org_id, day, agent_id, user_id, origin, provider, model)
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_daily_org ON llm_usage_daily(org_id, day DESC);
+COMMENT ON TABLE llm_usage_daily IS 'LLM tokens and cost per org, day, agent, user, origin and model. Written by record_llm_usage.';
+
+CREATE OR REPLACE FUNCTION record_llm_usage(
+  p_org_id UUID,
+  p_agent_id UUID,
+  p_user_id UUID,
+  p_origin TEXT,
+  p_provider TEXT,
+  p_model TEXT,
+  p_input_tokens BIGINT,
+  p_output_tokens BIGINT,
+  p_total_tokens BIGINT,
+  p_cost_usd NUMERIC,
+  p_day DATE
+)
+RETURNS void
+LANGUAGE plpgsql AS $$
+BEGIN
+  INSERT INTO llm_usage_daily AS u
+    (org_id, day, agent_id, user_id, origin, provider, model, requests, input_tokens, output_tokens, total_tokens, cost_usd)
+  VALUES
+    (p_org_id, p_day, p_agent_id, p_user_id, p_origin, p_provider, p_model, 1, p_input_tokens, p_output_tokens, p_total_tokens, p_cost_usd)
+  ON CONFLICT (org_id, day, agent_id, user_id, origin, provider, model) DO UPDATE SET
+    requests = u.requests + 1,
+    input_tokens = u.input_tokens + EXCLUDED.input_tokens,
+    output_tokens = u.output_tokens + EXCLUDED.output_tokens,
+    total_tokens = u.total_tokens + EXCLUDED.total_tokens,
+    cost_usd = u.cost_usd + EXCLUDED.cost_usd;
+END;
+$$;
+
+ALTER TABLE llm_usage_daily ENABLE ROW LEVEL SECURITY;
+
+-- Admins read; the service role writes (record_llm_usage)
+CREATE POLICY llm_usage_daily_admin_read ON llm_usage_daily FOR SELECT USING (
+  org_id = ANY(get_user_admin_org_ids()));
+
+GRANT SELECT ON llm_usage_daily TO authenticated;
+REVOKE EXECUTE ON FUNCTION record_llm_usage FROM PUBLIC, anon, authenticated;
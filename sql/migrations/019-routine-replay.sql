@@ -0,0 +1,45 @@
+-- Migration: Deterministic routine replay
+-- Date: 2026-10-19
+-- Purpose: Let a routine run as a compiled step graph (tool, argument
+--          mapping, conditions) on the server instead of the LLM improvising
+--          each step. Runs are kept in routine_runs so one paused for
+--          confirmation resumes where it stopped; their tool calls are
+--          logged with origin 'routine'.
+
+ALTER TABLE routines ADD COLUMN IF NOT EXISTS mode TEXT NOT NULL DEFAULT 'llm'
+  CHECK (mode IN ('llm', 'deterministic'));
+ALTER TABLE routines ADD COLUMN IF NOT EXISTS steps JSONB;  -- compiled steps, see src/lib/routines/steps.js
+
+CREATE TABLE IF NOT EXISTS routine_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  routine_id UUID NOT NULL REFERENCES routines(id) ON DELETE CASCADE,
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  params JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'needs_confirmation', 'completed', 'failed', 'cancelled')),
+  results JSONB NOT NULL DEFAULT '{}',   -- per step id: { status, args, response_status, response, action_id, error }
+  pending JSONB,                         -- the step waiting for confirmation: { step_id, tool_name, args, reasons }
+  failed_step TEXT,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+DROP TRIGGER IF EXISTS trg_routine_runs ON routine_runs;
+CREATE TRIGGER trg_routine_runs BEFORE UPDATE ON routine_runs FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE INDEX IF NOT EXISTS idx_routine_runs_routine ON routine_runs(routine_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_routine_runs_user ON routine_runs(user_id, created_at DESC);
+COMMENT ON TABLE routine_runs IS 'Progress of a deterministic routine run, so a run paused for confirmation resumes where it stopped.';
+
+ALTER TABLE routine_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS routine_runs_own ON routine_runs;
+CREATE POLICY routine_runs_own ON routine_runs FOR ALL USING (user_id = auth.uid());
+
+GRANT ALL ON routine_runs TO authenticated;
+
+ALTER TABLE action_log DROP CONSTRAINT IF EXISTS action_log_origin_check;
+ALTER TABLE action_log ADD CONSTRAINT action_log_origin_check
+  CHECK (origin IN ('chat', 'execute', 'paginate', 'undo', 'routine'));
@@ -0,0 +1,54 @@
+-- Migration: Scheduled routines
+-- Date: 2026-10-19
+-- Purpose: Run a routine on a cron schedule (routines.schedule, with the
+--          next due time in next_run_at) as its creator or the org's service
+--          identity, keep each run's output or failure in
+--          routine_schedule_runs, and log its tool calls and LLM usage with
+--          origin 'schedule'.
+
+ALTER TABLE routines ADD COLUMN IF NOT EXISTS schedule JSONB;  -- see src/lib/schedules/schedule.js
+ALTER TABLE routines ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_routines_next_run ON routines(next_run_at) WHERE next_run_at IS NOT NULL;
+
+-- Scheduled deterministic runs as the service identity have no user
+ALTER TABLE routine_runs ALTER COLUMN user_id DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS routine_schedule_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  routine_id UUID NOT NULL REFERENCES routines(id) ON DELETE CASCADE,
+  agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  trigger TEXT NOT NULL DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'manual')),
+  run_as TEXT NOT NULL CHECK (run_as IN ('owner', 'service')),
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+  routine_run_id UUID REFERENCES routine_runs(id) ON DELETE SET NULL,
+  mode TEXT NOT NULL CHECK (mode IN ('llm', 'deterministic')),
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  scheduled_for TIMESTAMPTZ,
+  output TEXT,
+  error TEXT,
+  fallback_reason TEXT,
+  usage JSONB,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_routine_schedule_runs_routine ON routine_schedule_runs(routine_id, started_at DESC);
+COMMENT ON TABLE routine_schedule_runs IS 'One row per scheduled (or run-now) routine run, with its output or failure.';
+
+ALTER TABLE routine_schedule_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS routine_schedule_runs_read ON routine_schedule_runs;
+CREATE POLICY routine_schedule_runs_read ON routine_schedule_runs FOR SELECT USING (
+  org_id = ANY(get_user_admin_org_ids())
+  OR routine_id IN (SELECT id FROM routines WHERE created_by = auth.uid()));
+
+GRANT SELECT ON routine_schedule_runs TO authenticated;
+
+ALTER TABLE action_log DROP CONSTRAINT IF EXISTS action_log_origin_check;
+ALTER TABLE action_log ADD CONSTRAINT action_log_origin_check
+  CHECK (origin IN ('chat', 'execute', 'paginate', 'undo', 'routine', 'schedule'));
+
+ALTER TABLE llm_usage_daily DROP CONSTRAINT IF EXISTS llm_usage_daily_origin_check;
+ALTER TABLE llm_usage_daily ADD CONSTRAINT llm_usage_daily_origin_check
+  CHECK (origin IN ('chat', 'api', 'embed', 'schedule'));
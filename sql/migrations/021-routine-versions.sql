@@ -0,0 +1,92 @@
+-- Migration: Routine versioning
+-- Date: 2026-10-19
+-- Purpose: Keep every edit of a routine as an immutable routine_versions row
+--          (author, timestamp, its own success/failure counts). The routines
+--          row holds the published version (routines.version); rollback
+--          publishes an older one. Existing routines become version 1 with
+--          the counts they have.
+
+ALTER TABLE routines ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS routine_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  routine_id UUID NOT NULL REFERENCES routines(id) ON DELETE CASCADE,
+  org_id UUID NOT NULL REFERENCES org(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  prompt TEXT NOT NULL,
+  description TEXT,
+  parameters JSONB NOT NULL DEFAULT '{}',
+  tool_chain UUID[] NOT NULL DEFAULT '{}',
+  tool_chain_names TEXT[] NOT NULL DEFAULT '{}',
+  mode TEXT NOT NULL DEFAULT 'llm' CHECK (mode IN ('llm', 'deterministic')),
+  steps JSONB,
+  success_count INTEGER NOT NULL DEFAULT 0,
+  failure_count INTEGER NOT NULL DEFAULT 0,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (routine_id, version)
+);
+COMMENT ON TABLE routine_versions IS 'One row per edit of a routine. Content is immutable; routines.version says which one is published.';
+
+CREATE OR REPLACE FUNCTION routine_versions_immutable()
+RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF (NEW.routine_id, NEW.org_id, NEW.version, NEW.prompt, NEW.description, NEW.parameters,
+      NEW.tool_chain, NEW.tool_chain_names, NEW.mode, NEW.steps, NEW.created_at)
+     IS DISTINCT FROM
+     (OLD.routine_id, OLD.org_id, OLD.version, OLD.prompt, OLD.description, OLD.parameters,
+      OLD.tool_chain, OLD.tool_chain_names, OLD.mode, OLD.steps, OLD.created_at) THEN
+    RAISE EXCEPTION 'routine versions are immutable';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+DROP TRIGGER IF EXISTS trg_routine_versions_immutable ON routine_versions;
+CREATE TRIGGER trg_routine_versions_immutable BEFORE UPDATE ON routine_versions
+  FOR EACH ROW EXECUTE FUNCTION routine_versions_immutable();
+
+ALTER TABLE routine_versions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS routine_versions_read ON routine_versions;
+CREATE POLICY routine_versions_read ON routine_versions FOR SELECT USING (
+  routine_id IN (SELECT id FROM routines));
+DROP POLICY IF EXISTS routine_versions_insert ON routine_versions;
+CREATE POLICY routine_versions_insert ON routine_versions FOR INSERT WITH CHECK (
+  created_by = auth.uid() AND routine_id IN (SELECT id FROM routines WHERE created_by = auth.uid()));
+DROP POLICY IF EXISTS routine_versions_feedback ON routine_versions;
+CREATE POLICY routine_versions_feedback ON routine_versions FOR UPDATE USING (
+  routine_id IN (SELECT id FROM routines WHERE created_by = auth.uid()));
+
+GRANT SELECT, INSERT, UPDATE ON routine_versions TO authenticated;
+
+-- Existing routines: what they are now is version 1
+INSERT INTO routine_versions
+  (routine_id, org_id, version, prompt, description, parameters, tool_chain, tool_chain_names, mode, steps,
+   success_count, failure_count, created_by, created_at)
+SELECT id, org_id, version, prompt, description, parameters, tool_chain, tool_chain_names, mode, steps,
+       success_count, failure_count, created_by, updated_at
+FROM routines
+ON CONFLICT (routine_id, version) DO NOTHING;
+
+-- Feedback counts per version
+DROP FUNCTION IF EXISTS increment_routine_feedback(UUID, BOOLEAN);
+CREATE OR REPLACE FUNCTION increment_routine_feedback(
+  p_routine_id UUID,
+  p_is_success BOOLEAN,
+  p_version INTEGER DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_version INTEGER := COALESCE(p_version, (SELECT version FROM routines WHERE id = p_routine_id));
+BEGIN
+  IF p_is_success THEN
+    UPDATE routines SET success_count = success_count + 1 WHERE id = p_routine_id AND version = v_version;
+    UPDATE routine_versions SET success_count = success_count + 1 WHERE routine_id = p_routine_id AND version = v_version;
+  ELSE
+    UPDATE routines SET failure_count = failure_count + 1 WHERE id = p_routine_id AND version = v_version;
+    UPDATE routine_versions SET failure_count = failure_count + 1 WHERE routine_id = p_routine_id AND version = v_version;
+  END IF;
+END;
+$$;
@@ -0,0 +1,9 @@
+-- Migration: Log embed lookups
+-- Date: 2026-10-19
+-- Purpose: Entity lookups from embed widgets (POST /api/embed/lookup) call
+--          a GET tool for an anonymous visitor; they are recorded in
+--          action_log with origin 'embed' and no user.
+
+ALTER TABLE action_log DROP CONSTRAINT IF EXISTS action_log_origin_check;
+ALTER TABLE action_log ADD CONSTRAINT action_log_origin_check
+  CHECK (origin IN ('chat', 'execute', 'paginate', 'undo', 'routine', 'schedule', 'embed'));
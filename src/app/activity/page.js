@@ -5,6 +5,7 @@ import { AuthGuard } from "@/components/auth-guard";
 import { AuthenticatedNav } from "@/components/layout/authenticated-nav";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import {
   Select,
@@ -31,6 +32,8 @@ import {
   AlertTriangle,
   Hourglass,
   Play,
+  Download,
+  FlaskConical,
 } from "lucide-react";
 import { SkeletonTable } from "@/components/ui/skeleton";
 import { toast } from "sonner";
@@ -42,6 +45,7 @@ const STATUS_CONFIG = {
   executing: { label: "Executing", icon: Play, color: "text-cyan-400", bg: "bg-cyan-500/10 border-cyan-500/30" },
   completed: { label: "Completed", icon: CheckCircle2, color: "text-green-400", bg: "bg-green-500/10 border-green-500/30" },
   failed: { label: "Failed", icon: AlertTriangle, color: "text-red-400", bg: "bg-red-500/10 border-red-500/30" },
+  simulated: { label: "Dry run", icon: FlaskConical, color: "text-amber-400", bg: "bg-amber-500/10 border-amber-500/30" },
 };
 
 const METHOD_COLORS = {
@@ -55,25 +59,46 @@ const METHOD_COLORS = {
 function ActivityContent() {
   const [loading, setLoading] = useState(true);
   const [actions, setActions] = useState([]);
+  const [total, setTotal] = useState(0);
   const [filterStatus, setFilterStatus] = useState("all");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
   const [offset, setOffset] = useState(0);
   const limit = 50;
 
   useEffect(() => {
     fetchActivity();
-  }, [filterStatus, offset]);
+  }, [filterStatus, fromDate, toDate, offset]);
+
+  // Filters shared by the list and the export
+  const filterParams = () => {
+    const params = new URLSearchParams();
+    if (filterStatus !== "all") params.set("status", filterStatus);
+    if (fromDate) params.set("from", fromDate);
+    if (toDate) params.set("to", toDate);
+    return params;
+  };
+
+  const handleExport = (format) => {
+    const params = filterParams();
+    params.set("format", format);
+    // Streams as a file download (Content-Disposition: attachment)
+    window.location.href = `/api/activity/export?${params}`;
+  };
 
   const fetchActivity = async () => {
     setLoading(true);
     try {
-      const params = new URLSearchParams({ limit: String(limit), offset: String(offset) });
-      if (filterStatus !== "all") params.set("status", filterStatus);
+      const params = filterParams();
+      params.set("limit", String(limit));
+      params.set("offset", String(offset));
 
       const res = await fetch(`/api/activity?${params}`);
       const data = await res.json();
 
       if (res.ok) {
         setActions(data.actions || []);
+        setTotal(data.total || 0);
       } else {
         toast.error(data.error || "Failed to load activity");
       }
@@ -115,19 +140,45 @@ function ActivityContent() {
                 Audit trail of all API actions executed through ActionChat
               </p>
             </div>
-            <Select value={filterStatus} onValueChange={(v) => { setFilterStatus(v); setOffset(0); }}>
-              <SelectTrigger className="w-[180px] bg-white/5 border-white/10">
-                <SelectValue placeholder="Filter by status" />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="all">All Statuses</SelectItem>
-                <SelectItem value="completed">Completed</SelectItem>
-                <SelectItem value="failed">Failed</SelectItem>
-                <SelectItem value="pending_confirmation">Pending</SelectItem>
-                <SelectItem value="rejected">Rejected</SelectItem>
-                <SelectItem value="executing">Executing</SelectItem>
-              </SelectContent>
-            </Select>
+            <div className="flex items-center gap-2">
+              <Input
+                type="date"
+                value={fromDate}
+                onChange={(e) => { setFromDate(e.target.value); setOffset(0); }}
+                className="w-[150px] bg-white/5 border-white/10"
+                aria-label="From date"
+              />
+              <Input
+                type="date"
+                value={toDate}
+                onChange={(e) => { setToDate(e.target.value); setOffset(0); }}
+                className="w-[150px] bg-white/5 border-white/10"
+                aria-label="To date"
+              />
+              <Select value={filterStatus} onValueChange={(v) => { setFilterStatus(v); setOffset(0); }}>
+                <SelectTrigger className="w-[180px] bg-white/5 border-white/10">
+                  <SelectValue placeholder="Filter by status" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Statuses</SelectItem>
+                  <SelectItem value="completed">Completed</SelectItem>
+                  <SelectItem value="failed">Failed</SelectItem>
+                  <SelectItem value="pending_confirmation">Pending</SelectItem>
+                  <SelectItem value="confirmed">Confirmed</SelectItem>
+                  <SelectItem value="rejected">Rejected</SelectItem>
+                  <SelectItem value="executing">Executing</SelectItem>
+                  <SelectItem value="simulated">Dry run</SelectItem>
+                </SelectContent>
+              </Select>
+              <Button variant="outline" onClick={() => handleExport("csv")} className="border-white/10">
+                <Download className="h-4 w-4 mr-1" />
+                CSV
+              </Button>
+              <Button variant="outline" onClick={() => handleExport("ndjson")} className="border-white/10">
+                <Download className="h-4 w-4 mr-1" />
+                NDJSON
+              </Button>
+            </div>
           </div>
 
           <Card className="bg-white/5 border-white/10">
@@ -179,10 +230,29 @@ function ActivityContent() {
                                 </span>
                               </TableCell>
                               <TableCell className="text-sm">
-                                {action.agent_name || <span className="text-white/20 italic">deleted</span>}
+                                {action.agent_name || (action.origin === "chat"
+                                  ? <span className="text-white/20 italic">deleted</span>
+                                  : <span className="text-white/30">Direct</span>)}
                               </TableCell>
                               <TableCell className="text-sm font-medium">
                                 {action.tool_name}
+                                {action.origin === "undo" && (
+                                  <span className="ml-2 text-[10px] text-amber-400/80 font-normal">undo</span>
+                                )}
+                                {action.origin === "routine" && (
+                                  <span className="ml-2 text-[10px] text-cyan-400/80 font-normal">routine</span>
+                                )}
+                                {action.origin === "schedule" && (
+                                  <span className="ml-2 text-[10px] text-cyan-400/80 font-normal">scheduled</span>
+                                )}
+                                {action.undone_at && (
+                                  <span
+                                    className="ml-2 text-[10px] text-white/40 font-normal"
+                                    title={`Undone ${new Date(action.undone_at).toLocaleString()}`}
+                                  >
+                                    undone
+                                  </span>
+                                )}
                               </TableCell>
                               <TableCell>
                                 <span className={`font-mono text-xs font-bold ${METHOD_COLORS[action.method] || "text-white/40"}`}>
@@ -220,7 +290,7 @@ function ActivityContent() {
                   {/* Pagination */}
                   <div className="flex items-center justify-between mt-4 pt-4 border-t border-white/5">
                     <p className="text-xs text-white/30">
-                      Showing {offset + 1}–{offset + actions.length}
+                      Showing {offset + 1}–{offset + actions.length} of {total}
                     </p>
                     <div className="flex gap-2">
                       <Button
@@ -235,7 +305,7 @@ function ActivityContent() {
                       <Button
                         size="sm"
                         variant="outline"
-                        disabled={actions.length < limit}
+                        disabled={offset + actions.length >= total}
                         onClick={() => setOffset(offset + limit)}
                         className="border-white/10"
                       >
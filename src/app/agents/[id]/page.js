@@ -10,6 +10,7 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Textarea } from "@/components/ui/textarea";
 import { Slider } from "@/components/ui/slider";
+import { Switch } from "@/components/ui/switch";
 import {
   Select,
   SelectContent,
@@ -46,12 +47,14 @@ import {
   ExternalLink,
   Clock,
   MessageCircle,
+  FlaskConical,
 } from "lucide-react";
 import { toast } from "sonner";
 import { useRouter } from "next/navigation";
 import Link from "next/link";
 import { useAutoSave } from "@/hooks/use-auto-save";
 import { SaveIndicator } from "@/components/ui/save-indicator";
+import { RateLimitsCard } from "@/components/sources/rate-limits-card";
 
 const PROVIDER_LABELS = {
   openai: "OpenAI",
@@ -90,6 +93,7 @@ function AgentDetailContent({ params }) {
   const [linkingSource, setLinkingSource] = useState(null);
   const [memberAccess, setMemberAccess] = useState([]);
   const [availableMembers, setAvailableMembers] = useState([]);
+  const [canManage, setCanManage] = useState(false);
   const [showGrantAccess, setShowGrantAccess] = useState(false);
   const [grantingMember, setGrantingMember] = useState(null);
   const [embedConfigs, setEmbedConfigs] = useState([]);
@@ -100,7 +104,8 @@ function AgentDetailContent({ params }) {
   const [deletingEmbed, setDeletingEmbed] = useState(null);
   const [embedToDelete, setEmbedToDelete] = useState(null);
   const [editingEmbed, setEditingEmbed] = useState(null);
-  const [editEmbedForm, setEditEmbedForm] = useState({ name: "", allowed_origins: "" });
+  const [editEmbedForm, setEditEmbedForm] = useState({ name: "", allowed_origins: "", routine_ids: [] });
+  const [embedRoutines, setEmbedRoutines] = useState(null);
   const [savingEmbed, setSavingEmbed] = useState(false);
   const [recentChats, setRecentChats] = useState([]);
 
@@ -226,6 +231,71 @@ function AgentDetailContent({ params }) {
     await handleLinkSource(sourceId, permission);
   };
 
+  // Per-source environment for this agent (a user's credential can still override it)
+  const handleServerChange = async (sourceId, serverUrl) => {
+    const settings = {
+      ...(agent.settings || {}),
+      servers: { ...(agent.settings?.servers || {}), [sourceId]: { server_url: serverUrl } },
+    };
+    try {
+      const res = await fetch(`/api/agents/${id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ settings }),
+      });
+      if (res.ok) {
+        setAgent((prev) => ({ ...prev, settings }));
+        toast.success("Environment updated");
+      } else {
+        toast.error("Failed to update environment");
+      }
+    } catch {
+      toast.error("Failed to update environment");
+    }
+  };
+
+  // Dry run: write calls from every chat with this agent are simulated
+  const handleDryRunChange = async (enabled) => {
+    const settings = { ...(agent.settings || {}), dry_run: enabled };
+    try {
+      const res = await fetch(`/api/agents/${id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ settings }),
+      });
+      if (res.ok) {
+        setAgent((prev) => ({ ...prev, settings }));
+        toast.success(enabled ? "Dry run on: write calls will be simulated" : "Dry run off");
+      } else {
+        toast.error("Failed to update dry run");
+      }
+    } catch {
+      toast.error("Failed to update dry run");
+    }
+  };
+
+  // Message and token limits for this agent, on top of the org's
+  const handleRateLimitsSave = async (rateLimits) => {
+    const settings = { ...(agent.settings || {}), rate_limits: rateLimits };
+    try {
+      const res = await fetch(`/api/agents/${id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ settings }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error || "Failed to save");
+        return false;
+      }
+      setAgent((prev) => ({ ...prev, settings: data.agent.settings }));
+      return true;
+    } catch {
+      toast.error("Failed to save rate limits");
+      return false;
+    }
+  };
+
   const fetchAccess = async () => {
     try {
       const res = await fetch(`/api/agents/${id}/access`);
@@ -233,6 +303,7 @@ function AgentDetailContent({ params }) {
         const data = await res.json();
         setMemberAccess(data.access || []);
         setAvailableMembers(data.available_members || []);
+        setCanManage(true);
       }
       // 403 is expected for non-admin users — just hide the section
     } catch {
@@ -358,8 +429,32 @@ function AgentDetailContent({ params }) {
     setEditEmbedForm({
       name: config.name,
       allowed_origins: config.allowed_origins?.join(", ") || "",
+      routine_ids: config.settings?.routine_ids || [],
     });
     setEditingEmbed(config);
+    if (!embedRoutines) fetchEmbedRoutines();
+  };
+
+  // Routines the widget can offer: shared ones, since visitors run them
+  const fetchEmbedRoutines = async () => {
+    try {
+      const res = await fetch("/api/routines");
+      if (res.ok) {
+        const data = await res.json();
+        setEmbedRoutines((data.routines || []).filter((r) => r.is_shared));
+      }
+    } catch {
+      setEmbedRoutines([]);
+    }
+  };
+
+  const toggleEmbedRoutine = (routineId, checked) => {
+    setEditEmbedForm((prev) => ({
+      ...prev,
+      routine_ids: checked
+        ? [...prev.routine_ids, routineId]
+        : prev.routine_ids.filter((rid) => rid !== routineId),
+    }));
   };
 
   const handleSaveEmbed = async () => {
@@ -378,6 +473,7 @@ function AgentDetailContent({ params }) {
           config_id: editingEmbed.id,
           name: editEmbedForm.name,
           allowed_origins: origins,
+          settings: { ...editingEmbed.settings, routine_ids: editEmbedForm.routine_ids },
         }),
       });
 
@@ -470,6 +566,15 @@ function AgentDetailContent({ params }) {
                         >
                           temp: {agent.temperature}
                         </Badge>
+                        {agent.settings?.dry_run === true && (
+                          <Badge
+                            variant="outline"
+                            className="border-amber-500/30 text-amber-400"
+                          >
+                            <FlaskConical className="h-3 w-3 mr-1" />
+                            dry run
+                          </Badge>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -663,6 +768,20 @@ function AgentDetailContent({ params }) {
                       </div>
                     </div>
 
+                    <div className="flex items-center justify-between gap-4 rounded-md border border-white/10 px-3 py-2">
+                      <div>
+                        <Label htmlFor="agent-dry-run">Dry run</Label>
+                        <p className="text-xs text-white/40">
+                          Simulate write calls (POST, PUT, PATCH, DELETE and dangerous MCP tools) in every chat. Reads still run.
+                        </p>
+                      </div>
+                      <Switch
+                        id="agent-dry-run"
+                        checked={agent.settings?.dry_run === true}
+                        onCheckedChange={handleDryRunChange}
+                      />
+                    </div>
+
                     <div className="flex justify-end pt-2">
                       <Button
                         size="sm"
@@ -762,6 +881,23 @@ function AgentDetailContent({ params }) {
                             </div>
                           </div>
                           <div className="flex items-center gap-2">
+                            {source.servers?.length > 1 && (
+                              <Select
+                                value={agent.settings?.servers?.[source.id]?.server_url || undefined}
+                                onValueChange={(v) => handleServerChange(source.id, v)}
+                              >
+                                <SelectTrigger className="w-[160px] h-8 text-xs bg-white/5 border-white/10">
+                                  <SelectValue placeholder="Default server" />
+                                </SelectTrigger>
+                                <SelectContent>
+                                  {source.servers.map((srv) => (
+                                    <SelectItem key={srv.url} value={srv.url}>
+                                      {srv.description || srv.url}
+                                    </SelectItem>
+                                  ))}
+                                </SelectContent>
+                              </Select>
+                            )}
                             <Select
                               value={source.permission}
                               onValueChange={(v) =>
@@ -903,6 +1039,16 @@ function AgentDetailContent({ params }) {
                 </Card>
               )}
 
+              {/* Rate Limits (admins) */}
+              <RateLimitsCard
+                limits={agent.settings?.rate_limits}
+                scope="agent"
+                canEdit={canManage}
+                description="Limits for chats with this agent, on top of the workspace limits in Settings."
+                onSave={handleRateLimitsSave}
+                className="mt-8"
+              />
+
               {/* Embed Widgets */}
               <Card className="bg-white/5 border-white/10 mt-8">
                 <CardHeader>
@@ -1278,6 +1424,29 @@ function AgentDetailContent({ params }) {
                         Comma-separated list of allowed origins. Leave empty to allow all.
                       </p>
                     </div>
+                    <div className="space-y-2">
+                      <Label>Routines</Label>
+                      {!embedRoutines ? (
+                        <Loader2 className="h-4 w-4 animate-spin text-white/40" />
+                      ) : embedRoutines.length === 0 ? (
+                        <p className="text-xs text-white/30">No shared routines yet.</p>
+                      ) : (
+                        <div className="space-y-2 max-h-48 overflow-y-auto">
+                          {embedRoutines.map((routine) => (
+                            <div key={routine.id} className="flex items-center justify-between gap-3">
+                              <span className="text-sm font-mono text-white/70 truncate">/{routine.name}</span>
+                              <Switch
+                                checked={editEmbedForm.routine_ids.includes(routine.id)}
+                                onCheckedChange={(checked) => toggleEmbedRoutine(routine.id, checked)}
+                              />
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                      <p className="text-xs text-white/30">
+                        Visitors get these as buttons that open the routine&apos;s form. Only read-only tools run from a widget.
+                      </p>
+                    </div>
                   </div>
                   <DialogFooter>
                     <Button variant="ghost" onClick={() => setEditingEmbed(null)}>
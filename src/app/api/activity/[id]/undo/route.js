@@ -0,0 +1,229 @@
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { createClient, createServiceClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { getPermissions, requireMember } from '@/utils/permissions';
+import { executeTool, mergeEnvironments, resolveSourceCredential, undoBlocker, loadUndoTool, withRedaction, loadOrgRedactionPolicy, guardrailsForTool, evaluateGuardrails, approvalRouteForTool, describeApprovers } from '@/lib/tools';
+import { ensureFreshCredentials } from '@/lib/oauth';
+import { decryptCredentials, decryptSealedSecret } from '@/lib/secrets';
+import { startAction, finishAction, recordPendingAction } from '@/lib/audit';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/activity/[id]/undo - Run the inverse of one of your own completed calls
+ * Body: { confirmed: true } - sent by the undo dialog
+ *
+ * The inverse tool is looked up again from the original tool's declaration
+ * (see lib/tools/undo.js loadUndoTool) and sent with the arguments the server
+ * stored encrypted when the call finished. It runs with your current
+ * credentials, under the inverse tool's guardrails and approval policy like
+ * any other call: without `confirmed` the route answers 409 with what needs
+ * confirming, and a tool that needs someone else's approval is put in the
+ * approval queue (202) instead of running. The undo is logged as an `undo`
+ * origin row. An action is undone at most once; an undo that failed or was
+ * rejected can be tried again, and each try is sent afresh (the idempotency
+ * key is per attempt, so a retry within one attempt is still sent only once).
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const { confirmed } = await request.json().catch(() => ({}));
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const cookieStore = await cookies();
+    const cookieOrgId = cookieStore.get('org_id')?.value;
+    const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+    const perms = await getPermissions(user.id, orgId);
+    const memberErr = requireMember(perms);
+    if (memberErr) return NextResponse.json({ error: memberErr.error }, { status: memberErr.status });
+
+    const { data: action } = await supabase
+      .from('action_log')
+      .select('id, org_id, user_id, agent_id, chat_id, source_id, tool_id, tool_name, status, undo, undo_args, undone_at')
+      .eq('id', id)
+      .eq('org_id', orgId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (!action) {
+      return NextResponse.json({ error: 'Action not found' }, { status: 404 });
+    }
+    const blocker = undoBlocker(action);
+    if (blocker) {
+      return NextResponse.json({ error: blocker }, { status: 409 });
+    }
+
+    // The tool comes from the original tool's inverse declaration, the arguments
+    // from what the server stored; the masked `undo` on the row is only for display
+    const { tool, error: toolError } = await loadUndoTool(supabase, action);
+    if (toolError) {
+      return NextResponse.json({ error: toolError }, { status: 409 });
+    }
+    const args = await decryptSealedSecret(orgId, action.undo_args).catch(() => null);
+    if (!args) {
+      return NextResponse.json({ error: 'This action has no undo' }, { status: 409 });
+    }
+
+    const { data: sourceRow } = await supabase
+      .from('api_sources')
+      .select('*')
+      .eq('id', action.source_id)
+      .maybeSingle();
+
+    if (!sourceRow) {
+      return NextResponse.json({ error: `The ${tool.name} tool is no longer available` }, { status: 404 });
+    }
+
+    // The inverse tool's own rules: a guardrail may block it, and the dialog is the
+    // confirmation a `confirm` rule (or a dangerous tool) asks for
+    const guardrails = guardrailsForTool(sourceRow, tool.id);
+    const check = evaluateGuardrails(guardrails, args, { role: perms.role });
+    if (!confirmed) {
+      return NextResponse.json({
+        ok: false,
+        requiresConfirmation: true,
+        guardrails: check.violations.map(v => v.reason),
+      }, { status: 409 });
+    }
+    const approvalRoute = check.blocked ? null : approvalRouteForTool(sourceRow, tool.id);
+
+    // Claim the undo so a double click can't run it twice (the action log is
+    // written with the service role, read-only for users)
+    const service = createServiceClient();
+    const { data: claimed } = await service
+      .from('action_log')
+      .update({ undone_at: new Date().toISOString() })
+      .eq('id', action.id)
+      .is('undone_at', null)
+      .select('id');
+    if (!claimed?.length) {
+      return NextResponse.json({ error: 'This action was already undone' }, { status: 409 });
+    }
+    const releaseClaim = () => service.from('action_log').update({ undone_at: null }).eq('id', action.id);
+
+    const context = {
+      orgId,
+      userId: user.id,
+      agentId: action.agent_id,
+      chatId: action.chat_id,
+      origin: 'undo',
+    };
+    const entry = {
+      toolId: tool.id,
+      toolName: tool.name,
+      sourceId: sourceRow.id,
+      method: tool.method,
+      args,
+      undoOf: action.id,
+    };
+
+    // Someone else has to approve the inverse tool's calls: queue the undo (the claim
+    // stays until it's decided; see /api/approvals/[id])
+    if (approvalRoute) {
+      const queuedId = await recordPendingAction(service, context, {
+        ...entry,
+        // One queued call per attempt: a rejected undo can be queued again
+        toolCallId: `undo:${action.id}:${crypto.randomUUID()}`,
+        approvalRoute,
+      });
+      if (!queuedId) {
+        await releaseClaim();
+        return NextResponse.json({ error: 'Could not queue the undo for approval' }, { status: 500 });
+      }
+      console.log('[UNDO]', action.tool_name, '→', tool.name, 'queued for approval | action:', action.id);
+      return NextResponse.json({
+        ok: true,
+        queued: true,
+        action_id: queuedId,
+        approvers: describeApprovers(approvalRoute),
+      }, { status: 202 });
+    }
+
+    // Same credential and environment rules as the original call
+    const { data: userCredential } = await supabase
+      .from('user_api_credentials')
+      .select('id, label, credentials, server_url, server_variables')
+      .eq('user_id', user.id)
+      .eq('source_id', sourceRow.id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (userCredential) {
+      userCredential.credentials = await decryptCredentials(sourceRow.org_id, userCredential.credentials);
+    }
+
+    let agentEnvironment = null;
+    if (action.agent_id) {
+      const { data: agent } = await supabase
+        .from('agents')
+        .select('settings')
+        .eq('id', action.agent_id)
+        .maybeSingle();
+      agentEnvironment = agent?.settings?.servers?.[sourceRow.id] || null;
+    }
+
+    const { shared_credentials, ...sourceFields } = sourceRow;
+    const { row: credentials, identity } = await resolveSourceCredential(sourceRow, userCredential, { userId: user.id });
+    const source = {
+      ...withRedaction(sourceFields, await loadOrgRedactionPolicy(supabase, orgId)),
+      environment: mergeEnvironments(agentEnvironment, credentials),
+    };
+
+    const undoActionId = await startAction(service, context, entry);
+
+    let userCredentials;
+    try {
+      userCredentials = await ensureFreshCredentials(supabase, source, credentials);
+    } catch (error) {
+      await finishAction(service, undoActionId, { error_message: error.message, credential_identity: identity });
+      await releaseClaim();
+      return NextResponse.json({ error: error.message }, { status: 401 });
+    }
+
+    const result = await executeTool({
+      tool,
+      source,
+      args,
+      userCredentials,
+      userId: user.id,
+      credentialIdentity: identity,
+      // Keyed to this attempt's log row: a failed undo tried again is sent again
+      callId: undoActionId ? `undo:${undoActionId}` : null,
+      // Confirmed in the undo dialog; block rules still apply
+      guardrails,
+      role: perms.role,
+      approved: true,
+    });
+    await finishAction(service, undoActionId, result);
+
+    const failed = Boolean(result.error_message) || result.response_status < 200 || result.response_status >= 300;
+    if (failed) {
+      await releaseClaim();
+    }
+
+    console.log('[UNDO]', action.tool_name, '→', tool.name, failed ? 'failed' : 'done', '| action:', action.id);
+
+    return NextResponse.json({
+      ok: !failed,
+      action_id: undoActionId,
+      result: {
+        status: result.response_status,
+        body: result.response_body,
+        duration_ms: result.duration_ms,
+        error: result.error_message,
+      },
+    }, { status: failed ? 502 : 200 });
+  } catch (error) {
+    console.error('[UNDO] Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to undo action', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,102 @@
+import { NextResponse } from 'next/server';
+import { createClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { getPermissions, requireMember } from '@/utils/permissions';
+import {
+  ACTIVITY_SELECT,
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  parseActivityFilters,
+  applyActivityFilters,
+  createActivityExportStream,
+} from '@/lib/audit';
+
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+/**
+ * GET /api/activity/export - Stream the action log as CSV or NDJSON
+ *
+ * Query: format (csv|ndjson, default csv), from, to (ISO dates),
+ *        status, method (comma-separated), origin, agent_id, source_id, user_id, chat_id
+ *
+ * Same visibility as GET /api/activity: members export their own calls,
+ * admins the whole org. Newest first.
+ */
+export async function GET(request) {
+  try {
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const cookieStore = await cookies();
+    const cookieOrgId = cookieStore.get('org_id')?.value;
+    const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+    const perms = await getPermissions(user.id, orgId);
+    const memberErr = requireMember(perms);
+    if (memberErr) return NextResponse.json({ error: memberErr.error }, { status: memberErr.status });
+
+    const { searchParams } = new URL(request.url);
+    const format = searchParams.get('format') || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return NextResponse.json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` }, { status: 400 });
+    }
+
+    const { filters, error: filterError } = parseActivityFilters(searchParams);
+    if (filterError) {
+      return NextResponse.json({ error: filterError }, { status: 400 });
+    }
+
+    // Keyset pagination on (created_at, id): stable under concurrent inserts, no deep offsets
+    const fetchBatch = async (cursor, size) => {
+      let query = supabase
+        .from('action_log')
+        .select(ACTIVITY_SELECT)
+        .eq('org_id', orgId);
+
+      if (!perms.isAdmin) {
+        query = query.eq('user_id', user.id);
+      }
+      query = applyActivityFilters(query, filters);
+
+      if (cursor) {
+        query = query.or(
+          `created_at.lt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.lt.${cursor.id})`
+        );
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(size);
+
+      if (error) {
+        console.error('[ACTIVITY EXPORT] Batch failed:', error);
+        throw error;
+      }
+      return data || [];
+    };
+
+    const stamp = [filters.from, filters.to].filter(Boolean).map(d => d.slice(0, 10)).join('_to_')
+      || new Date().toISOString().slice(0, 10);
+
+    console.log('[ACTIVITY EXPORT]', format, '| org:', orgId, '| admin:', perms.isAdmin, '| range:', filters.from || '-', filters.to || '-');
+
+    return new Response(createActivityExportStream({ format, fetchBatch }), {
+      headers: {
+        'Content-Type': EXPORT_CONTENT_TYPES[format],
+        'Content-Disposition': `attachment; filename="activity-${stamp}.${format}"`,
+        'Cache-Control': 'no-store',
+      },
+    });
+  } catch (error) {
+    console.error('[ACTIVITY EXPORT] Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to export activity', details: error.message },
+      { status: 500 }
+    );
+  }
+}
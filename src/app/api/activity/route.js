@@ -0,0 +1,69 @@
+import { NextResponse } from 'next/server';
+import { createClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { getPermissions, requireMember } from '@/utils/permissions';
+import { ACTIVITY_SELECT, parseActivityFilters, applyActivityFilters, toActivityItem } from '@/lib/audit';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/activity - Action log (own calls for members, whole org for admins)
+ *
+ * Query: limit (default 50, max 200), offset, status (comma-separated),
+ *        origin (chat|execute|paginate|undo), method (comma-separated), agent_id, source_id,
+ *        user_id, chat_id, from, to (ISO dates)
+ */
+export async function GET(request) {
+  try {
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const cookieStore = await cookies();
+    const cookieOrgId = cookieStore.get('org_id')?.value;
+    const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+    const perms = await getPermissions(user.id, orgId);
+    const memberErr = requireMember(perms);
+    if (memberErr) return NextResponse.json({ error: memberErr.error }, { status: memberErr.status });
+
+    const { searchParams } = new URL(request.url);
+    const { filters, error: filterError } = parseActivityFilters(searchParams);
+    if (filterError) {
+      return NextResponse.json({ error: filterError }, { status: 400 });
+    }
+
+    // RLS: members see their own rows, admins the whole org
+    let query = supabase
+      .from('action_log')
+      .select(ACTIVITY_SELECT, { count: 'exact' })
+      .eq('org_id', orgId);
+
+    if (!perms.isAdmin) {
+      query = query.eq('user_id', user.id);
+    }
+
+    query = applyActivityFilters(query, filters)
+      .order('created_at', { ascending: false })
+      .range(filters.offset, filters.offset + filters.limit - 1);
+
+    const { data, count, error } = await query;
+    if (error) throw error;
+
+    return NextResponse.json({
+      ok: true,
+      actions: (data || []).map(toActivityItem),
+      total: count ?? 0,
+      limit: filters.limit,
+      offset: filters.offset,
+    });
+  } catch (error) {
+    console.error('[ACTIVITY] GET Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load activity', details: error.message },
+      { status: 500 }
+    );
+  }
+}
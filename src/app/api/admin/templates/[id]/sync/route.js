@@ -9,7 +9,7 @@
 
 import { NextResponse } from 'next/server';
 import { createClient, createServiceClient } from '@/utils/supabase/server';
-import { parseOpenApiSpec, embedTool, getEmbeddingDimension } from '@/lib/tools';
+import { parseOpenApiSpec, loadSpecDocument, embedTool, getEmbeddingDimension, inverseForTool } from '@/lib/tools';
 import { convertTools as convertMcpTools, listMCPTools, closeMCPClient } from '@/lib/mcp';
 
 export const dynamic = 'force-dynamic';
@@ -55,7 +55,7 @@ async function syncOpenApiTemplate(serviceClient, template) {
   if (!specContent && template.spec_url) {
     try {
       const fetchRes = await fetch(template.spec_url, {
-        headers: { Accept: 'application/json' },
+        headers: { Accept: 'application/json, application/yaml, text/yaml' },
         signal: AbortSignal.timeout(30000),
       });
       if (!fetchRes.ok) {
@@ -64,7 +64,7 @@ async function syncOpenApiTemplate(serviceClient, template) {
           error: `Failed to fetch spec from URL: ${fetchRes.status} ${fetchRes.statusText}`,
         };
       }
-      specContent = await fetchRes.json();
+      specContent = loadSpecDocument(await fetchRes.text());
     } catch (fetchError) {
       return {
         ok: false,
@@ -122,6 +122,8 @@ async function syncOpenApiTemplate(serviceClient, template) {
       path: tool.path,
       parameters: tool.parameters || {},
       request_body: tool.request_body || null,
+        servers: tool.servers || [],
+      inverse: inverseForTool(tool, template.inverses),
       risk_level: tool.risk_level,
       requires_confirmation: tool.requires_confirmation,
       tags: tool.tags || [],
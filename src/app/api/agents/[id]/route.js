@@ -2,6 +2,7 @@ import { NextResponse } from 'next/server';
 import { createClient, getUserOrgId } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
 import { getPermissions, requireMember, requireAdmin } from '@/utils/permissions';
+import { validateRateLimits } from '@/lib/limits';
 
 export const dynamic = 'force-dynamic';
 
@@ -51,7 +52,7 @@ export async function GET(request, { params }) {
       const sourceIds = links.map(l => l.source_id);
       const { data: sources } = await supabase
         .from('api_sources')
-        .select('id, name, description, base_url, source_type, is_active')
+        .select('id, name, description, base_url, servers, source_type, is_active')
         .in('id', sourceIds);
 
       if (sources) {
@@ -119,6 +120,14 @@ export async function PUT(request, { params }) {
       }
     }
 
+    if (updates.settings?.rate_limits !== undefined) {
+      const { limits, error: limitsError } = validateRateLimits(updates.settings.rate_limits, 'agent');
+      if (limitsError) {
+        return NextResponse.json({ error: limitsError }, { status: 400 });
+      }
+      updates.settings = { ...updates.settings, rate_limits: limits };
+    }
+
     if (updates.temperature !== undefined) {
       updates.temperature = Math.min(2, Math.max(0, parseFloat(updates.temperature) || 0.1));
     }
@@ -0,0 +1,298 @@
+import { NextResponse } from 'next/server';
+import { createClient, createServiceClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { getPermissions, requireMember } from '@/utils/permissions';
+import { executeTool, formatToolResult, mergeEnvironments, resolveSourceCredential, isWriteCall, loadInverse, withRedaction, loadOrgRedactionPolicy, guardrailsForTool } from '@/lib/tools';
+import { ensureFreshCredentials } from '@/lib/oauth';
+import { decryptCredentials, decryptSealedSecret } from '@/lib/secrets';
+import { startAction, finishAction, loadAgentAccess, canDecide, decideQueuedAction, queuedCallOutput } from '@/lib/audit';
+import { updateToolCallResult } from '@/lib/chat';
+
+export const dynamic = 'force-dynamic';
+
+const MAX_REASON_LENGTH = 500;
+
+async function getContext() {
+  const supabase = await createClient();
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) return { error: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }) };
+
+  const cookieStore = await cookies();
+  const cookieOrgId = cookieStore.get('org_id')?.value;
+  const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+  const perms = await getPermissions(user.id, orgId);
+  const memberErr = requireMember(perms);
+  if (memberErr) return { error: NextResponse.json({ error: memberErr.error }, { status: memberErr.status }) };
+
+  return { supabase, user, orgId, perms };
+}
+
+/**
+ * GET /api/approvals/[id] - Where one of your queued calls stands
+ *
+ * Polled by the chat while a call waits; returns the action's status and,
+ * once decided, who decided and the outcome (as the tool output the chat shows).
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const { supabase, orgId, error } = await getContext();
+    if (error) return error;
+
+    // RLS: requesters read their own rows, admins the org's
+    const { data: action } = await supabase
+      .from('action_log')
+      .select('id, tool_id, tool_name, source_id, method, status, approval, approved_by, approved_at, response_status, error_message, approval_route')
+      .eq('id', id)
+      .eq('org_id', orgId)
+      .not('approval_route', 'is', null)
+      .maybeSingle();
+
+    if (!action) {
+      return NextResponse.json({ error: 'Approval not found' }, { status: 404 });
+    }
+
+    const { approval_route, ...rest } = action;
+    return NextResponse.json({ ok: true, action: rest, output: queuedCallOutput(action) });
+  } catch (error) {
+    console.error('[APPROVALS] GET Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load approval', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/approvals/[id] - Approve or reject a queued call
+ * Body: { approve: boolean, reason?: string }
+ *
+ * Only someone the call's route allows, and never the requester, can decide.
+ * An approved call runs right away with the requester's credentials (their own
+ * or the org's shared one, as in chat) and is logged on the same action_log
+ * row; the result, or the rejection, is written into the chat it came from.
+ * A queued undo (undo_of) that is rejected or fails leaves the original call
+ * undoable again.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const { user, orgId, perms, error } = await getContext();
+    if (error) return error;
+
+    const { approve, reason } = await request.json();
+    if (typeof approve !== 'boolean') {
+      return NextResponse.json({ error: 'approve must be true or false' }, { status: 400 });
+    }
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+      return NextResponse.json({ error: `reason must be text of at most ${MAX_REASON_LENGTH} characters` }, { status: 400 });
+    }
+
+    // Approvers act on other members' rows, which RLS doesn't let them update
+    const service = createServiceClient();
+    const { data: action } = await service
+      .from('action_log')
+      .select('id, org_id, user_id, agent_id, chat_id, source_id, tool_id, tool_name, tool_call_id, origin, method, status, approval_route, queued_args, undo_of')
+      .eq('id', id)
+      .eq('org_id', orgId)
+      .not('approval_route', 'is', null)
+      .maybeSingle();
+
+    if (!action) {
+      return NextResponse.json({ error: 'Approval not found' }, { status: 404 });
+    }
+    if (action.status !== 'pending_confirmation') {
+      return NextResponse.json({ error: 'This call was already decided' }, { status: 409 });
+    }
+    const agentAccess = await loadAgentAccess(service, perms.memberId);
+    if (!canDecide(action, { userId: user.id, role: perms.role, agentAccess })) {
+      return NextResponse.json({
+        error: action.user_id === user.id
+          ? 'Someone else has to approve your own request'
+          : 'You are not one of the approvers for this call',
+      }, { status: 403 });
+    }
+
+    // The stored arguments are dropped with the decision, so read them first. The server
+    // only ever writes them encrypted: anything else is refused rather than run
+    let args = {};
+    if (approve) {
+      try {
+        args = (await decryptSealedSecret(orgId, action.queued_args)) || {};
+      } catch (error) {
+        console.error('[APPROVALS] Unreadable queued arguments | action:', action.id, '|', error.message);
+        return NextResponse.json({
+          error: 'The arguments of this call can\'t be verified, so it can\'t be approved - reject it instead',
+        }, { status: 409 });
+      }
+    }
+
+    const decided = await decideQueuedAction(service, action.id, {
+      approved: approve,
+      approverId: user.id,
+      reason: reason?.trim() || null,
+    });
+    if (!decided) {
+      return NextResponse.json({ error: 'This call was already decided' }, { status: 409 });
+    }
+
+    // A queued undo holds the original's undone_at until it's decided
+    const releaseUndo = () => action.undo_of
+      ? service.from('action_log').update({ undone_at: null }).eq('id', action.undo_of)
+      : null;
+
+    if (!approve) {
+      await releaseUndo();
+      const output = queuedCallOutput({ ...decided, approval_route: action.approval_route });
+      output._actionchat.response_body = { error: 'rejected', reason: decided.error_message };
+      await updateToolCallResult(service, { chatId: action.chat_id, toolCallId: action.tool_call_id, output });
+      console.log('[APPROVALS]', action.tool_name, 'rejected | action:', action.id);
+      return NextResponse.json({ ok: true, status: 'rejected' });
+    }
+
+    // action_log.tool_id is a custom tool or a template tool
+    const toolColumns = 'id, name, method, path, parameters, request_body, servers';
+    let isTemplateTool = false;
+    let { data: tool } = await service.from('tools').select(toolColumns).eq('id', action.tool_id).maybeSingle();
+    if (!tool) {
+      ({ data: tool } = await service.from('template_tools').select(toolColumns).eq('id', action.tool_id).maybeSingle());
+      isTemplateTool = Boolean(tool);
+    }
+
+    const { data: sourceRow } = await service
+      .from('api_sources')
+      .select('*')
+      .eq('id', action.source_id)
+      .eq('org_id', orgId)
+      .maybeSingle();
+
+    const context = { orgId, userId: action.user_id, agentId: action.agent_id, chatId: action.chat_id, origin: action.origin };
+    const entry = {
+      toolCallId: action.tool_call_id,
+      toolId: action.tool_id,
+      toolName: action.tool_name,
+      sourceId: action.source_id,
+      method: action.method,
+      args,
+      approved: true,
+      approvedBy: user.id,
+      undoOf: action.undo_of,
+    };
+
+    if (!tool || !sourceRow) {
+      const actionId = await startAction(service, context, entry);
+      await finishAction(service, actionId, { error_message: `The ${action.tool_name} tool is no longer available` });
+      await releaseUndo();
+      return NextResponse.json({ error: `The ${action.tool_name} tool is no longer available` }, { status: 404 });
+    }
+
+    // The requester's credential and environment, as if the call had run in their chat
+    const { data: userCredential } = await service
+      .from('user_api_credentials')
+      .select('id, label, credentials, server_url, server_variables')
+      .eq('user_id', action.user_id)
+      .eq('source_id', sourceRow.id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (userCredential) {
+      userCredential.credentials = await decryptCredentials(sourceRow.org_id, userCredential.credentials);
+    }
+
+    let agentEnvironment = null;
+    if (action.agent_id) {
+      const { data: agent } = await service
+        .from('agents')
+        .select('settings')
+        .eq('id', action.agent_id)
+        .maybeSingle();
+      agentEnvironment = agent?.settings?.servers?.[sourceRow.id] || null;
+    }
+
+    const { shared_credentials, ...sourceFields } = sourceRow;
+    const { row: credentials, identity } = await resolveSourceCredential(sourceRow, userCredential, { userId: action.user_id });
+    const source = {
+      ...withRedaction(sourceFields, await loadOrgRedactionPolicy(service, orgId)),
+      environment: mergeEnvironments(agentEnvironment, credentials),
+    };
+
+    const actionId = await startAction(service, context, entry);
+
+    let userCredentials;
+    try {
+      userCredentials = await ensureFreshCredentials(service, source, credentials);
+    } catch (error) {
+      await finishAction(service, actionId, { error_message: error.message, credential_identity: identity });
+      await releaseUndo();
+      return NextResponse.json({ error: error.message }, { status: 401 });
+    }
+
+    // An undo isn't itself undoable
+    const inverse = isWriteCall(tool) && !action.undo_of ? await loadInverse(service, { toolId: tool.id, isTemplateTool }) : null;
+    const requester = await getPermissions(action.user_id, orgId);
+    const result = await executeTool({
+      tool,
+      source,
+      args,
+      userCredentials,
+      userId: action.user_id,
+      credentialIdentity: identity,
+      callId: action.tool_call_id,
+      inverse,
+      // Approved here; block rules and the requester's exemptions still apply
+      guardrails: guardrailsForTool(sourceRow, tool.id),
+      role: requester.role,
+      approved: true,
+    });
+    await finishAction(service, actionId, result);
+
+    // The chat shows the result where the approval request was
+    const output = {
+      _actionchat: {
+        tool_id: tool.id,
+        tool_name: action.tool_name,
+        source_id: source.id,
+        source_name: source.name,
+        method: tool.method,
+        url: result.url,
+        request_body: args,
+        response_status: result.response_status,
+        response_body: result.response_body,
+        duration_ms: result.duration_ms,
+        error_message: result.error_message,
+        credential_identity: result.credential_identity,
+        action_id: actionId,
+        undo: result.undo,
+        redacted: result.redacted,
+        approved_by: user.id,
+      },
+      result: formatToolResult(result),
+    };
+    await updateToolCallResult(service, { chatId: action.chat_id, toolCallId: action.tool_call_id, output });
+
+    const failed = Boolean(result.error_message) || result.response_status < 200 || result.response_status >= 300;
+    if (failed) {
+      await releaseUndo();
+    }
+    console.log('[APPROVALS]', action.tool_name, 'approved,', failed ? 'failed' : 'done', '| action:', action.id);
+
+    return NextResponse.json({
+      ok: !failed,
+      status: failed ? 'failed' : 'completed',
+      result: {
+        status: result.response_status,
+        body: result.response_body,
+        duration_ms: result.duration_ms,
+        error: result.error_message,
+        guardrail_violations: result.guardrail_violations,
+      },
+    }, { status: failed ? 502 : 200 });
+  } catch (error) {
+    console.error('[APPROVALS] POST Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to decide approval', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import { createClient, createServiceClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { getPermissions, requireMember } from '@/utils/permissions';
+import { listApprovalQueue, loadAgentAccess } from '@/lib/audit';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/approvals - The approval queue
+ *
+ * Calls waiting for a second person (see lib/audit/approval-queue.js) that the
+ * caller may decide, plus the caller's own waiting requests (`own: true`).
+ * Each item has `can_decide` and `approvers` ("an admin or an operator of the agent").
+ */
+export async function GET() {
+  try {
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const cookieStore = await cookies();
+    const cookieOrgId = cookieStore.get('org_id')?.value;
+    const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+    const perms = await getPermissions(user.id, orgId);
+    const memberErr = requireMember(perms);
+    if (memberErr) return NextResponse.json({ error: memberErr.error }, { status: memberErr.status });
+
+    // Approvers read other members' rows, which RLS only shows admins
+    const service = createServiceClient();
+    const items = await listApprovalQueue(service, {
+      orgId,
+      userId: user.id,
+      role: perms.role,
+      agentAccess: await loadAgentAccess(service, perms.memberId),
+    });
+
+    return NextResponse.json({ ok: true, items });
+  } catch (error) {
+    console.error('[APPROVALS] GET Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load approvals', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -9,8 +9,15 @@
  * - AI abstraction in @/lib/ai
  */
 
-import { createClient } from '@/utils/supabase/server';
+import { createClient, createServiceClient } from '@/utils/supabase/server';
 import { getModelForAgent, chat, toStreamResponse, isAbortError } from '@/lib/ai';
+import { decryptSettings } from '@/lib/secrets';
+import { recordApprovalResponses, loadQueuedCalls, settleQueuedCalls } from '@/lib/audit';
+import { getPermissions } from '@/utils/permissions';
+import { mergeRedactionPolicies, redactMessagesForModel } from '@/lib/tools';
+import { enforceMessageRate, enforceTokenBudget, recordTokenUsage, RateLimitError, rateLimitResponse } from '@/lib/limits';
+import { recordLlmUsage } from '@/lib/usage';
+import { resolveRoutineParams, buildRoutinePrompt } from '@/lib/routines';
 import {
   authenticate,
   AuthError,
@@ -110,7 +117,7 @@ export async function POST(request) {
     // 1. PARSE REQUEST
     // ─────────────────────────────────────────────────────────────────────────
     const body = await request.json();
-    const { messages, agentId, chatId: existingChatId, enabledSourceIds } = body;
+    let { messages, agentId, chatId: existingChatId, enabledSourceIds, dryRun: requestedDryRun } = body;
 
     if (!agentId) {
       return jsonError('agentId is required', 400);
@@ -123,7 +130,7 @@ export async function POST(request) {
     // ─────────────────────────────────────────────────────────────────────────
     // 2. AUTHENTICATE
     // ─────────────────────────────────────────────────────────────────────────
-    const { user, orgId } = await authenticate(request, supabase, agentId);
+    const { user, orgId, isApiKey } = await authenticate(request, supabase, agentId);
 
     // ─────────────────────────────────────────────────────────────────────────
     // 3. LOAD AGENT
@@ -140,6 +147,29 @@ export async function POST(request) {
       return jsonError('Agent not found or inactive', 404);
     }
 
+    // A routine run from its form (body.routine: { id, params }): the values are
+    // checked before anything runs, the routine's prompt with the checked values
+    // (defaults filled in, types coerced) stands in for the user's message, and
+    // the routine's tool chain is used as is
+    let chosenRoutine = null;
+    if (body.routine?.id) {
+      const { data: routine } = await supabase
+        .from('routines')
+        .select('id, name, prompt, parameters, tool_chain, tool_chain_names, success_count, failure_count, version')
+        .eq('id', body.routine.id)
+        .eq('org_id', orgId)
+        .maybeSingle();
+      if (!routine) {
+        return jsonError('Routine not found', 404);
+      }
+      const { params, error: paramsError } = resolveRoutineParams(routine.parameters, body.routine.params);
+      if (paramsError) {
+        return jsonError(paramsError, 400);
+      }
+      messages = withRoutinePrompt(messages, buildRoutinePrompt(routine, params));
+      chosenRoutine = routine;
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // 4. LOAD ORG SETTINGS
     // ─────────────────────────────────────────────────────────────────────────
@@ -149,7 +179,15 @@ export async function POST(request) {
       .eq('id', orgId)
       .single();
 
-    const orgSettings = org?.settings || {};
+    const orgSettings = await decryptSettings(orgId, org?.settings || {});
+
+    // Rate limits: a new user message counts against messages per minute (approval
+    // answers continuing a turn don't), and every request needs token budget left
+    const limits = { orgId, agentId, orgLimits: orgSettings.rate_limits, agentLimits: agent.settings?.rate_limits };
+    if (messages[messages.length - 1]?.role === 'user') {
+      await enforceMessageRate({ ...limits, subject: user.id });
+    }
+    await enforceTokenBudget(limits);
 
     // ─────────────────────────────────────────────────────────────────────────
     // 5. GET AI MODEL
@@ -178,11 +216,35 @@ export async function POST(request) {
     }
     console.log('[CHAT] User query for tool search:', lastUserMessage?.slice(0, 100) || '(empty)');
 
+    // Dry run (write calls built, not sent): forced by the agent, or chosen for this chat
+    let dryRun = agent.settings?.dry_run === true || requestedDryRun === true;
+    if (!dryRun && existingChatId) {
+      const { data: existingChat } = await supabase
+        .from('chats')
+        .select('dry_run')
+        .eq('id', existingChatId)
+        .maybeSingle();
+      dryRun = existingChat?.dry_run === true;
+    }
+
+    // Every tool call of a signed-in user is recorded in action_log (written with the service
+    // role; API-key callers have no user). chatId is filled in once the chat exists (step 7)
+    const actionLog = isApiKey
+      ? null
+      : { supabase: createServiceClient(), orgId, userId: user.id, agentId, chatId: existingChatId || null, origin: 'chat' };
+
+    // Guardrail exemptions go by org role (API keys have none); the reasons a call
+    // needs confirmation, or who it waits for in the approval queue, are sent with
+    // its approval request (see messageMetadata below)
+    const role = isApiKey ? null : (await getPermissions(user.id, orgId)).role;
+    const escalations = new Map();
+    const queuedApprovals = new Map();
+
     const { tools, toolRows, sourceIds, sourcesWithHints, toolsWarning, matchedRoutine } = await loadAgentTools(
       supabase,
       agentId,
       user.id,
-      { enabledSourceIds, userQuery: lastUserMessage, orgId }
+      { enabledSourceIds, userQuery: lastUserMessage, orgId, agentSettings: agent.settings, actionLog, dryRun, redactionPolicy: orgSettings.redaction_policy, role, escalations, queuedApprovals, routine: chosenRoutine }
     );
 
     if (toolsWarning) {
@@ -201,24 +263,38 @@ export async function POST(request) {
         userId: user.id,
         title: getFirstUserMessageText(messages),
         sourceIds,
+        dryRun,
       });
     }
+    if (actionLog) actionLog.chatId = chatId;
 
     // ─────────────────────────────────────────────────────────────────────────
     // 8. CLEAN MESSAGES & STREAM RESPONSE
     // ─────────────────────────────────────────────────────────────────────────
-    // Clean messages to remove any incomplete tool calls (from cancelled requests)
-    const cleanedMessages = cleanMessages(messages);
+    // Clean messages to remove any incomplete tool calls (from cancelled requests), and
+    // show calls parked in the approval queue with their outcome so far
+    const queuedCalls = actionLog ? await loadQueuedCalls(supabase, messages) : new Map();
+    const cleanedMessages = settleQueuedCalls(cleanMessages(messages), queuedCalls);
+
+    // Approve/reject answers from the client move pending action_log rows along
+    if (actionLog) {
+      await recordApprovalResponses(actionLog.supabase, messages, { userId: user.id });
+    }
 
-    const systemPrompt = buildSystemPrompt(agent, toolRows, sourcesWithHints, tools);
+    const systemPrompt = buildSystemPrompt(agent, toolRows, sourcesWithHints, tools, { dryRun });
 
     console.log('[CHAT]', agent.model_provider, agent.model_name, '|', Object.keys(tools).length, 'tools');
 
+    // Earlier tool outputs are stored as people see them; the model gets its redaction rules on top
+    const redactionBySource = new Map(sourcesWithHints.map(s => [s.id, s.redaction]));
+    const orgRedaction = mergeRedactionPolicies(orgSettings.redaction_policy);
+    const modelMessages = redactMessagesForModel(cleanedMessages, sourceId => redactionBySource.get(sourceId) ?? orgRedaction);
+
     const result = await chat({
       model,
       modelId: agent.model_name,
       system: systemPrompt,
-      messages: cleanedMessages,
+      messages: modelMessages,
       tools,
       temperature: agent.temperature ?? 0.1,
       // Pass request signal for cancellation support
@@ -251,10 +327,21 @@ export async function POST(request) {
           messages: cleanedMessages,
           text: event.text,
           steps: event.steps,
-          usage: event.usage,
+          usage: event.totalUsage ?? event.usage,
           agent,
         });
 
+        await recordTokenUsage(limits, event.totalUsage?.totalTokens ?? event.usage?.totalTokens);
+        await recordLlmUsage(createServiceClient(), {
+          orgId,
+          agentId,
+          userId: isApiKey ? null : user.id,
+          origin: isApiKey ? 'api' : 'chat',
+          provider: agent.model_provider,
+          model: agent.model_name,
+          usage: event.totalUsage ?? event.usage,
+        });
+
         // Track routine success if one was used
         // A routine is successful if:
         // 1. It was matched and used
@@ -268,6 +355,7 @@ export async function POST(request) {
             const { error: incError } = await supabase.rpc('increment_routine_feedback', {
               p_routine_id: matchedRoutine.id,
               p_is_success: true,
+              p_version: matchedRoutine.version,
             });
             if (incError) {
               console.error('[CHAT] Failed to increment routine success:', incError);
@@ -281,6 +369,9 @@ export async function POST(request) {
     // 9. RETURN STREAMING RESPONSE
     // ─────────────────────────────────────────────────────────────────────────
     const responseHeaders = { 'X-Chat-Id': chatId || '' };
+    if (dryRun) {
+      responseHeaders['X-Dry-Run'] = 'true';
+    }
     if (toolsWarning) {
       responseHeaders['X-Tools-Warning'] = toolsWarning;
     }
@@ -294,6 +385,17 @@ export async function POST(request) {
     return toStreamResponse(result, {
       messages,
       headers: responseHeaders,
+      messageMetadata: ({ part }) => {
+        if (part.type !== 'tool-approval-request') return undefined;
+        const { toolCallId } = part.toolCall;
+        const reasons = escalations.get(toolCallId);
+        const queued = queuedApprovals.get(toolCallId);
+        if (!reasons && !queued) return undefined;
+        return {
+          ...(reasons ? { guardrails: { [toolCallId]: reasons } } : {}),
+          ...(queued ? { approvals: { [toolCallId]: queued } } : {}),
+        };
+      },
     });
 
   } catch (error) {
@@ -320,6 +422,10 @@ export async function POST(request) {
       return jsonError(error.message, error.status);
     }
 
+    if (error instanceof RateLimitError) {
+      return rateLimitResponse(error);
+    }
+
     return jsonError(error.message || 'Chat failed', 500);
   }
 }
@@ -328,6 +434,13 @@ export async function POST(request) {
 // HELPERS
 // ─────────────────────────────────────────────────────────────────────────────
 
+// The last user message becomes the routine's prompt
+function withRoutinePrompt(messages, text) {
+  const last = messages.length - 1;
+  if (messages[last]?.role !== 'user') return messages;
+  return [...messages.slice(0, last), { ...messages[last], parts: [{ type: 'text', text }] }];
+}
+
 function jsonError(message, status) {
   return new Response(
     JSON.stringify({ error: message }),
@@ -1,11 +1,14 @@
 import { NextResponse } from 'next/server';
-import { createClient } from '@/utils/supabase/server';
+import { createClient, createServiceClient } from '@/utils/supabase/server';
 
 export const dynamic = 'force-dynamic';
 
 /**
  * GET /api/embed/[token] — Public endpoint to load embed config by token
  * No auth required — security via allowed_origins check + embed_token.
+ *
+ * `routines` are the ones the widget offers (settings.routine_ids), with
+ * their parameters for the widget's forms.
  */
 export async function GET(request, { params }) {
   try {
@@ -15,7 +18,7 @@ export async function GET(request, { params }) {
     // Query embed config only — no join to agents (agents table has no anon RLS policy)
     const { data: config, error } = await supabase
       .from('embed_configs')
-      .select('id, agent_id, name, allowed_origins, theme, settings, is_active')
+      .select('id, org_id, agent_id, name, allowed_origins, theme, settings, is_active')
       .eq('embed_token', token)
       .eq('is_active', true)
       .single();
@@ -35,6 +38,17 @@ export async function GET(request, { params }) {
       }
     }
 
+    // Routines have no anon RLS policy either; only the widget's own are read
+    let routines = [];
+    if (config.settings?.routine_ids?.length) {
+      const { data } = await createServiceClient()
+        .from('routines')
+        .select('id, name, description, parameters')
+        .in('id', config.settings.routine_ids)
+        .eq('org_id', config.org_id);
+      routines = data || [];
+    }
+
     // Return public config (no sensitive data, no agent details — those come via authenticated chat)
     return NextResponse.json({
       ok: true,
@@ -43,6 +57,7 @@ export async function GET(request, { params }) {
         name: config.name,
         theme: config.theme,
         settings: config.settings,
+        routines,
       },
     }, {
       headers: {
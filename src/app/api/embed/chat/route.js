@@ -3,13 +3,22 @@
  *
  * - Authenticates via embed token (not user session)
  * - Only exposes safe (read-only) tools
+ * - Limits messages per visitor (by address) and per widget, and the org's/agent's daily tokens
+ * - Records token usage and cost for the usage dashboard
+ * - Runs the widget's routines: `routine: { id, params }` (from the widget's
+ *   form) is checked against the routine's parameters, and its prompt stands
+ *   in for the visitor's last message, so the prompt is never sent to them
  * - Adds CORS headers for cross-origin embedding
  */
 
-import { createClient } from '@/utils/supabase/server';
+import { createClient, createServiceClient } from '@/utils/supabase/server';
 import { getModelForAgent, chat, toStreamResponse } from '@/lib/ai';
+import { decryptSettings } from '@/lib/secrets';
 import { loadAgentTools } from '@/lib/chat';
-import { convertToolsToAISDK } from '@/lib/tools';
+import { convertToolsToAISDK, mergeEnvironments, withRedaction } from '@/lib/tools';
+import { enforceMessageRate, enforceTokenBudget, recordTokenUsage, visitorAddress, RateLimitError, rateLimitResponse } from '@/lib/limits';
+import { recordLlmUsage } from '@/lib/usage';
+import { resolveRoutineParams, buildRoutinePrompt } from '@/lib/routines';
 
 export const maxDuration = 60;
 export const dynamic = 'force-dynamic';
@@ -22,7 +31,7 @@ export async function POST(request) {
     // ─────────────────────────────────────────────────────────────────────────
     // 1. PARSE & VALIDATE
     // ─────────────────────────────────────────────────────────────────────────
-    const { messages, embedToken } = await request.json();
+    let { messages, embedToken, routine: chosen } = await request.json();
 
     if (!embedToken) {
       return jsonError('embedToken is required', 400);
@@ -54,6 +63,27 @@ export async function POST(request) {
       }
     }
 
+    // A routine picked in the widget: only the widget's own, with valid values
+    if (chosen?.id) {
+      if (!config.settings?.routine_ids?.includes(chosen.id)) {
+        return jsonError('Routine not found', 404);
+      }
+      const { data: routine } = await createServiceClient()
+        .from('routines')
+        .select('id, name, prompt, parameters')
+        .eq('id', chosen.id)
+        .eq('org_id', config.org_id)
+        .maybeSingle();
+      if (!routine) {
+        return jsonError('Routine not found', 404);
+      }
+      const { params, error: paramsError } = resolveRoutineParams(routine.parameters, chosen.params);
+      if (paramsError) {
+        return jsonError(paramsError, 400);
+      }
+      messages = withRoutinePrompt(messages, buildRoutinePrompt(routine, params));
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // 4. LOAD AGENT
     // ─────────────────────────────────────────────────────────────────────────
@@ -78,9 +108,17 @@ export async function POST(request) {
       .eq('id', config.org_id)
       .single();
 
+    const orgSettings = await decryptSettings(config.org_id, org?.settings || {});
+
+    const limits = { orgId: config.org_id, agentId: agent.id, orgLimits: orgSettings.rate_limits, agentLimits: agent.settings?.rate_limits };
+    if (messages?.[messages.length - 1]?.role === 'user') {
+      await enforceMessageRate({ ...limits, subject: visitorAddress(request), embed: true, embedId: config.id });
+    }
+    await enforceTokenBudget(limits);
+
     let model;
     try {
-      model = getModelForAgent(agent, org?.settings || {});
+      model = getModelForAgent(agent, orgSettings);
     } catch (err) {
       return jsonError('LLM not configured', 400);
     }
@@ -104,15 +142,21 @@ export async function POST(request) {
     if (sourceIds.length > 0) {
       const { data: sources } = await supabase
         .from('api_sources')
-        .select('id, name, base_url, auth_type, auth_config, source_type, mcp_server_uri, mcp_transport, mcp_env')
+        .select('id, org_id, name, base_url, servers, server_variables, auth_type, auth_config, request_policy, idempotency_header, redaction_policy, guardrails, approval_policy, rate_limits, source_type, mcp_server_uri, mcp_transport, mcp_env')
         .in('id', sourceIds);
 
-      sourceMap = new Map(sources?.map(s => [s.name, s]) || []);
+      // Embeds have no user credentials, so only the agent picks the environment
+      sourceMap = new Map(sources?.map(s => [s.name, {
+        ...withRedaction(s, orgSettings.redaction_policy),
+        environment: mergeEnvironments(agent.settings?.servers?.[s.id]),
+      }]) || []);
     }
 
     const tools = convertToolsToAISDK(safeToolRows, {
       sourceMap,
       userCredentialsMap: new Map(), // No user credentials in embeds
+      dryRun: agent.settings?.dry_run === true,
+      canApprove: false,
     });
 
     // ─────────────────────────────────────────────────────────────────────────
@@ -133,6 +177,18 @@ export async function POST(request) {
       tools,
       temperature: agent.temperature ?? 0.1,
       maxSteps: 3, // Limit steps for embeds
+      onFinish: async (event) => {
+        await recordTokenUsage(limits, event.totalUsage?.totalTokens ?? event.usage?.totalTokens);
+        await recordLlmUsage(createServiceClient(), {
+          orgId: config.org_id,
+          agentId: agent.id,
+          userId: null,
+          origin: 'embed',
+          provider: agent.model_provider,
+          model: agent.model_name,
+          usage: event.totalUsage ?? event.usage,
+        });
+      },
     });
 
     const response = toStreamResponse(result, { messages });
@@ -147,6 +203,9 @@ export async function POST(request) {
     return response;
 
   } catch (error) {
+    if (error instanceof RateLimitError) {
+      return rateLimitResponse(error);
+    }
     console.error('[EMBED] Error:', error);
     return jsonError(error.message || 'Chat failed', 500);
   }
@@ -178,6 +237,13 @@ function jsonError(message, status) {
   );
 }
 
+// The last user message becomes the routine's prompt
+function withRoutinePrompt(messages, text) {
+  const last = messages?.length - 1;
+  if (!(last >= 0) || messages[last].role !== 'user') return messages;
+  return [...messages.slice(0, last), { ...messages[last], parts: [{ type: 'text', text }] }];
+}
+
 function buildEmbedPrompt(agent, toolRows) {
   const parts = [
     `You are "${agent.name}", an AI assistant embedded on an external website.`,
@@ -0,0 +1,166 @@
+/**
+ * POST /api/embed/lookup — Options for an entity field of a widget's routine form.
+ *
+ * Body: { embedToken, routineId, param, query }
+ *
+ * Runs the parameter's lookup tool the way the widget's chat would: only a
+ * safe (read-only) tool of the widget's agent, with no user credentials.
+ * Each visitor gets EMBED_LOOKUPS_PER_MINUTE, the widget as a whole
+ * EMBED_WIDGET_LOOKUPS_PER_MINUTE, and the call counts against the source's
+ * own limits like any other. The call is logged in action_log
+ * with origin 'embed'.
+ * Returns { options: [{ value, label }] }, or a 429 with Retry-After.
+ */
+
+import { createClient, createServiceClient } from '@/utils/supabase/server';
+import { executeTool, mergeEnvironments, withRedaction, guardrailsForTool } from '@/lib/tools';
+import { decryptSettings } from '@/lib/secrets';
+import { lookupOptions } from '@/lib/routines';
+import { startAction, finishAction } from '@/lib/audit';
+import { enforceLookupRate, visitorAddress, RateLimitError, rateLimitResponse } from '@/lib/limits';
+
+export const dynamic = 'force-dynamic';
+
+const SOURCE_COLUMNS = 'id, org_id, name, base_url, servers, server_variables, auth_type, auth_config, request_policy, idempotency_header, redaction_policy, guardrails, approval_policy, rate_limits, source_type, mcp_server_uri, mcp_transport, mcp_env';
+
+export async function POST(request) {
+  const supabase = await createClient();
+  const origin = request.headers.get('origin');
+
+  try {
+    const { embedToken, routineId, param, query } = await request.json();
+    if (!embedToken || !routineId || !param) {
+      return jsonError('embedToken, routineId and param are required', 400, origin);
+    }
+
+    const { data: config } = await supabase
+      .from('embed_configs')
+      .select('id, agent_id, org_id, allowed_origins, settings, is_active')
+      .eq('embed_token', embedToken)
+      .eq('is_active', true)
+      .single();
+
+    if (!config) {
+      return jsonError('Widget not found or inactive', 404, origin);
+    }
+
+    if (config.allowed_origins.length > 0 && origin) {
+      const allowed = config.allowed_origins.some(
+        o => o === '*' || o === origin || origin.endsWith(o.replace('*.', '.'))
+      );
+      if (!allowed) {
+        return jsonError('Origin not allowed', 403, origin);
+      }
+    }
+
+    if (!config.settings?.routine_ids?.includes(routineId)) {
+      return jsonError('Routine not found', 404, origin);
+    }
+
+    await enforceLookupRate({ orgId: config.org_id, embedId: config.id, subject: visitorAddress(request) });
+
+    const service = createServiceClient();
+    const { data: routine } = await service
+      .from('routines')
+      .select('parameters')
+      .eq('id', routineId)
+      .eq('org_id', config.org_id)
+      .maybeSingle();
+
+    const lookup = routine?.parameters?.[param]?.type === 'entity' ? routine.parameters[param].lookup : null;
+    if (!lookup?.tool_id) {
+      return jsonError(`${param} has no lookup`, 400, origin);
+    }
+
+    // Only the agent's safe GET tools, as in the widget's chat
+    const { data: toolRows } = await supabase.rpc('get_agent_tools', { agent_uuid: config.agent_id });
+    const tool = (toolRows || []).find(
+      t => t.tool_id === lookup.tool_id && t.method === 'GET' && t.risk_level === 'safe' && !t.requires_confirmation
+    );
+    if (!tool) {
+      return jsonError('The lookup tool is not available in this widget', 403, origin);
+    }
+
+    const [{ data: sourceRow }, { data: agent }, { data: org }] = await Promise.all([
+      supabase.from('api_sources').select(SOURCE_COLUMNS).eq('name', tool.source_name).eq('org_id', config.org_id).maybeSingle(),
+      supabase.from('agents').select('settings').eq('id', config.agent_id).single(),
+      supabase.from('org').select('settings').eq('id', config.org_id).single(),
+    ]);
+    if (!sourceRow) {
+      return jsonError('The lookup tool is not available in this widget', 403, origin);
+    }
+
+    const orgSettings = await decryptSettings(config.org_id, org?.settings || {});
+    const source = {
+      ...withRedaction(sourceRow, orgSettings.redaction_policy),
+      environment: mergeEnvironments(agent?.settings?.servers?.[sourceRow.id]),
+    };
+
+    const args = lookup.search_param && query ? { [lookup.search_param]: String(query) } : {};
+    const actionId = await startAction(service, { orgId: config.org_id, agentId: config.agent_id, origin: 'embed' }, {
+      toolId: tool.tool_id,
+      toolName: tool.tool_name,
+      sourceId: sourceRow.id,
+      method: tool.method,
+      args,
+    });
+    const result = await executeTool({
+      tool,
+      source,
+      args,
+      userCredentials: null,
+      userId: null,
+      guardrails: guardrailsForTool(source, tool.tool_id),
+    });
+    await finishAction(service, actionId, result);
+    if (result.rate_limited) {
+      const { message, limit, scope, max, retry_after } = result.rate_limited;
+      return rateLimitResponse(new RateLimitError(message, { limit, scope, max, retryAfter: retry_after }), corsHeaders(origin));
+    }
+    if (result.error_message) {
+      return jsonError(result.error_message, 502, origin);
+    }
+
+    return jsonResponse({ ok: true, options: lookupOptions(result.response_body, lookup) }, 200, origin);
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      return rateLimitResponse(error, corsHeaders(origin));
+    }
+    console.error('[EMBED] Lookup Error:', error);
+    return jsonError('Lookup failed', 500, origin);
+  }
+}
+
+/**
+ * OPTIONS /api/embed/lookup — CORS preflight
+ */
+export async function OPTIONS(request) {
+  const origin = request.headers.get('origin');
+  return new Response(null, {
+    status: 204,
+    headers: corsHeaders(origin),
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+function corsHeaders(origin) {
+  return {
+    'Access-Control-Allow-Origin': origin || '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  };
+}
+
+function jsonResponse(body, status, origin) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders(origin) },
+  });
+}
+
+function jsonError(message, status, origin) {
+  return jsonResponse({ error: message }, status, origin);
+}
@@ -1,4 +1,5 @@
 import { NextResponse } from 'next/server';
+import { verifyAccessToken } from '../oauth/provider.js';
 
 export const dynamic = 'force-dynamic';
 
@@ -258,6 +259,28 @@ async function handleProtected(request) {
   });
 }
 
+// Requires an access token issued by the mock OAuth provider (/api/mock/oauth/*)
+async function handleMe(request) {
+  if (request.method !== 'GET') {
+    return NextResponse.json({ error: 'Method not allowed' }, { status: 405 });
+  }
+
+  const authHeader = request.headers.get('authorization');
+  const grant = authHeader?.startsWith('Bearer ') ? verifyAccessToken(authHeader.slice(7)) : null;
+  if (!grant) {
+    return NextResponse.json(
+      { error: 'invalid_token', message: 'Access token missing, unknown or expired' },
+      { status: 401, headers: { 'WWW-Authenticate': 'Bearer error="invalid_token"' } }
+    );
+  }
+
+  return NextResponse.json({
+    subject: grant.subject,
+    scope: grant.scope,
+    expires_at: new Date(grant.expires).toISOString(),
+  });
+}
+
 // Main handler
 async function handler(request, { params }) {
   const resolvedParams = await params;
@@ -275,7 +298,7 @@ async function handler(request, { params }) {
     return NextResponse.json({
       name: 'ActionChat Mock API',
       version: '1.0.0',
-      endpoints: ['/users', '/orders', '/echo', '/protected', '/reset'],
+      endpoints: ['/users', '/orders', '/echo', '/protected', '/me', '/reset'],
       spec: '/api/mock/openapi.json',
     });
   }
@@ -290,6 +313,8 @@ async function handler(request, { params }) {
       return handleEcho(request);
     case 'protected':
       return handleProtected(request);
+    case 'me':
+      return handleMe(request);
     case 'reset':
       return handleReset(request);
     default:
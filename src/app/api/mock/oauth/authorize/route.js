@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { authorize } from '../provider.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/mock/oauth/authorize - Mock OAuth2 consent screen (auto-approves)
+ * Query: response_type=code, client_id, redirect_uri, state, code_challenge, code_challenge_method=S256, scope?
+ */
+export async function GET(request) {
+  const result = authorize(new URL(request.url).searchParams);
+
+  if (result.redirect) {
+    return NextResponse.redirect(result.redirect);
+  }
+  return NextResponse.json(result.body, { status: result.status });
+}
@@ -0,0 +1,196 @@
+/**
+ * Mock OAuth2 provider
+ *
+ * In-memory authorization server behind /api/mock/oauth/* for testing the
+ * OAuth2 connect flow end to end without a real SaaS account. Auto-approves
+ * every authorize request, requires PKCE (S256) and rotates refresh tokens.
+ *
+ * Source auth_config to use it:
+ *   { authorization_url: <app>/api/mock/oauth/authorize,
+ *     token_url: <app>/api/mock/oauth/token,
+ *     client_id: 'actionchat-mock', scopes: ['profile'] }
+ *
+ * MOCK_OAUTH_TOKEN_TTL (seconds) shortens access token lifetime to exercise refresh.
+ */
+
+import crypto from 'crypto';
+
+export const MOCK_CLIENT_ID = 'actionchat-mock';
+
+const CODE_TTL_MS = 60 * 1000;
+
+// code → { client_id, redirect_uri, code_challenge, scope, subject, expires }
+const authorizationCodes = new Map();
+// access token → { client_id, scope, subject, expires }
+const accessTokens = new Map();
+// refresh token → { client_id, scope, subject }
+const refreshTokens = new Map();
+
+function randomToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+function accessTokenTtl() {
+  return Number(process.env.MOCK_OAUTH_TOKEN_TTL) || 3600;
+}
+
+function isValidRedirectUri(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Handle an authorize request.
+ *
+ * @param {URLSearchParams} params - Query of the authorize request
+ * @returns {{ redirect: string }|{ status: number, body: object }}
+ */
+export function authorize(params) {
+  const redirectUri = params.get('redirect_uri');
+  if (!redirectUri || !isValidRedirectUri(redirectUri)) {
+    return { status: 400, body: { error: 'invalid_request', error_description: 'redirect_uri is required' } };
+  }
+  if (params.get('client_id') !== MOCK_CLIENT_ID) {
+    return { status: 400, body: { error: 'invalid_client', error_description: `Unknown client_id (use "${MOCK_CLIENT_ID}")` } };
+  }
+
+  const redirect = new URL(redirectUri);
+  const state = params.get('state');
+  if (state) redirect.searchParams.set('state', state);
+
+  const fail = (error, description) => {
+    redirect.searchParams.set('error', error);
+    redirect.searchParams.set('error_description', description);
+    return { redirect: redirect.toString() };
+  };
+
+  if (params.get('response_type') !== 'code') {
+    return fail('unsupported_response_type', 'Only response_type=code is supported');
+  }
+  if (!params.get('code_challenge') || params.get('code_challenge_method') !== 'S256') {
+    return fail('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+  }
+
+  const code = randomToken('code');
+  authorizationCodes.set(code, {
+    client_id: MOCK_CLIENT_ID,
+    redirect_uri: redirectUri,
+    code_challenge: params.get('code_challenge'),
+    scope: params.get('scope') || 'profile',
+    subject: params.get('login_hint') || 'mock-user',
+    expires: Date.now() + CODE_TTL_MS,
+  });
+
+  redirect.searchParams.set('code', code);
+  return { redirect: redirect.toString() };
+}
+
+function issueTokens(grant) {
+  const accessToken = randomToken('mat');
+  const refreshToken = randomToken('mrt');
+  const ttl = accessTokenTtl();
+
+  accessTokens.set(accessToken, {
+    client_id: grant.client_id,
+    scope: grant.scope,
+    subject: grant.subject,
+    expires: Date.now() + ttl * 1000,
+  });
+  refreshTokens.set(refreshToken, {
+    client_id: grant.client_id,
+    scope: grant.scope,
+    subject: grant.subject,
+  });
+
+  return {
+    status: 200,
+    body: {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: ttl,
+      refresh_token: refreshToken,
+      scope: grant.scope,
+    },
+  };
+}
+
+/**
+ * Handle a token request (authorization_code or refresh_token grant).
+ *
+ * @param {URLSearchParams} params - Form body of the token request
+ * @param {string|null} clientId - Client ID from HTTP Basic auth, if used
+ * @returns {{ status: number, body: object }}
+ */
+export function token(params, clientId = null) {
+  const client = clientId || params.get('client_id');
+  if (client !== MOCK_CLIENT_ID) {
+    return { status: 401, body: { error: 'invalid_client' } };
+  }
+
+  const grantType = params.get('grant_type');
+
+  if (grantType === 'authorization_code') {
+    const code = params.get('code');
+    const grant = authorizationCodes.get(code);
+    // Codes are single-use
+    authorizationCodes.delete(code);
+
+    if (!grant || grant.expires < Date.now()) {
+      return { status: 400, body: { error: 'invalid_grant', error_description: 'Unknown or expired code' } };
+    }
+    if (grant.redirect_uri !== params.get('redirect_uri')) {
+      return { status: 400, body: { error: 'invalid_grant', error_description: 'redirect_uri mismatch' } };
+    }
+
+    const verifier = params.get('code_verifier') || '';
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    if (challenge !== grant.code_challenge) {
+      return { status: 400, body: { error: 'invalid_grant', error_description: 'PKCE verification failed' } };
+    }
+
+    return issueTokens(grant);
+  }
+
+  if (grantType === 'refresh_token') {
+    const refreshToken = params.get('refresh_token');
+    const grant = refreshTokens.get(refreshToken);
+    // Rotation: the old refresh token stops working
+    refreshTokens.delete(refreshToken);
+
+    if (!grant) {
+      return { status: 400, body: { error: 'invalid_grant', error_description: 'Unknown or used refresh token' } };
+    }
+
+    return issueTokens(grant);
+  }
+
+  return { status: 400, body: { error: 'unsupported_grant_type' } };
+}
+
+/**
+ * Look up a bearer token issued by this provider.
+ *
+ * @returns {{ subject: string, scope: string, expires: number }|null} null if unknown or expired
+ */
+export function verifyAccessToken(accessToken) {
+  const record = accessTokens.get(accessToken);
+  if (!record) return null;
+  if (record.expires < Date.now()) {
+    accessTokens.delete(accessToken);
+    return null;
+  }
+  return record;
+}
+
+/**
+ * Forget every code and token (tests).
+ */
+export function resetMockOAuth() {
+  authorizationCodes.clear();
+  accessTokens.clear();
+  refreshTokens.clear();
+}
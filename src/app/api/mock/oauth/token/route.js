@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { token } from '../provider.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/mock/oauth/token - Mock OAuth2 token endpoint
+ * Form body: grant_type=authorization_code (code, redirect_uri, code_verifier)
+ *         or grant_type=refresh_token (refresh_token)
+ * Client auth: client_id in the body or HTTP Basic.
+ */
+export async function POST(request) {
+  const params = new URLSearchParams(await request.text());
+
+  let clientId = null;
+  const authHeader = request.headers.get('authorization');
+  if (authHeader?.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString();
+    clientId = decodeURIComponent(decoded.split(':')[0]);
+  }
+
+  const result = token(params, clientId);
+  return NextResponse.json(result.body, {
+    status: result.status,
+    headers: { 'Cache-Control': 'no-store' },
+  });
+}
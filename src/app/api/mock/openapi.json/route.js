@@ -291,6 +291,32 @@ export async function GET(request) {
           },
         },
       },
+      '/me': {
+        get: {
+          operationId: 'getMe',
+          summary: 'Current OAuth user',
+          description: 'Requires an access token from the mock OAuth provider. Returns the token subject and scope.',
+          security: [{ mockOAuth: ['profile'] }],
+          responses: {
+            '200': {
+              description: 'Token is valid',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      subject: { type: 'string' },
+                      scope: { type: 'string' },
+                      expires_at: { type: 'string', format: 'date-time' },
+                    },
+                  },
+                },
+              },
+            },
+            '401': { description: 'Missing, unknown or expired token' },
+          },
+        },
+      },
       '/orders': {
         get: {
           operationId: 'listOrders',
@@ -407,6 +433,16 @@ export async function GET(request) {
           type: 'http',
           scheme: 'bearer',
         },
+        mockOAuth: {
+          type: 'oauth2',
+          flows: {
+            authorizationCode: {
+              authorizationUrl: `${baseUrl}/oauth/authorize`,
+              tokenUrl: `${baseUrl}/oauth/token`,
+              scopes: { profile: 'Read the current user' },
+            },
+          },
+        },
       },
     },
   };
@@ -0,0 +1,120 @@
+import { NextResponse } from 'next/server';
+import { createClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { decryptAuthConfig, encryptCredentials } from '@/lib/secrets';
+import {
+  OAUTH_FLOW_COOKIE,
+  getRedirectUri,
+  sanitizeReturnTo,
+  exchangeAuthorizationCode,
+} from '@/lib/oauth';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Redirect back to the page that started the flow and clear the flow cookie.
+ */
+function finish(request, returnTo, params) {
+  const url = new URL(sanitizeReturnTo(returnTo), request.url);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  const response = NextResponse.redirect(url);
+  response.cookies.set(OAUTH_FLOW_COOKIE, '', { path: '/api/oauth', maxAge: 0 });
+  return response;
+}
+
+/**
+ * GET /api/oauth/callback - OAuth2 redirect URI
+ * Query: ?code=...&state=...  (or ?error=access_denied&error_description=...)
+ *
+ * Exchanges the code (with the PKCE verifier from the flow cookie) and stores
+ * the tokens as the user's active credential for the source.
+ */
+export async function GET(request) {
+  const url = new URL(request.url);
+  const cookieStore = await cookies();
+
+  let flow = null;
+  try {
+    flow = JSON.parse(cookieStore.get(OAUTH_FLOW_COOKIE)?.value || 'null');
+  } catch {
+    flow = null;
+  }
+
+  const returnTo = flow?.return_to || '/';
+
+  try {
+    if (!flow?.state || flow.state !== url.searchParams.get('state')) {
+      return finish(request, returnTo, { oauth_error: 'OAuth session expired or state mismatch. Try connecting again.' });
+    }
+
+    const providerError = url.searchParams.get('error');
+    if (providerError) {
+      const description = url.searchParams.get('error_description');
+      return finish(request, returnTo, { oauth_error: description || providerError });
+    }
+
+    const code = url.searchParams.get('code');
+    if (!code) {
+      return finish(request, returnTo, { oauth_error: 'Authorization code missing' });
+    }
+
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user || user.id !== flow.user_id) {
+      return finish(request, returnTo, { oauth_error: 'Signed-in user changed during OAuth. Try connecting again.' });
+    }
+
+    const cookieOrgId = cookieStore.get('org_id')?.value;
+    const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+    const { data: source } = await supabase
+      .from('api_sources')
+      .select('id, name, auth_type, auth_config')
+      .eq('id', flow.source_id)
+      .eq('org_id', orgId)
+      .single();
+
+    if (!source || source.auth_type !== 'oauth2') {
+      return finish(request, returnTo, { oauth_error: 'Source not found' });
+    }
+
+    const authConfig = await decryptAuthConfig(orgId, source.auth_config || {});
+    const credentials = await exchangeAuthorizationCode(authConfig, {
+      code,
+      codeVerifier: flow.code_verifier,
+      redirectUri: getRedirectUri(request.url),
+    });
+
+    // Deactivate all other credentials for this user+source
+    await supabase
+      .from('user_api_credentials')
+      .update({ is_active: false })
+      .eq('user_id', user.id)
+      .eq('source_id', source.id);
+
+    const { error } = await supabase
+      .from('user_api_credentials')
+      .upsert({
+        user_id: user.id,
+        source_id: source.id,
+        label: flow.label || 'Default',
+        credentials: await encryptCredentials(orgId, credentials),
+        server_url: flow.server_url || null,
+        server_variables: flow.server_variables || {},
+        is_active: true,
+      }, {
+        onConflict: 'user_id,source_id,label',
+      });
+
+    if (error) throw error;
+
+    console.log('[OAUTH] Connected:', source.name, '| user:', user.id, '| expires:', credentials.expires_at);
+
+    return finish(request, returnTo, { oauth_connected: source.name });
+  } catch (error) {
+    console.error('[OAUTH] Callback Error:', error);
+    return finish(request, returnTo, { oauth_error: error.message || 'Failed to connect' });
+  }
+}
@@ -0,0 +1,89 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { buildArgsSchema } from '@/lib/tools';
+import { compileRoutineSteps, validateRoutineSteps, changedRoutineFields, saveRoutineVersion } from '@/lib/routines';
+
+export const dynamic = 'force-dynamic';
+
+const SCHEMA_COLUMNS = 'id, method, path, parameters, request_body';
+
+/**
+ * POST /api/routines/[id]/compile - Compile a routine's step graph
+ *
+ * Builds the steps from the tool calls recorded in the routine's source
+ * chat (or, without one, from its tool chain), mapping arguments to the
+ * routine's parameters and earlier responses. Arguments left as recorded
+ * (`literals`) or with nothing to read them from (`unmapped`) are listed
+ * for review.
+ *
+ * Body: { save?: boolean } - save the steps on the routine as a new version
+ * (owner only)
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+
+    const { data: routine, error: routineError } = await supabase
+      .from('routines')
+      .select('id, org_id, prompt, description, parameters, tool_chain, tool_chain_names, mode, steps, source_chat_id, created_by')
+      .eq('id', id)
+      .single();
+
+    if (routineError || !routine) {
+      return NextResponse.json({ error: 'Routine not found' }, { status: 404 });
+    }
+    if (!routine.tool_chain?.length) {
+      return NextResponse.json({ error: 'This routine has no tool chain to compile' }, { status: 400 });
+    }
+    if (body.save && routine.created_by !== user.id) {
+      return NextResponse.json({ error: 'Only the owner can change this routine' }, { status: 403 });
+    }
+
+    let recordedCalls = [];
+    if (routine.source_chat_id) {
+      const { data: messages } = await supabase
+        .from('messages')
+        .select('tool_calls')
+        .eq('chat_id', routine.source_chat_id)
+        .order('created_at', { ascending: true });
+      recordedCalls = (messages || []).flatMap(message => message.tool_calls || []);
+    }
+
+    const [{ data: tools }, { data: templateTools }] = await Promise.all([
+      supabase.from('tools').select(SCHEMA_COLUMNS).in('id', routine.tool_chain),
+      supabase.from('template_tools').select(SCHEMA_COLUMNS).in('id', routine.tool_chain),
+    ]);
+    const argsSchemas = new Map([...(tools || []), ...(templateTools || [])].map(tool => [tool.id, buildArgsSchema(tool)]));
+
+    const compiled = compileRoutineSteps(routine, recordedCalls, argsSchemas);
+    const { steps, error: stepsError } = validateRoutineSteps(compiled.steps, routine.parameters);
+    if (stepsError) {
+      return NextResponse.json({ error: `Could not compile steps: ${stepsError}` }, { status: 422 });
+    }
+
+    if (body.save && changedRoutineFields(routine, { steps }).length > 0) {
+      await saveRoutineVersion(supabase, routine, { steps }, { userId: user.id });
+    }
+
+    return NextResponse.json({
+      ok: true,
+      steps,
+      literals: compiled.literals,
+      unmapped: compiled.unmapped,
+      saved: Boolean(body.save),
+    });
+  } catch (error) {
+    console.error('[ROUTINES] Compile Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to compile routine', details: error.message },
+      { status: 500 }
+    );
+  }
+}
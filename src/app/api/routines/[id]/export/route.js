@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { routineToolIds, describeTools, exportRoutine } from '@/lib/routines';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/routines/[id]/export - A routine in the export format
+ *
+ * Tools are named by template slug and operation_id (or source name), not
+ * this org's ids, so the routine can be imported into another org (see
+ * src/lib/routines/portable.js). `unexported` lists tool ids that no longer
+ * exist and were left out.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { data: routine, error } = await supabase
+      .from('routines')
+      .select('id, name, prompt, description, parameters, tool_chain, mode, steps')
+      .eq('id', id)
+      .single();
+
+    if (error || !routine) {
+      return NextResponse.json({ error: 'Routine not found' }, { status: 404 });
+    }
+
+    const refs = await describeTools(supabase, routineToolIds(routine));
+    const { document, unexported } = exportRoutine(routine, refs);
+
+    return NextResponse.json({ ok: true, routine: document, unexported });
+  } catch (error) {
+    console.error('[ROUTINES] Export Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to export routine', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,16 +1,18 @@
 import { NextResponse } from 'next/server';
 import { createClient, getUserOrgId } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
+import { emitWebhookEvent } from '@/lib/webhooks';
 
 export const dynamic = 'force-dynamic';
 
 /**
  * POST /api/routines/[id]/feedback - Record routine execution feedback
  *
- * Body: { outcome: 'success' | 'failure' }
+ * Body: { outcome: 'success' | 'failure', chat_id?: string }
  *
  * This endpoint allows the UI to record whether a routine execution was successful
- * or not. This powers the confidence scoring system.
+ * or not. This powers the confidence scoring system. Failures emit the
+ * routine.failed webhook.
  */
 export async function POST(request, { params }) {
   try {
@@ -32,7 +34,7 @@ export async function POST(request, { params }) {
     } catch {
       return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
     }
-    const { outcome } = body;
+    const { outcome, chat_id } = body;
 
     if (!['success', 'failure'].includes(outcome)) {
       return NextResponse.json(
@@ -79,6 +81,15 @@ export async function POST(request, { params }) {
 
     console.log('[ROUTINES] Recorded', outcome, 'for routine:', routine.name);
 
+    if (!isSuccess) {
+      await emitWebhookEvent(orgId, 'routine.failed', {
+        routine_id: routine.id,
+        routine_name: routine.name,
+        user_id: user.id,
+        chat_id: chat_id || null,
+      });
+    }
+
     // Calculate new confidence
     const newSuccessCount = isSuccess ? (routine.success_count || 0) + 1 : routine.success_count || 0;
     const newFailureCount = !isSuccess ? (routine.failure_count || 0) + 1 : routine.failure_count || 0;
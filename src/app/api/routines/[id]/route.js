@@ -1,5 +1,8 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@/utils/supabase/server';
+import { getPermissions, requireAdmin } from '@/utils/permissions';
+import { ROUTINE_MODES, VERSIONED_FIELDS, validateRoutineSteps, validateParameterSchema, validateLookupTools, changedRoutineFields, saveRoutineVersion } from '@/lib/routines';
+import { validateRoutineSchedule, nextScheduledRun } from '@/lib/schedules';
 
 export const dynamic = 'force-dynamic';
 
@@ -17,7 +20,7 @@ export async function GET(request, { params }) {
 
     const { data: routine, error } = await supabase
       .from('routines')
-      .select('id, name, prompt, description, parameters, is_shared, use_count, last_used_at, source_chat_id, created_by, created_at')
+      .select('id, name, prompt, description, parameters, is_shared, use_count, last_used_at, source_chat_id, tool_chain, tool_chain_names, mode, steps, schedule, next_run_at, version, created_by, created_at')
       .eq('id', id)
       .single();
 
@@ -38,7 +41,22 @@ export async function GET(request, { params }) {
 /**
  * PATCH /api/routines/[id] - Update a routine
  *
- * Body: { name?, prompt?, description?, parameters?, is_shared? }
+ * Body: { name?, prompt?, description?, parameters?, is_shared?, mode?, steps?, schedule? }
+ *
+ * `parameters` are typed inputs that make the routine's form (see
+ * src/lib/routines/parameters.js); entity lookups must use GET tools.
+ *
+ * `steps` is the compiled step graph (see src/lib/routines/steps.js); a
+ * routine needs steps to run in 'deterministic' mode.
+ *
+ * `schedule` runs the routine on a cron schedule (see src/lib/schedules/schedule.js),
+ * null removes it. The agent must be one you can use; running as the service
+ * identity (the org's shared credentials) is for admins.
+ *
+ * Changing what the routine does (prompt, description, parameters, mode,
+ * steps) saves and publishes a new version with fresh confidence counts
+ * (see src/lib/routines/versions.js). Name, sharing and schedule are not
+ * versioned.
  */
 export async function PATCH(request, { params }) {
   try {
@@ -84,20 +102,131 @@ export async function PATCH(request, { params }) {
 
     if (body.prompt !== undefined) updates.prompt = body.prompt.trim();
     if (body.description !== undefined) updates.description = body.description?.trim() || null;
-    if (body.parameters !== undefined) updates.parameters = body.parameters;
+    if (body.parameters !== undefined) {
+      const { parameters, error: parametersError } = validateParameterSchema(body.parameters);
+      const lookupError = parametersError || await validateLookupTools(supabase, parameters);
+      if (lookupError) {
+        return NextResponse.json({ error: lookupError }, { status: 400 });
+      }
+      updates.parameters = parameters;
+    }
     if (body.is_shared !== undefined) updates.is_shared = body.is_shared;
 
+    if (body.mode !== undefined && !ROUTINE_MODES.includes(body.mode)) {
+      return NextResponse.json({ error: `mode must be one of ${ROUTINE_MODES.join(', ')}` }, { status: 400 });
+    }
+
+    if (body.steps !== undefined || body.mode === 'deterministic' || body.parameters !== undefined) {
+      const { data: current } = await supabase
+        .from('routines')
+        .select('parameters, mode, steps')
+        .eq('id', id)
+        .single();
+
+      // Steps reference parameters, so check them against the parameters they will run with
+      const parameters = updates.parameters ?? current?.parameters ?? {};
+      const { steps, error: stepsError } = validateRoutineSteps(
+        body.steps !== undefined ? body.steps : current?.steps,
+        parameters
+      );
+      if (stepsError) {
+        return NextResponse.json({ error: stepsError }, { status: 400 });
+      }
+      if (body.steps !== undefined) updates.steps = steps;
+
+      const mode = body.mode ?? current?.mode;
+      if (mode === 'deterministic' && !steps?.length) {
+        return NextResponse.json({ error: 'Compile the routine\'s steps before switching it to deterministic mode' }, { status: 400 });
+      }
+    }
+    if (body.mode !== undefined) updates.mode = body.mode;
+
+    if (body.schedule !== undefined || body.parameters !== undefined) {
+      const { data: current } = await supabase
+        .from('routines')
+        .select('org_id, parameters, schedule')
+        .eq('id', id)
+        .single();
+
+      // Schedule params are checked against the parameters they will run with
+      const input = body.schedule !== undefined ? body.schedule : current?.schedule;
+      const { schedule, error: scheduleError } = validateRoutineSchedule(
+        input && current?.schedule?.chat_id && !input.chat_id ? { ...input, chat_id: current.schedule.chat_id } : input,
+        updates.parameters ?? current?.parameters ?? {}
+      );
+      if (scheduleError) {
+        return NextResponse.json({ error: scheduleError }, { status: 400 });
+      }
+
+      if (body.schedule !== undefined && schedule) {
+        const { data: agent } = await supabase
+          .from('agents')
+          .select('id')
+          .eq('id', schedule.agent_id)
+          .eq('org_id', current?.org_id)
+          .eq('is_active', true)
+          .maybeSingle();
+        if (!agent) {
+          return NextResponse.json({ error: 'Agent not found or inactive' }, { status: 404 });
+        }
+
+        if (schedule.run_as === 'service') {
+          const adminErr = requireAdmin(await getPermissions(user.id, current.org_id));
+          if (adminErr) {
+            return NextResponse.json({ error: 'Only admins can run a routine as the service identity' }, { status: adminErr.status });
+          }
+        }
+      }
+
+      if (body.schedule !== undefined) {
+        updates.schedule = schedule;
+        updates.next_run_at = nextScheduledRun(schedule);
+      }
+    }
+
     if (Object.keys(updates).length === 0) {
       return NextResponse.json({ error: 'No updates provided' }, { status: 400 });
     }
 
-    const { data: routine, error } = await supabase
-      .from('routines')
-      .update(updates)
-      .eq('id', id)
-      .eq('created_by', user.id) // only owner can update
-      .select('id, name, prompt, description, parameters, is_shared')
-      .single();
+    const versionUpdates = {};
+    for (const field of VERSIONED_FIELDS) {
+      if (updates[field] === undefined) continue;
+      versionUpdates[field] = updates[field];
+      delete updates[field];
+    }
+
+    if (Object.keys(versionUpdates).length > 0) {
+      const { data: current } = await supabase
+        .from('routines')
+        .select(`id, org_id, version, ${VERSIONED_FIELDS.join(', ')}`)
+        .eq('id', id)
+        .eq('created_by', user.id) // only owner can update
+        .maybeSingle();
+
+      if (!current) {
+        return NextResponse.json({ error: 'Routine not found or not owned by you' }, { status: 404 });
+      }
+
+      // Saving the same content again is not a new version
+      if (changedRoutineFields(current, versionUpdates).length > 0) {
+        await saveRoutineVersion(supabase, current, versionUpdates, { userId: user.id });
+      }
+    }
+
+    const columns = 'id, name, prompt, description, parameters, is_shared, mode, steps, schedule, next_run_at, version';
+    const { data: routine, error } = Object.keys(updates).length > 0
+      ? await supabase
+        .from('routines')
+        .update(updates)
+        .eq('id', id)
+        .eq('created_by', user.id) // only owner can update
+        .select(columns)
+        .maybeSingle()
+      : await supabase
+        .from('routines')
+        .select(columns)
+        .eq('id', id)
+        .maybeSingle();
 
     if (error) throw error;
     if (!routine) {
@@ -0,0 +1,159 @@
+import { NextResponse } from 'next/server';
+import { createClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { getPermissions, requireMember } from '@/utils/permissions';
+import { decryptSettings } from '@/lib/secrets';
+import { advanceRoutineRun, saveRun, finishRun, RUN_COLUMNS } from '@/lib/routines';
+
+export const maxDuration = 60;
+export const dynamic = 'force-dynamic';
+
+async function loadRun(supabase, routineId, runId) {
+  const { data: run } = await supabase
+    .from('routine_runs')
+    .select(RUN_COLUMNS)
+    .eq('id', runId)
+    .eq('routine_id', routineId)
+    .maybeSingle();
+  return run;
+}
+
+/**
+ * GET /api/routines/[id]/runs/[runId] - A run's progress
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id, runId } = await params;
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const run = await loadRun(supabase, id, runId);
+    if (!run) {
+      return NextResponse.json({ error: 'Run not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ ok: true, run });
+  } catch (error) {
+    console.error('[ROUTINES] GET run Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to get run', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/routines/[id]/runs/[runId] - Confirm or cancel a paused run
+ *
+ * Body: { action: 'confirm' | 'cancel' }
+ *
+ * Confirming runs the step the run is waiting on and continues with the
+ * rest; cancelling ends the run without running it.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id, runId } = await params;
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const cookieStore = await cookies();
+    const cookieOrgId = cookieStore.get('org_id')?.value;
+    const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+    const perms = await getPermissions(user.id, orgId);
+    const memberErr = requireMember(perms);
+    if (memberErr) return NextResponse.json({ error: memberErr.error }, { status: memberErr.status });
+
+    const { action } = await request.json().catch(() => ({}));
+    if (!['confirm', 'cancel'].includes(action)) {
+      return NextResponse.json({ error: 'action must be "confirm" or "cancel"' }, { status: 400 });
+    }
+
+    const run = await loadRun(supabase, id, runId);
+    if (!run) {
+      return NextResponse.json({ error: 'Run not found' }, { status: 404 });
+    }
+    if (run.status !== 'needs_confirmation') {
+      return NextResponse.json({ error: `This run is ${run.status.replace('_', ' ')}` }, { status: 409 });
+    }
+
+    // Claim the paused run so a repeated click can't run the step twice
+    const { data: claimed } = await supabase
+      .from('routine_runs')
+      .update({ status: action === 'confirm' ? 'running' : 'cancelled' })
+      .eq('id', run.id)
+      .eq('status', 'needs_confirmation')
+      .select('id')
+      .maybeSingle();
+    if (!claimed) {
+      return NextResponse.json({ error: 'This run was already answered' }, { status: 409 });
+    }
+
+    const { data: routine } = await supabase
+      .from('routines')
+      .select('id, name, prompt, parameters, steps, version')
+      .eq('id', id)
+      .single();
+    if (!routine) {
+      return NextResponse.json({ error: 'Routine not found' }, { status: 404 });
+    }
+
+    if (action === 'cancel') {
+      const { [run.pending.step_id]: _pending, ...results } = run.results || {};
+      const cancelled = { ...run, status: 'cancelled', results, pending: null };
+      await saveRun(supabase, cancelled);
+      const summary = await finishRun(supabase, { run: cancelled, routine, steps: routine.steps || [], orgId, userId: user.id });
+      return NextResponse.json({ ok: true, run: { ...cancelled, summary } });
+    }
+
+    const { data: agent } = await supabase
+      .from('agents')
+      .select('*')
+      .eq('id', run.agent_id)
+      .eq('is_active', true)
+      .single();
+    if (!agent) {
+      await saveRun(supabase, { ...run, status: 'failed', error: 'Agent not found or inactive' });
+      return NextResponse.json({ error: 'Agent not found or inactive' }, { status: 404 });
+    }
+
+    let dryRun = agent.settings?.dry_run === true;
+    if (!dryRun && run.chat_id) {
+      const { data: chat } = await supabase
+        .from('chats')
+        .select('dry_run')
+        .eq('id', run.chat_id)
+        .maybeSingle();
+      dryRun = chat?.dry_run === true;
+    }
+
+    const { data: org } = await supabase
+      .from('org')
+      .select('settings')
+      .eq('id', orgId)
+      .single();
+    const orgSettings = await decryptSettings(orgId, org?.settings || {});
+
+    const advanced = await advanceRoutineRun(supabase, {
+      run,
+      routine,
+      agent,
+      context: { orgId, userId: user.id, role: perms.role, dryRun, redactionPolicy: orgSettings.redaction_policy },
+      confirmedStepId: run.pending.step_id,
+    });
+
+    return NextResponse.json({ ok: true, run: advanced, steps: routine.steps });
+  } catch (error) {
+    console.error('[ROUTINES] POST run Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to continue run', details: error.message },
+      { status: 500 }
+    );
+  }
+}
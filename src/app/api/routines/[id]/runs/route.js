@@ -0,0 +1,131 @@
+import { NextResponse } from 'next/server';
+import { createClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { getPermissions, requireMember } from '@/utils/permissions';
+import { createChat } from '@/lib/chat';
+import { decryptSettings } from '@/lib/secrets';
+import { resolveRoutineParams, advanceRoutineRun, RUN_COLUMNS } from '@/lib/routines';
+
+export const maxDuration = 60;
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/routines/[id]/runs - Run a deterministic routine
+ *
+ * Executes the routine's compiled steps with the agent's tools until the
+ * run completes, pauses for confirmation (`needs_confirmation`, resume with
+ * POST /api/routines/[id]/runs/[runId]) or fails. A failed run returns
+ * `fallback_prompt`, the message that continues the routine in LLM mode.
+ *
+ * Body: { agentId: string, chatId?: string, params?: object, dryRun?: boolean }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const cookieStore = await cookies();
+    const cookieOrgId = cookieStore.get('org_id')?.value;
+    const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+    const perms = await getPermissions(user.id, orgId);
+    const memberErr = requireMember(perms);
+    if (memberErr) return NextResponse.json({ error: memberErr.error }, { status: memberErr.status });
+
+    const body = await request.json().catch(() => ({}));
+    if (!body.agentId) {
+      return NextResponse.json({ error: 'agentId is required' }, { status: 400 });
+    }
+
+    const { data: routine, error: routineError } = await supabase
+      .from('routines')
+      .select('id, name, prompt, parameters, mode, steps, version')
+      .eq('id', id)
+      .eq('org_id', orgId)
+      .single();
+
+    if (routineError || !routine) {
+      return NextResponse.json({ error: 'Routine not found' }, { status: 404 });
+    }
+    if (routine.mode !== 'deterministic' || !routine.steps?.length) {
+      return NextResponse.json({ error: 'This routine does not run in deterministic mode' }, { status: 400 });
+    }
+
+    const { params: values, error: paramsError } = resolveRoutineParams(routine.parameters, body.params);
+    if (paramsError) {
+      return NextResponse.json({ error: paramsError }, { status: 400 });
+    }
+
+    const { data: agent } = await supabase
+      .from('agents')
+      .select('*')
+      .eq('id', body.agentId)
+      .eq('org_id', orgId)
+      .eq('is_active', true)
+      .single();
+
+    if (!agent) {
+      return NextResponse.json({ error: 'Agent not found or inactive' }, { status: 404 });
+    }
+
+    // Dry run as in chat: forced by the agent, or chosen for this chat
+    let dryRun = agent.settings?.dry_run === true || body.dryRun === true;
+    let chatId = body.chatId || null;
+    if (chatId) {
+      const { data: chat } = await supabase
+        .from('chats')
+        .select('id, dry_run')
+        .eq('id', chatId)
+        .eq('user_id', user.id)
+        .maybeSingle();
+      if (!chat) {
+        return NextResponse.json({ error: 'Chat not found' }, { status: 404 });
+      }
+      dryRun = dryRun || chat.dry_run === true;
+    } else {
+      chatId = await createChat(supabase, { orgId, agentId: agent.id, userId: user.id, title: `/${routine.name}`, dryRun });
+    }
+
+    const { data: org } = await supabase
+      .from('org')
+      .select('settings')
+      .eq('id', orgId)
+      .single();
+    const orgSettings = await decryptSettings(orgId, org?.settings || {});
+
+    const { data: run, error: insertError } = await supabase
+      .from('routine_runs')
+      .insert({
+        org_id: orgId,
+        routine_id: routine.id,
+        agent_id: agent.id,
+        chat_id: chatId,
+        user_id: user.id,
+        params: values,
+        status: 'running',
+      })
+      .select(RUN_COLUMNS)
+      .single();
+
+    if (insertError) throw insertError;
+
+    const advanced = await advanceRoutineRun(supabase, {
+      run,
+      routine,
+      agent,
+      context: { orgId, userId: user.id, role: perms.role, dryRun, redactionPolicy: orgSettings.redaction_policy },
+    });
+
+    return NextResponse.json({ ok: true, run: advanced, steps: routine.steps }, { status: 201 });
+  } catch (error) {
+    console.error('[ROUTINES] Run Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to run routine', details: error.message },
+      { status: 500 }
+    );
+  }
+}
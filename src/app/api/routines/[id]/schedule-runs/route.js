@@ -0,0 +1,86 @@
+import { NextResponse } from 'next/server';
+import { createClient, createServiceClient } from '@/utils/supabase/server';
+import { runScheduledRoutine, SCHEDULE_RUN_COLUMNS, SCHEDULED_ROUTINE_COLUMNS } from '@/lib/schedules';
+
+export const maxDuration = 300;
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/routines/[id]/schedule-runs - A scheduled routine's run history
+ *
+ * Newest first. Visible to the routine's creator and org admins.
+ *
+ * Query: ?limit=20 (max 100)
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '20', 10) || 20, 1), 100);
+
+    const { data: runs, error } = await supabase
+      .from('routine_schedule_runs')
+      .select(SCHEDULE_RUN_COLUMNS)
+      .eq('routine_id', id)
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return NextResponse.json({ ok: true, runs: runs || [] });
+  } catch (error) {
+    console.error('[SCHEDULES] GET runs Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to get run history', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/routines/[id]/schedule-runs - Run a scheduled routine now
+ *
+ * Runs it with its schedule's settings (agent, identity, params, delivery),
+ * whether or not the schedule is enabled, and records it as a manual run.
+ * Only the routine's creator can.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { data: routine } = await supabase
+      .from('routines')
+      .select(SCHEDULED_ROUTINE_COLUMNS)
+      .eq('id', id)
+      .eq('created_by', user.id)
+      .maybeSingle();
+
+    if (!routine) {
+      return NextResponse.json({ error: 'Routine not found or not owned by you' }, { status: 404 });
+    }
+    if (!routine.schedule) {
+      return NextResponse.json({ error: 'This routine has no schedule' }, { status: 400 });
+    }
+
+    const run = await runScheduledRoutine(createServiceClient(), routine, { trigger: 'manual' });
+
+    return NextResponse.json({ ok: true, run }, { status: 201 });
+  } catch (error) {
+    console.error('[SCHEDULES] Run now Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to run routine', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,139 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { VERSION_COLUMNS, VERSIONED_FIELDS, diffRoutineVersions, publishRoutineVersion } from '@/lib/routines';
+import { validateRoutineSchedule } from '@/lib/schedules';
+
+export const dynamic = 'force-dynamic';
+
+const parseVersion = (value) => (/^\d+$/.test(value || '') ? parseInt(value, 10) : null);
+
+async function loadVersion(supabase, routineId, version) {
+  const { data } = await supabase
+    .from('routine_versions')
+    .select(VERSION_COLUMNS)
+    .eq('routine_id', routineId)
+    .eq('version', version)
+    .maybeSingle();
+  return data;
+}
+
+/**
+ * GET /api/routines/[id]/versions/[version] - One version, and what changed
+ *
+ * Query: ?compare=N - diff against version N instead of the one before it
+ *
+ * `diff` lists the fields that differ, each as lines marked equal, add or
+ * remove (see diffRoutineVersions). Version 1 has nothing to compare with
+ * unless `compare` is given.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id, version: versionParam } = await params;
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const number = parseVersion(versionParam);
+    const { searchParams } = new URL(request.url);
+    const compareParam = searchParams.get('compare');
+    const compare = compareParam === null ? (number ?? 0) - 1 : parseVersion(compareParam);
+    if (number === null || compare === null) {
+      return NextResponse.json({ error: 'Versions are whole numbers' }, { status: 400 });
+    }
+
+    const version = await loadVersion(supabase, id, number);
+    if (!version) {
+      return NextResponse.json({ error: 'Version not found' }, { status: 404 });
+    }
+
+    let base = null;
+    if (compare > 0) {
+      base = await loadVersion(supabase, id, compare);
+      if (!base) {
+        return NextResponse.json({ error: `Version ${compare} not found` }, { status: 404 });
+      }
+    }
+
+    return NextResponse.json({
+      ok: true,
+      version,
+      compare: base?.version ?? null,
+      diff: base ? diffRoutineVersions(base, version) : [],
+    });
+  } catch (error) {
+    console.error('[ROUTINES] GET version Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to get version', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/routines/[id]/versions/[version] - Roll back to a version
+ *
+ * Body: { action: 'publish' }
+ *
+ * Publishes the version again: the routine runs and matches with its
+ * content and confidence from then on. No new version is made; the next
+ * edit is numbered after the newest one. Only the routine's creator can,
+ * and not while the routine's schedule params don't fit the version.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id, version: versionParam } = await params;
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    if (body.action !== 'publish') {
+      return NextResponse.json({ error: 'action must be "publish"' }, { status: 400 });
+    }
+
+    const number = parseVersion(versionParam);
+    if (number === null) {
+      return NextResponse.json({ error: 'Versions are whole numbers' }, { status: 400 });
+    }
+
+    const { data: routine } = await supabase
+      .from('routines')
+      .select(`id, version, schedule, ${VERSIONED_FIELDS.join(', ')}`)
+      .eq('id', id)
+      .eq('created_by', user.id) // only owner can roll back
+      .maybeSingle();
+
+    if (!routine) {
+      return NextResponse.json({ error: 'Routine not found or not owned by you' }, { status: 404 });
+    }
+
+    const version = await loadVersion(supabase, id, number);
+    if (!version) {
+      return NextResponse.json({ error: 'Version not found' }, { status: 404 });
+    }
+
+    // A schedule's params must still fit the parameters it would run with
+    if (routine.schedule) {
+      const { error: scheduleError } = validateRoutineSchedule(routine.schedule, version.parameters || {});
+      if (scheduleError) {
+        return NextResponse.json({ error: `The routine's schedule doesn't fit version ${number}: ${scheduleError}` }, { status: 409 });
+      }
+    }
+
+    if (version.version !== routine.version) {
+      await publishRoutineVersion(supabase, routine, version);
+    }
+
+    return NextResponse.json({ ok: true, published: version.version });
+  } catch (error) {
+    console.error('[ROUTINES] Publish version Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to roll back routine', details: error.message },
+      { status: 500 }
+    );
+  }
+}
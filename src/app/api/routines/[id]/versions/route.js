@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { createClient, createServiceClient } from '@/utils/supabase/server';
+import { VERSION_COLUMNS } from '@/lib/routines';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/routines/[id]/versions - A routine's version history
+ *
+ * Newest first, with each version's author, time and its own confidence
+ * (from the feedback it got while published). `published` is the version
+ * the routine runs now.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { data: routine } = await supabase
+      .from('routines')
+      .select('id, version')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!routine) {
+      return NextResponse.json({ error: 'Routine not found' }, { status: 404 });
+    }
+
+    const { data: versions, error } = await supabase
+      .from('routine_versions')
+      .select(VERSION_COLUMNS)
+      .eq('routine_id', id)
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+
+    // Author names
+    const authorIds = new Set((versions || []).map((v) => v.created_by).filter(Boolean));
+    const authors = new Map();
+    if (authorIds.size > 0) {
+      const { data } = await createServiceClient().auth.admin.listUsers();
+      for (const u of data?.users || []) {
+        if (authorIds.has(u.id)) {
+          authors.set(u.id, u.user_metadata?.full_name || u.email?.split('@')[0] || 'Unknown');
+        }
+      }
+    }
+
+    return NextResponse.json({
+      ok: true,
+      published: routine.version,
+      versions: (versions || []).map((v) => {
+        const total = v.success_count + v.failure_count;
+        const confidence = total < 3 ? 0.5 : (v.success_count + 1) / (total + 2);
+        return {
+          ...v,
+          author: v.created_by ? authors.get(v.created_by) || 'Unknown' : null,
+          confidence: Math.round(confidence * 100),
+          is_published: v.version === routine.version,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error('[ROUTINES] GET versions Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to get versions', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -3,6 +3,8 @@ import { createClient, getUserOrgId } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
 import { generateText } from 'ai';
 import { getModel } from '@/lib/ai';
+import { decryptSettings } from '@/lib/secrets';
+import { PARAMETER_TYPES } from '@/lib/routines';
 
 export const dynamic = 'force-dynamic';
 
@@ -75,7 +77,7 @@ export async function POST(request) {
       .eq('id', orgId)
       .single();
 
-    const orgSettings = org?.settings || {};
+    const orgSettings = await decryptSettings(orgId, org?.settings || {});
 
     // Format chat history for extraction
     const chatHistory = formatChatForExtraction(messages);
@@ -204,7 +206,7 @@ IMPORTANT GUIDELINES:
 - Focus on the SEQUENCE of actions, not the specific data
 - Identify values that were user inputs (like email addresses, IDs) vs derived data
 - The prompt should be instructions for an AI to replicate this workflow
-- Parameters should have clear types and descriptions
+- Parameters should have clear types and descriptions: email for email addresses, date (YYYY-MM-DD) for days, enum with its options when only a few values make sense
 - Keep the prompt concise but complete
 
 Respond with valid JSON only, in this exact format:
@@ -212,9 +214,10 @@ Respond with valid JSON only, in this exact format:
   "prompt": "Step-by-step instructions for the AI to follow...",
   "parameters": {
     "paramName": {
-      "type": "string|number|boolean",
+      "type": "string|number|boolean|email|date|enum",
       "description": "What this parameter is for",
-      "required": true|false
+      "required": true|false,
+      "options": ["only", "for", "enum"]
     }
   },
   "description": "One sentence describing what this routine does",
@@ -254,7 +257,7 @@ Remember to respond with valid JSON only.`;
 
     return {
       prompt: parsed.prompt,
-      parameters: parsed.parameters || {},
+      parameters: normalizeExtractedParameters(parsed.parameters),
       description: parsed.description || '',
       suggestedName: parsed.suggestedName || 'new-routine',
     };
@@ -263,3 +266,15 @@ Remember to respond with valid JSON only.`;
     throw new Error('Failed to parse routine extraction. The AI response was not valid JSON.');
   }
 }
+
+// Types the model made up, or an enum without options, become plain text so the
+// routine still saves (see validateParameterSchema)
+function normalizeExtractedParameters(parameters) {
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) return {};
+  return Object.fromEntries(Object.entries(parameters).map(([name, spec]) => {
+    const { options, ...rest } = spec || {};
+    if (spec?.type === 'enum' && Array.isArray(options) && options.length) return [name, { ...rest, options }];
+    const type = PARAMETER_TYPES.includes(spec?.type) && !['enum', 'entity'].includes(spec.type) ? spec.type : 'string';
+    return [name, { ...rest, type }];
+  }));
+}
@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+import { createClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { galleryRoutines } from '@/lib/routines';
+import integrationsData from '../../../../../docs/integrations.json';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/routines/gallery — Starter routines shipped with templates
+ *
+ * Query params:
+ * - template: Only this template's routines (slug)
+ * - search: Search by name or description
+ *
+ * Public like the template list. Signed in, each routine also says whether
+ * the templates it needs are connected in the current org (`ready`), and
+ * which are not (`needs`).
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const template = searchParams.get('template');
+    const search = searchParams.get('search')?.toLowerCase();
+
+    let routines = galleryRoutines(integrationsData.integrations);
+    if (template) {
+      routines = routines.filter((r) => r.template.slug === template);
+    }
+    if (search) {
+      routines = routines.filter(
+        (r) =>
+          r.name.toLowerCase().includes(search) ||
+          r.description?.toLowerCase().includes(search)
+      );
+    }
+
+    const supabase = await createClient();
+    const {
+      data: { user },
+    } = await supabase.auth.getUser();
+
+    // Templates connected in the org, by slug
+    let connected = null;
+    if (user) {
+      const cookieStore = await cookies();
+      const orgId = await getUserOrgId(supabase, cookieStore.get('org_id')?.value);
+      const { data: sources } = await supabase
+        .from('api_sources')
+        .select('template_id')
+        .eq('org_id', orgId)
+        .eq('is_active', true)
+        .not('template_id', 'is', null);
+      const templateIds = new Set((sources || []).map((s) => s.template_id));
+      connected = new Set(
+        integrationsData.integrations.filter((i) => templateIds.has(i.id)).map((i) => i.slug)
+      );
+    }
+
+    return NextResponse.json({
+      ok: true,
+      routines: routines.map((r) => {
+        const needs = [...new Set((r.tools || []).map((t) => t.template).filter(Boolean))];
+        return {
+          ...r,
+          needs: connected ? needs.filter((slug) => !connected.has(slug)) : needs,
+          ready: connected ? needs.every((slug) => connected.has(slug)) : null,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error('[ROUTINES] Gallery Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to list gallery routines', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,165 @@
+import { NextResponse } from 'next/server';
+import { createClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { generateEmbedding } from '@/lib/ai';
+import {
+  parseRoutineExport,
+  routineToolRefs,
+  findTools,
+  remapRoutine,
+  galleryRoutines,
+  validateParameterSchema,
+  validateLookupTools,
+  validateRoutineSteps,
+  routineSnapshot,
+} from '@/lib/routines';
+import integrationsData from '../../../../../docs/integrations.json';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/routines/import - Import an exported routine into the current org
+ *
+ * Body: { routine?, gallery?, name?, is_shared?, dry_run? }
+ * - routine: An export document (GET /api/routines/[id]/export)
+ * - gallery: Or the id of a starter routine (GET /api/routines/gallery)
+ * - name: Import under another name (the name is taken)
+ * - dry_run: Only report what the import would do
+ *
+ * Each tool is remapped to this org's sources (see src/lib/routines/portable.js).
+ * Tools that are not there are reported in `missing` (with a `reason`), and
+ * what needed them in `changes`; the routine is imported without them.
+ */
+export async function POST(request) {
+  try {
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const cookieStore = await cookies();
+    const cookieOrgId = cookieStore.get('org_id')?.value;
+    const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+    }
+
+    let input = body.routine;
+    if (body.gallery) {
+      input = galleryRoutines(integrationsData.integrations).find((r) => r.id === body.gallery);
+      if (!input) {
+        return NextResponse.json({ error: 'Gallery routine not found' }, { status: 404 });
+      }
+    }
+
+    const { document, error: parseError } = parseRoutineExport(input);
+    if (parseError) {
+      return NextResponse.json({ error: parseError }, { status: 400 });
+    }
+
+    const { toolIds, missing } = await findTools(supabase, orgId, routineToolRefs(document));
+    const { routine: remapped, changes } = remapRoutine(document, toolIds);
+
+    const { parameters, error: parametersError } = validateParameterSchema(remapped.parameters);
+    const lookupError = parametersError || await validateLookupTools(supabase, parameters);
+    if (lookupError) {
+      return NextResponse.json({ error: lookupError }, { status: 400 });
+    }
+    const { steps, error: stepsError } = validateRoutineSteps(remapped.steps, parameters);
+    if (stepsError) {
+      return NextResponse.json({ error: stepsError }, { status: 400 });
+    }
+
+    // Normalize name (lowercase, no spaces)
+    const normalizedName = (body.name?.trim() || remapped.name).toLowerCase().replace(/\s+/g, '-');
+
+    const { data: existing } = await supabase
+      .from('routines')
+      .select('id')
+      .eq('org_id', orgId)
+      .eq('name', normalizedName)
+      .maybeSingle();
+
+    if (body.dry_run) {
+      return NextResponse.json({
+        ok: true,
+        preview: {
+          name: normalizedName,
+          name_taken: Boolean(existing),
+          description: remapped.description,
+          parameters,
+          tools: remapped.tool_chain_names,
+          mode: remapped.mode,
+        },
+        missing,
+        changes,
+      });
+    }
+
+    if (existing) {
+      return NextResponse.json(
+        { error: `A routine named "/${normalizedName}" already exists` },
+        { status: 409 }
+      );
+    }
+
+    let embedding = null;
+    try {
+      embedding = await generateEmbedding(`${remapped.prompt} ${remapped.description || ''}`);
+    } catch (embErr) {
+      console.warn('[ROUTINES] Failed to generate embedding:', embErr.message);
+    }
+
+    const insertData = {
+      org_id: orgId,
+      created_by: user.id,
+      name: normalizedName,
+      prompt: remapped.prompt,
+      description: remapped.description,
+      parameters,
+      is_shared: body.is_shared || false,
+      tool_chain: remapped.tool_chain,
+      tool_chain_names: remapped.tool_chain_names,
+      mode: remapped.mode,
+      steps,
+    };
+    if (embedding) {
+      insertData.embedding_1536 = embedding;
+    }
+
+    const { data: routine, error } = await supabase
+      .from('routines')
+      .insert(insertData)
+      .select('id, org_id, name, prompt, description, parameters, is_shared, source_chat_id, tool_chain, tool_chain_names, mode, steps, version, created_at')
+      .single();
+
+    if (error) throw error;
+
+    // Version 1, as for a routine created here
+    const { error: versionError } = await supabase
+      .from('routine_versions')
+      .insert({
+        routine_id: routine.id,
+        org_id: routine.org_id,
+        version: routine.version,
+        ...routineSnapshot(routine),
+        created_by: user.id,
+      });
+    if (versionError) throw versionError;
+
+    console.log('[ROUTINES] Imported routine:', routine.name, '|', routine.tool_chain.length, 'tools,', missing.length, 'missing');
+
+    return NextResponse.json({ ok: true, routine, missing, changes }, { status: 201 });
+  } catch (error) {
+    console.error('[ROUTINES] Import Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to import routine', details: error.message },
+      { status: 500 }
+    );
+  }
+}
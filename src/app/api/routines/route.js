@@ -2,6 +2,7 @@ import { NextResponse } from 'next/server';
 import { createClient, getUserOrgId } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
 import { generateEmbedding } from '@/lib/ai';
+import { routineSnapshot, validateParameterSchema, validateLookupTools } from '@/lib/routines';
 
 export const dynamic = 'force-dynamic';
 
@@ -23,7 +24,7 @@ export async function GET(request) {
     // Get user's own routines + shared routines in org
     const { data: routines, error } = await supabase
       .from('routines')
-      .select('id, name, prompt, description, parameters, is_shared, use_count, last_used_at, source_chat_id, created_by, created_at, tool_chain, tool_chain_names, success_count, failure_count')
+      .select('id, name, prompt, description, parameters, is_shared, use_count, last_used_at, source_chat_id, created_by, created_at, tool_chain, tool_chain_names, mode, steps, schedule, next_run_at, version, success_count, failure_count')
       .or(`created_by.eq.${user.id},and(is_shared.eq.true,org_id.eq.${orgId})`)
       .order('use_count', { ascending: false });
 
@@ -56,6 +57,9 @@ export async function GET(request) {
  * POST /api/routines - Create a routine
  *
  * Body: { name, prompt, description?, parameters?, source_chat_id?, is_shared?, tool_chain?, tool_chain_names? }
+ *
+ * `parameters` are typed inputs that make the routine's form (see
+ * src/lib/routines/parameters.js).
  */
 export async function POST(request) {
   try {
@@ -84,6 +88,12 @@ export async function POST(request) {
       return NextResponse.json({ error: 'prompt is required' }, { status: 400 });
     }
 
+    const { parameters: parameterSchema, error: parametersError } = validateParameterSchema(parameters);
+    const lookupError = parametersError || await validateLookupTools(supabase, parameterSchema);
+    if (lookupError) {
+      return NextResponse.json({ error: lookupError }, { status: 400 });
+    }
+
     // Normalize name (lowercase, no spaces)
     const normalizedName = name.trim().toLowerCase().replace(/\s+/g, '-');
 
@@ -146,7 +156,7 @@ export async function POST(request) {
       name: normalizedName,
       prompt: prompt.trim(),
       description: description?.trim() || null,
-      parameters: parameters || {},
+      parameters: parameterSchema,
       source_chat_id: source_chat_id || null,
       is_shared: is_shared || false,
       tool_chain: tool_chain || [],
@@ -161,11 +171,23 @@ export async function POST(request) {
     const { data: routine, error } = await supabase
       .from('routines')
       .insert(insertData)
-      .select('id, name, prompt, description, parameters, is_shared, source_chat_id, tool_chain, tool_chain_names, created_at')
+      .select('id, org_id, name, prompt, description, parameters, is_shared, source_chat_id, tool_chain, tool_chain_names, mode, steps, version, created_at')
       .single();
 
     if (error) throw error;
 
+    // What it is now is version 1; edits add versions (see src/lib/routines/versions.js)
+    const { error: versionError } = await supabase
+      .from('routine_versions')
+      .insert({
+        routine_id: routine.id,
+        org_id: routine.org_id,
+        version: routine.version,
+        ...routineSnapshot(routine),
+        created_by: user.id,
+      });
+    if (versionError) throw versionError;
+
     console.log('[ROUTINES] Created routine:', routine.name, 'with', routine.tool_chain?.length || 0, 'tools in chain');
 
     return NextResponse.json({ ok: true, routine }, { status: 201 });
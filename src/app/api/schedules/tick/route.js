@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { createServiceClient } from '@/utils/supabase/server';
+import { runDueSchedules } from '@/lib/schedules';
+
+export const maxDuration = 300;
+export const dynamic = 'force-dynamic';
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+/**
+ * POST /api/schedules/tick - Run scheduled routines that are due
+ *
+ * Call it every minute from cron:
+ *
+ *   curl -X POST -H "Authorization: Bearer $CRON_SECRET" https://app.example.com/api/schedules/tick
+ *
+ * Requires `Authorization: Bearer <CRON_SECRET>`. Without CRON_SECRET set it
+ * only answers outside production, for local runs and tests.
+ *
+ * Body (optional): { limit?: number, now?: string }. `now` stands in for the
+ * current time outside production, so tests can make a schedule due.
+ */
+export async function POST(request) {
+  try {
+    const secret = process.env.CRON_SECRET;
+    if (secret ? request.headers.get('authorization') !== `Bearer ${secret}` : isProduction) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+
+    const limit = body.limit ?? 5;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return NextResponse.json({ error: 'limit must be a whole number from 1 to 50' }, { status: 400 });
+    }
+
+    let now = Date.now();
+    if (body.now !== undefined) {
+      if (isProduction) {
+        return NextResponse.json({ error: 'now can only be set outside production' }, { status: 400 });
+      }
+      now = Date.parse(body.now);
+      if (Number.isNaN(now)) {
+        return NextResponse.json({ error: 'now must be an ISO timestamp' }, { status: 400 });
+      }
+    }
+
+    const result = await runDueSchedules(createServiceClient(), { now, limit });
+
+    return NextResponse.json({ ok: true, ...result });
+  } catch (error) {
+    console.error('[SCHEDULES] Tick Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to run schedules', details: error.message },
+      { status: 500 }
+    );
+  }
+}
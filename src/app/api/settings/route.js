@@ -3,6 +3,10 @@ import { createClient } from '@/utils/supabase/server';
 import { createClient as createServiceClient } from '@supabase/supabase-js';
 import { cookies } from 'next/headers';
 import { getPermissions, requireMember, requireAdmin } from '@/utils/permissions';
+import { decryptSettings, encryptSettings } from '@/lib/secrets';
+import { validateRedactionPolicy } from '@/lib/tools';
+import { validateRateLimits } from '@/lib/limits';
+import { validateUsageBudget } from '@/lib/usage';
 
 export const dynamic = 'force-dynamic';
 
@@ -102,6 +106,9 @@ const ALLOWED_KEYS = [
   'ollama_base_url',
   'default_provider',
   'default_model',
+  'redaction_policy',
+  'rate_limits',
+  'usage_budget',
 ];
 
 /**
@@ -153,7 +160,7 @@ export async function GET() {
       return NextResponse.json({ error: 'Organization not found' }, { status: 404 });
     }
 
-    const settings = org.settings || {};
+    const settings = await decryptSettings(orgId, org.settings || {});
 
     // Return masked keys for display
     const maskedSettings = {
@@ -166,6 +173,9 @@ export async function GET() {
       has_google_key: !!settings.google_generative_ai_api_key,
       default_provider: settings.default_provider || '',
       default_model: settings.default_model || '',
+      redaction_policy: settings.redaction_policy || null,
+      rate_limits: settings.rate_limits || {},
+      usage_budget: settings.usage_budget || null,
     };
 
     return NextResponse.json({
@@ -186,7 +196,7 @@ export async function GET() {
 
 /**
  * POST /api/settings — Update org settings
- * Body: { settings: { openai_api_key?, anthropic_api_key?, ollama_base_url? }, org_name? }
+ * Body: { settings: { openai_api_key?, anthropic_api_key?, ollama_base_url?, redaction_policy?, rate_limits?, usage_budget? }, org_name? }
  */
 export async function POST(request) {
   try {
@@ -275,6 +285,33 @@ export async function POST(request) {
         }
       }
 
+      // Org-wide redaction rules (see lib/tools/redaction.js); an empty policy clears them
+      if (body.settings.redaction_policy !== undefined && body.settings.redaction_policy !== '') {
+        const { policy, error } = validateRedactionPolicy(body.settings.redaction_policy);
+        if (error) {
+          return NextResponse.json({ error }, { status: 400 });
+        }
+        body.settings.redaction_policy = policy;
+      }
+
+      // Message and token limits for the whole org (see lib/limits); an empty object clears them
+      if (body.settings.rate_limits !== undefined && body.settings.rate_limits !== '') {
+        const { limits, error } = validateRateLimits(body.settings.rate_limits, 'org');
+        if (error) {
+          return NextResponse.json({ error }, { status: 400 });
+        }
+        body.settings.rate_limits = Object.keys(limits).length > 0 ? limits : null;
+      }
+
+      // Monthly LLM spend budget for the usage dashboard's alerts (see lib/usage)
+      if (body.settings.usage_budget !== undefined && body.settings.usage_budget !== '') {
+        const { budget, error } = validateUsageBudget(body.settings.usage_budget);
+        if (error) {
+          return NextResponse.json({ error }, { status: 400 });
+        }
+        body.settings.usage_budget = budget;
+      }
+
       for (const key of ALLOWED_KEYS) {
         if (body.settings[key] !== undefined) {
           const value = body.settings[key];
@@ -286,7 +323,8 @@ export async function POST(request) {
         }
       }
 
-      updates.settings = newSettings;
+      // API keys are stored encrypted; already-encrypted values pass through
+      updates.settings = await encryptSettings(orgId, newSettings);
     }
 
     if (Object.keys(updates).length === 0) {
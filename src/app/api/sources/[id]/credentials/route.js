@@ -1,38 +1,11 @@
 import { NextResponse } from 'next/server';
 import { createClient, getUserOrgId } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
+import { decryptCredentials, encryptCredentials } from '@/lib/secrets';
+import { maskCredentials, validateCredentialInput, hasSharedCredentials, allowsUserCredentials } from '@/lib/tools';
 
 export const dynamic = 'force-dynamic';
 
-/**
- * Mask a credential value: show first 4 and last 4 chars
- */
-function maskCredential(value) {
-  if (!value || typeof value !== 'string') return null;
-  if (value.length <= 8) return '****';
-  return `${value.slice(0, 4)}...${value.slice(-4)}`;
-}
-
-/**
- * Build masked preview based on auth type
- */
-function buildMaskedPreview(credentials, authType) {
-  if (!credentials) return null;
-  const c = credentials;
-  switch (authType) {
-    case 'bearer':
-      return maskCredential(c.token);
-    case 'api_key':
-      return maskCredential(c.api_key);
-    case 'basic':
-      return c.username ? `${c.username}:****` : null;
-    case 'header':
-      return c.header_name ? `${c.header_name}: ${maskCredential(c.header_value)}` : null;
-    default:
-      return null;
-  }
-}
-
 /**
  * GET /api/sources/[id]/credentials - List all credentials for this source
  */
@@ -52,7 +25,7 @@ export async function GET(request, { params }) {
 
     const { data: source } = await supabase
       .from('api_sources')
-      .select('id, name, auth_type')
+      .select('id, name, auth_type, base_url, servers, credential_mode, shared_credentials')
       .eq('id', id)
       .eq('org_id', orgId)
       .single();
@@ -64,30 +37,43 @@ export async function GET(request, { params }) {
     // Get all credentials for this user+source
     const { data: allCreds } = await supabase
       .from('user_api_credentials')
-      .select('id, label, credentials, is_active, created_at, updated_at')
+      .select('id, label, credentials, server_url, server_variables, is_active, created_at, updated_at')
       .eq('user_id', user.id)
       .eq('source_id', id)
       .order('is_active', { ascending: false })
       .order('created_at', { ascending: true });
 
-    // Build response with masked previews
-    const credentials = (allCreds || []).map(cred => ({
-      id: cred.id,
-      label: cred.label,
-      masked_preview: buildMaskedPreview(cred.credentials, source.auth_type),
-      is_active: cred.is_active,
-      updated_at: cred.updated_at,
+    // Build response with masked previews (decrypted only to mask them)
+    const credentials = await Promise.all((allCreds || []).map(async cred => {
+      const plain = await decryptCredentials(orgId, cred.credentials);
+      return {
+        id: cred.id,
+        label: cred.label,
+        masked_preview: maskCredentials(plain, source.auth_type),
+        server_url: cred.server_url,
+        server_variables: cred.server_variables || {},
+        expires_at: source.auth_type === 'oauth2' ? plain?.expires_at || null : undefined,
+        is_active: cred.is_active,
+        updated_at: cred.updated_at,
+      };
     }));
 
     const activeCred = credentials.find(c => c.is_active);
+    const credentialMode = source.credential_mode || 'user';
+    const hasShared = hasSharedCredentials(source);
 
     return NextResponse.json({
       ok: true,
       source_id: id,
       auth_type: source.auth_type,
+      base_url: source.base_url,
+      servers: source.servers || [],
       credentials,
       active_credential_id: activeCred?.id || null,
-      has_credentials: credentials.length > 0,
+      credential_mode: credentialMode,
+      has_shared_credentials: hasShared,
+      // Calls can run: with the user's own credential, or the shared one when the mode allows it
+      has_credentials: (credentialMode !== 'shared' && credentials.length > 0) || (credentialMode !== 'user' && hasShared),
     });
   } catch (error) {
     console.error('[CREDENTIALS] GET Error:', error);
@@ -100,7 +86,7 @@ export async function GET(request, { params }) {
 
 /**
  * POST /api/sources/[id]/credentials - Add or update a credential
- * Body: { label: "Production", token?: "xxx", api_key?: "xxx", ... }
+ * Body: { label: "Production", token?: "xxx", api_key?: "xxx", server_url?, server_variables?, ... }
  */
 export async function POST(request, { params }) {
   try {
@@ -118,7 +104,7 @@ export async function POST(request, { params }) {
 
     const { data: source } = await supabase
       .from('api_sources')
-      .select('id, auth_type')
+      .select('id, auth_type, base_url, servers, credential_mode')
       .eq('id', id)
       .eq('org_id', orgId)
       .single();
@@ -134,41 +120,27 @@ export async function POST(request, { params }) {
       return NextResponse.json({ error: 'Label is required' }, { status: 400 });
     }
 
+    if (!allowsUserCredentials(source)) {
+      return NextResponse.json(
+        { error: 'This source uses the organization\'s shared credential; personal credentials are not used' },
+        { status: 400 }
+      );
+    }
+
     // Validate credentials based on auth_type
-    const credentials = {};
-    switch (source.auth_type) {
-      case 'bearer':
-        if (!body.token) {
-          return NextResponse.json({ error: 'token is required for bearer auth' }, { status: 400 });
-        }
-        credentials.token = body.token;
-        break;
-      case 'api_key':
-        if (!body.api_key) {
-          return NextResponse.json({ error: 'api_key is required' }, { status: 400 });
-        }
-        credentials.api_key = body.api_key;
-        credentials.header_name = body.header_name || 'X-API-Key';
-        break;
-      case 'basic':
-        if (!body.username || !body.password) {
-          return NextResponse.json({ error: 'username and password are required' }, { status: 400 });
-        }
-        credentials.username = body.username;
-        credentials.password = body.password;
-        break;
-      case 'header':
-        if (!body.header_name || !body.header_value) {
-          return NextResponse.json({ error: 'header_name and header_value are required' }, { status: 400 });
-        }
-        credentials.header_name = body.header_name;
-        credentials.header_value = body.header_value;
-        break;
-      case 'none':
-      case 'passthrough':
-        break;
-      default:
-        return NextResponse.json({ error: `Unknown auth_type: ${source.auth_type}` }, { status: 400 });
+    const { credentials, error: inputError } = validateCredentialInput(source.auth_type, body);
+    if (inputError) {
+      return NextResponse.json({ error: inputError }, { status: 400 });
+    }
+
+    // Optional environment: must be one of the source's declared servers
+    const serverUrl = body.server_url || null;
+    if (serverUrl && serverUrl !== source.base_url && !(source.servers || []).some(srv => srv.url === serverUrl)) {
+      return NextResponse.json({ error: 'server_url must be one of the source\'s servers' }, { status: 400 });
+    }
+    const serverVariables = body.server_variables || {};
+    if (typeof serverVariables !== 'object' || Array.isArray(serverVariables) || Object.values(serverVariables).some(v => typeof v !== 'string')) {
+      return NextResponse.json({ error: 'server_variables must be an object of string values' }, { status: 400 });
     }
 
     // Deactivate all other credentials for this user+source
@@ -185,7 +157,9 @@ export async function POST(request, { params }) {
         user_id: user.id,
         source_id: id,
         label,
-        credentials,
+        credentials: await encryptCredentials(orgId, credentials),
+        server_url: serverUrl,
+        server_variables: serverVariables,
         is_active: true,
       }, {
         onConflict: 'user_id,source_id,label',
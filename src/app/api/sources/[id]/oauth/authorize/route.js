@@ -0,0 +1,114 @@
+import { NextResponse } from 'next/server';
+import { createClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import {
+  OAUTH_FLOW_COOKIE,
+  OAUTH_FLOW_MAX_AGE,
+  createPkcePair,
+  createState,
+  getRedirectUri,
+  sanitizeReturnTo,
+  validateOAuthConfig,
+  buildAuthorizationUrl,
+} from '@/lib/oauth';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Send the browser back to the page that started the flow with an error.
+ */
+function redirectWithError(request, returnTo, message) {
+  const url = new URL(returnTo, request.url);
+  url.searchParams.set('oauth_error', message);
+  return NextResponse.redirect(url);
+}
+
+/**
+ * GET /api/sources/[id]/oauth/authorize - Start the OAuth2 authorization-code + PKCE flow
+ * Query: ?label=Production&return_to=/chat&server_url=...&server_variables={"region":"eu"}
+ *
+ * Redirects to the provider's consent screen; /api/oauth/callback stores the tokens.
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const url = new URL(request.url);
+  const returnTo = sanitizeReturnTo(url.searchParams.get('return_to'));
+
+  try {
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const cookieStore = await cookies();
+    const cookieOrgId = cookieStore.get('org_id')?.value;
+    const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+    const { data: source } = await supabase
+      .from('api_sources')
+      .select('id, name, auth_type, auth_config, base_url, servers')
+      .eq('id', id)
+      .eq('org_id', orgId)
+      .single();
+
+    if (!source) {
+      return redirectWithError(request, returnTo, 'Source not found');
+    }
+
+    if (source.auth_type !== 'oauth2') {
+      return redirectWithError(request, returnTo, `${source.name} does not use OAuth`);
+    }
+
+    const configError = validateOAuthConfig(source.auth_config);
+    if (configError) {
+      return redirectWithError(request, returnTo, configError);
+    }
+
+    // Optional environment, same rules as POST /credentials
+    const serverUrl = url.searchParams.get('server_url') || null;
+    if (serverUrl && serverUrl !== source.base_url && !(source.servers || []).some(srv => srv.url === serverUrl)) {
+      return redirectWithError(request, returnTo, 'server_url must be one of the source\'s servers');
+    }
+    let serverVariables = {};
+    try {
+      serverVariables = JSON.parse(url.searchParams.get('server_variables') || '{}');
+    } catch {
+      serverVariables = null;
+    }
+    if (!serverVariables || typeof serverVariables !== 'object' || Array.isArray(serverVariables) || Object.values(serverVariables).some(v => typeof v !== 'string')) {
+      return redirectWithError(request, returnTo, 'server_variables must be an object of string values');
+    }
+
+    const state = createState();
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    const redirectUri = getRedirectUri(request.url);
+
+    const authorizeUrl = buildAuthorizationUrl(source.auth_config, { redirectUri, state, codeChallenge });
+
+    console.log('[OAUTH] Authorize:', source.name, '| user:', user.id);
+
+    const response = NextResponse.redirect(authorizeUrl);
+    response.cookies.set(OAUTH_FLOW_COOKIE, JSON.stringify({
+      state,
+      code_verifier: codeVerifier,
+      source_id: source.id,
+      user_id: user.id,
+      label: (url.searchParams.get('label') || 'Default').trim() || 'Default',
+      server_url: serverUrl,
+      server_variables: serverVariables,
+      return_to: returnTo,
+    }), {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/api/oauth',
+      maxAge: OAUTH_FLOW_MAX_AGE,
+    });
+
+    return response;
+  } catch (error) {
+    console.error('[OAUTH] Authorize Error:', error);
+    return redirectWithError(request, returnTo, 'Failed to start OAuth flow');
+  }
+}
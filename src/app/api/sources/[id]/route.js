@@ -3,6 +3,9 @@ import { createClient } from '@/utils/supabase/server';
 import { getUserOrgId } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
 import { getPermissions, requireMember, requireAdmin } from '@/utils/permissions';
+import { encryptAuthConfig, SECRET_AUTH_CONFIG_KEYS } from '@/lib/secrets';
+import { hasSharedCredentials, validateRequestPolicy, resetCircuits, validateRedactionPolicy, validateGuardrails, validateApprovalPolicy } from '@/lib/tools';
+import { validateRateLimits } from '@/lib/limits';
 
 export const dynamic = 'force-dynamic';
 
@@ -67,8 +70,13 @@ export async function GET(request, { params }) {
       tools = data || [];
     }
 
-    // Strip spec_content from response (can be large)
-    const { spec_content, ...sourceMeta } = source;
+    // Strip spec_content from response (can be large) and the stored shared credential
+    const { spec_content, shared_credentials, ...sourceMeta } = source;
+    sourceMeta.credential_mode = source.credential_mode || 'user';
+    sourceMeta.has_shared_credentials = hasSharedCredentials(source);
+
+    // Secret auth settings never leave the server, not even to admins
+    sourceMeta.auth_config = maskAuthConfig(sourceMeta.auth_config);
 
     return NextResponse.json({
       ok: true,
@@ -76,6 +84,7 @@ export async function GET(request, { params }) {
         ...sourceMeta,
         has_spec: !!spec_content,
         tool_count: tools?.length || 0,
+        can_edit: !requireAdmin(perms),
       },
       tools: tools || [],
     });
@@ -90,7 +99,7 @@ export async function GET(request, { params }) {
 
 /**
  * PUT /api/sources/[id] — Update source metadata
- * Body: { name?, description?, base_url?, auth_type?, auth_config?, is_active? }
+ * Body: { name?, description?, base_url?, server_variables?, auth_type?, auth_config?, is_active?, request_policy?, idempotency_header?, redaction_policy?, guardrails?, approval_policy?, rate_limits? }
  */
 export async function PUT(request, { params }) {
   try {
@@ -112,7 +121,7 @@ export async function PUT(request, { params }) {
     }
 
     const body = await request.json();
-    const allowedFields = ['name', 'description', 'base_url', 'auth_type', 'auth_config', 'is_active', 'spec_url'];
+    const allowedFields = ['name', 'description', 'base_url', 'server_variables', 'auth_type', 'auth_config', 'is_active', 'spec_url', 'request_policy', 'idempotency_header', 'redaction_policy', 'guardrails', 'approval_policy', 'rate_limits'];
     const updates = {};
     for (const field of allowedFields) {
       if (body[field] !== undefined) {
@@ -124,13 +133,79 @@ export async function PUT(request, { params }) {
       return NextResponse.json({ error: 'No fields to update' }, { status: 400 });
     }
 
+    if (updates.auth_config) {
+      // The form only has has_<field> for saved secrets, so a blank one keeps what is stored
+      const { data: stored } = await supabase
+        .from('api_sources')
+        .select('auth_config')
+        .eq('id', id)
+        .eq('org_id', orgId)
+        .single();
+      updates.auth_config = withStoredSecrets(await encryptAuthConfig(orgId, updates.auth_config), stored?.auth_config);
+    }
+
+    if (updates.server_variables !== undefined) {
+      const vars = updates.server_variables;
+      if (!vars || typeof vars !== 'object' || Array.isArray(vars) || Object.values(vars).some(v => typeof v !== 'string')) {
+        return NextResponse.json({ error: 'server_variables must be an object of string values' }, { status: 400 });
+      }
+    }
+
+    if (updates.request_policy !== undefined) {
+      const { policy, error: policyError } = validateRequestPolicy(updates.request_policy);
+      if (policyError) {
+        return NextResponse.json({ error: policyError }, { status: 400 });
+      }
+      updates.request_policy = policy;
+    }
+
+    if (updates.idempotency_header !== undefined) {
+      const header = typeof updates.idempotency_header === 'string' ? updates.idempotency_header.trim() : updates.idempotency_header;
+      if (header !== null && header !== '' && (typeof header !== 'string' || !/^[A-Za-z0-9-]{1,64}$/.test(header))) {
+        return NextResponse.json({ error: 'idempotency_header must be a header name (letters, digits and dashes)' }, { status: 400 });
+      }
+      updates.idempotency_header = header || null;
+    }
+
+    if (updates.redaction_policy !== undefined) {
+      const { policy, error: policyError } = validateRedactionPolicy(updates.redaction_policy);
+      if (policyError) {
+        return NextResponse.json({ error: policyError }, { status: 400 });
+      }
+      updates.redaction_policy = policy;
+    }
+
+    if (updates.guardrails !== undefined) {
+      const { guardrails, error: guardrailsError } = validateGuardrails(updates.guardrails);
+      if (guardrailsError) {
+        return NextResponse.json({ error: guardrailsError }, { status: 400 });
+      }
+      updates.guardrails = guardrails;
+    }
+
+    if (updates.approval_policy !== undefined) {
+      const { policy, error: approvalError } = validateApprovalPolicy(updates.approval_policy);
+      if (approvalError) {
+        return NextResponse.json({ error: approvalError }, { status: 400 });
+      }
+      updates.approval_policy = policy;
+    }
+
+    if (updates.rate_limits !== undefined) {
+      const { limits, error: limitsError } = validateRateLimits(updates.rate_limits, 'source');
+      if (limitsError) {
+        return NextResponse.json({ error: limitsError }, { status: 400 });
+      }
+      updates.rate_limits = limits;
+    }
+
     // RLS enforces owner/admin can write
     const { data: source, error } = await supabase
       .from('api_sources')
       .update(updates)
       .eq('id', id)
       .eq('org_id', orgId)
-      .select('id, name, description, base_url, spec_url, auth_type, is_active, updated_at')
+      .select('id, name, description, base_url, servers, server_variables, spec_url, auth_type, request_policy, idempotency_header, redaction_policy, guardrails, approval_policy, rate_limits, is_active, updated_at')
       .single();
 
     if (error) {
@@ -140,6 +215,9 @@ export async function PUT(request, { params }) {
       throw error;
     }
 
+    // New thresholds apply from a clean slate
+    if (updates.request_policy) resetCircuits(id);
+
     return NextResponse.json({ ok: true, source });
   } catch (error) {
     console.error('[SOURCES] PUT Error:', error);
@@ -190,3 +268,30 @@ export async function DELETE(request, { params }) {
     );
   }
 }
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// auth_config with has_<field> in place of each secret field that is set
+function maskAuthConfig(authConfig) {
+  if (!authConfig || typeof authConfig !== 'object') return authConfig;
+  const masked = { ...authConfig };
+  for (const field of SECRET_AUTH_CONFIG_KEYS) {
+    if (masked[field]) masked[`has_${field}`] = true;
+    delete masked[field];
+  }
+  return masked;
+}
+
+// A submitted (sealed) auth_config: secrets it leaves blank keep their stored
+// value, and the has_<field> flags the form got are dropped
+function withStoredSecrets(authConfig, storedConfig) {
+  if (!authConfig || typeof authConfig !== 'object') return authConfig;
+  const merged = { ...authConfig };
+  for (const field of SECRET_AUTH_CONFIG_KEYS) {
+    delete merged[`has_${field}`];
+    if (!merged[field] && storedConfig?.[field]) merged[field] = storedConfig[field];
+  }
+  return merged;
+}
@@ -0,0 +1,173 @@
+import { NextResponse } from 'next/server';
+import { createClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { getPermissions, requireAdmin } from '@/utils/permissions';
+import { decryptCredentials, encryptCredentials } from '@/lib/secrets';
+import { CREDENTIAL_MODES, maskCredentials, validateCredentialInput, hasSharedCredentials } from '@/lib/tools';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Resolve the user, org and admin check shared by all handlers.
+ * Returns { supabase, orgId } or { response } to return as-is.
+ */
+async function authorizeAdmin() {
+  const supabase = await createClient();
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) {
+    return { response: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }) };
+  }
+
+  const cookieStore = await cookies();
+  const cookieOrgId = cookieStore.get('org_id')?.value;
+  const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+  const perms = await getPermissions(user.id, orgId);
+  const adminErr = requireAdmin(perms);
+  if (adminErr) {
+    return { response: NextResponse.json({ error: adminErr.error }, { status: adminErr.status }) };
+  }
+
+  return { supabase, orgId };
+}
+
+/**
+ * GET /api/sources/[id]/shared-credentials - Org-wide credential (masked) and credential mode
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const { supabase, orgId, response } = await authorizeAdmin();
+    if (response) return response;
+
+    const { data: source } = await supabase
+      .from('api_sources')
+      .select('id, auth_type, credential_mode, shared_credentials')
+      .eq('id', id)
+      .eq('org_id', orgId)
+      .single();
+
+    if (!source) {
+      return NextResponse.json({ error: 'Source not found' }, { status: 404 });
+    }
+
+    const hasShared = hasSharedCredentials(source);
+    const plain = hasShared ? await decryptCredentials(orgId, source.shared_credentials) : null;
+
+    return NextResponse.json({
+      ok: true,
+      source_id: id,
+      auth_type: source.auth_type,
+      credential_mode: source.credential_mode || 'user',
+      has_shared_credentials: hasShared,
+      masked_preview: maskCredentials(plain, source.auth_type),
+    });
+  } catch (error) {
+    console.error('[SHARED CREDENTIALS] GET Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to get shared credentials', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/sources/[id]/shared-credentials - Set the org-wide credential and/or credential mode
+ * Body: { credential_mode?: 'user'|'shared'|'user_override', token?, api_key?, username?, password?, header_name?, header_value? }
+ * Credential fields are optional when only the mode changes.
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { id } = await params;
+    const { supabase, orgId, response } = await authorizeAdmin();
+    if (response) return response;
+
+    const { data: source } = await supabase
+      .from('api_sources')
+      .select('id, auth_type, shared_credentials')
+      .eq('id', id)
+      .eq('org_id', orgId)
+      .single();
+
+    if (!source) {
+      return NextResponse.json({ error: 'Source not found' }, { status: 404 });
+    }
+
+    const { credential_mode, ...fields } = await request.json();
+    const updates = {};
+
+    if (credential_mode !== undefined) {
+      if (!CREDENTIAL_MODES.includes(credential_mode)) {
+        return NextResponse.json({ error: `credential_mode must be one of: ${CREDENTIAL_MODES.join(', ')}` }, { status: 400 });
+      }
+      updates.credential_mode = credential_mode;
+    }
+
+    if (Object.values(fields).some(v => v !== undefined && v !== '')) {
+      const { credentials, error: inputError } = validateCredentialInput(source.auth_type, fields);
+      if (inputError) {
+        return NextResponse.json({ error: inputError }, { status: 400 });
+      }
+      updates.shared_credentials = await encryptCredentials(orgId, credentials);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return NextResponse.json({ error: 'No fields to update' }, { status: 400 });
+    }
+
+    const mode = updates.credential_mode;
+    if (mode && mode !== 'user' && !updates.shared_credentials && !hasSharedCredentials(source)) {
+      return NextResponse.json(
+        { error: 'Set a shared credential before letting members use it' },
+        { status: 400 }
+      );
+    }
+
+    // RLS enforces owner/admin can write
+    const { error } = await supabase
+      .from('api_sources')
+      .update(updates)
+      .eq('id', id)
+      .eq('org_id', orgId);
+
+    if (error) throw error;
+
+    console.log('[SHARED CREDENTIALS] Updated', id, '| mode:', mode || '(unchanged)', '| credential:', !!updates.shared_credentials);
+
+    return NextResponse.json({ ok: true });
+  } catch (error) {
+    console.error('[SHARED CREDENTIALS] PUT Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to save shared credentials', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/sources/[id]/shared-credentials - Remove the org-wide credential
+ * Members go back to their own credentials (credential_mode resets to 'user').
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    const { supabase, orgId, response } = await authorizeAdmin();
+    if (response) return response;
+
+    const { error } = await supabase
+      .from('api_sources')
+      .update({ shared_credentials: {}, credential_mode: 'user' })
+      .eq('id', id)
+      .eq('org_id', orgId);
+
+    if (error) throw error;
+
+    return NextResponse.json({ ok: true });
+  } catch (error) {
+    console.error('[SHARED CREDENTIALS] DELETE Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to remove shared credentials', details: error.message },
+      { status: 500 }
+    );
+  }
+}
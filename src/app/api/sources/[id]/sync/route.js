@@ -1,8 +1,11 @@
 import { NextResponse } from 'next/server';
 import { createClient, createServiceClient } from '@/utils/supabase/server';
 import { getUserOrgId } from '@/utils/supabase/server';
-import { parseOpenApiSpec, embedTool, getEmbeddingDimension } from '@/lib/tools';
+import { parseOpenApiSpec, loadSpecDocument, embedTool, getEmbeddingDimension, resolveSourceCredential, inverseForTool } from '@/lib/tools';
 import { convertTools as convertMcpTools, listMCPTools, closeMCPClient } from '@/lib/mcp';
+import { ensureFreshCredentials } from '@/lib/oauth';
+import { decryptCredentials } from '@/lib/secrets';
+import { emitWebhookEvent } from '@/lib/webhooks';
 import { cookies } from 'next/headers';
 import { getPermissions, requireAdmin } from '@/utils/permissions';
 
@@ -26,15 +29,21 @@ async function syncMcpSource(supabase, source, userId) {
     }
 
     // Get user credentials for the MCP connection
-    const { data: creds } = await supabase
+    const { data: userCreds } = await supabase
       .from('user_api_credentials')
-      .select('credentials')
+      .select('id, label, credentials')
       .eq('user_id', userId)
       .eq('source_id', source.id)
       .eq('is_active', true)
       .single();
 
-    const credentials = creds?.credentials;
+    if (userCreds) {
+      userCreds.credentials = await decryptCredentials(source.org_id, userCreds.credentials);
+    }
+
+    // The admin's own or the org's shared credential, per the source's credential_mode
+    const { row: creds } = await resolveSourceCredential(source, userCreds, { userId });
+    const credentials = await ensureFreshCredentials(supabase, source, creds);
 
     console.log('[MCP SYNC] ══════════════════════════════════════════');
     console.log('[MCP SYNC] Source:', source.name);
@@ -198,8 +207,32 @@ async function syncMcpSource(supabase, source, userId) {
 /**
  * POST /api/sources/[id]/sync — Re-parse the OpenAPI spec and upsert tools
  * Optionally accepts { spec_content } in body to update the spec before syncing.
+ * Failed syncs of a loaded source emit the source.sync_failed webhook.
+ */
+export async function POST(request, context) {
+  const sync = {};
+  const response = await syncSource(request, context, sync);
+
+  if (response.status >= 400 && sync.source) {
+    const result = await response.clone().json().catch(() => ({}));
+    await emitWebhookEvent(sync.source.org_id, 'source.sync_failed', {
+      source_id: sync.source.id,
+      source_name: sync.source.name,
+      source_type: sync.source.source_type,
+      user_id: sync.userId,
+      response_status: response.status,
+      error: result.error || null,
+      details: result.details || result.message || null,
+    });
+  }
+
+  return response;
+}
+
+/**
+ * Sync one source. Records the loaded source and user on `sync` for POST.
  */
-export async function POST(request, { params }) {
+async function syncSource(request, { params }, sync) {
   try {
     const { id } = await params;
     const supabase = await createClient();
@@ -229,6 +262,8 @@ export async function POST(request, { params }) {
     if (sourceError || !source) {
       return NextResponse.json({ error: 'Source not found' }, { status: 404 });
     }
+    sync.source = source;
+    sync.userId = user.id;
 
     // ─────────────────────────────────────────────────────────────────────────
     // TEMPLATE-BASED SOURCES: Use global template_tools instead of per-org tools
@@ -286,7 +321,7 @@ export async function POST(request, { params }) {
       if (!specContent && template.spec_url) {
         try {
           const fetchRes = await fetch(template.spec_url, {
-            headers: { Accept: 'application/json' },
+            headers: { Accept: 'application/json, application/yaml, text/yaml' },
             signal: AbortSignal.timeout(30000),
           });
           if (!fetchRes.ok) {
@@ -295,7 +330,7 @@ export async function POST(request, { params }) {
               error: `Failed to fetch template spec from URL: ${fetchRes.status}`,
             }, { status: 400 });
           }
-          specContent = await fetchRes.json();
+          specContent = loadSpecDocument(await fetchRes.text());
         } catch (fetchError) {
           return NextResponse.json({
             ok: false,
@@ -336,6 +371,8 @@ export async function POST(request, { params }) {
         path: tool.path,
         parameters: tool.parameters || {},
         request_body: tool.request_body || null,
+        servers: tool.servers || [],
+        inverse: inverseForTool(tool, template.inverses),
         risk_level: tool.risk_level,
         requires_confirmation: tool.requires_confirmation,
         tags: tool.tags || [],
@@ -428,7 +465,7 @@ export async function POST(request, { params }) {
     if (!specContent && source.spec_url) {
       try {
         const fetchRes = await fetch(source.spec_url, {
-          headers: { 'Accept': 'application/json' },
+          headers: { 'Accept': 'application/json, application/yaml, text/yaml' },
           signal: AbortSignal.timeout(15000),
         });
         if (!fetchRes.ok) {
@@ -437,7 +474,7 @@ export async function POST(request, { params }) {
             { status: 400 }
           );
         }
-        specContent = await fetchRes.json();
+        specContent = loadSpecDocument(await fetchRes.text());
         fetchedFromUrl = true;
       } catch (fetchError) {
         return NextResponse.json(
@@ -455,9 +492,10 @@ export async function POST(request, { params }) {
       return NextResponse.json({ error: 'No spec content to sync. Add a spec URL or upload a spec.' }, { status: 400 });
     }
 
-    // Parse spec
+    // Parse spec (YAML text from the body is stored as its parsed object)
     let parsed;
     try {
+      specContent = loadSpecDocument(specContent);
       parsed = parseOpenApiSpec(specContent);
     } catch (parseError) {
       return NextResponse.json(
@@ -479,6 +517,7 @@ export async function POST(request, { params }) {
     // Update source metadata
     const sourceUpdates = {
       spec_hash: parsed.source_meta.spec_hash,
+      servers: parsed.source_meta.servers,
       last_synced_at: new Date().toISOString(),
     };
     if (body.spec_content || fetchedFromUrl) {
@@ -521,6 +560,8 @@ export async function POST(request, { params }) {
         path: tool.path,
         parameters: tool.parameters || {},
         request_body: tool.request_body || null,
+        servers: tool.servers || [],
+        inverse: tool.inverse || null,
         risk_level: tool.risk_level,
         requires_confirmation: tool.requires_confirmation,
         tags: tool.tags || [],
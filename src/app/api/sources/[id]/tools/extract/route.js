@@ -5,6 +5,7 @@ import { cookies } from 'next/headers';
 import { openai } from '@ai-sdk/openai';
 import { generateObject } from 'ai';
 import { z } from 'zod';
+import { decryptSecret } from '@/lib/secrets';
 
 export const dynamic = 'force-dynamic';
 
@@ -65,7 +66,7 @@ export async function POST(request, { params }) {
       .eq('id', orgId)
       .single();
 
-    const apiKey = org?.settings?.openai_api_key;
+    const apiKey = await decryptSecret(orgId, org?.settings?.openai_api_key);
     if (!apiKey) {
       return NextResponse.json(
         { error: 'OpenAI API key not configured. Add it in Settings.' },
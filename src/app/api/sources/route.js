@@ -1,9 +1,10 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@/utils/supabase/server';
 import { getUserOrgId } from '@/utils/supabase/server';
-import { parseOpenApiSpec } from '@/lib/tools';
+import { parseOpenApiSpec, loadSpecDocument } from '@/lib/tools';
 import { cookies } from 'next/headers';
 import { getPermissions, requireMember, requireAdmin } from '@/utils/permissions';
+import { encryptAuthConfig } from '@/lib/secrets';
 
 export const dynamic = 'force-dynamic';
 
@@ -97,7 +98,9 @@ export async function GET() {
 
 /**
  * POST /api/sources — Create a new API source
- * Body: { name, description?, base_url?, source_type?, auth_type?, auth_config?, spec_content? }
+ * Body: { name, description?, base_url?, source_type?, auth_type?, auth_config?, spec_content?, spec_url? }
+ * spec_content may be an OpenAPI 3.x or Swagger 2.0 object, or its JSON/YAML text.
+ * Without auth_type, auth is derived from the spec's securitySchemes (passthrough if none).
  */
 export async function POST(request) {
   try {
@@ -123,8 +126,8 @@ export async function POST(request) {
       description = '',
       base_url = '',
       source_type = 'openapi',
-      auth_type = 'passthrough',
-      auth_config = {},
+      auth_type,
+      auth_config,
       spec_content = null,
       spec_url = null,
     } = body;
@@ -138,7 +141,7 @@ export async function POST(request) {
     if (spec_url && !resolvedSpec && source_type === 'openapi') {
       try {
         const fetchRes = await fetch(spec_url, {
-          headers: { 'Accept': 'application/json' },
+          headers: { 'Accept': 'application/json, application/yaml, text/yaml' },
           signal: AbortSignal.timeout(15000),
         });
         if (!fetchRes.ok) {
@@ -147,7 +150,7 @@ export async function POST(request) {
             { status: 400 }
           );
         }
-        resolvedSpec = await fetchRes.json();
+        resolvedSpec = await fetchRes.text();
       } catch (fetchError) {
         return NextResponse.json(
           { error: 'Failed to fetch spec from URL', details: fetchError.message },
@@ -163,6 +166,8 @@ export async function POST(request) {
 
     if (resolvedSpec && source_type === 'openapi') {
       try {
+        // YAML text is stored as its parsed object (spec_content is JSONB)
+        resolvedSpec = loadSpecDocument(resolvedSpec);
         const parsed = parseOpenApiSpec(resolvedSpec);
         parsedMeta = parsed.source_meta;
         parsedTools = parsed.tools;
@@ -183,9 +188,10 @@ export async function POST(request) {
         name: name.trim(),
         description: description || parsedMeta.description || '',
         base_url: base_url || parsedMeta.base_url || '',
+        servers: parsedMeta.servers || [],
         source_type,
-        auth_type,
-        auth_config,
+        auth_type: auth_type || parsedMeta.auth?.auth_type || 'passthrough',
+        auth_config: await encryptAuthConfig(orgId, auth_config || (auth_type ? {} : parsedMeta.auth?.auth_config) || {}),
         spec_content: resolvedSpec || null,
         spec_url: spec_url || null,
         spec_hash: specHash,
@@ -208,6 +214,8 @@ export async function POST(request) {
         path: t.path,
         parameters: t.parameters || {},
         request_body: t.request_body || null,
+        servers: t.servers || [],
+        inverse: t.inverse || null,
         risk_level: t.risk_level,
         requires_confirmation: t.requires_confirmation,
         tags: t.tags || [],
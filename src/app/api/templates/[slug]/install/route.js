@@ -3,6 +3,7 @@ import { createClient } from '@/utils/supabase/server';
 import { getUserOrgId } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
 import { getPermissions, requireAdmin } from '@/utils/permissions';
+import { encryptAuthConfig, encryptCredentials } from '@/lib/secrets';
 
 export const dynamic = 'force-dynamic';
 
@@ -99,6 +100,8 @@ export async function POST(request, { params }) {
       sourceMcpTransport = 'http';
     }
 
+    const storedCredentials = await encryptCredentials(orgId, formattedCredentials);
+
     // Check if user already has this source
     const { data: existingSource } = await supabase
       .from('api_sources')
@@ -115,7 +118,7 @@ export async function POST(request, { params }) {
           user_id: user.id,
           source_id: existingSource.id,
           label: 'Default',
-          credentials: formattedCredentials,
+          credentials: storedCredentials,
           is_active: true,
         }, { onConflict: 'user_id,source_id,label' });
 
@@ -143,7 +146,7 @@ export async function POST(request, { params }) {
       base_url: resolvedBaseUrl || template.base_url || '',
       spec_url: template.spec_url || null,
       auth_type: template.auth_type,
-      auth_config: template.auth_config || {},
+      auth_config: await encryptAuthConfig(orgId, template.auth_config || {}),
       mcp_server_uri: sourceMcpUri,
       mcp_transport: sourceMcpTransport,
       is_active: true,
@@ -162,7 +165,7 @@ export async function POST(request, { params }) {
       user_id: user.id,
       source_id: source.id,
       label: 'Default',
-      credentials: formattedCredentials,
+      credentials: storedCredentials,
       is_active: true,
     });
 
@@ -1,14 +1,23 @@
 import { NextResponse } from 'next/server';
-import { createClient, getUserOrgId } from '@/utils/supabase/server';
+import { createClient, createServiceClient, getUserOrgId } from '@/utils/supabase/server';
 import { getPermissions, requireMember } from '@/utils/permissions';
-import { executeTool } from '@/lib/tools';
+import { executeTool, mergeEnvironments, resolveSourceCredential, isWriteCall, loadInverse, withRedaction, loadOrgRedactionPolicy, guardrailsForTool, evaluateGuardrails, approvalRouteForTool, describeApprovers } from '@/lib/tools';
+import { ensureFreshCredentials } from '@/lib/oauth';
+import { decryptCredentials } from '@/lib/secrets';
+import { startAction, finishAction } from '@/lib/audit';
 import { cookies } from 'next/headers';
 
 export const dynamic = 'force-dynamic';
 
 /**
  * POST /api/tools/execute - Execute a tool directly (for slash commands)
- * Body: { toolId: string, params: object }
+ * Body: { toolId: string, params: object, idempotencyKey?: string, agentId?: string, chatId?: string, dryRun?: boolean }
+ *   Dry run as in chat: forced by the agent, or chosen for this chat (or this call);
+ *   a write call then returns the request it would have sent (`simulated_request`).
+ *   A repeated request with the same idempotencyKey returns the first result
+ *   for write tools instead of calling the API again. A write tool that
+ *   declares an inverse returns `undo`, run with POST /api/activity/[action_id]/undo.
+ *   A call over the source's rate limits is not sent and returns 429 with Retry-After.
  */
 export async function POST(request) {
   try {
@@ -26,10 +35,41 @@ export async function POST(request) {
     const memberErr = requireMember(perms);
     if (memberErr) return NextResponse.json({ error: memberErr.error }, { status: memberErr.status });
 
-    const { toolId, params } = await request.json();
+    const { toolId, params, idempotencyKey, agentId, chatId, dryRun: requestedDryRun } = await request.json();
     if (!toolId) {
       return NextResponse.json({ error: 'toolId is required' }, { status: 400 });
     }
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !idempotencyKey || idempotencyKey.length > 255)) {
+      return NextResponse.json({ error: 'idempotencyKey must be a non-empty string of at most 255 characters' }, { status: 400 });
+    }
+
+    // Dry run as in chat: forced by the agent, or chosen for this chat
+    let dryRun = requestedDryRun === true;
+    if (agentId) {
+      const { data: agent } = await supabase
+        .from('agents')
+        .select('id, settings')
+        .eq('id', agentId)
+        .eq('org_id', orgId)
+        .eq('is_active', true)
+        .maybeSingle();
+      if (!agent) {
+        return NextResponse.json({ error: 'Agent not found or inactive' }, { status: 404 });
+      }
+      dryRun = dryRun || agent.settings?.dry_run === true;
+    }
+    if (chatId) {
+      const { data: chat } = await supabase
+        .from('chats')
+        .select('id, dry_run')
+        .eq('id', chatId)
+        .eq('user_id', user.id)
+        .maybeSingle();
+      if (!chat) {
+        return NextResponse.json({ error: 'Chat not found' }, { status: 404 });
+      }
+      dryRun = dryRun || chat.dry_run === true;
+    }
 
     // Fetch the tool and source
     const { data: tool, error: toolError } = await supabase
@@ -42,25 +82,87 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Tool not found' }, { status: 404 });
     }
 
-    const source = tool.api_sources;
-
     // Get user credentials for this source (active credential only)
-    const { data: credentials } = await supabase
+    const { data: userCredential } = await supabase
       .from('user_api_credentials')
-      .select('credentials')
+      .select('id, label, credentials, server_url, server_variables')
       .eq('user_id', user.id)
-      .eq('source_id', source.id)
+      .eq('source_id', tool.api_sources.id)
       .eq('is_active', true)
       .single();
 
+    if (userCredential) {
+      userCredential.credentials = await decryptCredentials(tool.api_sources.org_id, userCredential.credentials);
+    }
+
+    // The user's own or the org's shared credential, per the source's credential_mode
+    const { shared_credentials, ...sourceRow } = tool.api_sources;
+    const { row: credentials, identity } = await resolveSourceCredential(tool.api_sources, userCredential, { userId: user.id });
+
+    // A call that needs confirmation under the tool's guardrails goes through chat,
+    // where the user approves it (the client re-sends the command as a message), and
+    // so does one that needs someone else's approval: chat puts it in the approval queue
+    const guardrails = guardrailsForTool(tool.api_sources, tool.id);
+    const check = evaluateGuardrails(guardrails, params || {}, { role: perms.role });
+    const approvalRoute = check.blocked ? null : approvalRouteForTool(tool.api_sources, tool.id);
+    if (check.needsConfirmation || approvalRoute) {
+      return NextResponse.json({
+        ok: false,
+        requiresConfirmation: true,
+        guardrails: check.violations.map(v => v.reason),
+        ...(approvalRoute ? { approvers: describeApprovers(approvalRoute) } : {}),
+      }, { status: 409 });
+    }
+
+    // The active credential picks the environment (server) for the call
+    const source = {
+      ...withRedaction(sourceRow, await loadOrgRedactionPolicy(supabase, orgId)),
+      environment: mergeEnvironments(credentials),
+    };
+
+    // The action log is written with the service role (read-only for users)
+    const service = createServiceClient();
+    const actionId = await startAction(service, { orgId, userId: user.id, origin: 'execute' }, {
+      toolId: tool.id,
+      toolName: tool.name,
+      sourceId: source.id,
+      method: tool.method,
+      args: params || {},
+    });
+
+    // Refresh an expiring OAuth2 token before the call
+    let userCredentials;
+    try {
+      userCredentials = await ensureFreshCredentials(supabase, source, credentials);
+    } catch (error) {
+      await finishAction(service, actionId, { error_message: error.message, credential_identity: identity });
+      return NextResponse.json({ error: error.message }, { status: 401 });
+    }
+
     // Execute the tool
+    const inverse = actionId && tool.method !== 'MCP' && isWriteCall(tool)
+      ? await loadInverse(supabase, { toolId: tool.id })
+      : null;
     const result = await executeTool({
       tool,
       source,
       args: params || {},
-      userCredentials: credentials?.credentials,
+      userCredentials,
       userId: user.id,
+      credentialIdentity: identity,
+      // Scoped to the user: another member's key never replays this call
+      callId: idempotencyKey ? `${user.id}:${idempotencyKey}` : null,
+      dryRun,
+      inverse,
+      guardrails,
+      role: perms.role,
     });
+    await finishAction(service, actionId, result);
+
+    // Over the source's calls-per-hour limit: nothing was sent
+    const limited = result.rate_limited
+      ? { status: 429, headers: { 'Retry-After': String(result.rate_limited.retry_after) } }
+      : undefined;
 
     return NextResponse.json({
       ok: !result.error_message,
@@ -69,8 +171,20 @@ export async function POST(request) {
         body: result.response_body,
         duration_ms: result.duration_ms,
         error: result.error_message,
+        validation_errors: result.validation_errors,
+        guardrail_violations: result.guardrail_violations,
+        attempts: result.attempts,
+        idempotency_key: result.idempotency_key,
+        replayed: result.idempotent_replay || false,
+        credential: result.credential_identity,
+        redacted: result.redacted || 0,
+        action_id: actionId,
+        undo: result.undo || null,
+        rate_limited: result.rate_limited,
+        dry_run: result.dry_run || false,
+        simulated_request: result.simulated_request,
       },
-    });
+    }, limited);
   } catch (error) {
     console.error('[EXECUTE] Error:', error);
     return NextResponse.json(
@@ -1,8 +1,12 @@
 import { NextResponse } from 'next/server';
-import { createClient } from '@/utils/supabase/server';
+import { createClient, createServiceClient } from '@/utils/supabase/server';
 import { getUserOrgId } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
-import { executeTool } from '@/lib/tools';
+import { executeTool, mergeEnvironments, resolveSourceCredential, withRedaction, loadOrgRedactionPolicy, guardrailsForTool } from '@/lib/tools';
+import { getPermissions } from '@/utils/permissions';
+import { ensureFreshCredentials } from '@/lib/oauth';
+import { decryptCredentials } from '@/lib/secrets';
+import { startAction, finishAction } from '@/lib/audit';
 
 export const dynamic = 'force-dynamic';
 
@@ -51,8 +55,8 @@ export async function POST(request) {
       .select(`
         *,
         api_sources (
-          id, name, base_url, auth_type, auth_config, source_type,
-          mcp_server_uri, mcp_transport, mcp_env
+          id, org_id, name, base_url, servers, server_variables, auth_type, auth_config,
+          credential_mode, shared_credentials, request_policy, idempotency_header, redaction_policy, guardrails, rate_limits, source_type, mcp_server_uri, mcp_transport, mcp_env
         )
       `)
       .eq('id', toolId)
@@ -73,7 +77,7 @@ export async function POST(request) {
         // Get the source that uses this template
         const { data: templateSource } = await supabase
           .from('api_sources')
-          .select('id, name, base_url, auth_type, auth_config, source_type, mcp_server_uri, mcp_transport, mcp_env')
+          .select('id, org_id, name, base_url, servers, server_variables, auth_type, auth_config, credential_mode, shared_credentials, request_policy, idempotency_header, redaction_policy, guardrails, rate_limits, source_type, mcp_server_uri, mcp_transport, mcp_env')
           .eq('template_id', templateTool.template_id)
           .eq('org_id', orgId)
           .single();
@@ -88,6 +92,7 @@ export async function POST(request) {
             path: templateTool.path,
             parameters: templateTool.parameters,
             request_body: templateTool.request_body,
+            servers: templateTool.servers,
             risk_level: templateTool.risk_level,
             requires_confirmation: templateTool.requires_confirmation,
             mcp_tool_name: templateTool.mcp_tool_name,
@@ -112,14 +117,21 @@ export async function POST(request) {
     }
 
     // Get user's active credentials for this source
-    const { data: credential } = await supabase
+    const { data: userCredential } = await supabase
       .from('user_api_credentials')
-      .select('credentials')
+      .select('id, label, credentials, server_url, server_variables')
       .eq('user_id', user.id)
       .eq('source_id', source.id)
       .eq('is_active', true)
       .single();
 
+    if (userCredential) {
+      userCredential.credentials = await decryptCredentials(orgId, userCredential.credentials);
+    }
+
+    // The user's own or the org's shared credential, per the source's credential_mode
+    const { row: credential, identity } = await resolveSourceCredential(source, userCredential, { userId: user.id });
+
     if (!credential) {
       return NextResponse.json(
         { error: 'No credentials found for this API' },
@@ -127,17 +139,46 @@ export async function POST(request) {
       );
     }
 
-    // Source already has source_type from the query
-    const expandedSource = source;
+    // Source already has source_type from the query; the credential picks the environment
+    const { shared_credentials, ...sourceRow } = source;
+    const expandedSource = {
+      ...withRedaction(sourceRow, await loadOrgRedactionPolicy(supabase, orgId)),
+      environment: mergeEnvironments(credential),
+    };
+
+    // The action log is written with the service role (read-only for users)
+    const service = createServiceClient();
+    const actionId = await startAction(service, { orgId, userId: user.id, origin: 'paginate' }, {
+      toolId: tool.id,
+      toolName: tool.name,
+      sourceId: source.id,
+      method: tool.method || 'MCP',
+      args: input || {},
+    });
+
+    // Refresh an expiring OAuth2 token before the call
+    let userCredentials;
+    try {
+      userCredentials = await ensureFreshCredentials(supabase, expandedSource, credential);
+    } catch (error) {
+      await finishAction(service, actionId, { error_message: error.message, credential_identity: identity });
+      return NextResponse.json({ error: error.message }, { status: 401 });
+    }
 
-    // Execute the tool
+    // Execute the tool (the page was asked for by the user; block rules still apply)
+    const perms = await getPermissions(user.id, orgId);
     const result = await executeTool({
       tool,
       source: expandedSource,
       args: input || {},
-      userCredentials: credential.credentials,
+      userCredentials,
       userId: user.id,
+      credentialIdentity: identity,
+      guardrails: guardrailsForTool(source, tool.id),
+      role: perms.role,
+      approved: true,
     });
+    await finishAction(service, actionId, result);
 
     // Return the result with metadata in the format expected by the UI
     return NextResponse.json({
@@ -154,6 +195,9 @@ export async function POST(request) {
           response_body: result.response_body,
           duration_ms: result.duration_ms,
           error_message: result.error_message,
+          credential_identity: result.credential_identity,
+          attempts: result.attempts,
+          redacted: result.redacted,
           paginated: true,
         },
         result: result.response_body,
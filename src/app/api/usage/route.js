@@ -0,0 +1,87 @@
+import { NextResponse } from 'next/server';
+import { createClient, createServiceClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { getPermissions, requireAdmin } from '@/utils/permissions';
+import { decryptSettings } from '@/lib/secrets';
+import { summarizeUsage, usageAlerts, usageDay } from '@/lib/usage';
+
+export const dynamic = 'force-dynamic';
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 90;
+
+/**
+ * GET /api/usage - LLM token usage and cost for the org (admins)
+ *
+ * Query: days (1-90, default 30) - range ending today (UTC)
+ * Returns the range's totals, daily series and breakdowns per agent, user
+ * and model, plus alerts for budgets at or over their alert threshold.
+ */
+export async function GET(request) {
+  try {
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const cookieStore = await cookies();
+    const cookieOrgId = cookieStore.get('org_id')?.value;
+    const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+    const perms = await getPermissions(user.id, orgId);
+    const adminErr = requireAdmin(perms);
+    if (adminErr) {
+      return NextResponse.json({ error: adminErr.error }, { status: adminErr.status });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const days = Math.min(Math.max(parseInt(searchParams.get('days'), 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+
+    // Alerts need the whole month, which can start before the range
+    const now = Date.now();
+    const rangeStart = usageDay(now - (days - 1) * 24 * 60 * 60 * 1000);
+    const monthStart = `${usageDay(now).slice(0, 7)}-01`;
+    const from = rangeStart < monthStart ? rangeStart : monthStart;
+
+    const { data: rows, error } = await supabase
+      .from('llm_usage_daily')
+      .select('day, agent_id, user_id, origin, provider, model, requests, input_tokens, output_tokens, total_tokens, cost_usd')
+      .eq('org_id', orgId)
+      .gte('day', from);
+    if (error) throw error;
+
+    const [{ data: org }, { data: agents }] = await Promise.all([
+      supabase.from('org').select('settings').eq('id', orgId).single(),
+      supabase.from('agents').select('id, name, settings').eq('org_id', orgId),
+    ]);
+    const settings = await decryptSettings(orgId, org?.settings || {});
+
+    const summary = summarizeUsage(rows, { days, now });
+
+    // Names for the per-user breakdown
+    const userIds = new Set(summary.users.map((u) => u.user_id).filter(Boolean));
+    const users = [];
+    if (userIds.size > 0) {
+      const { data } = await createServiceClient().auth.admin.listUsers();
+      for (const u of data?.users || []) {
+        if (userIds.has(u.id)) {
+          users.push({ id: u.id, email: u.email, name: u.user_metadata?.full_name || u.email?.split('@')[0] || 'Unknown' });
+        }
+      }
+    }
+
+    return NextResponse.json({
+      ok: true,
+      days,
+      summary,
+      alerts: usageAlerts({ rows, budget: settings.usage_budget, orgLimits: settings.rate_limits, agents: agents || [] }, now),
+      budget: settings.usage_budget || null,
+      agents: (agents || []).map(({ id, name }) => ({ id, name })),
+      users,
+    });
+  } catch (error) {
+    console.error('[USAGE] GET Error:', error);
+    return NextResponse.json({ error: 'Failed to load usage' }, { status: 500 });
+  }
+}
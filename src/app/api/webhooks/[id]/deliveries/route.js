@@ -0,0 +1,121 @@
+import { NextResponse } from 'next/server';
+import { createClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { getPermissions, requireAdmin } from '@/utils/permissions';
+import { DELIVERY_STATUSES, redeliver } from '@/lib/webhooks';
+
+export const dynamic = 'force-dynamic';
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/**
+ * Resolve the user, org and admin check shared by all handlers.
+ * Returns { supabase, orgId } or { response } to return as-is.
+ */
+async function authorizeAdmin() {
+  const supabase = await createClient();
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) {
+    return { response: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }) };
+  }
+
+  const cookieStore = await cookies();
+  const cookieOrgId = cookieStore.get('org_id')?.value;
+  const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+  const perms = await getPermissions(user.id, orgId);
+  const adminErr = requireAdmin(perms);
+  if (adminErr) {
+    return { response: NextResponse.json({ error: adminErr.error }, { status: adminErr.status }) };
+  }
+
+  return { supabase, orgId };
+}
+
+/**
+ * GET /api/webhooks/[id]/deliveries - Delivery log of an endpoint, newest first
+ *
+ * Query: limit (default 25, max 100), offset, status (comma-separated)
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const { supabase, orgId, response } = await authorizeAdmin();
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(searchParams.get('offset'), 10) || 0, 0);
+    const statuses = searchParams.get('status')?.split(',').filter(Boolean) || [];
+    if (statuses.some(s => !DELIVERY_STATUSES.includes(s))) {
+      return NextResponse.json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` }, { status: 400 });
+    }
+
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('id, event, event_id, payload, status, attempts, next_attempt_at, response_status, response_body, error_message, duration_ms, last_attempt_at, delivered_at, created_at', { count: 'exact' })
+      .eq('org_id', orgId)
+      .eq('endpoint_id', id);
+    if (statuses.length > 0) {
+      query = query.in('status', statuses);
+    }
+
+    const { data, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return NextResponse.json({ ok: true, deliveries: data || [], total: count ?? 0, limit, offset });
+  } catch (error) {
+    console.error('[WEBHOOKS] Deliveries GET Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load deliveries', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/webhooks/[id]/deliveries - Redeliver one delivery now
+ * Body: { delivery_id }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const { supabase, orgId, response } = await authorizeAdmin();
+    if (response) return response;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+    }
+
+    // Visible under the admin's session = belongs to this org and endpoint
+    const { data: delivery } = await supabase
+      .from('webhook_deliveries')
+      .select('id')
+      .eq('id', body.delivery_id)
+      .eq('endpoint_id', id)
+      .eq('org_id', orgId)
+      .maybeSingle();
+    if (!delivery) {
+      return NextResponse.json({ error: 'Delivery not found' }, { status: 404 });
+    }
+
+    const result = await redeliver(delivery.id, orgId);
+    if (!result) {
+      return NextResponse.json({ error: 'Delivery not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ ok: true, delivery: result });
+  } catch (error) {
+    console.error('[WEBHOOKS] Redeliver Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to redeliver', details: error.message },
+      { status: 500 }
+    );
+  }
+}
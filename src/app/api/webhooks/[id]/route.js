@@ -0,0 +1,140 @@
+import { NextResponse } from 'next/server';
+import { createClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { getPermissions, requireAdmin } from '@/utils/permissions';
+import { encryptSecret } from '@/lib/secrets';
+import {
+  generateWebhookSecret,
+  secretPreview,
+  checkWebhookUrl,
+  validateWebhookEvents,
+  clearEndpointCache,
+} from '@/lib/webhooks';
+
+export const dynamic = 'force-dynamic';
+
+const ENDPOINT_SELECT = 'id, url, description, secret_preview, events, is_active, created_by, created_at, updated_at';
+
+/**
+ * Resolve the user, org and admin check shared by all handlers.
+ * Returns { supabase, orgId } or { response } to return as-is.
+ */
+async function authorizeAdmin() {
+  const supabase = await createClient();
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) {
+    return { response: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }) };
+  }
+
+  const cookieStore = await cookies();
+  const cookieOrgId = cookieStore.get('org_id')?.value;
+  const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+  const perms = await getPermissions(user.id, orgId);
+  const adminErr = requireAdmin(perms);
+  if (adminErr) {
+    return { response: NextResponse.json({ error: adminErr.error }, { status: adminErr.status }) };
+  }
+
+  return { supabase, orgId };
+}
+
+/**
+ * PUT /api/webhooks/[id] - Update an endpoint
+ * Body: { url?, events?, description?, is_active?, rotate_secret? }
+ * With rotate_secret: true the new secret is returned once.
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { id } = await params;
+    const { supabase, orgId, response } = await authorizeAdmin();
+    if (response) return response;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+    }
+
+    const updates = {};
+    if (body.url !== undefined) {
+      const url = body.url?.trim();
+      const urlError = await checkWebhookUrl(url);
+      if (urlError) return NextResponse.json({ error: urlError }, { status: 400 });
+      updates.url = url;
+    }
+    if (body.events !== undefined) {
+      const eventsError = validateWebhookEvents(body.events);
+      if (eventsError) return NextResponse.json({ error: eventsError }, { status: 400 });
+      updates.events = [...new Set(body.events)];
+    }
+    if (body.description !== undefined) {
+      updates.description = body.description?.trim() || null;
+    }
+    if (body.is_active !== undefined) {
+      updates.is_active = !!body.is_active;
+    }
+
+    let secret;
+    if (body.rotate_secret) {
+      secret = generateWebhookSecret();
+      updates.secret = await encryptSecret(orgId, secret);
+      updates.secret_preview = secretPreview(secret);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return NextResponse.json({ error: 'Nothing to update' }, { status: 400 });
+    }
+
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .update(updates)
+      .eq('id', id)
+      .eq('org_id', orgId)
+      .select(ENDPOINT_SELECT)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      return NextResponse.json({ error: 'Webhook not found' }, { status: 404 });
+    }
+
+    clearEndpointCache(orgId);
+
+    return NextResponse.json({ ok: true, endpoint: data, ...(secret ? { secret } : {}) });
+  } catch (error) {
+    console.error('[WEBHOOKS] PUT Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update webhook', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/webhooks/[id] - Remove an endpoint and its delivery log
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    const { supabase, orgId, response } = await authorizeAdmin();
+    if (response) return response;
+
+    const { error } = await supabase
+      .from('webhook_endpoints')
+      .delete()
+      .eq('id', id)
+      .eq('org_id', orgId);
+    if (error) throw error;
+
+    clearEndpointCache(orgId);
+
+    return NextResponse.json({ ok: true });
+  } catch (error) {
+    console.error('[WEBHOOKS] DELETE Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete webhook', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,118 @@
+import { NextResponse } from 'next/server';
+import { createClient, getUserOrgId } from '@/utils/supabase/server';
+import { cookies } from 'next/headers';
+import { getPermissions, requireAdmin } from '@/utils/permissions';
+import { encryptSecret } from '@/lib/secrets';
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  secretPreview,
+  checkWebhookUrl,
+  validateWebhookEvents,
+  clearEndpointCache,
+} from '@/lib/webhooks';
+
+export const dynamic = 'force-dynamic';
+
+const ENDPOINT_SELECT = 'id, url, description, secret_preview, events, is_active, created_by, created_at, updated_at';
+
+/**
+ * Resolve the user, org and admin check shared by all handlers.
+ * Returns { supabase, user, orgId } or { response } to return as-is.
+ */
+async function authorizeAdmin() {
+  const supabase = await createClient();
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) {
+    return { response: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }) };
+  }
+
+  const cookieStore = await cookies();
+  const cookieOrgId = cookieStore.get('org_id')?.value;
+  const orgId = await getUserOrgId(supabase, cookieOrgId);
+
+  const perms = await getPermissions(user.id, orgId);
+  const adminErr = requireAdmin(perms);
+  if (adminErr) {
+    return { response: NextResponse.json({ error: adminErr.error }, { status: adminErr.status }) };
+  }
+
+  return { supabase, user, orgId };
+}
+
+/**
+ * GET /api/webhooks - Org webhook endpoints (secrets never returned)
+ */
+export async function GET() {
+  try {
+    const { supabase, orgId, response } = await authorizeAdmin();
+    if (response) return response;
+
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .select(ENDPOINT_SELECT)
+      .eq('org_id', orgId)
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+
+    return NextResponse.json({ ok: true, endpoints: data || [], events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('[WEBHOOKS] GET Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load webhooks', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/webhooks - Register an endpoint
+ * Body: { url, events: string[], description? }
+ * The signing secret is returned once, in this response only.
+ */
+export async function POST(request) {
+  try {
+    const { supabase, user, orgId, response } = await authorizeAdmin();
+    if (response) return response;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+    }
+
+    const url = body.url?.trim();
+    const validationError = (await checkWebhookUrl(url)) || validateWebhookEvents(body.events);
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    const secret = generateWebhookSecret();
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .insert({
+        org_id: orgId,
+        url,
+        description: body.description?.trim() || null,
+        secret: await encryptSecret(orgId, secret),
+        secret_preview: secretPreview(secret),
+        events: [...new Set(body.events)],
+        created_by: user.id,
+      })
+      .select(ENDPOINT_SELECT)
+      .single();
+    if (error) throw error;
+
+    clearEndpointCache(orgId);
+    console.log('[WEBHOOKS] Created endpoint', data.id, '→', url, '|', data.events.join(', '));
+
+    return NextResponse.json({ ok: true, endpoint: data, secret }, { status: 201 });
+  } catch (error) {
+    console.error('[WEBHOOKS] POST Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create webhook', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -22,7 +22,7 @@ export async function GET(request, { params }) {
     // Get the chat
     const { data: chat, error: chatError } = await supabase
       .from('chats')
-      .select('id, title, created_at, agent_id')
+      .select('id, title, created_at, agent_id, dry_run')
       .eq('id', chatId)
       .eq('org_id', orgId)
       .single();
@@ -132,7 +132,8 @@ export async function GET(request, { params }) {
 }
 
 /**
- * PATCH /api/workspace/chats/[chatId] — Rename a chat
+ * PATCH /api/workspace/chats/[chatId] — Rename a chat or toggle its dry-run mode
+ * Body: { title?, dry_run? }
  */
 export async function PATCH(request, { params }) {
   try {
@@ -149,16 +150,29 @@ export async function PATCH(request, { params }) {
     const orgId = await getUserOrgId(supabase, cookieOrgId);
 
     const body = await request.json();
-    const { title } = body;
+    const { title, dry_run } = body;
+    const updates = {};
 
-    if (!title || typeof title !== 'string') {
+    if (title !== undefined) {
+      if (!title || typeof title !== 'string') {
+        return Response.json({ error: 'Title is required' }, { status: 400 });
+      }
+      updates.title = title.trim();
+    }
+    if (dry_run !== undefined) {
+      if (typeof dry_run !== 'boolean') {
+        return Response.json({ error: 'dry_run must be a boolean' }, { status: 400 });
+      }
+      updates.dry_run = dry_run;
+    }
+    if (Object.keys(updates).length === 0) {
       return Response.json({ error: 'Title is required' }, { status: 400 });
     }
 
-    // Update the chat title
+    // Update the chat
     const { data: chat, error } = await supabase
       .from('chats')
-      .update({ title: title.trim() })
+      .update(updates)
       .eq('id', chatId)
       .eq('org_id', orgId)
       .eq('user_id', user.id)
@@ -166,8 +180,8 @@ export async function PATCH(request, { params }) {
       .single();
 
     if (error) {
-      console.error('[CHAT] Failed to rename chat:', error);
-      return Response.json({ error: 'Failed to rename chat' }, { status: 500 });
+      console.error('[CHAT] Failed to update chat:', error);
+      return Response.json({ error: 'Failed to update chat' }, { status: 500 });
     }
 
     return Response.json({ chat });
@@ -3,6 +3,7 @@ import { cookies } from 'next/headers';
 
 /**
  * POST /api/workspace/chats — Create a new chat
+ * Body: { agentId, title?, dryRun? }
  */
 export async function POST(request) {
   try {
@@ -18,7 +19,7 @@ export async function POST(request) {
     const orgId = await getUserOrgId(supabase, cookieOrgId);
 
     const body = await request.json();
-    const { agentId, title } = body;
+    const { agentId, title, dryRun } = body;
 
     if (!agentId) {
       return Response.json({ error: 'agentId is required' }, { status: 400 });
@@ -34,8 +35,9 @@ export async function POST(request) {
         agent_id: agentId,
         user_id: user.id,
         title: title || 'New chat',
+        dry_run: dryRun === true,
       })
-      .select('id, title, created_at')
+      .select('id, title, created_at, dry_run')
       .single();
 
     if (error) {
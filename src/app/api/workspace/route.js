@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { createClient, getUserOrgId } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
+import { encryptSettings } from '@/lib/secrets';
 
 export const dynamic = 'force-dynamic';
 
@@ -211,7 +212,7 @@ export async function PATCH(request) {
     // Update org settings
     const { error } = await supabase
       .from('org')
-      .update({ settings: newSettings })
+      .update({ settings: await encryptSettings(orgId, newSettings) })
       .eq('id', orgId);
 
     if (error) throw error;
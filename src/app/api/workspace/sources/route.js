@@ -1,7 +1,7 @@
 import { NextResponse } from 'next/server';
 import { createClient, getUserOrgId } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
-import { parseOpenApiSpec } from '@/lib/tools';
+import { parseOpenApiSpec, loadSpecDocument } from '@/lib/tools';
 
 export const dynamic = 'force-dynamic';
 
@@ -62,7 +62,7 @@ export async function POST(request) {
     if (spec_url && !spec_content) {
       try {
         const res = await fetch(spec_url, {
-          headers: { 'Accept': 'application/json' },
+          headers: { 'Accept': 'application/json, application/yaml, text/yaml' },
           signal: AbortSignal.timeout(15000),
         });
         if (!res.ok) {
@@ -71,7 +71,7 @@ export async function POST(request) {
             { status: 400 }
           );
         }
-        resolvedSpec = await res.json();
+        resolvedSpec = await res.text();
       } catch (fetchError) {
         return NextResponse.json(
           { error: 'Failed to fetch spec', details: fetchError.message },
@@ -118,6 +118,7 @@ export async function POST(request) {
 
     let parsed;
     try {
+      resolvedSpec = loadSpecDocument(resolvedSpec);
       parsed = parseOpenApiSpec(resolvedSpec);
     } catch (parseError) {
       return NextResponse.json(
@@ -136,8 +137,10 @@ export async function POST(request) {
         name: source_meta.title || 'Untitled API',
         description: source_meta.description || '',
         base_url: source_meta.base_url || '',
+        servers: source_meta.servers || [],
         source_type: 'openapi',
-        auth_type: 'passthrough',
+        auth_type: source_meta.auth?.auth_type || 'passthrough',
+        auth_config: source_meta.auth?.auth_config || {},
         spec_content: resolvedSpec,
         spec_url: resolvedUrl || null,
         spec_hash: source_meta.spec_hash,
@@ -160,6 +163,8 @@ export async function POST(request) {
         path: t.path,
         parameters: t.parameters || {},
         request_body: t.request_body || null,
+        servers: t.servers || [],
+        inverse: t.inverse || null,
         risk_level: t.risk_level,
         requires_confirmation: t.requires_confirmation,
         tags: t.tags || [],
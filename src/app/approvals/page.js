@@ -0,0 +1,258 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { AuthGuard } from "@/components/auth-guard";
+import { AuthenticatedNav } from "@/components/layout/authenticated-nav";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { SkeletonTable } from "@/components/ui/skeleton";
+import { Users, Hourglass, CheckCircle2, XCircle, AlertTriangle, Loader2, RefreshCw } from "lucide-react";
+import { toast } from "sonner";
+import { generateImpactPreview, formatCurrency } from "@/lib/impact-preview";
+
+const METHOD_COLORS = {
+  GET: "text-green-400",
+  POST: "text-blue-400",
+  PUT: "text-yellow-400",
+  PATCH: "text-orange-400",
+  DELETE: "text-red-400",
+};
+
+const formatTime = (iso) => {
+  if (!iso) return "—";
+  const d = new Date(iso);
+  const diff = new Date() - d;
+  if (diff < 60000) return "just now";
+  if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
+  if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`;
+  return d.toLocaleDateString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+};
+
+function ImpactSummary({ item }) {
+  const preview = generateImpactPreview(item.tool_name, item.method, item.request_body);
+  const { details } = preview;
+  const facts = [
+    details?.id && `ID ${details.id}`,
+    details?.name,
+    details?.email,
+    details?.amount && formatCurrency(details.amount, details.currency),
+    details?.status && `status ${details.status}`,
+  ].filter(Boolean);
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-white/70">
+        {preview.summary}
+        {facts.length > 0 && <span className="text-white/50">: {facts.join(" · ")}</span>}
+      </p>
+      {preview.warnings.map((warning, i) => (
+        <div key={i} className="flex items-center gap-2 text-yellow-400/90 text-xs">
+          <AlertTriangle className="w-3.5 h-3.5 shrink-0" />
+          <span>{warning.message}</span>
+        </div>
+      ))}
+      {item.request_body && Object.keys(item.request_body).length > 0 && (
+        <pre className="text-[11px] font-mono text-cyan-400/70 whitespace-pre-wrap break-words bg-white/[0.02] rounded p-2">
+          {JSON.stringify(item.request_body, null, 2)}
+        </pre>
+      )}
+    </div>
+  );
+}
+
+function QueueItem({ item, onDecided }) {
+  const [reason, setReason] = useState("");
+  const [deciding, setDeciding] = useState(null);
+
+  const decide = async (approve) => {
+    setDeciding(approve ? "approve" : "reject");
+    try {
+      const res = await fetch(`/api/approvals/${item.id}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ approve, reason: reason.trim() || undefined }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(approve ? `Approved and ran ${item.tool_name}` : `Rejected ${item.tool_name}`);
+      } else if (data.status === "failed") {
+        toast.error(`Approved, but ${item.tool_name} failed: ${data.result?.error || `HTTP ${data.result?.status}`}`);
+      } else {
+        toast.error(data.error || "Failed to decide");
+        // Someone else decided it first
+        if (res.status !== 409) return;
+      }
+      onDecided(item.id);
+    } catch {
+      toast.error("Failed to decide");
+    } finally {
+      setDeciding(null);
+    }
+  };
+
+  return (
+    <div className="rounded-lg border border-white/10 bg-white/[0.02] p-4 space-y-3">
+      <div className="flex items-center gap-2 flex-wrap">
+        <span className={`font-mono text-xs font-bold ${METHOD_COLORS[item.method] || "text-white/40"}`}>
+          {item.method}
+        </span>
+        <span className="text-sm font-medium">{item.tool_name}</span>
+        {item.source_name && <span className="text-xs text-white/30">{item.source_name}</span>}
+        {item.agent_name && (
+          <Badge variant="outline" className="text-[10px] border-white/10 text-white/50">{item.agent_name}</Badge>
+        )}
+        <span className="ml-auto text-xs text-white/30" title={new Date(item.created_at).toLocaleString()}>
+          {formatTime(item.created_at)}
+        </span>
+      </div>
+
+      <ImpactSummary item={item} />
+
+      {item.can_decide ? (
+        <div className="flex items-center gap-2 pt-3 border-t border-white/5">
+          <Input
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason (optional, shown to the requester)"
+            maxLength={500}
+            className="bg-white/5 border-white/10 text-xs"
+          />
+          <Button
+            size="sm"
+            onClick={() => decide(true)}
+            disabled={Boolean(deciding)}
+            className="bg-green-600 hover:bg-green-500 text-white font-bold shrink-0"
+          >
+            {deciding === "approve" ? <Loader2 className="w-4 h-4 animate-spin" /> : <><CheckCircle2 className="w-4 h-4 mr-1" />Approve</>}
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => decide(false)}
+            disabled={Boolean(deciding)}
+            className="border-red-500/40 text-red-400 hover:bg-red-500/10 shrink-0"
+          >
+            {deciding === "reject" ? <Loader2 className="w-4 h-4 animate-spin" /> : <><XCircle className="w-4 h-4 mr-1" />Reject</>}
+          </Button>
+        </div>
+      ) : (
+        <div className="flex items-center gap-2 pt-3 border-t border-white/5 text-xs text-yellow-400/80">
+          <Hourglass className="w-3.5 h-3.5" />
+          Your request - waiting for {item.approvers}
+          {item.chat_id && (
+            <Link href={`/chat/${item.chat_id}`} className="ml-auto text-blue-400/80 hover:text-blue-400">
+              Open chat
+            </Link>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ApprovalsContent() {
+  const [loading, setLoading] = useState(true);
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, []);
+
+  const fetchQueue = async () => {
+    setLoading(true);
+    try {
+      const res = await fetch("/api/approvals");
+      const data = await res.json();
+      if (res.ok) {
+        setItems(data.items || []);
+      } else {
+        toast.error(data.error || "Failed to load approvals");
+      }
+    } catch {
+      toast.error("Failed to load approvals");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toDecide = items.filter((item) => item.can_decide);
+  const mine = items.filter((item) => item.own);
+
+  return (
+    <div className="min-h-screen bg-[#0a0a0f] text-white">
+      <AuthenticatedNav />
+
+      <main className="container mx-auto px-6 py-12">
+        <div className="max-w-4xl mx-auto">
+          <div className="flex items-center justify-between mb-8">
+            <div>
+              <h1 className="text-3xl font-black mb-2">Approvals</h1>
+              <p className="text-white/40">
+                High-risk calls that need a second person before they run
+              </p>
+            </div>
+            <Button variant="outline" onClick={fetchQueue} disabled={loading} className="border-white/10">
+              <RefreshCw className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`} />
+              Refresh
+            </Button>
+          </div>
+
+          <Card className="bg-white/5 border-white/10">
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <Users className="h-5 w-5" />
+                Waiting for you
+              </CardTitle>
+              <CardDescription className="text-white/40">
+                Approving runs the call right away with the requester&apos;s credentials. The result, or your reason
+                for rejecting it, shows up in their chat.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {loading ? (
+                <SkeletonTable rows={3} cols={3} />
+              ) : toDecide.length === 0 ? (
+                <p className="text-sm text-white/30 py-6 text-center">Nothing to approve</p>
+              ) : (
+                toDecide.map((item) => (
+                  <QueueItem
+                    key={item.id}
+                    item={item}
+                    onDecided={(id) => setItems((prev) => prev.filter((i) => i.id !== id))}
+                  />
+                ))
+              )}
+            </CardContent>
+          </Card>
+
+          {!loading && mine.length > 0 && (
+            <Card className="bg-white/5 border-white/10 mt-6">
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Hourglass className="h-5 w-5" />
+                  Your requests
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {mine.map((item) => (
+                  <QueueItem key={item.id} item={item} onDecided={() => {}} />
+                ))}
+              </CardContent>
+            </Card>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default function ApprovalsPage() {
+  return (
+    <AuthGuard>
+      <ApprovalsContent />
+    </AuthGuard>
+  );
+}
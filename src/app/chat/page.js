@@ -32,18 +32,26 @@ import {
   FileText,
   Image as ImageIcon,
   File as FileIcon,
+  FlaskConical,
+  Hourglass,
 } from "lucide-react";
 import Link from "next/link";
 import { toast } from "sonner";
 import { cachedFetch, clearFetchCache } from "@/lib/fetch-cache";
+import { readRateLimitMessage } from "@/lib/limits/rate-limits";
 import { ChatMessage } from "@/components/chat/chat-message";
 import { useFileUpload } from "@/hooks/use-file-upload";
 import { AuthenticatedNav } from "@/components/layout/authenticated-nav";
 import { CredentialModal } from "@/components/chat/credential-modal";
 import { ApiDetailModal } from "@/components/chat/api-detail-modal";
 import { TemplateBrowser } from "@/components/templates/template-browser";
+import { RoutineGallery } from "@/components/routines/routine-gallery";
 import { SlashCommandAutocomplete } from "@/components/chat/slash-command-autocomplete";
 import { SaveRoutineDialog } from "@/components/chat/save-routine-dialog";
+import { RoutineRunPanel } from "@/components/chat/routine-run-panel";
+import { RoutineParamsDialog } from "@/components/routines/routine-params-form";
+import { buildRoutinePrompt, checkRoutineParams } from "@/lib/routines/parameters";
+import { extractArgs, argsToParams } from "@/lib/slash-command-parser";
 import { OnboardingDialog } from "@/components/onboarding/onboarding-dialog";
 import { useSlashCommands } from "@/hooks/use-slash-commands";
 
@@ -247,7 +255,7 @@ function ChatSidebar({
 }
 
 // Add API dialog - shows saved APIs + add new
-function AddApiDialog({ open, onOpenChange, onAdd, onRemove, activeSources }) {
+function AddApiDialog({ open, onOpenChange, onAdd, onRemove, activeSources, onRoutineImported }) {
   const [tab, setTab] = useState("catalog");
   const [url, setUrl] = useState("");
   const [loading, setLoading] = useState(false);
@@ -470,6 +478,14 @@ function AddApiDialog({ open, onOpenChange, onAdd, onRemove, activeSources }) {
           >
             Browse Catalog
           </button>
+          <button
+            onClick={() => setTab("routines")}
+            className={`flex-1 px-4 py-2 rounded text-sm font-medium transition-colors ${
+              tab === "routines" ? "bg-white/10 text-white" : "text-white/50 hover:text-white/70"
+            }`}
+          >
+            Starter Routines
+          </button>
           <button
             onClick={() => { setTab("library"); resetNewForm(); }}
             className={`flex-1 px-4 py-2 rounded text-sm font-medium transition-colors ${
@@ -500,6 +516,10 @@ function AddApiDialog({ open, onOpenChange, onAdd, onRemove, activeSources }) {
             <div className="py-2">
               <TemplateBrowser onSourceCreated={handleSourceCreated} />
             </div>
+          ) : tab === "routines" ? (
+            <div className="py-2">
+              <RoutineGallery onImported={onRoutineImported} />
+            </div>
           ) : tab === "library" ? (
             <div className="space-y-2 py-2">
               {loadingSources ? (
@@ -684,6 +704,9 @@ function ChatInterface({
   credentialStatus,
   onCredentialClick,
   onApiDetailClick,
+  dryRun = false,
+  onDryRunChange,
+  routinesUpdatedAt = 0,
 }) {
   // Filter sources for API calls (exclude disabled ones)
   const enabledSources = sources.filter((s) => !disabledSources.has(s.id));
@@ -705,6 +728,12 @@ function ChatInterface({
   // Track active routine (when a saved routine was used for this response)
   const [activeRoutine, setActiveRoutine] = useState(null);
 
+  // Deterministic routine run in progress: { routineId, name, steps, run, busy }
+  const [routineRun, setRoutineRun] = useState(null);
+
+  // Why the last message was refused, when it was over a rate limit or token budget
+  const [limitNotice, setLimitNotice] = useState(null);
+
   // Store toolCalls data separately from useChat (useChat may strip custom properties)
   // Map of message ID -> toolCalls array
   const [storedToolCalls, setStoredToolCalls] = useState(() => {
@@ -733,6 +762,11 @@ function ChatInterface({
     isSlashCommand,
   } = useSlashCommands({ agentId });
 
+  // Routines added elsewhere on the page (the starter routine gallery)
+  useEffect(() => {
+    if (routinesUpdatedAt) refetchRoutines();
+  }, [routinesUpdatedAt]);
+
   // Check if we're showing only routines (no search term)
   const showingRoutinesOnly = suggestions.length > 0 && suggestions.every(s => s._isRoutine);
 
@@ -759,14 +793,19 @@ function ChatInterface({
     }
   }, [currentChatId, chatKey, initialMessages]);
 
+  // A routine run belongs to the chat it started in
+  useEffect(() => {
+    setRoutineRun(null);
+  }, [chatKey]);
+
   // Body ref for transport - ensures agentId and chatId are always included
   // This is critical for tool approval responses which don't accept per-call body
-  const bodyRef = useRef({ agentId, chatId: currentChatId, enabledSourceIds: enabledSources.map(s => s.id) });
+  const bodyRef = useRef({ agentId, chatId: currentChatId, enabledSourceIds: enabledSources.map(s => s.id), dryRun });
 
   // Keep bodyRef in sync with current values
   useEffect(() => {
-    bodyRef.current = { agentId, chatId: currentChatId, enabledSourceIds: enabledSources.map(s => s.id) };
-  }, [agentId, currentChatId, enabledSources]);
+    bodyRef.current = { agentId, chatId: currentChatId, enabledSourceIds: enabledSources.map(s => s.id), dryRun };
+  }, [agentId, currentChatId, enabledSources, dryRun]);
 
   // Custom fetch wrapper to capture routine headers
   const customFetch = useCallback(async (url, options) => {
@@ -816,6 +855,12 @@ function ChatInterface({
         // User cancelled - this is expected, not an error
         return;
       }
+      // Over a rate limit or token budget (429): say so in the chat
+      const limitMessage = readRateLimitMessage(err.message);
+      if (limitMessage) {
+        setLimitNotice(limitMessage);
+        return;
+      }
       toast.error(err.message || "Chat failed - check your API key in settings");
     },
   });
@@ -909,6 +954,60 @@ function ChatInterface({
   // Track selected routine for when user submits
   const [selectedRoutine, setSelectedRoutine] = useState(null);
 
+  // Routine whose parameter form is open
+  const [formRoutine, setFormRoutine] = useState(null);
+
+  // Run a routine with the values from its form (already checked there; the
+  // server checks them again before anything runs)
+  const runRoutineWithParams = async (routine, params) => {
+    setFormRoutine(null);
+    const command = [
+      `/${routine.name}`,
+      ...Object.entries(params).map(([name, value]) => `${name}=${JSON.stringify(String(value))}`),
+    ].join(" ");
+
+    if (routine.mode === "deterministic" && routine.steps?.length) {
+      await runDeterministicRoutine(routine, command, params);
+      return;
+    }
+
+    const messageText = buildRoutinePrompt(routine, params);
+    const chatId = await ensureChatExists(messageText);
+    if (!chatId) {
+      toast.error("Failed to create chat");
+      return;
+    }
+    sendMessage({ text: messageText }, { body: { agentId, chatId, routine: { id: routine.id, params } } });
+  };
+
+  // /chat?routine=<id>[&params=<json>] comes from a routine's page: run it with
+  // those values, or open its form when there are none (or they don't check out)
+  useEffect(() => {
+    const query = new URLSearchParams(window.location.search);
+    const routineId = query.get("routine");
+    if (!routineId || !slashRoutines.length) return;
+    window.history.replaceState(null, "", window.location.pathname);
+
+    const item = slashRoutines.find((r) => r.id === routineId);
+    if (!item) {
+      toast.error("Routine not found");
+      return;
+    }
+    const routine = selectTool(item);
+    let values = null;
+    try {
+      values = query.get("params") ? JSON.parse(query.get("params")) : null;
+    } catch {
+      values = null;
+    }
+    const checked = values && checkRoutineParams(routine.parameters, values);
+    if (checked && Object.keys(checked.errors).length === 0) {
+      runRoutineWithParams(routine, checked.params);
+    } else {
+      setFormRoutine(routine);
+    }
+  }, [slashRoutines]);
+
   // File attachment handlers - uploads to S3 immediately on select
   const handleFileSelect = async (e) => {
     const files = Array.from(e.target.files || []);
@@ -1056,7 +1155,12 @@ function ChatInterface({
   const handleSelectItem = (item) => {
     const result = selectTool(item);
 
-    if (result.type === 'routine') {
+    if (result.type === 'routine' && Object.keys(result.parameters).length > 0) {
+      // Routine with parameters - ask for them in its form
+      setSelectedRoutine(null);
+      setInput("");
+      setFormRoutine(result);
+    } else if (result.type === 'routine') {
       // Routine selected - insert as slash command so user can add context
       setSelectedRoutine(result);
       setInput(`/${result.name} `);
@@ -1079,6 +1183,8 @@ function ChatInterface({
           toolId: tool.id,
           params,
           agentId,
+          chatId: chatIdRef.current,
+          dryRun,
         }),
       });
 
@@ -1104,7 +1210,7 @@ function ChatInterface({
           { body: { agentId, chatId: currentChatId } }
         );
       } else {
-        toast.error(data.error || "Failed to execute command");
+        toast.error(data.error || data.result?.error || "Failed to execute command");
       }
     } catch (err) {
       toast.error(err.message || "Failed to execute command");
@@ -1113,6 +1219,86 @@ function ChatInterface({
     }
   };
 
+  // A finished deterministic run shows up in the chat as the command and its summary;
+  // a failed one hands the rest of the routine to the assistant (LLM mode)
+  const endRoutineRun = (command, run, chatId) => {
+    if (run.summary) {
+      const stamp = Date.now();
+      setMessages((prev) => [
+        ...prev,
+        { id: `routine-${run.id}-user-${stamp}`, role: "user", parts: [{ type: "text", text: command }] },
+        { id: `routine-${run.id}-assistant-${stamp}`, role: "assistant", parts: [{ type: "text", text: run.summary }] },
+      ]);
+    }
+    if (run.status === "failed" && run.fallback_prompt) {
+      toast.info("A routine step failed, continuing with the assistant");
+      sendMessage({ text: run.fallback_prompt }, { body: { agentId, chatId } });
+    }
+  };
+
+  // Run a deterministic routine's compiled steps on the server, with the values
+  // from its form or else the ones typed after the command
+  const runDeterministicRoutine = async (routine, command, formParams) => {
+    const parameters = routine.parameters || {};
+    const params = formParams || argsToParams(extractArgs(command), {
+      parameters: {
+        properties: parameters,
+        required: Object.keys(parameters).filter((name) => parameters[name]?.required),
+      },
+    });
+
+    const chatId = await ensureChatExists(command);
+    if (!chatId) {
+      toast.error("Failed to create chat");
+      return;
+    }
+
+    setRoutineRun({ routineId: routine.id, name: routine.name, steps: routine.steps, command, run: null, busy: true });
+    try {
+      const res = await fetch(`/api/routines/${routine.id}/runs`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ agentId, chatId, params, dryRun }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error || "Failed to run routine");
+        setRoutineRun(null);
+        return;
+      }
+      setRoutineRun((prev) => ({ ...prev, steps: data.steps || prev.steps, run: data.run, busy: false }));
+      if (data.run.status !== "needs_confirmation") endRoutineRun(command, data.run, chatId);
+    } catch (err) {
+      toast.error(err.message || "Failed to run routine");
+      setRoutineRun(null);
+    }
+  };
+
+  // Confirm or cancel the step a run is waiting on
+  const answerRoutineRun = async (action) => {
+    if (!routineRun?.run) return;
+    const { routineId, command, run } = routineRun;
+    setRoutineRun((prev) => ({ ...prev, busy: true }));
+    try {
+      const res = await fetch(`/api/routines/${routineId}/runs/${run.id}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ action }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error || "Failed to continue routine");
+        setRoutineRun((prev) => ({ ...prev, busy: false }));
+        return;
+      }
+      setRoutineRun((prev) => ({ ...prev, steps: data.steps || prev.steps, run: data.run, busy: false }));
+      if (data.run.status !== "needs_confirmation") endRoutineRun(command, data.run, run.chat_id);
+    } catch (err) {
+      toast.error(err.message || "Failed to continue routine");
+      setRoutineRun((prev) => ({ ...prev, busy: false }));
+    }
+  };
+
   // Pre-create chat if this is a new conversation
   const ensureChatExists = async (messageText) => {
     console.log('[ENSURE CHAT] currentChatId:', currentChatId, 'chatIdRef:', chatIdRef.current);
@@ -1133,6 +1319,7 @@ function ChatInterface({
         body: JSON.stringify({
           agentId,
           title: messageText.slice(0, 100),
+          dryRun,
         }),
       });
 
@@ -1179,11 +1366,21 @@ function ChatInterface({
     if (!input.trim() || isLoading) return;
 
     closeAutocomplete();
+    setLimitNotice(null);
 
     // Determine the message text
     let messageText = input;
     let isRoutineExecution = false;
 
+    // A deterministic routine runs its compiled steps instead of the LLM
+    if (selectedRoutine?.mode === "deterministic" && selectedRoutine.steps?.length && input.startsWith(`/${selectedRoutine.name}`)) {
+      const command = input.trim();
+      setInput("");
+      setSelectedRoutine(null);
+      await runDeterministicRoutine(selectedRoutine, command);
+      return;
+    }
+
     // Check if this is a routine execution (user selected from "/" menu)
     if (selectedRoutine && input.startsWith(`/${selectedRoutine.name}`)) {
       const additionalContext = input.slice(`/${selectedRoutine.name}`.length).trim();
@@ -1339,7 +1536,7 @@ function ChatInterface({
                     await fetch(`/api/routines/${activeRoutine.id}/feedback`, {
                       method: 'POST',
                       headers: { 'Content-Type': 'application/json' },
-                      body: JSON.stringify({ outcome: 'failure' }),
+                      body: JSON.stringify({ outcome: 'failure', chat_id: chatIdRef.current || null }),
                     });
                     toast.info('Feedback recorded - routine will be less likely to match');
                   } catch (err) {
@@ -1436,6 +1633,34 @@ function ChatInterface({
             </div>
           )}
 
+          <RoutineParamsDialog
+            routine={formRoutine}
+            open={Boolean(formRoutine)}
+            onOpenChange={(open) => !open && setFormRoutine(null)}
+            onSubmit={(params) => runRoutineWithParams(formRoutine, params)}
+          />
+
+          {routineRun && (
+            <RoutineRunPanel
+              name={routineRun.name}
+              steps={routineRun.steps || []}
+              run={routineRun.run}
+              busy={routineRun.busy}
+              onConfirm={() => answerRoutineRun("confirm")}
+              onCancel={() => answerRoutineRun("cancel")}
+              onDismiss={() => setRoutineRun(null)}
+            />
+          )}
+
+          {limitNotice && !isLoading && (
+            <div className="flex justify-start">
+              <div className="flex items-center gap-2 rounded-2xl px-4 py-3 bg-yellow-500/10 border border-yellow-500/20 text-sm text-yellow-300/90">
+                <Hourglass className="w-4 h-4 shrink-0" />
+                {limitNotice}
+              </div>
+            </div>
+          )}
+
           <div ref={messagesEndRef} />
         </div>
       </div>
@@ -1464,6 +1689,20 @@ function ChatInterface({
               Add API
             </button>
 
+            {/* Dry run toggle - write calls are simulated, not sent */}
+            <button
+              onClick={() => onDryRunChange?.(!dryRun)}
+              title={dryRun ? "Dry run is on: write calls are simulated, not sent" : "Simulate write calls instead of sending them"}
+              className={`flex items-center gap-1.5 px-3 py-1.5 border rounded-full text-sm transition-colors cursor-pointer ${
+                dryRun
+                  ? "border-amber-500/40 bg-amber-500/10 text-amber-400 hover:bg-amber-500/20"
+                  : "border-white/10 text-white/40 hover:text-white/60 hover:border-white/20"
+              }`}
+            >
+              <FlaskConical className="w-3.5 h-3.5" />
+              Dry run{dryRun ? " on" : ""}
+            </button>
+
             {/* Save as Routine button - appears when chat has tool calls */}
             {currentChatId && messages.some(m =>
               m.toolCalls?.length > 0 ||
@@ -1692,6 +1931,7 @@ function ChatContent({ initialChatId }) {
   const [workspace, setWorkspace] = useState(null);
   const [loadingWorkspace, setLoadingWorkspace] = useState(true);
   const [addDialogOpen, setAddDialogOpen] = useState(false);
+  const [routinesUpdatedAt, setRoutinesUpdatedAt] = useState(0);
   const [sidebarOpen, setSidebarOpen] = useState(true);
 
   // Chat state
@@ -1700,6 +1940,7 @@ function ChatContent({ initialChatId }) {
   const [currentChatId, setCurrentChatId] = useState(initialChatId || null);
   const [currentMessages, setCurrentMessages] = useState([]);
   const [loadingMessages, setLoadingMessages] = useState(false);
+  const [dryRun, setDryRun] = useState(false);
   const [initialLoadDone, setInitialLoadDone] = useState(false);
 
   // API key inline setup
@@ -1815,6 +2056,7 @@ function ChatContent({ initialChatId }) {
         console.log('[LOAD CHAT CLIENT] ════════════════════════════════════════');
         setCurrentChatId(chatId);
         setCurrentMessages(data.messages || []);
+        setDryRun(data.chat?.dry_run === true);
       } else {
         toast.error("Failed to load chat");
       }
@@ -1829,11 +2071,32 @@ function ChatContent({ initialChatId }) {
   const handleNewChat = () => {
     setCurrentChatId(null);
     setCurrentMessages([]);
+    setDryRun(false);
     // Use replaceState to update URL without causing a full page navigation
     // (router.push to /chat from /chat/[id] causes a full remount)
     window.history.replaceState(null, "", "/chat");
   };
 
+  // Dry run is stored on the chat once it exists; before that it rides along
+  // with the create request
+  const handleDryRunChange = async (enabled) => {
+    setDryRun(enabled);
+    if (!currentChatId) return;
+    try {
+      const res = await fetch(`/api/workspace/chats/${currentChatId}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ dry_run: enabled }),
+      });
+      if (!res.ok) throw new Error();
+      clearFetchCache((key) => key.includes(`/api/workspace/chats/${currentChatId}`));
+      toast.success(enabled ? "Dry run on: write calls will be simulated" : "Dry run off");
+    } catch {
+      setDryRun(!enabled);
+      toast.error("Failed to update dry run");
+    }
+  };
+
   const handleSelectChat = (chatId) => {
     if (chatId === currentChatId) return;
     router.push(`/chat/${chatId}`, { scroll: false });
@@ -2113,6 +2376,9 @@ function ChatContent({ initialChatId }) {
                 credentialStatus={credentialStatus}
                 onCredentialClick={handleCredentialClick}
                 onApiDetailClick={handleApiDetailClick}
+                dryRun={dryRun}
+                onDryRunChange={handleDryRunChange}
+                routinesUpdatedAt={routinesUpdatedAt}
               />
             </div>
           )
@@ -2234,6 +2500,10 @@ function ChatContent({ initialChatId }) {
         onAdd={handleAddSource}
         onRemove={handleRemoveSource}
         activeSources={sources}
+        onRoutineImported={() => {
+          setAddDialogOpen(false);
+          setRoutinesUpdatedAt(Date.now());
+        }}
       />
 
 
@@ -4,12 +4,15 @@ import { useState, useEffect, useRef, useMemo, use } from "react";
 import { useChat } from "@ai-sdk/react";
 import { DefaultChatTransport } from "ai";
 import { ChatMessage } from "@/components/chat/chat-message";
-import { Bot, Send, AlertCircle, Loader2 } from "lucide-react";
+import { Bot, Send, AlertCircle, Loader2, Zap, X } from "lucide-react";
+import { readRateLimitMessage } from "@/lib/limits/rate-limits";
+import { RoutineParamsForm } from "@/components/routines/routine-params-form";
 
 /**
  * Public embed page — /embed/[token]
  * No authentication required. Loads widget config via embed token,
- * then renders a minimal chat interface.
+ * then renders a minimal chat interface, with the widget's routines
+ * (if any) as buttons that open their parameter form.
  */
 function EmbedContent({ params }) {
   const { token } = use(params);
@@ -17,6 +20,7 @@ function EmbedContent({ params }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [input, setInput] = useState("");
+  const [formRoutine, setFormRoutine] = useState(null);
   const scrollRef = useRef(null);
   const inputRef = useRef(null);
   const bodyRef = useRef({ embedToken: token });
@@ -97,6 +101,33 @@ function EmbedContent({ params }) {
     sendMessage({ text });
   };
 
+  // The server puts the routine's prompt in place of this message
+  const runRoutine = (routine, params) => {
+    setFormRoutine(null);
+    const values = Object.entries(params).map(([name, value]) => `${name}=${JSON.stringify(value)}`);
+    sendMessage(
+      { text: [`/${routine.name}`, ...values].join(" ") },
+      { body: { embedToken: token, routine: { id: routine.id, params } } }
+    );
+  };
+
+  const pickRoutine = (routine) => {
+    if (Object.keys(routine.parameters || {}).length) setFormRoutine(routine);
+    else runRoutine(routine, {});
+  };
+
+  // Entity fields search through the widget's own (read-only) tools
+  const lookupForWidget = async (field, query) => {
+    const res = await fetch("/api/embed/lookup", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ embedToken: token, routineId: formRoutine.id, param: field.name, query }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Lookup failed");
+    return data.options || [];
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
@@ -192,7 +223,7 @@ function EmbedContent({ params }) {
           <div className="max-w-3xl mx-auto flex items-center gap-2">
             <AlertCircle className="h-3.5 w-3.5 text-red-400 shrink-0" />
             <span className="text-xs text-red-400 font-mono flex-1">
-              {chatError.message}
+              {readRateLimitMessage(chatError.message) || chatError.message}
             </span>
             <button
               onClick={clearError}
@@ -204,6 +235,54 @@ function EmbedContent({ params }) {
         </div>
       )}
 
+      {/* Routines */}
+      {formRoutine ? (
+        <div className="border-t border-white/5 bg-[#0d0d14] px-4 py-3 shrink-0 max-h-[60vh] overflow-y-auto">
+          <div className="max-w-3xl mx-auto">
+            <div className="flex items-center gap-2 mb-3">
+              <Zap className="h-3.5 w-3.5" style={{ color: accentColor }} />
+              <span className="font-mono text-sm">/{formRoutine.name}</span>
+              <button
+                onClick={() => setFormRoutine(null)}
+                className="ml-auto text-white/30 hover:text-white/60"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+            {formRoutine.description && (
+              <p className="text-xs text-white/40 mb-3">{formRoutine.description}</p>
+            )}
+            <RoutineParamsForm
+              key={formRoutine.id}
+              routine={formRoutine}
+              onSubmit={(params) => runRoutine(formRoutine, params)}
+              onLookup={lookupForWidget}
+              busy={status !== "ready"}
+              submitClassName="text-black hover:opacity-90"
+              submitStyle={{ backgroundColor: accentColor }}
+            />
+          </div>
+        </div>
+      ) : widget.routines?.length > 0 && (
+        <div className="border-t border-white/5 px-4 py-2 shrink-0">
+          <div className="max-w-3xl mx-auto flex flex-wrap gap-1.5">
+            {widget.routines.map((routine) => (
+              <button
+                key={routine.id}
+                onClick={() => pickRoutine(routine)}
+                disabled={status !== "ready"}
+                title={routine.description || undefined}
+                className="flex items-center gap-1 px-2 py-1 rounded-md text-xs font-mono border transition-colors disabled:opacity-30"
+                style={{ borderColor: `${accentColor}40`, color: accentColor }}
+              >
+                <Zap className="h-3 w-3" />
+                /{routine.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Input */}
       <div className="border-t border-white/5 bg-[#0d0d14] px-4 py-3 shrink-0">
         <div className="max-w-3xl mx-auto flex items-center gap-2">
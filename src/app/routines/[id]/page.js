@@ -0,0 +1,92 @@
+"use client";
+
+import { useState, useEffect, use } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { AuthGuard } from "@/components/auth-guard";
+import { AuthenticatedNav } from "@/components/layout/authenticated-nav";
+import { RoutineParamsForm } from "@/components/routines/routine-params-form";
+import { parameterFormFields } from "@/lib/routines/parameters";
+import { ArrowLeft, Loader2, Sparkles } from "lucide-react";
+
+function RoutineContent({ params }) {
+  const { id } = use(params);
+  const router = useRouter();
+  const [routine, setRoutine] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch(`/api/routines/${id}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Routine not found");
+        setRoutine(data.routine);
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [id]);
+
+  // The chat runs it: with its compiled steps in deterministic mode, else with the assistant
+  const handleRun = (values) => {
+    router.push(`/chat?routine=${id}&params=${encodeURIComponent(JSON.stringify(values))}`);
+  };
+
+  const fields = parameterFormFields(routine?.parameters);
+
+  return (
+    <div className="min-h-screen bg-[#0a0a0f] text-white">
+      <AuthenticatedNav />
+
+      <main className="max-w-3xl mx-auto px-4 py-8">
+        <Link href="/routines" className="inline-flex items-center gap-1 text-sm text-white/40 hover:text-white/70 mb-6">
+          <ArrowLeft className="w-4 h-4" />
+          Routines
+        </Link>
+
+        {loading ? (
+          <div className="flex justify-center py-20">
+            <Loader2 className="w-8 h-8 animate-spin text-white/30" />
+          </div>
+        ) : error ? (
+          <div className="text-center py-20 text-white/50">{error}</div>
+        ) : (
+          <div className="space-y-8">
+            <div>
+              <h1 className="text-2xl font-bold flex items-center gap-3">
+                <Sparkles className="w-6 h-6 text-cyan-400" />
+                <span className="font-mono">/{routine.name}</span>
+                {routine.version > 1 && <span className="text-sm font-mono text-white/30">v{routine.version}</span>}
+              </h1>
+              {routine.description && <p className="text-white/50 mt-1">{routine.description}</p>}
+            </div>
+
+            <section>
+              <h2 className="text-sm font-medium text-white/50 uppercase tracking-wide mb-3">
+                {fields.length > 0 ? "Run with" : "Run"}
+              </h2>
+              <div className="p-4 rounded-lg bg-white/[0.02] border border-white/10">
+                <RoutineParamsForm key={routine.id} routine={routine} onSubmit={handleRun} submitLabel="Run in chat" />
+              </div>
+            </section>
+
+            <section>
+              <h2 className="text-sm font-medium text-white/50 uppercase tracking-wide mb-3">Prompt</h2>
+              <pre className="p-4 rounded-lg bg-white/[0.02] border border-white/10 text-xs font-mono text-white/60 whitespace-pre-wrap">
+                {routine.prompt}
+              </pre>
+            </section>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default function RoutinePage({ params }) {
+  return (
+    <AuthGuard>
+      <RoutineContent params={params} />
+    </AuthGuard>
+  );
+}
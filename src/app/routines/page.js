@@ -21,8 +21,19 @@ import {
   Clock,
   Hash,
   Search,
+  Workflow,
+  CalendarClock,
+  History,
+  Download,
+  Upload,
+  LayoutGrid,
 } from "lucide-react";
+import Link from "next/link";
 import { toast } from "sonner";
+import { RoutineScheduleDialog } from "@/components/routines/routine-schedule-dialog";
+import { RoutineVersionsDialog } from "@/components/routines/routine-versions-dialog";
+import { RoutineImportDialog } from "@/components/routines/routine-import-dialog";
+import { RoutineGallery } from "@/components/routines/routine-gallery";
 
 function RoutinesContent() {
   const [routines, setRoutines] = useState([]);
@@ -32,8 +43,20 @@ function RoutinesContent() {
   // Edit dialog state
   const [editDialogOpen, setEditDialogOpen] = useState(false);
   const [editingRoutine, setEditingRoutine] = useState(null);
-  const [editForm, setEditForm] = useState({ name: "", prompt: "", description: "" });
+  const [editForm, setEditForm] = useState({ name: "", prompt: "", description: "", parameters: "", mode: "llm", steps: "" });
   const [saving, setSaving] = useState(false);
+  const [compiling, setCompiling] = useState(false);
+  const [compileNotes, setCompileNotes] = useState(null); // { literals, unmapped }
+
+  // Schedule dialog
+  const [schedulingRoutine, setSchedulingRoutine] = useState(null);
+
+  // Version history dialog
+  const [historyRoutine, setHistoryRoutine] = useState(null);
+
+  // Import and gallery dialogs
+  const [importOpen, setImportOpen] = useState(false);
+  const [galleryOpen, setGalleryOpen] = useState(false);
 
   // Delete confirmation
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
@@ -66,13 +89,59 @@ function RoutinesContent() {
       name: routine.name,
       prompt: routine.prompt,
       description: routine.description || "",
+      parameters: JSON.stringify(routine.parameters || {}, null, 2),
+      mode: routine.mode || "llm",
+      steps: routine.steps ? JSON.stringify(routine.steps, null, 2) : "",
     });
+    setCompileNotes(null);
     setEditDialogOpen(true);
   };
 
+  // Compile the step graph from the routine's recorded chat, for review before saving
+  const handleCompile = async () => {
+    if (!editingRoutine) return;
+    setCompiling(true);
+    try {
+      const res = await fetch(`/api/routines/${editingRoutine.id}/compile`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({}),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setEditForm((prev) => ({ ...prev, steps: JSON.stringify(data.steps, null, 2) }));
+        setCompileNotes({ literals: data.literals || [], unmapped: data.unmapped || [] });
+      } else {
+        toast.error(data.error || "Failed to compile steps");
+      }
+    } catch (err) {
+      toast.error("Failed to compile steps");
+    } finally {
+      setCompiling(false);
+    }
+  };
+
   const handleSaveEdit = async () => {
     if (!editingRoutine || !editForm.name.trim() || !editForm.prompt.trim()) return;
 
+    let parameters;
+    try {
+      parameters = JSON.parse(editForm.parameters.trim() || "{}");
+    } catch {
+      toast.error("Parameters must be valid JSON");
+      return;
+    }
+
+    let steps = null;
+    if (editForm.steps.trim()) {
+      try {
+        steps = JSON.parse(editForm.steps);
+      } catch {
+        toast.error("Steps must be valid JSON");
+        return;
+      }
+    }
+
     setSaving(true);
     try {
       const res = await fetch(`/api/routines/${editingRoutine.id}`, {
@@ -82,6 +151,9 @@ function RoutinesContent() {
           name: editForm.name.trim(),
           prompt: editForm.prompt.trim(),
           description: editForm.description.trim() || null,
+          parameters,
+          mode: editForm.mode,
+          steps,
         }),
       });
 
@@ -128,6 +200,35 @@ function RoutinesContent() {
     }
   };
 
+  // Download the routine in the export format, to import in another workspace
+  const handleExport = async (routine) => {
+    try {
+      const res = await fetch(`/api/routines/${routine.id}/export`);
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error || "Failed to export routine");
+        return;
+      }
+      const blob = new Blob([JSON.stringify(data.routine, null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${routine.name}.routine.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+      if (data.unexported.length > 0) {
+        toast.warning(`${data.unexported.length} deleted tool${data.unexported.length !== 1 ? "s were" : " was"} left out`);
+      }
+    } catch {
+      toast.error("Failed to export routine");
+    }
+  };
+
+  const handleImported = () => {
+    setGalleryOpen(false);
+    loadRoutines();
+  };
+
   // Filter routines by search query
   const filteredRoutines = routines.filter((r) => {
     if (!searchQuery) return true;
@@ -162,14 +263,36 @@ function RoutinesContent() {
 
       <main className="max-w-5xl mx-auto px-4 py-8">
         {/* Header */}
-        <div className="mb-8">
-          <h1 className="text-2xl font-bold flex items-center gap-3">
-            <Sparkles className="w-6 h-6 text-cyan-400" />
-            Routines
-          </h1>
-          <p className="text-white/50 mt-1">
-            Saved workflows that can be reused with /<span className="text-cyan-400">command</span>
-          </p>
+        <div className="mb-8 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold flex items-center gap-3">
+              <Sparkles className="w-6 h-6 text-cyan-400" />
+              Routines
+            </h1>
+            <p className="text-white/50 mt-1">
+              Saved workflows that can be reused with /<span className="text-cyan-400">command</span>
+            </p>
+          </div>
+          <div className="flex items-center gap-2 shrink-0">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setGalleryOpen(true)}
+              className="border-white/10 text-white/70 hover:bg-white/5"
+            >
+              <LayoutGrid className="w-4 h-4 mr-1.5" />
+              Gallery
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setImportOpen(true)}
+              className="border-white/10 text-white/70 hover:bg-white/5"
+            >
+              <Upload className="w-4 h-4 mr-1.5" />
+              Import
+            </Button>
+          </div>
         </div>
 
         {/* Search */}
@@ -197,6 +320,13 @@ function RoutinesContent() {
               Routines are created by completing a task in chat, then clicking
               "Save as Routine".
             </p>
+            <Button
+              onClick={() => setGalleryOpen(true)}
+              className="bg-cyan-500 hover:bg-cyan-400 text-black"
+            >
+              <LayoutGrid className="w-4 h-4 mr-2" />
+              Browse starter routines
+            </Button>
           </div>
         ) : filteredRoutines.length === 0 ? (
           <div className="text-center py-20 text-white/50">
@@ -216,6 +346,9 @@ function RoutinesContent() {
                       key={routine.id}
                       routine={routine}
                       onEdit={() => handleEdit(routine)}
+                      onSchedule={() => setSchedulingRoutine(routine)}
+                      onHistory={() => setHistoryRoutine(routine)}
+                      onExport={() => handleExport(routine)}
                       onDelete={() => handleDeleteClick(routine)}
                       formatDate={formatDate}
                     />
@@ -237,6 +370,8 @@ function RoutinesContent() {
                       key={routine.id}
                       routine={routine}
                       onEdit={() => handleEdit(routine)}
+                      onHistory={() => setHistoryRoutine(routine)}
+                      onExport={() => handleExport(routine)}
                       onDelete={() => handleDeleteClick(routine)}
                       formatDate={formatDate}
                       isShared
@@ -294,6 +429,76 @@ function RoutinesContent() {
               />
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-white/70 mb-1">Parameters</label>
+              <textarea
+                value={editForm.parameters}
+                onChange={(e) => setEditForm({ ...editForm, parameters: e.target.value })}
+                className="w-full h-32 bg-white/5 border border-white/10 rounded-md px-3 py-2 text-white text-xs font-mono resize-none focus:outline-none focus:border-cyan-500"
+                placeholder='{ "email": { "type": "email", "required": true }, "reason": { "type": "enum", "options": ["duplicate", "fraudulent"] } }'
+              />
+              <p className="text-[10px] text-white/40 mt-1">
+                The form asked for when the routine runs. Types: string, number, integer, boolean, email, enum, date, entity (looked up through a GET tool).
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-white/70 mb-1">Mode</label>
+              <div className="flex gap-2">
+                {[
+                  { value: "llm", label: "LLM", hint: "The assistant follows the prompt" },
+                  { value: "deterministic", label: "Deterministic", hint: "Replays the steps below, falls back to the assistant if one fails" },
+                ].map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => setEditForm({ ...editForm, mode: option.value })}
+                    title={option.hint}
+                    className={`px-3 py-1.5 rounded-md text-xs border transition-colors cursor-pointer ${
+                      editForm.mode === option.value
+                        ? "bg-cyan-500/20 border-cyan-500/40 text-cyan-300"
+                        : "bg-white/5 border-white/10 text-white/50 hover:text-white/80"
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {editForm.mode === "deterministic" && (
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="block text-sm font-medium text-white/70">Steps</label>
+                  <button
+                    type="button"
+                    onClick={handleCompile}
+                    disabled={compiling}
+                    className="text-xs text-cyan-400 hover:text-cyan-300 flex items-center gap-1 cursor-pointer"
+                  >
+                    {compiling ? <Loader2 className="w-3 h-3 animate-spin" /> : <Workflow className="w-3 h-3" />}
+                    Compile from recording
+                  </button>
+                </div>
+                <textarea
+                  value={editForm.steps}
+                  onChange={(e) => setEditForm({ ...editForm, steps: e.target.value })}
+                  className="w-full h-48 bg-white/5 border border-white/10 rounded-md px-3 py-2 text-white text-xs font-mono resize-none focus:outline-none focus:border-cyan-500"
+                  placeholder='[{ "id": "find", "tool_id": "...", "args": { "email": "{{params.email}}" } }]'
+                />
+                {compileNotes?.literals.length > 0 && (
+                  <p className="text-[10px] text-yellow-400/80 mt-1">
+                    Kept as recorded, check they should not be parameters: {compileNotes.literals.join(", ")}
+                  </p>
+                )}
+                {compileNotes?.unmapped.length > 0 && (
+                  <p className="text-[10px] text-red-400/80 mt-1">
+                    Required, with nothing to read them from: {compileNotes.unmapped.join(", ")}
+                  </p>
+                )}
+              </div>
+            )}
+
             <div className="flex justify-end gap-2 pt-2">
               <Button
                 variant="outline"
@@ -315,6 +520,44 @@ function RoutinesContent() {
         </DialogContent>
       </Dialog>
 
+      {/* Schedule Dialog */}
+      <RoutineScheduleDialog
+        routine={schedulingRoutine}
+        open={Boolean(schedulingRoutine)}
+        onOpenChange={(open) => !open && setSchedulingRoutine(null)}
+        onSaved={(saved) => {
+          setRoutines((prev) => prev.map((r) => (r.id === saved.id ? { ...r, ...saved } : r)));
+          setSchedulingRoutine((prev) => (prev ? { ...prev, ...saved } : prev));
+        }}
+      />
+
+      {/* Version History Dialog */}
+      <RoutineVersionsDialog
+        routine={historyRoutine}
+        open={Boolean(historyRoutine)}
+        onOpenChange={(open) => !open && setHistoryRoutine(null)}
+        onPublished={() => loadRoutines()}
+      />
+
+      {/* Import Dialog */}
+      <RoutineImportDialog open={importOpen} onOpenChange={setImportOpen} onImported={handleImported} />
+
+      {/* Gallery Dialog */}
+      <Dialog open={galleryOpen} onOpenChange={setGalleryOpen}>
+        <DialogContent className="bg-[#0a0a0f] border-white/10 text-white sm:max-w-3xl max-h-[85vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2">
+              <LayoutGrid className="w-5 h-5 text-cyan-400" />
+              Routine Gallery
+            </DialogTitle>
+            <DialogDescription className="text-white/50">
+              Ready-made routines for the integrations you connect.
+            </DialogDescription>
+          </DialogHeader>
+          <RoutineGallery onImported={handleImported} />
+        </DialogContent>
+      </Dialog>
+
       {/* Delete Confirmation Dialog */}
       <Dialog open={deleteDialogOpen} onOpenChange={setDeleteDialogOpen}>
         <DialogContent className="bg-[#0a0a0f] border-white/10 text-white sm:max-w-md">
@@ -348,7 +591,7 @@ function RoutinesContent() {
   );
 }
 
-function RoutineCard({ routine, onEdit, onDelete, formatDate, isShared, isReadOnly }) {
+function RoutineCard({ routine, onEdit, onSchedule, onHistory, onExport, onDelete, formatDate, isShared, isReadOnly }) {
   const paramCount = routine.parameters ? Object.keys(routine.parameters).length : 0;
 
   return (
@@ -357,7 +600,14 @@ function RoutineCard({ routine, onEdit, onDelete, formatDate, isShared, isReadOn
         <div className="flex-1 min-w-0">
           {/* Name and badge */}
           <div className="flex items-center gap-2 mb-1">
-            <span className="text-cyan-400 font-mono text-sm">/{routine.name}</span>
+            <Link href={`/routines/${routine.id}`} className="text-cyan-400 font-mono text-sm hover:underline">
+              /{routine.name}
+            </Link>
+            {routine.version > 1 && (
+              <span className="text-white/30 font-mono text-[10px]" title="Published version">
+                v{routine.version}
+              </span>
+            )}
             {routine.is_shared && routine.is_mine && (
               <span className="px-1.5 py-0.5 text-[10px] rounded bg-green-500/20 text-green-400 border border-green-500/30">
                 Shared
@@ -368,6 +618,24 @@ function RoutineCard({ routine, onEdit, onDelete, formatDate, isShared, isReadOn
                 Team
               </span>
             )}
+            {routine.mode === "deterministic" && (
+              <span className="px-1.5 py-0.5 text-[10px] rounded bg-cyan-500/20 text-cyan-400 border border-cyan-500/30">
+                Deterministic
+              </span>
+            )}
+            {routine.schedule && (
+              <span
+                className={`px-1.5 py-0.5 text-[10px] rounded border flex items-center gap-1 ${
+                  routine.next_run_at
+                    ? "bg-purple-500/20 text-purple-300 border-purple-500/30"
+                    : "bg-white/5 text-white/40 border-white/10"
+                }`}
+                title={routine.next_run_at ? `Next run: ${new Date(routine.next_run_at).toLocaleString()}` : "Schedule paused"}
+              >
+                <CalendarClock className="w-3 h-3" />
+                {routine.schedule.cron}
+              </span>
+            )}
           </div>
 
           {/* Description */}
@@ -398,25 +666,50 @@ function RoutineCard({ routine, onEdit, onDelete, formatDate, isShared, isReadOn
           </div>
         </div>
 
-        {/* Actions - only show for own routines */}
-        {!isReadOnly && (
-          <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
-            <button
-              onClick={onEdit}
-              className="p-2 rounded-md hover:bg-white/10 text-white/50 hover:text-white transition-colors cursor-pointer"
-              title="Edit"
-            >
-              <Edit3 className="w-4 h-4" />
-            </button>
-            <button
-              onClick={onDelete}
-              className="p-2 rounded-md hover:bg-red-500/20 text-white/50 hover:text-red-400 transition-colors cursor-pointer"
-              title="Delete"
-            >
-              <Trash2 className="w-4 h-4" />
-            </button>
-          </div>
-        )}
+        {/* Actions - history and export for everyone, changes only for own routines */}
+        <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+          <button
+            onClick={onHistory}
+            className="p-2 rounded-md hover:bg-white/10 text-white/50 hover:text-white transition-colors cursor-pointer"
+            title="History"
+          >
+            <History className="w-4 h-4" />
+          </button>
+          <button
+            onClick={onExport}
+            className="p-2 rounded-md hover:bg-white/10 text-white/50 hover:text-white transition-colors cursor-pointer"
+            title="Export"
+          >
+            <Download className="w-4 h-4" />
+          </button>
+          {!isReadOnly && (
+            <>
+              <button
+                onClick={onEdit}
+                className="p-2 rounded-md hover:bg-white/10 text-white/50 hover:text-white transition-colors cursor-pointer"
+                title="Edit"
+              >
+                <Edit3 className="w-4 h-4" />
+              </button>
+              {onSchedule && (
+                <button
+                  onClick={onSchedule}
+                  className="p-2 rounded-md hover:bg-white/10 text-white/50 hover:text-white transition-colors cursor-pointer"
+                  title="Schedule"
+                >
+                  <CalendarClock className="w-4 h-4" />
+                </button>
+              )}
+              <button
+                onClick={onDelete}
+                className="p-2 rounded-md hover:bg-red-500/20 text-white/50 hover:text-red-400 transition-colors cursor-pointer"
+                title="Delete"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </>
+          )}
+        </div>
       </div>
     </div>
   );
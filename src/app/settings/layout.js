@@ -4,13 +4,15 @@ import { usePathname } from "next/navigation";
 import Link from "next/link";
 import { AuthGuard } from "@/components/auth-guard";
 import { AuthenticatedNav } from "@/components/layout/authenticated-nav";
-import { Settings, Zap, Bot, Users } from "lucide-react";
+import { Settings, Zap, Bot, Users, Webhook, BarChart3 } from "lucide-react";
 
 const settingsNav = [
   { href: "/settings", label: "General", icon: Settings, exact: true, description: "AI provider & model" },
   { href: "/settings/sources", label: "API Sources", icon: Zap, description: "Connected APIs" },
   { href: "/settings/agents", label: "Agents", icon: Bot, description: "Bot configurations" },
   { href: "/settings/team", label: "Team", icon: Users, description: "Members & invites" },
+  { href: "/settings/webhooks", label: "Webhooks", icon: Webhook, description: "Event notifications" },
+  { href: "/settings/usage", label: "Usage", icon: BarChart3, description: "LLM tokens & cost" },
 ];
 
 function SettingsLayout({ children }) {
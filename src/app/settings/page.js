@@ -15,6 +15,8 @@ import {
 import { Loader2, Check, Eye, EyeOff } from "lucide-react";
 import { toast } from "sonner";
 import { getModelsForProvider } from "@/lib/ai";
+import { RedactionPolicyCard } from "@/components/sources/redaction-policy-card";
+import { RateLimitsCard } from "@/components/sources/rate-limits-card";
 
 const PROVIDERS = [
   { id: "openai", name: "OpenAI", keyField: "openai_api_key", placeholder: "sk-..." },
@@ -33,6 +35,9 @@ export default function SettingsPage() {
   const [apiKey, setApiKey] = useState("");
   const [ollamaUrl, setOllamaUrl] = useState("");
   const [keyStatus, setKeyStatus] = useState({ openai: false, anthropic: false, google: false });
+  const [canEdit, setCanEdit] = useState(false);
+  const [redactionPolicy, setRedactionPolicy] = useState(null);
+  const [rateLimits, setRateLimits] = useState({});
 
   useEffect(() => {
     fetchSettings();
@@ -68,6 +73,10 @@ export default function SettingsPage() {
         if (settings.ollama_base_url) {
           setOllamaUrl(settings.ollama_base_url);
         }
+
+        setCanEdit(!!data.can_edit);
+        setRedactionPolicy(settings.redaction_policy || null);
+        setRateLimits(settings.rate_limits || {});
       }
     } catch {
       toast.error("Failed to load settings");
@@ -123,6 +132,46 @@ export default function SettingsPage() {
     }
   };
 
+  const handleRedactionSave = async (policy) => {
+    try {
+      const res = await fetch("/api/settings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ settings: { redaction_policy: policy } }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error || "Failed to save");
+        return false;
+      }
+      setRedactionPolicy(policy);
+      return true;
+    } catch (err) {
+      toast.error(err.message || "Failed to save");
+      return false;
+    }
+  };
+
+  const handleRateLimitsSave = async (limits) => {
+    try {
+      const res = await fetch("/api/settings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ settings: { rate_limits: limits } }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error || "Failed to save");
+        return false;
+      }
+      setRateLimits(limits);
+      return true;
+    } catch (err) {
+      toast.error(err.message || "Failed to save");
+      return false;
+    }
+  };
+
   const providerConfig = PROVIDERS.find(p => p.id === provider);
   const models = getModelsForProvider(provider);
 
@@ -236,6 +285,22 @@ export default function SettingsPage() {
           </Button>
         </CardContent>
       </Card>
+
+      <RedactionPolicyCard
+        policy={redactionPolicy}
+        canEdit={canEdit}
+        description="Mask fields and personal data in every tool response in this workspace. Each source can add its own rules."
+        onSave={handleRedactionSave}
+        className=""
+      />
+
+      <RateLimitsCard
+        limits={rateLimits}
+        scope="org"
+        canEdit={canEdit}
+        description="Limits for every agent in this workspace. Agents can add their own, and sources limit their tool calls."
+        onSave={handleRateLimitsSave}
+      />
     </div>
   );
 }
@@ -0,0 +1,327 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Loader2, BarChart3, ShieldAlert, AlertTriangle, Wallet } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { formatCost, validateUsageBudget, DEFAULT_ALERT_PERCENT } from "@/lib/usage";
+
+const RANGES = [7, 30, 90];
+
+const ORIGIN_LABELS = {
+  chat: "Chat",
+  api: "API keys",
+  embed: "Embed visitors",
+  schedule: "Scheduled routines",
+};
+
+function formatTokens(value) {
+  if (value >= 1_000_000) return `${(value / 1_000_000).toFixed(1)}M`;
+  if (value >= 10_000) return `${Math.round(value / 1000)}k`;
+  return value.toLocaleString("en-US");
+}
+
+function DailyChart({ daily, metric }) {
+  const valueOf = (day) => (metric === "cost" ? day.cost_usd : day.total_tokens);
+  const max = Math.max(...daily.map(valueOf), 0);
+
+  if (max === 0) {
+    return <p className="text-sm text-white/30 py-10 text-center">No usage in this period.</p>;
+  }
+
+  return (
+    <div className="flex items-end gap-[2px] h-40">
+      {daily.map((day) => {
+        const value = valueOf(day);
+        return (
+          <div
+            key={day.day}
+            className="flex-1 h-full flex items-end group relative"
+            title={`${day.day}: ${formatTokens(day.total_tokens)} tokens, ${formatCost(day.cost_usd)}`}
+          >
+            <div
+              className="w-full rounded-t bg-blue-500/60 group-hover:bg-blue-400 transition-colors"
+              style={{ height: `${Math.max((value / max) * 100, value > 0 ? 2 : 0)}%` }}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function Breakdown({ title, rows, labelOf }) {
+  return (
+    <Card className="bg-white/5 border-white/10">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-base">{title}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {rows.length === 0 ? (
+          <p className="text-sm text-white/30">No usage in this period.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-white/40">
+                <th className="font-medium pb-2">Name</th>
+                <th className="font-medium pb-2 text-right">Responses</th>
+                <th className="font-medium pb-2 text-right">Tokens</th>
+                <th className="font-medium pb-2 text-right">Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, i) => (
+                <tr key={i} className="border-t border-white/5">
+                  <td className="py-2 text-white/80 truncate max-w-[220px]">{labelOf(row)}</td>
+                  <td className="py-2 text-right text-white/60">{row.requests.toLocaleString("en-US")}</td>
+                  <td className="py-2 text-right text-white/60">{formatTokens(row.total_tokens)}</td>
+                  <td className="py-2 text-right text-white/80">{formatCost(row.cost_usd)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default function UsageSettingsPage() {
+  const router = useRouter();
+  const [loading, setLoading] = useState(true);
+  const [accessDenied, setAccessDenied] = useState(false);
+  const [days, setDays] = useState(30);
+  const [metric, setMetric] = useState("tokens");
+  const [usage, setUsage] = useState(null);
+
+  const [monthlyUsd, setMonthlyUsd] = useState("");
+  const [alertPercent, setAlertPercent] = useState("");
+  const [savingBudget, setSavingBudget] = useState(false);
+
+  useEffect(() => {
+    fetchUsage(days);
+  }, [days]);
+
+  const fetchUsage = async (range) => {
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/usage?days=${range}`);
+      if (res.status === 403) {
+        setAccessDenied(true);
+        return;
+      }
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setUsage(data);
+      setMonthlyUsd(data.budget?.monthly_usd ? String(data.budget.monthly_usd) : "");
+      setAlertPercent(data.budget?.alert_percent ? String(data.budget.alert_percent) : "");
+    } catch (err) {
+      toast.error(err.message || "Failed to load usage");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaveBudget = async () => {
+    const next = monthlyUsd.trim() === ""
+      ? null
+      : { monthly_usd: Number(monthlyUsd), ...(alertPercent.trim() !== "" && { alert_percent: Number(alertPercent) }) };
+    const { budget, error } = validateUsageBudget(next);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    setSavingBudget(true);
+    try {
+      const res = await fetch("/api/settings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ settings: { usage_budget: budget } }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      toast.success(budget ? "Budget saved" : "Budget removed");
+      fetchUsage(days);
+    } catch (err) {
+      toast.error(err.message || "Failed to save");
+    } finally {
+      setSavingBudget(false);
+    }
+  };
+
+  if (accessDenied) {
+    return (
+      <div className="py-12 text-center">
+        <div className="w-14 h-14 rounded-full bg-red-500/10 flex items-center justify-center mx-auto mb-4">
+          <ShieldAlert className="h-7 w-7 text-red-400" />
+        </div>
+        <h1 className="text-xl font-bold mb-2">Access Denied</h1>
+        <p className="text-white/40 mb-4 text-sm">
+          Only organization admins can view usage.
+        </p>
+        <Button variant="outline" onClick={() => router.push("/settings")}>
+          Go to Settings
+        </Button>
+      </div>
+    );
+  }
+
+  if (loading && !usage) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <Loader2 className="h-8 w-8 animate-spin text-blue-400" />
+      </div>
+    );
+  }
+
+  const { summary, alerts = [], agents = [], users = [] } = usage || {};
+  const agentName = (id) => agents.find((a) => a.id === id)?.name || "Deleted agent";
+  const userName = (row) =>
+    row.user_id ? users.find((u) => u.id === row.user_id)?.name || "Former member" : ORIGIN_LABELS[row.origin];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Usage</h1>
+          <p className="text-white/50 text-sm mt-1">LLM tokens and cost across chats, API keys and embed widgets</p>
+        </div>
+        <div className="flex gap-1 rounded-lg bg-white/5 border border-white/10 p-1 shrink-0">
+          {RANGES.map((range) => (
+            <button
+              key={range}
+              onClick={() => setDays(range)}
+              className={`px-3 py-1 text-xs rounded-md transition-colors ${
+                days === range ? "bg-blue-500/20 text-white" : "text-white/50 hover:text-white"
+              }`}
+            >
+              {range}d
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {alerts.length > 0 && (
+        <div className="space-y-2">
+          {alerts.map((alert, i) => (
+            <div
+              key={i}
+              className={`flex items-center gap-3 rounded-lg border px-4 py-3 text-sm ${
+                alert.level === "exceeded"
+                  ? "bg-red-500/10 border-red-500/20 text-red-300"
+                  : "bg-yellow-500/10 border-yellow-500/20 text-yellow-300"
+              }`}
+            >
+              <AlertTriangle className="h-4 w-4 shrink-0" />
+              <span className="flex-1">{alert.message}</span>
+              <span className="text-xs font-medium">{alert.percent}%</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-3 gap-4">
+        {[
+          { label: "Tokens", value: formatTokens(summary.totals.total_tokens) },
+          { label: "Cost", value: formatCost(summary.totals.cost_usd) },
+          { label: "Responses", value: summary.totals.requests.toLocaleString("en-US") },
+        ].map((stat) => (
+          <div key={stat.label} className="rounded-lg bg-white/5 border border-white/10 p-4">
+            <p className="text-xs text-white/40">{stat.label}</p>
+            <p className="text-xl font-bold mt-1">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+
+      <Card className="bg-white/5 border-white/10">
+        <CardHeader className="pb-3 flex-row items-center justify-between space-y-0">
+          <CardTitle className="flex items-center gap-2 text-base">
+            <BarChart3 className="h-4 w-4" />
+            Daily {metric === "cost" ? "cost" : "tokens"}
+          </CardTitle>
+          <div className="flex gap-1">
+            {["tokens", "cost"].map((m) => (
+              <Button
+                key={m}
+                variant="ghost"
+                size="sm"
+                onClick={() => setMetric(m)}
+                className={`h-7 px-2 text-xs ${metric === m ? "text-white bg-white/10" : "text-white/40"}`}
+              >
+                {m === "cost" ? "Cost" : "Tokens"}
+              </Button>
+            ))}
+          </div>
+        </CardHeader>
+        <CardContent>
+          <DailyChart daily={summary.daily} metric={metric} />
+          <div className="flex justify-between text-[11px] text-white/30 mt-2">
+            <span>{summary.daily[0]?.day}</span>
+            <span>{summary.daily[summary.daily.length - 1]?.day} (UTC)</span>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Breakdown title="By agent" rows={summary.agents} labelOf={(row) => agentName(row.agent_id)} />
+      <Breakdown title="By user" rows={summary.users} labelOf={userName} />
+      <Breakdown title="By model" rows={summary.models} labelOf={(row) => `${row.provider} / ${row.model}`} />
+
+      <Card className="bg-white/5 border-white/10">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Wallet className="h-5 w-5" />
+            Budget Alerts
+          </CardTitle>
+          <CardDescription className="text-white/40">
+            Warn on this page when the month&apos;s LLM spend, or a daily token budget (Rate Limits), reaches the alert threshold.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="budget-monthly" className="text-white/70 text-xs">Monthly budget (USD)</Label>
+              <Input
+                id="budget-monthly"
+                type="number"
+                min="0"
+                step="0.01"
+                value={monthlyUsd}
+                onChange={(e) => setMonthlyUsd(e.target.value)}
+                placeholder="No budget"
+                className="bg-white/5 border-white/10"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="budget-alert" className="text-white/70 text-xs">Alert at (%)</Label>
+              <Input
+                id="budget-alert"
+                type="number"
+                min="1"
+                max="100"
+                value={alertPercent}
+                onChange={(e) => setAlertPercent(e.target.value)}
+                placeholder={String(DEFAULT_ALERT_PERCENT)}
+                className="bg-white/5 border-white/10"
+              />
+            </div>
+          </div>
+          <p className="text-[11px] text-white/30">
+            Costs are estimated from list prices per model; models run on Ollama are free.
+          </p>
+          <Button
+            onClick={handleSaveBudget}
+            disabled={savingBudget}
+            className="bg-blue-500 hover:bg-blue-400 text-white font-bold"
+          >
+            {savingBudget ? <Loader2 className="w-4 h-4 animate-spin" /> : "Save Budget"}
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
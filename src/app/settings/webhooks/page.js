@@ -0,0 +1,444 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Loader2, Webhook, Plus, Trash2, Copy, Check, RefreshCw, ShieldAlert, KeyRound, ChevronDown, ChevronRight } from "lucide-react";
+import { toast } from "sonner";
+import { Switch } from "@/components/ui/switch";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+
+const EVENT_LABELS = {
+  "action.completed": "Action completed",
+  "action.failed": "Action failed",
+  "action.rejected": "Action rejected",
+  "routine.failed": "Routine failed",
+  "routine.scheduled_run": "Scheduled routine ran",
+  "source.sync_failed": "Source sync failed",
+};
+
+const DELIVERY_STATUS_STYLES = {
+  succeeded: "bg-green-500/10 text-green-400",
+  retrying: "bg-amber-500/10 text-amber-400",
+  pending: "bg-white/10 text-white/60",
+  failed: "bg-red-500/10 text-red-400",
+};
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+function SecretReveal({ secret, onDismiss }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      toast.error("Failed to copy");
+    }
+  };
+
+  return (
+    <div className="p-3 rounded-lg bg-amber-500/10 border border-amber-500/20 space-y-2">
+      <p className="text-xs text-amber-300">
+        Signing secret — copy it now, it won&apos;t be shown again. Verify the
+        X-ActionChat-Signature header with it.
+      </p>
+      <div className="flex gap-2">
+        <div className="flex-1 bg-white/5 border border-white/10 rounded px-3 py-1.5 font-mono text-xs truncate text-white/80">
+          {secret}
+        </div>
+        <Button type="button" variant="outline" size="sm" onClick={handleCopy} className="shrink-0 border-white/10">
+          {copied ? <Check className="h-3.5 w-3.5 text-green-500" /> : <Copy className="h-3.5 w-3.5" />}
+        </Button>
+        <Button type="button" variant="ghost" size="sm" onClick={onDismiss} className="shrink-0 text-white/60">
+          Done
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function DeliveryLog({ endpointId }) {
+  const [loading, setLoading] = useState(true);
+  const [deliveries, setDeliveries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [expanded, setExpanded] = useState(null);
+  const [redelivering, setRedelivering] = useState(null);
+
+  const fetchDeliveries = async () => {
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/webhooks/${endpointId}/deliveries?limit=25`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setDeliveries(data.deliveries || []);
+      setTotal(data.total || 0);
+    } catch (err) {
+      toast.error(err.message || "Failed to load deliveries");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [endpointId]);
+
+  const handleRedeliver = async (deliveryId) => {
+    setRedelivering(deliveryId);
+    try {
+      const res = await fetch(`/api/webhooks/${endpointId}/deliveries`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ delivery_id: deliveryId }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      if (data.delivery.status === "succeeded") {
+        toast.success("Delivered");
+      } else {
+        toast.error(`Delivery failed: ${data.delivery.error_message}`);
+      }
+      await fetchDeliveries();
+    } catch (err) {
+      toast.error(err.message || "Failed to redeliver");
+    } finally {
+      setRedelivering(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader2 className="h-5 w-5 animate-spin text-blue-400" />
+      </div>
+    );
+  }
+
+  if (deliveries.length === 0) {
+    return <p className="text-xs text-white/40 py-3">No deliveries yet.</p>;
+  }
+
+  return (
+    <div className="space-y-1 pt-2">
+      <div className="flex items-center justify-between text-xs text-white/40 pb-1">
+        <span>Last {deliveries.length} of {total} deliveries</span>
+        <button onClick={fetchDeliveries} className="hover:text-white/70 flex items-center gap-1">
+          <RefreshCw className="h-3 w-3" /> Refresh
+        </button>
+      </div>
+      {deliveries.map((delivery) => (
+        <div key={delivery.id} className="rounded bg-white/[0.03] border border-white/5">
+          <div className="flex items-center gap-3 px-3 py-2 text-xs">
+            <button
+              onClick={() => setExpanded(expanded === delivery.id ? null : delivery.id)}
+              className="text-white/40 hover:text-white/70"
+            >
+              {expanded === delivery.id ? <ChevronDown className="h-3.5 w-3.5" /> : <ChevronRight className="h-3.5 w-3.5" />}
+            </button>
+            <span className={`px-1.5 py-0.5 rounded text-[11px] ${DELIVERY_STATUS_STYLES[delivery.status]}`}>
+              {delivery.status}
+            </span>
+            <span className="font-mono text-white/70">{delivery.event}</span>
+            <span className="text-white/40">{delivery.response_status || delivery.error_message || ""}</span>
+            <span className="ml-auto text-white/30">
+              {delivery.attempts} attempt{delivery.attempts === 1 ? "" : "s"} · {formatTime(delivery.created_at)}
+            </span>
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-6 px-2 text-xs text-white/50"
+              disabled={redelivering === delivery.id}
+              onClick={() => handleRedeliver(delivery.id)}
+            >
+              {redelivering === delivery.id ? <Loader2 className="h-3 w-3 animate-spin" /> : "Redeliver"}
+            </Button>
+          </div>
+          {expanded === delivery.id && (
+            <div className="px-3 pb-3 space-y-2 text-xs">
+              {delivery.next_attempt_at && delivery.status === "retrying" && (
+                <p className="text-amber-300/80">Next retry: {formatTime(delivery.next_attempt_at)}</p>
+              )}
+              <div>
+                <p className="text-white/40 mb-1">Payload</p>
+                <pre className="bg-black/30 rounded p-2 overflow-x-auto text-white/70 max-h-60">
+                  {JSON.stringify(delivery.payload, null, 2)}
+                </pre>
+              </div>
+              {delivery.response_body && (
+                <div>
+                  <p className="text-white/40 mb-1">Response</p>
+                  <pre className="bg-black/30 rounded p-2 overflow-x-auto text-white/70 max-h-40">
+                    {delivery.response_body}
+                  </pre>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function WebhooksSettingsPage() {
+  const router = useRouter();
+  const [loading, setLoading] = useState(true);
+  const [accessDenied, setAccessDenied] = useState(false);
+  const [endpoints, setEndpoints] = useState([]);
+  const [events, setEvents] = useState(Object.keys(EVENT_LABELS));
+
+  const [url, setUrl] = useState("");
+  const [description, setDescription] = useState("");
+  const [selectedEvents, setSelectedEvents] = useState(["action.failed"]);
+  const [creating, setCreating] = useState(false);
+
+  const [revealed, setRevealed] = useState(null); // { endpointId, secret }
+  const [openLog, setOpenLog] = useState(null);
+
+  useEffect(() => {
+    fetchEndpoints();
+  }, []);
+
+  const fetchEndpoints = async () => {
+    try {
+      const res = await fetch("/api/webhooks");
+      if (res.status === 403) {
+        setAccessDenied(true);
+        return;
+      }
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setEndpoints(data.endpoints || []);
+      if (data.events) setEvents(data.events);
+    } catch (err) {
+      toast.error(err.message || "Failed to load webhooks");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleEvent = (event, checked) => {
+    setSelectedEvents((prev) => (checked ? [...prev, event] : prev.filter((e) => e !== event)));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const res = await fetch("/api/webhooks", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ url, description, events: selectedEvents }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setEndpoints((prev) => [data.endpoint, ...prev]);
+      setRevealed({ endpointId: data.endpoint.id, secret: data.secret });
+      setUrl("");
+      setDescription("");
+      toast.success("Webhook added");
+    } catch (err) {
+      toast.error(err.message || "Failed to add webhook");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const updateEndpoint = async (id, updates) => {
+    try {
+      const res = await fetch(`/api/webhooks/${id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(updates),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setEndpoints((prev) => prev.map((ep) => (ep.id === id ? data.endpoint : ep)));
+      if (data.secret) {
+        setRevealed({ endpointId: id, secret: data.secret });
+      }
+    } catch (err) {
+      toast.error(err.message || "Failed to update webhook");
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm("Delete this webhook and its delivery log?")) return;
+    try {
+      const res = await fetch(`/api/webhooks/${id}`, { method: "DELETE" });
+      if (!res.ok) throw new Error((await res.json()).error);
+      setEndpoints((prev) => prev.filter((ep) => ep.id !== id));
+      toast.success("Webhook deleted");
+    } catch (err) {
+      toast.error(err.message || "Failed to delete webhook");
+    }
+  };
+
+  if (accessDenied) {
+    return (
+      <div className="py-12 text-center">
+        <div className="w-14 h-14 rounded-full bg-red-500/10 flex items-center justify-center mx-auto mb-4">
+          <ShieldAlert className="h-7 w-7 text-red-400" />
+        </div>
+        <h1 className="text-xl font-bold mb-2">Access Denied</h1>
+        <p className="text-white/40 mb-4 text-sm">
+          Only organization admins can manage webhooks.
+        </p>
+        <Button variant="outline" onClick={() => router.push("/settings")}>
+          Go to Settings
+        </Button>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <Loader2 className="h-8 w-8 animate-spin text-blue-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold">Webhooks</h1>
+        <p className="text-white/50 text-sm mt-1">
+          Notify your systems when actions finish, approvals are rejected or syncs fail
+        </p>
+      </div>
+
+      {/* Add Endpoint */}
+      <Card className="bg-white/5 border-white/10">
+        <CardHeader className="pb-3">
+          <CardTitle className="flex items-center gap-2 text-base">
+            <Plus className="h-4 w-4" />
+            Add Endpoint
+          </CardTitle>
+          <CardDescription className="text-white/40">
+            Payloads are POSTed as JSON and signed with HMAC-SHA256. Failed deliveries are retried with backoff for about 15 hours.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleCreate} className="space-y-3">
+            <Input
+              type="url"
+              placeholder="https://example.com/webhooks/actionchat"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              className="bg-white/5 border-white/10"
+            />
+            <Input
+              placeholder="Description (optional)"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              className="bg-white/5 border-white/10"
+            />
+            <div className="grid grid-cols-2 gap-2">
+              {events.map((event) => (
+                <label key={event} className="flex items-center gap-2 text-sm text-white/70 cursor-pointer">
+                  <Checkbox
+                    checked={selectedEvents.includes(event)}
+                    onCheckedChange={(checked) => toggleEvent(event, checked)}
+                  />
+                  {EVENT_LABELS[event] || event}
+                  <span className="font-mono text-[11px] text-white/30">{event}</span>
+                </label>
+              ))}
+            </div>
+            <Button
+              type="submit"
+              disabled={creating || !url.trim() || selectedEvents.length === 0}
+              className="bg-blue-500 hover:bg-blue-400 text-white font-bold"
+            >
+              {creating ? <Loader2 className="h-4 w-4 animate-spin" /> : "Add Webhook"}
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {/* Endpoints */}
+      {endpoints.length === 0 ? (
+        <p className="text-sm text-white/40 text-center py-6">No webhooks yet.</p>
+      ) : (
+        endpoints.map((endpoint) => (
+          <Card key={endpoint.id} className="bg-white/5 border-white/10">
+            <CardHeader className="pb-3">
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <CardTitle className="flex items-center gap-2 text-sm font-mono truncate">
+                    <Webhook className="h-4 w-4 shrink-0" />
+                    {endpoint.url}
+                  </CardTitle>
+                  {endpoint.description && (
+                    <CardDescription className="text-white/40 mt-1">{endpoint.description}</CardDescription>
+                  )}
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <Switch
+                    checked={endpoint.is_active}
+                    onCheckedChange={(checked) => updateEndpoint(endpoint.id, { is_active: checked })}
+                  />
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleDelete(endpoint.id)}
+                    className="text-white/40 hover:text-red-400"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              <div className="flex flex-wrap gap-1.5">
+                {endpoint.events.map((event) => (
+                  <span key={event} className="px-2 py-0.5 rounded bg-blue-500/10 text-blue-300 text-[11px] font-mono">
+                    {event}
+                  </span>
+                ))}
+              </div>
+
+              <div className="flex items-center gap-3 text-xs text-white/40">
+                <KeyRound className="h-3.5 w-3.5" />
+                <span className="font-mono">{endpoint.secret_preview}</span>
+                <button
+                  onClick={() => {
+                    if (confirm("Rotate the signing secret? The old one stops working immediately.")) {
+                      updateEndpoint(endpoint.id, { rotate_secret: true });
+                    }
+                  }}
+                  className="hover:text-white/70 underline-offset-2 hover:underline"
+                >
+                  Rotate secret
+                </button>
+              </div>
+
+              {revealed?.endpointId === endpoint.id && (
+                <SecretReveal secret={revealed.secret} onDismiss={() => setRevealed(null)} />
+              )}
+
+              <div className="border-t border-white/10 pt-2">
+                <button
+                  onClick={() => setOpenLog(openLog === endpoint.id ? null : endpoint.id)}
+                  className="flex items-center gap-1 text-xs text-white/50 hover:text-white/80"
+                >
+                  {openLog === endpoint.id ? <ChevronDown className="h-3.5 w-3.5" /> : <ChevronRight className="h-3.5 w-3.5" />}
+                  Delivery log
+                </button>
+                {openLog === endpoint.id && <DeliveryLog endpointId={endpoint.id} />}
+              </div>
+            </CardContent>
+          </Card>
+        ))
+      )}
+    </div>
+  );
+}
@@ -39,6 +39,12 @@ import {
   Key,
 } from "lucide-react";
 import { CredentialModal } from "@/components/chat/credential-modal";
+import { SharedCredentialCard } from "@/components/sources/shared-credential-card";
+import { RequestPolicyCard } from "@/components/sources/request-policy-card";
+import { RedactionPolicyCard } from "@/components/sources/redaction-policy-card";
+import { GuardrailsCard } from "@/components/sources/guardrails-card";
+import { ApprovalPolicyCard } from "@/components/sources/approval-policy-card";
+import { RateLimitsCard } from "@/components/sources/rate-limits-card";
 import {
   Select,
   SelectContent,
@@ -54,6 +60,7 @@ import { useRouter } from "next/navigation";
 import Link from "next/link";
 import { useAutoSave } from "@/hooks/use-auto-save";
 import { SaveIndicator } from "@/components/ui/save-indicator";
+import { getServerVariableNames } from "@/lib/tools/servers";
 
 const RISK_CONFIG = {
   safe: { icon: ShieldCheck, color: "text-green-400", bg: "bg-green-500/10", border: "border-green-500/30" },
@@ -81,7 +88,7 @@ function SourceDetailContent({ params }) {
   const [showDelete, setShowDelete] = useState(false);
   const [deleting, setDeleting] = useState(false);
   const [editing, setEditing] = useState(false);
-  const [editForm, setEditForm] = useState({ name: "", description: "", base_url: "", spec_url: "" });
+  const [editForm, setEditForm] = useState({ name: "", description: "", base_url: "", server_variables: {}, spec_url: "" });
   const [initialEditForm, setInitialEditForm] = useState({});
   const [showAddTool, setShowAddTool] = useState(false);
   const [deletingTool, setDeletingTool] = useState(null);
@@ -108,7 +115,10 @@ function SourceDetailContent({ params }) {
           name: data.source.name,
           description: data.source.description || "",
           base_url: data.source.base_url || "",
+          server_variables: data.source.server_variables || {},
           spec_url: data.source.spec_url || "",
+          // OAuth client settings are edited here; other auth config comes from the spec
+          ...(data.source.auth_type === "oauth2" ? { auth_config: data.source.auth_config || {} } : {}),
         };
         setEditForm(formData);
         setInitialEditForm(formData);
@@ -172,6 +182,50 @@ function SourceDetailContent({ params }) {
     }
   };
 
+  const handlePolicySaved = (policyFields) => {
+    setSource((prev) => (prev ? { ...prev, ...policyFields } : prev));
+  };
+
+  const handleRateLimitsSave = async (rateLimits) => {
+    try {
+      const res = await fetch(`/api/sources/${source.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ rate_limits: rateLimits }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error || "Failed to save");
+        return false;
+      }
+      handlePolicySaved({ rate_limits: data.source.rate_limits });
+      return true;
+    } catch {
+      toast.error("Failed to save rate limits");
+      return false;
+    }
+  };
+
+  const handleRedactionSave = async (redactionPolicy) => {
+    try {
+      const res = await fetch(`/api/sources/${source.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ redaction_policy: redactionPolicy }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error || "Failed to save");
+        return false;
+      }
+      handlePolicySaved({ redaction_policy: data.source.redaction_policy });
+      return true;
+    } catch {
+      toast.error("Failed to save redaction rules");
+      return false;
+    }
+  };
+
   // Auto-save for source edit form
   const { status: saveStatus, saveNow } = useAutoSave({
     data: editForm,
@@ -393,6 +447,30 @@ function SourceDetailContent({ params }) {
                 </CardContent>
               </Card>
 
+              <SharedCredentialCard source={source} />
+
+              <RequestPolicyCard source={source} onSaved={handlePolicySaved} />
+
+              <RedactionPolicyCard
+                policy={source.redaction_policy}
+                canEdit={source.can_edit}
+                description={`Mask fields and personal data in ${source.name} responses. Org-wide rules in Settings apply too.`}
+                onSave={handleRedactionSave}
+              />
+
+              <GuardrailsCard source={source} tools={tools} onSaved={handlePolicySaved} />
+
+              <ApprovalPolicyCard source={source} tools={tools} onSaved={handlePolicySaved} />
+
+              <RateLimitsCard
+                limits={source.rate_limits}
+                scope="source"
+                canEdit={source.can_edit}
+                tools={tools}
+                description={`Cap how often ${source.name} is called, across everyone in the workspace. Calls over a limit are not sent.`}
+                onSave={handleRateLimitsSave}
+              />
+
               <CredentialModal
                 open={credentialModalOpen}
                 onOpenChange={setCredentialModalOpen}
@@ -455,6 +533,65 @@ function SourceDetailContent({ params }) {
                             className="bg-white/5 border-white/10"
                           />
                         </div>
+                        {source.servers?.length > 1 && (
+                          <div className="space-y-1">
+                            <Label className="text-xs text-white/40">
+                              Default server
+                            </Label>
+                            <Select
+                              value={source.servers.some((srv) => srv.url === editForm.base_url) ? editForm.base_url : undefined}
+                              onValueChange={(v) => setEditForm({ ...editForm, base_url: v })}
+                            >
+                              <SelectTrigger className="bg-white/5 border-white/10">
+                                <SelectValue placeholder="Custom base URL" />
+                              </SelectTrigger>
+                              <SelectContent>
+                                {source.servers.map((srv) => (
+                                  <SelectItem key={srv.url} value={srv.url}>
+                                    {srv.description ? `${srv.description} — ${srv.url}` : srv.url}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                          </div>
+                        )}
+                        {getServerVariableNames(editForm.base_url).map((name) => {
+                          const declared = source.servers?.find((srv) => srv.url === editForm.base_url)?.variables?.[name];
+                          const setVariable = (value) =>
+                            setEditForm({
+                              ...editForm,
+                              server_variables: { ...editForm.server_variables, [name]: value },
+                            });
+                          return (
+                            <div key={name} className="space-y-1">
+                              <Label className="text-xs text-white/40">
+                                Server variable: {name}
+                              </Label>
+                              {declared?.enum ? (
+                                <Select
+                                  value={editForm.server_variables[name] || declared.default || undefined}
+                                  onValueChange={setVariable}
+                                >
+                                  <SelectTrigger className="bg-white/5 border-white/10">
+                                    <SelectValue />
+                                  </SelectTrigger>
+                                  <SelectContent>
+                                    {declared.enum.map((option) => (
+                                      <SelectItem key={option} value={option}>{option}</SelectItem>
+                                    ))}
+                                  </SelectContent>
+                                </Select>
+                              ) : (
+                                <Input
+                                  value={editForm.server_variables[name] || ""}
+                                  onChange={(e) => setVariable(e.target.value)}
+                                  placeholder={declared?.default || name}
+                                  className="bg-white/5 border-white/10"
+                                />
+                              )}
+                            </div>
+                          );
+                        })}
                         <div className="space-y-1">
                           <Label className="text-xs text-white/40">
                             Spec URL (for remote sync)
@@ -471,6 +608,44 @@ function SourceDetailContent({ params }) {
                             className="bg-white/5 border-white/10"
                           />
                         </div>
+                        {source.auth_type === "oauth2" && editForm.auth_config && (
+                          <div className="space-y-3 pt-2 border-t border-white/10">
+                            <p className="text-xs text-white/40">
+                              OAuth client — register{" "}
+                              <code className="text-white/60">
+                                {(process.env.NEXT_PUBLIC_APP_URL || window.location.origin).replace(/\/+$/, "")}/api/oauth/callback
+                              </code>{" "}
+                              as the redirect URI with the provider.
+                            </p>
+                            {[
+                              { key: "client_id", label: "Client ID" },
+                              { key: "client_secret", label: "Client secret", type: "password" },
+                              { key: "authorization_url", label: "Authorization URL" },
+                              { key: "token_url", label: "Token URL" },
+                              { key: "scopes", label: "Scopes (space-separated)" },
+                            ].map(({ key, label, type }) => (
+                              <div key={key} className="space-y-1">
+                                <Label className="text-xs text-white/40">{label}</Label>
+                                <Input
+                                  type={type || "text"}
+                                  placeholder={editForm.auth_config[`has_${key}`] ? "Saved — leave blank to keep" : undefined}
+                                  value={
+                                    Array.isArray(editForm.auth_config[key])
+                                      ? editForm.auth_config[key].join(" ")
+                                      : editForm.auth_config[key] || ""
+                                  }
+                                  onChange={(e) =>
+                                    setEditForm({
+                                      ...editForm,
+                                      auth_config: { ...editForm.auth_config, [key]: e.target.value },
+                                    })
+                                  }
+                                  className="bg-white/5 border-white/10"
+                                />
+                              </div>
+                            ))}
+                          </div>
+                        )}
                         <div className="flex items-center gap-3">
                           <SaveIndicator status={saveStatus} />
                           <Button
@@ -762,6 +937,36 @@ function SourceDetailContent({ params }) {
                 </CardContent>
               </Card>
 
+              {/* Shared Credential (admins) */}
+              <SharedCredentialCard source={source} />
+
+              {/* Timeout / retries / circuit breaker (admins) */}
+              <RequestPolicyCard source={source} onSaved={handlePolicySaved} />
+
+              {/* Response masking for people and the model (admins) */}
+              <RedactionPolicyCard
+                policy={source.redaction_policy}
+                canEdit={source.can_edit}
+                description={`Mask fields and personal data in ${source.name} responses. Org-wide rules in Settings apply too.`}
+                onSave={handleRedactionSave}
+              />
+
+              {/* Argument rules per tool (admins) */}
+              <GuardrailsCard source={source} tools={tools} onSaved={handlePolicySaved} />
+
+              {/* Who else must approve calls of a tool (admins) */}
+              <ApprovalPolicyCard source={source} tools={tools} onSaved={handlePolicySaved} />
+
+              {/* Tool calls per hour (admins) */}
+              <RateLimitsCard
+                limits={source.rate_limits}
+                scope="source"
+                canEdit={source.can_edit}
+                tools={tools}
+                description={`Cap how often ${source.name} is called, across everyone in the workspace. Calls over a limit are not sent.`}
+                onSave={handleRateLimitsSave}
+              />
+
               {/* Add Tool Dialog */}
               <Dialog open={showAddTool} onOpenChange={(open) => {
                 setShowAddTool(open);
@@ -21,6 +21,7 @@ import { toast } from "sonner";
 import { useRouter } from "next/navigation";
 import Link from "next/link";
 import { TemplateBrowser } from "@/components/templates/template-browser";
+import { loadSpecDocument, describeSpec } from "@/lib/tools/spec-loader";
 
 function NewSourceContent() {
   const router = useRouter();
@@ -35,6 +36,7 @@ function NewSourceContent() {
     base_url: "",
     source_type: "openapi",
     auth_type: "passthrough",
+    auth_config: {},
     spec_text: "",
     spec_url: "",
   });
@@ -46,6 +48,42 @@ function NewSourceContent() {
     setForm((prev) => ({ ...prev, [field]: value }));
   };
 
+  // Parse an OpenAPI 3.x / Swagger 2.0 spec (JSON or YAML), auto-fill the form
+  // and show a preview. Returns false (with parseError set) if the spec is invalid.
+  const applySpecText = (text, url) => {
+    let summary;
+    try {
+      summary = describeSpec(loadSpecDocument(text));
+    } catch (err) {
+      setParseError(err.message);
+      return false;
+    }
+
+    setForm({
+      name: summary.title,
+      description: summary.description,
+      base_url: summary.base_url,
+      source_type: "openapi",
+      // Pre-filled from the spec's securitySchemes when it declares any
+      auth_type: summary.auth?.auth_type || "passthrough",
+      auth_config: summary.auth?.auth_config || {},
+      spec_text: text,
+      spec_url: url,
+    });
+
+    setParsePreview({
+      title: summary.title || "Untitled API",
+      version: summary.version || "?",
+      format: summary.format,
+      pathCount: summary.pathCount,
+      toolCount: summary.toolCount,
+      baseUrl: summary.base_url,
+    });
+
+    toast.success(`Found ${summary.toolCount} API endpoints`);
+    return true;
+  };
+
   const handleUrlFetch = async () => {
     const url = urlInput.trim();
     if (!url) {
@@ -65,51 +103,7 @@ function NewSourceContent() {
         return;
       }
 
-      const text = await res.text();
-      let spec;
-      try {
-        spec = JSON.parse(text);
-      } catch {
-        setParseError("Invalid JSON response. Make sure the URL returns an OpenAPI spec.");
-        setFetching(false);
-        return;
-      }
-
-      if (!spec.openapi || !spec.paths) {
-        setParseError('Invalid OpenAPI spec: missing "openapi" or "paths" field');
-        setFetching(false);
-        return;
-      }
-
-      // Parse tool count
-      let toolCount = 0;
-      const methods = ["get", "post", "put", "patch", "delete", "head", "options"];
-      for (const pathItem of Object.values(spec.paths)) {
-        for (const method of methods) {
-          if (pathItem[method]) toolCount++;
-        }
-      }
-
-      // Auto-fill form
-      setForm({
-        name: spec.info?.title || "",
-        description: spec.info?.description || "",
-        base_url: spec.servers?.[0]?.url || "",
-        source_type: "openapi",
-        auth_type: "passthrough",
-        spec_text: text,
-        spec_url: url,
-      });
-
-      setParsePreview({
-        title: spec.info?.title || "Untitled API",
-        version: spec.info?.version || "?",
-        pathCount: Object.keys(spec.paths).length,
-        toolCount,
-        baseUrl: spec.servers?.[0]?.url || "",
-      });
-
-      toast.success(`Found ${toolCount} API endpoints`);
+      applySpecText(await res.text(), url);
     } catch (err) {
       setParseError(`Failed to fetch: ${err.message}`);
     } finally {
@@ -130,44 +124,7 @@ function NewSourceContent() {
 
     const reader = new FileReader();
     reader.onload = (ev) => {
-      const text = ev.target?.result;
-      try {
-        const spec = JSON.parse(text);
-        if (!spec.openapi || !spec.paths) {
-          setParseError('Invalid OpenAPI spec: missing "openapi" or "paths" field');
-          return;
-        }
-
-        let toolCount = 0;
-        const methods = ["get", "post", "put", "patch", "delete", "head", "options"];
-        for (const pathItem of Object.values(spec.paths)) {
-          for (const method of methods) {
-            if (pathItem[method]) toolCount++;
-          }
-        }
-
-        setForm({
-          name: spec.info?.title || "",
-          description: spec.info?.description || "",
-          base_url: spec.servers?.[0]?.url || "",
-          source_type: "openapi",
-          auth_type: "passthrough",
-          spec_text: text,
-          spec_url: "",
-        });
-
-        setParsePreview({
-          title: spec.info?.title || "Untitled API",
-          version: spec.info?.version || "?",
-          pathCount: Object.keys(spec.paths).length,
-          toolCount,
-          baseUrl: spec.servers?.[0]?.url || "",
-        });
-
-        toast.success(`Found ${toolCount} API endpoints`);
-      } catch {
-        setParseError("Invalid JSON file");
-      }
+      applySpecText(ev.target?.result, "");
     };
     reader.readAsText(file);
   };
@@ -190,9 +147,9 @@ function NewSourceContent() {
       let specContent = null;
       if (form.spec_text.trim()) {
         try {
-          specContent = JSON.parse(form.spec_text);
+          specContent = loadSpecDocument(form.spec_text);
         } catch {
-          toast.error("Invalid JSON in spec");
+          toast.error("Invalid JSON or YAML in spec");
           setSaving(false);
           return;
         }
@@ -207,6 +164,7 @@ function NewSourceContent() {
           base_url: form.base_url.trim(),
           source_type: form.source_type,
           auth_type: form.auth_type,
+          auth_config: form.auth_config,
           spec_content: specContent,
           spec_url: form.spec_url.trim() || null,
         }),
@@ -413,6 +371,7 @@ function NewSourceContent() {
                       <div className="grid grid-cols-2 gap-4 text-sm mb-4">
                         <div className="text-white/40">
                           Version: <span className="text-white/70">{parsePreview.version}</span>
+                          <span className="text-white/30"> · {parsePreview.format}</span>
                         </div>
                         {parsePreview.baseUrl && (
                           <div className="text-white/40 truncate">
@@ -454,7 +413,7 @@ function NewSourceContent() {
                               <Label className="text-xs text-white/40">Auth Type</Label>
                               <Select
                                 value={form.auth_type}
-                                onValueChange={(v) => updateField("auth_type", v)}
+                                onValueChange={(v) => setForm((prev) => ({ ...prev, auth_type: v, auth_config: {} }))}
                               >
                                 <SelectTrigger className="bg-white/5 border-white/10 text-sm">
                                   <SelectValue />
@@ -464,9 +423,18 @@ function NewSourceContent() {
                                   <SelectItem value="bearer">Bearer Token</SelectItem>
                                   <SelectItem value="api_key">API Key</SelectItem>
                                   <SelectItem value="basic">Basic Auth</SelectItem>
+                                  <SelectItem value="oauth2">OAuth 2.0</SelectItem>
                                   <SelectItem value="none">None</SelectItem>
                                 </SelectContent>
                               </Select>
+                              {form.auth_config?.scheme && (
+                                <p className="text-[11px] text-white/30">
+                                  From spec: {form.auth_config.scheme}
+                                  {form.auth_config.in && ` · ${form.auth_config.name} in ${form.auth_config.in}`}
+                                  {form.auth_config.bearer_format && ` · ${form.auth_config.bearer_format}`}
+                                  {form.auth_config.token_url && " · add the OAuth client ID on the source page"}
+                                </p>
+                              )}
                             </div>
                           </div>
                         </div>
@@ -191,7 +191,7 @@ export function ApiDetailModal({
                     <span className="text-sm text-yellow-300">Credentials required</span>
                     <span className="text-xs text-yellow-300/60">
                       {source?.auth_type === "bearer" && "Bearer token"}
-                      {source?.auth_type === "api_key" && `API key (${source?.auth_config?.header_name || "X-API-Key"})`}
+                      {source?.auth_type === "api_key" && `API key (${source?.auth_config?.name || (["query", "cookie"].includes(source?.auth_config?.in) ? "api_key" : source?.auth_config?.header || "X-API-Key")}${source?.auth_config?.in && source.auth_config.in !== "header" ? ` in ${source.auth_config.in}` : ""})`}
                       {source?.auth_type === "basic" && "Basic auth"}
                     </span>
                   </div>
@@ -57,6 +57,8 @@ export function ChatMessage({ message, onApprove, onReject }) {
       <AssistantMessage
         parts={parts}
         storedToolCalls={message.toolCalls}
+        guardrails={message.metadata?.guardrails}
+        approvals={message.metadata?.approvals}
         onApprove={onApprove}
         onReject={onReject}
       />
@@ -147,7 +149,7 @@ function UserMessage({ parts, attachments }) {
   );
 }
 
-function AssistantMessage({ parts, storedToolCalls, onApprove, onReject }) {
+function AssistantMessage({ parts, storedToolCalls, guardrails, approvals, onApprove, onReject }) {
   if (!parts || parts.length === 0) return null;
 
   // Check if we have live tool parts (from streaming) or need to use stored data
@@ -269,6 +271,8 @@ function AssistantMessage({ parts, storedToolCalls, onApprove, onReject }) {
           <AssistantPart
             key={part.toolCallId || part.id || `tool-${i}-${part.type}`}
             part={part}
+            guardrailReasons={guardrails?.[part.toolCallId]}
+            queued={approvals?.[part.toolCallId]}
             onApprove={onApprove}
             onReject={onReject}
           />
@@ -332,6 +336,7 @@ function StoredToolCallsMessage({ parts, storedToolCalls }) {
             tool_id: tc.result.tool_id,
             source_id: tc.result.source_id,
             duration_ms: tc.result.duration_ms,
+            credential_identity: tc.result.credential_identity,
           }
         } : null;
 
@@ -363,7 +368,7 @@ function StoredToolCallsMessage({ parts, storedToolCalls }) {
   );
 }
 
-function AssistantPart({ part, onApprove, onReject }) {
+function AssistantPart({ part, guardrailReasons, queued, onApprove, onReject }) {
   // Text content
   if (part.type === "text") {
     if (!part.text) return null;
@@ -413,6 +418,8 @@ function AssistantPart({ part, onApprove, onReject }) {
           toolName={toolName}
           input={part.input}
           approvalId={part.approval?.id}
+          guardrailReasons={guardrailReasons}
+          queued={queued}
           onApprove={onApprove}
           onReject={onReject}
           responded={false}
@@ -427,6 +434,7 @@ function AssistantPart({ part, onApprove, onReject }) {
           toolName={toolName}
           input={part.input}
           approvalId={part.approval?.id}
+          guardrailReasons={guardrailReasons}
           responded={true}
           approved={part.approval?.approved}
         />
@@ -1,5 +1,7 @@
 "use client";
 
+import { useState, useEffect } from "react";
+import Link from "next/link";
 import { Badge } from "@/components/ui/badge";
 import {
   User,
@@ -15,7 +17,8 @@ import {
   Trash2,
   DollarSign,
   Shield,
-  Link,
+  Link as LinkIcon,
+  Users,
 } from "lucide-react";
 import {
   generateImpactPreview,
@@ -36,7 +39,7 @@ const ICON_MAP = {
 
 const WARNING_ICONS = {
   destructive: Trash2,
-  cascade: Link,
+  cascade: LinkIcon,
   financial: DollarSign,
   security: Shield,
 };
@@ -99,6 +102,63 @@ function WarningBadge({ type, message }) {
   );
 }
 
+const QUEUE_POLL_MS = 5000;
+
+const QUEUE_STATUS_STYLES = {
+  pending_confirmation: "text-yellow-400/90",
+  rejected: "text-red-400",
+  failed: "text-red-400",
+  completed: "text-green-400",
+};
+
+// A call parked in the approval queue: who it waits for, then the outcome
+function QueuedStatus({ actionId, approvers }) {
+  const [status, setStatus] = useState("pending_confirmation");
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!actionId) return;
+    let timer = null;
+    let cancelled = false;
+
+    const poll = async () => {
+      try {
+        const res = await fetch(`/api/approvals/${actionId}`);
+        if (res.ok) {
+          const data = await res.json();
+          if (cancelled) return;
+          setStatus(data.action.status);
+          setMessage(data.output.result);
+          if (data.action.status !== "pending_confirmation" && data.action.status !== "confirmed" && data.action.status !== "executing") return;
+        }
+      } catch {
+        // Keep polling; the queue page is the source of truth
+      }
+      if (!cancelled) timer = setTimeout(poll, QUEUE_POLL_MS);
+    };
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [actionId]);
+
+  return (
+    <div className="pt-2 border-t border-white/5 space-y-1">
+      <div className={`flex items-center gap-2 text-xs ${QUEUE_STATUS_STYLES[status] || "text-white/60"}`}>
+        <Users className="w-3.5 h-3.5 shrink-0" />
+        <span>{message || `Waiting for approval from ${approvers} - not sent yet.`}</span>
+      </div>
+      {status === "pending_confirmation" && (
+        <Link href="/approvals" className="text-[11px] text-blue-400/80 hover:text-blue-400">
+          Open the approval queue
+        </Link>
+      )}
+    </div>
+  );
+}
+
 export function ConfirmationPrompt({
   toolName,
   input,
@@ -107,6 +167,8 @@ export function ConfirmationPrompt({
   onReject,
   responded,
   approved,
+  guardrailReasons,
+  queued,
 }) {
   // Extract method and path from tool description
   const methodMatch = toolName?.match(
@@ -125,7 +187,7 @@ export function ConfirmationPrompt({
     <div className="border-l-4 border-yellow-500 bg-yellow-500/5 rounded-r p-3 my-2 font-mono text-xs">
       {/* Warning header */}
       <div className="flex items-center gap-2 mb-2">
-        <span className="text-yellow-400 font-bold">CONFIRM</span>
+        <span className="text-yellow-400 font-bold">{queued ? "NEEDS APPROVAL" : "CONFIRM"}</span>
         <Badge
           variant="outline"
           className="text-[10px] px-1.5 py-0 font-bold border-red-500/30 text-red-400 bg-red-500/10"
@@ -153,6 +215,15 @@ export function ConfirmationPrompt({
         </div>
       )}
 
+      {/* Why a guardrail asks for confirmation */}
+      {guardrailReasons?.length > 0 && (
+        <div className="mb-3 space-y-1 py-2 border-t border-white/5">
+          {guardrailReasons.map((reason, i) => (
+            <WarningBadge key={i} type="security" message={`Guardrail: ${reason}`} />
+          ))}
+        </div>
+      )}
+
       {/* Warnings */}
       {preview.warnings.length > 0 && (
         <div className="mb-3 space-y-1 py-2 border-t border-white/5">
@@ -162,8 +233,10 @@ export function ConfirmationPrompt({
         </div>
       )}
 
-      {/* Action buttons or status */}
-      {responded ? (
+      {/* Action buttons or status (queued calls are decided by someone else) */}
+      {queued ? (
+        <QueuedStatus actionId={queued.action_id} approvers={queued.approvers} />
+      ) : responded ? (
         <div
           className={`text-sm font-bold ${approved ? "text-green-400" : "text-red-400"}`}
         >
@@ -11,10 +11,17 @@ import {
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import { Loader2, Key, Shield, Trash2, Plus, Check, ChevronDown } from "lucide-react";
 import { toast } from "sonner";
 
-const AUTH_TYPE_CONFIG = {
+export const AUTH_TYPE_CONFIG = {
   bearer: {
     title: "Bearer Token",
     description: "Enter your API bearer token",
@@ -45,6 +52,12 @@ const AUTH_TYPE_CONFIG = {
       { name: "header_value", label: "Header Value", type: "password", placeholder: "Header value..." },
     ],
   },
+  oauth2: {
+    title: "OAuth 2.0",
+    description: "Connect your account — you'll sign in with the provider and come back here",
+    fields: [],
+    oauth: true,
+  },
   passthrough: {
     title: "Passthrough Authentication",
     description: "Your session credentials will be forwarded automatically.",
@@ -83,10 +96,19 @@ export function CredentialModal({
   const [showAddForm, setShowAddForm] = useState(false);
   const [values, setValues] = useState({});
   const [label, setLabel] = useState("");
+  const [servers, setServers] = useState([]);
+  const [serverUrl, setServerUrl] = useState("");
+  const [serverVariables, setServerVariables] = useState({});
+  const [credentialMode, setCredentialMode] = useState("user");
+  const [hasShared, setHasShared] = useState(false);
 
   const authType = source?.auth_type || "none";
   const config = AUTH_TYPE_CONFIG[authType] || AUTH_TYPE_CONFIG.none;
 
+  // Enum variables of the chosen server (free-form variables are set by admins on the source)
+  const selectedServer = servers.find((srv) => srv.url === serverUrl) || servers[0];
+  const enumVariables = Object.entries(selectedServer?.variables || {}).filter(([, v]) => v.enum);
+
   useEffect(() => {
     if (open && source?.id) {
       loadCredentials();
@@ -99,6 +121,22 @@ export function CredentialModal({
     }
   }, [source?.id, authType]);
 
+  // Result of an OAuth connect flow (the callback redirects back with these params)
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const connected = params.get("oauth_connected");
+    const error = params.get("oauth_error");
+    if (!connected && !error) return;
+
+    if (connected) toast.success(`Connected ${connected}`);
+    if (error) toast.error(error);
+
+    params.delete("oauth_connected");
+    params.delete("oauth_error");
+    const query = params.toString();
+    window.history.replaceState(null, "", `${window.location.pathname}${query ? `?${query}` : ""}`);
+  }, []);
+
   const resetForm = () => {
     const initialValues = {};
     config.fields.forEach((field) => {
@@ -106,6 +144,8 @@ export function CredentialModal({
     });
     setValues(initialValues);
     setLabel("");
+    setServerUrl("");
+    setServerVariables({});
     setShowAddForm(false);
   };
 
@@ -116,8 +156,13 @@ export function CredentialModal({
       if (res.ok) {
         const data = await res.json();
         setCredentials(data.credentials || []);
-        // Auto-show form if no credentials
-        if (!data.credentials?.length) {
+        setServers(data.servers || []);
+        setCredentialMode(data.credential_mode || "user");
+        setHasShared(!!data.has_shared_credentials);
+        // Auto-show form if no credentials (and the org credential doesn't cover it)
+        const coveredByOrg = data.credential_mode === "shared" ||
+          (data.credential_mode === "user_override" && data.has_shared_credentials);
+        if (!data.credentials?.length && !coveredByOrg) {
           setShowAddForm(true);
         }
       }
@@ -143,7 +188,12 @@ export function CredentialModal({
       const res = await fetch(`/api/sources/${source.id}/credentials`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ ...values, label: finalLabel }),
+        body: JSON.stringify({
+          ...values,
+          label: finalLabel,
+          server_url: serverUrl || null,
+          server_variables: serverVariables,
+        }),
       });
 
       if (res.ok) {
@@ -162,6 +212,20 @@ export function CredentialModal({
     }
   };
 
+  // OAuth: hand off to the provider; the callback stores the tokens and returns here
+  const handleConnect = () => {
+    const params = new URLSearchParams({
+      label: label.trim() || "Default",
+      return_to: `${window.location.pathname}${window.location.search}`,
+    });
+    if (serverUrl) params.set("server_url", serverUrl);
+    if (Object.keys(serverVariables).length > 0) {
+      params.set("server_variables", JSON.stringify(serverVariables));
+    }
+    setSaving(true);
+    window.location.assign(`/api/sources/${source.id}/oauth/authorize?${params}`);
+  };
+
   const handleSetActive = async (credId) => {
     try {
       const res = await fetch(`/api/sources/${source.id}/credentials`, {
@@ -246,8 +310,25 @@ export function CredentialModal({
           <div className="flex justify-center py-8">
             <Loader2 className="w-5 h-5 animate-spin text-white/50" />
           </div>
+        ) : credentialMode === "shared" ? (
+          <div className="space-y-4 pt-2">
+            <div className="flex items-start gap-3 p-3 rounded-lg border bg-green-500/10 border-green-500/30">
+              <Shield className="w-4 h-4 mt-0.5 text-green-400 shrink-0" />
+              <p className="text-sm text-white/70">
+                {hasShared
+                  ? `Your organization's shared credential is used for ${source?.name}. No personal key needed.`
+                  : `${source?.name} uses a shared organization credential that hasn't been set yet. Ask an admin to add it.`}
+              </p>
+            </div>
+          </div>
         ) : (
           <div className="space-y-4 pt-2">
+            {credentialMode === "user_override" && hasShared && (
+              <p className="text-[11px] text-white/40">
+                Your organization's shared credential is used unless you add and select your own.
+              </p>
+            )}
+
             {/* Existing credentials list */}
             {credentials.length > 0 && (
               <div className="space-y-2">
@@ -286,6 +367,16 @@ export function CredentialModal({
                               {cred.masked_preview}
                             </code>
                           )}
+                          {cred.expires_at && (
+                            <div className="text-[11px] text-white/30">
+                              Token renews automatically · expires {new Date(cred.expires_at).toLocaleString()}
+                            </div>
+                          )}
+                          {cred.server_url && (
+                            <div className="text-[11px] text-white/30 truncate" title={cred.server_url}>
+                              {cred.server_url}
+                            </div>
+                          )}
                         </div>
                       </button>
                       <button
@@ -320,6 +411,49 @@ export function CredentialModal({
                   />
                 </div>
 
+                {servers.length > 1 && (
+                  <div className="space-y-2">
+                    <Label className="text-white/70 text-xs">Environment</Label>
+                    <Select
+                      value={serverUrl || undefined}
+                      onValueChange={(v) => {
+                        setServerUrl(v);
+                        setServerVariables({});
+                      }}
+                    >
+                      <SelectTrigger className="bg-white/5 border-white/10 text-sm">
+                        <SelectValue placeholder="Source default" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {servers.map((srv) => (
+                          <SelectItem key={srv.url} value={srv.url}>
+                            {srv.description || srv.url}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
+
+                {enumVariables.map(([name, variable]) => (
+                  <div key={name} className="space-y-2">
+                    <Label className="text-white/70 text-xs">{variable.description || name}</Label>
+                    <Select
+                      value={serverVariables[name] || undefined}
+                      onValueChange={(v) => setServerVariables((prev) => ({ ...prev, [name]: v }))}
+                    >
+                      <SelectTrigger className="bg-white/5 border-white/10 text-sm">
+                        <SelectValue placeholder={variable.default || "Source default"} />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {variable.enum.map((option) => (
+                          <SelectItem key={option} value={option}>{option}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                ))}
+
                 {config.fields.map((field) => (
                   <div key={field.name} className="space-y-2">
                     <Label htmlFor={field.name} className="text-white/70 text-xs">
@@ -347,12 +481,14 @@ export function CredentialModal({
                     </Button>
                   )}
                   <Button
-                    onClick={handleSave}
+                    onClick={config.oauth ? handleConnect : handleSave}
                     disabled={saving}
                     className="flex-1 bg-blue-500 hover:bg-blue-400"
                   >
                     {saving ? (
                       <Loader2 className="w-4 h-4 animate-spin" />
+                    ) : config.oauth ? (
+                      `Connect ${source?.name || "account"}`
                     ) : (
                       "Save"
                     )}
@@ -366,7 +502,7 @@ export function CredentialModal({
                 className="w-full border-dashed border-white/20 text-white/60 hover:text-white hover:border-white/40"
               >
                 <Plus className="w-4 h-4 mr-2" />
-                Add Credential
+                {config.oauth ? "Connect Another Account" : "Add Credential"}
               </Button>
             )}
 
@@ -0,0 +1,105 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import {
+  Check,
+  X,
+  Loader2,
+  Circle,
+  SkipForward,
+  AlertTriangle,
+  Workflow,
+} from "lucide-react";
+
+const STEP_ICONS = {
+  completed: { icon: Check, className: "text-green-400" },
+  failed: { icon: X, className: "text-red-400" },
+  skipped: { icon: SkipForward, className: "text-white/30" },
+  pending: { icon: AlertTriangle, className: "text-yellow-400" },
+};
+
+const RUN_LABELS = {
+  running: "Running",
+  needs_confirmation: "Waiting for confirmation",
+  completed: "Completed",
+  failed: "Failed — continuing with the assistant",
+  cancelled: "Cancelled",
+};
+
+// Progress of a deterministic routine run, with Confirm/Cancel while a step waits
+export function RoutineRunPanel({ name, steps, run, busy, onConfirm, onCancel, onDismiss }) {
+  const results = run?.results || {};
+  const pending = run?.status === "needs_confirmation" ? run.pending : null;
+  const finished = ["completed", "failed", "cancelled"].includes(run?.status);
+
+  return (
+    <div className="flex justify-start">
+      <div className="w-full max-w-2xl rounded-2xl px-4 py-3 bg-white/5 border border-white/10 text-sm space-y-3">
+        <div className="flex items-center justify-between gap-2">
+          <div className="flex items-center gap-2 text-cyan-300">
+            <Workflow className="w-4 h-4" />
+            <span>
+              <strong>/{name}</strong>
+              <span className="text-white/40"> · {RUN_LABELS[run?.status] || "Starting"}</span>
+            </span>
+          </div>
+          {finished && (
+            <button onClick={onDismiss} className="text-white/30 hover:text-white/60" title="Dismiss">
+              <X className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+
+        <ol className="space-y-1.5">
+          {steps.map((step) => {
+            const result = results[step.id];
+            const style = STEP_ICONS[result?.status];
+            const Icon = style?.icon || (busy && !result ? Loader2 : Circle);
+            return (
+              <li key={step.id} className="flex items-start gap-2">
+                <Icon className={`w-4 h-4 mt-0.5 shrink-0 ${style?.className || "text-white/30"} ${Icon === Loader2 ? "animate-spin" : ""}`} />
+                <div className="min-w-0">
+                  <div className="text-white/80">{step.tool_name || step.id}</div>
+                  {result?.status === "failed" && result.error && (
+                    <div className="text-xs text-red-400/80">{result.error}</div>
+                  )}
+                  {result?.status === "skipped" && (
+                    <div className="text-xs text-white/30">Skipped: condition not met</div>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+
+        {pending && (
+          <div className="rounded-lg bg-yellow-500/10 border border-yellow-500/20 p-3 space-y-2">
+            {(pending.reasons || []).map((reason) => (
+              <div key={reason} className="flex items-center gap-2 text-xs text-yellow-300/90">
+                <AlertTriangle className="w-3.5 h-3.5 shrink-0" />
+                {reason}
+              </div>
+            ))}
+            <pre className="text-xs text-white/60 font-mono whitespace-pre-wrap break-all">
+              {JSON.stringify(pending.args, null, 2)}
+            </pre>
+            <div className="flex gap-2">
+              <Button
+                size="sm"
+                onClick={onConfirm}
+                disabled={busy}
+                className="bg-blue-500 hover:bg-blue-400 text-white font-bold"
+              >
+                {busy ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Check className="w-3.5 h-3.5 mr-1" />}
+                Confirm
+              </Button>
+              <Button size="sm" variant="ghost" onClick={onCancel} disabled={busy} className="text-white/60">
+                Cancel
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -95,10 +95,10 @@ export function SlashCommandAutocomplete({
               </div>
             )}
 
-            {/* Routine parameters */}
+            {/* Routine parameters (picking the routine opens their form) */}
             {isRoutine && item.parameters && Object.keys(item.parameters).length > 0 && (
               <div className="text-cyan-400/60 text-[10px] font-mono mt-1 ml-9">
-                needs: {Object.keys(item.parameters).join(", ")}
+                form: {Object.entries(item.parameters).map(([name, spec]) => `${name}${spec?.required ? "*" : ""}`).join(", ")}
               </div>
             )}
 
@@ -2,6 +2,15 @@
 
 import { useState, useCallback, useMemo, useEffect } from "react";
 import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
 import {
   ChevronDown,
   ChevronRight,
@@ -14,6 +23,7 @@ import {
   Calendar,
   Hash,
   Loader2,
+  Undo2,
 } from "lucide-react";
 import { toast } from "sonner";
 import { detectPagination, buildNextPageParams, getPaginationDisplayInfo } from "@/lib/pagination";
@@ -563,6 +573,7 @@ export function ToolCallDisplay({ toolName, input, output, state, toolId, source
   }
 
   const hasOutput = state === "output-available" && output;
+  const simulatedRequest = actionMeta?.dry_run ? actionMeta.simulated_request : null;
   const hasError = state === "output-error";
   const isLoading = state === "input-streaming" || state === "input-available";
 
@@ -604,6 +615,7 @@ export function ToolCallDisplay({ toolName, input, output, state, toolId, source
   const isJson = rawJson.startsWith("{") || rawJson.startsWith("[");
   const rowCount = Array.isArray(currentPageData) ? currentPageData.length : null;
   const duration = actionMeta?.duration_ms;
+  const attempts = actionMeta?.attempts || [];
 
   // Calculate total loaded items
   const totalLoadedItems = useMemo(() => {
@@ -715,9 +727,52 @@ export function ToolCallDisplay({ toolName, input, output, state, toolId, source
         {path && path !== displayName && (
           <span className="text-white/30 text-[10px] truncate flex-1">{path}</span>
         )}
+        {simulatedRequest && (
+          <span
+            className="text-amber-400/80 text-[10px] shrink-0"
+            title="Dry run - this write call was simulated and nothing was sent"
+          >
+            dry run · not sent
+          </span>
+        )}
+        {actionMeta?.idempotent_replay && (
+          <span
+            className="text-white/40 text-[10px] shrink-0"
+            title="This call already ran - the stored result is shown and nothing was sent again"
+          >
+            replayed
+          </span>
+        )}
+        {actionMeta?.redacted > 0 && (
+          <span
+            className="text-white/40 text-[10px] shrink-0"
+            title="Values masked by this workspace's redaction rules"
+          >
+            {actionMeta.redacted} redacted
+          </span>
+        )}
+        {actionMeta?.guardrail_violations?.length > 0 && (
+          <span
+            className="text-red-400/80 text-[10px] shrink-0"
+            title={actionMeta.guardrail_violations.map((v) => v.reason).join("\n")}
+          >
+            stopped by guardrail
+          </span>
+        )}
+        {attempts.length > 1 && (
+          <span
+            className="text-amber-400/70 text-[10px] shrink-0"
+            title={attempts.map(describeAttempt).join("\n")}
+          >
+            {attempts.length} attempts
+          </span>
+        )}
         {isLoading && (
           <span className="text-blue-400 animate-pulse">calling...</span>
         )}
+        {hasOutput && actionMeta?.undo && actionMeta.action_id && (
+          <UndoButton actionId={actionMeta.action_id} toolName={displayName} undo={actionMeta.undo} />
+        )}
       </div>
 
       {/* Input args */}
@@ -739,8 +794,13 @@ export function ToolCallDisplay({ toolName, input, output, state, toolId, source
         </div>
       )}
 
+      {/* Dry run: the request that would have gone out */}
+      {hasOutput && simulatedRequest && (
+        <SimulatedRequest request={simulatedRequest} />
+      )}
+
       {/* Output */}
-      {hasOutput && (
+      {hasOutput && !simulatedRequest && (
         <div className="group/output mt-3 border-t border-white/5 pt-2">
           <div className="flex items-center justify-between mb-3">
             <div className="flex items-center gap-3">
@@ -786,6 +846,9 @@ export function ToolCallDisplay({ toolName, input, output, state, toolId, source
                   </>
                 )}
                 {duration && <span>{duration}ms</span>}
+                {actionMeta?.credential_identity?.type === "shared" && (
+                  <span title="Ran with the organization's shared credential">• org credential</span>
+                )}
               </div>
             </div>
 
@@ -922,6 +985,138 @@ export function ToolCallDisplay({ toolName, input, output, state, toolId, source
   );
 }
 
+/**
+ * One line per attempt for the retries tooltip, e.g. "#1 HTTP 503 (120ms), retried after 500ms".
+ */
+function describeAttempt(attempt) {
+  const outcome = attempt.error || `HTTP ${attempt.status}`;
+  const retry = attempt.retry_in_ms != null ? `, retried after ${attempt.retry_in_ms}ms` : "";
+  return `#${attempt.attempt} ${outcome} (${attempt.duration_ms}ms)${retry}`;
+}
+
+/**
+ * Runs the inverse of a completed write call (POST /api/activity/[id]/undo)
+ * after the user confirms what will be sent.
+ */
+function UndoButton({ actionId, toolName, undo }) {
+  const [open, setOpen] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [undone, setUndone] = useState(null);
+
+  const handleUndo = async () => {
+    setRunning(true);
+    try {
+      // The dialog is the confirmation the undo route asks for
+      const res = await fetch(`/api/activity/${actionId}/undo`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ confirmed: true }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (data.queued) {
+        setUndone("awaiting approval");
+        toast.success(`Undo of ${toolName} is waiting for approval from ${data.approvers}`);
+      } else if (res.ok) {
+        setUndone("undone");
+        toast.success(`Undone: ${toolName}`);
+      } else if (res.status === 409) {
+        setUndone("undone");
+        toast.error(data.error || "Already undone");
+      } else {
+        toast.error(data.result?.error || data.error || "Undo failed");
+      }
+    } catch {
+      toast.error("Undo failed");
+    } finally {
+      setRunning(false);
+      setOpen(false);
+    }
+  };
+
+  if (undone) {
+    return <span className="text-white/40 text-[10px] shrink-0 ml-auto">{undone}</span>;
+  }
+
+  return (
+    <>
+      <button
+        onClick={() => setOpen(true)}
+        className="flex items-center gap-1 text-white/40 hover:text-white/70 text-[10px] shrink-0 ml-auto transition-colors"
+        title={`Undo with ${undo.tool_name}`}
+      >
+        <Undo2 className="h-3 w-3" />
+        Undo
+      </button>
+      <Dialog open={open} onOpenChange={(next) => !running && setOpen(next)}>
+        <DialogContent className="bg-[#0a0a0f] border-white/10">
+          <DialogHeader>
+            <DialogTitle>Undo {toolName}?</DialogTitle>
+            <DialogDescription className="text-white/50">
+              This runs {undo.tool_name} to reverse it. The undo is recorded in the activity log.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="rounded border border-white/10 bg-white/[0.02] p-2 font-mono text-xs space-y-2">
+            <div className="flex items-center gap-2 break-all">
+              <span className="font-bold text-white/70">{undo.method}</span>
+              <span className="text-white/50">{undo.path}</span>
+            </div>
+            {Object.keys(undo.args || {}).length > 0 && (
+              <pre className="text-[10px] text-white/60 whitespace-pre-wrap break-all max-h-48 overflow-auto">
+                {JSON.stringify(undo.args, null, 2)}
+              </pre>
+            )}
+          </div>
+          <DialogFooter>
+            <Button variant="ghost" onClick={() => setOpen(false)} disabled={running} className="text-white/50">
+              Cancel
+            </Button>
+            <Button onClick={handleUndo} disabled={running} className="bg-amber-500 hover:bg-amber-400 text-black font-bold">
+              {running ? <Loader2 className="w-4 h-4 animate-spin" /> : "Undo"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
+
+/**
+ * What a dry-run call would have sent: method and URL (or MCP tool), headers
+ * with credentials already masked server-side, and the body.
+ */
+function SimulatedRequest({ request }) {
+  const isMcp = request.method === "MCP";
+  const body = isMcp ? request.arguments : request.body;
+  const headers = Object.entries(request.headers || {});
+
+  return (
+    <div className="mt-3 border-t border-white/5 pt-2">
+      <div className="text-[10px] text-amber-400/80 mb-2">Would have sent</div>
+      <div className="rounded border border-amber-500/20 bg-amber-500/5 p-2 space-y-2">
+        <div className="flex items-center gap-2 text-white/70 break-all">
+          <span className="font-bold text-amber-400">{request.method}</span>
+          <span>{isMcp ? request.tool : request.url}</span>
+        </div>
+        {headers.length > 0 && (
+          <div className="space-y-0.5">
+            {headers.map(([name, value]) => (
+              <div key={name} className="text-[10px] break-all">
+                <span className="text-white/30">{name}:</span>{" "}
+                <span className="text-white/50">{String(value)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        {body !== undefined && body !== null && (
+          <pre className="text-[10px] text-white/60 whitespace-pre-wrap break-all max-h-64 overflow-auto">
+            {typeof body === "string" ? body : JSON.stringify(body, null, 2)}
+          </pre>
+        )}
+      </div>
+    </div>
+  );
+}
+
 /**
  * Unwrap MCP format: { content: [{ type: "text", text: "..." }], isError: false }
  */
@@ -10,6 +10,8 @@ export function AuthenticatedNav() {
   const navLinks = [
     { href: "/chat", label: "Chat" },
     { href: "/routines", label: "Routines" },
+    { href: "/approvals", label: "Approvals" },
+    { href: "/activity", label: "Activity" },
     { href: "/settings", label: "Settings" },
   ];
 
@@ -0,0 +1,117 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Input } from "@/components/ui/input";
+import { Loader2, Search, Sparkles, Plus, Workflow } from "lucide-react";
+import { RoutineImportDialog } from "@/components/routines/routine-import-dialog";
+
+/**
+ * Starter routines that templates ship (GET /api/routines/gallery). Picking
+ * one checks it against the connected APIs before it is added.
+ * `onImported(routine)` gets each routine added.
+ */
+export function RoutineGallery({ onImported }) {
+  const [routines, setRoutines] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState("");
+  const [picked, setPicked] = useState(null);
+
+  useEffect(() => {
+    loadGallery();
+  }, []);
+
+  const loadGallery = async () => {
+    setLoading(true);
+    try {
+      const res = await fetch("/api/routines/gallery");
+      if (res.ok) {
+        const data = await res.json();
+        setRoutines(data.routines || []);
+      }
+    } catch (err) {
+      console.error("Failed to load routine gallery:", err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const filtered = routines.filter((r) => {
+    if (!search) return true;
+    const q = search.toLowerCase();
+    return (
+      r.name.toLowerCase().includes(q) ||
+      r.description?.toLowerCase().includes(q) ||
+      r.template.name.toLowerCase().includes(q)
+    );
+  });
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-white/30" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-white/30" />
+        <Input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search starter routines..."
+          className="bg-white/5 border-white/10 pl-10 text-white placeholder:text-white/30"
+        />
+      </div>
+
+      {filtered.length === 0 ? (
+        <p className="text-center py-8 text-sm text-white/40">No starter routines found.</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {filtered.map((routine) => {
+            const paramCount = Object.keys(routine.parameters || {}).length;
+            return (
+              <button
+                key={routine.id}
+                onClick={() => setPicked(routine.id)}
+                className="group relative p-4 bg-white/[0.02] border border-white/5 rounded-xl hover:border-cyan-500/30 hover:bg-white/[0.04] transition-all text-left"
+              >
+                <div className="flex items-center gap-2 mb-1">
+                  <span className="text-cyan-400 font-mono text-sm truncate">/{routine.name}</span>
+                  {routine.mode === "deterministic" && (
+                    <Workflow className="w-3 h-3 text-cyan-400/60 shrink-0" />
+                  )}
+                  <Plus className="w-4 h-4 ml-auto text-white/20 group-hover:text-cyan-400 transition-colors shrink-0" />
+                </div>
+                {routine.description && (
+                  <p className="text-white/50 text-xs line-clamp-2 mb-2">{routine.description}</p>
+                )}
+                <div className="flex items-center gap-2 text-[10px] text-white/30">
+                  <span className="px-1.5 py-0.5 rounded bg-white/5 text-white/50">{routine.template.name}</span>
+                  <span>{routine.tools?.length || 0} tools</span>
+                  {paramCount > 0 && <span>{paramCount} param{paramCount !== 1 ? "s" : ""}</span>}
+                  {routine.ready === false && (
+                    <span className="ml-auto text-amber-400/70">Connect {routine.template.name} first</span>
+                  )}
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <p className="flex items-center justify-center gap-1.5 text-[11px] text-white/30">
+        <Sparkles className="w-3 h-3" />
+        Starter routines come with the integrations in the catalog.
+      </p>
+
+      <RoutineImportDialog
+        open={Boolean(picked)}
+        onOpenChange={(open) => !open && setPicked(null)}
+        gallery={picked}
+        onImported={onImported}
+      />
+    </div>
+  );
+}
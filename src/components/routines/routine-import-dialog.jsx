@@ -0,0 +1,260 @@
+"use client";
+
+import { useState, useEffect, useRef } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Loader2, Upload, AlertTriangle, Check } from "lucide-react";
+import { toast } from "sonner";
+
+/**
+ * Import an exported routine (pasted or from a file), or add a starter
+ * routine from the gallery (`gallery` is its id). The import is checked
+ * first: which tools were found in this org, which are missing and what
+ * that changes. `onImported(routine)` gets the new routine.
+ */
+export function RoutineImportDialog({ open, onOpenChange, gallery = null, onImported }) {
+  const [text, setText] = useState("");
+  const [name, setName] = useState("");
+  const [check, setCheck] = useState(null); // { preview, missing, changes }
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setText("");
+    setName("");
+    setCheck(null);
+    setError(null);
+    if (gallery) runCheck({ gallery });
+  }, [open, gallery]);
+
+  // What to import: the gallery routine, or the pasted JSON
+  const source = () => {
+    if (gallery) return { gallery };
+    try {
+      return { routine: JSON.parse(text) };
+    } catch {
+      setError("Not valid JSON");
+      return null;
+    }
+  };
+
+  const runCheck = async (what, rename) => {
+    setChecking(true);
+    setError(null);
+    try {
+      const res = await fetch("/api/routines/import", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...what, name: rename || undefined, dry_run: true }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setCheck(null);
+        setError(data.error || "Failed to check routine");
+        return;
+      }
+      setCheck(data);
+      if (!rename) setName(data.preview.name);
+    } catch {
+      setError("Failed to check routine");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      setText(event.target.result);
+      setCheck(null);
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  const handleCheck = () => {
+    const what = source();
+    if (what) runCheck(what);
+  };
+
+  // The new name may be taken too
+  const handleRename = () => {
+    const what = name.trim() && name !== check?.preview.name && source();
+    if (what) runCheck(what, name);
+  };
+
+  const handleImport = async () => {
+    const what = source();
+    if (!what) return;
+    setImporting(true);
+    try {
+      const res = await fetch("/api/routines/import", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...what, name }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Failed to import routine");
+        return;
+      }
+      if (data.missing.length > 0) {
+        toast.warning(`Added /${data.routine.name} without ${data.missing.length} missing tool${data.missing.length !== 1 ? "s" : ""}`);
+      } else {
+        toast.success(`Added /${data.routine.name}`);
+      }
+      onImported?.(data.routine);
+      onOpenChange(false);
+    } catch {
+      setError("Failed to import routine");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-[#0a0a0f] border-white/10 text-white sm:max-w-lg max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Upload className="w-5 h-5 text-cyan-400" />
+            {gallery ? "Add Starter Routine" : "Import Routine"}
+          </DialogTitle>
+          <DialogDescription className="text-white/50">
+            Tools are matched to the APIs connected in this workspace.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          {!gallery && (
+            <div className="space-y-2">
+              <textarea
+                value={text}
+                onChange={(e) => {
+                  setText(e.target.value);
+                  setCheck(null);
+                }}
+                placeholder='Paste an exported routine ({ "format": "actionchat.routine", … })'
+                className="w-full h-40 px-3 py-2 rounded-md bg-white/5 border border-white/10 text-white text-xs font-mono placeholder:text-white/30 focus:outline-none focus:border-cyan-500/50 resize-none"
+              />
+              <div className="flex items-center gap-2">
+                <input ref={fileRef} type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => fileRef.current?.click()}
+                  className="border-white/10 text-white/70 hover:bg-white/5"
+                >
+                  Choose file
+                </Button>
+                <Button
+                  size="sm"
+                  onClick={handleCheck}
+                  disabled={!text.trim() || checking}
+                  className="ml-auto bg-white/10 hover:bg-white/15 text-white"
+                >
+                  {checking && <Loader2 className="w-3 h-3 animate-spin mr-1" />}
+                  Check
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {error && <p className="text-xs text-red-400">{error}</p>}
+
+          {checking && gallery && (
+            <div className="flex justify-center py-6">
+              <Loader2 className="w-5 h-5 animate-spin text-white/40" />
+            </div>
+          )}
+
+          {check && (
+            <div className="space-y-3">
+              <div>
+                <label className="block text-sm font-medium text-white/70 mb-1">Name</label>
+                <div className="flex items-center gap-1">
+                  <span className="text-cyan-400 font-mono">/</span>
+                  <Input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onBlur={handleRename}
+                    className="bg-white/5 border-white/10 text-white font-mono"
+                  />
+                </div>
+                {check.preview.name_taken && (
+                  <p className="text-[11px] text-amber-400/80 mt-1">
+                    A routine with this name exists; choose another name.
+                  </p>
+                )}
+                {check.preview.description && (
+                  <p className="text-xs text-white/50 mt-2">{check.preview.description}</p>
+                )}
+              </div>
+
+              {check.preview.tools.length > 0 && (
+                <div>
+                  <div className="text-xs text-white/50 mb-1">Tools found</div>
+                  <ul className="space-y-0.5">
+                    {check.preview.tools.map((tool, i) => (
+                      <li key={i} className="flex items-center gap-1.5 text-xs text-white/70">
+                        <Check className="w-3 h-3 text-green-400" />
+                        {tool}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {check.missing.length > 0 && (
+                <div className="p-3 rounded-md bg-amber-500/10 border border-amber-500/20 space-y-2">
+                  <div className="flex items-center gap-1.5 text-xs font-medium text-amber-300">
+                    <AlertTriangle className="w-3.5 h-3.5" />
+                    Missing tools
+                  </div>
+                  <ul className="space-y-0.5">
+                    {check.missing.map((tool, i) => (
+                      <li key={i} className="text-xs text-white/60">
+                        <span className="font-mono text-white/80">{tool.name || tool.operation_id || `${tool.method} ${tool.path}`}</span>
+                        {" — "}
+                        {tool.reason}
+                      </li>
+                    ))}
+                  </ul>
+                  {check.changes.map((change, i) => (
+                    <p key={i} className="text-[11px] text-amber-200/70">{change}</p>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-2 pt-2">
+            <Button variant="ghost" onClick={() => onOpenChange(false)} className="text-white/70 hover:bg-white/5">
+              Cancel
+            </Button>
+            <Button
+              onClick={handleImport}
+              disabled={!check || check.preview.name_taken || !name.trim() || importing || checking}
+              className="bg-cyan-500 hover:bg-cyan-400 text-black"
+            >
+              {importing && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+              {check?.missing.length > 0 ? "Import anyway" : "Import"}
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,212 @@
+"use client";
+
+import { useState, useEffect, useRef } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Loader2, Play, Zap } from "lucide-react";
+import { parameterFormFields, checkRoutineParams, lookupOptions } from "@/lib/routines/parameters";
+
+const INPUT_TYPES = { number: "number", integer: "number", email: "email", date: "date" };
+
+const initialValues = (fields) =>
+  Object.fromEntries(fields.map((field) => [field.name, field.default ?? (field.type === "boolean" ? false : "")]));
+
+/**
+ * Search an entity parameter's lookup tool from the app: the tool runs
+ * like a slash command, with the signed-in user's credentials.
+ */
+export async function lookupWithTool(field, query) {
+  const res = await fetch("/api/tools/execute", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      toolId: field.lookup.tool_id,
+      params: field.lookup.search_param ? { [field.lookup.search_param]: query } : {},
+    }),
+  });
+  const data = await res.json();
+  if (!res.ok || data.result?.error) throw new Error(data.error || data.result?.error || "Lookup failed");
+  return lookupOptions(data.result?.body, field.lookup);
+}
+
+// Text input that suggests IDs from the lookup tool as you type
+function EntityInput({ field, value, onChange, onLookup, invalid }) {
+  const [query, setQuery] = useState(value || "");
+  const [options, setOptions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const timer = useRef(null);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  const search = (text) => {
+    setQuery(text);
+    onChange(text);
+    clearTimeout(timer.current);
+    if (!onLookup || text.trim().length < 2) {
+      setOptions([]);
+      return;
+    }
+    timer.current = setTimeout(async () => {
+      setSearching(true);
+      try {
+        setOptions(await onLookup(field, text.trim()));
+        setOpen(true);
+      } catch {
+        setOptions([]);
+      } finally {
+        setSearching(false);
+      }
+    }, 300);
+  };
+
+  return (
+    <div className="relative">
+      <Input
+        value={query}
+        onChange={(e) => search(e.target.value)}
+        onFocus={() => options.length && setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        placeholder={field.lookup?.search_param ? `Search by ${field.lookup.search_param}` : "ID"}
+        className={`bg-white/5 border-white/10 text-white ${invalid ? "border-red-500/60" : ""}`}
+      />
+      {searching && <Loader2 className="absolute right-2 top-2.5 w-4 h-4 animate-spin text-white/30" />}
+      {open && options.length > 0 && (
+        <ul className="absolute z-50 mt-1 w-full max-h-48 overflow-y-auto rounded-md border border-white/10 bg-[#0d0d12] shadow-xl">
+          {options.map((option) => (
+            <li
+              key={option.value}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                setQuery(option.value);
+                onChange(option.value);
+                setOpen(false);
+              }}
+              className="px-3 py-1.5 text-xs cursor-pointer hover:bg-white/5"
+            >
+              <span className="text-white/80">{option.label}</span>
+              {option.label !== option.value && <span className="ml-2 font-mono text-white/30">{option.value}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * The form for a routine's parameters, generated from routines.parameters.
+ * Values are checked with the same rules the server runs them with before
+ * `onSubmit(params)` gets them. `onLookup(field, query)` finds options for
+ * entity fields (lookupWithTool in the app; the embed widget has its own).
+ * Render it with `key={routine.id}` so another routine starts from a fresh form.
+ */
+export function RoutineParamsForm({ routine, onSubmit, onLookup = lookupWithTool, busy = false, submitLabel = "Run", submitClassName, submitStyle }) {
+  const fields = parameterFormFields(routine?.parameters);
+  const [values, setValues] = useState(() => initialValues(fields));
+  const [errors, setErrors] = useState({});
+
+  const setValue = (name, value) => {
+    setValues((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { params, errors: found } = checkRoutineParams(routine.parameters, values);
+    setErrors(found);
+    if (Object.keys(found).length === 0) onSubmit(params);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {fields.map((field) => (
+        <div key={field.name}>
+          <label className="block text-sm font-medium text-white/70 mb-1">
+            {field.label}
+            {field.required && <span className="text-red-400/80 ml-0.5">*</span>}
+          </label>
+          {field.type === "boolean" ? (
+            <Switch checked={values[field.name] === true} onCheckedChange={(checked) => setValue(field.name, checked)} />
+          ) : field.type === "enum" ? (
+            <Select value={values[field.name] === "" ? undefined : String(values[field.name])} onValueChange={(value) => setValue(field.name, value)}>
+              <SelectTrigger className={`bg-white/5 border-white/10 text-white ${errors[field.name] ? "border-red-500/60" : ""}`}>
+                <SelectValue placeholder="Choose…" />
+              </SelectTrigger>
+              <SelectContent>
+                {field.options.map((option) => (
+                  <SelectItem key={String(option)} value={String(option)}>{String(option)}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          ) : field.type === "entity" ? (
+            <EntityInput
+              field={field}
+              value={values[field.name]}
+              onChange={(value) => setValue(field.name, value)}
+              onLookup={onLookup}
+              invalid={Boolean(errors[field.name])}
+            />
+          ) : (
+            <Input
+              type={INPUT_TYPES[field.type] || "text"}
+              step={field.type === "integer" ? 1 : field.type === "number" ? "any" : undefined}
+              value={values[field.name]}
+              onChange={(e) => setValue(field.name, e.target.value)}
+              className={`bg-white/5 border-white/10 text-white ${errors[field.name] ? "border-red-500/60" : ""}`}
+            />
+          )}
+          {errors[field.name] ? (
+            <p className="text-[11px] text-red-400/80 mt-1">{errors[field.name]}</p>
+          ) : field.description ? (
+            <p className="text-[11px] text-white/40 mt-1">{field.description}</p>
+          ) : null}
+        </div>
+      ))}
+
+      <div className="flex justify-end pt-2">
+        <Button type="submit" disabled={busy} style={submitStyle} className={submitClassName || "bg-cyan-500 hover:bg-cyan-400 text-black"}>
+          {busy ? <Loader2 className="w-4 h-4 animate-spin mr-2" /> : <Play className="w-4 h-4 mr-2" />}
+          {submitLabel}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * RoutineParamsForm in a dialog, for a routine picked from the "/" menu.
+ */
+export function RoutineParamsDialog({ routine, open, onOpenChange, onSubmit, busy }) {
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-[#0a0a0f] border-white/10 text-white sm:max-w-md max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Zap className="w-5 h-5 text-cyan-400" />
+            /{routine?.name}
+          </DialogTitle>
+          {routine?.description && (
+            <DialogDescription className="text-white/50">{routine.description}</DialogDescription>
+          )}
+        </DialogHeader>
+        {routine && <RoutineParamsForm key={routine.id} routine={routine} onSubmit={onSubmit} busy={busy} />}
+      </DialogContent>
+    </Dialog>
+  );
+}
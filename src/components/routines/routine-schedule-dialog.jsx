@@ -0,0 +1,340 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Loader2, Play, Check, X, CalendarClock } from "lucide-react";
+import { toast } from "sonner";
+import { nextCronRun, parseCron, isValidTimezone } from "@/lib/schedules/cron";
+
+const RUN_STATUS_STYLES = {
+  completed: { icon: Check, className: "text-green-400" },
+  failed: { icon: X, className: "text-red-400" },
+  running: { icon: Loader2, className: "text-white/40 animate-spin" },
+};
+
+const localTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+function toForm(routine) {
+  const schedule = routine?.schedule;
+  return {
+    cron: schedule?.cron || "0 9 * * 1-5",
+    timezone: schedule?.timezone || localTimezone(),
+    enabled: schedule ? schedule.enabled !== false : true,
+    agent_id: schedule?.agent_id || "",
+    run_as: schedule?.run_as || "owner",
+    params: JSON.stringify(schedule?.params || {}, null, 2),
+    deliver_to: schedule?.deliver_to || ["chat"],
+  };
+}
+
+/**
+ * Schedule settings for a routine (cron, timezone, agent, identity,
+ * delivery) with its run history and Run now. `onSaved(routine)` gets the
+ * updated routine.
+ */
+export function RoutineScheduleDialog({ routine, open, onOpenChange, onSaved }) {
+  const [form, setForm] = useState(() => toForm(routine));
+  const [agents, setAgents] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [running, setRunning] = useState(false);
+
+  useEffect(() => {
+    if (!open || !routine) return;
+    setForm(toForm(routine));
+    fetch("/api/agents")
+      .then((res) => (res.ok ? res.json() : { agents: [] }))
+      .then((data) => setAgents(data.agents || []))
+      .catch(() => setAgents([]));
+    loadRuns();
+  }, [open, routine?.id]);
+
+  const loadRuns = async () => {
+    if (!routine) return;
+    try {
+      const res = await fetch(`/api/routines/${routine.id}/schedule-runs`);
+      if (res.ok) setRuns((await res.json()).runs || []);
+    } catch {
+      setRuns([]);
+    }
+  };
+
+  const { error: cronError } = parseCron(form.cron);
+  const timezoneError = isValidTimezone(form.timezone) ? null : `Unknown timezone: ${form.timezone}`;
+  const nextRun = !cronError && !timezoneError ? nextCronRun(form.cron, form.timezone) : null;
+
+  const toggleDelivery = (target) => {
+    setForm((prev) => ({
+      ...prev,
+      deliver_to: prev.deliver_to.includes(target)
+        ? prev.deliver_to.filter((d) => d !== target)
+        : [...prev.deliver_to, target],
+    }));
+  };
+
+  const save = async (schedule) => {
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/routines/${routine.id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ schedule }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error || "Failed to save schedule");
+        return;
+      }
+      toast.success(schedule ? "Schedule saved" : "Schedule removed");
+      onSaved?.(data.routine);
+      if (!schedule) onOpenChange(false);
+    } catch {
+      toast.error("Failed to save schedule");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    let params;
+    try {
+      params = JSON.parse(form.params || "{}");
+    } catch {
+      toast.error("Parameters must be valid JSON");
+      return;
+    }
+    save({
+      cron: form.cron,
+      timezone: form.timezone,
+      enabled: form.enabled,
+      agent_id: form.agent_id,
+      run_as: form.run_as,
+      params,
+      deliver_to: form.deliver_to,
+    });
+  };
+
+  const handleRunNow = async () => {
+    setRunning(true);
+    try {
+      const res = await fetch(`/api/routines/${routine.id}/schedule-runs`, { method: "POST" });
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error || "Failed to run routine");
+      } else if (data.run.status === "failed") {
+        toast.error(data.run.error || "The run failed");
+      } else {
+        toast.success("Routine ran");
+      }
+      loadRuns();
+    } catch {
+      toast.error("Failed to run routine");
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const canSave = !cronError && !timezoneError && form.agent_id && form.deliver_to.length > 0;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-[#0a0a0f] border-white/10 text-white sm:max-w-lg max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <CalendarClock className="w-5 h-5 text-cyan-400" />
+            Schedule /{routine?.name}
+          </DialogTitle>
+          <DialogDescription className="text-white/50">
+            Run this routine on a schedule and deliver the result to a chat or webhook
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-white/70 mb-1">Cron</label>
+              <Input
+                value={form.cron}
+                onChange={(e) => setForm({ ...form, cron: e.target.value })}
+                className="bg-white/5 border-white/10 text-white font-mono"
+                placeholder="0 9 * * 1-5"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-white/70 mb-1">Timezone</label>
+              <Input
+                value={form.timezone}
+                onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+                className="bg-white/5 border-white/10 text-white"
+                placeholder="America/New_York"
+              />
+            </div>
+          </div>
+          <p className={`text-[10px] -mt-2 ${cronError || timezoneError ? "text-red-400/80" : "text-white/40"}`}>
+            {cronError || timezoneError || (nextRun ? `Next run: ${nextRun.toLocaleString()}` : "Never runs")}
+          </p>
+
+          <div>
+            <label className="block text-sm font-medium text-white/70 mb-1">Agent</label>
+            <Select value={form.agent_id} onValueChange={(value) => setForm({ ...form, agent_id: value })}>
+              <SelectTrigger className="bg-white/5 border-white/10 text-white">
+                <SelectValue placeholder="Choose the agent that runs it" />
+              </SelectTrigger>
+              <SelectContent>
+                {agents.map((agent) => (
+                  <SelectItem key={agent.id} value={agent.id}>{agent.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-white/70 mb-1">Run as</label>
+            <div className="flex gap-2">
+              {[
+                { value: "owner", label: "Me", hint: "Your credentials and role" },
+                { value: "service", label: "Service identity", hint: "The org's shared credentials (admins only)" },
+              ].map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => setForm({ ...form, run_as: option.value })}
+                  title={option.hint}
+                  className={`px-3 py-1.5 rounded-md text-xs border transition-colors cursor-pointer ${
+                    form.run_as === option.value
+                      ? "bg-cyan-500/20 border-cyan-500/40 text-cyan-300"
+                      : "bg-white/5 border-white/10 text-white/50 hover:text-white/80"
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {Object.keys(routine?.parameters || {}).length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-white/70 mb-1">Parameters</label>
+              <textarea
+                value={form.params}
+                onChange={(e) => setForm({ ...form, params: e.target.value })}
+                className="w-full h-24 bg-white/5 border border-white/10 rounded-md px-3 py-2 text-white text-xs font-mono resize-none focus:outline-none focus:border-cyan-500"
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-white/70 mb-1">Deliver to</label>
+            <div className="flex gap-2">
+              {[
+                { value: "chat", label: "Chat", hint: "A chat with each run's result" },
+                { value: "webhook", label: "Webhook", hint: "The routine.scheduled_run event (Settings → Webhooks)" },
+              ].map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => toggleDelivery(option.value)}
+                  title={option.hint}
+                  className={`px-3 py-1.5 rounded-md text-xs border transition-colors cursor-pointer ${
+                    form.deliver_to.includes(option.value)
+                      ? "bg-cyan-500/20 border-cyan-500/40 text-cyan-300"
+                      : "bg-white/5 border-white/10 text-white/50 hover:text-white/80"
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between">
+            <label className="text-sm font-medium text-white/70">Enabled</label>
+            <Switch checked={form.enabled} onCheckedChange={(checked) => setForm({ ...form, enabled: checked })} />
+          </div>
+
+          <div className="flex justify-between gap-2 pt-2">
+            <div className="flex gap-2">
+              {routine?.schedule && (
+                <>
+                  <Button
+                    variant="outline"
+                    onClick={handleRunNow}
+                    disabled={running || saving}
+                    className="border-white/10 text-white/70 hover:bg-white/5"
+                  >
+                    {running ? <Loader2 className="w-4 h-4 animate-spin mr-2" /> : <Play className="w-4 h-4 mr-2" />}
+                    Run now
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    onClick={() => save(null)}
+                    disabled={saving}
+                    className="text-red-400/80 hover:text-red-400"
+                  >
+                    Remove
+                  </Button>
+                </>
+              )}
+            </div>
+            <Button
+              onClick={handleSave}
+              disabled={saving || !canSave}
+              className="bg-cyan-500 hover:bg-cyan-400 text-black"
+            >
+              {saving && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+              Save Schedule
+            </Button>
+          </div>
+
+          {runs.length > 0 && (
+            <div className="pt-2 border-t border-white/10">
+              <h3 className="text-xs font-medium text-white/50 uppercase tracking-wide mb-2">Run history</h3>
+              <ol className="space-y-2">
+                {runs.map((run) => {
+                  const style = RUN_STATUS_STYLES[run.status] || RUN_STATUS_STYLES.running;
+                  const Icon = style.icon;
+                  return (
+                    <li key={run.id} className="text-xs">
+                      <div className="flex items-center gap-2">
+                        <Icon className={`w-3.5 h-3.5 shrink-0 ${style.className}`} />
+                        <span className="text-white/70">{new Date(run.started_at).toLocaleString()}</span>
+                        {run.trigger === "manual" && <span className="text-white/30">run now</span>}
+                        {run.fallback_reason && <span className="text-yellow-400/70">handed to the assistant</span>}
+                        {run.chat_id && (
+                          <a href={`/chat/${run.chat_id}`} className="ml-auto text-cyan-400/80 hover:text-cyan-300">
+                            Open chat
+                          </a>
+                        )}
+                      </div>
+                      {(run.error || run.output) && (
+                        <p className={`ml-5 mt-0.5 line-clamp-3 whitespace-pre-wrap ${run.error ? "text-red-400/80" : "text-white/40"}`}>
+                          {run.error || run.output}
+                        </p>
+                      )}
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
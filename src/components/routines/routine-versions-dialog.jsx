@@ -0,0 +1,200 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Loader2, History, RotateCcw } from "lucide-react";
+import { toast } from "sonner";
+
+const FIELD_LABELS = {
+  prompt: "Prompt",
+  description: "Description",
+  parameters: "Parameters",
+  tool_chain: "Tool chain",
+  tool_chain_names: "Tools",
+  mode: "Mode",
+  steps: "Steps",
+};
+
+const LINE_STYLES = {
+  add: "bg-green-500/10 text-green-300",
+  remove: "bg-red-500/10 text-red-300",
+  equal: "text-white/40",
+};
+
+const LINE_MARKS = { add: "+", remove: "-", equal: " " };
+
+/**
+ * A routine's versions (author, time, confidence), what each one changed
+ * from the version before it, and rollback for the routine's creator.
+ * `onPublished(version)` gets the version number that is now published.
+ */
+export function RoutineVersionsDialog({ routine, open, onOpenChange, onPublished }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [diff, setDiff] = useState(null); // { compare, fields }
+  const [publishing, setPublishing] = useState(false);
+
+  useEffect(() => {
+    if (!open || !routine) return;
+    setSelected(null);
+    setDiff(null);
+    loadVersions();
+  }, [open, routine?.id]);
+
+  const loadVersions = async () => {
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/routines/${routine.id}/versions`);
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error || "Failed to load versions");
+        return;
+      }
+      setVersions(data.versions || []);
+      if (data.versions?.length) showDiff(data.versions[0].version);
+    } catch {
+      toast.error("Failed to load versions");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showDiff = async (version) => {
+    setSelected(version);
+    setDiff(null);
+    try {
+      const res = await fetch(`/api/routines/${routine.id}/versions/${version}`);
+      const data = await res.json();
+      if (res.ok) setDiff({ compare: data.compare, fields: data.diff || [] });
+    } catch {
+      setDiff({ compare: null, fields: [] });
+    }
+  };
+
+  const handleRollback = async (version) => {
+    setPublishing(true);
+    try {
+      const res = await fetch(`/api/routines/${routine.id}/versions/${version}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ action: "publish" }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        toast.error(data.error || "Failed to roll back");
+        return;
+      }
+      toast.success(`Rolled back to version ${data.published}`);
+      setVersions((prev) => prev.map((v) => ({ ...v, is_published: v.version === data.published })));
+      onPublished?.(data.published);
+    } catch {
+      toast.error("Failed to roll back");
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-[#0a0a0f] border-white/10 text-white sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <History className="w-5 h-5 text-cyan-400" />
+            History of /{routine?.name}
+          </DialogTitle>
+          <DialogDescription className="text-white/50">
+            Every edit is a version with its own confidence. Rolling back publishes an older version again.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="w-5 h-5 animate-spin text-white/40" />
+          </div>
+        ) : (
+          <div className="space-y-4 py-2">
+            <ol className="space-y-1">
+              {versions.map((v) => (
+                <li
+                  key={v.version}
+                  onClick={() => showDiff(v.version)}
+                  className={`flex items-center gap-3 px-3 py-2 rounded-md text-xs border cursor-pointer transition-colors ${
+                    selected === v.version ? "bg-white/5 border-white/20" : "border-transparent hover:bg-white/[0.03]"
+                  }`}
+                >
+                  <span className="font-mono text-cyan-400">v{v.version}</span>
+                  {v.is_published && (
+                    <span className="px-1.5 py-0.5 text-[10px] rounded bg-green-500/20 text-green-400 border border-green-500/30">
+                      Published
+                    </span>
+                  )}
+                  <span className="text-white/60">{v.author || "Unknown"}</span>
+                  <span className="text-white/30">{new Date(v.created_at).toLocaleString()}</span>
+                  <span
+                    className="ml-auto text-white/40"
+                    title={`${v.success_count} succeeded, ${v.failure_count} failed`}
+                  >
+                    {v.confidence}% confidence
+                  </span>
+                  {routine?.is_mine && !v.is_published && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleRollback(v.version);
+                      }}
+                      disabled={publishing}
+                      className="h-6 px-2 text-[11px] border-white/10 text-white/70 hover:bg-white/5"
+                    >
+                      <RotateCcw className="w-3 h-3 mr-1" />
+                      Roll back
+                    </Button>
+                  )}
+                </li>
+              ))}
+            </ol>
+
+            {selected !== null && (
+              <div className="pt-2 border-t border-white/10">
+                <h3 className="text-xs font-medium text-white/50 uppercase tracking-wide mb-2">
+                  {diff?.compare ? `Changes in v${selected} since v${diff.compare}` : `v${selected}`}
+                </h3>
+                {!diff ? (
+                  <Loader2 className="w-4 h-4 animate-spin text-white/40" />
+                ) : !diff.compare ? (
+                  <p className="text-xs text-white/40">The first version, nothing to compare with.</p>
+                ) : diff.fields.length === 0 ? (
+                  <p className="text-xs text-white/40">No changes.</p>
+                ) : (
+                  <div className="space-y-3">
+                    {diff.fields.map(({ field, lines }) => (
+                      <div key={field}>
+                        <div className="text-xs text-white/60 mb-1">{FIELD_LABELS[field] || field}</div>
+                        <pre className="text-[11px] font-mono rounded-md border border-white/10 overflow-x-auto">
+                          {lines.map((line, i) => (
+                            <div key={i} className={`px-2 whitespace-pre-wrap ${LINE_STYLES[line.op]}`}>
+                              {LINE_MARKS[line.op]} {line.text}
+                            </div>
+                          ))}
+                        </pre>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
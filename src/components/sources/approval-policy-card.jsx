@@ -0,0 +1,188 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Loader2, Users, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { APPROVER_ROLES, APPROVER_ACCESS_LEVELS, validateApprovalPolicy, describeApprovers } from "@/lib/tools/approval-policy";
+
+const ANY = "none";
+
+const ROLE_LABELS = { member: "Any other member", admin: "Admins and owners", owner: "Owners" };
+const ACCESS_LABELS = { viewer: "Anyone with access to the agent", operator: "Operators of the agent" };
+
+/**
+ * Admin card for second-person approval: per tool, who other than the
+ * requester must approve its calls (by org role or agent access level).
+ * Those calls wait on the Approvals page instead of being confirmed in chat.
+ */
+export function ApprovalPolicyCard({ source, tools, onSaved }) {
+  const [policy, setPolicy] = useState(() => source?.approval_policy || {});
+  const [toolId, setToolId] = useState("");
+  const [role, setRole] = useState("admin");
+  const [accessLevel, setAccessLevel] = useState(ANY);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setPolicy(source?.approval_policy || {});
+  }, [source?.id, source?.approval_policy]);
+
+  if (!source?.can_edit || source.source_type === "mcp" || !tools?.length) return null;
+
+  const toolName = (id) => tools.find((t) => t.id === id)?.name || id;
+
+  const handleAdd = () => {
+    if (!toolId) {
+      toast.error("Choose a tool");
+      return;
+    }
+    const route = {};
+    if (role !== ANY) route.role = role;
+    if (accessLevel !== ANY) route.access_level = accessLevel;
+    if (!route.role && !route.access_level) {
+      toast.error("Choose who can approve");
+      return;
+    }
+    setPolicy((prev) => ({ ...prev, [toolId]: route }));
+  };
+
+  const handleRemove = (id) => {
+    setPolicy((prev) => {
+      const { [id]: _removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const handleSave = async () => {
+    const { policy: normalized, error } = validateApprovalPolicy(policy);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/sources/${source.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ approval_policy: normalized }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success("Approval rules saved");
+        onSaved?.({ approval_policy: data.source.approval_policy });
+      } else {
+        toast.error(data.error || "Failed to save");
+      }
+    } catch {
+      toast.error("Failed to save approval rules");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const entries = Object.entries(policy);
+
+  return (
+    <Card className="bg-white/5 border-white/10 mt-6">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Users className="h-5 w-5" />
+          Second Approval
+        </CardTitle>
+        <CardDescription className="text-white/40">
+          Calls of these {source.name} tools wait on the Approvals page until someone other than the requester
+          approves them. They run with the requester&apos;s credentials.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {entries.length === 0 ? (
+          <p className="text-xs text-white/30">No tools need a second approval.</p>
+        ) : (
+          <div className="space-y-2">
+            {entries.map(([id, route]) => (
+              <div key={id} className="flex items-center gap-2 rounded-lg border border-white/10 px-3 py-2">
+                <span className="text-sm text-white/80">{toolName(id)}</span>
+                <span className="text-xs text-white/40">approved by {describeApprovers(route)}</span>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => handleRemove(id)}
+                  className="ml-auto text-white/40 hover:text-red-400"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          <div className="space-y-2">
+            <Label className="text-white/70 text-xs">Tool</Label>
+            <Select value={toolId} onValueChange={setToolId}>
+              <SelectTrigger className="bg-white/5 border-white/10">
+                <SelectValue placeholder="Choose a tool" />
+              </SelectTrigger>
+              <SelectContent>
+                {tools.map((tool) => (
+                  <SelectItem key={tool.id} value={tool.id}>{tool.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label className="text-white/70 text-xs">By role</Label>
+            <Select value={role} onValueChange={setRole}>
+              <SelectTrigger className="bg-white/5 border-white/10">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ANY}>No role requirement</SelectItem>
+                {APPROVER_ROLES.map((r) => (
+                  <SelectItem key={r} value={r}>{ROLE_LABELS[r]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label className="text-white/70 text-xs">Or by agent access</Label>
+            <Select value={accessLevel} onValueChange={setAccessLevel}>
+              <SelectTrigger className="bg-white/5 border-white/10">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ANY}>No access requirement</SelectItem>
+                {APPROVER_ACCESS_LEVELS.map((level) => (
+                  <SelectItem key={level} value={level}>{ACCESS_LABELS[level]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <Button variant="outline" onClick={handleAdd} className="border-white/10">
+            {policy[toolId] ? "Update Tool" : "Add Tool"}
+          </Button>
+          <Button
+            onClick={handleSave}
+            disabled={saving}
+            className="bg-blue-500 hover:bg-blue-400 text-white font-bold"
+          >
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : "Save Approval Rules"}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
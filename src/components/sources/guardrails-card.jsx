@@ -0,0 +1,241 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Loader2, ShieldAlert, Plus, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { GUARDRAIL_ACTIONS, GUARDRAIL_ROLES, validateGuardrails, describeGuardrail } from "@/lib/tools/guardrails";
+
+const CONDITIONS = [
+  { key: "max", label: "At most", placeholder: "50000" },
+  { key: "min", label: "At least", placeholder: "1" },
+  { key: "enum", label: "One of", placeholder: "active, paused" },
+  { key: "pattern", label: "Matches", placeholder: "^cus_" },
+];
+
+const ACTION_LABELS = { block: "Block", confirm: "Ask to confirm" };
+const NO_EXEMPTION = "none";
+
+// One row per rule, one condition per row
+function toRows(rules) {
+  return (rules || []).flatMap((rule) =>
+    CONDITIONS.filter(({ key }) => rule[key] !== undefined).map(({ key }) => ({
+      field: rule.field,
+      condition: key,
+      value: key === "enum" ? rule.enum.join(", ") : String(rule[key]),
+      action: rule.action || "block",
+      unless_role: rule.unless_role || NO_EXEMPTION,
+      message: rule.message || "",
+    })),
+  );
+}
+
+function fromRow(row) {
+  const rule = { field: row.field.trim(), action: row.action };
+  const value = row.value.trim();
+  if (row.condition === "enum") {
+    rule.enum = value.split(",").map((item) => item.trim()).filter(Boolean);
+  } else if (row.condition === "pattern") {
+    rule.pattern = value;
+  } else {
+    rule[row.condition] = value === "" ? NaN : Number(value);
+  }
+  if (row.unless_role !== NO_EXEMPTION) rule.unless_role = row.unless_role;
+  if (row.message.trim()) rule.message = row.message.trim();
+  return rule;
+}
+
+const emptyRow = () => ({ field: "", condition: "max", value: "", action: "block", unless_role: NO_EXEMPTION, message: "" });
+
+/**
+ * Admin card for argument guardrails: per tool, rules on argument values that
+ * block a call or ask the user to confirm it first. The model sees the rules
+ * in the tool description and the reason when a call is stopped.
+ */
+export function GuardrailsCard({ source, tools, onSaved }) {
+  const [toolId, setToolId] = useState(tools?.[0]?.id || "");
+  const [rows, setRows] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!tools?.some((t) => t.id === toolId)) setToolId(tools?.[0]?.id || "");
+  }, [tools, toolId]);
+
+  useEffect(() => {
+    setRows(toRows(source?.guardrails?.[toolId]));
+  }, [source?.id, source?.guardrails, toolId]);
+
+  if (!source?.can_edit || source.source_type === "mcp" || !tools?.length) return null;
+
+  const update = (index, changes) =>
+    setRows((prev) => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+
+  const handleSave = async () => {
+    const next = { ...(source.guardrails || {}), [toolId]: rows.map(fromRow) };
+    const { guardrails, error } = validateGuardrails(next);
+    if (error) {
+      toast.error(error.replace(`guardrails.${toolId}`, "Rule"));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/sources/${source.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ guardrails }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success("Guardrails saved");
+        onSaved?.({ guardrails: data.source.guardrails });
+      } else {
+        toast.error(data.error || "Failed to save");
+      }
+    } catch {
+      toast.error("Failed to save guardrails");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="bg-white/5 border-white/10 mt-6">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ShieldAlert className="h-5 w-5" />
+          Guardrails
+        </CardTitle>
+        <CardDescription className="text-white/40">
+          Rules on the arguments of {source.name} tools, checked before each call. A broken rule blocks the call or asks
+          the user to confirm it, and the reason is shown to the user and the model.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <Label className="text-white/70 text-xs">Tool</Label>
+          <Select value={toolId} onValueChange={setToolId}>
+            <SelectTrigger className="bg-white/5 border-white/10">
+              <SelectValue placeholder="Choose a tool" />
+            </SelectTrigger>
+            <SelectContent>
+              {tools.map((tool) => (
+                <SelectItem key={tool.id} value={tool.id}>
+                  {tool.name}
+                  {source.guardrails?.[tool.id]?.length ? ` (${source.guardrails[tool.id].length})` : ""}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {rows.length === 0 && (
+          <p className="text-xs text-white/30">No rules for this tool.</p>
+        )}
+
+        {rows.map((row, index) => {
+          const condition = CONDITIONS.find((c) => c.key === row.condition);
+          const { guardrails } = validateGuardrails({ rule: [fromRow(row)] });
+          return (
+            <div key={index} className="space-y-2 rounded-lg border border-white/10 p-3">
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                <Input
+                  value={row.field}
+                  onChange={(e) => update(index, { field: e.target.value })}
+                  placeholder="Argument (e.g. amount)"
+                  className="bg-white/5 border-white/10 font-mono text-xs"
+                />
+                <Select value={row.condition} onValueChange={(v) => update(index, { condition: v })}>
+                  <SelectTrigger className="bg-white/5 border-white/10">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {CONDITIONS.map((c) => (
+                      <SelectItem key={c.key} value={c.key}>{c.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Input
+                  value={row.value}
+                  onChange={(e) => update(index, { value: e.target.value })}
+                  placeholder={condition?.placeholder}
+                  className="bg-white/5 border-white/10 font-mono text-xs"
+                />
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                <Select value={row.action} onValueChange={(v) => update(index, { action: v })}>
+                  <SelectTrigger className="bg-white/5 border-white/10">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {GUARDRAIL_ACTIONS.map((action) => (
+                      <SelectItem key={action} value={action}>{ACTION_LABELS[action]}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Select value={row.unless_role} onValueChange={(v) => update(index, { unless_role: v })}>
+                  <SelectTrigger className="bg-white/5 border-white/10">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NO_EXEMPTION}>Applies to everyone</SelectItem>
+                    {GUARDRAIL_ROLES.filter((role) => role !== "member").map((role) => (
+                      <SelectItem key={role} value={role}>Unless {role}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <div className="flex items-center gap-2">
+                  <Input
+                    value={row.message}
+                    onChange={(e) => update(index, { message: e.target.value })}
+                    placeholder="Reason (optional)"
+                    className="bg-white/5 border-white/10 text-xs"
+                  />
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => setRows((prev) => prev.filter((_, i) => i !== index))}
+                    className="text-white/40 hover:text-red-400 shrink-0"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+              {guardrails?.rule && (
+                <p className="text-[11px] text-white/30">{describeGuardrail(guardrails.rule[0])}</p>
+              )}
+            </div>
+          );
+        })}
+
+        <div className="flex items-center gap-2">
+          <Button
+            variant="outline"
+            onClick={() => setRows((prev) => [...prev, emptyRow()])}
+            className="border-white/10"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Rule
+          </Button>
+          <Button
+            onClick={handleSave}
+            disabled={saving || !toolId}
+            className="bg-blue-500 hover:bg-blue-400 text-white font-bold"
+          >
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : "Save Guardrails"}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,188 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Loader2, Gauge, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { RATE_LIMIT_SETTINGS, DEFAULT_EMBED_MESSAGES_PER_MINUTE, validateRateLimits } from "@/lib/limits/rate-limits";
+
+const FIELDS = {
+  messages_per_minute: { label: "Messages per minute", hint: "For each user." },
+  embed_messages_per_minute: {
+    label: "Widget messages per minute",
+    hint: `For each embed visitor. ${DEFAULT_EMBED_MESSAGES_PER_MINUTE} when not set.`,
+  },
+  tokens_per_day: { label: "LLM tokens per day", hint: "Input and output. Resets at midnight UTC." },
+  calls_per_hour: { label: "Tool calls per hour", hint: "All tools of this source, for everyone together." },
+};
+
+function toForm(limits, scope) {
+  return Object.fromEntries(
+    Object.keys(RATE_LIMIT_SETTINGS)
+      .filter((key) => RATE_LIMIT_SETTINGS[key].scopes.includes(scope))
+      .map((key) => [key, limits?.[key] ? String(limits[key]) : ""])
+  );
+}
+
+/**
+ * Admin card for rate limits and quotas. Empty fields mean no limit.
+ * For the org and agents: messages per minute and daily LLM tokens; for a
+ * source (`scope="source"`, with `tools`): calls per hour overall and per tool.
+ * `onSave(limits)` persists them and resolves to true when saved.
+ */
+export function RateLimitsCard({ limits, scope, canEdit, description, tools, onSave, className = "mt-6" }) {
+  const [form, setForm] = useState(() => toForm(limits, scope));
+  const [toolLimits, setToolLimits] = useState(() => limits?.tools || {});
+  const [toolId, setToolId] = useState("");
+  const [toolPerHour, setToolPerHour] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(toForm(limits, scope));
+    setToolLimits(limits?.tools || {});
+  }, [limits, scope]);
+
+  if (!canEdit) return null;
+
+  const toolName = (id) => tools?.find((t) => t.id === id)?.name || id;
+
+  const handleAddTool = () => {
+    const perHour = Number(toolPerHour);
+    if (!toolId || !toolPerHour) {
+      toast.error("Choose a tool and a limit");
+      return;
+    }
+    setToolLimits((prev) => ({ ...prev, [toolId]: perHour }));
+    setToolPerHour("");
+  };
+
+  const handleRemoveTool = (id) => {
+    setToolLimits((prev) => {
+      const { [id]: _removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const handleSave = async () => {
+    const next = {};
+    for (const [key, value] of Object.entries(form)) {
+      if (value.trim() !== "") next[key] = Number(value);
+    }
+    if (scope === "source" && Object.keys(toolLimits).length > 0) next.tools = toolLimits;
+
+    const { limits: normalized, error } = validateRateLimits(next, scope);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (await onSave(normalized)) toast.success("Rate limits saved");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toolEntries = Object.entries(toolLimits);
+
+  return (
+    <Card className={`bg-white/5 border-white/10 ${className}`}>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Gauge className="h-5 w-5" />
+          Rate Limits
+        </CardTitle>
+        <CardDescription className="text-white/40">{description}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {Object.keys(form).map((key) => (
+            <div key={key} className="space-y-2">
+              <Label htmlFor={`limit-${scope}-${key}`} className="text-white/70 text-xs">
+                {FIELDS[key].label}
+              </Label>
+              <Input
+                id={`limit-${scope}-${key}`}
+                type="number"
+                min={RATE_LIMIT_SETTINGS[key].min}
+                max={RATE_LIMIT_SETTINGS[key].max}
+                value={form[key]}
+                onChange={(e) => setForm((prev) => ({ ...prev, [key]: e.target.value }))}
+                placeholder="No limit"
+                className="bg-white/5 border-white/10"
+              />
+              <p className="text-[11px] text-white/30">{FIELDS[key].hint}</p>
+            </div>
+          ))}
+        </div>
+
+        {scope === "source" && tools?.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-white/80">Per tool</p>
+            {toolEntries.length === 0 ? (
+              <p className="text-xs text-white/30">No per-tool limits.</p>
+            ) : (
+              toolEntries.map(([id, perHour]) => (
+                <div key={id} className="flex items-center gap-2 rounded-lg border border-white/10 px-3 py-2">
+                  <span className="text-sm text-white/80">{toolName(id)}</span>
+                  <span className="text-xs text-white/40">{perHour} calls per hour</span>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => handleRemoveTool(id)}
+                    className="ml-auto text-white/40 hover:text-red-400"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))
+            )}
+            <div className="flex items-center gap-2">
+              <Select value={toolId} onValueChange={setToolId}>
+                <SelectTrigger className="bg-white/5 border-white/10">
+                  <SelectValue placeholder="Choose a tool" />
+                </SelectTrigger>
+                <SelectContent>
+                  {tools.map((tool) => (
+                    <SelectItem key={tool.id} value={tool.id}>{tool.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Input
+                type="number"
+                min={RATE_LIMIT_SETTINGS.calls_per_hour.min}
+                max={RATE_LIMIT_SETTINGS.calls_per_hour.max}
+                value={toolPerHour}
+                onChange={(e) => setToolPerHour(e.target.value)}
+                placeholder="Calls per hour"
+                className="bg-white/5 border-white/10 w-40"
+              />
+              <Button variant="outline" onClick={handleAddTool} className="border-white/10 shrink-0">
+                {toolLimits[toolId] ? "Update Tool" : "Add Tool"}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        <Button
+          onClick={handleSave}
+          disabled={saving}
+          className="bg-blue-500 hover:bg-blue-400 text-white font-bold"
+        >
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : "Save Limits"}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
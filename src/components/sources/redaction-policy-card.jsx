@@ -0,0 +1,155 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Loader2, EyeOff } from "lucide-react";
+import { toast } from "sonner";
+import { REDACTION_DETECTORS, validateRedactionPolicy } from "@/lib/tools/redaction";
+
+const AUDIENCES = [
+  { key: "human", label: "Everyone", hint: "Masked before results are stored, logged or shown in chat - the model never sees these either." },
+  { key: "llm", label: "Model only", hint: "Also masked from what the model sees. People still see these values." },
+];
+
+const DETECTOR_LABELS = {
+  email: "Emails",
+  ssn: "SSNs",
+  card_number: "Card numbers",
+  token: "API keys & tokens",
+};
+
+function toForm(policy) {
+  return Object.fromEntries(AUDIENCES.map(({ key }) => {
+    const rules = policy?.[key] || {};
+    return [key, {
+      detectors: rules.detectors || [],
+      paths: (rules.paths || []).join("\n"),
+      patterns: (rules.patterns || []).map((p) => `${p.name} = ${p.regex}`).join("\n"),
+    }];
+  }));
+}
+
+// One path per line; patterns as "name = regex"
+function fromForm(form) {
+  const policy = {};
+  for (const { key } of AUDIENCES) {
+    const rules = form[key];
+    const paths = rules.paths.split("\n").map((line) => line.trim()).filter(Boolean);
+    const patterns = rules.patterns.split("\n").map((line) => line.trim()).filter(Boolean).map((line) => {
+      const at = line.indexOf("=");
+      return at === -1
+        ? { name: "", regex: line }
+        : { name: line.slice(0, at).trim(), regex: line.slice(at + 1).trim() };
+    });
+    if (rules.detectors.length || paths.length || patterns.length) {
+      policy[key] = { paths, detectors: rules.detectors, patterns };
+    }
+  }
+  return policy;
+}
+
+/**
+ * Admin card for masking tool responses: JSON paths, built-in detectors and
+ * custom patterns, separately for everyone and for the model only.
+ * Used per source and for the whole org; `onSave(policy)` persists it and
+ * resolves to true when saved.
+ */
+export function RedactionPolicyCard({ policy, canEdit, description, onSave, className = "mt-6" }) {
+  const [form, setForm] = useState(() => toForm(policy));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(toForm(policy));
+  }, [policy]);
+
+  if (!canEdit) return null;
+
+  const update = (audience, changes) =>
+    setForm((prev) => ({ ...prev, [audience]: { ...prev[audience], ...changes } }));
+
+  const toggleDetector = (audience, name, checked) => {
+    const current = form[audience].detectors;
+    update(audience, { detectors: checked ? [...current, name] : current.filter((d) => d !== name) });
+  };
+
+  const handleSave = async () => {
+    const next = fromForm(form);
+    const { policy: normalized, error } = validateRedactionPolicy(next);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    setSaving(true);
+    try {
+      if (await onSave(normalized)) toast.success("Redaction rules saved");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className={`bg-white/5 border-white/10 ${className}`}>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <EyeOff className="h-5 w-5" />
+          Redaction
+        </CardTitle>
+        <CardDescription className="text-white/40">{description}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {AUDIENCES.map(({ key, label, hint }) => (
+          <div key={key} className="space-y-3">
+            <div>
+              <p className="text-sm font-medium text-white/80">{label}</p>
+              <p className="text-[11px] text-white/30">{hint}</p>
+            </div>
+            <div className="flex flex-wrap gap-4">
+              {REDACTION_DETECTORS.map((name) => (
+                <label key={name} className="flex items-center gap-2 text-xs text-white/70 cursor-pointer">
+                  <Checkbox
+                    checked={form[key].detectors.includes(name)}
+                    onCheckedChange={(checked) => toggleDetector(key, name, checked === true)}
+                  />
+                  {DETECTOR_LABELS[name] || name}
+                </label>
+              ))}
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor={`redaction-${key}-paths`} className="text-white/70 text-xs">Fields (JSON paths)</Label>
+                <Textarea
+                  id={`redaction-${key}-paths`}
+                  value={form[key].paths}
+                  onChange={(e) => update(key, { paths: e.target.value })}
+                  placeholder={"$.data[*].ssn\n$..password"}
+                  className="bg-white/5 border-white/10 font-mono text-xs min-h-20"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor={`redaction-${key}-patterns`} className="text-white/70 text-xs">Patterns (name = regex)</Label>
+                <Textarea
+                  id={`redaction-${key}-patterns`}
+                  value={form[key].patterns}
+                  onChange={(e) => update(key, { patterns: e.target.value })}
+                  placeholder="account = ACC-\d{8}"
+                  className="bg-white/5 border-white/10 font-mono text-xs min-h-20"
+                />
+              </div>
+            </div>
+          </div>
+        ))}
+        <Button
+          onClick={handleSave}
+          disabled={saving}
+          className="bg-blue-500 hover:bg-blue-400 text-white font-bold"
+        >
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : "Save Rules"}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,154 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Loader2, Activity } from "lucide-react";
+import { toast } from "sonner";
+import { DEFAULT_REQUEST_POLICY, REQUEST_POLICY_LIMITS } from "@/lib/tools/request-policy";
+
+// Durations are edited in the unit people think in; stored as ms
+const FIELDS = [
+  { key: "timeout_ms", label: "Timeout", unit: "s", scale: 1000, hint: "Per attempt." },
+  { key: "max_retries", label: "Retries", unit: "", scale: 1, hint: "Idempotent methods on errors and 429/502/503/504; any method on 429/503." },
+  { key: "backoff_base_ms", label: "First backoff", unit: "ms", scale: 1, hint: "Doubles on each retry. Retry-After is honoured." },
+  { key: "backoff_max_ms", label: "Max backoff", unit: "s", scale: 1000, hint: "A longer Retry-After returns the error instead of waiting." },
+  { key: "breaker_threshold", label: "Breaker threshold", unit: "", scale: 1, hint: "Consecutive failed calls before failing fast. 0 turns it off." },
+  { key: "breaker_cooldown_ms", label: "Breaker cooldown", unit: "s", scale: 1000, hint: "How long calls fail fast before a trial call." },
+];
+
+function toForm(policy) {
+  const merged = { ...DEFAULT_REQUEST_POLICY, ...(policy || {}) };
+  return Object.fromEntries(FIELDS.map((f) => [f.key, String(merged[f.key] / f.scale)]));
+}
+
+/**
+ * Admin card for how tool calls to an HTTP source handle slowness and
+ * failures: timeout, retries with backoff, the circuit breaker, and the
+ * header that carries idempotency keys.
+ */
+export function RequestPolicyCard({ source, onSaved }) {
+  const [form, setForm] = useState(() => toForm(source?.request_policy));
+  const [idempotencyHeader, setIdempotencyHeader] = useState(source?.idempotency_header || "");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(toForm(source?.request_policy));
+  }, [source?.id, source?.request_policy]);
+
+  useEffect(() => {
+    setIdempotencyHeader(source?.idempotency_header || "");
+  }, [source?.id, source?.idempotency_header]);
+
+  if (!source?.can_edit || source.source_type === "mcp") return null;
+
+  const handleSave = async () => {
+    const policy = {};
+    for (const field of FIELDS) {
+      const value = Math.round(Number(form[field.key]) * field.scale);
+      const limits = REQUEST_POLICY_LIMITS[field.key];
+      if (form[field.key] === "" || !Number.isFinite(value) || value < limits.min || value > limits.max) {
+        toast.error(`${field.label} must be between ${limits.min / field.scale} and ${limits.max / field.scale}${field.unit ? ` ${field.unit}` : ""}`);
+        return;
+      }
+      // Only store what differs from the defaults
+      if (value !== DEFAULT_REQUEST_POLICY[field.key]) policy[field.key] = value;
+    }
+
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/sources/${source.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ request_policy: policy, idempotency_header: idempotencyHeader.trim() || null }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success("Request policy saved");
+        onSaved?.({
+          request_policy: data.source.request_policy,
+          idempotency_header: data.source.idempotency_header,
+        });
+      } else {
+        toast.error(data.error || "Failed to save");
+      }
+    } catch {
+      toast.error("Failed to save request policy");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="bg-white/5 border-white/10 mt-6">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Activity className="h-5 w-5" />
+          Request Policy
+        </CardTitle>
+        <CardDescription className="text-white/40">
+          How calls to {source.name} behave when it is slow or failing. Retries show up as attempts on each call.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {FIELDS.map((field) => (
+            <div key={field.key} className="space-y-2">
+              <Label htmlFor={`policy-${field.key}`} className="text-white/70 text-xs">
+                {field.label}{field.unit ? ` (${field.unit})` : ""}
+              </Label>
+              <Input
+                id={`policy-${field.key}`}
+                type="number"
+                min={REQUEST_POLICY_LIMITS[field.key].min / field.scale}
+                max={REQUEST_POLICY_LIMITS[field.key].max / field.scale}
+                value={form[field.key]}
+                onChange={(e) => setForm((prev) => ({ ...prev, [field.key]: e.target.value }))}
+                className="bg-white/5 border-white/10"
+              />
+              <p className="text-[11px] text-white/30">{field.hint}</p>
+            </div>
+          ))}
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="policy-idempotency-header" className="text-white/70 text-xs">
+            Idempotency header
+          </Label>
+          <Input
+            id="policy-idempotency-header"
+            value={idempotencyHeader}
+            onChange={(e) => setIdempotencyHeader(e.target.value)}
+            placeholder="Idempotency-Key"
+            className="bg-white/5 border-white/10"
+          />
+          <p className="text-[11px] text-white/30">
+            Write calls from chat send a stable key in this header, and a repeated call returns the first result.
+            Leave empty if the API doesn&apos;t support one (Stripe sources send it automatically).
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button
+            onClick={handleSave}
+            disabled={saving}
+            className="bg-blue-500 hover:bg-blue-400 text-white font-bold"
+          >
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : "Save Policy"}
+          </Button>
+          <Button
+            variant="ghost"
+            onClick={() => {
+              setForm(toForm(null));
+              setIdempotencyHeader("");
+            }}
+            disabled={saving}
+            className="text-white/50"
+          >
+            Reset to defaults
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
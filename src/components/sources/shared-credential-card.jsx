@@ -0,0 +1,203 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Loader2, Building2, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { AUTH_TYPE_CONFIG } from "@/components/chat/credential-modal";
+
+const MODE_OPTIONS = [
+  { value: "user", label: "Members bring their own", hint: "Each member adds their own credential." },
+  { value: "shared", label: "Everyone uses the shared credential", hint: "Personal credentials are ignored." },
+  { value: "user_override", label: "Shared, members may override", hint: "Members without their own credential use the shared one." },
+];
+
+/**
+ * Admin card for a source's org-wide service credential and credential mode.
+ * Renders nothing for non-admins (the API answers 403).
+ */
+export function SharedCredentialCard({ source }) {
+  const [loading, setLoading] = useState(true);
+  const [visible, setVisible] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [removing, setRemoving] = useState(false);
+  const [mode, setMode] = useState("user");
+  const [hasShared, setHasShared] = useState(false);
+  const [maskedPreview, setMaskedPreview] = useState(null);
+  const [values, setValues] = useState({});
+
+  const config = AUTH_TYPE_CONFIG[source?.auth_type];
+  const supported = config && config.fields.length > 0 && !config.oauth;
+
+  useEffect(() => {
+    if (source?.id && supported) {
+      loadShared();
+    } else {
+      setLoading(false);
+    }
+  }, [source?.id, supported]);
+
+  const loadShared = async () => {
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/sources/${source.id}/shared-credentials`);
+      if (!res.ok) {
+        setVisible(false);
+        return;
+      }
+      const data = await res.json();
+      setVisible(true);
+      setMode(data.credential_mode || "user");
+      setHasShared(!!data.has_shared_credentials);
+      setMaskedPreview(data.masked_preview);
+      setValues({});
+    } catch (err) {
+      console.error("Failed to load shared credential:", err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const save = async (body, successMessage) => {
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/sources/${source.id}/shared-credentials`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(successMessage);
+        await loadShared();
+      } else {
+        toast.error(data.error || "Failed to save");
+      }
+    } catch {
+      toast.error("Failed to save shared credential");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveCredential = () => {
+    const missing = config.fields.filter((f) => !values[f.name]?.trim());
+    if (missing.length > 0) {
+      toast.error(`Please fill in: ${missing.map((f) => f.label).join(", ")}`);
+      return;
+    }
+    save(values, "Shared credential saved");
+  };
+
+  const handleModeChange = (value) => {
+    if (value !== "user" && !hasShared) {
+      toast.error("Save a shared credential first");
+      return;
+    }
+    save({ credential_mode: value }, "Credential mode updated");
+  };
+
+  const handleRemove = async () => {
+    setRemoving(true);
+    try {
+      const res = await fetch(`/api/sources/${source.id}/shared-credentials`, { method: "DELETE" });
+      if (res.ok) {
+        toast.success("Shared credential removed");
+        await loadShared();
+      } else {
+        const data = await res.json();
+        toast.error(data.error || "Failed to remove");
+      }
+    } catch {
+      toast.error("Failed to remove shared credential");
+    } finally {
+      setRemoving(false);
+    }
+  };
+
+  if (!supported || loading || !visible) return null;
+
+  return (
+    <Card className="bg-white/5 border-white/10 mt-6">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Building2 className="h-5 w-5" />
+          Shared Credential
+        </CardTitle>
+        <CardDescription className="text-white/40">
+          An organization-wide {config.title.toLowerCase()} for {source.name}. Calls record whether the shared
+          or a member&apos;s own credential was used.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <Label className="text-white/70 text-xs">Who provides the credential</Label>
+          <Select value={mode} onValueChange={handleModeChange} disabled={saving}>
+            <SelectTrigger className="bg-white/5 border-white/10 text-sm">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {MODE_OPTIONS.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <p className="text-[11px] text-white/30">
+            {MODE_OPTIONS.find((option) => option.value === mode)?.hint}
+          </p>
+        </div>
+
+        {hasShared && (
+          <div className="flex items-center justify-between p-3 rounded-lg border bg-white/[0.02] border-white/10">
+            <code className="text-[11px] text-white/50 font-mono">{maskedPreview || "Set"}</code>
+            <button
+              onClick={handleRemove}
+              disabled={removing}
+              className="p-1.5 text-white/30 hover:text-red-400 transition-colors"
+              title="Remove shared credential"
+            >
+              {removing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+            </button>
+          </div>
+        )}
+
+        <div className="space-y-3">
+          {config.fields.map((field) => (
+            <div key={field.name} className="space-y-2">
+              <Label htmlFor={`shared-${field.name}`} className="text-white/70 text-xs">
+                {field.label}
+              </Label>
+              <Input
+                id={`shared-${field.name}`}
+                type={field.type}
+                value={values[field.name] || ""}
+                onChange={(e) => setValues((prev) => ({ ...prev, [field.name]: e.target.value }))}
+                placeholder={field.placeholder}
+                className="bg-white/5 border-white/10"
+              />
+            </div>
+          ))}
+          <Button
+            onClick={handleSaveCredential}
+            disabled={saving}
+            className="bg-blue-500 hover:bg-blue-400 text-white font-bold"
+          >
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : hasShared ? "Replace Shared Credential" : "Save Shared Credential"}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
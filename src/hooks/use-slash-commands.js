@@ -146,6 +146,9 @@ export function useSlashCommands({ agentId } = {}) {
       fetch(`/api/routines/${item.id}`, { method: 'POST' }).catch(() => {});
       return {
         type: 'routine',
+        id: item.id,
+        mode: item.mode || 'llm',
+        steps: item.steps || null,
         prompt: item.prompt,
         name: item.name,
         description: item.description,
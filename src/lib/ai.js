@@ -259,8 +259,8 @@ export async function chat({
     throw new Error('messages array is required');
   }
 
-  // Convert UI messages → model messages
-  const modelMessages = await convertToModelMessages(messages);
+  // Convert UI messages → model messages (earlier tool outputs go through each tool's toModelOutput)
+  const modelMessages = await convertToModelMessages(messages, { tools });
 
   // Determine if we have tools
   const hasTools = tools && Object.keys(tools).length > 0;
@@ -305,10 +305,15 @@ export async function chat({
 
 /**
  * Create streaming response for Next.js API routes.
+ *
+ * @param {object} [options]
+ * @param {object} [options.headers] - Extra response headers
+ * @param {Function} [options.messageMetadata] - ({ part }) → metadata merged into the
+ *   assistant message (AI SDK toUIMessageStreamResponse)
  */
-export function toStreamResponse(result, { headers = {} } = {}) {
+export function toStreamResponse(result, { headers = {}, messageMetadata } = {}) {
   // toUIMessageStreamResponse is the correct method for useChat
-  const originalResponse = result.toUIMessageStreamResponse();
+  const originalResponse = result.toUIMessageStreamResponse({ messageMetadata });
 
   // Response headers can be immutable, so create a new Response with merged headers
   const mergedHeaders = new Headers(originalResponse.headers);
@@ -0,0 +1,345 @@
+/**
+ * Action Log
+ *
+ * One action_log row per tool execution, written by every path that calls a
+ * target API: the chat converter's execute wrapper, /api/tools/execute,
+ * /api/tools/paginate, undos (/api/activity/[id]/undo), the approval queue,
+ * MCP tools and embed lookups. Rows are written with a service-role client
+ * only: users read their own rows and admins the whole org (RLS), but nobody
+ * edits the log, the queued arguments or the stored inverse from a browser.
+ *
+ * Lifecycle (status):
+ *   pending_confirmation  tool needs approval, waiting for the user (or, with an
+ *                         approval_route, for someone else - see approval-queue.js)
+ *   confirmed             approved, not yet started
+ *   rejected              approval denied; never executed
+ *   executing             request in flight
+ *   completed / failed    finished (failed = transport error or HTTP >= 400)
+ *   simulated             dry run: the request was built but not sent
+ *
+ * A completed call whose tool declares an inverse keeps the inverse call in
+ * `undo`, and its arguments encrypted in `undo_args` (what an undo sends);
+ * running it writes an `undo` origin row pointing back (`undo_of`) and marks
+ * the original `undone_at`.
+ *
+ * Finished and rejected rows also emit the action.completed / action.failed /
+ * action.rejected webhooks (simulated calls emit nothing).
+ *
+ * Logging never throws: a failed audit write is logged and the call goes on.
+ */
+
+import { emitWebhookEvent } from '../webhooks/dispatcher.js';
+import { encryptSecret } from '../secrets/keyring.js';
+
+export const ACTION_STATUSES = [
+  'pending_confirmation',
+  'confirmed',
+  'rejected',
+  'executing',
+  'completed',
+  'failed',
+  'simulated',
+];
+
+export const ACTION_ORIGINS = ['chat', 'execute', 'paginate', 'undo', 'routine', 'schedule', 'embed'];
+
+// Row fields sent as the `data` of action.* webhooks
+const ACTION_EVENT_COLUMNS = 'id, org_id, user_id, agent_id, chat_id, source_id, tool_id, tool_name, origin, method, url, request_body, status, response_status, error_message, duration_ms, approval, approved_by, approved_at, created_at, completed_at';
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values never reach the log (matched against the lowercased key,
+// with - and _ stripped)
+const SENSITIVE_KEY = /(password|passwd|secret|token|apikey|authorization|cookie|credential|privatekey|ssn|cardnumber|cvc|cvv)/;
+
+// Keep single logged strings and nesting bounded
+const MAX_STRING_LENGTH = 2000;
+const MAX_DEPTH = 8;
+
+function isSensitiveKey(key) {
+  return SENSITIVE_KEY.test(String(key).toLowerCase().replace(/[-_]/g, ''));
+}
+
+/**
+ * Copy of a request payload with sensitive keys masked and long strings cut.
+ *
+ * @param {any} value - Tool arguments / request body
+ * @returns {any}
+ */
+export function redactRequest(value, depth = 0) {
+  if (value === null || value === undefined) return value ?? null;
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+  }
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[…]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactRequest(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = isSensitiveKey(key) ? REDACTED : redactRequest(item, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * URL with sensitive query parameters masked. Non-HTTP URLs (mcp://) pass through.
+ */
+export function redactUrl(url) {
+  if (!url || typeof url !== 'string') return url || null;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  let changed = false;
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (isSensitiveKey(key)) {
+      parsed.searchParams.set(key, REDACTED);
+      changed = true;
+    }
+  }
+  return changed ? parsed.toString() : url;
+}
+
+/**
+ * Status for a finished executeTool result.
+ */
+export function resultStatus(result) {
+  if (result?.error_message) return 'failed';
+  return result?.dry_run ? 'simulated' : 'completed';
+}
+
+function buildRow(context, entry) {
+  return {
+    org_id: context.orgId,
+    user_id: context.userId || null,
+    agent_id: context.agentId || null,
+    chat_id: context.chatId || null,
+    origin: context.origin || 'chat',
+    tool_call_id: entry.toolCallId || null,
+    tool_id: entry.toolId || null,
+    tool_name: entry.toolName,
+    source_id: entry.sourceId || null,
+    method: entry.method || null,
+    request_body: redactRequest(entry.args ?? {}),
+    undo_of: entry.undoOf || null,
+  };
+}
+
+/**
+ * Write a row keyed by its tool call id: update the caller's row with that id,
+ * or insert one. Tool call ids come from the client, so another user's row
+ * with the same id is never touched (the insert fails on the unique id).
+ */
+async function upsertToolCallRow(supabase, row) {
+  let update = supabase
+    .from('action_log')
+    .update(row)
+    .eq('tool_call_id', row.tool_call_id)
+    .eq('org_id', row.org_id);
+  update = row.user_id ? update.eq('user_id', row.user_id) : update.is('user_id', null);
+
+  const { data, error } = await update.select('id');
+  if (error) return { data: null, error };
+  if (data?.length) return { data: data[0], error: null };
+  return supabase.from('action_log').insert(row).select('id').single();
+}
+
+/**
+ * Record that a tool call is waiting for approval.
+ *
+ * With an approval route the call waits for someone else: the route is stored
+ * and so are the arguments, encrypted with the org's data key, for running
+ * the call once approved (request_body is masked).
+ *
+ * @param {object} supabase - Service-role Supabase client
+ * @param {object} context - { orgId, userId, agentId?, chatId?, origin? }
+ * @param {object} entry - { toolCallId, toolId, toolName, sourceId, method, args, approvalRoute?, undoOf? }
+ * @returns {Promise<string|null>} action_log id, or null when logging failed
+ */
+export async function recordPendingAction(supabase, context, entry) {
+  const row = {
+    ...buildRow(context, entry),
+    status: 'pending_confirmation',
+    approval: 'pending',
+  };
+  if (entry.approvalRoute) {
+    row.approval_route = entry.approvalRoute;
+    row.queued_args = await encryptSecret(context.orgId, entry.args ?? {});
+  }
+
+  const { data, error } = await upsertToolCallRow(supabase, row);
+
+  if (error) {
+    console.error('[ACTION LOG] Failed to record pending action:', error.message);
+    return null;
+  }
+  return data.id;
+}
+
+/**
+ * Record the start of an execution.
+ * With a toolCallId the row left by recordPendingAction is reused.
+ *
+ * @param {object} supabase - Service-role Supabase client
+ * @param {object} context - { orgId, userId, agentId?, chatId?, origin? }
+ * @param {object} entry - { toolCallId?, toolId, toolName, sourceId, method, args, approved?, approvedBy?, undoOf? }
+ *   approved: true when the call went through an approval (approvedBy: who approved it, when that
+ *   wasn't the caller); undoOf: the action_log id this call undoes
+ * @returns {Promise<string|null>} action_log id, or null when logging failed
+ */
+export async function startAction(supabase, context, entry) {
+  const row = {
+    ...buildRow(context, entry),
+    status: 'executing',
+    approval: entry.approved ? 'approved' : 'not_required',
+  };
+  if (entry.approved) {
+    row.approved_by = entry.approvedBy || context.userId || null;
+  }
+
+  const { data, error } = entry.toolCallId
+    ? await upsertToolCallRow(supabase, row)
+    : await supabase.from('action_log').insert(row).select('id').single();
+  if (error) {
+    console.error('[ACTION LOG] Failed to record action:', error.message);
+    return null;
+  }
+  return data.id;
+}
+
+/**
+ * Arguments of a result's inverse call (`undo_args`, unmasked), encrypted
+ * with the data key of the action's org.
+ */
+async function sealUndoArgs(supabase, actionId, args) {
+  const { data, error } = await supabase
+    .from('action_log')
+    .select('org_id')
+    .eq('id', actionId)
+    .single();
+  if (error) throw error;
+  return encryptSecret(data.org_id, args);
+}
+
+/**
+ * Record the outcome of an execution started with startAction.
+ *
+ * @param {object} supabase - Service-role Supabase client
+ * @param {string|null} actionId - From startAction (no-op when null)
+ * @param {object} result - executeTool result, or { error_message } when the call threw
+ */
+export async function finishAction(supabase, actionId, result) {
+  if (!actionId) return;
+
+  let undoArgs = null;
+  if (result.undo && result.undo_args) {
+    try {
+      undoArgs = await sealUndoArgs(supabase, actionId, result.undo_args);
+    } catch (error) {
+      console.error('[ACTION LOG] Failed to encrypt undo arguments:', error.message);
+    }
+  }
+
+  const { data: row, error } = await supabase
+    .from('action_log')
+    .update({
+      status: resultStatus(result),
+      url: redactUrl(result.url),
+      response_status: result.response_status || null,
+      error_message: result.error_message ? String(result.error_message).slice(0, MAX_STRING_LENGTH) : null,
+      duration_ms: result.duration_ms ?? null,
+      credential_identity: result.credential_identity || null,
+      // Without its arguments the undo can't run, so it isn't offered
+      undo: undoArgs ? result.undo : null,
+      undo_args: undoArgs,
+      completed_at: new Date().toISOString(),
+    })
+    .eq('id', actionId)
+    .select(ACTION_EVENT_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('[ACTION LOG] Failed to finish action:', error.message);
+    return;
+  }
+
+  if (row?.status === 'simulated') return;
+  await emitWebhookEvent(row?.org_id, row?.status === 'completed' ? 'action.completed' : 'action.failed', row);
+}
+
+/**
+ * Collect approval decisions from the last assistant UI message (the one the
+ * client just answered with addToolApprovalResponse).
+ *
+ * @param {Array} messages - UI messages from useChat
+ * @returns {Array<{ toolCallId: string, approved: boolean, reason?: string }>}
+ */
+export function extractApprovalResponses(messages) {
+  const lastAssistant = messages?.findLast(m => m.role === 'assistant');
+  if (!lastAssistant?.parts) return [];
+
+  return lastAssistant.parts
+    .filter(p => p.state === 'approval-responded' && p.toolCallId && typeof p.approval?.approved === 'boolean')
+    .map(p => ({ toolCallId: p.toolCallId, approved: p.approval.approved, reason: p.approval.reason }));
+}
+
+/**
+ * Move pending rows to confirmed / rejected for the user's approval decisions.
+ * Approved calls then go through startAction when they execute; rejected ones
+ * emit action.rejected. Calls waiting in the approval queue are left alone:
+ * the person who asked can't decide them.
+ *
+ * @param {object} supabase - Service-role Supabase client
+ * @param {Array} messages - UI messages from useChat
+ * @param {object} context - { userId } (only their rows are moved)
+ */
+export async function recordApprovalResponses(supabase, messages, context) {
+  const responses = extractApprovalResponses(messages);
+
+  for (const { toolCallId, approved, reason } of responses) {
+    const { data: rows, error } = await supabase
+      .from('action_log')
+      .update({
+        status: approved ? 'confirmed' : 'rejected',
+        approval: approved ? 'approved' : 'rejected',
+        approved_by: context.userId || null,
+        approved_at: new Date().toISOString(),
+        ...(approved ? {} : { error_message: reason || 'Rejected', completed_at: new Date().toISOString() }),
+      })
+      .eq('tool_call_id', toolCallId)
+      .eq('user_id', context.userId)
+      .eq('status', 'pending_confirmation')
+      .is('approval_route', null)
+      .select(ACTION_EVENT_COLUMNS);
+
+    if (error) {
+      console.error('[ACTION LOG] Failed to record approval response:', error.message);
+      continue;
+    }
+
+    if (!approved) {
+      for (const row of rows || []) {
+        await emitWebhookEvent(row.org_id, 'action.rejected', row);
+      }
+    }
+  }
+}
+
+export default {
+  ACTION_STATUSES,
+  ACTION_ORIGINS,
+  redactRequest,
+  redactUrl,
+  resultStatus,
+  recordPendingAction,
+  startAction,
+  finishAction,
+  extractApprovalResponses,
+  recordApprovalResponses,
+};
@@ -0,0 +1,136 @@
+/**
+ * Activity Export
+ *
+ * Streams action_log as CSV or NDJSON (GET /api/activity/export). Rows are
+ * read in keyset-paginated batches as the client consumes the stream, so
+ * memory stays at one batch regardless of the range exported.
+ */
+
+import { redactRequest, redactUrl } from './action-log.js';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+export const EXPORT_BATCH_SIZE = 1000;
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+// Column order of the CSV (and key order of NDJSON records)
+export const EXPORT_COLUMNS = [
+  'id',
+  'created_at',
+  'completed_at',
+  'user_id',
+  'agent_id',
+  'agent_name',
+  'source_id',
+  'source_name',
+  'chat_id',
+  'origin',
+  'tool_id',
+  'tool_name',
+  'method',
+  'url',
+  'status',
+  'response_status',
+  'duration_ms',
+  'error_message',
+  'approval',
+  'approved_by',
+  'approved_at',
+  'undo_of',
+  'undone_at',
+  'credential_type',
+  'request_body',
+];
+
+/**
+ * Flatten an action_log row (with joined agents/api_sources names) into an
+ * export record. Secrets are redacted again here so rows written before a
+ * redaction rule existed don't leak through exports.
+ */
+export function toExportRecord(row) {
+  const record = {
+    ...row,
+    agent_name: row.agents?.name ?? null,
+    source_name: row.api_sources?.name ?? null,
+    url: redactUrl(row.url),
+    request_body: redactRequest(row.request_body ?? {}),
+    credential_type: row.credential_identity?.type ?? null,
+  };
+  return Object.fromEntries(EXPORT_COLUMNS.map(column => [column, record[column] ?? null]));
+}
+
+/**
+ * Escape one CSV field (RFC 4180). Values starting with = + - @ are prefixed
+ * with a quote so spreadsheets don't evaluate them as formulas.
+ */
+export function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvLine(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+/**
+ * Serialize one row in the export format.
+ */
+export function formatExportRow(row, format) {
+  const record = toExportRecord(row);
+  return format === 'csv'
+    ? csvLine(EXPORT_COLUMNS.map(column => record[column]))
+    : `${JSON.stringify(record)}\n`;
+}
+
+/**
+ * Stream the export.
+ *
+ * @param {object} options
+ * @param {'csv'|'ndjson'} options.format
+ * @param {Function} options.fetchBatch - async (cursor, size) → rows, newest first;
+ *   cursor is null for the first batch, then { created_at, id } of the last row sent
+ * @param {number} [options.batchSize]
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createActivityExportStream({ format, fetchBatch, batchSize = EXPORT_BATCH_SIZE }) {
+  const encoder = new TextEncoder();
+  let cursor = null;
+  let headerSent = false;
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (format === 'csv' && !headerSent) {
+        headerSent = true;
+        controller.enqueue(encoder.encode(csvLine(EXPORT_COLUMNS)));
+      }
+
+      const rows = await fetchBatch(cursor, batchSize);
+      if (rows.length > 0) {
+        controller.enqueue(encoder.encode(rows.map(row => formatExportRow(row, format)).join('')));
+        const last = rows[rows.length - 1];
+        cursor = { created_at: last.created_at, id: last.id };
+      }
+      if (rows.length < batchSize) {
+        controller.close();
+      }
+    },
+  });
+}
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_BATCH_SIZE,
+  EXPORT_CONTENT_TYPES,
+  EXPORT_COLUMNS,
+  toExportRecord,
+  csvField,
+  csvLine,
+  formatExportRow,
+  createActivityExportStream,
+};
@@ -0,0 +1,130 @@
+/**
+ * Activity Query
+ *
+ * Filters for reading action_log (GET /api/activity), parsed from URL search
+ * params and applied to a Supabase query. Visibility (own rows vs. whole org)
+ * is left to RLS.
+ */
+
+import { ACTION_STATUSES, ACTION_ORIGINS } from './action-log.js';
+
+export const DEFAULT_ACTIVITY_LIMIT = 50;
+export const MAX_ACTIVITY_LIMIT = 200;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Columns returned to clients, with agent and source names joined in
+export const ACTIVITY_SELECT = `
+  id, org_id, user_id, agent_id, chat_id, source_id, tool_id, tool_name, tool_call_id,
+  origin, method, url, request_body, status, response_status, error_message, duration_ms,
+  approval, approved_by, approved_at, credential_identity, created_at, completed_at,
+  undo, undo_of, undone_at,
+  agents ( name ),
+  api_sources ( name )
+`;
+
+function parseInteger(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value, name) {
+  if (!value) return { value: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { error: `${name} must be an ISO date` };
+  // A bare date as the upper bound includes that whole day (UTC)
+  if (name === 'to' && DATE_ONLY_RE.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return { value: date.toISOString() };
+}
+
+/**
+ * Parse and validate activity filters.
+ *
+ * Supported params: limit, offset, status and method (comma-separated),
+ * origin, agent_id, source_id, user_id, chat_id, from, to (ISO dates,
+ * created_at range).
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {{ filters: object }|{ error: string }}
+ */
+export function parseActivityFilters(searchParams) {
+  const filters = {
+    limit: Math.min(Math.max(parseInteger(searchParams.get('limit'), DEFAULT_ACTIVITY_LIMIT), 1), MAX_ACTIVITY_LIMIT),
+    offset: Math.max(parseInteger(searchParams.get('offset'), 0), 0),
+  };
+
+  const status = searchParams.get('status');
+  if (status) {
+    const statuses = status.split(',');
+    const unknown = statuses.find(s => !ACTION_STATUSES.includes(s));
+    if (unknown) return { error: `Unknown status: ${unknown}` };
+    filters.status = statuses;
+  }
+
+  const origin = searchParams.get('origin');
+  if (origin) {
+    if (!ACTION_ORIGINS.includes(origin)) return { error: `Unknown origin: ${origin}` };
+    filters.origin = origin;
+  }
+
+  const method = searchParams.get('method');
+  if (method) filters.method = method.toUpperCase().split(',');
+
+  for (const key of ['agent_id', 'source_id', 'user_id', 'chat_id']) {
+    const value = searchParams.get(key);
+    if (!value) continue;
+    if (!UUID_RE.test(value)) return { error: `${key} must be a UUID` };
+    filters[key] = value;
+  }
+
+  for (const key of ['from', 'to']) {
+    const { value, error } = parseDate(searchParams.get(key), key);
+    if (error) return { error };
+    if (value) filters[key] = value;
+  }
+
+  return { filters };
+}
+
+/**
+ * Apply parsed filters (everything except limit/offset) to an action_log query.
+ */
+export function applyActivityFilters(query, filters) {
+  if (filters.status) query = query.in('status', filters.status);
+  if (filters.origin) query = query.eq('origin', filters.origin);
+  if (filters.method) query = query.in('method', filters.method);
+  if (filters.agent_id) query = query.eq('agent_id', filters.agent_id);
+  if (filters.source_id) query = query.eq('source_id', filters.source_id);
+  if (filters.user_id) query = query.eq('user_id', filters.user_id);
+  if (filters.chat_id) query = query.eq('chat_id', filters.chat_id);
+  if (filters.from) query = query.gte('created_at', filters.from);
+  if (filters.to) query = query.lte('created_at', filters.to);
+  return query;
+}
+
+/**
+ * Flatten the joined agent/source names onto an action_log row. The stored
+ * inverse call is reduced to whether it can still run.
+ */
+export function toActivityItem(row) {
+  const { agents, api_sources, undo, ...action } = row;
+  return {
+    ...action,
+    agent_name: agents?.name || null,
+    source_name: api_sources?.name || null,
+    undoable: Boolean(undo) && !action.undone_at && action.status === 'completed',
+  };
+}
+
+export default {
+  DEFAULT_ACTIVITY_LIMIT,
+  MAX_ACTIVITY_LIMIT,
+  ACTIVITY_SELECT,
+  parseActivityFilters,
+  applyActivityFilters,
+  toActivityItem,
+};
@@ -0,0 +1,243 @@
+/**
+ * Approval Queue
+ *
+ * Calls of tools with an approval policy (see lib/tools/approval-policy.js)
+ * wait in action_log as pending_confirmation rows that carry an
+ * `approval_route` and their arguments, encrypted, in `queued_args`.
+ * Someone the route allows - never the person who asked - approves or
+ * rejects them on the approvals page; an approved call runs with the
+ * requester's credentials and its result is written back into the chat it
+ * came from.
+ *
+ * Approvers usually can't read or update other people's action_log rows
+ * (RLS), so the queue helpers take a service-role client and the routes
+ * check who may act first. settleQueuedCalls works on the requester's own
+ * chat messages and needs no privileges.
+ */
+
+import { describeApprovers, isEligibleApprover } from '../tools/approval-policy.js';
+import { emitWebhookEvent } from '../webhooks/dispatcher.js';
+
+// Columns the queue page shows, with agent and source names joined in
+export const QUEUE_SELECT = `
+  id, org_id, user_id, agent_id, chat_id, source_id, tool_id, tool_name, tool_call_id,
+  method, request_body, status, approval_route, created_at,
+  agents ( name ),
+  api_sources ( name )
+`;
+
+const MAX_QUEUE_ITEMS = 200;
+
+/**
+ * The caller's access level per agent (member_agent_access), for routes
+ * with an access_level.
+ *
+ * @param {object} service - Service-role Supabase client
+ * @param {string|null} memberId - org_members.id of the caller
+ * @returns {Promise<Map<string, string>>} agent_id → access_level
+ */
+export async function loadAgentAccess(service, memberId) {
+  if (!memberId) return new Map();
+  const { data, error } = await service
+    .from('member_agent_access')
+    .select('agent_id, access_level')
+    .eq('member_id', memberId);
+  if (error) console.error('[APPROVALS] Failed to load agent access:', error.message);
+  return new Map((data || []).map(row => [row.agent_id, row.access_level]));
+}
+
+/**
+ * Whether the caller may approve one queued row.
+ *
+ * @param {object} row - action_log row (user_id, agent_id, approval_route)
+ * @param {object} caller - { userId, role, agentAccess: Map from loadAgentAccess }
+ */
+export function canDecide(row, { userId, role, agentAccess }) {
+  return isEligibleApprover(row.approval_route, {
+    userId,
+    requesterId: row.user_id,
+    role,
+    accessLevel: agentAccess?.get(row.agent_id) || null,
+  });
+}
+
+/**
+ * Flatten a queue row for clients: joined names, who can approve, and
+ * whether it's the caller's own request.
+ */
+export function toQueueItem(row, caller) {
+  const { agents, api_sources, approval_route, ...action } = row;
+  return {
+    ...action,
+    agent_name: agents?.name || null,
+    source_name: api_sources?.name || null,
+    approvers: describeApprovers(approval_route),
+    own: action.user_id === caller.userId,
+    can_decide: canDecide(row, caller),
+  };
+}
+
+/**
+ * Queued calls in an org the caller can decide, plus their own waiting ones.
+ *
+ * @param {object} service - Service-role Supabase client
+ * @param {object} caller - { orgId, userId, role, agentAccess }
+ * @returns {Promise<object[]>} Oldest first (toQueueItem)
+ */
+export async function listApprovalQueue(service, caller) {
+  const { data, error } = await service
+    .from('action_log')
+    .select(QUEUE_SELECT)
+    .eq('org_id', caller.orgId)
+    .eq('status', 'pending_confirmation')
+    .not('approval_route', 'is', null)
+    .order('created_at', { ascending: true })
+    .limit(MAX_QUEUE_ITEMS);
+  if (error) throw error;
+
+  return (data || [])
+    .map(row => toQueueItem(row, caller))
+    .filter(item => item.own || item.can_decide);
+}
+
+/**
+ * Take a queued call out of the queue with a decision. Only one decision
+ * wins when two approvers act at once; the stored arguments are dropped.
+ *
+ * @param {object} service - Service-role Supabase client
+ * @param {string} actionId - action_log id
+ * @param {object} decision - { approved, approverId, reason? }
+ * @returns {Promise<object|null>} The updated row, or null when it was no longer pending
+ */
+export async function decideQueuedAction(service, actionId, { approved, approverId, reason }) {
+  const now = new Date().toISOString();
+  const { data, error } = await service
+    .from('action_log')
+    .update({
+      status: approved ? 'confirmed' : 'rejected',
+      approval: approved ? 'approved' : 'rejected',
+      approved_by: approverId,
+      approved_at: now,
+      queued_args: null,
+      ...(approved ? {} : { error_message: reason || 'Rejected', completed_at: now }),
+    })
+    .eq('id', actionId)
+    .eq('status', 'pending_confirmation')
+    .not('approval_route', 'is', null)
+    .select('id, org_id, user_id, agent_id, chat_id, source_id, tool_id, tool_name, tool_call_id, origin, method, url, request_body, status, response_status, error_message, duration_ms, approval, approved_by, approved_at, created_at, completed_at')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data && !approved) {
+    await emitWebhookEvent(data.org_id, 'action.rejected', data);
+  }
+  return data;
+}
+
+/**
+ * What a queued call amounts to so far, as a tool output: the model and the
+ * chat see it in place of the approval request.
+ *
+ * @param {object} row - action_log row (status, approval_route, response_status, error_message)
+ * @returns {{ _actionchat: object, result: string }}
+ */
+export function queuedCallOutput(row) {
+  const approvers = describeApprovers(row.approval_route);
+  let result;
+  switch (row.status) {
+    case 'pending_confirmation':
+      result = `Waiting for approval from ${approvers} - not sent yet.`;
+      break;
+    case 'rejected':
+      result = `Rejected in the approval queue - this call was NOT sent. Reason: ${row.error_message || 'none given'}`;
+      break;
+    case 'completed':
+      result = `Approved in the approval queue and sent: HTTP ${row.response_status}.`;
+      break;
+    case 'failed':
+      result = `Approved in the approval queue, but the call failed: ${row.error_message || `HTTP ${row.response_status}`}`;
+      break;
+    default:
+      result = 'Approved in the approval queue - running.';
+  }
+  return {
+    _actionchat: {
+      tool_id: row.tool_id || null,
+      tool_name: row.tool_name,
+      source_id: row.source_id || null,
+      method: row.method || null,
+      response_status: row.response_status || null,
+      error_message: row.status === 'rejected' || row.status === 'failed' ? row.error_message || null : null,
+      action_id: row.id,
+      approval_status: row.status,
+    },
+    result,
+  };
+}
+
+/**
+ * The requester's queued calls among the approval requests in a chat's UI
+ * messages (RLS: users read their own rows).
+ *
+ * @param {object} supabase - Supabase client (requester's session)
+ * @param {Array} messages - UI messages
+ * @returns {Promise<Map<string, object>>} tool_call_id → action_log row
+ */
+export async function loadQueuedCalls(supabase, messages) {
+  const ids = [];
+  for (const message of messages || []) {
+    for (const part of message.parts || []) {
+      if (part.state === 'approval-requested' && part.toolCallId) ids.push(part.toolCallId);
+    }
+  }
+  if (!ids.length) return new Map();
+
+  const { data, error } = await supabase
+    .from('action_log')
+    .select('id, tool_call_id, tool_id, tool_name, source_id, method, status, response_status, error_message, approval_route')
+    .in('tool_call_id', ids)
+    .not('approval_route', 'is', null);
+  if (error) {
+    console.error('[APPROVALS] Failed to load queued calls:', error.message);
+    return new Map();
+  }
+  return new Map((data || []).map(row => [row.tool_call_id, row]));
+}
+
+/**
+ * Replace approval requests that went to the queue with their outcome so far,
+ * so the model doesn't see a call still waiting for the requester's answer.
+ *
+ * @param {Array} messages - UI messages
+ * @param {Map<string, object>} queued - From loadQueuedCalls
+ * @returns {Array} Messages (unchanged ones by reference)
+ */
+export function settleQueuedCalls(messages, queued) {
+  if (!queued?.size) return messages;
+  return messages.map(message => {
+    if (!message.parts?.some(part => part.state === 'approval-requested' && queued.has(part.toolCallId))) {
+      return message;
+    }
+    return {
+      ...message,
+      parts: message.parts.map(part => {
+        const row = part.state === 'approval-requested' ? queued.get(part.toolCallId) : null;
+        if (!row) return part;
+        const { approval, ...rest } = part;
+        return { ...rest, state: 'output-available', output: queuedCallOutput(row) };
+      }),
+    };
+  });
+}
+
+export default {
+  QUEUE_SELECT,
+  loadAgentAccess,
+  canDecide,
+  toQueueItem,
+  listApprovalQueue,
+  decideQueuedAction,
+  queuedCallOutput,
+  loadQueuedCalls,
+  settleQueuedCalls,
+};
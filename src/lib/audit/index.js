@@ -0,0 +1,62 @@
+/**
+ * Audit Module - Persistent record of tool executions
+ *
+ * - Action Log: One action_log row per tool call (who, which agent/source,
+ *   redacted request, status, duration, approval outcome)
+ * - Approval Queue: Calls waiting for a second person's approval
+ * - Activity Query: Filters behind GET /api/activity
+ * - Activity Export: CSV / NDJSON streams of the log
+ *
+ * Usage:
+ *   import { startAction, finishAction } from '@/lib/audit';
+ *   import { recordApprovalResponses } from '@/lib/audit';
+ */
+
+// Action Log - Tool execution audit trail
+export {
+  ACTION_STATUSES,
+  ACTION_ORIGINS,
+  redactRequest,
+  redactUrl,
+  resultStatus,
+  recordPendingAction,
+  startAction,
+  finishAction,
+  extractApprovalResponses,
+  recordApprovalResponses,
+} from './action-log.js';
+
+// Approval Queue - Calls waiting for someone else's approval
+export {
+  QUEUE_SELECT,
+  loadAgentAccess,
+  canDecide,
+  toQueueItem,
+  listApprovalQueue,
+  decideQueuedAction,
+  queuedCallOutput,
+  loadQueuedCalls,
+  settleQueuedCalls,
+} from './approval-queue.js';
+
+// Activity Query - Filters for reading the log
+export {
+  DEFAULT_ACTIVITY_LIMIT,
+  MAX_ACTIVITY_LIMIT,
+  ACTIVITY_SELECT,
+  parseActivityFilters,
+  applyActivityFilters,
+  toActivityItem,
+} from './activity-query.js';
+
+// Activity Export - CSV / NDJSON streaming
+export {
+  EXPORT_FORMATS,
+  EXPORT_BATCH_SIZE,
+  EXPORT_CONTENT_TYPES,
+  EXPORT_COLUMNS,
+  toExportRecord,
+  csvField,
+  formatExportRow,
+  createActivityExportStream,
+} from './activity-export.js';
@@ -7,5 +7,5 @@
 
 export { authenticate, AuthError } from './auth';
 export { loadAgentTools } from './tools';
-export { createChat, saveConversation, getFirstUserMessageText } from './persistence';
+export { createChat, saveConversation, updateToolCallResult, getFirstUserMessageText } from './persistence';
 export { buildSystemPrompt } from './prompts';
@@ -4,6 +4,8 @@
  * Handles saving chats, messages, and action logs.
  */
 
+import { estimateCost } from '@/lib/usage';
+
 /**
  * Create a new chat session.
  *
@@ -11,7 +13,7 @@
  * @param {object} options
  * @returns {Promise<string|null>} Chat ID or null on error
  */
-export async function createChat(supabase, { orgId, agentId, userId, title, sourceIds }) {
+export async function createChat(supabase, { orgId, agentId, userId, title, sourceIds, dryRun = false }) {
   const { data, error } = await supabase
     .from('chats')
     .insert({
@@ -20,6 +22,7 @@ export async function createChat(supabase, { orgId, agentId, userId, title, sour
       user_id: userId,
       title: (title || 'New chat').slice(0, 100),
       source_ids: sourceIds || [],
+      dry_run: dryRun,
     })
     .select('id')
     .single();
@@ -46,7 +49,7 @@ export async function saveConversation(supabase, {
   messages,  // Original UI messages
   text,      // Assistant response text
   steps,     // AI SDK steps (tool calls/results)
-  usage,     // Token usage
+  usage,     // Token usage (all steps)
   agent,     // Agent config
 }) {
   if (!chatId) return;
@@ -99,6 +102,7 @@ export async function saveConversation(supabase, {
         tool_calls: toolCalls.length ? toolCalls : null,
         metadata: {
           usage,
+          cost_usd: estimateCost(agent.model_provider, agent.model_name, usage),
           model: agent.model_name,
           provider: agent.model_provider,
         },
@@ -116,6 +120,47 @@ export async function saveConversation(supabase, {
   }
 }
 
+/**
+ * Fill in the result of a tool call saved without one (a call approved or
+ * rejected later in the approval queue), so the chat shows it on reload.
+ *
+ * @param {object} supabase - Supabase client that can update the chat's messages
+ * @param {object} options
+ * @param {string} options.chatId
+ * @param {string} options.toolCallId
+ * @param {object} options.output - Tool output ({ _actionchat, result })
+ * @returns {Promise<boolean>} Whether a stored call was updated
+ */
+export async function updateToolCallResult(supabase, { chatId, toolCallId, output }) {
+  if (!chatId || !toolCallId) return false;
+
+  const { data: rows, error } = await supabase
+    .from('messages')
+    .select('id, tool_calls')
+    .eq('chat_id', chatId)
+    .contains('tool_calls', [{ id: toolCallId }]);
+
+  if (error || !rows?.length) {
+    if (error) console.error('[CHAT] Failed to find tool call message:', error);
+    return false;
+  }
+
+  for (const row of rows) {
+    const toolCalls = row.tool_calls.map(tc =>
+      tc.id === toolCallId ? { ...tc, result: sanitizeResult(output) } : tc
+    );
+    const { error: updateError } = await supabase
+      .from('messages')
+      .update({ tool_calls: toolCalls })
+      .eq('id', row.id);
+    if (updateError) {
+      console.error('[CHAT] Failed to update tool call result:', updateError);
+      return false;
+    }
+  }
+  return true;
+}
+
 /**
  * Extract text from a UI message.
  */
@@ -222,6 +267,7 @@ function sanitizeResult(result) {
       tool_id: result._actionchat.tool_id,
       source_id: result._actionchat.source_id,
       duration_ms: result._actionchat.duration_ms,
+      credential_identity: result._actionchat.credential_identity,
     };
   }
 
@@ -13,9 +13,11 @@ import { buildSourceGuidance } from '@/lib/mcp';
  * @param {Array} toolRows - Tool rows from database (for OpenAPI sources)
  * @param {Array} sourcesWithHints - Sources with their template hints
  * @param {object} tools - AI SDK tools object (includes MCP tools)
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Simulation mode: write calls are not sent
  * @returns {string} Complete system prompt
  */
-export function buildSystemPrompt(agent, toolRows = [], sourcesWithHints = [], tools = {}) {
+export function buildSystemPrompt(agent, toolRows = [], sourcesWithHints = [], tools = {}, { dryRun = false } = {}) {
   const parts = [];
 
   // Identity
@@ -46,6 +48,11 @@ export function buildSystemPrompt(agent, toolRows = [], sourcesWithHints = [], t
     parts.push('');
     parts.push(GUIDELINES);
 
+    if (dryRun) {
+      parts.push('');
+      parts.push(DRY_RUN_MESSAGE);
+    }
+
     // Add source-specific guidance from templates
     const sourceGuidance = buildSourceGuidance(sourcesWithHints);
     if (sourceGuidance) {
@@ -112,6 +119,9 @@ function buildToolsSection(toolRows) {
   return lines.join('\n');
 }
 
+const DRY_RUN_MESSAGE = `## Dry Run Mode
+This conversation is a simulation. Read calls (GET) run for real. Write calls are NOT sent: their result is the request that would have been made. Proceed as you normally would, then describe what each write call would have done - never claim that a change was made.`;
+
 const GUIDELINES = `## Guidelines
 
 ### Tool Discovery
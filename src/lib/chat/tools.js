@@ -7,8 +7,10 @@
  * For OpenAPI sources: Uses database-backed tools with our converter
  */
 
-import { convertToolsToAISDK, searchTools, searchTemplateTools, getEmbeddingCoverage, getTemplateEmbeddingCoverage, createSystemTools, embedQuery } from '@/lib/tools';
+import { convertToolsToAISDK, mergeEnvironments, resolveSourceCredential, searchTools, searchTemplateTools, getEmbeddingCoverage, getTemplateEmbeddingCoverage, createSystemTools, embedQuery, withRedaction } from '@/lib/tools';
 import { getWrappedMCPTools } from '@/lib/mcp';
+import { ensureFreshCredentials } from '@/lib/oauth';
+import { decryptCredentials } from '@/lib/secrets';
 
 // OpenAI has a max of 128 tools. Other providers may have different limits.
 // When we exceed this, we'll truncate and warn.
@@ -66,10 +68,11 @@ async function matchRoutine(supabase, orgId, userQuery) {
       return { routine: null, confidence: 0 };
     }
 
-    // Fetch full routine details
+    // Fetch full routine details. The routines row is the published version:
+    // its prompt, tool chain and counts, and `version` to credit feedback to
     const { data: routine, error: fetchError } = await supabase
       .from('routines')
-      .select('id, name, prompt, tool_chain, tool_chain_names, success_count, failure_count')
+      .select('id, name, prompt, tool_chain, tool_chain_names, success_count, failure_count, version')
       .eq('id', topMatch.routine_id)
       .single();
 
@@ -123,14 +126,14 @@ async function loadRoutineTools(supabase, toolChain, sourceMap, credentialsMap)
     supabase
       .from('template_tools')
       .select(`
-        id, name, description, method, path, parameters, request_body,
+        id, name, description, method, path, parameters, request_body, servers,
         risk_level, requires_confirmation, mcp_tool_name, template_id
       `)
       .in('id', toolChain),
     supabase
       .from('tools')
       .select(`
-        id, name, description, method, path, parameters, request_body,
+        id, name, description, method, path, parameters, request_body, servers,
         risk_level, requires_confirmation, source_id
       `)
       .in('id', toolChain),
@@ -165,6 +168,7 @@ async function loadRoutineTools(supabase, toolChain, sourceMap, credentialsMap)
       path: t.path,
       parameters: t.parameters,
       request_body: t.request_body,
+      servers: t.servers,
       risk_level: t.risk_level,
       requires_confirmation: t.requires_confirmation,
       mcp_tool_name: t.mcp_tool_name,
@@ -196,6 +200,7 @@ async function loadRoutineTools(supabase, toolChain, sourceMap, credentialsMap)
       path: t.path,
       parameters: t.parameters,
       request_body: t.request_body,
+      servers: t.servers,
       risk_level: t.risk_level,
       requires_confirmation: t.requires_confirmation,
       source_name: sourceName,
@@ -227,6 +232,21 @@ async function loadRoutineTools(supabase, toolChain, sourceMap, credentialsMap)
   return { toolRows: allToolRows, success: true };
 }
 
+/**
+ * Ids of a live MCP source's synced tool rows by MCP tool name (guardrails
+ * are keyed by tool id).
+ *
+ * @param {object} supabase - Supabase client
+ * @param {object} source - HTTP MCP source
+ * @returns {Promise<Map<string, string>>}
+ */
+async function loadMcpToolIds(supabase, source) {
+  const { data } = source.template_id
+    ? await supabase.from('template_tools').select('id, mcp_tool_name').eq('template_id', source.template_id)
+    : await supabase.from('tools').select('id, mcp_tool_name').eq('source_id', source.id);
+  return new Map((data || []).filter(t => t.mcp_tool_name).map(t => [t.mcp_tool_name, t.id]));
+}
+
 /**
  * Load tools from global template_tools table for template-based sources.
  *
@@ -285,7 +305,7 @@ async function loadTemplateTools(supabase, templateSources, userQuery = null, qu
         const { data: rows } = await supabase
           .from('template_tools')
           .select(`
-            id, name, description, method, path, parameters, request_body,
+            id, name, description, method, path, parameters, request_body, servers,
             risk_level, requires_confirmation, mcp_tool_name, template_id
           `)
           .in('id', toolIds);
@@ -316,6 +336,7 @@ async function loadTemplateTools(supabase, templateSources, userQuery = null, qu
             path: t.path,
             parameters: t.parameters,
             request_body: t.request_body,
+            servers: t.servers,
             risk_level: t.risk_level,
             requires_confirmation: t.requires_confirmation,
             mcp_tool_name: t.mcp_tool_name,
@@ -336,7 +357,7 @@ async function loadTemplateTools(supabase, templateSources, userQuery = null, qu
   const { data: rows } = await supabase
     .from('template_tools')
     .select(`
-      id, name, description, method, path, parameters, request_body,
+      id, name, description, method, path, parameters, request_body, servers,
       risk_level, requires_confirmation, mcp_tool_name, template_id
     `)
     .in('template_id', templateIds)
@@ -352,6 +373,7 @@ async function loadTemplateTools(supabase, templateSources, userQuery = null, qu
       path: t.path,
       parameters: t.parameters,
       request_body: t.request_body,
+      servers: t.servers,
       risk_level: t.risk_level,
       requires_confirmation: t.requires_confirmation,
       mcp_tool_name: t.mcp_tool_name,
@@ -373,20 +395,31 @@ async function loadTemplateTools(supabase, templateSources, userQuery = null, qu
  *
  * @param {object} supabase - Supabase client
  * @param {string} agentId - Agent UUID
- * @param {string} userId - User ID (for credentials)
+ * @param {string|null} userId - User ID (for credentials); null runs with shared credentials only
  * @param {object} options - Optional settings
  * @param {string[]} options.enabledSourceIds - If provided, only load tools from these sources
  * @param {string} options.userQuery - User's query for semantic tool search
+ * @param {object} options.agentSettings - Agent settings (servers: per-source environment choice)
+ * @param {object} [options.actionLog] - Action log context for tool calls, database-backed and MCP (see convertToolsToAISDK)
+ * @param {boolean} [options.dryRun] - Simulation mode: write calls are built but not sent
+ * @param {object} [options.redactionPolicy] - Org redaction policy, combined with each source's own
+ * @param {string|null} [options.role] - Caller's org role (guardrail exemptions)
+ * @param {Map} [options.escalations] - Collects guardrail reasons for approvals (see convertToolsToAISDK)
+ * @param {Map} [options.queuedApprovals] - Collects calls sent to the approval queue (see convertToolsToAISDK)
+ * @param {boolean} [options.canApprove] - false where nobody can approve (scheduled runs, see convertToolsToAISDK)
+ * @param {object} [options.routine] - Load this routine's tool_chain instead of matching one (deterministic and scheduled runs)
  * @returns {Promise<{tools, toolRows, sourceIds, sourcesWithHints}>}
  */
 export async function loadAgentTools(supabase, agentId, userId, options = {}) {
-  const { enabledSourceIds, userQuery, orgId } = options;
+  const { enabledSourceIds, userQuery, orgId, agentSettings, actionLog, dryRun = false, redactionPolicy = null, role = null, escalations, queuedApprovals, canApprove = true, routine: chosenRoutine } = options;
 
   // ─────────────────────────────────────────────────────────────────────────
   // 0. CHECK FOR ROUTINE MATCH (if we have orgId and a query)
   // ─────────────────────────────────────────────────────────────────────────
   let matchedRoutine = null;
-  if (orgId && userQuery) {
+  if (chosenRoutine?.tool_chain?.length > 0) {
+    matchedRoutine = { ...chosenRoutine, confidence: computeRoutineConfidence(chosenRoutine), similarity: 1 };
+  } else if (orgId && userQuery) {
     const { routine, confidence, similarity } = await matchRoutine(supabase, orgId, userQuery);
     if (routine && confidence >= 0.5 && routine.tool_chain?.length > 0) {
       console.log('[TOOLS] Using routine:', routine.name, '| tools:', routine.tool_chain.length);
@@ -416,8 +449,8 @@ export async function loadAgentTools(supabase, agentId, userId, options = {}) {
   const { data: sources } = await supabase
     .from('api_sources')
     .select(`
-      id, name, base_url, auth_type, auth_config,
-      source_type, mcp_server_uri, mcp_transport, mcp_env,
+      id, org_id, name, base_url, servers, server_variables, auth_type, auth_config,
+      credential_mode, shared_credentials, request_policy, idempotency_header, redaction_policy, guardrails, approval_policy, rate_limits, source_type, mcp_server_uri, mcp_transport, mcp_env,
       template_id
     `)
     .in('id', sourceIds);
@@ -438,21 +471,42 @@ export async function loadAgentTools(supabase, agentId, userId, options = {}) {
   }
   const templateMap = new Map(templates.map(t => [t.id, t]));
 
-  // Attach template hints to sources
-  const sourcesWithHints = sources?.map(s => {
-    const template = s.template_id ? templateMap.get(s.template_id) : null;
-    return { ...s, template };
-  }) || [];
+  // Load user credentials for these sources (only active ones; none without a user,
+  // e.g. a scheduled routine run as the service identity)
+  const { data: creds } = userId
+    ? await supabase
+      .from('user_api_credentials')
+      .select('id, source_id, label, credentials, server_url, server_variables')
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .in('source_id', sourceIds)
+    : { data: [] };
+
+  // Credentials are stored encrypted with the source org's data key
+  const sourceOrgMap = new Map(sources?.map(s => [s.id, s.org_id]) || []);
+  for (const c of creds || []) {
+    c.credentials = await decryptCredentials(sourceOrgMap.get(c.source_id), c.credentials);
+  }
 
-  // Load user credentials for these sources (only active ones)
-  const { data: creds } = await supabase
-    .from('user_api_credentials')
-    .select('source_id, credentials')
-    .eq('user_id', userId)
-    .eq('is_active', true)
-    .in('source_id', sourceIds);
+  // Pick the user's own or the org's shared credential per source (credential_mode)
+  const userCredRowMap = new Map(creds?.map(c => [c.source_id, c]) || []);
+  const credentialRowMap = new Map();
+  const credentialIdentityMap = new Map();
+  for (const s of sources || []) {
+    const { row, identity } = await resolveSourceCredential(s, userCredRowMap.get(s.id) || null, { userId });
+    if (row) credentialRowMap.set(s.id, row);
+    credentialIdentityMap.set(s.id, identity);
+  }
+  const credentialsMap = new Map([...credentialRowMap].map(([id, row]) => [id, row.credentials]));
 
-  const credentialsMap = new Map(creds?.map(c => [c.source_id, c.credentials]) || []);
+  // Attach template hints, the environment (agent setting, then user credential) and the
+  // redaction policy (org + source) to sources
+  // (the stored shared credential is resolved above and not carried any further)
+  const sourcesWithHints = sources?.map(({ shared_credentials, ...s }) => {
+    const template = s.template_id ? templateMap.get(s.template_id) : null;
+    const environment = mergeEnvironments(agentSettings?.servers?.[s.id], credentialRowMap.get(s.id));
+    return { ...withRedaction(s, redactionPolicy), template, environment };
+  }) || [];
 
   // Separate sources into three categories:
   // 1. HTTP MCP sources (live load via AI SDK)
@@ -475,15 +529,24 @@ export async function loadAgentTools(supabase, agentId, userId, options = {}) {
   // Load tools from HTTP MCP sources via AI SDK (live, no database sync needed)
   let mcpTools = {};
   for (const source of httpMcpSources) {
-    const credentials = credentialsMap.get(source.id);
-    if (!credentials) {
+    if (!credentialsMap.get(source.id)) {
       console.log('[TOOLS] Skipping MCP source', source.name, '- no credentials');
       continue;
     }
 
     try {
+      // The MCP client keeps this token for the whole turn, so refresh it up front
+      const credentials = await ensureFreshCredentials(supabase, source, credentialRowMap.get(source.id));
       console.log('[TOOLS] Loading MCP tools from', source.name, 'via AI SDK...');
-      const tools = await getWrappedMCPTools(source, credentials);
+      const tools = await getWrappedMCPTools(source, credentials, {
+        dryRun,
+        actionLog,
+        credentialIdentity: credentialIdentityMap.get(source.id),
+        toolIds: await loadMcpToolIds(supabase, source),
+        role,
+        escalations,
+        canApprove,
+      });
       mcpTools = { ...mcpTools, ...tools };
       console.log('[TOOLS] Loaded', Object.keys(tools).length, 'tools from', source.name);
     } catch (error) {
@@ -615,7 +678,7 @@ export async function loadAgentTools(supabase, agentId, userId, options = {}) {
             const { data: rows } = await supabase
               .from('tools')
               .select(`
-                id, name, description, method, path, parameters, request_body,
+                id, name, description, method, path, parameters, request_body, servers,
                 risk_level, requires_confirmation, source_id
               `)
               .in('id', toolIds);
@@ -643,6 +706,7 @@ export async function loadAgentTools(supabase, agentId, userId, options = {}) {
               path: t.path,
               parameters: t.parameters,
               request_body: t.request_body,
+              servers: t.servers,
               risk_level: t.risk_level,
               requires_confirmation: t.requires_confirmation,
               source_name: sourceById.get(t.source_id)?.name,
@@ -682,7 +746,16 @@ export async function loadAgentTools(supabase, agentId, userId, options = {}) {
   dbTools = convertToolsToAISDK(toolRows, {
     sourceMap,
     userCredentialsMap: credentialsMap,
+    credentialIdentityMap,
     userId,
+    // Refresh expiring OAuth2 tokens right before each call
+    resolveCredentials: (source) => ensureFreshCredentials(supabase, source, credentialRowMap.get(source.id)),
+    actionLog,
+    dryRun,
+    role,
+    escalations,
+    queuedApprovals,
+    canApprove,
   });
 
   // Merge MCP tools (AI SDK) with database tools
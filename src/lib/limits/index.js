@@ -0,0 +1,39 @@
+/**
+ * Limits Module - Rate limits and quotas
+ *
+ * - Rate limits: Messages per minute, daily LLM token budgets and tool calls
+ *   per hour, with the 429 responses for requests over them
+ * - Store: Fixed-window counters (in-memory by default, pluggable)
+ *
+ * Usage:
+ *   import { enforceMessageRate, RateLimitError } from '@/lib/limits';
+ *   import { setLimitStore } from '@/lib/limits';
+ */
+
+// Rate limits - What is limited and how it's enforced
+export {
+  RATE_LIMIT_SETTINGS,
+  RATE_LIMIT_SCOPES,
+  DEFAULT_EMBED_MESSAGES_PER_MINUTE,
+  EMBED_LOOKUPS_PER_MINUTE,
+  EMBED_WIDGET_MESSAGES_PER_MINUTE,
+  EMBED_WIDGET_LOOKUPS_PER_MINUTE,
+  RateLimitError,
+  validateRateLimits,
+  formatRetryAfter,
+  enforceMessageRate,
+  enforceLookupRate,
+  visitorAddress,
+  enforceTokenBudget,
+  recordTokenUsage,
+  consumeToolCall,
+  rateLimitResponse,
+  readRateLimitMessage,
+} from './rate-limits.js';
+
+// Store - Counters behind the limits
+export {
+  createMemoryLimitStore,
+  getLimitStore,
+  setLimitStore,
+} from './store.js';
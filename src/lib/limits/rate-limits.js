@@ -0,0 +1,385 @@
+/**
+ * Rate Limits and Quotas
+ *
+ * Admin-set limits, each counted in a fixed window (store.js):
+ *
+ * - Messages per minute, per user (`messages_per_minute`) and per embed visitor
+ *   (`embed_messages_per_minute`) - checked by /api/chat and /api/embed/chat.
+ *   Embed visitors get DEFAULT_EMBED_MESSAGES_PER_MINUTE unless one is set,
+ *   and all visitors of a widget together EMBED_WIDGET_MESSAGES_PER_MINUTE.
+ * - Entity lookups per minute, per embed visitor of a widget
+ *   (EMBED_LOOKUPS_PER_MINUTE) and for the whole widget
+ *   (EMBED_WIDGET_LOOKUPS_PER_MINUTE), fixed - checked by /api/embed/lookup.
+ * - LLM tokens per day (`tokens_per_day`, UTC days), for the whole org or one
+ *   agent - checked before the model is called, counted from its usage after.
+ * - Tool calls per hour, for a whole source (`calls_per_hour`) or one of its
+ *   tools (`tools: { [toolId]: calls_per_hour }`) - checked by the executor,
+ *   across all callers, for calls that are actually sent (live MCP tools are
+ *   checked by their wrapper, lib/mcp/wrapper.js).
+ *
+ * Message and token limits live in org.settings.rate_limits and
+ * agents.settings.rate_limits (both apply); tool limits in api_sources.rate_limits.
+ * A request over a limit gets a 429 with Retry-After; a tool call over one is
+ * not sent and its result says why. Embed visitors are told apart by address
+ * (visitorAddress); the widget totals keep visitors who change address from
+ * using up the org's tools and tokens.
+ */
+
+import { getLimitStore } from './store.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+export const RATE_LIMIT_SETTINGS = {
+  messages_per_minute: { min: 1, max: 1000, scopes: ['org', 'agent'] },
+  embed_messages_per_minute: { min: 1, max: 1000, scopes: ['org', 'agent'] },
+  tokens_per_day: { min: 1000, max: 1000000000, scopes: ['org', 'agent'] },
+  calls_per_hour: { min: 1, max: 100000, scopes: ['source'] },
+};
+
+export const RATE_LIMIT_SCOPES = ['org', 'agent', 'source'];
+
+// Public widgets are limited even when nobody set a limit
+export const DEFAULT_EMBED_MESSAGES_PER_MINUTE = 10;
+
+// Lookups run as the visitor types in a widget's form field
+export const EMBED_LOOKUPS_PER_MINUTE = 30;
+
+// All visitors of one widget together
+export const EMBED_WIDGET_MESSAGES_PER_MINUTE = 120;
+export const EMBED_WIDGET_LOOKUPS_PER_MINUTE = 300;
+
+/**
+ * Raised when a request is over one of its limits.
+ */
+export class RateLimitError extends Error {
+  /**
+   * @param {string} message - Shown to the user as is
+   * @param {object} details
+   * @param {string} details.limit - Setting name, e.g. "messages_per_minute"
+   * @param {string} details.scope - 'org', 'agent', 'source' or 'embed' (a widget's visitors)
+   * @param {number} details.max - The configured limit
+   * @param {number} details.retryAfter - Seconds until the window resets
+   */
+  constructor(message, { limit, scope, max, retryAfter }) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.status = 429;
+    this.limit = limit;
+    this.scope = scope;
+    this.max = max;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function checkValue(key, value) {
+  const { min, max } = RATE_LIMIT_SETTINGS[key];
+  if (!Number.isInteger(value) || value < min || value > max) {
+    return `${key} must be an integer between ${min} and ${max}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a rate_limits update from the API.
+ *
+ * @param {object|null} input
+ * @param {'org'|'agent'|'source'} scope - Sources take calls_per_hour and `tools`,
+ *   orgs and agents the message and token limits
+ * @returns {{ limits: object|null, error: string|null }} Only the set keys; null or {} clears
+ */
+export function validateRateLimits(input, scope) {
+  if (input === null || input === undefined) return { limits: {}, error: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { limits: null, error: 'rate_limits must be an object' };
+  }
+
+  const limits = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (value === null || value === undefined) continue;
+
+    if (key === 'tools' && scope === 'source') {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return { limits: null, error: 'rate_limits.tools must map tool ids to calls per hour' };
+      }
+      const tools = {};
+      for (const [toolId, perHour] of Object.entries(value)) {
+        if (perHour === null || perHour === undefined) continue;
+        const error = checkValue('calls_per_hour', perHour);
+        if (error) return { limits: null, error: `rate_limits.tools.${toolId}: ${error}` };
+        tools[toolId] = perHour;
+      }
+      if (Object.keys(tools).length > 0) limits.tools = tools;
+      continue;
+    }
+
+    if (!RATE_LIMIT_SETTINGS[key]?.scopes.includes(scope)) {
+      return { limits: null, error: `Unknown rate limit for ${scope === 'source' ? 'a source' : `an ${scope}`}: ${key}` };
+    }
+    const error = checkValue(key, value);
+    if (error) return { limits: null, error };
+    limits[key] = value;
+  }
+  return { limits, error: null };
+}
+
+// Stored limits as enforced: broken entries are ignored rather than failing requests
+function storedLimit(stored, key, setting = key) {
+  const value = stored?.[key];
+  return checkValue(setting, value) ? null : value;
+}
+
+function windowFor(windowMs, now) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, resetsIn: start + windowMs - now };
+}
+
+/**
+ * Seconds (or minutes and hours) in words: "45s", "12m", "3h 5m".
+ */
+export function formatRetryAfter(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+}
+
+// Count one hit in the window; the store failing never blocks a request
+async function hit(key, windowMs, now, amount = 1) {
+  const { start, resetsIn } = windowFor(windowMs, now);
+  try {
+    const count = await getLimitStore().increment(`${key}:${start}`, amount, resetsIn);
+    return { count, retryAfter: Math.ceil(resetsIn / 1000) };
+  } catch (error) {
+    console.warn('[LIMITS] Store unavailable, not counting', key, ':', error.message);
+    return { count: 0, retryAfter: 0 };
+  }
+}
+
+async function peek(key, windowMs, now) {
+  const { start, resetsIn } = windowFor(windowMs, now);
+  try {
+    return { count: await getLimitStore().get(`${key}:${start}`), retryAfter: Math.ceil(resetsIn / 1000) };
+  } catch (error) {
+    console.warn('[LIMITS] Store unavailable, not checking', key, ':', error.message);
+    return { count: 0, retryAfter: 0 };
+  }
+}
+
+/**
+ * Count one chat message and throw when it is over a limit.
+ * Both the org's and the agent's limit apply.
+ *
+ * @param {object} params
+ * @param {string} params.orgId
+ * @param {string} params.agentId
+ * @param {string} params.subject - Who is sending: a user id, or the embed visitor's address
+ * @param {object|null} params.orgLimits - org.settings.rate_limits
+ * @param {object|null} params.agentLimits - agents.settings.rate_limits
+ * @param {boolean} [params.embed] - An embed visitor (embed_messages_per_minute)
+ * @param {string} [params.embedId] - The visitor's widget (embed_configs.id), for its total
+ * @throws {RateLimitError}
+ */
+export async function enforceMessageRate({ orgId, agentId, subject, orgLimits, agentLimits, embed = false, embedId = null }, now = Date.now()) {
+  const setting = embed ? 'embed_messages_per_minute' : 'messages_per_minute';
+  const checks = [
+    { scope: 'org', max: storedLimit(orgLimits, setting), key: `msg:${setting}:${orgId}:${subject}` },
+    { scope: 'agent', max: storedLimit(agentLimits, setting), key: `msg:${setting}:${orgId}:${agentId}:${subject}` },
+  ];
+  if (embed && !checks.some(c => c.max)) checks[0].max = DEFAULT_EMBED_MESSAGES_PER_MINUTE;
+
+  for (const { scope, max, key } of checks) {
+    if (!max) continue;
+    const { count, retryAfter } = await hit(key, MINUTE_MS, now);
+    if (count > max) {
+      throw new RateLimitError(
+        `Too many messages: ${scope === 'agent' ? 'this agent allows' : 'the limit is'} ${max} per minute for each ${embed ? 'visitor' : 'user'}. Try again in ${formatRetryAfter(retryAfter)}.`,
+        { limit: setting, scope, max, retryAfter }
+      );
+    }
+  }
+
+  if (embedId) {
+    await enforceWidgetTotal('messages', `msg:embed_widget:${orgId}:${embedId}`, EMBED_WIDGET_MESSAGES_PER_MINUTE, now);
+  }
+}
+
+// All visitors of a widget together
+async function enforceWidgetTotal(what, key, max, now) {
+  const { count, retryAfter } = await hit(key, MINUTE_MS, now);
+  if (count > max) {
+    throw new RateLimitError(
+      `This widget is getting too many ${what} right now. Try again in ${formatRetryAfter(retryAfter)}.`,
+      { limit: `embed_widget_${what}_per_minute`, scope: 'embed', max, retryAfter }
+    );
+  }
+}
+
+/**
+ * Count one entity lookup from an embed visitor and throw when it is over
+ * EMBED_LOOKUPS_PER_MINUTE, or the widget over EMBED_WIDGET_LOOKUPS_PER_MINUTE.
+ *
+ * @param {object} params
+ * @param {string} params.orgId
+ * @param {string} params.embedId - embed_configs.id
+ * @param {string} params.subject - The visitor's address
+ * @throws {RateLimitError}
+ */
+export async function enforceLookupRate({ orgId, embedId, subject }, now = Date.now()) {
+  const max = EMBED_LOOKUPS_PER_MINUTE;
+  const { count, retryAfter } = await hit(`lookup:${orgId}:${embedId}:${subject}`, MINUTE_MS, now);
+  if (count > max) {
+    throw new RateLimitError(
+      `Too many lookups: the limit is ${max} per minute for each visitor. Try again in ${formatRetryAfter(retryAfter)}.`,
+      { limit: 'embed_lookups_per_minute', scope: 'embed', max, retryAfter }
+    );
+  }
+  await enforceWidgetTotal('lookups', `lookup:widget:${orgId}:${embedId}`, EMBED_WIDGET_LOOKUPS_PER_MINUTE, now);
+}
+
+/**
+ * An embed visitor's address: the last X-Forwarded-For entry, which the
+ * platform's proxy appends (entries before it come from the client and can
+ * be anything), else X-Real-IP.
+ *
+ * @param {Request} request
+ * @returns {string} 'unknown' when neither header is set
+ */
+export function visitorAddress(request) {
+  const forwarded = request.headers.get('x-forwarded-for')?.split(',').map(entry => entry.trim()).filter(Boolean);
+  return forwarded?.at(-1) || request.headers.get('x-real-ip')?.trim() || 'unknown';
+}
+
+/**
+ * Throw when the org or the agent has used up today's LLM token budget.
+ * Usage is added afterwards with recordTokenUsage.
+ *
+ * @param {object} params - { orgId, agentId, orgLimits, agentLimits }
+ * @throws {RateLimitError}
+ */
+export async function enforceTokenBudget({ orgId, agentId, orgLimits, agentLimits }, now = Date.now()) {
+  const checks = [
+    { scope: 'org', max: storedLimit(orgLimits, 'tokens_per_day'), key: `tokens:org:${orgId}`, who: 'This organization' },
+    { scope: 'agent', max: storedLimit(agentLimits, 'tokens_per_day'), key: `tokens:agent:${agentId}`, who: 'This agent' },
+  ];
+
+  for (const { scope, max, key, who } of checks) {
+    if (!max) continue;
+    const { count, retryAfter } = await peek(key, DAY_MS, now);
+    if (count >= max) {
+      throw new RateLimitError(
+        `${who} has used its daily budget of ${max.toLocaleString('en-US')} LLM tokens. It resets at midnight UTC, in ${formatRetryAfter(retryAfter)}.`,
+        { limit: 'tokens_per_day', scope, max, retryAfter }
+      );
+    }
+  }
+}
+
+/**
+ * Add a response's LLM tokens to today's org and agent totals.
+ * Counted whether or not a budget is set, so a budget set mid-day sees the day's usage.
+ *
+ * @param {object} params - { orgId, agentId }
+ * @param {number} tokens - Total (input + output) tokens of the response
+ */
+export async function recordTokenUsage({ orgId, agentId }, tokens, now = Date.now()) {
+  if (!Number.isFinite(tokens) || tokens <= 0) return;
+  if (orgId) await hit(`tokens:org:${orgId}`, DAY_MS, now, tokens);
+  if (agentId) await hit(`tokens:agent:${agentId}`, DAY_MS, now, tokens);
+}
+
+/**
+ * Count one tool call against its source's limits.
+ *
+ * @param {object} source - With id, name and rate_limits (api_sources.rate_limits)
+ * @param {object} tool - With id (or tool_id) and name
+ * @returns {Promise<{ limit: string, scope: string, max: number, retry_after: number, message: string }|null>}
+ *   Why the call can't be sent now, or null when it can
+ */
+export async function consumeToolCall(source, tool, now = Date.now()) {
+  const stored = source?.rate_limits;
+  if (!stored || typeof stored !== 'object') return null;
+
+  const toolId = tool.tool_id || tool.id;
+  const checks = [
+    { scope: 'source', max: storedLimit(stored, 'calls_per_hour'), key: `calls:source:${source.id}`, what: source.name },
+    { scope: 'tool', max: storedLimit(stored.tools, toolId, 'calls_per_hour'), key: `calls:tool:${source.id}:${toolId}`, what: tool.name },
+  ];
+
+  const counted = [];
+  for (const { scope, max, key, what } of checks) {
+    if (!max) continue;
+    const { count, retryAfter } = await hit(key, HOUR_MS, now);
+    counted.push(key);
+    if (count > max) {
+      // The call isn't sent: take back its hits, so a capped tool doesn't use up the source's limit
+      for (const countedKey of counted) await hit(countedKey, HOUR_MS, now, -1);
+      return {
+        limit: 'calls_per_hour',
+        scope,
+        max,
+        retry_after: retryAfter,
+        message: `Rate limit reached: at most ${max} ${max === 1 ? 'call' : 'calls'} per hour to ${what}. Try again in ${formatRetryAfter(retryAfter)}.`,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * The 429 response for a RateLimitError.
+ *
+ * @param {RateLimitError} error
+ * @param {object} [headers] - Extra headers (CORS)
+ * @returns {Response} `{ error, rate_limit: { limit, scope, max, retry_after } }`
+ */
+export function rateLimitResponse(error, headers = {}) {
+  return new Response(
+    JSON.stringify({
+      error: error.message,
+      rate_limit: { limit: error.limit, scope: error.scope, max: error.max, retry_after: error.retryAfter },
+    }),
+    {
+      status: 429,
+      headers: { 'Content-Type': 'application/json', 'Retry-After': String(error.retryAfter), ...headers },
+    }
+  );
+}
+
+/**
+ * The user-facing message of a rateLimitResponse body, e.g. from the error a
+ * chat transport throws (its message is the response text).
+ *
+ * @param {string} text
+ * @returns {string|null} null when the text isn't a rate limit response
+ */
+export function readRateLimitMessage(text) {
+  try {
+    const data = JSON.parse(text);
+    return data?.rate_limit && typeof data.error === 'string' ? data.error : null;
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  RATE_LIMIT_SETTINGS,
+  RATE_LIMIT_SCOPES,
+  DEFAULT_EMBED_MESSAGES_PER_MINUTE,
+  EMBED_LOOKUPS_PER_MINUTE,
+  EMBED_WIDGET_MESSAGES_PER_MINUTE,
+  EMBED_WIDGET_LOOKUPS_PER_MINUTE,
+  RateLimitError,
+  validateRateLimits,
+  formatRetryAfter,
+  enforceMessageRate,
+  enforceLookupRate,
+  visitorAddress,
+  enforceTokenBudget,
+  recordTokenUsage,
+  consumeToolCall,
+  rateLimitResponse,
+  readRateLimitMessage,
+};
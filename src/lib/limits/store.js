@@ -0,0 +1,82 @@
+/**
+ * Limit Store
+ *
+ * Counters behind the rate limits and quotas (rate-limits.js). Each counter
+ * is one fixed window - the key already names the window - and expires with it.
+ *
+ * The default store is in-memory, so limits are per server instance and reset
+ * on restart. A shared backend (Redis, a database table) plugs in with
+ * setLimitStore; it only has to implement:
+ *
+ *   increment(key, amount, ttlMs) → Promise<number>  add to the counter (creating it
+ *                                                    with the TTL), resolve to the new total
+ *   get(key)                      → Promise<number>  the current total, 0 when missing or expired
+ *
+ * With Redis that's INCRBY + PEXPIRE NX, and GET.
+ */
+
+// Sweep expired counters once the map gets this big
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * An in-memory limit store.
+ *
+ * @param {function(): number} [clock] - Current time in ms (tests)
+ * @returns {{ increment: Function, get: Function, clear: Function }}
+ */
+export function createMemoryLimitStore(clock = Date.now) {
+  const counters = new Map();
+
+  const sweep = (now) => {
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key);
+    }
+  };
+
+  return {
+    async increment(key, amount, ttlMs) {
+      const now = clock();
+      let counter = counters.get(key);
+      if (!counter || counter.expiresAt <= now) {
+        if (counters.size >= SWEEP_THRESHOLD) sweep(now);
+        counter = { value: 0, expiresAt: now + ttlMs };
+        counters.set(key, counter);
+      }
+      counter.value += amount;
+      return counter.value;
+    },
+
+    async get(key) {
+      const counter = counters.get(key);
+      if (!counter || counter.expiresAt <= clock()) return 0;
+      return counter.value;
+    },
+
+    /** Forget all counters (tests). */
+    clear() {
+      counters.clear();
+    },
+  };
+}
+
+let store = createMemoryLimitStore();
+
+/**
+ * The store limits are counted in.
+ */
+export function getLimitStore() {
+  return store;
+}
+
+/**
+ * Count limits in another store (a shared backend, or a fresh one in tests).
+ */
+export function setLimitStore(next) {
+  store = next;
+}
+
+export default {
+  createMemoryLimitStore,
+  getLimitStore,
+  setLimitStore,
+};
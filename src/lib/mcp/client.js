@@ -16,12 +16,20 @@ import { createMCPClient } from '@ai-sdk/mcp';
 // Cache active MCP clients per source + credential
 const clientCache = new Map();
 
+/**
+ * Bearer token to send: OAuth2 access token, static token or API key.
+ */
+function getAuthToken(credentials) {
+  return credentials?.access_token || credentials?.token || credentials?.api_key;
+}
+
 /**
  * Generate cache key for connection pooling.
- * Each user's credentials get their own connection.
+ * Each user's credentials get their own connection; a refreshed OAuth2
+ * access token gets a new one.
  */
 function getCacheKey(sourceId, credentials) {
-  const tokenSuffix = credentials?.token?.slice(-8) || credentials?.api_key?.slice(-8) || 'anon';
+  const tokenSuffix = getAuthToken(credentials)?.slice(-8) || 'anon';
   return `${sourceId}:${tokenSuffix}`;
 }
 
@@ -29,7 +37,7 @@ function getCacheKey(sourceId, credentials) {
  * Create or retrieve an MCP client for a source.
  *
  * @param {object} source - Source config with mcp_server_uri
- * @param {object} credentials - User credentials (token, api_key, etc.)
+ * @param {object} credentials - User credentials (access_token, token, api_key, etc.)
  * @returns {Promise<MCPClient>}
  */
 export async function getMCPClient(source, credentials) {
@@ -41,7 +49,7 @@ export async function getMCPClient(source, credentials) {
   }
 
   const { mcp_server_uri } = source;
-  const authToken = credentials?.token || credentials?.api_key;
+  const authToken = getAuthToken(credentials);
 
   // Validate HTTP transport
   const isHttpUrl = mcp_server_uri?.startsWith('http://') || mcp_server_uri?.startsWith('https://');
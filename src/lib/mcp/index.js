@@ -45,5 +45,6 @@ export {
 // Wrapper - Apply hints to AI SDK tools
 export {
   getWrappedMCPTools,
+  wrapMCPTools,
   loadAllMCPTools,
 } from './wrapper.js';
@@ -3,11 +3,25 @@
  *
  * The AI SDK's mcpClient.tools() returns tools that execute directly.
  * This wrapper adds our hint system (preProcessArgs, postProcessResult)
- * without reimplementing the MCP protocol.
+ * without reimplementing the MCP protocol, and records each call in
+ * action_log like database-backed tools. Arguments are checked against the
+ * tool's input schema first (tools/validator.js): an invalid call is not
+ * sent, and the model gets the errors to fix. The source's guardrails then
+ * apply as for database-backed tools (tools/guardrails.js): a `block` rule
+ * stops the call, a `confirm` rule asks the user for approval first. Calls
+ * that are sent count against the source's per-hour limits (limits/rate-limits.js).
  */
 
 import { getMCPTools } from './client.js';
 import { preProcessArgs, postProcessResult } from './hints.js';
+import { parseToolResult } from './parser.js';
+import { isWriteCall, formatDryRunResult } from '../tools/dry-run.js';
+import { redactionRules, redactValue } from '../tools/redaction.js';
+import { validateToolArgs, describeValidationErrors } from '../tools/validator.js';
+import { guardrailsForTool, evaluateGuardrails, describeGuardrails } from '../tools/guardrails.js';
+import { formatToolResult } from '../tools/executor.js';
+import { startAction, finishAction, recordPendingAction } from '../audit/action-log.js';
+import { consumeToolCall } from '../limits/rate-limits.js';
 
 /**
  * Clean empty values from args before sending to MCP.
@@ -31,15 +45,41 @@ function cleanArgs(args) {
  *
  * @param {object} source - Source config with template hints
  * @param {object} credentials - User credentials
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Dangerous tools return the call they would make instead of executing
+ * @param {object} [options.actionLog] - { supabase (service role), orgId, userId, agentId, chatId, origin }: record calls in action_log
+ * @param {object} [options.credentialIdentity] - Whose credential the calls use, for the log
+ * @param {Map} [options.toolIds] - MCP tool name → id of its synced tool row, which the
+ *   source's guardrails are keyed by
+ * @param {string|null} [options.role] - Caller's org role, for guardrails with `unless_role`
+ * @param {Map} [options.escalations] - Collects guardrail reasons for approvals (see convertToolsToAISDK)
+ * @param {boolean} [options.canApprove] - false where nobody can approve: calls that break a
+ *   `confirm` guardrail are then stopped instead
+ *
+ * Results are masked with the human rules of `source.redaction` (see tools/redaction.js);
+ * the model gets them with the llm rules applied as well.
  * @returns {Promise<object>} Wrapped tools for AI SDK
  */
-export async function getWrappedMCPTools(source, credentials) {
+export async function getWrappedMCPTools(source, credentials, options = {}) {
   // Get raw tools from AI SDK MCP client
   const rawTools = await getMCPTools(source, credentials);
+  return wrapMCPTools(source, rawTools, options);
+}
 
+/**
+ * Wrap the AI SDK tools of an MCP source (see getWrappedMCPTools).
+ *
+ * @param {object} source - Source config with template hints
+ * @param {object} rawTools - From mcpClient.tools()
+ * @param {object} [options] - As for getWrappedMCPTools
+ * @returns {object} Wrapped tools for AI SDK
+ */
+export function wrapMCPTools(source, rawTools, { dryRun = false, actionLog = null, credentialIdentity = null, toolIds = null, role = null, escalations, canApprove = true } = {}) {
   // Get hints from template
   const hints = source.template?.mcp_hints || {};
   const hasHints = Object.keys(hints).length > 0;
+  // Error text from the server can carry the same data as results
+  const maskError = (text) => redactValue(text, redactionRules(source.redaction, 'human')).value;
 
   console.log('[MCP WRAP] Source:', source.name);
   console.log('[MCP WRAP] Template:', source.template?.slug || '(none)');
@@ -51,35 +91,174 @@ export async function getWrappedMCPTools(source, credentials) {
   const wrappedTools = {};
 
   for (const [toolName, tool] of Object.entries(rawTools)) {
-    wrappedTools[toolName] = {
+    const url = `mcp://${source.name}/${toolName}`;
+    // The server's input schema, as a tool row for the validator
+    const schemaTool = { name: toolName, method: 'MCP', parameters: tool.inputSchema?.jsonSchema };
+    const guardrails = guardrailsForTool(source, toolIds?.get(toolName));
+    const simulated = dryRun && isWriteCall({ method: 'MCP', path: toolName, description: tool.description });
+    const escalates = canApprove && !simulated && guardrails.some(rule => rule.action === 'confirm');
+
+    // A call stopped before it was sent: logged as failed, returned like the converter's results
+    const stopCall = async (actionId, args, result) => {
+      const stopped = { url: null, response_status: 0, duration_ms: 0, credential_identity: credentialIdentity, ...result };
+      await finishAction(actionLog?.supabase, actionId, stopped);
+      return {
+        _actionchat: {
+          tool_name: toolName,
+          source_id: source.id,
+          source_name: source.name,
+          method: 'MCP',
+          url: null,
+          request_body: args,
+          response_status: 0,
+          response_body: stopped.response_body,
+          error_message: stopped.error_message,
+          action_id: actionId,
+          guardrail_violations: stopped.guardrail_violations,
+        },
+        result: formatToolResult(stopped),
+      };
+    };
+
+    const wrapped = {
       ...tool,
+      description: [tool.description, describeGuardrails(guardrails)].filter(Boolean).join(' '),
       execute: async (args, options) => {
         // Clean empty values (LLM often generates email: "" which breaks filtering)
         const cleanedArgs = cleanArgs(args);
-        
+
+        // Check (and coerce) the arguments against the tool's input schema
+        const validation = validateToolArgs(schemaTool, cleanedArgs);
+
         // Pre-process args with hints (e.g., add default expand)
-        const processedArgs = hasHints 
-          ? preProcessArgs(cleanedArgs, toolName, hints)
-          : cleanedArgs;
+        const processedArgs = hasHints
+          ? preProcessArgs(validation.args, toolName, hints)
+          : validation.args;
 
         console.log('[MCP WRAP] Executing:', toolName);
-        console.log('[MCP WRAP] Original args:', JSON.stringify(args));
-        console.log('[MCP WRAP] Cleaned args:', JSON.stringify(cleanedArgs));
-        if (hasHints) {
-          console.log('[MCP WRAP] Processed args:', JSON.stringify(processedArgs));
+
+        // The admin's argument rules; a `confirm` rule was asked about in needsApproval,
+        // so reaching here with one broken means the user approved the call
+        const check = evaluateGuardrails(guardrails, validation.args, { role });
+        const approved = escalates && check.needsConfirmation;
+
+        const actionId = actionLog
+          ? await startAction(actionLog.supabase, actionLog, {
+            toolCallId: options?.toolCallId,
+            toolName,
+            sourceId: source.id,
+            method: 'MCP',
+            args: processedArgs,
+            approved,
+          })
+          : null;
+
+        if (!validation.valid) {
+          console.warn('[MCP WRAP] Invalid arguments for', toolName, ':', JSON.stringify(validation.errors));
+          return stopCall(actionId, processedArgs, {
+            response_body: { error: 'invalid_arguments', errors: validation.errors },
+            error_message: describeValidationErrors(validation.errors),
+            validation_errors: validation.errors,
+          });
+        }
+
+        // Then the guardrails: blocked, or broken without the user's approval
+        if (check.blocked || (check.needsConfirmation && !escalates && !simulated)) {
+          const reasons = check.violations.map(v => v.reason).join('; ');
+          console.warn('[MCP WRAP] Guardrail stopped', toolName, ':', reasons);
+          return stopCall(actionId, processedArgs, {
+            response_body: { error: check.blocked ? 'guardrail_blocked' : 'confirmation_required', violations: check.violations },
+            error_message: `${check.blocked ? 'Blocked by guardrail' : 'Needs confirmation'}: ${reasons}`,
+            guardrail_violations: check.violations,
+            needs_confirmation: !check.blocked,
+          });
+        }
+
+        // Dry run: report the call instead of making it
+        if (simulated) {
+          const simulated_request = { method: 'MCP', tool: toolName, arguments: processedArgs };
+          await finishAction(actionLog?.supabase, actionId, { url, dry_run: true, credential_identity: credentialIdentity });
+          return {
+            _actionchat: {
+              tool_name: toolName,
+              source_id: source.id,
+              source_name: source.name,
+              method: 'MCP',
+              url,
+              dry_run: true,
+              simulated_request,
+            },
+            result: formatDryRunResult(simulated_request),
+          };
+        }
+
+        // Calls that would be sent count against the source's per-hour limits
+        const limited = await consumeToolCall(source, { id: toolIds?.get(toolName), name: toolName });
+        if (limited) {
+          console.warn('[MCP WRAP] Rate limit stopped', toolName, ':', limited.message);
+          return stopCall(actionId, processedArgs, { error_message: limited.message, rate_limited: limited });
         }
 
         // Execute the original tool
-        const result = await tool.execute(processedArgs, options);
+        const startTime = Date.now();
+        let result;
+        try {
+          result = await tool.execute(processedArgs, options);
+        } catch (error) {
+          await finishAction(actionLog?.supabase, actionId, {
+            url,
+            error_message: maskError(error.message),
+            duration_ms: Date.now() - startTime,
+            credential_identity: credentialIdentity,
+          });
+          throw error;
+        }
+
+        const parsed = parseToolResult(result);
+        await finishAction(actionLog?.supabase, actionId, {
+          url,
+          response_status: parsed.isError ? 500 : 200,
+          error_message: parsed.isError ? maskError(parsed.text) || 'The MCP tool returned an error' : null,
+          duration_ms: Date.now() - startTime,
+          credential_identity: credentialIdentity,
+        });
 
         // Post-process result with hints (e.g., detect thin data)
         const processedResult = hasHints
           ? postProcessResult(result, toolName, hints)
           : result;
 
-        return processedResult;
+        return redactValue(processedResult, redactionRules(source.redaction, 'human')).value;
+      },
+      toModelOutput: async ({ toolCallId, input, output }) => {
+        const { value } = redactValue(output, redactionRules(source.redaction, 'llm'));
+        return tool.toModelOutput
+          ? tool.toModelOutput({ toolCallId, input, output: value })
+          : { type: 'json', value };
       },
     };
+
+    // Calls that break a `confirm` guardrail wait for the user's approval (blocked calls go
+    // through to execute, which stops them)
+    if (escalates) {
+      wrapped.needsApproval = async (args, { toolCallId }) => {
+        const check = evaluateGuardrails(guardrails, validateToolArgs(schemaTool, cleanArgs(args)).args, { role });
+        if (!check.needsConfirmation) return false;
+        escalations?.set(toolCallId, check.violations.map(v => v.reason));
+        if (actionLog) {
+          await recordPendingAction(actionLog.supabase, actionLog, {
+            toolCallId,
+            toolName,
+            sourceId: source.id,
+            method: 'MCP',
+            args,
+          });
+        }
+        return true;
+      };
+    }
+
+    wrappedTools[toolName] = wrapped;
   }
 
   return wrappedTools;
@@ -130,5 +309,6 @@ export async function loadAllMCPTools(sources, credentialsMap) {
 
 export default {
   getWrappedMCPTools,
+  wrapMCPTools,
   loadAllMCPTools,
 };
@@ -0,0 +1,82 @@
+/**
+ * OAuth2 Credentials
+ *
+ * Keep a user's OAuth2 access token fresh: refresh it shortly before it expires
+ * and write the new tokens back to user_api_credentials. Called before every
+ * tool execution (HTTP and MCP) for sources with auth_type 'oauth2'.
+ */
+
+import { isTokenExpiring, refreshAccessToken } from './flow.js';
+import { decryptAuthConfig, encryptCredentials } from '../secrets/keyring.js';
+
+// One refresh per credential at a time; parallel tool calls share it.
+// Providers that rotate refresh tokens reject the second use of the old one.
+const inflightRefreshes = new Map();
+
+/**
+ * Return usable credentials for a source, refreshing OAuth2 tokens if needed.
+ * Non-OAuth2 credentials are returned unchanged.
+ *
+ * @param {object} supabase - Supabase client (user-scoped; RLS allows updating own credentials)
+ * @param {object} source - Source with org_id, name, auth_type, auth_config
+ * @param {object|null} credentialRow - user_api_credentials row: { id, credentials } (credentials decrypted)
+ * @returns {Promise<object|null>} Credentials to pass to executeTool / getMCPClient
+ */
+export async function ensureFreshCredentials(supabase, source, credentialRow) {
+  const credentials = credentialRow?.credentials || null;
+  if (source?.auth_type !== 'oauth2' || !credentials) return credentials;
+  if (!isTokenExpiring(credentials)) return credentials;
+
+  if (!credentials.refresh_token) {
+    throw new Error(
+      `Your connection to "${source.name}" has expired. Reconnect it from the credentials dialog.`
+    );
+  }
+
+  const key = credentialRow.id;
+  if (inflightRefreshes.has(key)) {
+    return inflightRefreshes.get(key);
+  }
+
+  const refresh = (async () => {
+    let refreshed;
+    try {
+      const authConfig = await decryptAuthConfig(source.org_id, source.auth_config || {});
+      refreshed = await refreshAccessToken(authConfig, credentials);
+    } catch (error) {
+      console.error('[OAUTH] Refresh failed for', source.name, ':', error.message);
+      if (error.code === 'invalid_grant') {
+        throw new Error(
+          `Your connection to "${source.name}" was revoked or expired. Reconnect it from the credentials dialog.`
+        );
+      }
+      throw error;
+    }
+
+    const { error } = await supabase
+      .from('user_api_credentials')
+      .update({ credentials: await encryptCredentials(source.org_id, refreshed) })
+      .eq('id', credentialRow.id);
+
+    if (error) {
+      // The new token still works for this call; the next one refreshes again
+      console.error('[OAUTH] Failed to store refreshed token for', source.name, ':', error.message);
+    } else {
+      console.log('[OAUTH] Refreshed token for', source.name, '| expires:', refreshed.expires_at);
+    }
+
+    credentialRow.credentials = refreshed;
+    return refreshed;
+  })();
+
+  inflightRefreshes.set(key, refresh);
+  try {
+    return await refresh;
+  } finally {
+    inflightRefreshes.delete(key);
+  }
+}
+
+export default {
+  ensureFreshCredentials,
+};
@@ -0,0 +1,234 @@
+/**
+ * OAuth2 Flow
+ *
+ * Authorization-code + PKCE (RFC 7636) for per-user source credentials:
+ * build the authorize URL, exchange the code, refresh access tokens.
+ *
+ * Source auth_config for auth_type 'oauth2':
+ *   { authorization_url, token_url, client_id, client_secret?, scopes: [] | 'a b',
+ *     token_auth_method?: 'client_secret_post' | 'client_secret_basic', scheme? }
+ *
+ * Stored credentials (user_api_credentials.credentials):
+ *   { access_token, refresh_token, token_type, scope, expires_at }
+ */
+
+import crypto from 'crypto';
+
+// Refresh tokens this long before they expire (covers slow tool calls)
+export const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// httpOnly cookie holding state + code_verifier between authorize and callback
+export const OAUTH_FLOW_COOKIE = 'oauth_flow';
+export const OAUTH_FLOW_MAX_AGE = 10 * 60;
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Generate a PKCE code_verifier and its S256 code_challenge.
+ *
+ * @returns {{ codeVerifier: string, codeChallenge: string }}
+ */
+export function createPkcePair() {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Random value for the `state` parameter.
+ */
+export function createState() {
+  return base64url(crypto.randomBytes(16));
+}
+
+/**
+ * Our callback URL, registered with the provider as the redirect URI.
+ *
+ * @param {string} requestUrl - URL of the current request (fallback when NEXT_PUBLIC_APP_URL is unset)
+ */
+export function getRedirectUri(requestUrl) {
+  const origin = process.env.NEXT_PUBLIC_APP_URL || new URL(requestUrl).origin;
+  return `${origin.replace(/\/+$/, '')}/api/oauth/callback`;
+}
+
+/**
+ * Only allow same-origin relative paths as the post-connect destination.
+ */
+export function sanitizeReturnTo(value) {
+  if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.startsWith('/\\')) {
+    return '/';
+  }
+  return value;
+}
+
+/**
+ * Check that a source's auth_config has what the flow needs.
+ *
+ * @returns {string|null} Error message, or null if usable
+ */
+export function validateOAuthConfig(authConfig) {
+  const config = authConfig || {};
+  if (!config.authorization_url) return 'OAuth authorization URL is not configured for this source';
+  if (!config.token_url) return 'OAuth token URL is not configured for this source';
+  if (!config.client_id) return 'OAuth client ID is not configured for this source';
+  return null;
+}
+
+/**
+ * Build the URL that sends the user to the provider's consent screen.
+ *
+ * @param {object} authConfig - Source auth_config
+ * @param {object} opts
+ * @param {string} opts.redirectUri - Our callback URL
+ * @param {string} opts.state - Opaque value echoed back on the callback
+ * @param {string} opts.codeChallenge - PKCE S256 challenge
+ * @returns {string}
+ */
+export function buildAuthorizationUrl(authConfig, { redirectUri, state, codeChallenge }) {
+  const url = new URL(authConfig.authorization_url);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', authConfig.client_id);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  // Scopes come from the spec as an array, or from the source page as a space-separated string
+  const scopes = Array.isArray(authConfig.scopes)
+    ? authConfig.scopes
+    : String(authConfig.scopes || '').split(/\s+/).filter(Boolean);
+  if (scopes.length > 0) {
+    url.searchParams.set('scope', scopes.join(' '));
+  }
+
+  return url.toString();
+}
+
+/**
+ * Turn a token endpoint response into stored credentials.
+ * Providers that don't rotate refresh tokens omit them on refresh, so keep the previous one.
+ *
+ * @param {object} body - Token endpoint JSON
+ * @param {object} [previous] - Credentials being refreshed
+ * @param {number} [now] - Clock, for tests
+ * @returns {object} { access_token, refresh_token, token_type, scope, expires_at }
+ */
+export function tokenResponseToCredentials(body, previous = {}, now = Date.now()) {
+  const expiresIn = Number(body.expires_in);
+  return {
+    access_token: body.access_token,
+    refresh_token: body.refresh_token || previous.refresh_token || null,
+    token_type: body.token_type || 'Bearer',
+    scope: body.scope ?? previous.scope ?? null,
+    expires_at: Number.isFinite(expiresIn) && expiresIn > 0
+      ? new Date(now + expiresIn * 1000).toISOString()
+      : null,
+  };
+}
+
+/**
+ * Whether stored OAuth credentials need a refresh before use.
+ * Tokens without expires_at are treated as long-lived.
+ */
+export function isTokenExpiring(credentials, now = Date.now()) {
+  if (!credentials?.access_token) return true;
+  if (!credentials.expires_at) return false;
+  return new Date(credentials.expires_at).getTime() - REFRESH_MARGIN_MS <= now;
+}
+
+/**
+ * POST a grant to the token endpoint.
+ */
+async function requestToken(authConfig, grant) {
+  const params = new URLSearchParams(grant);
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json',
+  };
+
+  if (authConfig.client_secret && authConfig.token_auth_method === 'client_secret_basic') {
+    const basic = Buffer.from(
+      `${encodeURIComponent(authConfig.client_id)}:${encodeURIComponent(authConfig.client_secret)}`
+    ).toString('base64');
+    headers['Authorization'] = `Basic ${basic}`;
+  } else {
+    params.set('client_id', authConfig.client_id);
+    if (authConfig.client_secret) params.set('client_secret', authConfig.client_secret);
+  }
+
+  const response = await fetch(authConfig.token_url, {
+    method: 'POST',
+    headers,
+    body: params.toString(),
+  });
+
+  let body = null;
+  try {
+    body = await response.json();
+  } catch {
+    body = null;
+  }
+
+  if (!response.ok || !body?.access_token) {
+    const reason = body?.error_description || body?.error || `HTTP ${response.status}`;
+    const error = new Error(`OAuth token request failed: ${reason}`);
+    error.code = body?.error || 'token_request_failed';
+    throw error;
+  }
+
+  return body;
+}
+
+/**
+ * Exchange an authorization code for tokens.
+ *
+ * @param {object} authConfig - Source auth_config
+ * @param {object} opts
+ * @param {string} opts.code - Code from the callback
+ * @param {string} opts.codeVerifier - PKCE verifier generated for this flow
+ * @param {string} opts.redirectUri - Must match the authorize request
+ * @returns {Promise<object>} Credentials to store
+ */
+export async function exchangeAuthorizationCode(authConfig, { code, codeVerifier, redirectUri }) {
+  const body = await requestToken(authConfig, {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+  });
+  return tokenResponseToCredentials(body);
+}
+
+/**
+ * Get a new access token with the stored refresh token.
+ *
+ * @param {object} authConfig - Source auth_config
+ * @param {object} credentials - Stored credentials (must have refresh_token)
+ * @returns {Promise<object>} Updated credentials to store
+ */
+export async function refreshAccessToken(authConfig, credentials) {
+  const body = await requestToken(authConfig, {
+    grant_type: 'refresh_token',
+    refresh_token: credentials.refresh_token,
+    ...(credentials.scope ? { scope: credentials.scope } : {}),
+  });
+  return tokenResponseToCredentials(body, credentials);
+}
+
+export default {
+  REFRESH_MARGIN_MS,
+  OAUTH_FLOW_COOKIE,
+  OAUTH_FLOW_MAX_AGE,
+  createPkcePair,
+  createState,
+  getRedirectUri,
+  sanitizeReturnTo,
+  validateOAuthConfig,
+  buildAuthorizationUrl,
+  tokenResponseToCredentials,
+  isTokenExpiring,
+  exchangeAuthorizationCode,
+  refreshAccessToken,
+};
@@ -0,0 +1,32 @@
+/**
+ * OAuth Module - OAuth2 authorization-code flow for source credentials
+ *
+ * - Flow: PKCE, authorize URL, code exchange, token refresh
+ * - Credentials: Refresh stored tokens before tool execution
+ *
+ * Usage:
+ *   import { createPkcePair, buildAuthorizationUrl } from '@/lib/oauth';
+ *   import { ensureFreshCredentials } from '@/lib/oauth';
+ */
+
+// Flow - Talk to the provider's authorize/token endpoints
+export {
+  REFRESH_MARGIN_MS,
+  OAUTH_FLOW_COOKIE,
+  OAUTH_FLOW_MAX_AGE,
+  createPkcePair,
+  createState,
+  getRedirectUri,
+  sanitizeReturnTo,
+  validateOAuthConfig,
+  buildAuthorizationUrl,
+  tokenResponseToCredentials,
+  isTokenExpiring,
+  exchangeAuthorizationCode,
+  refreshAccessToken,
+} from './flow.js';
+
+// Credentials - Keep stored tokens fresh
+export {
+  ensureFreshCredentials,
+} from './credentials.js';
@@ -0,0 +1,90 @@
+/**
+ * Routines Module - Deterministic replay of recorded routines
+ *
+ * - Steps: The compiled step graph (tool, argument mapping, conditions),
+ *   validation and compilation from a recorded chat
+ * - Parameters: Typed parameters (email, enum, date, entity lookups…),
+ *   the form they make and checking the values a run gets
+ * - Runner: Step-by-step execution with confirmations, and the hand-off
+ *   to the LLM when a step fails
+ * - Replay: Runs of a routine with an agent's tools, kept in routine_runs
+ * - Versions: Immutable versions of each edit, diffs and rollback
+ * - Portable: The export format (tools by template slug and operation_id),
+ *   importing into another org and the starter routine gallery
+ *
+ * Usage:
+ *   import { compileRoutineSteps, validateRoutineSteps } from '@/lib/routines';
+ *   import { resolveRoutineParams, validateParameterSchema } from '@/lib/routines';
+ *   import { runRoutineSteps, buildFallbackPrompt } from '@/lib/routines';
+ *   import { advanceRoutineRun } from '@/lib/routines';
+ *   import { saveRoutineVersion, diffRoutineVersions } from '@/lib/routines';
+ *   import { exportRoutine, parseRoutineExport, remapRoutine } from '@/lib/routines';
+ */
+
+// Steps - Step graph format, validation and compilation
+export {
+  STEP_CONDITION_OPS,
+  resolveStepTemplate,
+  stepDependencies,
+  evaluateCondition,
+  validateRoutineSteps,
+  compileRoutineSteps,
+} from './steps.js';
+
+// Parameters - Typed parameters, their forms and values
+export {
+  PARAMETER_TYPES,
+  checkParameterValue,
+  resolveRoutineParams,
+  checkRoutineParams,
+  validateParameterSchema,
+  validateLookupTools,
+  parameterFormFields,
+  lookupOptions,
+  buildRoutinePrompt,
+} from './parameters.js';
+
+// Runner - Executing the steps
+export {
+  ROUTINE_MODES,
+  RUN_STATUSES,
+  stepContext,
+  runRoutineSteps,
+  buildFallbackPrompt,
+} from './runner.js';
+
+// Replay - Runs with an agent's tools
+export {
+  RUN_COLUMNS,
+  bindStepTools,
+  advanceRoutineRun,
+  saveRun,
+  finishRun,
+} from './replay.js';
+
+// Versions - Edit history, diffs and rollback
+export {
+  VERSIONED_FIELDS,
+  VERSION_COLUMNS,
+  routineSnapshot,
+  changedRoutineFields,
+  diffLines,
+  diffRoutineVersions,
+  publishRoutineVersion,
+  saveRoutineVersion,
+} from './versions.js';
+
+// Portable - Export, import into another org, and the gallery
+export {
+  ROUTINE_EXPORT_FORMAT,
+  ROUTINE_EXPORT_VERSION,
+  toolRefKey,
+  routineToolIds,
+  exportRoutine,
+  parseRoutineExport,
+  routineToolRefs,
+  remapRoutine,
+  describeTools,
+  findTools,
+  galleryRoutines,
+} from './portable.js';
@@ -0,0 +1,312 @@
+/**
+ * Routine parameters
+ *
+ * routines.parameters describes the values a routine runs with, and the
+ * form that asks for them when a routine is picked:
+ *
+ *   {
+ *     "customer_id": {
+ *       "type": "entity", "label": "Customer", "required": true,
+ *       "lookup": { "tool_id": "…", "search_param": "email", "value_path": "id", "label_path": "email" }
+ *     },
+ *     "reason": { "type": "enum", "options": ["duplicate", "fraudulent"], "default": "duplicate" },
+ *     "since": { "type": "date", "description": "First day to include" },
+ *     "notify": { "type": "email" }
+ *   }
+ *
+ * Types: string, number, integer, boolean, email, enum (one of `options`),
+ * date (YYYY-MM-DD) and entity (an ID, looked up through a GET tool: the
+ * form calls it with what was typed in `search_param`, and lists the items
+ * of the response with their `value_path` and `label_path`).
+ *
+ * No server-only imports here: the forms validate with the same functions
+ * the run routes do.
+ */
+
+export const PARAMETER_TYPES = ['string', 'number', 'integer', 'boolean', 'email', 'enum', 'date', 'entity'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const PATH_PATTERN = /^[\w-]+(\.[\w-]+)*$/;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Check one value against its parameter and convert it from text.
+ *
+ * @param {string} name - Parameter name, for the error
+ * @param {object} spec - Its entry in routines.parameters
+ * @param {*} value - Not empty
+ * @returns {{ value: *, error: string|null }}
+ */
+export function checkParameterValue(name, spec, value) {
+  switch (spec?.type) {
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' ? Number(value.trim()) : Number(value);
+      if (!Number.isFinite(number) || (typeof value === 'string' && !value.trim())) {
+        return { value, error: `${name} must be a number` };
+      }
+      if (spec.type === 'integer' && !Number.isInteger(number)) {
+        return { value, error: `${name} must be a whole number` };
+      }
+      return { value: number, error: null };
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value, error: null };
+      if (!['true', 'false'].includes(String(value).toLowerCase())) {
+        return { value, error: `${name} must be true or false` };
+      }
+      return { value: String(value).toLowerCase() === 'true', error: null };
+    }
+    case 'email': {
+      const email = String(value).trim();
+      if (!EMAIL_PATTERN.test(email)) return { value, error: `${name} must be an email address` };
+      return { value: email, error: null };
+    }
+    case 'enum': {
+      const option = (spec.options || []).find(o => String(o) === String(value).trim());
+      if (option === undefined) {
+        return { value, error: `${name} must be one of ${(spec.options || []).join(', ')}` };
+      }
+      return { value: option, error: null };
+    }
+    case 'date': {
+      const date = String(value).trim();
+      const match = date.match(DATE_PATTERN);
+      const parsed = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+      if (!parsed || parsed.getUTCMonth() !== +match[2] - 1 || parsed.getUTCDate() !== +match[3]) {
+        return { value, error: `${name} must be a date (YYYY-MM-DD)` };
+      }
+      return { value: date, error: null };
+    }
+    case 'entity':
+      return { value: String(value).trim(), error: null };
+    default:
+      return { value, error: null };
+  }
+}
+
+/**
+ * Values of a routine's parameters for one run: defaults fill in what was
+ * left out, required ones must be given, and each is checked and
+ * converted by its type (values typed after a slash command are text).
+ *
+ * @param {object} parameters - routines.parameters
+ * @param {object} input - Values by name
+ * @returns {{ params: object, error: string|null }}
+ */
+export function resolveRoutineParams(parameters, input) {
+  const { params, errors } = checkRoutineParams(parameters, input);
+  const first = Object.values(errors)[0];
+  return first ? { params: {}, error: first } : { params, error: null };
+}
+
+/**
+ * Like resolveRoutineParams, with every problem by parameter (for forms).
+ *
+ * @param {object} parameters - routines.parameters
+ * @param {object} input - Values by name
+ * @returns {{ params: object, errors: Object<string, string> }}
+ */
+export function checkRoutineParams(parameters, input) {
+  const params = {};
+  const errors = {};
+  for (const [name, spec] of Object.entries(parameters || {})) {
+    let value = input?.[name];
+    if (isEmpty(value)) value = spec?.default;
+    if (isEmpty(value)) {
+      if (spec?.required) errors[name] = `Missing parameter: ${name}`;
+      continue;
+    }
+    const checked = checkParameterValue(name, spec, value);
+    if (checked.error) errors[name] = checked.error;
+    else params[name] = checked.value;
+  }
+  return { params, errors };
+}
+
+/**
+ * Check and normalize a routine's parameter definitions before saving.
+ * Entries keep only the settings above; a missing type is 'string'.
+ *
+ * @param {object} input - routines.parameters as sent
+ * @returns {{ parameters: object|null, error: string|null }}
+ */
+export function validateParameterSchema(input) {
+  if (input === null || input === undefined) return { parameters: {}, error: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { parameters: null, error: 'parameters must be an object' };
+  }
+
+  const parameters = {};
+  for (const [name, spec] of Object.entries(input)) {
+    if (!/^[A-Za-z_][\w-]{0,63}$/.test(name)) {
+      return { parameters: null, error: `Invalid parameter name: ${name}` };
+    }
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      return { parameters: null, error: `Parameter ${name} must be an object` };
+    }
+
+    const type = spec.type ?? 'string';
+    if (!PARAMETER_TYPES.includes(type)) {
+      return { parameters: null, error: `Parameter ${name}: type must be one of ${PARAMETER_TYPES.join(', ')}` };
+    }
+
+    const entry = { type };
+    for (const key of ['label', 'description']) {
+      if (spec[key] === undefined || spec[key] === null || spec[key] === '') continue;
+      if (typeof spec[key] !== 'string') {
+        return { parameters: null, error: `Parameter ${name}: ${key} must be text` };
+      }
+      entry[key] = spec[key];
+    }
+    if (spec.required !== undefined) entry.required = spec.required === true;
+
+    if (type === 'enum') {
+      const options = spec.options;
+      if (!Array.isArray(options) || !options.length || options.some(o => !['string', 'number'].includes(typeof o))) {
+        return { parameters: null, error: `Parameter ${name}: an enum needs a list of options` };
+      }
+      entry.options = [...new Set(options)];
+    }
+
+    if (type === 'entity') {
+      const lookup = spec.lookup;
+      if (!lookup?.tool_id || typeof lookup.tool_id !== 'string') {
+        return { parameters: null, error: `Parameter ${name}: an entity needs lookup.tool_id, the GET tool that finds it` };
+      }
+      entry.lookup = { tool_id: lookup.tool_id };
+      if (lookup.search_param !== undefined) {
+        if (typeof lookup.search_param !== 'string' || !lookup.search_param) {
+          return { parameters: null, error: `Parameter ${name}: lookup.search_param must be a parameter name of the tool` };
+        }
+        entry.lookup.search_param = lookup.search_param;
+      }
+      for (const key of ['items_path', 'value_path', 'label_path']) {
+        if (lookup[key] === undefined) continue;
+        if (typeof lookup[key] !== 'string' || !PATH_PATTERN.test(lookup[key])) {
+          return { parameters: null, error: `Parameter ${name}: lookup.${key} must be a dotted path like data.0.id` };
+        }
+        entry.lookup[key] = lookup[key];
+      }
+    }
+
+    if (!isEmpty(spec.default)) {
+      const checked = checkParameterValue(`${name} default`, entry, spec.default);
+      if (checked.error) return { parameters: null, error: `Parameter ${checked.error}` };
+      entry.default = checked.value;
+    }
+
+    parameters[name] = entry;
+  }
+  return { parameters, error: null };
+}
+
+/**
+ * Check that every entity parameter looks up through a GET tool the
+ * caller can see.
+ *
+ * @param {object} supabase - Caller's session client
+ * @param {object} parameters - Validated routines.parameters
+ * @returns {Promise<string|null>} Error message
+ */
+export async function validateLookupTools(supabase, parameters) {
+  const lookups = Object.entries(parameters || {}).filter(([, spec]) => spec.lookup?.tool_id);
+  if (!lookups.length) return null;
+
+  const { data: tools } = await supabase
+    .from('tools')
+    .select('id, method')
+    .in('id', [...new Set(lookups.map(([, spec]) => spec.lookup.tool_id))]);
+  const methods = new Map((tools || []).map(tool => [tool.id, tool.method]));
+
+  for (const [name, spec] of lookups) {
+    const method = methods.get(spec.lookup.tool_id);
+    if (!method) return `Parameter ${name}: lookup tool not found`;
+    if (method !== 'GET') return `Parameter ${name}: the lookup tool must be a GET endpoint`;
+  }
+  return null;
+}
+
+/**
+ * The fields of a routine's parameter form, in the order they were defined.
+ *
+ * @param {object} parameters - routines.parameters
+ * @returns {Array<{ name, type, label, description, required, default, options, lookup }>}
+ */
+export function parameterFormFields(parameters) {
+  return Object.entries(parameters || {}).map(([name, spec]) => ({
+    name,
+    type: PARAMETER_TYPES.includes(spec?.type) ? spec.type : 'string',
+    label: spec?.label || name.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').replace(/^\w/, c => c.toUpperCase()),
+    description: spec?.description || null,
+    required: spec?.required === true,
+    default: isEmpty(spec?.default) ? null : spec.default,
+    options: spec?.options || null,
+    lookup: spec?.lookup || null,
+  }));
+}
+
+const readPath = (value, path) => path.split('.').reduce((current, key) => current?.[key], value);
+
+/**
+ * Options for an entity field from its lookup tool's response: the items
+ * at `items_path` (else the response itself, or its first list), each as
+ * `value_path` (default id) and `label_path` (default name, email or title).
+ *
+ * @param {*} body - The GET tool's response body
+ * @param {object} lookup - The parameter's lookup settings
+ * @param {number} [limit=20]
+ * @returns {Array<{ value: string, label: string }>}
+ */
+export function lookupOptions(body, lookup = {}, limit = 20) {
+  let items = lookup.items_path ? readPath(body, lookup.items_path) : body;
+  if (!Array.isArray(items) && items && typeof items === 'object') {
+    items = Object.values(items).find(Array.isArray);
+  }
+  if (!Array.isArray(items)) return [];
+
+  const options = [];
+  for (const item of items) {
+    const value = readPath(item, lookup.value_path || 'id');
+    if (isEmpty(value) || typeof value === 'object') continue;
+    const label = lookup.label_path
+      ? readPath(item, lookup.label_path)
+      : item?.name || item?.email || item?.title;
+    options.push({ value: String(value), label: isEmpty(label) ? String(value) : String(label) });
+    if (options.length >= limit) break;
+  }
+  return options;
+}
+
+/**
+ * The message that runs a routine with the LLM: its prompt and the values
+ * it runs with.
+ *
+ * @param {object} routine - { name, prompt }
+ * @param {object} [params] - Resolved parameter values
+ * @param {string} [context] - Anything else the user added
+ * @returns {string}
+ */
+export function buildRoutinePrompt(routine, params = {}, context = '') {
+  let text = `Run the "${routine.name}" routine:\n\n${routine.prompt}`;
+  const entries = Object.entries(params || {});
+  if (entries.length) {
+    text += `\n\nParameters:\n${entries.map(([name, value]) => `- ${name}: ${JSON.stringify(value)}`).join('\n')}`;
+  }
+  if (context) text += `\n\nAdditional context: ${context}`;
+  return text;
+}
+
+export default {
+  PARAMETER_TYPES,
+  checkParameterValue,
+  resolveRoutineParams,
+  checkRoutineParams,
+  validateParameterSchema,
+  validateLookupTools,
+  parameterFormFields,
+  lookupOptions,
+  buildRoutinePrompt,
+};
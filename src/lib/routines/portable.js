@@ -0,0 +1,439 @@
+/**
+ * Portable routines
+ *
+ * A routine's tools are per-org UUIDs, so an exported routine names each
+ * tool by what it is instead: a template's tool by the template's slug and
+ * its operation_id, a custom source's tool by the source's name and its
+ * operation_id (method and path when it has none):
+ *
+ *   {
+ *     "format": "actionchat.routine", "version": 1,
+ *     "name": "refund-last-charge", "description": "…", "prompt": "…",
+ *     "parameters": {
+ *       "customer_id": { "type": "entity", "lookup": { "tool": { "template": "stripe", "operation_id": "GetCustomers" }, … } }
+ *     },
+ *     "tools": [{ "template": "stripe", "operation_id": "GetCharges", "name": "List charges", "method": "GET", "path": "/v1/charges" }],
+ *     "mode": "deterministic",
+ *     "steps": [{ "id": "find", "tool": { "template": "stripe", "operation_id": "GetCharges" }, "args": { … } }]
+ *   }
+ *
+ * Importing finds each tool among the target org's sources; what is not
+ * there is reported, and the routine is imported without it. Templates
+ * ship starter routines in this format (docs/integrations.json,
+ * `starter_routines`), which make the routine gallery.
+ */
+
+export const ROUTINE_EXPORT_FORMAT = 'actionchat.routine';
+export const ROUTINE_EXPORT_VERSION = 1;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// An entity parameter whose lookup tool is gone asks for plain text
+const withoutLookup = (spec) => ({
+  ...Object.fromEntries(Object.entries(spec).filter(([key]) => key !== 'lookup')),
+  type: 'string',
+});
+
+/**
+ * The key a tool reference is matched by.
+ *
+ * @param {object} ref - { template | source, operation_id?, method?, path? }
+ * @returns {string}
+ */
+export function toolRefKey(ref) {
+  const owner = ref.template ? `template:${ref.template}` : `source:${ref.source}`;
+  return `${owner}|${ref.operation_id || `${String(ref.method).toUpperCase()} ${ref.path}`}`;
+}
+
+// What a reference is shown as in reports
+function describeRef(ref) {
+  return `${ref.template || ref.source}: ${ref.name || ref.operation_id || `${ref.method} ${ref.path}`}`;
+}
+
+function checkToolRef(ref, label) {
+  if (!isPlainObject(ref)) return `${label} must be a tool reference`;
+  if (!isText(ref.template) && !isText(ref.source)) return `${label} needs a template slug or a source name`;
+  if (!isText(ref.operation_id) && !(isText(ref.method) && isText(ref.path))) {
+    return `${label} needs an operation_id, or a method and path`;
+  }
+  return null;
+}
+
+// Only the fields that identify a tool, plus its name for people
+function cleanToolRef(ref) {
+  const clean = ref.template ? { template: ref.template } : { source: ref.source };
+  if (ref.operation_id) clean.operation_id = ref.operation_id;
+  if (ref.name) clean.name = ref.name;
+  if (ref.method) clean.method = String(ref.method).toUpperCase();
+  if (ref.path) clean.path = ref.path;
+  return clean;
+}
+
+/**
+ * The ids of every tool a routine uses: its tool chain, its steps and the
+ * lookups of its entity parameters.
+ *
+ * @param {object} routine
+ * @returns {string[]}
+ */
+export function routineToolIds(routine) {
+  const ids = new Set(routine.tool_chain || []);
+  for (const step of routine.steps || []) ids.add(step.tool_id);
+  for (const spec of Object.values(routine.parameters || {})) {
+    if (spec?.lookup?.tool_id) ids.add(spec.lookup.tool_id);
+  }
+  return [...ids].filter(Boolean);
+}
+
+/**
+ * A routine in the export format.
+ *
+ * @param {object} routine - routines row
+ * @param {Map<string, object>} refs - tool id → reference (describeTools)
+ * @returns {{ document: object, unexported: string[] }} tool ids with no
+ *   reference (deleted tools) are left out; steps that need one are dropped
+ */
+export function exportRoutine(routine, refs) {
+  const unexported = routineToolIds(routine).filter(id => !refs.has(id));
+
+  const parameters = {};
+  for (const [name, spec] of Object.entries(routine.parameters || {})) {
+    if (!spec?.lookup?.tool_id) {
+      parameters[name] = spec;
+      continue;
+    }
+    const { tool_id, ...lookup } = spec.lookup;
+    parameters[name] = refs.has(tool_id)
+      ? { ...spec, lookup: { ...lookup, tool: refs.get(tool_id) } }
+      : withoutLookup(spec);
+  }
+
+  const steps = routine.steps?.length && routine.steps.every(step => refs.has(step.tool_id))
+    ? routine.steps.map(({ tool_id, ...step }) => ({ ...step, tool: refs.get(tool_id) }))
+    : null;
+
+  return {
+    document: {
+      format: ROUTINE_EXPORT_FORMAT,
+      version: ROUTINE_EXPORT_VERSION,
+      name: routine.name,
+      description: routine.description || null,
+      prompt: routine.prompt,
+      parameters,
+      tools: (routine.tool_chain || []).filter(id => refs.has(id)).map(id => refs.get(id)),
+      mode: steps ? routine.mode || 'llm' : 'llm',
+      steps,
+    },
+    unexported,
+  };
+}
+
+/**
+ * Check an exported routine before importing it.
+ *
+ * @param {any} input - The export document
+ * @returns {{ document: object|null, error: string|null }} with every tool
+ *   reference reduced to the fields that identify it
+ */
+export function parseRoutineExport(input) {
+  const fail = (error) => ({ document: null, error });
+  if (!isPlainObject(input)) return fail('The routine must be a JSON object');
+  if (input.format !== ROUTINE_EXPORT_FORMAT) return fail(`Not an exported routine (format must be "${ROUTINE_EXPORT_FORMAT}")`);
+  if (input.version !== ROUTINE_EXPORT_VERSION) return fail(`Unsupported export version: ${input.version}`);
+  if (!isText(input.name)) return fail('name is required');
+  if (!isText(input.prompt)) return fail('prompt is required');
+  if (input.description != null && typeof input.description !== 'string') return fail('description must be text');
+  if (input.parameters != null && !isPlainObject(input.parameters)) return fail('parameters must be an object');
+  if (input.tools != null && !Array.isArray(input.tools)) return fail('tools must be an array');
+  if (input.steps != null && !Array.isArray(input.steps)) return fail('steps must be an array');
+
+  const tools = [];
+  for (const [i, ref] of (input.tools || []).entries()) {
+    const error = checkToolRef(ref, `tools[${i}]`);
+    if (error) return fail(error);
+    tools.push(cleanToolRef(ref));
+  }
+
+  const parameters = {};
+  for (const [name, spec] of Object.entries(input.parameters || {})) {
+    if (spec?.lookup?.tool !== undefined) {
+      const error = checkToolRef(spec.lookup.tool, `parameters.${name}.lookup.tool`);
+      if (error) return fail(error);
+      parameters[name] = { ...spec, lookup: { ...spec.lookup, tool: cleanToolRef(spec.lookup.tool) } };
+    } else {
+      parameters[name] = spec;
+    }
+  }
+
+  let steps = null;
+  if (input.steps?.length) {
+    steps = [];
+    for (const [i, step] of input.steps.entries()) {
+      if (!isPlainObject(step)) return fail(`steps[${i}] must be an object`);
+      const error = checkToolRef(step.tool, `steps[${i}].tool`);
+      if (error) return fail(error);
+      steps.push({ ...step, tool: cleanToolRef(step.tool) });
+    }
+  }
+
+  return {
+    document: {
+      format: ROUTINE_EXPORT_FORMAT,
+      version: ROUTINE_EXPORT_VERSION,
+      name: input.name.trim(),
+      description: input.description?.trim() || null,
+      prompt: input.prompt.trim(),
+      parameters,
+      tools,
+      mode: steps && input.mode === 'deterministic' ? 'deterministic' : 'llm',
+      steps,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Every tool reference in an export document.
+ *
+ * @param {object} document - From parseRoutineExport
+ * @returns {object[]} One per tool
+ */
+export function routineToolRefs(document) {
+  const refs = new Map();
+  const add = (ref) => refs.has(toolRefKey(ref)) || refs.set(toolRefKey(ref), ref);
+  document.tools.forEach(add);
+  (document.steps || []).forEach(step => add(step.tool));
+  Object.values(document.parameters).forEach(spec => spec?.lookup?.tool && add(spec.lookup.tool));
+  return [...refs.values()];
+}
+
+/**
+ * Turn an export document into routine fields for the target org, with
+ * the tool ids found there (findTools). What needs a missing tool changes:
+ * it leaves the tool chain, an entity parameter without its lookup becomes
+ * a plain string, and steps are dropped (the routine runs with the LLM
+ * until it is compiled again).
+ *
+ * @param {object} document - From parseRoutineExport
+ * @param {Map<string, string>} toolIds - toolRefKey → tool id
+ * @returns {{ routine: object, changes: string[] }}
+ */
+export function remapRoutine(document, toolIds) {
+  const changes = [];
+  const idFor = (ref) => toolIds.get(toolRefKey(ref)) || null;
+
+  const parameters = {};
+  for (const [name, spec] of Object.entries(document.parameters)) {
+    if (!spec?.lookup?.tool) {
+      parameters[name] = spec;
+      continue;
+    }
+    const { tool, ...lookup } = spec.lookup;
+    const toolId = idFor(tool);
+    if (toolId) {
+      parameters[name] = { ...spec, lookup: { ...lookup, tool_id: toolId } };
+    } else {
+      parameters[name] = withoutLookup(spec);
+      changes.push(`${name} is plain text: its lookup tool (${describeRef(tool)}) is missing`);
+    }
+  }
+
+  const chain = document.tools.map(ref => ({ ref, id: idFor(ref) })).filter(tool => tool.id);
+
+  let steps = null;
+  if (document.steps) {
+    const missing = document.steps.filter(step => !idFor(step.tool));
+    if (missing.length) {
+      changes.push(`Steps left out (a missing tool is used by ${missing.map(step => step.id).join(', ')}); the routine runs with the LLM`);
+    } else {
+      steps = document.steps.map(({ tool, ...step }) => ({ ...step, tool_id: idFor(tool), tool_name: step.tool_name || tool.name || null }));
+    }
+  }
+
+  return {
+    routine: {
+      name: document.name,
+      description: document.description,
+      prompt: document.prompt,
+      parameters,
+      tool_chain: chain.map(tool => tool.id),
+      tool_chain_names: chain.map(tool => tool.ref.name || tool.ref.operation_id || `${tool.ref.method} ${tool.ref.path}`),
+      mode: steps ? document.mode : 'llm',
+      steps,
+    },
+    changes,
+  };
+}
+
+/**
+ * Describe tools by template slug or source name (for exporting).
+ *
+ * @param {object} supabase - Caller's session client
+ * @param {string[]} toolIds
+ * @returns {Promise<Map<string, object>>} tool id → reference
+ */
+export async function describeTools(supabase, toolIds) {
+  const refs = new Map();
+  if (!toolIds.length) return refs;
+
+  const [{ data: templateTools }, { data: customTools }] = await Promise.all([
+    supabase.from('template_tools').select('id, template_id, operation_id, name, method, path').in('id', toolIds),
+    supabase.from('tools').select('id, source_id, operation_id, name, method, path').in('id', toolIds),
+  ]);
+
+  const sourceIds = [...new Set((customTools || []).map(tool => tool.source_id))];
+  const { data: sources } = sourceIds.length
+    ? await supabase.from('api_sources').select('id, name, template_id').in('id', sourceIds)
+    : { data: [] };
+  const sourceById = new Map((sources || []).map(source => [source.id, source]));
+
+  const templateIds = [...new Set([
+    ...(templateTools || []).map(tool => tool.template_id),
+    ...(sources || []).map(source => source.template_id).filter(Boolean),
+  ])];
+  const { data: templates } = templateIds.length
+    ? await supabase.from('source_templates').select('id, slug').in('id', templateIds)
+    : { data: [] };
+  const slugById = new Map((templates || []).map(template => [template.id, template.slug]));
+
+  for (const tool of templateTools || []) {
+    if (!slugById.has(tool.template_id)) continue;
+    refs.set(tool.id, cleanToolRef({ ...tool, template: slugById.get(tool.template_id) }));
+  }
+  for (const tool of customTools || []) {
+    const source = sourceById.get(tool.source_id);
+    if (!source) continue;
+    const owner = source.template_id && slugById.has(source.template_id)
+      ? { template: slugById.get(source.template_id) }
+      : { source: source.name };
+    refs.set(tool.id, cleanToolRef({ ...tool, ...owner }));
+  }
+  return refs;
+}
+
+/**
+ * Find referenced tools among an org's active sources (for importing).
+ *
+ * @param {object} supabase - Caller's session client
+ * @param {string} orgId
+ * @param {object[]} refs - routineToolRefs
+ * @returns {Promise<{ toolIds: Map<string, string>, missing: object[] }>}
+ *   missing: the references not found, each with a `reason`
+ */
+export async function findTools(supabase, orgId, refs) {
+  const toolIds = new Map();
+  const missing = [];
+  const matches = (tool, ref) => ref.operation_id
+    ? tool.operation_id === ref.operation_id
+    : tool.method === String(ref.method).toUpperCase() && tool.path === ref.path;
+
+  // Template tools are global; the org needs a source made from the template
+  const templateRefs = refs.filter(ref => ref.template);
+  if (templateRefs.length) {
+    const { data: templates } = await supabase
+      .from('source_templates')
+      .select('id, slug, name')
+      .in('slug', [...new Set(templateRefs.map(ref => ref.template))]);
+    const templateBySlug = new Map((templates || []).map(template => [template.slug, template]));
+
+    const { data: sources } = templates?.length
+      ? await supabase
+        .from('api_sources')
+        .select('template_id')
+        .eq('org_id', orgId)
+        .eq('is_active', true)
+        .in('template_id', templates.map(template => template.id))
+      : { data: [] };
+    const installed = new Set((sources || []).map(source => source.template_id));
+
+    const { data: tools } = installed.size
+      ? await supabase
+        .from('template_tools')
+        .select('id, template_id, operation_id, method, path')
+        .in('template_id', [...installed])
+        .eq('is_active', true)
+      : { data: [] };
+
+    for (const ref of templateRefs) {
+      const template = templateBySlug.get(ref.template);
+      if (!template) {
+        missing.push({ ...ref, reason: `No template "${ref.template}"` });
+      } else if (!installed.has(template.id)) {
+        missing.push({ ...ref, reason: `${template.name} is not connected` });
+      } else {
+        const tool = (tools || []).find(t => t.template_id === template.id && matches(t, ref));
+        if (tool) toolIds.set(toolRefKey(ref), tool.id);
+        else missing.push({ ...ref, reason: `${template.name} has no such operation` });
+      }
+    }
+  }
+
+  // A custom source's tools are found by the source's name
+  const sourceRefs = refs.filter(ref => !ref.template);
+  if (sourceRefs.length) {
+    const { data: sources } = await supabase
+      .from('api_sources')
+      .select('id, name')
+      .eq('org_id', orgId)
+      .eq('is_active', true)
+      .in('name', [...new Set(sourceRefs.map(ref => ref.source))]);
+    const sourceByName = new Map((sources || []).map(source => [source.name, source]));
+
+    const { data: tools } = sources?.length
+      ? await supabase
+        .from('tools')
+        .select('id, source_id, operation_id, method, path')
+        .in('source_id', sources.map(source => source.id))
+        .eq('is_active', true)
+      : { data: [] };
+
+    for (const ref of sourceRefs) {
+      const source = sourceByName.get(ref.source);
+      if (!source) {
+        missing.push({ ...ref, reason: `No source named "${ref.source}"` });
+        continue;
+      }
+      const tool = (tools || []).find(t => t.source_id === source.id && matches(t, ref));
+      if (tool) toolIds.set(toolRefKey(ref), tool.id);
+      else missing.push({ ...ref, reason: `${ref.source} has no such endpoint` });
+    }
+  }
+
+  return { toolIds, missing };
+}
+
+/**
+ * The routine gallery: templates' starter routines, as export documents.
+ *
+ * @param {object[]} integrations - docs/integrations.json `integrations`
+ * @returns {object[]} Each with `id` (template slug/routine name) and its `template`
+ */
+export function galleryRoutines(integrations) {
+  return (integrations || []).flatMap(integration =>
+    (integration.starter_routines || []).map(routine => ({
+      id: `${integration.slug}/${routine.name}`,
+      template: { slug: integration.slug, name: integration.name, logo_url: integration.logo_url || null },
+      format: ROUTINE_EXPORT_FORMAT,
+      version: ROUTINE_EXPORT_VERSION,
+      ...routine,
+    }))
+  );
+}
+
+export default {
+  ROUTINE_EXPORT_FORMAT,
+  ROUTINE_EXPORT_VERSION,
+  toolRefKey,
+  routineToolIds,
+  exportRoutine,
+  parseRoutineExport,
+  routineToolRefs,
+  remapRoutine,
+  describeTools,
+  findTools,
+  galleryRoutines,
+};
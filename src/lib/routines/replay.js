@@ -0,0 +1,240 @@
+/**
+ * Routine runs
+ *
+ * Starts and resumes deterministic runs of a routine for a user and agent,
+ * and keeps their progress in routine_runs so a run paused for confirmation
+ * picks up where it stopped.
+ *
+ * Each step calls the agent's tool exactly as chat does (credentials, action
+ * log with origin 'routine', redaction, dry run, rate limits, undo). Before
+ * the call the step is checked like chat's approval prompt: dangerous tools,
+ * `confirm` guardrails and steps marked `confirm` pause the run; calls a
+ * guardrail blocks, or that need someone else's approval (the approval
+ * queue), fail the step, and the chat continues in LLM mode.
+ */
+
+import { createServiceClient } from '@/utils/supabase/server';
+import { loadAgentTools } from '@/lib/chat';
+import {
+  sanitizeToolKey,
+  isWriteCall,
+  guardrailsForTool,
+  evaluateGuardrails,
+  approvalRouteForTool,
+  describeApprovers,
+} from '@/lib/tools';
+import { emitWebhookEvent } from '@/lib/webhooks';
+import { runRoutineSteps, buildFallbackPrompt } from './runner.js';
+
+export const RUN_COLUMNS = 'id, routine_id, agent_id, chat_id, params, status, results, pending, failed_step, error, created_at, updated_at';
+
+/**
+ * The checks and calls a run makes, bound to the agent's tools.
+ *
+ * @param {object} loaded - loadAgentTools result ({ tools, toolRows, sourcesWithHints })
+ * @param {object} options - { runId, role, dryRun, canConfirm }; with canConfirm false
+ *   (nobody to ask, e.g. scheduled runs) a step that needs confirmation fails instead
+ * @returns {{ checkStep: Function, callStep: Function }}
+ */
+export function bindStepTools({ tools, toolRows, sourcesWithHints }, { runId, role = null, dryRun = false, canConfirm = true }) {
+  const sourceByName = new Map((sourcesWithHints || []).map(source => [source.name, source]));
+  const rowFor = (step) => toolRows.find(row => row.tool_id === step.tool_id);
+
+  const checkStep = async (step, args) => {
+    const row = rowFor(step);
+    const tool = row && tools[sanitizeToolKey(row.tool_name, row.tool_id)];
+    const source = row && sourceByName.get(row.source_name);
+    if (!tool || !source) {
+      return { confirm: false, blocked: `${step.tool_name || step.tool_id} is not available to this agent` };
+    }
+    if (dryRun && isWriteCall(row)) return { confirm: false, blocked: null };
+
+    const route = approvalRouteForTool(source, row.tool_id);
+    if (route) return { confirm: false, blocked: `${row.tool_name} needs approval from ${describeApprovers(route)}` };
+
+    const check = evaluateGuardrails(guardrailsForTool(source, row.tool_id), args, { role });
+    if (check.blocked) return { confirm: false, blocked: check.violations.map(v => v.reason).join('; ') };
+
+    const reasons = [];
+    if (row.requires_confirmation || row.risk_level === 'dangerous') reasons.push(`${row.tool_name} changes data and needs confirmation`);
+    if (check.needsConfirmation) reasons.push(...check.violations.map(v => v.reason));
+    if (step.confirm && reasons.length === 0) reasons.push('This step always asks for confirmation');
+    if (reasons.length > 0 && !canConfirm) {
+      return { confirm: false, blocked: `${reasons.join('; ')}, and nobody can confirm it in this run` };
+    }
+    return { confirm: reasons.length > 0 ? reasons : false, blocked: null };
+  };
+
+  const callStep = async (step, args) => {
+    const row = rowFor(step);
+    const output = await tools[sanitizeToolKey(row.tool_name, row.tool_id)].execute(args, {
+      toolCallId: `routine:${runId}:${step.id}`,
+    });
+    const meta = output?._actionchat || {};
+    const failed = Boolean(meta.error_message) || (!meta.dry_run && !(meta.response_status >= 200 && meta.response_status < 400));
+    return {
+      ok: !failed,
+      status: meta.response_status ?? null,
+      response: meta.dry_run ? meta.simulated_request : meta.response_body,
+      error: meta.error_message || (failed ? `${row.tool_name} returned ${meta.response_status}` : null),
+      action_id: meta.action_id || null,
+    };
+  };
+
+  return { checkStep, callStep };
+}
+
+function summarizeRun(routine, steps, run) {
+  const done = steps.filter(step => run.results?.[step.id]?.status === 'completed').length;
+  if (run.status === 'completed') return `Ran the /${routine.name} routine: ${done} of ${steps.length} steps completed.`;
+  if (run.status === 'cancelled') return `Cancelled the /${routine.name} routine after ${done} of ${steps.length} steps.`;
+  return `The /${routine.name} routine stopped at a failed step after ${done} of ${steps.length} steps: ${run.error}`;
+}
+
+function toolCallsFor(steps, run) {
+  return steps
+    .filter(step => ['completed', 'failed'].includes(run.results?.[step.id]?.status))
+    .map(step => {
+      const result = run.results[step.id];
+      return {
+        id: `routine:${run.id}:${step.id}`,
+        tool_name: step.tool_name || step.id,
+        arguments: result.args || {},
+        result: { status: result.response_status ?? null, body: result.response ?? result.error, tool_id: step.tool_id },
+      };
+    });
+}
+
+/**
+ * Advance a run: execute steps until it finishes, pauses or fails, then
+ * save its progress. A finished or failed run is added to its chat and
+ * counted in the routine's success/failure feedback; a failed one also
+ * carries the prompt that hands the rest to the LLM.
+ *
+ * @param {object} supabase - Caller's session client
+ * @param {object} options
+ * @param {object} options.run - routine_runs row
+ * @param {object} options.routine - { id, name, prompt, steps }
+ * @param {object} options.agent - Agent row
+ * @param {object} options.context - { orgId, userId, role, dryRun, redactionPolicy, origin, canConfirm }
+ *   (origin: action log origin, default 'routine'; canConfirm: see bindStepTools)
+ * @param {string|null} [options.confirmedStepId] - The paused step the user confirmed
+ * @returns {Promise<object>} The saved run; once it ended, with its `summary`,
+ *   and `fallback_prompt` when it failed
+ */
+export async function advanceRoutineRun(supabase, { run, routine, agent, context, confirmedStepId = null }) {
+  const steps = routine.steps || [];
+  const { orgId, userId, role = null, dryRun = false, redactionPolicy = null, origin = 'routine', canConfirm = true } = context;
+
+  const loaded = await loadAgentTools(supabase, agent.id, userId, {
+    orgId,
+    agentSettings: agent.settings,
+    actionLog: { supabase: createServiceClient(), orgId, userId, agentId: agent.id, chatId: run.chat_id, origin },
+    dryRun,
+    redactionPolicy,
+    role,
+    routine: { ...routine, tool_chain: [...new Set(steps.map(step => step.tool_id))] },
+  });
+
+  const { checkStep, callStep } = bindStepTools(loaded, { runId: run.id, role, dryRun, canConfirm });
+  const outcome = await runRoutineSteps({
+    steps,
+    params: run.params,
+    results: run.results,
+    confirmedStepId,
+    checkStep,
+    callStep,
+  });
+
+  const updated = {
+    ...run,
+    status: outcome.status,
+    results: outcome.results,
+    pending: outcome.pending || null,
+    failed_step: outcome.failed_step || null,
+    error: outcome.error || null,
+  };
+  await saveRun(supabase, updated);
+
+  if (outcome.status === 'needs_confirmation') return updated;
+
+  const summary = await finishRun(supabase, { run: updated, routine, steps, orgId, userId });
+  return outcome.status === 'failed'
+    ? { ...updated, summary, fallback_prompt: buildFallbackPrompt(routine, steps, updated) }
+    : { ...updated, summary };
+}
+
+/**
+ * Persist a run's progress.
+ *
+ * @param {object} supabase
+ * @param {object} run
+ */
+export async function saveRun(supabase, run) {
+  const { error } = await supabase
+    .from('routine_runs')
+    .update({
+      status: run.status,
+      results: run.results,
+      pending: run.pending,
+      failed_step: run.failed_step,
+      error: run.error,
+    })
+    .eq('id', run.id);
+  if (error) console.error('[ROUTINES] Failed to save run:', error.message);
+}
+
+/**
+ * Record a run that ended: its messages in the chat, and the routine's
+ * feedback (a failure also emits routine.failed).
+ *
+ * @param {object} supabase
+ * @param {object} options - { run, routine, steps, orgId, userId }
+ * @returns {Promise<string>} The summary added to the chat
+ */
+export async function finishRun(supabase, { run, routine, steps, orgId, userId }) {
+  const summary = summarizeRun(routine, steps, run);
+  if (run.chat_id) {
+    const command = [`/${routine.name}`, ...Object.entries(run.params || {}).map(([key, value]) => `${key}=${JSON.stringify(value)}`)].join(' ');
+    const toolCalls = toolCallsFor(steps, run);
+    const { error } = await supabase.from('messages').insert([
+      { chat_id: run.chat_id, role: 'user', content: command, metadata: { routine_run_id: run.id } },
+      {
+        chat_id: run.chat_id,
+        role: 'assistant',
+        content: summary,
+        tool_calls: toolCalls.length ? toolCalls : null,
+        metadata: { routine_run_id: run.id, mode: 'deterministic' },
+      },
+    ]);
+    if (error) console.error('[ROUTINES] Failed to save run messages:', error.message);
+  }
+
+  if (run.status === 'cancelled') return summary;
+
+  const isSuccess = run.status === 'completed';
+  const { error } = await supabase.rpc('increment_routine_feedback', {
+    p_routine_id: routine.id,
+    p_is_success: isSuccess,
+    p_version: routine.version ?? null,
+  });
+  if (error) console.error('[ROUTINES] Failed to record run feedback:', error.message);
+
+  if (!isSuccess) {
+    await emitWebhookEvent(orgId, 'routine.failed', {
+      routine_id: routine.id,
+      routine_name: routine.name,
+      user_id: userId,
+      chat_id: run.chat_id || null,
+    });
+  }
+  return summary;
+}
+
+export default {
+  RUN_COLUMNS,
+  bindStepTools,
+  advanceRoutineRun,
+  saveRun,
+  finishRun,
+};
@@ -0,0 +1,155 @@
+/**
+ * Deterministic routine runner
+ *
+ * Executes a routine's steps (see steps.js) in order on the server. The
+ * caller supplies how a step is checked and called, so the runner itself
+ * only walks the graph:
+ *
+ * - checkStep(step, args) → { confirm: string[]|false, blocked: string|null }
+ *   Whether the call needs the user's confirmation (and why), or can't run.
+ * - callStep(step, args, { confirmed }) → { ok, status, response, error, action_id }
+ *
+ * A step that needs confirmation pauses the run (`needs_confirmation`); it
+ * resumes with `confirmedStepId` set to that step. A step that fails stops
+ * the run (`failed`), and buildFallbackPrompt hands the rest to the LLM.
+ * Results are kept per step id, so a resumed run skips what already ran.
+ */
+
+import { resolveStepTemplate, evaluateCondition } from './steps.js';
+
+export const ROUTINE_MODES = ['llm', 'deterministic'];
+
+export const RUN_STATUSES = ['running', 'needs_confirmation', 'completed', 'failed', 'cancelled'];
+
+// Longest response excerpt handed to the LLM per completed step
+const FALLBACK_RESPONSE_CHARS = 800;
+
+/**
+ * The template context built from a run's results so far.
+ *
+ * @param {object} params - Parameter values of the run
+ * @param {object} results - Step results by id
+ * @returns {{ params: object, steps: object }}
+ */
+export function stepContext(params, results) {
+  const steps = {};
+  for (const [id, result] of Object.entries(results || {})) {
+    if (result.status === 'completed') steps[id] = { response: result.response, status: result.response_status };
+  }
+  return { params: params || {}, steps };
+}
+
+/**
+ * Run the steps that haven't run yet, until the end, a step that needs
+ * confirmation, or a failure.
+ *
+ * @param {object} options
+ * @param {object[]} options.steps - Validated steps
+ * @param {object} options.params - Parameter values of the run
+ * @param {object} [options.results] - Results of an earlier, paused pass
+ * @param {string|null} [options.confirmedStepId] - The paused step the user confirmed
+ * @param {Function} options.checkStep
+ * @param {Function} options.callStep
+ * @returns {Promise<{ status: string, results: object, pending?: object, failed_step?: string, error?: string }>}
+ */
+export async function runRoutineSteps({ steps, params, results = {}, confirmedStepId = null, checkStep, callStep }) {
+  const next = { ...results };
+
+  for (const step of steps) {
+    if (next[step.id] && next[step.id].status !== 'pending') continue;
+
+    const context = stepContext(params, next);
+    if (!evaluateCondition(step.when, context)) {
+      next[step.id] = { status: 'skipped' };
+      continue;
+    }
+
+    const fail = (error, extra = {}) => {
+      next[step.id] = { status: 'failed', error, ...extra };
+      return { status: 'failed', results: next, failed_step: step.id, error };
+    };
+
+    const missing = [];
+    const args = resolveStepTemplate(step.args || {}, context, missing);
+    if (missing.length > 0) {
+      return fail(`No value for ${missing.map(ref => `{{${ref}}}`).join(', ')}`, { args });
+    }
+
+    const check = await checkStep(step, args);
+    if (check.blocked) return fail(check.blocked, { args });
+
+    const confirmed = confirmedStepId === step.id;
+    if (check.confirm && !confirmed) {
+      next[step.id] = { status: 'pending', args };
+      return {
+        status: 'needs_confirmation',
+        results: next,
+        pending: { step_id: step.id, tool_name: step.tool_name, args, reasons: check.confirm },
+      };
+    }
+
+    let outcome;
+    try {
+      outcome = await callStep(step, args, { confirmed });
+    } catch (error) {
+      return fail(error.message, { args });
+    }
+
+    const record = {
+      args,
+      response_status: outcome.status ?? null,
+      response: outcome.response ?? null,
+      action_id: outcome.action_id ?? null,
+    };
+    if (!outcome.ok) return fail(outcome.error || `Request failed with status ${outcome.status}`, record);
+    next[step.id] = { status: 'completed', ...record };
+  }
+
+  return { status: 'completed', results: next };
+}
+
+function excerpt(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (!text) return '(no response)';
+  return text.length > FALLBACK_RESPONSE_CHARS ? `${text.slice(0, FALLBACK_RESPONSE_CHARS)}…` : text;
+}
+
+/**
+ * The chat message that hands a failed run to the LLM: the routine's
+ * instructions and parameters, what already ran, and the step that failed.
+ *
+ * @param {object} routine - { name, prompt }
+ * @param {object[]} steps
+ * @param {object} run - { params, results, failed_step, error }
+ * @returns {string}
+ */
+export function buildFallbackPrompt(routine, steps, run) {
+  const lines = [`Run the "${routine.name}" routine:`, '', routine.prompt];
+
+  if (Object.keys(run.params || {}).length > 0) {
+    lines.push('', `Parameters: ${JSON.stringify(run.params)}`);
+  }
+
+  const done = steps.filter(step => run.results?.[step.id]?.status === 'completed');
+  if (done.length > 0) {
+    lines.push('', 'These steps already ran; do not repeat them:');
+    for (const step of done) {
+      lines.push(`- ${step.tool_name || step.id}: ${excerpt(run.results[step.id].response)}`);
+    }
+  }
+
+  const failed = steps.find(step => step.id === run.failed_step);
+  if (failed) {
+    lines.push('', `The "${failed.tool_name || failed.id}" step failed: ${run.error}. Continue the routine from that step.`);
+  }
+
+  return lines.join('\n');
+}
+
+export default {
+  ROUTINE_MODES,
+  RUN_STATUSES,
+  stepContext,
+  runRoutineSteps,
+  buildFallbackPrompt,
+};
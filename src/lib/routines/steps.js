@@ -0,0 +1,305 @@
+/**
+ * Routine step graphs
+ *
+ * A deterministic routine replays a compiled list of steps instead of
+ * letting the LLM improvise each call:
+ *
+ *   [
+ *     {
+ *       "id": "find",                                   // unique, referenced by later steps
+ *       "tool_id": "…", "tool_name": "List charges",
+ *       "args": { "customer": "{{params.customer_id}}" }
+ *     },
+ *     {
+ *       "id": "refund",
+ *       "tool_id": "…", "tool_name": "Create refund",
+ *       "args": { "charge": "{{steps.find.response.data.0.id}}", "amount": "{{params.amount}}" },
+ *       "when": { "ref": "{{steps.find.response.data.0.paid}}", "op": "equals", "value": true },
+ *       "confirm": true                                 // optional: always ask, even for safe tools
+ *     }
+ *   ]
+ *
+ * Arguments map from the routine's `parameters` ({{params.x}}) and the
+ * responses of earlier steps ({{steps.<id>.response.x}}, array items by
+ * index); a step can only reference steps before it, so the list is a
+ * DAG in execution order. A step whose `when` is false is skipped.
+ *
+ * Stored in routines.steps; the runner (runner.js) executes them.
+ */
+
+export const STEP_CONDITION_OPS = ['exists', 'missing', 'equals', 'not_equals', 'gt', 'gte', 'lt', 'lte'];
+
+const STEP_ID_RE = /^[a-z][a-z0-9_-]{0,39}$/;
+const TEMPLATE_RE = /\{\{\s*(params|steps)((?:\.[A-Za-z0-9_-]+)*)\s*\}\}/g;
+const WHOLE_TEMPLATE_RE = /^\{\{\s*(params|steps)((?:\.[A-Za-z0-9_-]+)*)\s*\}\}$/;
+
+// Recorded values shorter than this are too common to trace to an earlier response
+const MIN_TRACEABLE_LENGTH = 4;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function lookup(context, root, path) {
+  let value = context[root];
+  for (const key of path.split('.').filter(Boolean)) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Fill `{{params.x}}` and `{{steps.<id>.response.x}}` placeholders. A string
+ * that is a single placeholder takes the value as-is (numbers stay numbers);
+ * placeholders inside longer strings are interpolated.
+ *
+ * @param {any} value - Template (object, array, string or literal)
+ * @param {object} context - { params, steps: { [id]: { response } } }
+ * @param {string[]} [missing] - Collects placeholders that had no value
+ */
+export function resolveStepTemplate(value, context, missing = []) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_TEMPLATE_RE);
+    if (whole) {
+      const resolved = lookup(context, whole[1], whole[2]);
+      if (resolved === undefined || resolved === null) missing.push(`${whole[1]}${whole[2]}`);
+      return resolved;
+    }
+    return value.replace(TEMPLATE_RE, (_, root, path) => {
+      const resolved = lookup(context, root, path);
+      if (resolved === undefined || resolved === null) {
+        missing.push(`${root}${path}`);
+        return '';
+      }
+      return String(resolved);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => resolveStepTemplate(item, context, missing));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveStepTemplate(item, context, missing)]));
+  }
+  return value;
+}
+
+function templateRefs(value, refs = []) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(TEMPLATE_RE)) refs.push({ root: match[1], path: match[2] });
+  } else if (Array.isArray(value)) {
+    value.forEach(item => templateRefs(item, refs));
+  } else if (isPlainObject(value)) {
+    Object.values(value).forEach(item => templateRefs(item, refs));
+  }
+  return refs;
+}
+
+/**
+ * Ids of the earlier steps a step reads from (its edges in the graph).
+ *
+ * @param {object} step
+ * @returns {string[]}
+ */
+export function stepDependencies(step) {
+  const ids = templateRefs([step.args, step.when])
+    .filter(ref => ref.root === 'steps')
+    .map(ref => ref.path.split('.')[1])
+    .filter(Boolean);
+  return [...new Set(ids)];
+}
+
+/**
+ * Whether a step's condition holds. Steps without one always run.
+ *
+ * @param {object|undefined} when - { ref, op, value? }
+ * @param {object} context - { params, steps }
+ * @returns {boolean}
+ */
+export function evaluateCondition(when, context) {
+  if (!when) return true;
+  const actual = resolveStepTemplate(when.ref, context);
+  const expected = resolveStepTemplate(when.value, context);
+  const present = actual !== undefined && actual !== null && actual !== '';
+
+  switch (when.op) {
+    case 'exists': return present && !(Array.isArray(actual) && actual.length === 0);
+    case 'missing': return !present || (Array.isArray(actual) && actual.length === 0);
+    case 'equals': return actual === expected || (present && String(actual) === String(expected));
+    case 'not_equals': return !(actual === expected || (present && String(actual) === String(expected)));
+    case 'gt': return present && Number(actual) > Number(expected);
+    case 'gte': return present && Number(actual) >= Number(expected);
+    case 'lt': return present && Number(actual) < Number(expected);
+    case 'lte': return present && Number(actual) <= Number(expected);
+    default: return false;
+  }
+}
+
+function validateRefs(value, { label, parameters, earlier }) {
+  for (const ref of templateRefs(value)) {
+    const [, first, second] = ref.path.split('.');
+    if (ref.root === 'params' && !(first in parameters)) {
+      return `${label} uses {{params.${first}}}, which is not a parameter of this routine`;
+    }
+    if (ref.root === 'steps') {
+      if (!earlier.has(first)) return `${label} uses {{steps.${first || ''}}}, which is not an earlier step`;
+      if (second !== 'response') return `${label}: step references must read {{steps.${first}.response…}}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a routine's steps.
+ *
+ * @param {any} input - Array of steps
+ * @param {object} [parameters] - routines.parameters, for {{params.x}} references
+ * @returns {{ steps: object[]|null, error: string|null }} `steps: null` for an empty value
+ */
+export function validateRoutineSteps(input, parameters = {}) {
+  if (input === null || input === undefined) return { steps: null, error: null };
+  if (!Array.isArray(input)) return { steps: null, error: 'steps must be an array' };
+  if (input.length > 50) return { steps: null, error: 'A routine can have at most 50 steps' };
+
+  const earlier = new Set();
+  const steps = [];
+  for (const [i, step] of input.entries()) {
+    const label = `steps[${i}]`;
+    if (!isPlainObject(step)) return { steps: null, error: `${label} must be an object` };
+    if (typeof step.id !== 'string' || !STEP_ID_RE.test(step.id)) {
+      return { steps: null, error: `${label}.id must be lowercase letters, digits, - or _ (starting with a letter)` };
+    }
+    if (earlier.has(step.id)) return { steps: null, error: `${label}.id "${step.id}" is used twice` };
+    if (typeof step.tool_id !== 'string' || !step.tool_id) return { steps: null, error: `${label}.tool_id is required` };
+    if (step.args !== undefined && !isPlainObject(step.args)) return { steps: null, error: `${label}.args must be an object` };
+    if (step.confirm !== undefined && typeof step.confirm !== 'boolean') return { steps: null, error: `${label}.confirm must be a boolean` };
+
+    if (step.when !== undefined && step.when !== null) {
+      if (!isPlainObject(step.when) || typeof step.when.ref !== 'string') {
+        return { steps: null, error: `${label}.when must be { ref, op, value? }` };
+      }
+      if (!STEP_CONDITION_OPS.includes(step.when.op)) {
+        return { steps: null, error: `${label}.when.op must be one of ${STEP_CONDITION_OPS.join(', ')}` };
+      }
+    }
+
+    const error = validateRefs([step.args, step.when], { label, parameters: parameters || {}, earlier });
+    if (error) return { steps: null, error };
+
+    const normalized = { id: step.id, tool_id: step.tool_id, tool_name: step.tool_name || null, args: step.args || {} };
+    if (step.when) normalized.when = { ref: step.when.ref, op: step.when.op, ...(step.when.value !== undefined && { value: step.when.value }) };
+    if (step.confirm) normalized.confirm = true;
+    steps.push(normalized);
+    earlier.add(step.id);
+  }
+
+  return { steps, error: null };
+}
+
+function findValue(body, target, path = '', depth = 0) {
+  if (depth > 6 || body === null || body === undefined) return null;
+  if (typeof body !== 'object') {
+    return body === target ? path : null;
+  }
+  const entries = Array.isArray(body) ? body.slice(0, 20).map((item, i) => [String(i), item]) : Object.entries(body);
+  for (const [key, item] of entries) {
+    const found = findValue(item, target, `${path}.${key}`, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+function normalizeName(name) {
+  return String(name).replace(/([a-z])([A-Z])/g, '$1_$2').replace(/[-\s]/g, '_').toLowerCase();
+}
+
+function stepIdFor(name, used) {
+  const base = normalizeName(name || 'step').replace(/[^a-z0-9_-]/g, '').replace(/^[^a-z]+/, '').slice(0, 32) || 'step';
+  let id = base;
+  for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+  used.add(id);
+  return id;
+}
+
+/**
+ * Compile a step graph from the calls recorded in a routine's source chat.
+ * Each recorded value becomes a reference to the earliest earlier response
+ * that contained it, else to the routine parameter with the argument's
+ * name, else stays literal. Without recorded calls, steps follow the tool
+ * chain and each tool argument named like a parameter reads it.
+ *
+ * @param {object} routine - { parameters, tool_chain, tool_chain_names }
+ * @param {object[]} [recordedCalls] - Stored tool calls in order ({ tool_name, arguments, result: { tool_id, body } })
+ * @param {Map} [argsSchemas] - tool id → arguments JSON Schema (buildArgsSchema), for the tool chain
+ * @returns {{ steps: object[], literals: string[], unmapped: string[] }} arguments to review:
+ *   left as recorded, or required by a tool with nothing to read them from
+ */
+export function compileRoutineSteps(routine, recordedCalls = [], argsSchemas = new Map()) {
+  const parameters = routine.parameters || {};
+  const paramByName = new Map(Object.keys(parameters).map(name => [normalizeName(name), name]));
+  const chain = new Set(routine.tool_chain || []);
+  const usedIds = new Set();
+  const steps = [];
+  const literals = [];
+  const unmapped = [];
+
+  const calls = recordedCalls.filter(call => chain.has(call.result?.tool_id || call.tool_id));
+
+  const mapValue = (value, key, label, earlier) => {
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapValue(v, k, `${label}.${k}`, earlier)]));
+    }
+    if (Array.isArray(value)) return value.map((v, i) => mapValue(v, key, `${label}.${i}`, earlier));
+
+    const traceable = (typeof value === 'string' && value.length >= MIN_TRACEABLE_LENGTH)
+      || (typeof value === 'number' && Math.abs(value) >= 1000);
+    if (traceable) {
+      for (const prior of earlier) {
+        const path = findValue(prior.body, value);
+        if (path) return `{{steps.${prior.id}.response${path}}}`;
+      }
+    }
+
+    const param = paramByName.get(normalizeName(key));
+    if (param) return `{{params.${param}}}`;
+
+    literals.push(label);
+    return value;
+  };
+
+  if (calls.length > 0) {
+    const earlier = [];
+    for (const call of calls) {
+      const id = stepIdFor(call.tool_name, usedIds);
+      const args = Object.fromEntries(
+        Object.entries(call.arguments || {}).map(([key, value]) => [key, mapValue(value, key, `${id}.${key}`, earlier)])
+      );
+      steps.push({ id, tool_id: call.result?.tool_id || call.tool_id, tool_name: call.tool_name || null, args });
+      earlier.push({ id, body: call.result?.body });
+    }
+    return { steps, literals, unmapped };
+  }
+
+  for (const [i, toolId] of (routine.tool_chain || []).entries()) {
+    const name = routine.tool_chain_names?.[i] || null;
+    const id = stepIdFor(name, usedIds);
+    const schema = argsSchemas.get(toolId) || {};
+    const args = {};
+    for (const property of Object.keys(schema.properties || {})) {
+      const param = paramByName.get(normalizeName(property));
+      if (param) args[property] = `{{params.${param}}}`;
+    }
+    for (const property of schema.required || []) {
+      if (!(property in args)) unmapped.push(`${id}.${property}`);
+    }
+    steps.push({ id, tool_id: toolId, tool_name: name, args });
+  }
+  return { steps, literals, unmapped };
+}
+
+export default {
+  STEP_CONDITION_OPS,
+  resolveStepTemplate,
+  stepDependencies,
+  evaluateCondition,
+  validateRoutineSteps,
+  compileRoutineSteps,
+};
@@ -0,0 +1,200 @@
+/**
+ * Routine versions
+ *
+ * Every edit of what a routine does (VERSIONED_FIELDS) is kept as an
+ * immutable routine_versions row with its author, time and its own
+ * success/failure counts. The routines row holds the published version:
+ * its content, its number in `version` and its counts, so everything that
+ * runs or matches a routine uses the published version. An edit publishes
+ * a new version; rollback publishes an older one again, with the counts it
+ * collected. Renaming, sharing or scheduling a routine is not a new version.
+ */
+
+import { generateEmbedding } from '@/lib/ai';
+
+export const VERSIONED_FIELDS = ['prompt', 'description', 'parameters', 'tool_chain', 'tool_chain_names', 'mode', 'steps'];
+
+export const VERSION_COLUMNS = 'id, routine_id, version, prompt, description, parameters, tool_chain, tool_chain_names, mode, steps, success_count, failure_count, created_by, created_at';
+
+const DEFAULTS = {
+  description: null,
+  parameters: {},
+  tool_chain: [],
+  tool_chain_names: [],
+  mode: 'llm',
+  steps: null,
+};
+
+// JSON with sorted keys, so equal values compare (and diff) equal
+function stableStringify(value, indent) {
+  const sort = (v) => {
+    if (Array.isArray(v)) return v.map(sort);
+    if (v && typeof v === 'object') {
+      return Object.fromEntries(Object.keys(v).sort().map(key => [key, sort(v[key])]));
+    }
+    return v;
+  };
+  return JSON.stringify(sort(value ?? null), null, indent);
+}
+
+/**
+ * The versioned content of a routine or version row.
+ *
+ * @param {object} routine
+ * @returns {object} VERSIONED_FIELDS, with defaults for missing ones
+ */
+export function routineSnapshot(routine) {
+  return Object.fromEntries(VERSIONED_FIELDS.map(field => [field, routine?.[field] ?? DEFAULTS[field] ?? null]));
+}
+
+/**
+ * Which versioned fields an update changes.
+ *
+ * @param {object} current - Routine (or version) now
+ * @param {object} updates - Fields about to be written
+ * @returns {string[]}
+ */
+export function changedRoutineFields(current, updates) {
+  const before = routineSnapshot(current);
+  return VERSIONED_FIELDS.filter(field =>
+    updates[field] !== undefined && stableStringify(updates[field] ?? DEFAULTS[field] ?? null) !== stableStringify(before[field])
+  );
+}
+
+/**
+ * Line diff of two texts (longest common subsequence).
+ *
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ op: 'equal'|'add'|'remove', text: string }>}
+ */
+export function diffLines(before, after) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  // lcs[i][j]: common lines of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ op: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ op: 'remove', text: a[i++] });
+    } else {
+      lines.push({ op: 'add', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ op: 'remove', text: a[i++] });
+  while (j < b.length) lines.push({ op: 'add', text: b[j++] });
+  return lines;
+}
+
+function fieldText(field, value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  if (field === 'tool_chain_names' || field === 'tool_chain') return value.join('\n');
+  return stableStringify(value, 2);
+}
+
+/**
+ * What changed between two versions, field by field.
+ *
+ * @param {object} from - Older version
+ * @param {object} to - Newer version
+ * @returns {Array<{ field: string, lines: Array<{ op, text }> }>} Changed fields only
+ */
+export function diffRoutineVersions(from, to) {
+  const before = routineSnapshot(from);
+  const after = routineSnapshot(to);
+  return VERSIONED_FIELDS
+    .filter(field => stableStringify(before[field]) !== stableStringify(after[field]))
+    .map(field => ({ field, lines: diffLines(fieldText(field, before[field]), fieldText(field, after[field])) }));
+}
+
+/**
+ * Make a version the routine's published one: copy its content and
+ * counts onto the routine, and re-embed it for matching when the text
+ * changed.
+ *
+ * @param {object} supabase - Owner's session client
+ * @param {object} routine - The routine as it is now (VERSIONED_FIELDS, id)
+ * @param {object} version - routine_versions row
+ */
+export async function publishRoutineVersion(supabase, routine, version) {
+  const updates = {
+    ...routineSnapshot(version),
+    version: version.version,
+    success_count: version.success_count || 0,
+    failure_count: version.failure_count || 0,
+  };
+
+  if (version.prompt !== routine.prompt || (version.description || null) !== (routine.description || null)) {
+    try {
+      updates.embedding_1536 = await generateEmbedding(`${version.prompt} ${version.description || ''}`);
+    } catch (error) {
+      console.warn('[ROUTINES] Failed to generate embedding:', error.message);
+    }
+  }
+
+  const { error } = await supabase
+    .from('routines')
+    .update(updates)
+    .eq('id', routine.id);
+  if (error) throw error;
+}
+
+/**
+ * Save an edit as a new version and publish it.
+ *
+ * @param {object} supabase - Owner's session client
+ * @param {object} routine - The routine as it is now (id, org_id, VERSIONED_FIELDS)
+ * @param {object} updates - Changed versioned fields
+ * @param {object} options - { userId } the author
+ * @returns {Promise<object>} The new routine_versions row
+ */
+export async function saveRoutineVersion(supabase, routine, updates, { userId }) {
+  const { data: latest } = await supabase
+    .from('routine_versions')
+    .select('version')
+    .eq('routine_id', routine.id)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  const { data: version, error } = await supabase
+    .from('routine_versions')
+    .insert({
+      routine_id: routine.id,
+      org_id: routine.org_id,
+      version: (latest?.version || 0) + 1,
+      ...routineSnapshot({ ...routine, ...updates }),
+      created_by: userId,
+    })
+    .select(VERSION_COLUMNS)
+    .single();
+  if (error) throw error;
+
+  await publishRoutineVersion(supabase, routine, version);
+  return version;
+}
+
+export default {
+  VERSIONED_FIELDS,
+  VERSION_COLUMNS,
+  routineSnapshot,
+  changedRoutineFields,
+  diffLines,
+  diffRoutineVersions,
+  publishRoutineVersion,
+  saveRoutineVersion,
+};
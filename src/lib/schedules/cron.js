@@ -0,0 +1,163 @@
+/**
+ * Cron expressions
+ *
+ * Standard five-field expressions, evaluated in an IANA timezone:
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12 or JAN-DEC)
+ *   │ │ │ │ ┌ day of week (0-7 or SUN-SAT; 0 and 7 are Sunday)
+ *   0 9 * * 1-5        every weekday at 09:00
+ *
+ * Fields take `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps
+ * (`*\/15`, `0-30/10`). As in Vixie cron, when both day fields are
+ * restricted a day matching either one runs.
+ *
+ * Times are wall-clock times in the timezone: a time skipped by a DST
+ * change doesn't run that day, and one repeated by it runs twice.
+ */
+
+import moment from 'moment-timezone';
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+];
+
+// How far ahead nextCronRun looks before giving up (e.g. "0 0 30 2 *")
+const MAX_SEARCH_DAYS = 366 * 5;
+
+function parseValue(text, field) {
+  const index = field.names?.indexOf(text.toUpperCase()) ?? -1;
+  if (index >= 0) return index + (field.name === 'month' ? 1 : 0);
+  if (!/^\d+$/.test(text)) return NaN;
+  return Number(text);
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || range === '') throw new Error(`Invalid ${field.name}: ${text}`);
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name}: ${text}`);
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else {
+      const [from, to, more] = range.split('-');
+      if (more !== undefined) throw new Error(`Invalid ${field.name}: ${text}`);
+      start = parseValue(from, field);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < field.min || end > field.max || start > end) {
+      throw new Error(`${field.name} must be between ${field.min} and ${field.max}: ${text}`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression.
+ *
+ * @param {string} expression
+ * @returns {{ cron: object|null, error: string|null }} cron: { minute, hour, dayOfMonth,
+ *   month, dayOfWeek } as Sets, plus whether each day field is restricted
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    return { cron: null, error: 'cron must be a five-field expression like "0 9 * * 1-5"' };
+  }
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    return { cron: null, error: 'cron must have five fields: minute hour day-of-month month day-of-week' };
+  }
+
+  try {
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (dayOfWeek.has(7)) {
+      dayOfWeek.delete(7);
+      dayOfWeek.add(0);
+    }
+    return {
+      cron: {
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        dayOfMonthRestricted: parts[2] !== '*',
+        dayOfWeekRestricted: parts[4] !== '*',
+      },
+      error: null,
+    };
+  } catch (error) {
+    return { cron: null, error: error.message };
+  }
+}
+
+/**
+ * Whether a timezone name is known (IANA, e.g. "Europe/Berlin").
+ */
+export function isValidTimezone(timezone) {
+  return typeof timezone === 'string' && moment.tz.zone(timezone) !== null;
+}
+
+function dayMatches(cron, local) {
+  const dom = cron.dayOfMonth.has(local.date());
+  const dow = cron.dayOfWeek.has(local.day());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dom || dow;
+  return dom && dow;
+}
+
+/**
+ * The first time after `after` that the expression matches in the timezone.
+ *
+ * @param {string|object} expression - Cron expression, or parseCron's `cron`
+ * @param {string} timezone - IANA timezone
+ * @param {Date|number|string} [after] - Exclusive lower bound (default now)
+ * @returns {Date|null} null when the expression is invalid or never matches
+ */
+export function nextCronRun(expression, timezone, after = Date.now()) {
+  const cron = typeof expression === 'string' ? parseCron(expression).cron : expression;
+  if (!cron || !isValidTimezone(timezone)) return null;
+
+  // Start at the next whole minute
+  const local = moment.tz(new Date(after), timezone).startOf('minute').add(1, 'minute');
+  const limit = local.clone().add(MAX_SEARCH_DAYS, 'days');
+
+  while (local.isBefore(limit)) {
+    if (!cron.month.has(local.month() + 1)) {
+      local.add(1, 'month').startOf('month');
+      continue;
+    }
+    if (!dayMatches(cron, local)) {
+      local.add(1, 'day').startOf('day');
+      continue;
+    }
+    if (!cron.hour.has(local.hour())) {
+      local.add(1, 'hour').startOf('hour');
+      continue;
+    }
+    if (!cron.minute.has(local.minute())) {
+      local.add(1, 'minute');
+      continue;
+    }
+    return local.toDate();
+  }
+  return null;
+}
+
+export default {
+  parseCron,
+  isValidTimezone,
+  nextCronRun,
+};
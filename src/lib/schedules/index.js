@@ -0,0 +1,38 @@
+/**
+ * Schedules Module - Routines that run on a cron schedule
+ *
+ * - Cron: Five-field cron expressions and their next run in a timezone
+ * - Schedule: The routine's schedule settings, validation and delivery payloads
+ * - Runner: Running due routines as their creator or the service identity,
+ *   with run history and delivery to a chat or webhook
+ *
+ * Usage:
+ *   import { validateRoutineSchedule, nextScheduledRun } from '@/lib/schedules';
+ *   import { runDueSchedules } from '@/lib/schedules';
+ */
+
+// Cron - Expressions and next run times
+export {
+  parseCron,
+  isValidTimezone,
+  nextCronRun,
+} from './cron.js';
+
+// Schedule - Settings on a routine
+export {
+  SCHEDULE_RUN_AS,
+  SCHEDULE_DELIVERY,
+  validateRoutineSchedule,
+  nextScheduledRun,
+  buildScheduledPrompt,
+  scheduledRunEvent,
+} from './schedule.js';
+
+// Runner - Running due routines
+export {
+  SCHEDULE_RUN_STATUSES,
+  SCHEDULE_RUN_COLUMNS,
+  SCHEDULED_ROUTINE_COLUMNS,
+  runDueSchedules,
+  runScheduledRoutine,
+} from './runner.js';
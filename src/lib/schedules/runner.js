@@ -0,0 +1,316 @@
+/**
+ * Scheduled routine runs
+ *
+ * runDueSchedules() is driven by POST /api/schedules/tick (from cron): it
+ * picks routines whose next_run_at has passed, moves each one's next_run_at
+ * on before running it, so a concurrent tick skips it, and runs it. A run
+ * missed while nothing ticked runs once, late.
+ *
+ * A run uses the schedule's agent either as the routine's creator (their
+ * credentials and org role) or as the org's service identity (shared
+ * credentials only, no role). Nobody is there to confirm anything: LLM runs
+ * leave out tools that ask for confirmation or approval, and a deterministic
+ * step that needs confirmation fails, handing the rest to the LLM as chat
+ * does. Tool calls and LLM usage are recorded with origin 'schedule'.
+ *
+ * Each run is kept in routine_schedule_runs with its output or failure, and
+ * delivered to a chat (one per schedule, owned by the routine's creator)
+ * and/or the routine.scheduled_run webhook.
+ *
+ * Takes a service-role client: there's no session.
+ */
+
+import { getModelForAgent, chat } from '@/lib/ai';
+import { decryptSettings } from '@/lib/secrets';
+import { enforceTokenBudget, recordTokenUsage } from '@/lib/limits';
+import { recordLlmUsage } from '@/lib/usage';
+import { emitWebhookEvent } from '@/lib/webhooks';
+import { loadAgentTools, createChat, saveConversation, buildSystemPrompt } from '@/lib/chat';
+import { advanceRoutineRun, RUN_COLUMNS } from '@/lib/routines';
+import { getPermissions } from '@/utils/permissions';
+import { nextScheduledRun, buildScheduledPrompt, scheduledRunEvent } from './schedule.js';
+
+export const SCHEDULE_RUN_STATUSES = ['running', 'completed', 'failed'];
+
+export const SCHEDULE_RUN_COLUMNS = 'id, routine_id, agent_id, trigger, run_as, user_id, chat_id, routine_run_id, mode, status, scheduled_for, output, error, fallback_reason, usage, started_at, finished_at';
+
+export const SCHEDULED_ROUTINE_COLUMNS = 'id, org_id, created_by, name, prompt, parameters, tool_chain, tool_chain_names, success_count, failure_count, version, mode, steps, schedule, next_run_at';
+
+const SCHEDULED_RUN_NOTE = `
+
+## Scheduled run
+This routine is running on a schedule and nobody is watching. Don't ask questions; do what you can with the tools you have and end with a short report of the results. Tools that need someone's confirmation or approval are not available in this run.`;
+
+/**
+ * Run every routine that is due.
+ *
+ * @param {object} supabase - Service role client
+ * @param {object} [options]
+ * @param {Date|number|string} [options.now] - Current time (tests drive the clock through the tick endpoint)
+ * @param {number} [options.limit] - Most routines to run in one tick; the rest wait for the next
+ * @returns {Promise<{ due: number, ran: number, runs: object[] }>}
+ */
+export async function runDueSchedules(supabase, { now = Date.now(), limit = 5 } = {}) {
+  const nowIso = new Date(now).toISOString();
+  const { data: due, error } = await supabase
+    .from('routines')
+    .select(SCHEDULED_ROUTINE_COLUMNS)
+    .not('next_run_at', 'is', null)
+    .lte('next_run_at', nowIso)
+    .order('next_run_at', { ascending: true })
+    .limit(limit);
+  if (error) throw error;
+
+  const runs = [];
+  for (const routine of due || []) {
+    // Claim the run by moving next_run_at on; a tick that got here first already did
+    const { data: claimed } = await supabase
+      .from('routines')
+      .update({ next_run_at: nextScheduledRun(routine.schedule, now) })
+      .eq('id', routine.id)
+      .eq('next_run_at', routine.next_run_at)
+      .select('id')
+      .maybeSingle();
+    if (!claimed) continue;
+
+    runs.push(await runScheduledRoutine(supabase, routine, { trigger: 'schedule', scheduledFor: routine.next_run_at }));
+  }
+
+  return { due: due?.length || 0, ran: runs.length, runs };
+}
+
+/**
+ * Run a routine with its schedule's settings, record the run and deliver
+ * the result. Never throws: a failure is recorded on the run.
+ *
+ * @param {object} supabase - Service role client
+ * @param {object} routine - routines row with its schedule
+ * @param {object} [options]
+ * @param {string} [options.trigger] - 'schedule', or 'manual' for Run now
+ * @param {string|null} [options.scheduledFor] - The due time this run is for
+ * @returns {Promise<object>} The routine_schedule_runs row
+ */
+export async function runScheduledRoutine(supabase, routine, { trigger = 'schedule', scheduledFor = null } = {}) {
+  const schedule = routine.schedule;
+  const orgId = routine.org_id;
+  const userId = schedule.run_as === 'owner' ? routine.created_by : null;
+  const mode = routine.mode === 'deterministic' && routine.steps?.length ? 'deterministic' : 'llm';
+
+  const { data: run, error: insertError } = await supabase
+    .from('routine_schedule_runs')
+    .insert({
+      org_id: orgId,
+      routine_id: routine.id,
+      agent_id: schedule.agent_id,
+      trigger,
+      run_as: schedule.run_as,
+      user_id: userId,
+      mode,
+      status: 'running',
+      scheduled_for: scheduledFor,
+    })
+    .select(SCHEDULE_RUN_COLUMNS)
+    .single();
+  if (insertError) {
+    console.error('[SCHEDULES] Failed to record run:', insertError.message);
+    return { routine_id: routine.id, status: 'failed', error: insertError.message };
+  }
+
+  let finished;
+  try {
+    finished = { ...run, ...(await executeRun(supabase, routine, run, { orgId, userId, mode })) };
+  } catch (error) {
+    console.error('[SCHEDULES] Run failed:', routine.name, error);
+    finished = { ...run, status: 'failed', error: error.message || 'Run failed' };
+  }
+  finished.finished_at = new Date().toISOString();
+
+  const { error: updateError } = await supabase
+    .from('routine_schedule_runs')
+    .update({
+      status: finished.status,
+      chat_id: finished.chat_id,
+      routine_run_id: finished.routine_run_id,
+      output: finished.output,
+      error: finished.error,
+      fallback_reason: finished.fallback_reason,
+      usage: finished.usage,
+      finished_at: finished.finished_at,
+    })
+    .eq('id', run.id);
+  if (updateError) console.error('[SCHEDULES] Failed to save run:', updateError.message);
+
+  if (schedule.deliver_to?.includes('webhook')) {
+    await emitWebhookEvent(orgId, 'routine.scheduled_run', scheduledRunEvent(routine, finished));
+  }
+  return finished;
+}
+
+async function executeRun(supabase, routine, run, { orgId, userId, mode }) {
+  const schedule = routine.schedule;
+
+  // Run as the creator only while they're still in the org, with their current role
+  let role = null;
+  if (userId) {
+    const perms = await getPermissions(userId, orgId);
+    if (!perms.isMember) {
+      return { status: 'failed', error: "The routine's creator is no longer a member of this organization" };
+    }
+    role = perms.role;
+  }
+
+  const { data: agent } = await supabase
+    .from('agents')
+    .select('*')
+    .eq('id', schedule.agent_id)
+    .eq('org_id', orgId)
+    .eq('is_active', true)
+    .maybeSingle();
+  if (!agent) return { status: 'failed', error: 'Agent not found or inactive' };
+
+  const { data: org } = await supabase
+    .from('org')
+    .select('settings')
+    .eq('id', orgId)
+    .single();
+  const orgSettings = await decryptSettings(orgId, org?.settings || {});
+  const dryRun = agent.settings?.dry_run === true;
+
+  const chatId = schedule.deliver_to?.includes('chat') ? await deliveryChat(supabase, routine, agent, dryRun) : null;
+  const context = { orgId, userId, role, dryRun, orgSettings, agent, chatId };
+
+  if (mode === 'llm') {
+    return { chat_id: chatId, ...(await runLlm(supabase, routine, buildScheduledPrompt(routine, schedule.params), context)) };
+  }
+
+  const { data: routineRun, error: runError } = await supabase
+    .from('routine_runs')
+    .insert({
+      org_id: orgId,
+      routine_id: routine.id,
+      agent_id: agent.id,
+      chat_id: chatId,
+      user_id: userId,
+      params: schedule.params || {},
+      status: 'running',
+    })
+    .select(RUN_COLUMNS)
+    .single();
+  if (runError) throw runError;
+
+  const advanced = await advanceRoutineRun(supabase, {
+    run: routineRun,
+    routine,
+    agent,
+    context: { orgId, userId, role, dryRun, redactionPolicy: orgSettings.redaction_policy, origin: 'schedule', canConfirm: false },
+  });
+  if (advanced.status === 'completed') {
+    return { status: 'completed', chat_id: chatId, routine_run_id: advanced.id, output: advanced.summary };
+  }
+
+  // A failed step hands the rest of the routine to the LLM, as in chat
+  const stopped = { chat_id: chatId, routine_run_id: advanced.id, fallback_reason: advanced.error };
+  try {
+    const fallback = await runLlm(supabase, routine, advanced.fallback_prompt, context);
+    return { ...stopped, ...fallback, output: [advanced.summary, fallback.output].filter(Boolean).join('\n\n') };
+  } catch (error) {
+    return { ...stopped, status: 'failed', output: advanced.summary, error: error.message || 'Run failed' };
+  }
+}
+
+// The chat a schedule delivers to: the one its first run created, while it still exists
+async function deliveryChat(supabase, routine, agent, dryRun) {
+  const schedule = routine.schedule;
+  if (schedule.chat_id) {
+    const { data: chat } = await supabase
+      .from('chats')
+      .select('id')
+      .eq('id', schedule.chat_id)
+      .maybeSingle();
+    if (chat) return chat.id;
+  }
+
+  const chatId = await createChat(supabase, {
+    orgId: routine.org_id,
+    agentId: agent.id,
+    userId: routine.created_by,
+    title: `Scheduled: /${routine.name}`,
+    dryRun,
+  });
+  if (chatId) {
+    const { error } = await supabase
+      .from('routines')
+      .update({ schedule: { ...schedule, chat_id: chatId } })
+      .eq('id', routine.id);
+    if (error) console.error('[SCHEDULES] Failed to save delivery chat:', error.message);
+  }
+  return chatId;
+}
+
+async function runLlm(supabase, routine, prompt, { orgId, userId, role, dryRun, orgSettings, agent, chatId }) {
+  const limits = { orgId, agentId: agent.id, orgLimits: orgSettings.rate_limits, agentLimits: agent.settings?.rate_limits };
+  await enforceTokenBudget(limits);
+
+  const model = getModelForAgent(agent, orgSettings);
+  const { tools, toolRows, sourcesWithHints } = await loadAgentTools(supabase, agent.id, userId, {
+    orgId,
+    agentSettings: agent.settings,
+    actionLog: { supabase, orgId, userId, agentId: agent.id, chatId, origin: 'schedule' },
+    dryRun,
+    redactionPolicy: orgSettings.redaction_policy,
+    role,
+    canApprove: false,
+    routine,
+  });
+
+  // Nobody can answer an approval request in a scheduled run
+  const runnable = Object.fromEntries(Object.entries(tools).filter(([, tool]) => !tool.needsApproval));
+  const system = buildSystemPrompt(agent, toolRows, sourcesWithHints, runnable, { dryRun }) + SCHEDULED_RUN_NOTE;
+  const messages = [{ id: `schedule-${routine.id}-${Date.now()}`, role: 'user', parts: [{ type: 'text', text: prompt }] }];
+
+  const result = await chat({
+    model,
+    modelId: agent.model_name,
+    system,
+    messages,
+    tools: runnable,
+    temperature: agent.temperature ?? 0.1,
+    telemetryMetadata: {
+      agentId: agent.id,
+      agentName: agent.name,
+      userId,
+      chatId,
+      orgId,
+      model: agent.model_name,
+      provider: agent.model_provider,
+    },
+  });
+
+  let streamError = null;
+  await result.consumeStream({ onError: (error) => { streamError = error; } });
+  if (streamError) throw streamError;
+  const [text, steps, usage] = await Promise.all([result.text, result.steps, result.totalUsage]);
+
+  await saveConversation(supabase, { chatId, orgId, agentId: agent.id, userId, messages, text, steps, usage, agent });
+  await recordTokenUsage(limits, usage?.totalTokens);
+  await recordLlmUsage(supabase, {
+    orgId,
+    agentId: agent.id,
+    userId,
+    origin: 'schedule',
+    provider: agent.model_provider,
+    model: agent.model_name,
+    usage,
+  });
+
+  const output = text || steps?.map(step => step.text).filter(Boolean).join('\n\n') || '';
+  return { status: 'completed', output, usage: usage || null };
+}
+
+export default {
+  SCHEDULE_RUN_STATUSES,
+  SCHEDULE_RUN_COLUMNS,
+  SCHEDULED_ROUTINE_COLUMNS,
+  runDueSchedules,
+  runScheduledRoutine,
+};
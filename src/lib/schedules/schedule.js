@@ -0,0 +1,140 @@
+/**
+ * Routine schedules
+ *
+ * A routine runs on a schedule when `routines.schedule` is set:
+ *
+ *   {
+ *     "cron": "0 9 * * 1-5",            // see cron.js
+ *     "timezone": "America/New_York",   // IANA name, default UTC
+ *     "enabled": true,
+ *     "agent_id": "…",                  // the agent whose tools and model run it
+ *     "run_as": "owner",                // owner: the routine creator's credentials and role
+ *                                       // service: the org's shared credentials, no user
+ *     "params": { "days": 1 },          // parameter values for every run
+ *     "deliver_to": ["chat", "webhook"],
+ *     "chat_id": "…"                    // set by the first run delivered to chat
+ *   }
+ *
+ * `routines.next_run_at` holds the next due time (NULL when there is no
+ * enabled schedule); the runner (runner.js) picks routines that are due.
+ */
+
+import { parseCron, isValidTimezone, nextCronRun } from './cron.js';
+import { resolveRoutineParams, buildRoutinePrompt } from '../routines/parameters.js';
+
+export const SCHEDULE_RUN_AS = ['owner', 'service'];
+
+export const SCHEDULE_DELIVERY = ['chat', 'webhook'];
+
+const SCHEDULE_KEYS = ['cron', 'timezone', 'enabled', 'agent_id', 'run_as', 'params', 'deliver_to', 'chat_id'];
+
+// Longest output sent in a routine.scheduled_run webhook (the full output is in the run history)
+const WEBHOOK_OUTPUT_CHARS = 4000;
+
+/**
+ * Check a routine's schedule.
+ *
+ * @param {any} input - Schedule object, or null to remove it
+ * @param {object} [parameters] - routines.parameters, for `params`
+ * @returns {{ schedule: object|null, error: string|null }}
+ */
+export function validateRoutineSchedule(input, parameters = {}) {
+  if (input === null || input === undefined) return { schedule: null, error: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return { schedule: null, error: 'schedule must be an object' };
+
+  const unknown = Object.keys(input).find(key => !SCHEDULE_KEYS.includes(key));
+  if (unknown) return { schedule: null, error: `Unknown schedule setting: ${unknown}` };
+
+  const { error: cronError } = parseCron(input.cron);
+  if (cronError) return { schedule: null, error: cronError };
+
+  const timezone = input.timezone ?? 'UTC';
+  if (!isValidTimezone(timezone)) return { schedule: null, error: `Unknown timezone: ${timezone}` };
+
+  if (typeof input.agent_id !== 'string' || !input.agent_id) {
+    return { schedule: null, error: 'schedule.agent_id is required' };
+  }
+
+  const runAs = input.run_as ?? 'owner';
+  if (!SCHEDULE_RUN_AS.includes(runAs)) {
+    return { schedule: null, error: `run_as must be one of ${SCHEDULE_RUN_AS.join(', ')}` };
+  }
+
+  const deliverTo = input.deliver_to ?? ['chat'];
+  if (!Array.isArray(deliverTo) || deliverTo.length === 0 || deliverTo.some(d => !SCHEDULE_DELIVERY.includes(d))) {
+    return { schedule: null, error: `deliver_to must list one or more of ${SCHEDULE_DELIVERY.join(', ')}` };
+  }
+
+  const { params, error: paramsError } = resolveRoutineParams(parameters, input.params || {});
+  if (paramsError) return { schedule: null, error: paramsError };
+
+  return {
+    schedule: {
+      cron: input.cron.trim().split(/\s+/).join(' '),
+      timezone,
+      enabled: input.enabled !== false,
+      agent_id: input.agent_id,
+      run_as: runAs,
+      params,
+      deliver_to: [...new Set(deliverTo)],
+      ...(input.chat_id ? { chat_id: input.chat_id } : {}),
+    },
+    error: null,
+  };
+}
+
+/**
+ * When a schedule next runs.
+ *
+ * @param {object|null} schedule - Validated schedule
+ * @param {Date|number|string} [after] - Exclusive lower bound (default now)
+ * @returns {string|null} ISO timestamp, or null when there's no enabled schedule
+ */
+export function nextScheduledRun(schedule, after = Date.now()) {
+  if (!schedule?.enabled) return null;
+  return nextCronRun(schedule.cron, schedule.timezone, after)?.toISOString() ?? null;
+}
+
+/**
+ * The message a scheduled LLM-mode run sends, as chat does for a routine
+ * picked from the "/" menu, with the schedule's parameter values.
+ *
+ * @param {object} routine - { name, prompt }
+ * @param {object} [params]
+ * @returns {string}
+ */
+export function buildScheduledPrompt(routine, params = {}) {
+  return buildRoutinePrompt(routine, params);
+}
+
+/**
+ * The `data` of a routine.scheduled_run webhook.
+ *
+ * @param {object} routine - { id, name }
+ * @param {object} run - routine_schedule_runs row
+ * @returns {object}
+ */
+export function scheduledRunEvent(routine, run) {
+  const output = run.output || null;
+  return {
+    routine_id: routine.id,
+    routine_name: routine.name,
+    run_id: run.id,
+    status: run.status,
+    trigger: run.trigger,
+    run_as: run.run_as,
+    scheduled_for: run.scheduled_for || null,
+    chat_id: run.chat_id || null,
+    output: output && output.length > WEBHOOK_OUTPUT_CHARS ? `${output.slice(0, WEBHOOK_OUTPUT_CHARS)}…` : output,
+    error: run.error || null,
+  };
+}
+
+export default {
+  SCHEDULE_RUN_AS,
+  SCHEDULE_DELIVERY,
+  validateRoutineSchedule,
+  nextScheduledRun,
+  buildScheduledPrompt,
+  scheduledRunEvent,
+};
@@ -0,0 +1,153 @@
+/**
+ * Envelope Encryption
+ *
+ * AES-256-GCM primitives for secrets at rest. A master key (env) wraps
+ * per-org data keys; data keys encrypt the secrets themselves. Rotating the
+ * master key only re-wraps data keys, never the data.
+ *
+ *   CREDENTIALS_MASTER_KEY           current master key (32 bytes, base64 or hex)
+ *   CREDENTIALS_MASTER_KEY_PREVIOUS  old master key(s), comma-separated, still
+ *                                    accepted for unwrapping during rotation
+ *
+ * Encrypted values are stored in JSONB as:
+ *   { "$enc": "v1", "kid": "<data key id>", "iv": "...", "tag": "...", "ct": "..." }
+ */
+
+import crypto from 'crypto';
+
+export const ENVELOPE_VERSION = 'v1';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+/**
+ * Decode a 32-byte key given as base64 or hex.
+ */
+function decodeKey(value, name) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`${name} must be ${KEY_BYTES} bytes (base64 or hex), got ${key.length}`);
+  }
+  return key;
+}
+
+/**
+ * Short, stable identifier for a master key (stored next to wrapped data keys).
+ */
+export function masterKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Master keys from the environment, current first.
+ *
+ * @returns {Array<{ id: string, key: Buffer }>} Empty if encryption is not configured
+ */
+export function getMasterKeys(env = process.env) {
+  const values = [
+    env.CREDENTIALS_MASTER_KEY,
+    ...(env.CREDENTIALS_MASTER_KEY_PREVIOUS || '').split(','),
+  ].filter(v => v && v.trim());
+
+  return values.map((value, i) => {
+    const key = decodeKey(value, i === 0 ? 'CREDENTIALS_MASTER_KEY' : 'CREDENTIALS_MASTER_KEY_PREVIOUS');
+    return { id: masterKeyId(key), key };
+  });
+}
+
+/**
+ * A new random data key.
+ */
+export function generateDataKey() {
+  return crypto.randomBytes(KEY_BYTES);
+}
+
+function seal(plaintext, key, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), ct: ct.toString('base64') };
+}
+
+function open({ iv, tag, ct }, key, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ct, 'base64')), decipher.final()]);
+}
+
+/**
+ * Wrap (encrypt) a data key under a master key.
+ * The org ID is bound as AAD so a wrapped key cannot be moved to another org.
+ *
+ * @returns {string} "v1.<iv>.<tag>.<ct>"
+ */
+export function wrapDataKey(dataKey, masterKey, orgId) {
+  const { iv, tag, ct } = seal(dataKey, masterKey, orgId);
+  return [ENVELOPE_VERSION, iv, tag, ct].join('.');
+}
+
+/**
+ * Unwrap a data key with the master key it was wrapped under.
+ *
+ * @param {string} wrapped - Output of wrapDataKey
+ * @param {Array<{ id, key }>} masterKeys - From getMasterKeys()
+ * @param {string} masterId - master_key_id stored with the wrapped key
+ * @param {string} orgId - Org the key belongs to
+ * @returns {Buffer}
+ */
+export function unwrapDataKey(wrapped, masterKeys, masterId, orgId) {
+  const master = masterKeys.find(k => k.id === masterId);
+  if (!master) {
+    throw new Error(`Master key ${masterId} is not configured (set CREDENTIALS_MASTER_KEY_PREVIOUS during rotation)`);
+  }
+  const [version, iv, tag, ct] = wrapped.split('.');
+  if (version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported wrapped key version: ${version}`);
+  }
+  return open({ iv, tag, ct }, master.key, orgId);
+}
+
+/**
+ * Whether a stored JSONB value is an encrypted envelope.
+ */
+export function isEncrypted(value) {
+  return !!value && typeof value === 'object' && value.$enc === ENVELOPE_VERSION && typeof value.ct === 'string';
+}
+
+/**
+ * Encrypt any JSON value with a data key.
+ *
+ * @param {*} value - JSON-serializable value
+ * @param {Buffer} dataKey
+ * @param {string} keyId - ID of the data key (stored so decryption can find it)
+ * @returns {object} Envelope for JSONB storage
+ */
+export function encryptValue(value, dataKey, keyId) {
+  const sealed = seal(Buffer.from(JSON.stringify(value)), dataKey, keyId);
+  return { $enc: ENVELOPE_VERSION, kid: keyId, ...sealed };
+}
+
+/**
+ * Decrypt an envelope produced by encryptValue.
+ */
+export function decryptValue(envelope, dataKey) {
+  return JSON.parse(open(envelope, dataKey, envelope.kid).toString());
+}
+
+export default {
+  ENVELOPE_VERSION,
+  masterKeyId,
+  getMasterKeys,
+  generateDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+};
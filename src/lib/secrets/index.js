@@ -0,0 +1,34 @@
+/**
+ * Secrets Module - Encryption of stored credentials
+ *
+ * - Envelope: AES-256-GCM primitives, master key from env
+ * - Keyring: Per-org data keys and encrypt/decrypt helpers for
+ *   credentials, org settings and source auth_config
+ *
+ * Usage:
+ *   import { encryptCredentials, decryptCredentials } from '@/lib/secrets';
+ *   import { decryptSettings } from '@/lib/secrets';
+ */
+
+// Envelope - Crypto primitives
+export {
+  isEncrypted,
+  getMasterKeys,
+} from './envelope.js';
+
+// Keyring - Per-org data keys + helpers
+export {
+  SECRET_SETTINGS_KEYS,
+  SECRET_AUTH_CONFIG_KEYS,
+  isEncryptionEnabled,
+  encryptSecret,
+  decryptSecret,
+  decryptSealedSecret,
+  encryptCredentials,
+  decryptCredentials,
+  encryptSettings,
+  decryptSettings,
+  encryptAuthConfig,
+  decryptAuthConfig,
+  decryptSource,
+} from './keyring.js';
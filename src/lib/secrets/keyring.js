@@ -0,0 +1,307 @@
+/**
+ * Keyring
+ *
+ * Per-org data keys (org_data_keys, wrapped under the master key) and the
+ * encrypt/decrypt helpers routes use for stored secrets:
+ *   - user_api_credentials.credentials  → whole object encrypted
+ *   - org.settings                      → LLM API keys encrypted per field
+ *   - api_sources.auth_config           → secret fields (client_secret, ...) encrypted per field
+ *
+ * org_data_keys is only readable with the service role, so this module keeps
+ * its own service client. Plaintext values (rows written before encryption was
+ * enabled) are returned as-is by the decrypt helpers; `yarn encrypt-credentials`
+ * converts them.
+ *
+ * Without CREDENTIALS_MASTER_KEY, secrets are stored in plaintext in development
+ * (with a warning) and refused in production.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+  getMasterKeys,
+  generateDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+} from './envelope.js';
+
+// org.settings fields holding secrets
+export const SECRET_SETTINGS_KEYS = ['openai_api_key', 'anthropic_api_key', 'google_generative_ai_api_key'];
+
+// api_sources.auth_config fields holding secrets (the rest is plain config: in, name, token_url, ...)
+export const SECRET_AUTH_CONFIG_KEYS = ['client_secret', 'token', 'api_key', 'password', 'header_value'];
+
+// Re-check which data key is active this often, so servers pick up a rotation
+const ACTIVE_KEY_TTL_MS = 5 * 60 * 1000;
+
+let keyStore = null;
+let warnedPlaintext = false;
+
+// data key id → { orgId, key }
+const dataKeys = new Map();
+// org id → { id, loadedAt }
+const activeKeys = new Map();
+
+function getKeyStore() {
+  if (!keyStore) {
+    const url = process.env.NEXT_PUBLIC_SUPABASE_URL;
+    const serviceKey = process.env.SUPABASE_SERVICE_ROLE || process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!url || !serviceKey) {
+      throw new Error('Missing Supabase service role key (needed to load encryption keys)');
+    }
+    keyStore = createClient(url, serviceKey);
+  }
+  return keyStore;
+}
+
+/**
+ * Use a specific Supabase client for org_data_keys (scripts, tests).
+ */
+export function setKeyStore(client) {
+  keyStore = client;
+  clearKeyCache();
+}
+
+/**
+ * Forget cached data keys (after rotation in the same process).
+ */
+export function clearKeyCache() {
+  dataKeys.clear();
+  activeKeys.clear();
+}
+
+/**
+ * Whether secrets should be encrypted. Throws in production without a master key.
+ */
+export function isEncryptionEnabled() {
+  if (getMasterKeys().length > 0) return true;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('CREDENTIALS_MASTER_KEY is not set; refusing to store secrets in plaintext');
+  }
+  if (!warnedPlaintext) {
+    console.warn('[SECRETS] CREDENTIALS_MASTER_KEY is not set — storing secrets in plaintext (development only)');
+    warnedPlaintext = true;
+  }
+  return false;
+}
+
+function cacheRow(row) {
+  const key = unwrapDataKey(row.wrapped_key, getMasterKeys(), row.master_key_id, row.org_id);
+  dataKeys.set(row.id, { orgId: row.org_id, key });
+  return key;
+}
+
+/**
+ * Create a new active data key for an org, retiring the current one.
+ * Retired keys stay available for decryption until `yarn rotate-keys --purge-retired`.
+ *
+ * @returns {Promise<{ id: string, key: Buffer }>}
+ */
+export async function createDataKey(orgId) {
+  const [master] = getMasterKeys();
+  if (!master) throw new Error('CREDENTIALS_MASTER_KEY is not set');
+
+  const store = getKeyStore();
+  const key = generateDataKey();
+
+  const { error: retireError } = await store
+    .from('org_data_keys')
+    .update({ is_active: false, retired_at: new Date().toISOString() })
+    .eq('org_id', orgId)
+    .eq('is_active', true);
+  if (retireError) throw retireError;
+
+  const { data: row, error } = await store
+    .from('org_data_keys')
+    .insert({
+      org_id: orgId,
+      wrapped_key: wrapDataKey(key, master.key, orgId),
+      master_key_id: master.id,
+      is_active: true,
+    })
+    .select('id')
+    .single();
+  if (error) throw error;
+
+  dataKeys.set(row.id, { orgId, key });
+  activeKeys.set(orgId, { id: row.id, loadedAt: Date.now() });
+  return { id: row.id, key };
+}
+
+/**
+ * The org's active data key, created on first use.
+ *
+ * @returns {Promise<{ id: string, key: Buffer }>}
+ */
+export async function getActiveDataKey(orgId) {
+  const cached = activeKeys.get(orgId);
+  if (cached && Date.now() - cached.loadedAt < ACTIVE_KEY_TTL_MS && dataKeys.has(cached.id)) {
+    return { id: cached.id, key: dataKeys.get(cached.id).key };
+  }
+
+  const store = getKeyStore();
+  const { data: row, error } = await store
+    .from('org_data_keys')
+    .select('id, org_id, wrapped_key, master_key_id')
+    .eq('org_id', orgId)
+    .eq('is_active', true)
+    .maybeSingle();
+  if (error) throw error;
+
+  if (!row) {
+    try {
+      return await createDataKey(orgId);
+    } catch (createError) {
+      // Another request created it first (unique active key per org)
+      if (createError.code !== '23505') throw createError;
+      activeKeys.delete(orgId);
+      return getActiveDataKey(orgId);
+    }
+  }
+
+  const key = dataKeys.get(row.id)?.key || cacheRow(row);
+  activeKeys.set(orgId, { id: row.id, loadedAt: Date.now() });
+  return { id: row.id, key };
+}
+
+/**
+ * A data key by ID (active or retired), checked against the org.
+ */
+async function getDataKey(keyId, orgId) {
+  const cached = dataKeys.get(keyId);
+  if (cached) {
+    if (cached.orgId !== orgId) throw new Error('Encrypted value belongs to another organization');
+    return cached.key;
+  }
+
+  const { data: row, error } = await getKeyStore()
+    .from('org_data_keys')
+    .select('id, org_id, wrapped_key, master_key_id')
+    .eq('id', keyId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!row) throw new Error(`Encryption key ${keyId} not found`);
+  if (row.org_id !== orgId) throw new Error('Encrypted value belongs to another organization');
+
+  return cacheRow(row);
+}
+
+/**
+ * Encrypt one value with the org's active data key.
+ * Already-encrypted values and null/undefined pass through.
+ */
+export async function encryptSecret(orgId, value) {
+  if (value === null || value === undefined || isEncrypted(value)) return value;
+  if (!isEncryptionEnabled()) return value;
+
+  const { id, key } = await getActiveDataKey(orgId);
+  return encryptValue(value, key, id);
+}
+
+/**
+ * Decrypt one value. Plaintext values pass through.
+ */
+export async function decryptSecret(orgId, value) {
+  if (!isEncrypted(value)) return value;
+  const key = await getDataKey(value.kid, orgId);
+  return decryptValue(value, key);
+}
+
+/**
+ * Decrypt a value the server always stores encrypted (queued call arguments,
+ * undo arguments). Unlike decryptSecret, plaintext is refused while
+ * encryption is enabled: encryptSecret did not write it.
+ *
+ * @throws {Error} When the value is not an envelope
+ */
+export async function decryptSealedSecret(orgId, value) {
+  if (value !== null && value !== undefined && !isEncrypted(value) && isEncryptionEnabled()) {
+    throw new Error('Stored value is not encrypted');
+  }
+  return decryptSecret(orgId, value);
+}
+
+async function mapFields(obj, fields, fn) {
+  if (!obj || typeof obj !== 'object') return obj;
+  const result = { ...obj };
+  for (const field of fields) {
+    if (result[field] !== undefined && result[field] !== null && result[field] !== '') {
+      result[field] = await fn(result[field]);
+    }
+  }
+  return result;
+}
+
+/**
+ * user_api_credentials.credentials → stored form (one envelope for the whole object).
+ */
+export async function encryptCredentials(orgId, credentials) {
+  if (!credentials || Object.keys(credentials).length === 0) return credentials || {};
+  return encryptSecret(orgId, credentials);
+}
+
+/**
+ * Stored user_api_credentials.credentials → plain object.
+ */
+export async function decryptCredentials(orgId, stored) {
+  return (await decryptSecret(orgId, stored)) || null;
+}
+
+/**
+ * org.settings → stored form (LLM API keys encrypted, other settings plain).
+ */
+export async function encryptSettings(orgId, settings) {
+  return mapFields(settings, SECRET_SETTINGS_KEYS, v => encryptSecret(orgId, v));
+}
+
+/**
+ * Stored org.settings → plain settings.
+ */
+export async function decryptSettings(orgId, settings) {
+  return mapFields(settings, SECRET_SETTINGS_KEYS, v => decryptSecret(orgId, v));
+}
+
+/**
+ * api_sources.auth_config → stored form (secret fields encrypted).
+ */
+export async function encryptAuthConfig(orgId, authConfig) {
+  return mapFields(authConfig, SECRET_AUTH_CONFIG_KEYS, v => encryptSecret(orgId, v));
+}
+
+/**
+ * Stored api_sources.auth_config → plain auth_config.
+ */
+export async function decryptAuthConfig(orgId, authConfig) {
+  return mapFields(authConfig, SECRET_AUTH_CONFIG_KEYS, v => decryptSecret(orgId, v));
+}
+
+/**
+ * Source row with a decrypted auth_config (for executing tools / OAuth).
+ */
+export async function decryptSource(source) {
+  if (!source?.auth_config) return source;
+  return { ...source, auth_config: await decryptAuthConfig(source.org_id, source.auth_config) };
+}
+
+export default {
+  SECRET_SETTINGS_KEYS,
+  SECRET_AUTH_CONFIG_KEYS,
+  setKeyStore,
+  clearKeyCache,
+  isEncryptionEnabled,
+  createDataKey,
+  getActiveDataKey,
+  encryptSecret,
+  decryptSecret,
+  decryptSealedSecret,
+  encryptCredentials,
+  decryptCredentials,
+  encryptSettings,
+  decryptSettings,
+  encryptAuthConfig,
+  decryptAuthConfig,
+  decryptSource,
+};
@@ -0,0 +1,354 @@
+/**
+ * Secret Rotation
+ *
+ * Bulk operations behind `yarn encrypt-credentials` and `yarn rotate-keys`.
+ * Run with a service-role client; never from a request handler.
+ *
+ * Tables are read a page at a time (PostgREST caps each response), so every
+ * row of a large org is rewritten, and a retired data key is only deleted
+ * once no stored value uses it.
+ */
+
+import { isEncrypted, getMasterKeys, wrapDataKey, unwrapDataKey } from './envelope.js';
+import {
+  SECRET_SETTINGS_KEYS,
+  SECRET_AUTH_CONFIG_KEYS,
+  getActiveDataKey,
+  encryptSecret,
+  decryptSecret,
+} from './keyring.js';
+
+// Rows per request when reading whole tables; PostgREST may return fewer
+const PAGE_SIZE = 1000;
+
+// Source ids per user_api_credentials request (they go in the URL)
+const SOURCE_ID_CHUNK = 100;
+
+/**
+ * Every row a query matches, read with .range() until a page comes back empty.
+ *
+ * @param {Function} buildQuery - () => fresh select query (ordered by id here)
+ * @returns {Promise<Array>}
+ */
+async function selectAll(buildQuery) {
+  const rows = [];
+  for (;;) {
+    const { data, error } = await buildQuery().order('id').range(rows.length, rows.length + PAGE_SIZE - 1);
+    if (error) throw error;
+    if (!data?.length) return rows;
+    rows.push(...data);
+  }
+}
+
+/**
+ * user_api_credentials rows of the given sources.
+ */
+async function selectCredentials(supabase, sourceIds, columns) {
+  const rows = [];
+  for (let i = 0; i < sourceIds.length; i += SOURCE_ID_CHUNK) {
+    const chunk = sourceIds.slice(i, i + SOURCE_ID_CHUNK);
+    rows.push(...await selectAll(() => supabase.from('user_api_credentials').select(columns).in('source_id', chunk)));
+  }
+  return rows;
+}
+
+/**
+ * Whether a stored value must be (re-)encrypted: plaintext, or encrypted
+ * with a data key other than the org's active one.
+ */
+function needsRewrite(value, activeKeyId) {
+  if (value === null || value === undefined || value === '') return false;
+  return !isEncrypted(value) || value.kid !== activeKeyId;
+}
+
+/**
+ * needsRewrite for whole credential objects, where {} means "none set".
+ */
+function needsCredentialRewrite(value, activeKeyId) {
+  const empty = !isEncrypted(value) && Object.keys(value || {}).length === 0;
+  return !empty && needsRewrite(value, activeKeyId);
+}
+
+async function rewrite(orgId, value) {
+  return encryptSecret(orgId, await decryptSecret(orgId, value));
+}
+
+async function rewriteFields(orgId, obj, fields, activeKeyId) {
+  let changed = false;
+  const result = { ...obj };
+  for (const field of fields) {
+    if (needsRewrite(result[field], activeKeyId)) {
+      result[field] = await rewrite(orgId, result[field]);
+      changed = true;
+    }
+  }
+  return { changed, result };
+}
+
+/**
+ * Encrypt every plaintext secret of an org and re-encrypt values under retired
+ * data keys with the active one. Idempotent.
+ *
+ * @param {object} supabase - Service-role client
+ * @param {string} orgId
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Count without writing
+ * @returns {Promise<{ credentials: number, settings: number, sources: number, webhooks: number, queued: number, undo: number }>} Rows rewritten
+ */
+export async function encryptOrgSecrets(supabase, orgId, { dryRun = false } = {}) {
+  const { id: activeKeyId } = await getActiveDataKey(orgId);
+  const counts = { credentials: 0, settings: 0, sources: 0, webhooks: 0, queued: 0, undo: 0 };
+
+  // org.settings
+  const { data: org, error: orgError } = await supabase
+    .from('org')
+    .select('settings')
+    .eq('id', orgId)
+    .single();
+  if (orgError) throw orgError;
+
+  const settings = await rewriteFields(orgId, org.settings || {}, SECRET_SETTINGS_KEYS, activeKeyId);
+  if (settings.changed) {
+    counts.settings++;
+    if (!dryRun) {
+      const { error } = await supabase.from('org').update({ settings: settings.result }).eq('id', orgId);
+      if (error) throw error;
+    }
+  }
+
+  // api_sources.auth_config and shared_credentials (whole object)
+  const sources = await selectAll(() => supabase
+    .from('api_sources')
+    .select('id, auth_config, shared_credentials')
+    .eq('org_id', orgId));
+
+  for (const source of sources) {
+    const authConfig = await rewriteFields(orgId, source.auth_config || {}, SECRET_AUTH_CONFIG_KEYS, activeKeyId);
+    const sharedChanged = needsCredentialRewrite(source.shared_credentials, activeKeyId);
+    if (!authConfig.changed && !sharedChanged) continue;
+    counts.sources++;
+    if (!dryRun) {
+      const updates = { auth_config: authConfig.result };
+      if (sharedChanged) updates.shared_credentials = await rewrite(orgId, source.shared_credentials);
+      const { error } = await supabase.from('api_sources').update(updates).eq('id', source.id);
+      if (error) throw error;
+    }
+  }
+
+  // user_api_credentials.credentials (whole object)
+  const creds = await selectCredentials(supabase, sources.map(s => s.id), 'id, credentials');
+  for (const cred of creds) {
+    if (!needsCredentialRewrite(cred.credentials, activeKeyId)) continue;
+    counts.credentials++;
+    if (!dryRun) {
+      const { error } = await supabase
+        .from('user_api_credentials')
+        .update({ credentials: await rewrite(orgId, cred.credentials) })
+        .eq('id', cred.id);
+      if (error) throw error;
+    }
+  }
+
+  // webhook_endpoints.secret
+  const endpoints = await selectAll(() => supabase
+    .from('webhook_endpoints')
+    .select('id, secret')
+    .eq('org_id', orgId));
+
+  for (const endpoint of endpoints) {
+    if (!needsRewrite(endpoint.secret, activeKeyId)) continue;
+    counts.webhooks++;
+    if (!dryRun) {
+      const { error } = await supabase
+        .from('webhook_endpoints')
+        .update({ secret: await rewrite(orgId, endpoint.secret) })
+        .eq('id', endpoint.id);
+      if (error) throw error;
+    }
+  }
+
+  // action_log.queued_args (calls waiting in the approval queue)
+  const queued = await selectAll(() => supabase
+    .from('action_log')
+    .select('id, queued_args')
+    .eq('org_id', orgId)
+    .not('queued_args', 'is', null));
+
+  for (const action of queued) {
+    if (!needsRewrite(action.queued_args, activeKeyId)) continue;
+    counts.queued++;
+    if (!dryRun) {
+      const { error } = await supabase
+        .from('action_log')
+        .update({ queued_args: await rewrite(orgId, action.queued_args) })
+        .eq('id', action.id);
+      if (error) throw error;
+    }
+  }
+
+  // action_log.undo_args (arguments of calls that can be undone)
+  const undoable = await selectAll(() => supabase
+    .from('action_log')
+    .select('id, undo_args')
+    .eq('org_id', orgId)
+    .not('undo_args', 'is', null));
+
+  for (const action of undoable) {
+    if (!needsRewrite(action.undo_args, activeKeyId)) continue;
+    counts.undo++;
+    if (!dryRun) {
+      const { error } = await supabase
+        .from('action_log')
+        .update({ undo_args: await rewrite(orgId, action.undo_args) })
+        .eq('id', action.id);
+      if (error) throw error;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Re-wrap data keys under the current master key (CREDENTIALS_MASTER_KEY).
+ * The previous master key must still be listed in CREDENTIALS_MASTER_KEY_PREVIOUS.
+ * Encrypted data is untouched.
+ *
+ * @param {object} supabase - Service-role client
+ * @param {object} [options]
+ * @param {string} [options.orgId] - Limit to one org
+ * @returns {Promise<number>} Keys re-wrapped
+ */
+export async function rewrapDataKeys(supabase, { orgId } = {}) {
+  const masterKeys = getMasterKeys();
+  const [current] = masterKeys;
+  if (!current) throw new Error('CREDENTIALS_MASTER_KEY is not set');
+
+  let query = supabase
+    .from('org_data_keys')
+    .select('id, org_id, wrapped_key, master_key_id')
+    .neq('master_key_id', current.id);
+  if (orgId) query = query.eq('org_id', orgId);
+
+  const { data: rows, error } = await query;
+  if (error) throw error;
+
+  for (const row of rows || []) {
+    const key = unwrapDataKey(row.wrapped_key, masterKeys, row.master_key_id, row.org_id);
+    const { error: updateError } = await supabase
+      .from('org_data_keys')
+      .update({ wrapped_key: wrapDataKey(key, current.key, row.org_id), master_key_id: current.id })
+      .eq('id', row.id);
+    if (updateError) throw updateError;
+  }
+
+  return rows?.length || 0;
+}
+
+/**
+ * Data key ids that stored values of an org are encrypted with.
+ *
+ * @param {object} supabase - Service-role client
+ * @param {string} orgId
+ * @returns {Promise<Set<string>>}
+ */
+export async function referencedDataKeyIds(supabase, orgId) {
+  const ids = new Set();
+  const add = (value) => {
+    if (isEncrypted(value)) ids.add(value.kid);
+  };
+
+  const { data: org, error: orgError } = await supabase
+    .from('org')
+    .select('settings')
+    .eq('id', orgId)
+    .maybeSingle();
+  if (orgError) throw orgError;
+  SECRET_SETTINGS_KEYS.forEach(field => add(org?.settings?.[field]));
+
+  const sources = await selectAll(() => supabase
+    .from('api_sources')
+    .select('id, auth_config, shared_credentials')
+    .eq('org_id', orgId));
+  for (const source of sources) {
+    SECRET_AUTH_CONFIG_KEYS.forEach(field => add(source.auth_config?.[field]));
+    add(source.shared_credentials);
+  }
+
+  for (const cred of await selectCredentials(supabase, sources.map(s => s.id), 'id, credentials')) {
+    add(cred.credentials);
+  }
+
+  const endpoints = await selectAll(() => supabase
+    .from('webhook_endpoints')
+    .select('id, secret')
+    .eq('org_id', orgId));
+  endpoints.forEach(endpoint => add(endpoint.secret));
+
+  const queued = await selectAll(() => supabase
+    .from('action_log')
+    .select('id, queued_args')
+    .eq('org_id', orgId)
+    .not('queued_args', 'is', null));
+  queued.forEach(action => add(action.queued_args));
+
+  const undoable = await selectAll(() => supabase
+    .from('action_log')
+    .select('id, undo_args')
+    .eq('org_id', orgId)
+    .not('undo_args', 'is', null));
+  undoable.forEach(action => add(action.undo_args));
+
+  return ids;
+}
+
+/**
+ * Delete retired data keys that no stored value uses any more. Run after
+ * encryptOrgSecrets has moved the values to the active key; a key something
+ * is still encrypted with is kept (deleting it would make that value unreadable).
+ *
+ * @param {object} supabase - Service-role client
+ * @param {object} [options]
+ * @param {string} [options.orgId] - Limit to one org
+ * @returns {Promise<{ purged: number, kept: string[] }>} Keys deleted, and the ids of retired keys still in use
+ */
+export async function purgeRetiredDataKeys(supabase, { orgId } = {}) {
+  let query = supabase
+    .from('org_data_keys')
+    .select('id, org_id')
+    .eq('is_active', false);
+  if (orgId) query = query.eq('org_id', orgId);
+
+  const { data: retired, error } = await query;
+  if (error) throw error;
+
+  const referenced = new Map();
+  const kept = [];
+  let purged = 0;
+
+  for (const key of retired || []) {
+    if (!referenced.has(key.org_id)) {
+      referenced.set(key.org_id, await referencedDataKeyIds(supabase, key.org_id));
+    }
+    if (referenced.get(key.org_id).has(key.id)) {
+      kept.push(key.id);
+      continue;
+    }
+
+    const { error: deleteError } = await supabase
+      .from('org_data_keys')
+      .delete()
+      .eq('id', key.id)
+      .eq('is_active', false);
+    if (deleteError) throw deleteError;
+    purged++;
+  }
+
+  return { purged, kept };
+}
+
+export default {
+  encryptOrgSecrets,
+  rewrapDataKeys,
+  referencedDataKeyIds,
+  purgeRetiredDataKeys,
+};
@@ -0,0 +1,140 @@
+/**
+ * Approval Policy
+ *
+ * Second-person approval for high-risk tools, set by admins per tool in
+ * `api_sources.approval_policy` (keyed by tool id):
+ *
+ *   {
+ *     "<refund tool id>": { "role": "admin" },
+ *     "<delete tool id>": { "role": "owner", "access_level": "operator" }
+ *   }
+ *
+ * Calls of such a tool aren't confirmed in the chat by whoever asked for
+ * them. They are parked in action_log as pending_confirmation with the route
+ * (see lib/audit/approval-queue.js) and wait on the approvals page for
+ * someone else with at least `role` in the org, or at least `access_level`
+ * on the call's agent (viewer < operator; owners and admins count as
+ * operators of every agent). Either one qualifies.
+ */
+
+export const APPROVER_ROLES = ['member', 'admin', 'owner'];
+export const APPROVER_ACCESS_LEVELS = ['viewer', 'operator'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateRoute(route, label) {
+  if (!isPlainObject(route)) return `${label} must be an object`;
+  const unknown = Object.keys(route).find(key => !['role', 'access_level'].includes(key));
+  if (unknown) return `${label}: unknown key ${unknown}`;
+  if (!route.role && !route.access_level) return `${label} needs a role or an access_level`;
+  if (route.role && !APPROVER_ROLES.includes(route.role)) {
+    return `${label}.role must be one of ${APPROVER_ROLES.join(', ')}`;
+  }
+  if (route.access_level && !APPROVER_ACCESS_LEVELS.includes(route.access_level)) {
+    return `${label}.access_level must be one of ${APPROVER_ACCESS_LEVELS.join(', ')}`;
+  }
+  return null;
+}
+
+function normalizeRoute(route) {
+  const normalized = {};
+  if (route.role) normalized.role = route.role;
+  if (route.access_level) normalized.access_level = route.access_level;
+  return normalized;
+}
+
+/**
+ * Check a source's approval policy.
+ *
+ * @param {any} spec - { [toolId]: { role?, access_level? } }
+ * @returns {{ policy: object|null, error: string|null }}
+ */
+export function validateApprovalPolicy(spec) {
+  if (spec === null || spec === undefined) return { policy: {}, error: null };
+  if (!isPlainObject(spec)) return { policy: null, error: 'approval_policy must be an object keyed by tool id' };
+
+  const policy = {};
+  for (const [toolId, route] of Object.entries(spec)) {
+    const error = validateRoute(route, `approval_policy.${toolId}`);
+    if (error) return { policy: null, error };
+    policy[toolId] = normalizeRoute(route);
+  }
+  return { policy, error: null };
+}
+
+/**
+ * Who has to approve calls of one tool of a source, or null when the caller
+ * confirms them as usual. An invalid stored route is ignored.
+ *
+ * @param {object} source - api_sources row (approval_policy)
+ * @param {string} toolId - tools.id / template_tools.id
+ * @returns {{ role?: string, access_level?: string }|null}
+ */
+export function approvalRouteForTool(source, toolId) {
+  const route = source?.approval_policy?.[toolId];
+  if (!route) return null;
+  const error = validateRoute(route, `approval_policy.${toolId}`);
+  if (error) {
+    console.warn('[APPROVALS] Ignoring route:', error);
+    return null;
+  }
+  return normalizeRoute(route);
+}
+
+function withArticle(word) {
+  return /^[aeiou]/.test(word) ? `an ${word}` : `a ${word}`;
+}
+
+/**
+ * Who can approve, in words ("an admin or an operator of the agent").
+ */
+export function describeApprovers(route) {
+  const parts = [];
+  if (route?.role) parts.push(route.role === 'member' ? 'another member' : withArticle(route.role));
+  if (route?.access_level) parts.push(`${withArticle(route.access_level)} of the agent`);
+  return parts.join(' or ') || 'another member';
+}
+
+/**
+ * Whether someone may approve a call on this route. Never the requester.
+ *
+ * @param {object} route - From approvalRouteForTool / action_log.approval_route
+ * @param {object} approver
+ * @param {string} approver.userId
+ * @param {string} approver.requesterId - action_log.user_id of the call
+ * @param {string|null} approver.role - Org role
+ * @param {string|null} [approver.accessLevel] - member_agent_access level on the call's agent
+ * @returns {boolean}
+ */
+export function isEligibleApprover(route, { userId, requesterId, role, accessLevel = null }) {
+  if (!route || !userId || userId === requesterId || !role) return false;
+  if (route.role && APPROVER_ROLES.indexOf(role) >= APPROVER_ROLES.indexOf(route.role)) return true;
+  if (route.access_level) {
+    const level = role === 'owner' || role === 'admin' ? 'operator' : accessLevel;
+    if (level && APPROVER_ACCESS_LEVELS.indexOf(level) >= APPROVER_ACCESS_LEVELS.indexOf(route.access_level)) return true;
+  }
+  return false;
+}
+
+/**
+ * Tool result text for a call that went to the approval queue instead of
+ * running (or that can't, when nobody signed in asked for it).
+ */
+export function formatApprovalRequired(route, { queued = true } = {}) {
+  const approvers = describeApprovers(route);
+  return queued
+    ? `NEEDS APPROVAL from ${approvers} - this call was NOT sent. It is waiting in the approval queue and runs once approved there. Tell the user; do not call it again.`
+    : `NEEDS APPROVAL from ${approvers} - this call was NOT sent. Calls of this tool can only be requested by a signed-in user in the app, where they go to the approval queue.`;
+}
+
+export default {
+  APPROVER_ROLES,
+  APPROVER_ACCESS_LEVELS,
+  validateApprovalPolicy,
+  approvalRouteForTool,
+  describeApprovers,
+  isEligibleApprover,
+  formatApprovalRequired,
+};
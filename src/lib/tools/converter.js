@@ -6,6 +6,12 @@
 
 import { tool, jsonSchema } from 'ai';
 import { executeTool, formatToolResult } from './executor.js';
+import { isWriteCall } from './dry-run.js';
+import { loadInverse } from './undo.js';
+import { redactionRules, redactValue } from './redaction.js';
+import { guardrailsForTool, evaluateGuardrails, describeGuardrails } from './guardrails.js';
+import { approvalRouteForTool, describeApprovers, formatApprovalRequired } from './approval-policy.js';
+import { recordPendingAction, startAction, finishAction } from '../audit/action-log.js';
 
 /**
  * Convert database tool rows (from get_agent_tools RPC) into AI SDK tool definitions.
@@ -17,17 +23,47 @@ import { executeTool, formatToolResult } from './executor.js';
  * @param {Array} toolRows - Rows from get_agent_tools RPC
  * @param {object} opts
  * @param {Map} opts.sourceMap - Map of source name → source config (auth_type, base_url, name)
- * @param {Map} opts.userCredentialsMap - Map of source_id → user's credentials for that source
+ * @param {Map} opts.userCredentialsMap - Map of source_id → credentials for that source (user's own or org-shared)
+ * @param {Map} [opts.credentialIdentityMap] - Map of source_id → credential identity (from resolveSourceCredential),
+ *   recorded with each call
  * @param {string|null} opts.userId - User ID for per-user mock data isolation
+ * @param {Function} [opts.resolveCredentials] - async (source, credentials) → credentials,
+ *   called right before each execution (refreshes expiring OAuth2 tokens)
+ * @param {object} [opts.actionLog] - { supabase, orgId, userId, agentId, chatId } to record each call
+ *   in action_log (see @/lib/audit); read at call time, so chatId may be filled in after conversion
+ * @param {boolean} [opts.dryRun] - Simulation mode: write calls return the request they would send
+ *   (see dry-run.js) and skip the approval step, since nothing is executed
+ * @param {string|null} [opts.role] - Caller's org role, for guardrails with `unless_role`
+ * @param {Map} [opts.escalations] - Filled with toolCallId → guardrail reasons when a call
+ *   needs approval because of a `confirm` guardrail, so the approval prompt can show why
+ * @param {boolean} [opts.canApprove] - false where nobody can approve (embeds): calls that
+ *   break a `confirm` guardrail are then stopped instead
+ * @param {Map} [opts.queuedApprovals] - Filled with toolCallId → { action_id, approvers } when
+ *   a call goes to the approval queue, so the chat can show who it waits for
+ *
+ * With actionLog, HTTP write tools that declare an inverse (see undo.js) return
+ * `_actionchat.undo` and `_actionchat.action_id`, which the chat UI's Undo uses.
+ *
+ * Sources carry their redaction policy as `redaction` (see redaction.js): the
+ * output is the human view, and the model gets toolOutputForModel of it.
+ *
+ * Guardrails (source.guardrails, see guardrails.js) are listed in the tool
+ * description; a broken `confirm` rule asks for approval before the call, and
+ * the executor enforces all of them.
+ *
+ * Tools with an approval route (source.approval_policy, see approval-policy.js)
+ * ask for approval on every call, which is parked in the approval queue for
+ * someone else instead of being confirmed in the chat; execute never runs them.
  * @returns {object} AI SDK tools object keyed by tool identifier
  */
-export function convertToolsToAISDK(toolRows, { sourceMap, userCredentialsMap, userId }) {
+export function convertToolsToAISDK(toolRows, { sourceMap, userCredentialsMap, credentialIdentityMap, userId, resolveCredentials, actionLog, dryRun = false, role = null, escalations, canApprove = true, queuedApprovals }) {
   const tools = {};
 
   for (const row of toolRows) {
     const toolKey = sanitizeToolKey(row.tool_name, row.tool_id);
     const source = sourceMap.get(row.source_name);
-    const needsConfirmation = row.requires_confirmation || row.risk_level === 'dangerous';
+    const simulated = dryRun && isWriteCall(row);
+    const needsConfirmation = !simulated && (row.requires_confirmation || row.risk_level === 'dangerous');
     const isReadOnly = row.permission === 'read';
 
     // Skip write tools if agent only has read permission on this source
@@ -37,29 +73,90 @@ export function convertToolsToAISDK(toolRows, { sourceMap, userCredentialsMap, u
 
     if (!source) continue;
 
-    // Get user's credentials for this source
+    // Get the credentials for this source and whose they are
     const userCredentials = userCredentialsMap?.get(source.id) || null;
+    const credentialIdentity = credentialIdentityMap?.get(source.id);
 
     // Build merged parameter schema for the LLM
     const inputSchema = buildInputSchema(row);
 
+    const guardrails = guardrailsForTool(source, row.tool_id);
+    const escalates = canApprove && !simulated && guardrails.some(rule => rule.action === 'confirm');
+    const approvalRoute = simulated ? null : approvalRouteForTool(source, row.tool_id);
+
     const description = [
       row.description,
       `(${row.method} ${row.path})`,
-      needsConfirmation ? '[requires confirmation]' : '',
+      approvalRoute ? `[requires approval from ${describeApprovers(approvalRoute)}]` : '',
+      needsConfirmation && !approvalRoute ? '[requires confirmation]' : '',
+      describeGuardrails(guardrails),
     ].filter(Boolean).join(' ');
 
+    // What action_log records about a call of this tool
+    const logEntry = (toolCallId, args) => ({
+      toolCallId,
+      toolId: row.tool_id,
+      toolName: row.tool_name,
+      sourceId: source.id,
+      method: row.method,
+      args,
+    });
+
     const toolDef = {
       description,
       inputSchema: inputSchema,
-      execute: async (args) => {
-        const result = await executeTool({
-          tool: row,
-          source,
-          args,
-          userCredentials,
-          userId,
-        });
+      execute: async (args, { toolCallId } = {}) => {
+        // Queued calls run from the approval queue; reaching this means nobody there approved it
+        if (approvalRoute && !evaluateGuardrails(guardrails, args, { role }).blocked) {
+          return {
+            _actionchat: {
+              tool_id: row.tool_id,
+              tool_name: row.tool_name,
+              source_id: source.id,
+              source_name: source.name,
+              method: row.method,
+              request_body: args,
+              error_message: 'Needs approval in the approval queue',
+            },
+            result: formatApprovalRequired(approvalRoute, { queued: Boolean(actionLog) }),
+          };
+        }
+
+        // Approved in chat: the tool always asks, or a `confirm` guardrail asked about these arguments
+        const approved = needsConfirmation || (escalates && evaluateGuardrails(guardrails, args, { role }).needsConfirmation);
+        const actionId = actionLog
+          ? await startAction(actionLog.supabase, actionLog, { ...logEntry(toolCallId, args), approved })
+          : null;
+
+        let result;
+        try {
+          const credentials = resolveCredentials
+            ? await resolveCredentials(source, userCredentials)
+            : userCredentials;
+          const inverse = actionId && !simulated && row.method !== 'MCP' && isWriteCall(row)
+            ? await loadInverse(actionLog.supabase, { toolId: row.tool_id, isTemplateTool: row.is_template_tool })
+            : null;
+          result = await executeTool({
+            tool: row,
+            source,
+            args,
+            userCredentials: credentials,
+            userId,
+            credentialIdentity,
+            callId: toolCallId,
+            dryRun,
+            inverse,
+            guardrails,
+            role,
+            // Only reached after the approval step whenever one was needed
+            approved: needsConfirmation || escalates || simulated,
+          });
+        } catch (error) {
+          await finishAction(actionLog?.supabase, actionId, { error_message: error.message, credential_identity: credentialIdentity });
+          throw error;
+        }
+        await finishAction(actionLog?.supabase, actionId, result);
+
         return {
           _actionchat: {
             tool_id: row.tool_id,
@@ -73,15 +170,51 @@ export function convertToolsToAISDK(toolRows, { sourceMap, userCredentialsMap, u
             response_body: result.response_body,
             duration_ms: result.duration_ms,
             error_message: result.error_message,
+            credential_identity: result.credential_identity,
+            attempts: result.attempts,
+            idempotency_key: result.idempotency_key,
+            idempotent_replay: result.idempotent_replay,
+            dry_run: result.dry_run,
+            simulated_request: result.simulated_request,
+            action_id: actionId,
+            undo: result.undo,
+            redacted: result.redacted,
+            guardrail_violations: result.guardrail_violations,
           },
           result: formatToolResult(result),
         };
       },
+      toModelOutput: ({ output }) => ({ type: 'json', value: toolOutputForModel(output, source.redaction) }),
     };
 
-    // Dangerous tools require user approval before execution
-    if (needsConfirmation) {
-      toolDef.needsApproval = true;
+    // Dangerous tools require user approval before execution, and so do calls that
+    // break a `confirm` guardrail (the pending call is logged when the approval is requested).
+    // Calls that need someone else's approval are parked in the queue instead (signed-in
+    // users only; calls a guardrail blocks are stopped by the executor, not queued)
+    if (approvalRoute) {
+      toolDef.needsApproval = async (args, { toolCallId }) => {
+        if (!actionLog || evaluateGuardrails(guardrails, args, { role }).blocked) return false;
+        const actionId = await recordPendingAction(actionLog.supabase, actionLog, {
+          ...logEntry(toolCallId, args),
+          approvalRoute,
+        });
+        queuedApprovals?.set(toolCallId, { action_id: actionId, approvers: describeApprovers(approvalRoute) });
+        return true;
+      };
+    } else if (needsConfirmation || escalates) {
+      toolDef.needsApproval = actionLog || escalates
+        ? async (args, { toolCallId }) => {
+          const check = escalates ? evaluateGuardrails(guardrails, args, { role }) : null;
+          if (check?.needsConfirmation) {
+            escalations?.set(toolCallId, check.violations.map(v => v.reason));
+          } else if (!needsConfirmation) {
+            // Blocked calls go through to the executor, which stops them
+            return false;
+          }
+          if (actionLog) await recordPendingAction(actionLog.supabase, actionLog, logEntry(toolCallId, args));
+          return true;
+        }
+        : true;
     }
 
     tools[toolKey] = tool(toolDef);
@@ -90,6 +223,51 @@ export function convertToolsToAISDK(toolRows, { sourceMap, userCredentialsMap, u
   return tools;
 }
 
+/**
+ * What the model sees of a tool output: the policy's llm rules applied to the
+ * response body (paths) and to every string in the output (detectors), with
+ * the summary rebuilt from the redacted body.
+ *
+ * @param {object} output - Tool output ({ _actionchat, result })
+ * @param {object|null} policy - Merged redaction policy
+ * @returns {object} The output itself when nothing was masked
+ */
+export function toolOutputForModel(output, policy) {
+  const rules = redactionRules(policy, 'llm');
+  const meta = output?._actionchat;
+  if (!rules || !meta) return output;
+
+  const body = redactValue(meta.response_body, rules);
+  const redactedMeta = { ...meta, response_body: body.value };
+  const withSummary = body.count > 0
+    ? { ...output, _actionchat: redactedMeta, result: formatToolResult(redactedMeta) }
+    : { ...output, _actionchat: redactedMeta };
+
+  const rest = redactValue(withSummary, rules, { paths: false });
+  return body.count + rest.count > 0 ? rest.value : output;
+}
+
+/**
+ * Apply toolOutputForModel to the tool outputs of earlier turns, whose tools
+ * may not be loaded this turn. The messages themselves are not modified.
+ *
+ * @param {Array} messages - UI messages
+ * @param {Function} policyFor - source_id → merged redaction policy
+ * @returns {Array}
+ */
+export function redactMessagesForModel(messages, policyFor) {
+  if (!messages?.length) return messages;
+  return messages.map(msg => {
+    if (!msg.parts?.some(part => part.output?._actionchat)) return msg;
+    return {
+      ...msg,
+      parts: msg.parts.map(part => part.output?._actionchat
+        ? { ...part, output: toolOutputForModel(part.output, policyFor(part.output._actionchat.source_id)) }
+        : part),
+    };
+  });
+}
+
 /**
  * Build a merged JSON Schema for the LLM input, combining path/query parameters
  * and request body into a single schema.
@@ -187,7 +365,7 @@ function deepCleanSchema(obj) {
  * Create a safe, unique key for a tool. AI SDK tool keys must be valid identifiers.
  * OpenAI limits tool names to 64 characters, so we use: name (max 55) + "_" + id (8) = 64
  */
-function sanitizeToolKey(toolName, toolId) {
+export function sanitizeToolKey(toolName, toolId) {
   const key = toolName
     .replace(/[^a-zA-Z0-9_]/g, '_')
     .replace(/_+/g, '_')
@@ -200,4 +378,6 @@ function sanitizeToolKey(toolName, toolId) {
 
 export default {
   convertToolsToAISDK,
+  toolOutputForModel,
+  redactMessagesForModel,
 };
@@ -0,0 +1,145 @@
+/**
+ * Source Credentials
+ *
+ * Which credential a tool call runs with. A source's credential_mode decides
+ * between the caller's own credential (user_api_credentials) and the org-wide
+ * shared credential an admin set on the source (api_sources.shared_credentials):
+ *
+ *   user           each member brings their own (default)
+ *   shared         everyone uses the shared credential; personal ones are ignored
+ *   user_override  shared credential by default; a member's own active credential wins
+ *
+ * The resolved identity ({ type, ... }, never the secret) is recorded with
+ * every call so the log shows whose key made it.
+ */
+
+import { decryptCredentials } from '../secrets/keyring.js';
+
+export const CREDENTIAL_MODES = ['user', 'shared', 'user_override'];
+
+/**
+ * Mask a credential value: show first 4 and last 4 chars
+ */
+function maskValue(value) {
+  if (!value || typeof value !== 'string') return null;
+  if (value.length <= 8) return '****';
+  return `${value.slice(0, 4)}...${value.slice(-4)}`;
+}
+
+/**
+ * Masked preview of a credential for display, based on auth type.
+ */
+export function maskCredentials(credentials, authType) {
+  if (!credentials) return null;
+  const c = credentials;
+  switch (authType) {
+    case 'bearer':
+      return maskValue(c.token);
+    case 'api_key':
+      return maskValue(c.api_key);
+    case 'oauth2':
+      return maskValue(c.access_token);
+    case 'basic':
+      return c.username ? `${c.username}:****` : null;
+    case 'header':
+      return c.header_name ? `${c.header_name}: ${maskValue(c.header_value)}` : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Pick the credential fields for an auth type out of a request body.
+ *
+ * @param {string} authType - Source auth_type
+ * @param {object} body - Request body ({ token } / { api_key, header_name } / ...)
+ * @returns {{ credentials: object }|{ error: string }}
+ */
+export function validateCredentialInput(authType, body) {
+  const credentials = {};
+  switch (authType) {
+    case 'bearer':
+      if (!body.token) return { error: 'token is required for bearer auth' };
+      credentials.token = body.token;
+      break;
+    case 'api_key':
+      if (!body.api_key) return { error: 'api_key is required' };
+      credentials.api_key = body.api_key;
+      credentials.header_name = body.header_name || 'X-API-Key';
+      break;
+    case 'basic':
+      if (!body.username || !body.password) return { error: 'username and password are required' };
+      credentials.username = body.username;
+      credentials.password = body.password;
+      break;
+    case 'header':
+      if (!body.header_name || !body.header_value) return { error: 'header_name and header_value are required' };
+      credentials.header_name = body.header_name;
+      credentials.header_value = body.header_value;
+      break;
+    case 'oauth2':
+      // Tokens come from the provider via /oauth/authorize → /api/oauth/callback
+      return { error: 'OAuth sources are connected with the Connect button, not saved directly' };
+    case 'none':
+    case 'passthrough':
+      break;
+    default:
+      return { error: `Unknown auth_type: ${authType}` };
+  }
+  return { credentials };
+}
+
+/**
+ * Whether a source has a shared credential set (without decrypting it).
+ */
+export function hasSharedCredentials(source) {
+  const stored = source?.shared_credentials;
+  return !!stored && Object.keys(stored).length > 0;
+}
+
+/**
+ * Whether members of the org may (or must) save their own credential.
+ */
+export function allowsUserCredentials(source) {
+  return (source?.credential_mode || 'user') !== 'shared';
+}
+
+/**
+ * Choose the credential a call runs with.
+ *
+ * @param {object} source - Source with id, org_id, credential_mode, shared_credentials (stored form)
+ * @param {object|null} userRow - Caller's active user_api_credentials row
+ *   ({ id, label, credentials, server_url, server_variables }, credentials decrypted)
+ * @param {object} [options]
+ * @param {string} [options.userId] - Caller, recorded in the identity
+ * @returns {Promise<{ row: object|null, identity: object }>} row has the same shape as userRow
+ *   (id is null for the shared credential); identity is safe to log
+ */
+export async function resolveSourceCredential(source, userRow, { userId = null } = {}) {
+  const mode = source?.credential_mode || 'user';
+  if (mode !== 'shared' && userRow) {
+    return {
+      row: userRow,
+      identity: { type: 'user', user_id: userId, credential_id: userRow.id || null, label: userRow.label || null },
+    };
+  }
+
+  if (mode !== 'user' && hasSharedCredentials(source)) {
+    const credentials = await decryptCredentials(source.org_id, source.shared_credentials);
+    return {
+      row: { id: null, label: 'Shared', credentials, server_url: null, server_variables: {} },
+      identity: { type: 'shared', source_id: source.id },
+    };
+  }
+
+  return { row: null, identity: { type: 'none' } };
+}
+
+export default {
+  CREDENTIAL_MODES,
+  maskCredentials,
+  validateCredentialInput,
+  hasSharedCredentials,
+  allowsUserCredentials,
+  resolveSourceCredential,
+};
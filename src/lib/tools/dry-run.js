@@ -0,0 +1,65 @@
+/**
+ * Dry Run
+ *
+ * Simulation mode for agents and chats: reads still execute, but write calls
+ * - POST/PUT/PATCH/DELETE, and MCP tools classed dangerous - stop after the
+ * request is built. The result carries the request that would have gone out
+ * (`simulated_request`: method, URL, body, headers with credentials masked)
+ * and nothing is sent.
+ *
+ * Turned on per agent (`agents.settings.dry_run`) or per chat (`chats.dry_run`).
+ */
+
+import { determineRiskLevel } from '../mcp/parser.js';
+
+export const DRY_RUN_WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const MASKED = '[REDACTED]';
+
+// Header names that carry credentials whatever the source's auth config says
+const SENSITIVE_HEADER = /(authorization|cookie|api[-_]?key|token|secret|signature|password)/i;
+
+/**
+ * Whether a call of this tool is held back in dry-run mode.
+ *
+ * @param {object} tool - Tool row (method, path, name, description, risk_level)
+ * @returns {boolean}
+ */
+export function isWriteCall(tool) {
+  if (tool.method === 'MCP') {
+    const name = tool.mcp_tool_name || tool.path || tool.name;
+    return tool.risk_level === 'dangerous' || determineRiskLevel(name, tool.description || '') === 'dangerous';
+  }
+  return DRY_RUN_WRITE_METHODS.includes(String(tool.method).toUpperCase());
+}
+
+/**
+ * Copy of request headers with credential values masked.
+ *
+ * @param {object} headers
+ * @param {string[]} [credentialHeaders] - Names of headers built from the credential
+ * @returns {object}
+ */
+export function maskHeaders(headers, credentialHeaders = []) {
+  const credentialSet = new Set(credentialHeaders.map(name => name.toLowerCase()));
+  const masked = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    masked[name] = credentialSet.has(name.toLowerCase()) || SENSITIVE_HEADER.test(name) ? MASKED : value;
+  }
+  return masked;
+}
+
+/**
+ * Tool result text for a simulated call: the model should report what would
+ * have happened, not try again.
+ */
+export function formatDryRunResult(simulatedRequest) {
+  return `DRY RUN - this request was NOT sent (simulation mode). It would have sent:\n${JSON.stringify(simulatedRequest, null, 2)}\nTell the user what this call would have done. Do not retry it.`;
+}
+
+export default {
+  DRY_RUN_WRITE_METHODS,
+  isWriteCall,
+  maskHeaders,
+  formatDryRunResult,
+};
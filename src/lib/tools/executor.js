@@ -9,22 +9,36 @@ import { callMCPTool } from '../mcp/client.js';
 import { parseToolResult as parseMcpResult } from '../mcp/parser.js';
 import { preProcessArgs, postProcessResult } from '../mcp/hints.js';
 import { getContentType, applyBeforeRequest, applyAfterResponse, getAdapterHeaders } from '../vendors/index.js';
+import { resolveServer, substituteServerVariables } from './servers.js';
+import { validateToolArgs, describeValidationErrors, formatValidationErrors } from './validator.js';
+import { resolveRequestPolicy, fetchWithPolicy } from './request-policy.js';
+import { needsIdempotencyKey, deriveIdempotencyKey, claimIdempotencyKey, completeIdempotencyKey } from './idempotency.js';
+import { isWriteCall, maskHeaders, formatDryRunResult } from './dry-run.js';
+import { buildSnapshotArgs, planUndo } from './undo.js';
+import { redactResult } from './redaction.js';
+import { evaluateGuardrails, formatGuardrailViolations } from './guardrails.js';
+import { consumeToolCall } from '../limits/rate-limits.js';
 
 // For successful responses, we only need a brief summary for the LLM
 // The UI renders the full data - no need to send it all back to the LLM
 const MAX_LLM_SUMMARY_SIZE = 500; // Brief summary for LLM
 const MAX_ERROR_SIZE = 2 * 1024; // More detail for errors
 
+// Parameter/cookie name for API keys sent `in: query|cookie` when the source names none
+export const DEFAULT_API_KEY_PARAM = 'api_key';
+
 /**
- * Build the full URL by substituting path parameters and appending query params.
+ * Build the full URL by substituting server variables and path parameters,
+ * and appending query params.
  *
- * @param {string} baseUrl - e.g. "https://api.stripe.com/v1"
+ * @param {string} baseUrl - e.g. "https://api.stripe.com/v1" or "https://{region}.api.example.com"
  * @param {string} path - e.g. "/refunds/{id}"
  * @param {object} args - All arguments from the LLM
  * @param {object|null} paramSchema - The tool's parameters JSON Schema
+ * @param {object} [serverVariables] - Values for `{variable}` placeholders in baseUrl
  * @returns {string} Fully resolved URL
  */
-export function buildUrl(baseUrl, path, args, paramSchema) {
+export function buildUrl(baseUrl, path, args, paramSchema, serverVariables = {}) {
   let resolvedPath = path;
   const queryParams = new URLSearchParams();
   const properties = paramSchema?.properties || {};
@@ -43,7 +57,7 @@ export function buildUrl(baseUrl, path, args, paramSchema) {
   }
 
   // Clean up base URL trailing slash and path leading slash
-  const base = baseUrl.replace(/\/+$/, '');
+  const base = substituteServerVariables(baseUrl, serverVariables).replace(/\/+$/, '');
   const cleanPath = resolvedPath.startsWith('/') ? resolvedPath : `/${resolvedPath}`;
   const qs = queryParams.toString();
 
@@ -123,11 +137,66 @@ function buildFormEncodedBody(body) {
   return params.toString();
 }
 
+/**
+ * Build a multipart/form-data body from object. Top-level fields become parts;
+ * nested objects are sent as JSON, arrays as one part per item.
+ *
+ * @param {object} body - Body object to encode
+ * @returns {FormData}
+ */
+function buildMultipartBody(body) {
+  const form = new FormData();
+  const append = (key, value) => {
+    if (value === null || value === undefined) return;
+    form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  };
+
+  for (const [key, value] of Object.entries(body)) {
+    if (Array.isArray(value)) {
+      value.forEach(item => append(key, item));
+    } else {
+      append(key, value);
+    }
+  }
+  return form;
+}
+
+/**
+ * How to encode a tool's request body: the vendor adapter's content type wins,
+ * then the media type the spec declared for the body (see openapi-parser.js).
+ *
+ * @returns {'json' | 'form-urlencoded' | 'multipart'}
+ */
+function requestBodyEncoding(tool, source) {
+  const adapterType = getContentType(source);
+  if (adapterType !== 'json') return adapterType;
+  switch (tool.request_body?.content_type) {
+    case 'application/x-www-form-urlencoded':
+      return 'form-urlencoded';
+    case 'multipart/form-data':
+      return 'multipart';
+    default:
+      return 'json';
+  }
+}
+
+/**
+ * What to tell the user when a source's credential is missing.
+ */
+function missingCredentialHint(source) {
+  return source.credential_mode === 'shared'
+    ? `Ask an admin to set the shared credential for "${source.name}".`
+    : `Add your credentials for "${source.name}".`;
+}
+
 /**
  * Build Authorization/auth headers from user credentials.
+ * API keys go where the source's auth_config says (`in: header|query|cookie`);
+ * query keys are added by buildAuthQuery instead. Query and cookie keys without
+ * a `name` use DEFAULT_API_KEY_PARAM.
  *
- * @param {object} source - Source with auth_type
- * @param {object|null} userCredentials - User's credentials from user_api_credentials table
+ * @param {object} source - Source with auth_type and auth_config
+ * @param {object|null} userCredentials - Credentials for the call (the user's own or the org's shared one)
  * @returns {object} Headers to add to the request
  */
 export function buildAuthHeaders(source, userCredentials) {
@@ -140,21 +209,37 @@ export function buildAuthHeaders(source, userCredentials) {
         headers['Authorization'] = `Bearer ${creds.token}`;
       } else {
         throw new Error(
-          `This API requires a Bearer token. Add your credentials for "${source.name}".`
+          `This API requires a Bearer token. ${missingCredentialHint(source)}`
+        );
+      }
+      break;
+
+    case 'oauth2':
+      // Refreshed by ensureFreshCredentials before execution
+      if (creds.access_token) {
+        headers['Authorization'] = `Bearer ${creds.access_token}`;
+      } else {
+        throw new Error(
+          `This API requires OAuth. Connect your account for "${source.name}".`
         );
       }
       break;
 
     case 'api_key': {
-      const headerName = creds.header_name || 'X-API-Key';
       const apiKey = creds.api_key;
-      if (apiKey) {
-        headers[headerName] = apiKey;
-      } else {
+      if (!apiKey) {
         throw new Error(
-          `This API requires an API key. Add your credentials for "${source.name}".`
+          `This API requires an API key. ${missingCredentialHint(source)}`
         );
       }
+      const { in: location = 'header', name } = source.auth_config || {};
+      if (location === 'cookie') {
+        headers['Cookie'] = `${name || DEFAULT_API_KEY_PARAM}=${encodeURIComponent(apiKey)}`;
+      } else if (location === 'header') {
+        // A header named by the spec wins over the credential's default
+        const headerName = name || creds.header_name || source.auth_config?.header || 'X-API-Key';
+        headers[headerName] = apiKey;
+      }
       break;
     }
 
@@ -165,7 +250,7 @@ export function buildAuthHeaders(source, userCredentials) {
         headers['Authorization'] = `Basic ${encoded}`;
       } else {
         throw new Error(
-          `This API requires username/password. Add your credentials for "${source.name}".`
+          `This API requires username/password. ${missingCredentialHint(source)}`
         );
       }
       break;
@@ -177,7 +262,7 @@ export function buildAuthHeaders(source, userCredentials) {
         headers[header_name] = header_value;
       } else {
         throw new Error(
-          `This API requires a custom header. Add your credentials for "${source.name}".`
+          `This API requires a custom header. ${missingCredentialHint(source)}`
         );
       }
       break;
@@ -192,6 +277,22 @@ export function buildAuthHeaders(source, userCredentials) {
   return headers;
 }
 
+/**
+ * Query parameters carrying auth (API keys with `in: query`).
+ * Kept out of the URL returned to the UI/LLM so keys are never logged or stored.
+ *
+ * @param {object} source - Source with auth_type and auth_config
+ * @param {object|null} userCredentials - User's credentials
+ * @returns {object} Param name → value to append to the request URL
+ */
+export function buildAuthQuery(source, userCredentials) {
+  const { in: location, name } = source.auth_config || {};
+  if (source.auth_type !== 'api_key' || location !== 'query' || !userCredentials?.api_key) {
+    return {};
+  }
+  return { [name || DEFAULT_API_KEY_PARAM]: userCredentials.api_key };
+}
+
 /**
  * Strip empty values from args object.
  * LLMs often pass empty strings for optional params - APIs don't want those.
@@ -228,9 +329,6 @@ async function executeMcpTool({ tool, source, args, userCredentials }) {
   console.log('[MCP EXEC] Template:', source.template?.slug || '(none)');
   console.log('[MCP EXEC] Has hints:', Object.keys(hints).length > 0);
   console.log('[MCP EXEC] Server URI:', source.mcp_server_uri);
-  console.log('[MCP EXEC] Raw args from LLM:', JSON.stringify(args, null, 2));
-  console.log('[MCP EXEC] Cleaned args:', JSON.stringify(cleanedArgs, null, 2));
-  console.log('[MCP EXEC] Processed args (with hints):', JSON.stringify(processedArgs, null, 2));
   if (Object.keys(hints).length > 0) {
     console.log('[MCP EXEC] Applied hints:', JSON.stringify(hints, null, 2));
   }
@@ -242,8 +340,6 @@ async function executeMcpTool({ tool, source, args, userCredentials }) {
     const result = await callMCPTool(source, userCredentials, toolName, processedArgs);
     const duration_ms = Date.now() - startTime;
 
-    console.log('[MCP EXEC] Raw result:', JSON.stringify(result, null, 2).slice(0, 8000));
-
     // Parse the MCP result
     const parsed = parseMcpResult(result);
 
@@ -293,59 +389,112 @@ async function executeMcpTool({ tool, source, args, userCredentials }) {
 }
 
 /**
- * Execute an HTTP API tool call against the target service.
+ * Build the HTTP request for a tool call without sending it.
+ *
+ * @returns {{ url: string, fetchUrl: string, fetchOptions: object, body: object|null, credentialHeaders: string[] }}
+ *   `url` is safe to return (no query-string credentials); `fetchUrl` is what
+ *   gets fetched. `credentialHeaders` names the headers built from the credential.
+ */
+function buildHttpRequest({ tool, source, args, userCredentials, userId, idempotencyKey, sharedCredential = false }) {
+  // Apply vendor adapter's beforeRequest transformation
+  const processedArgs = applyBeforeRequest(args, tool, source);
+
+  // Vendor adapter's content type, else the body's declared media type (defaults to 'json')
+  const encoding = requestBodyEncoding(tool, source);
+
+  // Pick the server (source default, agent/user environment, operation override)
+  const server = resolveServer(source, tool, { sharedCredential });
+  const url = buildUrl(server.url, tool.path, processedArgs, tool.parameters, server.variables);
+  console.log('[HTTP EXEC] Server:', server.url);
+
+  const authHeaders = buildAuthHeaders(source, userCredentials);
+  const adapterHeaders = getAdapterHeaders(source, userCredentials, { tool, idempotencyKey });
+
+  // Query-string API keys go on the fetched URL only, never on the returned `url`
+  const authQuery = new URLSearchParams(buildAuthQuery(source, userCredentials)).toString();
+  const fetchUrl = authQuery ? `${url}${url.includes('?') ? '&' : '?'}${authQuery}` : url;
+
+  const fetchOptions = {
+    method: tool.method,
+    headers: {
+      // fetch sets multipart's Content-Type itself (with the boundary)
+      ...(encoding === 'multipart' ? {} : {
+        'Content-Type': encoding === 'form-urlencoded' ? 'application/x-www-form-urlencoded' : 'application/json',
+      }),
+      'Accept': 'application/json',
+      ...authHeaders,
+      ...(idempotencyKey && source.idempotency_header ? { [source.idempotency_header]: idempotencyKey } : {}),
+      ...adapterHeaders,
+      // Pass user ID for per-user mock data isolation
+      ...(userId ? { 'X-Mock-User': userId } : {}),
+    },
+  };
+
+  // Add body for methods that support it
+  let body = null;
+  if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(tool.method)) {
+    body = buildRequestBody(processedArgs, tool.parameters, tool.request_body);
+    if (body) {
+      if (encoding === 'form-urlencoded') {
+        // Convert to form-urlencoded format (Stripe style)
+        fetchOptions.body = buildFormEncodedBody(body);
+      } else if (encoding === 'multipart') {
+        fetchOptions.body = buildMultipartBody(body);
+      } else {
+        fetchOptions.body = JSON.stringify(body);
+      }
+    }
+  }
+
+  return { url, fetchUrl, fetchOptions, body, credentialHeaders: Object.keys(authHeaders) };
+}
+
+/**
+ * Execute an HTTP API tool call against the target service, under the
+ * source's request policy (timeout, retries, circuit breaker). Every attempt
+ * is reported in `attempts`.
  */
-async function executeHttpTool({ tool, source, args, userCredentials, userId }) {
+async function executeHttpTool({ tool, source, args, userCredentials, userId, idempotencyKey, sharedCredential }) {
   const startTime = Date.now();
 
   console.log('[HTTP EXEC] ══════════════════════════════════════════');
   console.log('[HTTP EXEC] Tool:', tool.name, '|', tool.method, tool.path);
   console.log('[HTTP EXEC] Source:', source?.name, '| base_url:', source?.base_url);
   console.log('[HTTP EXEC] Source keys:', source ? Object.keys(source) : 'null');
-  console.log('[HTTP EXEC] Raw args:', JSON.stringify(args, null, 2));
   console.log('[HTTP EXEC] ══════════════════════════════════════════');
 
-  // Apply vendor adapter's beforeRequest transformation
-  const processedArgs = applyBeforeRequest(args, tool, source);
-
-  const url = buildUrl(source.base_url, tool.path, processedArgs, tool.parameters);
-  console.log('[HTTP EXEC] Built URL:', url);
-
-  // Get content type from vendor adapter (defaults to 'json')
-  const contentType = getContentType(source);
-  const useFormEncoded = contentType === 'form-urlencoded';
+  let url = source.base_url;
+  let attempts = [];
 
   try {
-    const authHeaders = buildAuthHeaders(source, userCredentials);
-    const adapterHeaders = getAdapterHeaders(source, userCredentials);
+    const request = buildHttpRequest({ tool, source, args, userCredentials, userId, idempotencyKey, sharedCredential });
+    url = request.url;
 
-    const fetchOptions = {
+    const policy = resolveRequestPolicy(source.request_policy);
+    const { response, error, attempts: policyAttempts, circuitOpen } = await fetchWithPolicy(request.fetchUrl, request.fetchOptions, {
       method: tool.method,
-      headers: {
-        'Content-Type': useFormEncoded ? 'application/x-www-form-urlencoded' : 'application/json',
-        'Accept': 'application/json',
-        ...authHeaders,
-        ...adapterHeaders,
-        // Pass user ID for per-user mock data isolation
-        ...(userId ? { 'X-Mock-User': userId } : {}),
-      },
-    };
+      policy,
+      circuitKey: source.id,
+    });
+    attempts = policyAttempts;
+    const duration_ms = Date.now() - startTime;
 
-    // Add body for methods that support it
-    if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(tool.method)) {
-      const body = buildRequestBody(processedArgs, tool.parameters, tool.request_body);
-      if (body) {
-        if (useFormEncoded) {
-          // Convert to form-urlencoded format (Stripe style)
-          fetchOptions.body = buildFormEncodedBody(body);
-        } else {
-          fetchOptions.body = JSON.stringify(body);
-        }
-      }
+    if (circuitOpen) {
+      console.warn('[HTTP EXEC] Circuit open for', source.name, '- failing fast');
+      return {
+        url,
+        response_status: 0,
+        response_body: null,
+        duration_ms,
+        error_message: `${source.name} is failing repeatedly - calls are paused for up to ${Math.round(policy.breaker_cooldown_ms / 1000)}s. Try again later.`,
+        circuit_open: true,
+        attempts,
+      };
+    }
+    if (error) throw error;
+    if (attempts.length > 1) {
+      console.log('[HTTP EXEC] Attempts:', attempts.length, '| final status:', response.status);
     }
-
-    const response = await fetch(url, fetchOptions);
-    const duration_ms = Date.now() - startTime;
 
     let response_body;
     const responseContentType = response.headers.get('content-type') || '';
@@ -365,6 +514,7 @@ async function executeHttpTool({ tool, source, args, userCredentials, userId })
       response_body: transformedBody,
       duration_ms,
       error_message: response.ok ? null : `HTTP ${response.status}`,
+      attempts,
     };
   } catch (error) {
     return {
@@ -373,10 +523,69 @@ async function executeHttpTool({ tool, source, args, userCredentials, userId })
       response_body: null,
       duration_ms: Date.now() - startTime,
       error_message: error.message,
+      attempts,
     };
   }
 }
 
+/**
+ * Dry run of a write call: the request executeHttpTool / executeMcpTool would
+ * send, with credentials masked. Nothing is sent.
+ */
+function simulateTool({ tool, source, args, userCredentials, userId, isMcp, sharedCredential }) {
+  if (isMcp) {
+    const toolName = tool.mcp_tool_name || tool.path;
+    const processedArgs = preProcessArgs(cleanArgs(args), toolName, source.template?.mcp_hints || {});
+    return {
+      url: `mcp://${source.name}/${toolName}`,
+      response_status: 0,
+      response_body: null,
+      duration_ms: 0,
+      error_message: null,
+      dry_run: true,
+      simulated_request: { method: 'MCP', tool: toolName, arguments: processedArgs },
+    };
+  }
+
+  let url = source.base_url;
+  try {
+    const request = buildHttpRequest({ tool, source, args, userCredentials, userId, sharedCredential });
+    url = request.url;
+    return {
+      url,
+      response_status: 0,
+      response_body: null,
+      duration_ms: 0,
+      error_message: null,
+      dry_run: true,
+      simulated_request: {
+        method: tool.method,
+        url,
+        headers: maskHeaders(request.fetchOptions.headers, request.credentialHeaders),
+        body: request.body,
+      },
+    };
+  } catch (error) {
+    return { url, response_status: 0, response_body: null, duration_ms: 0, error_message: error.message, dry_run: true };
+  }
+}
+
+/**
+ * State before a call, from the inverse's snapshot GET. Null when it can't be
+ * taken - the call still goes ahead, only a restoring undo is lost.
+ */
+async function takeSnapshot({ inverse, source, args, userCredentials, userId, sharedCredential }) {
+  const { args: snapshotArgs, missing } = buildSnapshotArgs(inverse.inverse, args);
+  if (missing.length > 0) return null;
+
+  const snapshot = await executeHttpTool({ tool: inverse.snapshotTool, source, args: snapshotArgs, userCredentials, userId, sharedCredential });
+  if (snapshot.error_message || snapshot.response_status < 200 || snapshot.response_status >= 300) {
+    console.warn('[EXEC] Snapshot before', inverse.snapshotTool.name, 'failed:', snapshot.error_message || snapshot.response_status);
+    return null;
+  }
+  return snapshot.response_body;
+}
+
 /**
  * Execute an API tool call against the target service.
  * Routes to HTTP or MCP execution based on source type.
@@ -384,19 +593,150 @@ async function executeHttpTool({ tool, source, args, userCredentials, userId })
  * @param {object} params
  * @param {object} params.tool - Tool row from get_agent_tools
  * @param {object} params.source - Source with auth_type, base_url, name, source_type
+ *   (plus servers, server_variables and the merged agent/user `environment` for multi-server APIs)
  * @param {object} params.args - LLM-generated arguments
- * @param {object|null} params.userCredentials - User's credentials for this source
+ * @param {object|null} params.userCredentials - Credentials for this source (user's own or org-shared)
  * @param {string|null} params.userId - User ID for per-user isolation (mock APIs)
- * @returns {{ response_status: number, response_body: any, duration_ms: number, url: string, error_message?: string }}
+ * @param {object} [params.credentialIdentity] - Who the credentials belong to (from resolveSourceCredential);
+ *   echoed back as credential_identity so callers can record it. With the shared credential,
+ *   agent/user server variable values are limited (servers.js resolveServer).
+ * @param {string} [params.callId] - Stable id of this call (AI SDK toolCallId). HTTP writes with one
+ *   are sent with an idempotency key, and a repeat of the call returns the stored result
+ *   (`idempotent_replay: true`) instead of executing again.
+ * @param {boolean} [params.dryRun] - Simulation mode: write calls return `dry_run: true` and the
+ *   `simulated_request` they would have sent instead of executing (reads still run)
+ * @param {object} [params.inverse] - From loadInverse (undo.js): the snapshot GET runs first, and a
+ *   successful HTTP call returns `undo` (the inverse call, ready to run) or `undo_unavailable` (why not);
+ *   `undo_args` holds the inverse's unmasked arguments, which only the action log keeps (encrypted)
+ *
+ * @param {object[]} [params.guardrails] - The tool's argument rules (guardrails.js guardrailsForTool)
+ * @param {string|null} [params.role] - Caller's org role, for rules with `unless_role`
+ * @param {boolean} [params.approved] - The user confirmed this call; without it a broken
+ *   `confirm` rule stops the call like a `block` rule (with `needs_confirmation: true`)
+ *
+ * `source.redaction` (see redaction.js withRedaction) masks the response body, the undo's
+ * arguments and the error text with the policy's human rules; the result then has `redacted` (number of values masked).
+ * @returns {{ response_status: number, response_body: any, duration_ms: number, url: string, error_message?: string, credential_identity: object }}
+ *   HTTP results also carry `attempts` ([{ attempt, status, error, duration_ms, retry_in_ms? }])
+ *   and `circuit_open: true` when the source's breaker rejected the call.
+ *   Arguments that fail the tool's schema are not sent: the result then has
+ *   response_status 0 and `validation_errors` ([{ field, message }]). Calls stopped by a
+ *   guardrail likewise have `guardrail_violations` ([{ field, action, reason }]), and calls over
+ *   the source's rate limits (`source.rate_limits`) have `rate_limited` ({ scope, max, retry_after, message }).
  */
-export async function executeTool({ tool, source, args, userCredentials, userId }) {
-  // Route based on source type
-  if (source.source_type === 'mcp' || tool.method === 'MCP') {
-    return executeMcpTool({ tool, source, args, userCredentials });
+export async function executeTool({ tool, source, args, userCredentials, userId, credentialIdentity, callId, dryRun = false, inverse = null, guardrails = [], role = null, approved = false }) {
+  const identity = credentialIdentity || { type: userCredentials ? 'user' : 'none' };
+  const sharedCredential = identity.type === 'shared';
+  const isMcp = source.source_type === 'mcp' || tool.method === 'MCP';
+
+  // Check the arguments against the tool's schema before anything is sent
+  const validation = validateToolArgs(tool, cleanArgs(args));
+  if (!validation.valid) {
+    console.warn('[EXEC] Invalid arguments for', tool.name, ':', JSON.stringify(validation.errors));
+    return {
+      url: null,
+      response_status: 0,
+      response_body: { error: 'invalid_arguments', errors: validation.errors },
+      duration_ms: 0,
+      error_message: describeValidationErrors(validation.errors),
+      validation_errors: validation.errors,
+      credential_identity: identity,
+    };
+  }
+
+  // Then the admin's argument rules: block, or hold until the user confirms
+  const check = evaluateGuardrails(guardrails, validation.args, { role });
+  if (check.blocked || (check.needsConfirmation && !approved)) {
+    const reasons = check.violations.map(v => v.reason).join('; ');
+    console.warn('[EXEC] Guardrail stopped', tool.name, ':', reasons);
+    return {
+      url: null,
+      response_status: 0,
+      response_body: { error: check.blocked ? 'guardrail_blocked' : 'confirmation_required', violations: check.violations },
+      duration_ms: 0,
+      error_message: `${check.blocked ? 'Blocked by guardrail' : 'Needs confirmation'}: ${reasons}`,
+      guardrail_violations: check.violations,
+      needs_confirmation: !check.blocked,
+      credential_identity: identity,
+    };
+  }
+
+  if (dryRun && isWriteCall(tool)) {
+    console.log('[EXEC] Dry run - not sending', tool.name);
+    const result = simulateTool({ tool, source, args: validation.args, userCredentials, userId, isMcp, sharedCredential });
+    return { ...result, credential_identity: identity };
+  }
+
+  // Writes with a stable call id run at most once per idempotency window
+  const idempotencyKey = !isMcp && callId && needsIdempotencyKey(tool.method)
+    ? deriveIdempotencyKey({ sourceId: source.id, toolId: tool.tool_id || tool.id || tool.name, callId })
+    : null;
+
+  if (idempotencyKey) {
+    const claim = await claimIdempotencyKey(idempotencyKey, { orgId: source.org_id, sourceId: source.id, toolName: tool.name });
+    if (claim.replay) {
+      console.log('[EXEC] Replaying stored result for', tool.name, '| key:', idempotencyKey);
+      return { ...claim.replay, idempotency_key: idempotencyKey, idempotent_replay: true, credential_identity: identity };
+    }
+    if (claim.inProgress) {
+      return {
+        url: null,
+        response_status: 0,
+        response_body: null,
+        duration_ms: 0,
+        error_message: 'This call is already being executed - it was not sent again.',
+        idempotency_key: idempotencyKey,
+        idempotent_replay: true,
+        credential_identity: identity,
+      };
+    }
+  }
+
+  // Calls that are actually sent count against the source's per-hour limits
+  // (a replay above sent nothing)
+  const limited = await consumeToolCall(source, tool);
+  if (limited) {
+    console.warn('[EXEC] Rate limit stopped', tool.name, ':', limited.message);
+    const result = {
+      url: null,
+      response_status: 0,
+      response_body: null,
+      duration_ms: 0,
+      error_message: limited.message,
+      rate_limited: limited,
+      credential_identity: identity,
+    };
+    if (idempotencyKey) {
+      // Nothing was sent: release the key so the call can be tried again
+      await completeIdempotencyKey(idempotencyKey, result);
+      return { ...result, idempotency_key: idempotencyKey };
+    }
+    return result;
   }
 
-  // Default: HTTP execution
-  return executeHttpTool({ tool, source, args, userCredentials, userId });
+  if (isMcp) {
+    const result = await executeMcpTool({ tool, source, args: validation.args, userCredentials });
+    return { ...redactResult(result, source.redaction), credential_identity: identity };
+  }
+
+  const before = inverse?.snapshotTool
+    ? await takeSnapshot({ inverse, source, args: validation.args, userCredentials, userId, sharedCredential })
+    : null;
+
+  let result = await executeHttpTool({ tool, source, args: validation.args, userCredentials, userId, idempotencyKey, sharedCredential });
+  if (inverse) {
+    const { undo, reason } = planUndo({ ...inverse, args: validation.args, result, before });
+    // undo_args: the inverse's arguments as sent, for the action log to keep encrypted
+    result = undo ? { ...result, undo, undo_args: undo.args } : { ...result, undo_unavailable: reason };
+  }
+  // Masked before the result is stored for replays or returned
+  result = redactResult(result, source.redaction);
+  if (idempotencyKey) {
+    const { undo_args, ...stored } = result;
+    await completeIdempotencyKey(idempotencyKey, stored);
+    return { ...result, idempotency_key: idempotencyKey, credential_identity: identity };
+  }
+  return { ...result, credential_identity: identity };
 }
 
 /**
@@ -409,6 +749,18 @@ export async function executeTool({ tool, source, args, userCredentials, userId
  * For errors: More detail to help diagnose
  */
 export function formatToolResult(result) {
+  if (result.validation_errors) {
+    return formatValidationErrors(result.validation_errors);
+  }
+
+  if (result.guardrail_violations) {
+    return formatGuardrailViolations(result.guardrail_violations, { needsConfirmation: result.needs_confirmation });
+  }
+
+  if (result.dry_run && result.simulated_request) {
+    return formatDryRunResult(result.simulated_request);
+  }
+
   if (result.error_message && !result.response_body) {
     return `Error: ${result.error_message}`;
   }
@@ -485,5 +837,6 @@ export default {
   formatToolResult,
   buildUrl,
   buildAuthHeaders,
+  buildAuthQuery,
   buildRequestBody,
 };
@@ -0,0 +1,219 @@
+/**
+ * Guardrails
+ *
+ * Declarative rules on tool arguments, set by admins per tool in
+ * `api_sources.guardrails` (keyed by tool id):
+ *
+ *   {
+ *     "<tool id>": [
+ *       { "field": "amount", "max": 50000, "unless_role": "admin",
+ *         "message": "Refunds over $500 need an admin" },
+ *       { "field": "status", "enum": ["active", "paused"] },
+ *       { "field": "customer", "enum": ["cus_1", "cus_2"], "action": "confirm" },
+ *       { "field": "metadata.ref", "pattern": "^ORD-" }
+ *     ]
+ *   }
+ *
+ * `field` is a dotted path into the arguments; a rule whose field is absent
+ * doesn't apply, and array values are checked item by item. A broken rule
+ * either blocks the call (`action: "block"`, the default) or needs the user's
+ * confirmation first (`"confirm"`). `unless_role` exempts callers with at
+ * least that org role (member < admin < owner).
+ *
+ * executeTool checks them after schema validation, before anything is sent;
+ * the chat converter asks for approval up front when a `confirm` rule is broken.
+ */
+
+export const GUARDRAIL_ACTIONS = ['block', 'confirm'];
+export const GUARDRAIL_ROLES = ['member', 'admin', 'owner'];
+
+const MAX_MESSAGE_LENGTH = 300;
+const MAX_PATTERN_LENGTH = 500;
+const FIELD_RE = /^[A-Za-z0-9_$-]+(?:\.[A-Za-z0-9_$-]+)*$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function validateRule(rule, label) {
+  if (!isPlainObject(rule)) return `${label} must be an object`;
+  if (typeof rule.field !== 'string' || !FIELD_RE.test(rule.field)) return `${label}.field must be an argument name (dots for nested fields)`;
+
+  const hasCondition = ['min', 'max', 'enum', 'pattern'].some(key => rule[key] !== undefined);
+  if (!hasCondition) return `${label} needs at least one of min, max, enum, pattern`;
+  for (const key of ['min', 'max']) {
+    if (rule[key] !== undefined && !Number.isFinite(rule[key])) return `${label}.${key} must be a number`;
+  }
+  if (rule.enum !== undefined && (!Array.isArray(rule.enum) || rule.enum.length === 0 || !rule.enum.every(isScalar))) {
+    return `${label}.enum must be a non-empty list of values`;
+  }
+  if (rule.pattern !== undefined) {
+    if (typeof rule.pattern !== 'string' || !rule.pattern || rule.pattern.length > MAX_PATTERN_LENGTH) {
+      return `${label}.pattern must be 1-${MAX_PATTERN_LENGTH} characters`;
+    }
+    try {
+      new RegExp(rule.pattern);
+    } catch (error) {
+      return `${label}.pattern: ${error.message}`;
+    }
+  }
+  if (rule.action !== undefined && !GUARDRAIL_ACTIONS.includes(rule.action)) {
+    return `${label}.action must be one of ${GUARDRAIL_ACTIONS.join(', ')}`;
+  }
+  if (rule.unless_role !== undefined && rule.unless_role !== null && !GUARDRAIL_ROLES.includes(rule.unless_role)) {
+    return `${label}.unless_role must be one of ${GUARDRAIL_ROLES.join(', ')}`;
+  }
+  if (rule.message !== undefined && (typeof rule.message !== 'string' || rule.message.length > MAX_MESSAGE_LENGTH)) {
+    return `${label}.message must be text of at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+}
+
+function normalizeRule(rule) {
+  const normalized = { field: rule.field, action: rule.action || 'block' };
+  for (const key of ['min', 'max', 'enum', 'pattern']) {
+    if (rule[key] !== undefined) normalized[key] = rule[key];
+  }
+  if (rule.unless_role) normalized.unless_role = rule.unless_role;
+  if (rule.message?.trim()) normalized.message = rule.message.trim();
+  return normalized;
+}
+
+/**
+ * Check a source's guardrails.
+ *
+ * @param {any} spec - { [toolId]: rule[] }
+ * @returns {{ guardrails: object|null, error: string|null }} tools without rules are dropped
+ */
+export function validateGuardrails(spec) {
+  if (spec === null || spec === undefined) return { guardrails: {}, error: null };
+  if (!isPlainObject(spec)) return { guardrails: null, error: 'guardrails must be an object keyed by tool id' };
+
+  const guardrails = {};
+  for (const [toolId, rules] of Object.entries(spec)) {
+    if (!Array.isArray(rules)) return { guardrails: null, error: `guardrails.${toolId} must be a list of rules` };
+    for (const [i, rule] of rules.entries()) {
+      const error = validateRule(rule, `guardrails.${toolId}[${i}]`);
+      if (error) return { guardrails: null, error };
+    }
+    if (rules.length > 0) guardrails[toolId] = rules.map(normalizeRule);
+  }
+  return { guardrails, error: null };
+}
+
+/**
+ * The rules for one tool of a source. Invalid stored rules are skipped.
+ *
+ * @param {object} source - api_sources row (guardrails)
+ * @param {string} toolId - tools.id / template_tools.id
+ * @returns {object[]}
+ */
+export function guardrailsForTool(source, toolId) {
+  const rules = source?.guardrails?.[toolId];
+  if (!Array.isArray(rules)) return [];
+  return rules.filter((rule, i) => {
+    const error = validateRule(rule, `guardrails.${toolId}[${i}]`);
+    if (error) console.warn('[GUARDRAILS] Ignoring rule:', error);
+    return !error;
+  }).map(normalizeRule);
+}
+
+function lookup(args, field) {
+  let value = args;
+  for (const key of field.split('.')) {
+    if (value === null || value === undefined || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function roleRank(role) {
+  return GUARDRAIL_ROLES.indexOf(role);
+}
+
+/**
+ * What a rule allows, in words ("at most 50000", "one of active, paused").
+ */
+export function describeGuardrail(rule) {
+  const parts = [];
+  if (rule.min !== undefined && rule.max !== undefined) parts.push(`between ${rule.min} and ${rule.max}`);
+  else if (rule.min !== undefined) parts.push(`at least ${rule.min}`);
+  else if (rule.max !== undefined) parts.push(`at most ${rule.max}`);
+  if (rule.enum) parts.push(`one of ${rule.enum.join(', ')}`);
+  if (rule.pattern) parts.push(`matching /${rule.pattern}/`);
+  const exemption = rule.unless_role ? ` unless the user is ${rule.unless_role === 'owner' ? 'an owner' : `an ${rule.unless_role}`}` : '';
+  return `${rule.field} must be ${parts.join(' and ')}${exemption}`;
+}
+
+function breaks(rule, value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.some(item => {
+    if (rule.min !== undefined || rule.max !== undefined) {
+      const number = typeof item === 'number' ? item : Number(item);
+      if (item === '' || !Number.isFinite(number)) return true;
+      if (rule.min !== undefined && number < rule.min) return true;
+      if (rule.max !== undefined && number > rule.max) return true;
+    }
+    if (rule.enum && !rule.enum.some(allowed => String(allowed) === String(item))) return true;
+    if (rule.pattern && !new RegExp(rule.pattern).test(String(item))) return true;
+    return false;
+  });
+}
+
+/**
+ * Check arguments against a tool's rules.
+ *
+ * @param {object[]} rules - From guardrailsForTool
+ * @param {object} args - Validated arguments
+ * @param {object} [context]
+ * @param {string|null} [context.role] - Caller's org role (null: no exemptions)
+ * @returns {{ violations: Array<{ field, action, reason }>, blocked: boolean, needsConfirmation: boolean }}
+ */
+export function evaluateGuardrails(rules, args, { role = null } = {}) {
+  const violations = [];
+  for (const rule of rules || []) {
+    if (rule.unless_role && role && roleRank(role) >= roleRank(rule.unless_role)) continue;
+    const value = lookup(args, rule.field);
+    if (value === undefined || value === null) continue;
+    if (!breaks(rule, value)) continue;
+    const reason = rule.message ? `${describeGuardrail(rule)} (${rule.message})` : describeGuardrail(rule);
+    violations.push({ field: rule.field, action: rule.action, reason });
+  }
+  const blocked = violations.some(v => v.action === 'block');
+  return { violations, blocked, needsConfirmation: !blocked && violations.length > 0 };
+}
+
+/**
+ * Tool description suffix so the model knows the rules before calling.
+ */
+export function describeGuardrails(rules) {
+  if (!rules?.length) return '';
+  const lines = rules.map(rule => `${describeGuardrail(rule)}${rule.action === 'confirm' ? ' (otherwise needs confirmation)' : ''}`);
+  return `[guardrails: ${lines.join('; ')}]`;
+}
+
+/**
+ * Tool result text for a call the guardrails stopped.
+ */
+export function formatGuardrailViolations(violations, { needsConfirmation = false } = {}) {
+  const reasons = violations.map(v => `- ${v.reason}`).join('\n');
+  const lead = needsConfirmation
+    ? 'NEEDS CONFIRMATION - this call was NOT sent. It breaks a guardrail that requires the user\'s confirmation:'
+    : 'BLOCKED by a guardrail - this call was NOT sent:';
+  return `${lead}\n${reasons}\nExplain the rule to the user. Do not retry with the same values.`;
+}
+
+export default {
+  GUARDRAIL_ACTIONS,
+  GUARDRAIL_ROLES,
+  validateGuardrails,
+  guardrailsForTool,
+  describeGuardrail,
+  evaluateGuardrails,
+  describeGuardrails,
+  formatGuardrailViolations,
+};
@@ -0,0 +1,185 @@
+/**
+ * Idempotency Keys
+ *
+ * A write call (POST/PUT/PATCH/DELETE) with a stable call id - the AI SDK
+ * toolCallId, or an idempotencyKey passed to /api/tools/execute - gets an
+ * idempotency key derived from source, tool and call id. The executor sends
+ * it to the target API (vendor adapter header or the source's
+ * `idempotency_header`) and claims it in idempotency_keys before the request:
+ *
+ * - first call          claims the key, executes, stores the result
+ * - replay in window    returns the stored result, nothing is sent
+ * - replay while running fails without sending (the first call decides)
+ *
+ * So a double approval or a reconnected stream can't refund twice. Results
+ * worth retrying (no response, 429, 5xx) release the key instead of being
+ * stored.
+ *
+ * Uses a service-role client (keys are written from member sessions and
+ * never read by clients). If the store is unreachable the call goes ahead
+ * with the header only - the target API's own idempotency still applies.
+ */
+
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+
+export const IDEMPOTENT_WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// How long a completed call is replayed instead of re-executed (Stripe keeps keys 24h)
+export const IDEMPOTENCY_WINDOW_SECONDS = 24 * 60 * 60;
+
+// A claim still in progress after this is from a process that died mid-call;
+// the call may run again (with the same key, so the vendor can still dedupe)
+const STALE_CLAIM_SECONDS = 5 * 60;
+
+const KEY_PREFIX = 'ac_';
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const url = process.env.NEXT_PUBLIC_SUPABASE_URL;
+    const serviceKey = process.env.SUPABASE_SERVICE_ROLE || process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!url || !serviceKey) {
+      throw new Error('Missing Supabase service role key (needed for idempotency keys)');
+    }
+    store = createClient(url, serviceKey);
+  }
+  return store;
+}
+
+/**
+ * Use a specific Supabase client for idempotency keys (scripts, tests).
+ */
+export function setIdempotencyStore(client) {
+  store = client;
+}
+
+/**
+ * Whether calls with this method get an idempotency key.
+ */
+export function needsIdempotencyKey(method) {
+  return IDEMPOTENT_WRITE_METHODS.includes(String(method).toUpperCase());
+}
+
+/**
+ * The idempotency key for one tool call: the same source, tool and call id
+ * always give the same key.
+ *
+ * @param {object} params
+ * @param {string} params.sourceId
+ * @param {string} params.toolId - tools.id / template_tools.id (or the tool name)
+ * @param {string} params.callId - AI SDK toolCallId or a client-supplied key
+ * @returns {string} e.g. "ac_3f1c…" (43 characters)
+ */
+export function deriveIdempotencyKey({ sourceId, toolId, callId }) {
+  const digest = crypto.createHash('sha256').update(`${sourceId}:${toolId}:${callId}`).digest('hex');
+  return `${KEY_PREFIX}${digest.slice(0, 40)}`;
+}
+
+function isStored(result) {
+  const status = result?.response_status || 0;
+  return status > 0 && status !== 429 && status < 500;
+}
+
+/**
+ * Claim a key before executing.
+ *
+ * @param {string} key
+ * @param {object} context - { orgId, sourceId, toolName }
+ * @returns {Promise<{ claimed: boolean, replay?: object, inProgress?: boolean }>}
+ *   `replay` is the stored result of the earlier call. Never throws.
+ */
+export async function claimIdempotencyKey(key, { orgId, sourceId, toolName }, now = Date.now()) {
+  const row = {
+    key,
+    org_id: orgId || null,
+    source_id: sourceId || null,
+    tool_name: toolName,
+    status: 'in_progress',
+    result: null,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + IDEMPOTENCY_WINDOW_SECONDS * 1000).toISOString(),
+  };
+
+  try {
+    const db = getStore();
+    const { error } = await db.from('idempotency_keys').insert(row);
+    if (!error) return { claimed: true };
+    if (error.code !== '23505') throw error;
+
+    const { data: existing, error: readError } = await db
+      .from('idempotency_keys')
+      .select('status, result, created_at, expires_at')
+      .eq('key', key)
+      .maybeSingle();
+    if (readError) throw readError;
+
+    if (existing) {
+      const expired = Date.parse(existing.expires_at) <= now;
+      const stale = existing.status === 'in_progress'
+        && now - Date.parse(existing.created_at) > STALE_CLAIM_SECONDS * 1000;
+
+      if (existing.status === 'completed' && !expired) {
+        return { claimed: false, replay: existing.result };
+      }
+      if (existing.status === 'in_progress' && !stale && !expired) {
+        return { claimed: false, inProgress: true };
+      }
+    }
+
+    // Expired or abandoned: take it over, unless another call got there first
+    let takeover = db.from('idempotency_keys').upsert(row, { onConflict: 'key' });
+    if (existing) {
+      takeover = db.from('idempotency_keys').update(row).eq('key', key).eq('created_at', existing.created_at);
+    }
+    const { data: taken, error: takeoverError } = await takeover.select('key');
+    if (takeoverError) throw takeoverError;
+    return taken?.length ? { claimed: true } : { claimed: false, inProgress: true };
+  } catch (error) {
+    console.warn('[IDEMPOTENCY] Could not claim key, executing without replay protection:', error.message);
+    return { claimed: true };
+  }
+}
+
+/**
+ * Store the result for replays, or release the key when the call is worth
+ * retrying. Never throws.
+ */
+export async function completeIdempotencyKey(key, result) {
+  try {
+    const query = isStored(result)
+      ? getStore().from('idempotency_keys').update({ status: 'completed', result }).eq('key', key)
+      : getStore().from('idempotency_keys').delete().eq('key', key);
+    const { error } = await query;
+    if (error) throw error;
+  } catch (error) {
+    console.warn('[IDEMPOTENCY] Could not record result for', key, ':', error.message);
+  }
+}
+
+/**
+ * Delete keys past their window (`yarn purge-idempotency-keys`, run from cron).
+ *
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function purgeExpiredIdempotencyKeys(now = Date.now()) {
+  const { data, error } = await getStore()
+    .from('idempotency_keys')
+    .delete()
+    .lt('expires_at', new Date(now).toISOString())
+    .select('key');
+  if (error) throw error;
+  return data?.length || 0;
+}
+
+export default {
+  IDEMPOTENT_WRITE_METHODS,
+  IDEMPOTENCY_WINDOW_SECONDS,
+  setIdempotencyStore,
+  needsIdempotencyKey,
+  deriveIdempotencyKey,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  purgeExpiredIdempotencyKeys,
+};
@@ -3,7 +3,15 @@
  * 
  * This module handles all tool-related functionality:
  * - Executor: Execute HTTP API calls
- * - OpenAPI Parser: Parse OpenAPI specs into tools
+ * - Validator: Check LLM arguments against tool schemas before execution
+ * - Request Policy: Per-source timeout, retries and circuit breaker
+ * - Idempotency: Keys and replay protection for write calls
+ * - Dry Run: Simulate write calls instead of sending them
+ * - Undo: Inverse operations for write calls
+ * - Redaction: Mask response fields and personal data for people and the model
+ * - Guardrails: Admin rules on tool arguments (block or ask for confirmation)
+ * - Approval Policy: Tools whose calls need a second person's approval
+ * - OpenAPI Parser: Parse OpenAPI 3.x / Swagger 2.0 specs (JSON or YAML) into tools
  * - Converter: Convert DB tool rows to AI SDK format
  * 
  * Usage:
@@ -14,21 +22,142 @@
 
 // Executor - Execute HTTP API calls
 export {
+  DEFAULT_API_KEY_PARAM,
   executeTool,
   formatToolResult,
   buildUrl,
   buildAuthHeaders,
+  buildAuthQuery,
   buildRequestBody,
 } from './executor.js';
 
+// Validator - Schema validation of tool arguments
+export {
+  buildArgsSchema,
+  validateToolArgs,
+  describeValidationErrors,
+  formatValidationErrors,
+} from './validator.js';
+
+// Request Policy - Per-source timeout, retries and circuit breaker
+export {
+  DEFAULT_REQUEST_POLICY,
+  REQUEST_POLICY_LIMITS,
+  resolveRequestPolicy,
+  validateRequestPolicy,
+  isIdempotentMethod,
+  parseRetryAfter,
+  resetCircuits,
+  fetchWithPolicy,
+} from './request-policy.js';
+
+// Idempotency - Keys and replay protection for write calls
+export {
+  IDEMPOTENT_WRITE_METHODS,
+  IDEMPOTENCY_WINDOW_SECONDS,
+  setIdempotencyStore,
+  needsIdempotencyKey,
+  deriveIdempotencyKey,
+  purgeExpiredIdempotencyKeys,
+} from './idempotency.js';
+
+// Dry Run - Simulate write calls instead of sending them
+export {
+  DRY_RUN_WRITE_METHODS,
+  isWriteCall,
+  maskHeaders,
+  formatDryRunResult,
+} from './dry-run.js';
+
+// Undo - Inverse operations for write calls
+export {
+  INVERSE_EXTENSION,
+  validateInverse,
+  inverseForTool,
+  resolveTemplate,
+  buildInverseArgs,
+  planUndo,
+  loadInverse,
+  loadUndoTool,
+  undoBlocker,
+} from './undo.js';
+
+// Redaction - Mask response fields and personal data for people and the model
+export {
+  REDACTION_AUDIENCES,
+  REDACTION_DETECTORS,
+  parseRedactionPath,
+  validateRedactionPolicy,
+  mergeRedactionPolicies,
+  redactionRules,
+  withRedaction,
+  loadOrgRedactionPolicy,
+  redactValue,
+  redactResult,
+} from './redaction.js';
+
+// Guardrails - Admin rules on tool arguments (block or ask for confirmation)
+export {
+  GUARDRAIL_ACTIONS,
+  GUARDRAIL_ROLES,
+  validateGuardrails,
+  guardrailsForTool,
+  describeGuardrail,
+  evaluateGuardrails,
+  describeGuardrails,
+  formatGuardrailViolations,
+} from './guardrails.js';
+
+// Approval Policy - Tools whose calls need a second person's approval
+export {
+  APPROVER_ROLES,
+  APPROVER_ACCESS_LEVELS,
+  validateApprovalPolicy,
+  approvalRouteForTool,
+  describeApprovers,
+  isEligibleApprover,
+  formatApprovalRequired,
+} from './approval-policy.js';
+
 // OpenAPI Parser - Parse specs into tools
 export {
   parseOpenApiSpec,
 } from './openapi-parser.js';
 
+// Spec Loader - JSON/YAML spec documents
+export {
+  loadSpecDocument,
+  describeSpec,
+} from './spec-loader.js';
+
+// Security Schemes - Derive auth_type/auth_config from the spec
+export {
+  detectAuth,
+} from './security-schemes.js';
+
+// Servers - Multi-server / environment selection
+export {
+  normalizeServers,
+  resolveServer,
+  mergeEnvironments,
+} from './servers.js';
+
+// Credentials - Per-user vs org-shared credential selection
+export {
+  CREDENTIAL_MODES,
+  maskCredentials,
+  validateCredentialInput,
+  hasSharedCredentials,
+  allowsUserCredentials,
+  resolveSourceCredential,
+} from './credentials.js';
+
 // Converter - DB tools to AI SDK format
 export {
   convertToolsToAISDK,
+  sanitizeToolKey,
+  toolOutputForModel,
+  redactMessagesForModel,
 } from './converter.js';
 
 // Embeddings - Semantic search for tools
@@ -1,22 +1,41 @@
 /**
  * OpenAPI Parser
  * 
- * Parse an OpenAPI 3.x spec into ActionChat source metadata and tools.
+ * Parse an OpenAPI 3.x or Swagger 2.0 spec (JSON or YAML) into ActionChat
+ * source metadata and tools. Swagger 2.0 is converted to the OpenAPI 3 shape
+ * first, so everything below the conversion only deals with 3.x. Component
+ * $refs are resolved (see schema-resolver.js) so stored tool schemas are self-contained.
  */
 
 import crypto from 'crypto';
+import { loadSpecDocument, isSwagger2, getSwaggerBaseUrl } from './spec-loader.js';
+import { createSchemaResolver } from './schema-resolver.js';
+import { normalizeServers } from './servers.js';
+import { convertSwaggerSecurityScheme, detectAuth } from './security-schemes.js';
+import { INVERSE_EXTENSION, validateInverse } from './undo.js';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+// Bump when the parser's output changes, so unchanged specs still re-sync
+const PARSER_VERSION = 4;
 
 /**
- * Parse an OpenAPI 3.x spec into ActionChat source metadata and tools.
+ * Parse an OpenAPI 3.x or Swagger 2.0 spec into ActionChat source metadata and tools.
  *
- * @param {string|object} specInput - Raw JSON string or parsed object
+ * @param {string|object} specInput - Raw JSON/YAML string or parsed object
  * @returns {{ source_meta: object, tools: object[] }}
  */
 export function parseOpenApiSpec(specInput) {
-  const spec = typeof specInput === 'string' ? JSON.parse(specInput) : specInput;
+  const document = loadSpecDocument(specInput);
+
+  if (document.swagger && !isSwagger2(document)) {
+    throw new Error(`Unsupported Swagger version: ${document.swagger}. Only 2.0 is supported.`);
+  }
+
+  const spec = isSwagger2(document) ? convertSwagger2(document) : document;
 
   if (!spec.openapi || !spec.paths) {
-    throw new Error('Invalid OpenAPI spec: must have "openapi" and "paths" fields');
+    throw new Error('Invalid OpenAPI spec: must have "openapi" (or "swagger": "2.0") and "paths" fields');
   }
 
   const majorVersion = parseInt(spec.openapi.split('.')[0], 10);
@@ -24,10 +43,13 @@ export function parseOpenApiSpec(specInput) {
     throw new Error(`Unsupported OpenAPI version: ${spec.openapi}. Only 3.x is supported.`);
   }
 
-  const base_url = spec.servers?.[0]?.url || '';
+  // Every declared server is kept; the first one is the default base_url
+  const servers = normalizeServers(spec.servers);
+  const base_url = servers[0]?.url || '';
+  // Hash the document as stored, so re-syncing an unchanged Swagger spec is a no-op
   const spec_hash = crypto
     .createHash('sha256')
-    .update(JSON.stringify(spec))
+    .update(`${PARSER_VERSION}:${JSON.stringify(document)}`)
     .digest('hex');
 
   const source_meta = {
@@ -35,14 +57,19 @@ export function parseOpenApiSpec(specInput) {
     description: spec.info?.description || '',
     version: spec.info?.version || '',
     base_url,
+    servers,
+    // Suggested auth_type + auth_config from securitySchemes (null if none declared)
+    auth: detectAuth(spec),
     spec_hash,
   };
 
+  // Dereferences #/components/* and flattens allOf/oneOf/anyOf
+  const resolver = createSchemaResolver(spec);
+
   const tools = [];
 
   for (const [path, pathItem] of Object.entries(spec.paths)) {
-    const methods = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
-    for (const method of methods) {
+    for (const method of HTTP_METHODS) {
       const operation = pathItem[method];
       if (!operation) continue;
 
@@ -54,10 +81,10 @@ export function parseOpenApiSpec(specInput) {
       const description = operation.description || '';
 
       // Build parameters JSON Schema from path + query params
-      const parameters = buildParametersSchema(operation.parameters || [], pathItem.parameters || []);
+      const parameters = buildParametersSchema(operation.parameters || [], pathItem.parameters || [], resolver);
 
       // Extract request body schema
-      const request_body = extractRequestBody(operation.requestBody);
+      const request_body = extractRequestBody(operation.requestBody, resolver);
 
       // Determine risk level
       const risk_level = getRiskLevel(upperMethod);
@@ -65,6 +92,15 @@ export function parseOpenApiSpec(specInput) {
 
       const tags = operation.tags || [];
 
+      // Undo declaration (x-actionchat-inverse); a malformed one is dropped
+      const { inverse, error: inverseError } = validateInverse(operation[INVERSE_EXTENSION]);
+      if (inverseError) {
+        console.warn(`[OPENAPI] Ignoring ${INVERSE_EXTENSION} on ${operation_id}: ${inverseError}`);
+      }
+
+      // Operation-level servers win over path-level; both override the source's servers
+      const operationServers = normalizeServers(operation.servers?.length ? operation.servers : pathItem.servers);
+
       tools.push({
         operation_id,
         name,
@@ -76,6 +112,8 @@ export function parseOpenApiSpec(specInput) {
         risk_level,
         requires_confirmation,
         tags,
+        servers: operationServers,
+        inverse,
       });
     }
   }
@@ -85,14 +123,14 @@ export function parseOpenApiSpec(specInput) {
 
 /**
  * Merge path-level and operation-level parameters into a JSON Schema object.
+ * Parameter $refs (#/components/parameters) and schema $refs are resolved.
  */
-function buildParametersSchema(operationParams, pathParams) {
+function buildParametersSchema(operationParams, pathParams, resolver) {
   // Operation params override path params by name+in
   const merged = new Map();
-  for (const p of pathParams) {
-    merged.set(`${p.in}:${p.name}`, p);
-  }
-  for (const p of operationParams) {
+  for (const raw of [...pathParams, ...operationParams]) {
+    const p = resolver.resolveObject(raw);
+    if (!p?.name) continue;
     merged.set(`${p.in}:${p.name}`, p);
   }
 
@@ -102,9 +140,10 @@ function buildParametersSchema(operationParams, pathParams) {
   const required = [];
 
   for (const param of merged.values()) {
+    const schema = sanitizeSchema(resolver.resolveSchema(param.schema || {}));
     properties[param.name] = {
-      ...(param.schema || {}),
-      description: param.description || undefined,
+      ...schema,
+      description: param.description || schema.description || undefined,
       in: param.in,
     };
     if (param.required) {
@@ -120,13 +159,27 @@ function buildParametersSchema(operationParams, pathParams) {
 }
 
 /**
- * Extract the JSON request body schema from an OpenAPI requestBody.
+ * Extract the request body schema from an OpenAPI requestBody.
+ * Prefers JSON; falls back to form bodies (Swagger 2.0 formData converts to these).
+ * Follows #/components/requestBodies refs and resolves the schema fully.
+ *
+ * Form bodies keep their media type as `content_type` on the schema, so the
+ * executor encodes them the same way (JSON bodies have none).
  */
-function extractRequestBody(requestBody) {
-  if (!requestBody) return null;
-  const jsonContent = requestBody.content?.['application/json'];
-  if (!jsonContent?.schema) return null;
-  return sanitizeSchema(jsonContent.schema);
+function extractRequestBody(requestBodyOrRef, resolver) {
+  const requestBody = resolver.resolveObject(requestBodyOrRef);
+  if (!requestBody?.content) return null;
+  const content = requestBody.content;
+  const jsonType = content['application/json']
+    ? 'application/json'
+    : Object.keys(content).find(type => type.includes('json'));
+  const contentType = jsonType
+    || ['application/x-www-form-urlencoded', 'multipart/form-data'].find(type => content[type]);
+  const mediaType = contentType && content[contentType];
+  if (!mediaType?.schema) return null;
+
+  const schema = sanitizeSchema(resolver.resolveSchema(mediaType.schema));
+  return jsonType ? schema : { ...schema, content_type: contentType };
 }
 
 /**
@@ -175,6 +228,192 @@ function sanitizeSchema(schema) {
   return cleaned;
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// SWAGGER 2.0 → OPENAPI 3 CONVERSION
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Keys that live on a Swagger 2.0 non-body parameter but belong in an OpenAPI 3 `schema`
+const SWAGGER_SCHEMA_KEYS = [
+  'type', 'format', 'items', 'enum', 'default',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minLength', 'maxLength', 'pattern',
+  'minItems', 'maxItems', 'uniqueItems',
+];
+
+/**
+ * Convert a Swagger 2.0 document into the subset of OpenAPI 3 the parser reads:
+ * servers, paths (parameters + requestBody), components.schemas/parameters/securitySchemes.
+ */
+function convertSwagger2(swagger) {
+  // definitions → components.schemas; rewrite every $ref to match
+  const doc = rewriteSwaggerRefs(swagger);
+  const baseUrl = getSwaggerBaseUrl(doc);
+  const globalConsumes = doc.consumes || [];
+
+  const paths = {};
+  for (const [path, pathItem] of Object.entries(doc.paths || {})) {
+    const pathParams = resolveSwaggerParams(pathItem.parameters, doc);
+    const converted = {};
+
+    if (pathParams.length > 0) {
+      converted.parameters = pathParams
+        .filter(p => p.in !== 'body' && p.in !== 'formData')
+        .map(convertSwaggerParameter);
+    }
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const opParams = resolveSwaggerParams(operation.parameters, doc);
+
+      // Operation params override path params by name+in
+      const merged = new Map();
+      for (const p of [...pathParams, ...opParams]) {
+        merged.set(`${p.in}:${p.name}`, p);
+      }
+      const allParams = [...merged.values()];
+
+      const { parameters: _params, consumes, produces: _produces, responses: _responses, ...rest } = operation;
+      const operationConsumes = consumes || globalConsumes;
+
+      converted[method] = {
+        ...rest,
+        parameters: opParams
+          .filter(p => p.in !== 'body' && p.in !== 'formData')
+          .map(convertSwaggerParameter),
+        requestBody: buildSwaggerRequestBody(allParams, operationConsumes),
+      };
+    }
+
+    paths[path] = converted;
+  }
+
+  const components = {};
+  if (doc.definitions) components.schemas = doc.definitions;
+  if (doc.parameters) {
+    components.parameters = Object.fromEntries(
+      Object.entries(doc.parameters)
+        .filter(([, p]) => p.in !== 'body' && p.in !== 'formData')
+        .map(([key, p]) => [key, convertSwaggerParameter(p)])
+    );
+  }
+  if (doc.securityDefinitions) {
+    components.securitySchemes = Object.fromEntries(
+      Object.entries(doc.securityDefinitions).map(([key, def]) => [key, convertSwaggerSecurityScheme(def)])
+    );
+  }
+
+  return {
+    openapi: '3.0.0',
+    info: doc.info || {},
+    servers: baseUrl ? [{ url: baseUrl }] : [],
+    paths,
+    components,
+    ...(doc.security ? { security: doc.security } : {}),
+    ...(doc.tags ? { tags: doc.tags } : {}),
+  };
+}
+
+/**
+ * Deep-copy a Swagger document, rewriting $refs to their OpenAPI 3 locations.
+ */
+function rewriteSwaggerRefs(node) {
+  if (Array.isArray(node)) return node.map(rewriteSwaggerRefs);
+  if (!node || typeof node !== 'object') return node;
+
+  const result = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === '$ref' && typeof value === 'string') {
+      result[key] = value
+        .replace(/^#\/definitions\//, '#/components/schemas/')
+        .replace(/^#\/parameters\//, '#/components/parameters/');
+    } else {
+      result[key] = rewriteSwaggerRefs(value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Resolve top-level parameter refs. Body and formData params must be inlined
+ * because they become a requestBody instead of a parameter.
+ */
+function resolveSwaggerParams(params, doc) {
+  return (params || [])
+    .map(p => {
+      const match = typeof p?.$ref === 'string' && p.$ref.match(/^#\/components\/parameters\/(.+)$/);
+      return match ? doc.parameters?.[match[1]] : p;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Convert a Swagger 2.0 query/path/header parameter to OpenAPI 3 (type info moves into `schema`).
+ */
+function convertSwaggerParameter(param) {
+  const schema = {};
+  const rest = {};
+  for (const [key, value] of Object.entries(param)) {
+    if (SWAGGER_SCHEMA_KEYS.includes(key)) {
+      schema[key] = value;
+    } else if (key !== 'collectionFormat' && key !== 'allowEmptyValue') {
+      rest[key] = value;
+    }
+  }
+
+  if (schema.type === 'file') {
+    schema.type = 'string';
+    schema.format = 'binary';
+  }
+
+  return { ...rest, schema };
+}
+
+/**
+ * Build an OpenAPI 3 requestBody from Swagger 2.0 `in: body` or `in: formData` params.
+ */
+function buildSwaggerRequestBody(params, consumes) {
+  const bodyParam = params.find(p => p.in === 'body');
+  if (bodyParam) {
+    const mediaType = consumes.find(type => type.includes('json')) || consumes[0] || 'application/json';
+    return {
+      description: bodyParam.description,
+      required: !!bodyParam.required,
+      content: { [mediaType]: { schema: bodyParam.schema || { type: 'object' } } },
+    };
+  }
+
+  const formParams = params.filter(p => p.in === 'formData');
+  if (formParams.length === 0) return undefined;
+
+  const hasFile = formParams.some(p => p.type === 'file');
+  const mediaType = hasFile || consumes.includes('multipart/form-data')
+    ? 'multipart/form-data'
+    : 'application/x-www-form-urlencoded';
+
+  const properties = {};
+  const required = [];
+  for (const param of formParams) {
+    const { schema, description } = convertSwaggerParameter(param);
+    properties[param.name] = { ...schema, ...(description ? { description } : {}) };
+    if (param.required) required.push(param.name);
+  }
+
+  return {
+    required: required.length > 0,
+    content: {
+      [mediaType]: {
+        schema: {
+          type: 'object',
+          properties,
+          ...(required.length > 0 ? { required } : {}),
+        },
+      },
+    },
+  };
+}
+
 /**
  * Determine risk level from HTTP method.
  */
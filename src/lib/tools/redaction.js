@@ -0,0 +1,379 @@
+/**
+ * Redaction
+ *
+ * Masks response fields and personal data before a tool result is stored,
+ * logged or shown. Admins set policies for the whole org
+ * (`org.settings.redaction_policy`) and per source (`api_sources.redaction_policy`),
+ * each with one set of rules for what people see and one for what the model sees:
+ *
+ *   {
+ *     "human": {
+ *       "paths": ["$.data[*].ssn", "$..password"],        // JSON paths into the response body
+ *       "detectors": ["card_number", "token"],            // built-in detectors, see REDACTION_DETECTORS
+ *       "patterns": [{ "name": "account", "regex": "ACC-\\d{8}" }]
+ *     },
+ *     "llm": { "detectors": ["email", "ssn"] }
+ *   }
+ *
+ * The org and source policies add up. Human rules apply to every result
+ * (executor → chat UI, chat history, action_log, idempotency store, traces);
+ * the model sees the human view with the llm rules applied on top, so it
+ * never sees more than a person does.
+ *
+ * A field matched by a path is replaced by "[REDACTED]"; a detector match
+ * inside a string becomes "[REDACTED:<name>]".
+ */
+
+export const REDACTION_AUDIENCES = ['human', 'llm'];
+
+const MASK = '[REDACTED]';
+const MAX_PATTERN_LENGTH = 500;
+const PATTERN_NAME_RE = /^[a-z][a-z0-9_]{0,39}$/;
+
+/**
+ * Built-in detectors: name → global regex (+ optional check on each match).
+ */
+const DETECTORS = {
+  // Starts only where a run of local-part characters starts, so a long run without
+  // an @ (base64 contents) is scanned once instead of once per position
+  email: { regex: /(?<![A-Za-z0-9._%+-])[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  ssn: { regex: /\b\d{3}-\d{2}-\d{4}\b/g },
+  card_number: { regex: /\b\d(?:[ -]?\d){12,18}\b/g, check: match => luhnValid(match.replace(/\D/g, '')) },
+  token: {
+    regex: new RegExp([
+      /\b[spr]k_(?:live|test)_[A-Za-z0-9]{8,}/.source,           // Stripe-style keys
+      /\bgh[pousr]_[A-Za-z0-9]{20,}/.source,                     // GitHub tokens
+      /\bxox[abpr]-[A-Za-z0-9-]{10,}/.source,                    // Slack tokens
+      /\bAKIA[0-9A-Z]{16}\b/.source,                             // AWS access key ids
+      /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/.source, // JWTs
+      /\bBearer\s+[A-Za-z0-9._~+/-]+=*/.source,
+    ].join('|'), 'g'),
+  },
+};
+
+export const REDACTION_DETECTORS = Object.keys(DETECTORS);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function luhnValid(digits) {
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Parse a JSON path: `$.a.b`, `a.b`, `[*]` / `.*`, `[0]`, `['a b']` and `..key`
+ * (the key at any depth).
+ *
+ * @returns {Array<{ type: 'key'|'index'|'wildcard'|'deep', name?: string, index?: number }>|null}
+ *   null when the path can't be parsed
+ */
+export function parseRedactionPath(path) {
+  if (typeof path !== 'string') return null;
+  let rest = path.trim().replace(/^\$/, '');
+  if (!rest) return null;
+  if (!/^[.[]/.test(rest)) rest = `.${rest}`;
+
+  const segments = [];
+  const SEGMENT_RE = /^(?:\.\.([A-Za-z0-9_$-]+)|\.([A-Za-z0-9_$-]+)|\.\*|\[\*\]|\[(\d+)\]|\[['"]([^'"]+)['"]\])/;
+  while (rest) {
+    const match = rest.match(SEGMENT_RE);
+    if (!match) return null;
+    const [token, deep, key, index, quoted] = match;
+    if (deep) segments.push({ type: 'deep', name: deep });
+    else if (key) segments.push({ type: 'key', name: key });
+    else if (index !== undefined) segments.push({ type: 'index', index: Number(index) });
+    else if (quoted) segments.push({ type: 'key', name: quoted });
+    else segments.push({ type: 'wildcard' });
+    rest = rest.slice(token.length);
+  }
+  return segments;
+}
+
+function validateRules(rules, label) {
+  if (rules === undefined || rules === null) return { rules: null, error: null };
+  if (!isPlainObject(rules)) return { rules: null, error: `${label} must be an object` };
+
+  const { paths = [], detectors = [], patterns = [] } = rules;
+  if (!Array.isArray(paths) || !Array.isArray(detectors) || !Array.isArray(patterns)) {
+    return { rules: null, error: `${label}.paths, detectors and patterns must be arrays` };
+  }
+
+  for (const path of paths) {
+    if (!parseRedactionPath(path)) return { rules: null, error: `${label}.paths: "${path}" is not a valid JSON path` };
+  }
+  for (const name of detectors) {
+    if (!DETECTORS[name]) {
+      return { rules: null, error: `${label}.detectors: unknown detector "${name}" (use ${REDACTION_DETECTORS.join(', ')})` };
+    }
+  }
+  for (const pattern of patterns) {
+    if (!isPlainObject(pattern) || !PATTERN_NAME_RE.test(pattern.name || '')) {
+      return { rules: null, error: `${label}.patterns: each pattern needs a lowercase name (a-z, 0-9, _)` };
+    }
+    if (typeof pattern.regex !== 'string' || !pattern.regex || pattern.regex.length > MAX_PATTERN_LENGTH) {
+      return { rules: null, error: `${label}.patterns.${pattern.name}: regex must be 1-${MAX_PATTERN_LENGTH} characters` };
+    }
+    try {
+      new RegExp(pattern.regex, 'g');
+    } catch (error) {
+      return { rules: null, error: `${label}.patterns.${pattern.name}: ${error.message}` };
+    }
+  }
+
+  return {
+    rules: {
+      paths: paths.map(path => path.trim()),
+      detectors: [...new Set(detectors)],
+      patterns: patterns.map(({ name, regex }) => ({ name, regex })),
+    },
+    error: null,
+  };
+}
+
+/**
+ * Check a redaction policy.
+ *
+ * @param {any} policy
+ * @returns {{ policy: object|null, error: string|null }} `policy: null` for an empty value
+ */
+export function validateRedactionPolicy(policy) {
+  if (policy === null || policy === undefined) return { policy: null, error: null };
+  if (!isPlainObject(policy)) return { policy: null, error: 'redaction_policy must be an object' };
+
+  const unknown = Object.keys(policy).filter(key => !REDACTION_AUDIENCES.includes(key));
+  if (unknown.length > 0) {
+    return { policy: null, error: `redaction_policy: unknown key ${unknown.join(', ')} (use human, llm)` };
+  }
+
+  const normalized = {};
+  for (const audience of REDACTION_AUDIENCES) {
+    const { rules, error } = validateRules(policy[audience], `redaction_policy.${audience}`);
+    if (error) return { policy: null, error };
+    if (rules) normalized[audience] = rules;
+  }
+  return { policy: Object.keys(normalized).length > 0 ? normalized : null, error: null };
+}
+
+function mergeRules(...ruleSets) {
+  const sets = ruleSets.filter(Boolean);
+  const patterns = new Map();
+  for (const rules of sets) {
+    for (const pattern of rules.patterns || []) patterns.set(`${pattern.name}:${pattern.regex}`, pattern);
+  }
+  return {
+    paths: [...new Set(sets.flatMap(rules => rules.paths || []))],
+    detectors: [...new Set(sets.flatMap(rules => rules.detectors || []))],
+    patterns: [...patterns.values()],
+  };
+}
+
+/**
+ * Combine policies (org + source). Invalid policies are skipped with a warning,
+ * so a bad stored value never blocks a call.
+ *
+ * @param {...any} policies
+ * @returns {object|null} { human?, llm? }
+ */
+export function mergeRedactionPolicies(...policies) {
+  const valid = [];
+  for (const raw of policies) {
+    const { policy, error } = validateRedactionPolicy(raw);
+    if (error) console.warn('[REDACT] Ignoring invalid policy:', error);
+    if (policy) valid.push(policy);
+  }
+  if (valid.length === 0) return null;
+
+  const merged = {};
+  for (const audience of REDACTION_AUDIENCES) {
+    const sets = valid.map(policy => policy[audience]).filter(Boolean);
+    if (sets.length > 0) merged[audience] = mergeRules(...sets);
+  }
+  return merged;
+}
+
+/**
+ * The rules for one audience: the model gets the human rules plus its own.
+ *
+ * @param {object|null} policy - Merged policy
+ * @param {'human'|'llm'} audience
+ * @returns {object|null}
+ */
+export function redactionRules(policy, audience) {
+  if (!policy) return null;
+  const rules = audience === 'llm' ? mergeRules(policy.human, policy.llm) : policy.human;
+  if (!rules) return null;
+  const empty = !rules.paths.length && !rules.detectors.length && !rules.patterns.length;
+  return empty ? null : rules;
+}
+
+/**
+ * The source with its effective policy (org + source) as `redaction`,
+ * which executeTool applies.
+ *
+ * @param {object} source - api_sources row (redaction_policy)
+ * @param {object|null} orgPolicy - org.settings.redaction_policy
+ */
+export function withRedaction(source, orgPolicy) {
+  if (!source) return source;
+  return { ...source, redaction: mergeRedactionPolicies(orgPolicy, source.redaction_policy) };
+}
+
+/**
+ * The org's policy (org.settings.redaction_policy). Never throws.
+ *
+ * @param {object} supabase - Supabase client (caller's session)
+ * @param {string} orgId
+ */
+export async function loadOrgRedactionPolicy(supabase, orgId) {
+  if (!supabase || !orgId) return null;
+  try {
+    const { data: org } = await supabase.from('org').select('settings').eq('id', orgId).maybeSingle();
+    return org?.settings?.redaction_policy || null;
+  } catch (error) {
+    console.warn('[REDACT] Could not load org policy:', error.message);
+    return null;
+  }
+}
+
+function compileRules(rules) {
+  return {
+    paths: rules.paths.map(parseRedactionPath).filter(Boolean),
+    detectors: [
+      ...rules.detectors.map(name => ({ name, ...DETECTORS[name] })),
+      ...rules.patterns.map(({ name, regex }) => ({ name, regex: new RegExp(regex, 'g') })),
+    ],
+  };
+}
+
+function applyPath(value, segments, counter) {
+  if (segments.length === 0) {
+    counter.count++;
+    return MASK;
+  }
+  const [segment, ...rest] = segments;
+
+  if (segment.type === 'deep') return applyDeep(value, segment.name, rest, counter);
+
+  if (Array.isArray(value)) {
+    if (segment.type === 'wildcard') return value.map(item => applyPath(item, rest, counter));
+    if (segment.type === 'index' && segment.index < value.length) {
+      const copy = [...value];
+      copy[segment.index] = applyPath(value[segment.index], rest, counter);
+      return copy;
+    }
+    return value;
+  }
+
+  if (isPlainObject(value)) {
+    if (segment.type === 'wildcard') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, applyPath(item, rest, counter)]));
+    }
+    if (segment.type === 'key' && Object.hasOwn(value, segment.name)) {
+      return { ...value, [segment.name]: applyPath(value[segment.name], rest, counter) };
+    }
+  }
+  return value;
+}
+
+function applyDeep(value, name, rest, counter) {
+  if (Array.isArray(value)) return value.map(item => applyDeep(item, name, rest, counter));
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    key === name ? applyPath(item, rest, counter) : applyDeep(item, name, rest, counter),
+  ]));
+}
+
+function applyDetectors(value, detectors, counter) {
+  if (typeof value === 'string') {
+    let text = value;
+    for (const { name, regex, check } of detectors) {
+      text = text.replace(regex, match => {
+        if (check && !check(match)) return match;
+        counter.count++;
+        return `[REDACTED:${name}]`;
+      });
+    }
+    return text;
+  }
+  if (Array.isArray(value)) return value.map(item => applyDetectors(item, detectors, counter));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, applyDetectors(item, detectors, counter)]));
+  }
+  return value;
+}
+
+/**
+ * Apply rules to a value (paths first, then detectors on every string).
+ * The input is not modified.
+ *
+ * @param {any} value
+ * @param {object|null} rules - From redactionRules
+ * @param {object} [options]
+ * @param {boolean} [options.paths=true] - false to run only the detectors
+ *   (for values that aren't the response body)
+ * @returns {{ value: any, count: number }} count = fields and matches masked
+ */
+export function redactValue(value, rules, { paths = true } = {}) {
+  if (!rules || value === null || value === undefined) return { value, count: 0 };
+  const { paths: parsedPaths, detectors } = compileRules(rules);
+  const counter = { count: 0 };
+
+  let result = value;
+  if (paths) {
+    for (const segments of parsedPaths) result = applyPath(result, segments, counter);
+  }
+  if (detectors.length > 0) result = applyDetectors(result, detectors, counter);
+  return { value: result, count: counter.count };
+}
+
+/**
+ * The human view of an executeTool result: response_body, the undo's
+ * arguments (built from the response and the snapshot) and the error text
+ * redacted, with the number of masked values as `redacted`.
+ *
+ * @param {object} result - executeTool result
+ * @param {object|null} policy - Merged policy (source.redaction)
+ */
+export function redactResult(result, policy) {
+  const rules = redactionRules(policy, 'human');
+  if (!rules) return result;
+
+  const body = redactValue(result.response_body, rules);
+  const undoArgs = redactValue(result.undo?.args, rules);
+  const error = redactValue(result.error_message, rules);
+  const count = body.count + undoArgs.count + error.count;
+  if (count === 0) return result;
+
+  return {
+    ...result,
+    response_body: body.value,
+    ...(result.undo ? { undo: { ...result.undo, args: undoArgs.value } } : {}),
+    error_message: error.value,
+    redacted: count,
+  };
+}
+
+export default {
+  REDACTION_AUDIENCES,
+  REDACTION_DETECTORS,
+  parseRedactionPath,
+  validateRedactionPolicy,
+  mergeRedactionPolicies,
+  redactionRules,
+  withRedaction,
+  loadOrgRedactionPolicy,
+  redactValue,
+  redactResult,
+};
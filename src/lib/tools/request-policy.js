@@ -0,0 +1,250 @@
+/**
+ * Request Policy
+ *
+ * Per-source resilience settings for HTTP tool calls (stored in
+ * api_sources.request_policy, merged over the defaults):
+ * - A timeout for each attempt
+ * - Retries with exponential backoff (plus jitter) for idempotent methods on
+ *   network errors, timeouts and 429/502/503/504 - and for any method on
+ *   429/503, where the server tells us it didn't process the request.
+ *   A Retry-After header is honoured when it's within backoff_max_ms.
+ * - A circuit breaker: after `breaker_threshold` consecutive failed calls the
+ *   source fails fast for `breaker_cooldown_ms`, then one trial call decides
+ *   whether it closes again.
+ *
+ * Circuit state is in-memory, per server instance.
+ */
+
+export const DEFAULT_REQUEST_POLICY = {
+  timeout_ms: 30000,
+  max_retries: 2,
+  backoff_base_ms: 500,
+  backoff_max_ms: 10000,
+  breaker_threshold: 5, // 0 disables the breaker
+  breaker_cooldown_ms: 30000,
+};
+
+export const REQUEST_POLICY_LIMITS = {
+  timeout_ms: { min: 1000, max: 120000 },
+  max_retries: { min: 0, max: 5 },
+  backoff_base_ms: { min: 100, max: 10000 },
+  backoff_max_ms: { min: 1000, max: 60000 },
+  breaker_threshold: { min: 0, max: 50 },
+  breaker_cooldown_ms: { min: 5000, max: 600000 },
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+// Statuses that mean "not processed" - safe to retry even for POST/PATCH
+const ALWAYS_RETRYABLE_STATUSES = [429, 503];
+
+/**
+ * The effective policy for a source: stored values over the defaults.
+ * Unknown keys and non-numeric values are ignored.
+ *
+ * @param {object|null} stored - api_sources.request_policy
+ * @returns {typeof DEFAULT_REQUEST_POLICY}
+ */
+export function resolveRequestPolicy(stored) {
+  const policy = { ...DEFAULT_REQUEST_POLICY };
+  if (!stored || typeof stored !== 'object') return policy;
+  for (const key of Object.keys(DEFAULT_REQUEST_POLICY)) {
+    if (Number.isFinite(stored[key])) policy[key] = stored[key];
+  }
+  return policy;
+}
+
+/**
+ * Validate a request_policy update from the API.
+ *
+ * @param {object} input
+ * @returns {{ policy: object|null, error: string|null }} Only the provided keys, as integers
+ */
+export function validateRequestPolicy(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { policy: null, error: 'request_policy must be an object' };
+  }
+
+  const policy = {};
+  for (const [key, value] of Object.entries(input)) {
+    const limits = REQUEST_POLICY_LIMITS[key];
+    if (!limits) {
+      return { policy: null, error: `Unknown request_policy setting: ${key}` };
+    }
+    if (value === null || value === undefined) continue;
+    if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+      return { policy: null, error: `${key} must be an integer between ${limits.min} and ${limits.max}` };
+    }
+    policy[key] = value;
+  }
+
+  const merged = resolveRequestPolicy(policy);
+  if (merged.backoff_base_ms > merged.backoff_max_ms) {
+    return { policy: null, error: 'backoff_base_ms cannot be larger than backoff_max_ms' };
+  }
+  return { policy, error: null };
+}
+
+export function isIdempotentMethod(method) {
+  return IDEMPOTENT_METHODS.includes(String(method).toUpperCase());
+}
+
+function isRetryable(method, { status, error }) {
+  if (error) return isIdempotentMethod(method);
+  if (ALWAYS_RETRYABLE_STATUSES.includes(status)) return true;
+  return RETRYABLE_STATUSES.includes(status) && isIdempotentMethod(method);
+}
+
+/**
+ * Delay before retry number `retry` (1-based): base * 2^(retry-1), capped,
+ * with up to 25% jitter.
+ */
+export function backoffDelay(retry, policy, random = Math.random) {
+  const exponential = Math.min(policy.backoff_base_ms * 2 ** (retry - 1), policy.backoff_max_ms);
+  return Math.round(exponential * (0.75 + random() * 0.25));
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or an HTTP date) into milliseconds.
+ *
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) return Number(trimmed) * 1000;
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Circuit breaker
+// ─────────────────────────────────────────────────────────────────────────────
+
+// key → { failures, openedAt, trialInFlight }
+const circuits = new Map();
+
+/**
+ * Current breaker state for a source: 'closed', 'open' or 'half_open'
+ * (cooldown elapsed, next call is a trial).
+ */
+export function getCircuitState(key, policy, now = Date.now()) {
+  const circuit = circuits.get(key);
+  if (!circuit || circuit.openedAt === null) return 'closed';
+  return now - circuit.openedAt >= policy.breaker_cooldown_ms ? 'half_open' : 'open';
+}
+
+function recordOutcome(key, policy, failed, now = Date.now()) {
+  if (!key || policy.breaker_threshold === 0) return;
+  if (!failed) {
+    circuits.delete(key);
+    return;
+  }
+  const circuit = circuits.get(key) || { failures: 0, openedAt: null };
+  circuit.failures += 1;
+  circuit.trialInFlight = false;
+  // A failed trial re-opens immediately; otherwise open at the threshold
+  if (circuit.openedAt !== null || circuit.failures >= policy.breaker_threshold) {
+    circuit.openedAt = now;
+  }
+  circuits.set(key, circuit);
+}
+
+/** Forget all breaker state (tests, or after a source is edited). */
+export function resetCircuits(key) {
+  if (key) circuits.delete(key);
+  else circuits.clear();
+}
+
+// A call fails the breaker when the source itself looks unhealthy
+function isBreakerFailure({ status, error }) {
+  return Boolean(error) || status >= 500;
+}
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * fetch() under a request policy.
+ *
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {object} options
+ * @param {string} options.method - HTTP method (decides what is retried)
+ * @param {object} options.policy - Resolved policy (resolveRequestPolicy)
+ * @param {string} [options.circuitKey] - Breaker key, usually the source id
+ * @param {(ms: number) => Promise<void>} [options.sleep] - Injected for tests
+ * @returns {Promise<{
+ *   response: Response|null,
+ *   error: Error|null,
+ *   attempts: Array<{ attempt: number, status: number|null, error: string|null, duration_ms: number, retry_in_ms?: number }>,
+ *   circuitOpen: boolean,
+ * }>} `response` is the last response received; `error` is set when there was none
+ */
+export async function fetchWithPolicy(url, init, { method, policy, circuitKey, sleep = defaultSleep }) {
+  const attempts = [];
+
+  if (circuitKey && policy.breaker_threshold > 0) {
+    const state = getCircuitState(circuitKey, policy);
+    const circuit = circuits.get(circuitKey);
+    if (state === 'open' || (state === 'half_open' && circuit.trialInFlight)) {
+      return { response: null, error: null, attempts, circuitOpen: true };
+    }
+    if (state === 'half_open') circuit.trialInFlight = true;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const startTime = Date.now();
+    let response = null;
+    let error = null;
+    try {
+      response = await fetch(url, { ...init, signal: AbortSignal.timeout(policy.timeout_ms) });
+    } catch (err) {
+      error = err.name === 'TimeoutError'
+        ? new Error(`Request timed out after ${policy.timeout_ms}ms`)
+        : err;
+    }
+
+    const outcome = { status: response?.status ?? null, error };
+    const entry = {
+      attempt,
+      status: outcome.status,
+      error: error ? error.message : null,
+      duration_ms: Date.now() - startTime,
+    };
+    attempts.push(entry);
+
+    const canRetry = attempt <= policy.max_retries && isRetryable(method, outcome);
+    let delay = canRetry ? backoffDelay(attempt, policy) : null;
+    if (canRetry && response) {
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      if (retryAfter !== null) {
+        // The server wants longer than we're willing to wait: hand back its answer
+        delay = retryAfter <= policy.backoff_max_ms ? retryAfter : null;
+      }
+    }
+
+    if (delay === null) {
+      recordOutcome(circuitKey, policy, isBreakerFailure(outcome));
+      return { response, error, attempts, circuitOpen: false };
+    }
+
+    entry.retry_in_ms = delay;
+    // Free the connection before retrying
+    await response?.body?.cancel().catch(() => {});
+    await sleep(delay);
+  }
+}
+
+export default {
+  DEFAULT_REQUEST_POLICY,
+  REQUEST_POLICY_LIMITS,
+  resolveRequestPolicy,
+  validateRequestPolicy,
+  isIdempotentMethod,
+  backoffDelay,
+  parseRetryAfter,
+  getCircuitState,
+  resetCircuits,
+  fetchWithPolicy,
+};
@@ -0,0 +1,215 @@
+/**
+ * Schema Resolver
+ *
+ * Dereference local $refs in an OpenAPI document (#/components/schemas,
+ * #/components/parameters, #/components/requestBodies, ...) and flatten
+ * allOf/oneOf/anyOf into plain schemas the AI SDK and the LLM can use.
+ *
+ * Recursive schemas (a Customer with a `parent: Customer`) are cut off at the
+ * point they recur, and ref nesting is capped so huge specs stay small.
+ */
+
+// Max nested $ref hops before a schema is collapsed to a bare object
+const MAX_REF_DEPTH = 6;
+
+// Keys whose values are data, not schemas — copied as-is
+const LITERAL_KEYS = new Set(['enum', 'const', 'default', 'example', 'examples', 'required']);
+
+/**
+ * Create a resolver bound to one OpenAPI document.
+ *
+ * @param {object} spec - OpenAPI 3.x document
+ * @returns {{ resolveSchema: Function, resolveObject: Function }}
+ */
+export function createSchemaResolver(spec) {
+  /**
+   * Look up a local JSON pointer ("#/components/schemas/Pet").
+   */
+  function lookup(ref) {
+    if (!ref.startsWith('#/')) return undefined;
+
+    let node = spec;
+    for (const rawPart of ref.slice(2).split('/')) {
+      const part = decodeURIComponent(rawPart).replace(/~1/g, '/').replace(/~0/g, '~');
+      if (!node || typeof node !== 'object') return undefined;
+      node = node[part];
+    }
+    return node;
+  }
+
+  /**
+   * Follow $refs on a non-schema object (parameter, requestBody) until a concrete one is reached.
+   */
+  function resolveObject(node, seen = []) {
+    if (!node || typeof node !== 'object' || typeof node.$ref !== 'string') return node;
+    if (seen.includes(node.$ref)) return null;
+    return resolveObject(lookup(node.$ref), [...seen, node.$ref]);
+  }
+
+  /**
+   * Deeply dereference a schema and flatten composition keywords.
+   *
+   * @param {object} schema - JSON Schema possibly containing $ref/allOf/oneOf/anyOf
+   * @param {string[]} seen - Refs on the current path (cycle detection)
+   * @returns {object} Self-contained schema
+   */
+  function resolveSchema(schema, seen = []) {
+    if (Array.isArray(schema)) return schema.map(s => resolveSchema(s, seen));
+    if (!schema || typeof schema !== 'object') return schema;
+
+    if (typeof schema.$ref === 'string') {
+      const { $ref, ...siblings } = schema;
+      const name = $ref.split('/').pop();
+
+      if (seen.includes($ref) || seen.length >= MAX_REF_DEPTH) {
+        return {
+          type: 'object',
+          description: siblings.description || `${name} object (nested ${seen.includes($ref) ? 'recursively' : 'too deeply'} to expand)`,
+        };
+      }
+
+      const target = lookup($ref);
+      if (!target) {
+        return {
+          type: 'object',
+          ...siblings,
+          description: siblings.description || `Unresolved reference: ${$ref}`,
+        };
+      }
+
+      const resolved = resolveSchema(target, [...seen, $ref]);
+      // OpenAPI 3.1 allows siblings next to $ref (e.g. a more specific description)
+      return Object.keys(siblings).length > 0
+        ? { ...resolved, ...resolveSchema(siblings, seen) }
+        : resolved;
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (LITERAL_KEYS.has(key) || !value || typeof value !== 'object') {
+        result[key] = value;
+      } else if (key === 'properties') {
+        result.properties = Object.fromEntries(
+          Object.entries(value).map(([prop, propSchema]) => [prop, resolveSchema(propSchema, seen)])
+        );
+      } else {
+        result[key] = resolveSchema(value, seen);
+      }
+    }
+
+    return flattenComposition(result);
+  }
+
+  return { resolveSchema, resolveObject };
+}
+
+/**
+ * Flatten allOf/oneOf/anyOf on an already-dereferenced schema.
+ *
+ * - allOf: merged into one schema (properties and required are unioned)
+ * - oneOf/anyOf of objects: one object with every variant's properties;
+ *   only fields required by all variants stay required
+ * - oneOf/anyOf of scalars: the first real variant (enums of the same type are unioned)
+ */
+export function flattenComposition(schema) {
+  const { allOf, oneOf, anyOf, ...base } = schema;
+  let result = base;
+
+  if (Array.isArray(allOf)) {
+    // The schema's own keys win over the composed parts
+    result = mergeSchemas([...allOf, result]);
+  }
+
+  if (Array.isArray(oneOf)) {
+    result = mergeSchemas([collapseVariants(oneOf, 'One of'), result]);
+  }
+
+  if (Array.isArray(anyOf)) {
+    result = mergeSchemas([collapseVariants(anyOf, 'Any of'), result]);
+  }
+
+  return result;
+}
+
+/**
+ * Merge schemas left to right. Later keys win, except properties/required which are unioned.
+ */
+function mergeSchemas(schemas) {
+  const merged = {};
+
+  for (const schema of schemas) {
+    if (!schema || typeof schema !== 'object') continue;
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === 'properties' && value && typeof value === 'object') {
+        merged.properties = { ...(merged.properties || {}), ...value };
+      } else if (key === 'required' && Array.isArray(value)) {
+        merged.required = [...new Set([...(merged.required || []), ...value])];
+      } else {
+        merged[key] = value;
+      }
+    }
+  }
+
+  if (merged.properties && !merged.type) {
+    merged.type = 'object';
+  }
+
+  return merged;
+}
+
+/**
+ * Collapse oneOf/anyOf variants into a single schema.
+ */
+function collapseVariants(variants, label) {
+  // Drop placeholders like Stripe's "emptyable" { enum: [''] } and explicit nulls
+  const usable = variants.filter(v =>
+    v && typeof v === 'object' &&
+    v.type !== 'null' &&
+    !(Array.isArray(v.enum) && v.enum.length === 1 && v.enum[0] === '')
+  );
+
+  if (usable.length === 0) return {};
+  if (usable.length === 1) return usable[0];
+
+  const isObject = v => v.type === 'object' || !!v.properties;
+
+  if (usable.every(isObject)) {
+    const properties = {};
+    for (const variant of usable) {
+      Object.assign(properties, variant.properties || {});
+    }
+
+    const requiredSets = usable.map(v => new Set(v.required || []));
+    const required = [...requiredSets[0]].filter(name => requiredSets.every(set => set.has(name)));
+
+    const titles = usable.map(v => v.title).filter(Boolean);
+    return {
+      type: 'object',
+      ...(titles.length > 0 ? { description: `${label}: ${titles.join(', ')}` } : {}),
+      properties,
+      ...(required.length > 0 ? { required } : {}),
+    };
+  }
+
+  const types = [...new Set(usable.map(v => v.type).filter(Boolean))];
+  if (types.length === 1 && usable.every(v => v.type === types[0])) {
+    const { enum: _enum, ...first } = usable[0];
+    const allEnums = usable.every(v => Array.isArray(v.enum));
+    return {
+      ...first,
+      ...(allEnums ? { enum: [...new Set(usable.flatMap(v => v.enum))] } : {}),
+    };
+  }
+
+  // Mixed types: keep the first variant and tell the LLM about the alternatives
+  const first = usable[0];
+  return {
+    ...first,
+    description: [first.description, `${label}: ${types.join(', ')}`].filter(Boolean).join('. '),
+  };
+}
+
+export default {
+  createSchemaResolver,
+  flattenComposition,
+};
@@ -0,0 +1,178 @@
+/**
+ * Security Schemes
+ *
+ * Work out how a spec expects callers to authenticate, from
+ * `components.securitySchemes` (or Swagger 2.0 `securityDefinitions`) and the
+ * document/operation `security` requirements, and map it onto ActionChat's
+ * auth_type + auth_config. No Node-only imports (used by the sources/new preview).
+ *
+ * auth_config shapes produced here:
+ *   bearer:  { scheme, bearer_format? }            (also OpenID Connect and non-interactive OAuth2 flows)
+ *   basic:   { scheme }
+ *   api_key: { scheme, in: 'header'|'query'|'cookie', name }
+ *   oauth2:  { scheme, authorization_url, token_url, scopes }  (authorizationCode flow; admin adds client_id)
+ */
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+/**
+ * Convert a Swagger 2.0 securityDefinition to an OpenAPI 3 securityScheme.
+ */
+export function convertSwaggerSecurityScheme(def) {
+  switch (def.type) {
+    case 'basic':
+      return { type: 'http', scheme: 'basic', description: def.description };
+    case 'apiKey':
+      return { type: 'apiKey', name: def.name, in: def.in, description: def.description };
+    case 'oauth2': {
+      const flowName = {
+        implicit: 'implicit',
+        password: 'password',
+        application: 'clientCredentials',
+        accessCode: 'authorizationCode',
+      }[def.flow] || def.flow;
+      return {
+        type: 'oauth2',
+        description: def.description,
+        flows: {
+          [flowName]: {
+            ...(def.authorizationUrl ? { authorizationUrl: def.authorizationUrl } : {}),
+            ...(def.tokenUrl ? { tokenUrl: def.tokenUrl } : {}),
+            scopes: def.scopes || {},
+          },
+        },
+      };
+    }
+    default:
+      return def;
+  }
+}
+
+/**
+ * Security schemes of an OpenAPI 3.x or Swagger 2.0 document, in OpenAPI 3 form.
+ *
+ * @param {object} spec - Parsed spec document
+ * @returns {object} Scheme name → securityScheme
+ */
+export function getSecuritySchemes(spec) {
+  if (spec?.securityDefinitions) {
+    return Object.fromEntries(
+      Object.entries(spec.securityDefinitions).map(([name, def]) => [name, convertSwaggerSecurityScheme(def)])
+    );
+  }
+  return spec?.components?.securitySchemes || {};
+}
+
+/**
+ * Map one securityScheme onto auth_type + auth_config.
+ * Returns null for schemes ActionChat cannot send (e.g. HTTP digest, mutual TLS).
+ */
+export function schemeToAuth(name, scheme) {
+  if (!scheme || typeof scheme !== 'object') return null;
+
+  switch (scheme.type) {
+    case 'http': {
+      const httpScheme = (scheme.scheme || '').toLowerCase();
+      if (httpScheme === 'bearer') {
+        return {
+          auth_type: 'bearer',
+          auth_config: { scheme: name, ...(scheme.bearerFormat ? { bearer_format: scheme.bearerFormat } : {}) },
+        };
+      }
+      if (httpScheme === 'basic') {
+        return { auth_type: 'basic', auth_config: { scheme: name } };
+      }
+      return null;
+    }
+
+    case 'apiKey':
+      if (!scheme.name || !['header', 'query', 'cookie'].includes(scheme.in)) return null;
+      return {
+        auth_type: 'api_key',
+        auth_config: { scheme: name, in: scheme.in, name: scheme.name },
+      };
+
+    // Authorization-code flows get the per-user connect flow
+    case 'oauth2': {
+      const flow = scheme.flows?.authorizationCode;
+      if (flow?.authorizationUrl && flow?.tokenUrl) {
+        return {
+          auth_type: 'oauth2',
+          auth_config: {
+            scheme: name,
+            authorization_url: flow.authorizationUrl,
+            token_url: flow.tokenUrl,
+            scopes: Object.keys(flow.scopes || {}),
+          },
+        };
+      }
+      return { auth_type: 'bearer', auth_config: { scheme: name } };
+    }
+
+    // OpenID Connect tokens are sent as bearer tokens
+    case 'openIdConnect':
+      return { auth_type: 'bearer', auth_config: { scheme: name } };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Pick the auth a spec's operations most commonly require and map it to
+ * auth_type + auth_config. Operation-level `security` overrides the document's;
+ * when a requirement lists alternatives, the first usable one counts.
+ *
+ * @param {object} spec - Parsed spec document (OpenAPI 3.x or Swagger 2.0)
+ * @returns {{ auth_type: string, auth_config: object }|null} null if the spec declares no usable scheme
+ */
+export function detectAuth(spec) {
+  const schemes = getSecuritySchemes(spec);
+  const usable = Object.keys(schemes).filter(name => schemeToAuth(name, schemes[name]));
+  if (usable.length === 0) return null;
+
+  const counts = new Map();
+  let operationCount = 0;
+  let publicCount = 0;
+
+  for (const pathItem of Object.values(spec.paths || {})) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem?.[method];
+      if (!operation) continue;
+      operationCount++;
+
+      const requirements = operation.security ?? spec.security;
+      if (!Array.isArray(requirements)) continue;
+
+      // `security: []` (or an empty {} alternative) marks a public operation
+      if (requirements.length === 0 || requirements.some(r => Object.keys(r || {}).length === 0)) {
+        publicCount++;
+        continue;
+      }
+
+      const requirement = requirements.find(r => Object.keys(r || {}).some(name => usable.includes(name)));
+      const name = requirement && Object.keys(requirement).find(n => usable.includes(n));
+      if (name) counts.set(name, (counts.get(name) || 0) + 1);
+    }
+  }
+
+  // Everything explicitly public: no auth needed
+  if (operationCount > 0 && publicCount === operationCount) {
+    return { auth_type: 'none', auth_config: {} };
+  }
+
+  // Most-required scheme wins; ties and specs without `security` fall back to declaration order
+  let chosen = usable[0];
+  for (const name of usable) {
+    if ((counts.get(name) || 0) > (counts.get(chosen) || 0)) chosen = name;
+  }
+
+  return schemeToAuth(chosen, schemes[chosen]);
+}
+
+export default {
+  convertSwaggerSecurityScheme,
+  getSecuritySchemes,
+  schemeToAuth,
+  detectAuth,
+};
@@ -0,0 +1,148 @@
+/**
+ * Servers
+ *
+ * OpenAPI `servers` support: keep every declared server (US/EU/staging hosts,
+ * `{region}`-style variables), pick the one a call should go to, and fill in
+ * variable values. No Node-only imports, so the source page can use it too.
+ *
+ * Which server and which variable values a call uses (later wins):
+ *   1. Declared defaults from the spec
+ *   2. The source (admin picks base_url + server_variables on the source page)
+ *   3. The agent (agents.settings.servers[source_id])
+ *   4. The user's active credential (server_url + server_variables)
+ * Operation-level `servers` replace the source's list for that tool.
+ * A call with the org's shared credential takes agent/user values only for
+ * variables with an `enum`; the others keep the source's value or the default,
+ * so an override can't send the credential to another host.
+ */
+
+const VARIABLE_PATTERN = /\{([^{}]+)\}/g;
+
+/**
+ * Normalize an OpenAPI `servers` array: drop entries without a URL, strip
+ * trailing slashes and keep only the fields ActionChat uses.
+ *
+ * @param {Array|undefined} servers - Raw `servers` from the spec (document, path or operation level)
+ * @returns {Array<{ url: string, description: string, variables: object }>}
+ */
+export function normalizeServers(servers) {
+  if (!Array.isArray(servers)) return [];
+
+  return servers
+    .filter(s => s && typeof s.url === 'string' && s.url.trim())
+    .map(s => ({
+      url: s.url.trim().replace(/\/+$/, ''),
+      description: s.description || '',
+      variables: Object.fromEntries(
+        Object.entries(s.variables || {}).map(([name, v]) => [name, {
+          default: v?.default !== undefined ? String(v.default) : '',
+          ...(Array.isArray(v?.enum) && v.enum.length > 0 ? { enum: v.enum.map(String) } : {}),
+          ...(v?.description ? { description: v.description } : {}),
+        }])
+      ),
+    }));
+}
+
+/**
+ * List the `{variable}` placeholders in a server URL.
+ */
+export function getServerVariableNames(url) {
+  return [...new Set([...(url || '').matchAll(VARIABLE_PATTERN)].map(m => m[1]))];
+}
+
+/**
+ * Substitute `{variable}` placeholders in a server URL.
+ * Values are URI-encoded so they can only fill in their own URL segment.
+ *
+ * @param {string} url - Server URL template, e.g. "https://{region}.api.example.com"
+ * @param {object} values - Variable name → value
+ * @returns {string} URL without placeholders
+ */
+export function substituteServerVariables(url, values = {}) {
+  return url.replace(VARIABLE_PATTERN, (_, name) => {
+    const value = values[name];
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`No value for server variable "${name}" in ${url}`);
+    }
+    return encodeURIComponent(String(value));
+  });
+}
+
+/**
+ * Pick the server for a call and collect the variable values to substitute into it.
+ *
+ * A chosen server_url (agent or user) must be one of the declared servers —
+ * it can switch between environments, never point the call at another host.
+ *
+ * @param {object} source - Source with base_url, servers, server_variables and (optional) environment
+ * @param {object} source.environment - Merged agent/user choice: { server_url, server_variables }
+ * @param {object} [tool] - Tool row; its `servers` (operation-level) override the source's
+ * @param {object} [options]
+ * @param {boolean} [options.sharedCredential] - The call uses the org's shared credential
+ * @returns {{ url: string, variables: object }} Server URL template and variable values
+ */
+export function resolveServer(source, tool = {}, { sharedCredential = false } = {}) {
+  const environment = source?.environment || {};
+  const sourceServers = source?.servers || [];
+  const toolServers = tool?.servers || [];
+  const candidates = toolServers.length > 0 ? toolServers : sourceServers;
+
+  let server = environment.server_url
+    ? candidates.find(s => s.url === environment.server_url)
+    : null;
+
+  if (!server) {
+    server = toolServers.length > 0
+      ? toolServers[0]
+      : sourceServers.find(s => s.url === source?.base_url) || { url: source?.base_url || '', variables: {} };
+  }
+
+  const declared = server.variables || {};
+  const variables = {};
+
+  for (const name of getServerVariableNames(server.url)) {
+    const override = environment.server_variables?.[name];
+    const fallback = source?.server_variables?.[name] ?? declared[name]?.default;
+    const value = override ?? fallback;
+
+    const allowed = declared[name]?.enum;
+    if (allowed && value !== undefined && !allowed.includes(String(value))) {
+      throw new Error(`Server variable "${name}" must be one of: ${allowed.join(', ')}`);
+    }
+    if (!allowed && sharedCredential && override != null && String(override) !== String(fallback ?? '')) {
+      throw new Error(`Server variable "${name}" can't be changed for calls with the shared credential`);
+    }
+
+    if (value !== undefined && value !== '') {
+      variables[name] = String(value);
+    }
+  }
+
+  return { url: server.url, variables };
+}
+
+/**
+ * Merge environment choices, later layers winning (agent setting, then user credential).
+ *
+ * @param {...object} layers - { server_url, server_variables } objects (null/undefined skipped)
+ * @returns {{ server_url: string|null, server_variables: object }}
+ */
+export function mergeEnvironments(...layers) {
+  const merged = { server_url: null, server_variables: {} };
+  for (const layer of layers) {
+    if (!layer) continue;
+    if (layer.server_url) merged.server_url = layer.server_url;
+    if (layer.server_variables && typeof layer.server_variables === 'object') {
+      Object.assign(merged.server_variables, layer.server_variables);
+    }
+  }
+  return merged;
+}
+
+export default {
+  normalizeServers,
+  getServerVariableNames,
+  substituteServerVariables,
+  resolveServer,
+  mergeEnvironments,
+};
@@ -0,0 +1,113 @@
+/**
+ * Spec Loader
+ *
+ * Turn raw API description documents (OpenAPI 3.x or Swagger 2.0, JSON or YAML)
+ * into plain objects. No Node-only imports, so the sources/new page can use it
+ * for previews before anything is sent to the server.
+ */
+
+import yaml from 'js-yaml';
+import { detectAuth } from './security-schemes.js';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+/**
+ * Load a spec from a JSON string, a YAML string, or an already-parsed object.
+ *
+ * @param {string|object} specInput - Raw spec text or parsed object
+ * @returns {object} Parsed spec document
+ */
+export function loadSpecDocument(specInput) {
+  if (specInput && typeof specInput === 'object') {
+    return specInput;
+  }
+
+  if (typeof specInput !== 'string' || !specInput.trim()) {
+    throw new Error('Spec is empty');
+  }
+
+  const text = specInput.trim();
+
+  // JSON is valid YAML, but JSON.parse gives better error messages for JSON input
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Spec is not valid JSON: ${err.message}`);
+    }
+  }
+
+  let document;
+  try {
+    // CORE_SCHEMA keeps dates like `version: 2024-01-01` as strings
+    document = yaml.load(text, { schema: yaml.CORE_SCHEMA });
+  } catch (err) {
+    throw new Error(`Spec is neither valid JSON nor YAML: ${err.message}`);
+  }
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error('Spec is neither valid JSON nor YAML');
+  }
+
+  return document;
+}
+
+/**
+ * True if the document is a Swagger 2.0 spec.
+ */
+export function isSwagger2(spec) {
+  return typeof spec?.swagger === 'string' && spec.swagger.startsWith('2.');
+}
+
+/**
+ * Build a base URL from Swagger 2.0 host/basePath/schemes.
+ * Prefers https when the spec lists several schemes.
+ */
+export function getSwaggerBaseUrl(spec) {
+  const basePath = spec.basePath && spec.basePath !== '/' ? spec.basePath.replace(/\/+$/, '') : '';
+  if (!spec.host) return basePath;
+
+  const schemes = spec.schemes || [];
+  const scheme = schemes.includes('https') ? 'https' : (schemes[0] || 'https');
+  return `${scheme}://${spec.host}${basePath}`;
+}
+
+/**
+ * Summarize a spec for previews: title, version, base URL, endpoint counts and
+ * the auth it declares (auth_type + auth_config, or null).
+ * Throws if the document is not an OpenAPI 3.x or Swagger 2.0 spec.
+ *
+ * @param {object} spec - Parsed spec document
+ * @returns {{ format: string, title: string, description: string, version: string, base_url: string, pathCount: number, toolCount: number, auth: object|null }}
+ */
+export function describeSpec(spec) {
+  const swagger = isSwagger2(spec);
+  if ((!spec?.openapi && !swagger) || !spec?.paths) {
+    throw new Error('Invalid spec: missing "openapi" (or "swagger": "2.0") or "paths" field');
+  }
+
+  let toolCount = 0;
+  for (const pathItem of Object.values(spec.paths)) {
+    for (const method of HTTP_METHODS) {
+      if (pathItem?.[method]) toolCount++;
+    }
+  }
+
+  return {
+    format: swagger ? `Swagger ${spec.swagger}` : `OpenAPI ${spec.openapi}`,
+    title: spec.info?.title || '',
+    description: spec.info?.description || '',
+    version: spec.info?.version || '',
+    base_url: swagger ? getSwaggerBaseUrl(spec) : (spec.servers?.[0]?.url || ''),
+    pathCount: Object.keys(spec.paths).length,
+    toolCount,
+    auth: detectAuth(spec),
+  };
+}
+
+export default {
+  loadSpecDocument,
+  isSwagger2,
+  getSwaggerBaseUrl,
+  describeSpec,
+};
@@ -0,0 +1,303 @@
+/**
+ * Undo
+ *
+ * A write tool can declare an inverse operation - another tool on the same
+ * source that reverses it (create → delete, update → restore the previous
+ * values, cancel → reactivate):
+ *
+ *   {
+ *     "tool": "deleteCustomer",                  // operation_id or name
+ *     "args": { "id": "{{response.id}}" },       // {{args.x}} {{response.x}} {{before.x}} or literals
+ *     "restore": true,                           // optional: previous value of every argument sent
+ *     "snapshot": {                              // optional: GET run before the call
+ *       "tool": "getCustomer",
+ *       "args": { "id": "{{args.id}}" }
+ *     }
+ *   }
+ *
+ * Declared in a spec with the `x-actionchat-inverse` operation extension, or
+ * for templates in `source_templates.inverses` (keyed by operation_id), and
+ * stored in tools.inverse / template_tools.inverse.
+ *
+ * The executor runs the snapshot first, and after a successful call resolves
+ * the inverse into a ready-to-run call (`result.undo`) that is kept on the
+ * action_log row, its arguments encrypted (`undo_args`). POST
+ * /api/activity/[id]/undo runs it once: the tool comes from the original
+ * tool's declaration at that time (loadUndoTool), the arguments from
+ * `undo_args`.
+ */
+
+export const INVERSE_EXTENSION = 'x-actionchat-inverse';
+
+const TEMPLATE_RE = /\{\{\s*(args|response|before)((?:\.[A-Za-z0-9_-]+)*)\s*\}\}/g;
+const WHOLE_TEMPLATE_RE = /^\{\{\s*(args|response|before)((?:\.[A-Za-z0-9_-]+)*)\s*\}\}$/;
+
+// Columns needed to execute a tool, in both tools and template_tools
+const TOOL_COLUMNS = 'id, name, description, method, path, parameters, request_body, servers, risk_level';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateCall(call, label) {
+  if (!isPlainObject(call)) return `${label} must be an object`;
+  if (typeof call.tool !== 'string' || !call.tool.trim()) return `${label}.tool must name a tool`;
+  if (call.args !== undefined && !isPlainObject(call.args)) return `${label}.args must be an object`;
+  return null;
+}
+
+/**
+ * Check an inverse declaration.
+ *
+ * @param {any} spec
+ * @returns {{ inverse: object|null, error: string|null }} `inverse: null` for an empty value
+ */
+export function validateInverse(spec) {
+  if (spec === null || spec === undefined) return { inverse: null, error: null };
+
+  const error = validateCall(spec, 'inverse')
+    || (spec.restore !== undefined && typeof spec.restore !== 'boolean' ? 'inverse.restore must be a boolean' : null)
+    || (spec.snapshot !== undefined ? validateCall(spec.snapshot, 'inverse.snapshot') : null);
+  if (error) return { inverse: null, error };
+
+  const inverse = { tool: spec.tool.trim(), args: spec.args || {} };
+  if (spec.restore) inverse.restore = true;
+  if (spec.snapshot) inverse.snapshot = { tool: spec.snapshot.tool.trim(), args: spec.snapshot.args || {} };
+  return { inverse, error: null };
+}
+
+/**
+ * The inverse to store for a parsed tool: a template's override (keyed by
+ * operation_id) wins over the spec's own declaration.
+ *
+ * @param {object} tool - Parsed tool (operation_id, inverse)
+ * @param {object} [overrides] - source_templates.inverses
+ * @returns {object|null}
+ */
+export function inverseForTool(tool, overrides) {
+  const override = overrides?.[tool.operation_id];
+  if (override !== undefined) {
+    const { inverse, error } = validateInverse(override);
+    if (!error) return inverse;
+    console.warn(`[UNDO] Ignoring template inverse for ${tool.operation_id}: ${error}`);
+  }
+  return tool.inverse || null;
+}
+
+function lookup(context, root, path) {
+  let value = context[root];
+  for (const key of path.split('.').filter(Boolean)) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Fill `{{args.x}}`, `{{response.x}}` and `{{before.x}}` placeholders.
+ * A string that is a single placeholder takes the value as-is (numbers stay
+ * numbers); placeholders inside longer strings are interpolated.
+ *
+ * @param {any} value - Template (object, array, string or literal)
+ * @param {object} context - { args, response, before }
+ * @param {string[]} [missing] - Collects placeholders that had no value
+ */
+export function resolveTemplate(value, context, missing = []) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_TEMPLATE_RE);
+    if (whole) {
+      const resolved = lookup(context, whole[1], whole[2]);
+      if (resolved === undefined || resolved === null) missing.push(`${whole[1]}${whole[2]}`);
+      return resolved;
+    }
+    return value.replace(TEMPLATE_RE, (_, root, path) => {
+      const resolved = lookup(context, root, path);
+      if (resolved === undefined || resolved === null) {
+        missing.push(`${root}${path}`);
+        return '';
+      }
+      return String(resolved);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => resolveTemplate(item, context, missing));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplate(item, context, missing)]));
+  }
+  return value;
+}
+
+/**
+ * Arguments for the inverse call.
+ *
+ * @param {object} inverse - Validated inverse declaration
+ * @param {object} context - { args, response, before }
+ * @returns {{ args: object, missing: string[] }}
+ */
+export function buildInverseArgs(inverse, context) {
+  const missing = [];
+  const args = {};
+
+  // Restore: put back what the call overwrote; explicit args win
+  if (inverse.restore) {
+    if (!isPlainObject(context.before)) {
+      missing.push('before');
+    } else {
+      for (const key of Object.keys(context.args || {})) {
+        if (key in context.before) args[key] = context.before[key];
+      }
+    }
+  }
+
+  Object.assign(args, resolveTemplate(inverse.args || {}, context, missing));
+  return { args, missing };
+}
+
+/**
+ * Arguments for the snapshot GET (only `{{args.x}}` is known at that point).
+ *
+ * @returns {{ args: object, missing: string[] }}
+ */
+export function buildSnapshotArgs(inverse, args) {
+  const missing = [];
+  const resolved = resolveTemplate(inverse.snapshot?.args || {}, { args }, missing);
+  return { args: resolved, missing };
+}
+
+/**
+ * The undo for a finished call, or why there is none.
+ *
+ * @param {object} params
+ * @param {object} params.inverse - Validated inverse declaration
+ * @param {object|null} params.inverseTool - Tool row the inverse names
+ * @param {object} params.args - Arguments the call was made with
+ * @param {object} params.result - executeTool result
+ * @param {any} [params.before] - Snapshot body, when one was taken
+ * @returns {{ undo: object|null, reason: string|null }}
+ *   undo: { tool_id, tool_name, method, path, args, is_template_tool }
+ */
+export function planUndo({ inverse, inverseTool, args, result, before = null }) {
+  if (!inverseTool) return { undo: null, reason: `Inverse tool "${inverse.tool}" was not found` };
+  const status = result?.response_status || 0;
+  if (result?.error_message || status < 200 || status >= 300) {
+    return { undo: null, reason: 'The call did not succeed' };
+  }
+
+  const { args: undoArgs, missing } = buildInverseArgs(inverse, { args, response: result.response_body, before });
+  if (missing.length > 0) {
+    return { undo: null, reason: `No value for ${[...new Set(missing)].join(', ')}` };
+  }
+
+  return {
+    undo: {
+      tool_id: inverseTool.id,
+      tool_name: inverseTool.name,
+      method: inverseTool.method,
+      path: inverseTool.path,
+      args: undoArgs,
+      is_template_tool: inverseTool.is_template_tool === true,
+    },
+    reason: null,
+  };
+}
+
+async function findTool(supabase, table, scope, ref) {
+  const { data } = await supabase
+    .from(table)
+    .select(TOOL_COLUMNS)
+    .eq(scope.column, scope.id)
+    .eq('is_active', true)
+    .or(`operation_id.eq.${JSON.stringify(ref)},name.eq.${JSON.stringify(ref)}`)
+    .limit(1);
+  const row = data?.[0];
+  return row ? { ...row, is_template_tool: table === 'template_tools' } : null;
+}
+
+/**
+ * Load a tool's inverse declaration and the tools it names.
+ *
+ * @param {object} supabase - Supabase client (caller's session)
+ * @param {object} params
+ * @param {string} params.toolId - tools.id / template_tools.id
+ * @param {boolean} [params.isTemplateTool]
+ * @returns {Promise<{ inverse: object, inverseTool: object|null, snapshotTool: object|null }|null>}
+ *   null when the tool declares no inverse. Never throws.
+ */
+export async function loadInverse(supabase, { toolId, isTemplateTool = false }) {
+  if (!supabase || !toolId) return null;
+  const table = isTemplateTool ? 'template_tools' : 'tools';
+  const scopeColumn = isTemplateTool ? 'template_id' : 'source_id';
+
+  try {
+    const { data: row, error } = await supabase
+      .from(table)
+      .select(`inverse, ${scopeColumn}`)
+      .eq('id', toolId)
+      .maybeSingle();
+    if (error) throw error;
+
+    const { inverse } = validateInverse(row?.inverse);
+    if (!inverse) return null;
+
+    const scope = { column: scopeColumn, id: row[scopeColumn] };
+    const [inverseTool, snapshotTool] = await Promise.all([
+      findTool(supabase, table, scope, inverse.tool),
+      inverse.snapshot ? findTool(supabase, table, scope, inverse.snapshot.tool) : null,
+    ]);
+    return { inverse, inverseTool, snapshotTool };
+  } catch (error) {
+    console.warn('[UNDO] Could not load inverse for tool', toolId, ':', error.message);
+    return null;
+  }
+}
+
+/**
+ * The tool an action's undo runs, looked up again from the original tool's
+ * inverse declaration. The stored undo must name that same tool: when the
+ * declaration changed (or is gone) the undo is refused.
+ *
+ * @param {object} supabase - Supabase client
+ * @param {object} action - action_log row (tool_id, tool_name, undo)
+ * @returns {Promise<{ tool: object|null, error: string|null }>} tool: as loadInverse's inverseTool
+ */
+export async function loadUndoTool(supabase, action) {
+  // action_log.tool_id is a custom tool or a template tool
+  const { data: custom } = await supabase
+    .from('tools')
+    .select('id')
+    .eq('id', action.tool_id)
+    .maybeSingle();
+
+  const loaded = await loadInverse(supabase, { toolId: action.tool_id, isTemplateTool: !custom });
+  if (!loaded?.inverseTool) {
+    return { tool: null, error: `${action.tool_name} can no longer be undone` };
+  }
+  if (loaded.inverseTool.id !== action.undo?.tool_id) {
+    return { tool: null, error: `The undo of ${action.tool_name} has changed since this call; reverse it by hand` };
+  }
+  return { tool: loaded.inverseTool, error: null };
+}
+
+/**
+ * Why an action_log row can't be undone, or null when it can.
+ *
+ * @param {object} action - action_log row (status, undo, undone_at)
+ */
+export function undoBlocker(action) {
+  if (!action?.undo) return 'This action has no undo';
+  if (action.undone_at) return 'This action was already undone';
+  if (action.status !== 'completed') return 'Only completed actions can be undone';
+  return null;
+}
+
+export default {
+  INVERSE_EXTENSION,
+  validateInverse,
+  inverseForTool,
+  resolveTemplate,
+  buildInverseArgs,
+  buildSnapshotArgs,
+  planUndo,
+  loadInverse,
+  loadUndoTool,
+  undoBlocker,
+};
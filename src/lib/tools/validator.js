@@ -0,0 +1,203 @@
+/**
+ * Argument Validator
+ *
+ * Validates LLM-generated arguments against the tool's `parameters` and
+ * `request_body` schemas (ajv) before executeTool calls the target API.
+ * Invalid calls never leave the server: the errors go back to the model as a
+ * structured tool result it can correct and retry.
+ *
+ * Stored schemas come from OpenAPI specs and MCP servers, so they are
+ * normalized first: OpenAPI-only keywords are dropped, `nullable` becomes a
+ * "null" type, and a "string" type the spec parser's sanitizer put on an
+ * untyped schema is dropped next to anyOf/oneOf/allOf (the combinator
+ * decides) or corrected from properties/items. Scalars are coerced
+ * ("42" → 42 for an integer) rather than rejected.
+ */
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+// OpenAPI annotations that aren't JSON Schema (or that ajv would enforce wrongly)
+const OPENAPI_KEYWORDS = ['in', 'nullable', 'example', 'examples', 'discriminator', 'xml', 'externalDocs', 'deprecated', 'readOnly', 'writeOnly'];
+
+const MAX_CACHED_VALIDATORS = 500;
+
+const ajv = new Ajv({
+  allErrors: true,
+  coerceTypes: true,
+  strict: false,
+  logger: false,
+});
+addFormats(ajv);
+
+// Compiled validators keyed by schema JSON (tool rows are re-read per request)
+const validatorCache = new Map();
+
+function normalizeSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(normalizeSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (OPENAPI_KEYWORDS.includes(key) || key.startsWith('x-')) continue;
+    if (key === 'type' && (value === 'None' || value === null)) continue;
+    if (key === 'properties' || key === 'patternProperties' || key === 'definitions' || key === '$defs') {
+      result[key] = Object.fromEntries(
+        Object.entries(value || {}).map(([name, sub]) => [name, normalizeSchema(sub)])
+      );
+    } else {
+      result[key] = typeof value === 'object' ? normalizeSchema(value) : value;
+    }
+  }
+
+  if (result.anyOf || result.oneOf || result.allOf) {
+    delete result.type;
+  } else if (result.type === 'string' && (result.properties || result.additionalProperties)) {
+    result.type = 'object';
+  } else if (result.type === 'string' && result.items) {
+    result.type = 'array';
+  }
+  if (schema.nullable === true && typeof result.type === 'string') {
+    result.type = [result.type, 'null'];
+  }
+  return result;
+}
+
+/**
+ * The JSON Schema the arguments of a tool call must satisfy: path/query
+ * parameters and request body properties merged into one object schema (the
+ * same shape the converter shows the LLM). Every `{placeholder}` in an HTTP
+ * tool's path is required.
+ *
+ * @param {object} tool - Tool row (parameters, request_body, path, method)
+ * @returns {object} JSON Schema
+ */
+export function buildArgsSchema(tool) {
+  const params = tool.parameters || {};
+  const body = tool.request_body || {};
+  const properties = {};
+  const required = new Set();
+
+  for (const [name, schema] of Object.entries(params.properties || {})) {
+    if (schema && typeof schema === 'object') properties[name] = normalizeSchema(schema);
+  }
+  for (const name of params.required || []) required.add(name);
+
+  for (const [name, schema] of Object.entries(body.properties || {})) {
+    if (schema && typeof schema === 'object') properties[name] = normalizeSchema(schema);
+  }
+  for (const name of body.required || []) required.add(name);
+
+  if (tool.method !== 'MCP' && typeof tool.path === 'string') {
+    for (const [, name] of tool.path.matchAll(/\{([^}]+)\}/g)) {
+      required.add(name);
+    }
+  }
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.size > 0 ? { required: [...required] } : {}),
+    ...(params.additionalProperties === false && !tool.request_body ? { additionalProperties: false } : {}),
+  };
+}
+
+function getValidator(schema) {
+  const key = JSON.stringify(schema);
+  let validate = validatorCache.get(key);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    if (validatorCache.size >= MAX_CACHED_VALIDATORS) validatorCache.clear();
+    validatorCache.set(key, validate);
+  }
+  return validate;
+}
+
+// "/items/0/price" → "items[0].price"
+function fieldPath(instancePath, property) {
+  const parts = instancePath.split('/').slice(1).map(p => p.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (property !== undefined) parts.push(property);
+  return parts.reduce((path, part) => (
+    /^\d+$/.test(part) ? `${path}[${part}]` : path ? `${path}.${part}` : part
+  ), '');
+}
+
+function toFieldError(error) {
+  switch (error.keyword) {
+    case 'required':
+      return { field: fieldPath(error.instancePath, error.params.missingProperty), message: 'is required' };
+    case 'additionalProperties':
+      return { field: fieldPath(error.instancePath, error.params.additionalProperty), message: 'is not a known parameter' };
+    case 'enum':
+      return {
+        field: fieldPath(error.instancePath),
+        message: `must be one of: ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`,
+        allowed_values: error.params.allowedValues,
+      };
+    case 'type':
+      return { field: fieldPath(error.instancePath), message: `must be ${[].concat(error.params.type).join(' or ')}`, expected_type: error.params.type };
+    case 'format':
+      return { field: fieldPath(error.instancePath), message: `must be a valid ${error.params.format}`, expected_format: error.params.format };
+    default:
+      return { field: fieldPath(error.instancePath), message: error.message };
+  }
+}
+
+/**
+ * Validate (and coerce) a tool call's arguments.
+ *
+ * @param {object} tool - Tool row
+ * @param {object} args - Arguments with empty values already stripped
+ * @returns {{ valid: boolean, args: object, errors: Array<{ field: string, message: string }> }}
+ *   `args` is a coerced copy; the input is not modified
+ */
+export function validateToolArgs(tool, args) {
+  const data = structuredClone(args || {});
+
+  let validate;
+  try {
+    validate = getValidator(buildArgsSchema(tool));
+  } catch (error) {
+    // A schema ajv can't compile is the spec's problem, not the model's: don't block the call
+    console.warn('[VALIDATE] Skipping validation for', tool.name, '- invalid schema:', error.message);
+    return { valid: true, args: data, errors: [] };
+  }
+
+  if (validate(data)) {
+    return { valid: true, args: data, errors: [] };
+  }
+
+  // anyOf/oneOf report every branch; keep one message per field
+  const seen = new Set();
+  const errors = [];
+  for (const error of validate.errors) {
+    const fieldError = toFieldError(error);
+    const key = `${fieldError.field}:${error.keyword}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    errors.push(fieldError);
+  }
+  return { valid: false, args: data, errors };
+}
+
+/**
+ * One-line summary of validation errors, for logs and error_message.
+ */
+export function describeValidationErrors(errors) {
+  return `Invalid arguments: ${errors.map(e => `${e.field || '(root)'} ${e.message}`).join('; ')}`;
+}
+
+/**
+ * Tool result text for a call rejected by validation: what to fix, as JSON
+ * the model can act on.
+ */
+export function formatValidationErrors(errors) {
+  return `Invalid arguments - the request was NOT sent. Fix these and call the tool again:\n${JSON.stringify({ error: 'invalid_arguments', errors }, null, 2)}`;
+}
+
+export default {
+  buildArgsSchema,
+  validateToolArgs,
+  describeValidationErrors,
+  formatValidationErrors,
+};
@@ -0,0 +1,32 @@
+/**
+ * Usage Module - LLM token usage and cost
+ *
+ * - Pricing: USD per million tokens for each provider's models, and the
+ *   cost of a response
+ * - Usage: Recording responses in the daily rollup, dashboard summaries
+ *   and budget alerts
+ *
+ * Usage:
+ *   import { estimateCost, recordLlmUsage } from '@/lib/usage';
+ *   import { summarizeUsage, usageAlerts } from '@/lib/usage';
+ */
+
+// Pricing - What a response costs
+export {
+  MODEL_PRICES,
+  getModelPrice,
+  normalizeUsage,
+  estimateCost,
+  formatCost,
+} from './pricing.js';
+
+// Usage - Daily rollups, summaries and alerts
+export {
+  USAGE_ORIGINS,
+  DEFAULT_ALERT_PERCENT,
+  usageDay,
+  recordLlmUsage,
+  summarizeUsage,
+  validateUsageBudget,
+  usageAlerts,
+} from './usage.js';
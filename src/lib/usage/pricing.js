@@ -0,0 +1,92 @@
+/**
+ * LLM prices, for the cost of each message.
+ *
+ * Prices are USD per million tokens, keyed by provider and the model ids in
+ * MODELS (src/lib/ai.js). Models that run locally (Ollama) cost nothing;
+ * a model missing from the table has no known cost (null) rather than 0.
+ */
+
+export const MODEL_PRICES = {
+  openai: {
+    'gpt-5': { input: 1.25, output: 10 },
+    'gpt-5-mini': { input: 0.25, output: 2 },
+    'o3': { input: 2, output: 8 },
+    'o3-mini': { input: 1.1, output: 4.4 },
+  },
+  anthropic: {
+    'claude-sonnet-4-20250514': { input: 3, output: 15 },
+    'claude-opus-4-20250514': { input: 15, output: 75 },
+    'claude-haiku-4-20250514': { input: 1, output: 5 },
+  },
+  google: {
+    'gemini-3-pro': { input: 2, output: 12 },
+    'gemini-3-flash': { input: 0.5, output: 3 },
+  },
+};
+
+// Providers whose models run on the org's own hardware
+const FREE_PROVIDERS = ['ollama'];
+
+/**
+ * Price of a model.
+ *
+ * @param {string} provider - 'openai', 'anthropic', 'google', 'ollama'
+ * @param {string} model - Model id
+ * @returns {{ input: number, output: number }|null} USD per million tokens, null when unknown
+ */
+export function getModelPrice(provider, model) {
+  if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0 };
+  return MODEL_PRICES[provider]?.[model] || null;
+}
+
+/**
+ * Token counts from an AI SDK usage object. totalTokens falls back to
+ * input + output for providers that don't report it.
+ *
+ * @param {object} usage - { inputTokens, outputTokens, totalTokens }
+ * @returns {{ input_tokens: number, output_tokens: number, total_tokens: number }}
+ */
+export function normalizeUsage(usage) {
+  const count = (value) => (Number.isFinite(value) && value > 0 ? Math.round(value) : 0);
+  const input = count(usage?.inputTokens);
+  const output = count(usage?.outputTokens);
+  const total = count(usage?.totalTokens) || input + output;
+  return { input_tokens: input, output_tokens: output, total_tokens: total };
+}
+
+/**
+ * Cost of a response in USD, rounded to a millionth of a dollar.
+ *
+ * @param {string} provider
+ * @param {string} model
+ * @param {object} usage - AI SDK usage ({ inputTokens, outputTokens })
+ * @returns {number|null} Null when the model's price is unknown
+ */
+export function estimateCost(provider, model, usage) {
+  const price = getModelPrice(provider, model);
+  if (!price) return null;
+  const { input_tokens, output_tokens } = normalizeUsage(usage);
+  const cost = (input_tokens * price.input + output_tokens * price.output) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+/**
+ * Format a USD amount for display: cents above a dollar, more digits below.
+ *
+ * @param {number|null} amount
+ * @returns {string}
+ */
+export function formatCost(amount) {
+  if (amount === null || amount === undefined) return '—';
+  if (amount === 0) return '$0.00';
+  if (amount < 0.01) return `$${amount.toFixed(4)}`;
+  return `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+export default {
+  MODEL_PRICES,
+  getModelPrice,
+  normalizeUsage,
+  estimateCost,
+  formatCost,
+};
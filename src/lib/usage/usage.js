@@ -0,0 +1,259 @@
+/**
+ * LLM usage: recording each response's tokens and cost, rolling them up
+ * for the usage dashboard, and budget alerts.
+ *
+ * Usage is kept per org, UTC day, agent, user, origin and model in
+ * llm_usage_daily; record_llm_usage adds to the row atomically. Embed
+ * visitors and API keys have no user (origin 'embed' or 'api'), nor do
+ * scheduled routines run as the service identity (origin 'schedule').
+ */
+
+import { estimateCost, normalizeUsage, formatCost } from './pricing.js';
+
+export const USAGE_ORIGINS = ['chat', 'api', 'embed', 'schedule'];
+
+// Share of a budget at which the dashboard starts warning
+export const DEFAULT_ALERT_PERCENT = 80;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC date of a timestamp, as YYYY-MM-DD.
+ *
+ * @param {number} now - Epoch ms
+ * @returns {string}
+ */
+export function usageDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Add a response's usage to the daily rollup. Never throws: usage that
+ * can't be recorded is logged and the chat carries on.
+ *
+ * @param {object} supabase - Service role client (llm_usage_daily has no client write policy)
+ * @param {object} params
+ * @param {string} params.orgId
+ * @param {string} params.agentId
+ * @param {string|null} params.userId - Signed-in user; null for embed visitors, API keys and service runs
+ * @param {string} params.origin - 'chat', 'api', 'embed' or 'schedule'
+ * @param {string} params.provider
+ * @param {string} params.model
+ * @param {object} params.usage - AI SDK usage (totalUsage across steps)
+ * @param {number} [now]
+ * @returns {Promise<{ total_tokens: number, cost_usd: number|null }|null>} What was recorded, null if nothing
+ */
+export async function recordLlmUsage(supabase, { orgId, agentId, userId, origin, provider, model, usage }, now = Date.now()) {
+  const tokens = normalizeUsage(usage);
+  if (!orgId || !agentId || tokens.total_tokens === 0) return null;
+
+  const cost = estimateCost(provider, model, usage);
+  const { error } = await supabase.rpc('record_llm_usage', {
+    p_org_id: orgId,
+    p_agent_id: agentId,
+    p_user_id: userId || null,
+    p_origin: USAGE_ORIGINS.includes(origin) ? origin : 'chat',
+    p_provider: provider || 'unknown',
+    p_model: model || 'unknown',
+    p_input_tokens: tokens.input_tokens,
+    p_output_tokens: tokens.output_tokens,
+    p_total_tokens: tokens.total_tokens,
+    p_cost_usd: cost ?? 0,
+    p_day: usageDay(now),
+  });
+
+  if (error) {
+    console.warn('[USAGE] Failed to record LLM usage:', error.message);
+    return null;
+  }
+  return { total_tokens: tokens.total_tokens, cost_usd: cost };
+}
+
+function emptyTotals() {
+  return { requests: 0, input_tokens: 0, output_tokens: 0, total_tokens: 0, cost_usd: 0 };
+}
+
+function addRow(totals, row) {
+  totals.requests += Number(row.requests) || 0;
+  totals.input_tokens += Number(row.input_tokens) || 0;
+  totals.output_tokens += Number(row.output_tokens) || 0;
+  totals.total_tokens += Number(row.total_tokens) || 0;
+  totals.cost_usd += Number(row.cost_usd) || 0;
+  return totals;
+}
+
+function roundCost(totals) {
+  totals.cost_usd = Math.round(totals.cost_usd * 1_000_000) / 1_000_000;
+  return totals;
+}
+
+function groupRows(rows, keyOf, fieldsOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, { ...fieldsOf(row), ...emptyTotals() });
+    addRow(groups.get(key), row);
+  }
+  return [...groups.values()]
+    .map(roundCost)
+    .sort((a, b) => b.cost_usd - a.cost_usd || b.total_tokens - a.total_tokens);
+}
+
+/**
+ * Roll daily usage rows up for the dashboard: totals, one entry per day of
+ * the range (days without usage are zero), and per agent, user and model.
+ *
+ * @param {object[]} rows - llm_usage_daily rows
+ * @param {object} options
+ * @param {number} options.days - Days in the range, ending today
+ * @param {number} [options.now]
+ * @returns {{ totals: object, daily: object[], agents: object[], users: object[], models: object[] }}
+ */
+export function summarizeUsage(rows, { days, now = Date.now() }) {
+  const firstDay = usageDay(now - (days - 1) * DAY_MS);
+  const inRange = (rows || []).filter((row) => row.day >= firstDay && row.day <= usageDay(now));
+
+  const byDay = new Map();
+  for (let i = days - 1; i >= 0; i--) {
+    const day = usageDay(now - i * DAY_MS);
+    byDay.set(day, { day, ...emptyTotals() });
+  }
+  for (const row of inRange) addRow(byDay.get(row.day), row);
+
+  return {
+    totals: roundCost(inRange.reduce(addRow, emptyTotals())),
+    daily: [...byDay.values()].map(roundCost),
+    agents: groupRows(inRange, (row) => row.agent_id, (row) => ({ agent_id: row.agent_id })),
+    // Embed visitors and API keys are grouped by origin
+    users: groupRows(
+      inRange,
+      (row) => row.user_id || row.origin,
+      (row) => ({ user_id: row.user_id || null, origin: row.user_id ? 'chat' : row.origin })
+    ),
+    models: groupRows(
+      inRange,
+      (row) => `${row.provider}:${row.model}`,
+      (row) => ({ provider: row.provider, model: row.model })
+    ),
+  };
+}
+
+/**
+ * Validate the org's monthly LLM spend budget (org.settings.usage_budget).
+ *
+ * @param {object|null} input - { monthly_usd, alert_percent? }
+ * @returns {{ budget: object|null, error: string|null }} budget is null when cleared
+ */
+export function validateUsageBudget(input) {
+  if (input === null || input === undefined) return { budget: null, error: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { budget: null, error: 'usage_budget must be an object' };
+  }
+
+  const unknown = Object.keys(input).find((key) => !['monthly_usd', 'alert_percent'].includes(key));
+  if (unknown) return { budget: null, error: `Unknown usage_budget setting: ${unknown}` };
+
+  const { monthly_usd, alert_percent } = input;
+  if (monthly_usd === null || monthly_usd === undefined) return { budget: null, error: null };
+  if (typeof monthly_usd !== 'number' || !Number.isFinite(monthly_usd) || monthly_usd <= 0 || monthly_usd > 1_000_000) {
+    return { budget: null, error: 'usage_budget.monthly_usd must be a number between 0 and 1,000,000' };
+  }
+
+  const budget = { monthly_usd: Math.round(monthly_usd * 100) / 100 };
+  if (alert_percent !== null && alert_percent !== undefined) {
+    if (!Number.isInteger(alert_percent) || alert_percent < 1 || alert_percent > 100) {
+      return { budget: null, error: 'usage_budget.alert_percent must be an integer between 1 and 100' };
+    }
+    budget.alert_percent = alert_percent;
+  }
+  return { budget, error: null };
+}
+
+function alertFor({ used, limit, percent, scope, agentId, kind, label }) {
+  if (!limit || used < (limit * percent) / 100) return null;
+  return {
+    kind,
+    scope,
+    agent_id: agentId || null,
+    level: used >= limit ? 'exceeded' : 'warning',
+    used,
+    limit,
+    percent: Math.floor((used / limit) * 100),
+    message: label,
+  };
+}
+
+/**
+ * Budgets that are close to or over their limit: the org's monthly spend
+ * budget, and today's LLM token budgets (rate_limits.tokens_per_day) for
+ * the org and each agent.
+ *
+ * @param {object} params
+ * @param {object[]} params.rows - llm_usage_daily rows covering this month and today
+ * @param {object|null} params.budget - org.settings.usage_budget
+ * @param {object|null} params.orgLimits - org.settings.rate_limits
+ * @param {object[]} [params.agents] - [{ id, name, settings }]
+ * @param {number} [now]
+ * @returns {object[]} [{ kind, scope, agent_id, level: 'warning'|'exceeded', used, limit, percent, message }]
+ */
+export function usageAlerts({ rows, budget, orgLimits, agents = [] }, now = Date.now()) {
+  const percent = budget?.alert_percent || DEFAULT_ALERT_PERCENT;
+  const today = usageDay(now);
+  const month = today.slice(0, 7);
+  const alerts = [];
+
+  const monthCost = (rows || [])
+    .filter((row) => row.day.startsWith(month))
+    .reduce((sum, row) => sum + (Number(row.cost_usd) || 0), 0);
+  const spend = alertFor({
+    used: Math.round(monthCost * 100) / 100,
+    limit: budget?.monthly_usd,
+    percent,
+    scope: 'org',
+    kind: 'monthly_cost',
+    label: `${formatCost(monthCost)} of the ${formatCost(budget?.monthly_usd)} monthly LLM budget spent`,
+  });
+  if (spend) alerts.push(spend);
+
+  const todayRows = (rows || []).filter((row) => row.day === today);
+  const tokensToday = (filter) => todayRows.filter(filter).reduce((sum, row) => sum + (Number(row.total_tokens) || 0), 0);
+
+  const orgTokens = tokensToday(() => true);
+  const orgAlert = alertFor({
+    used: orgTokens,
+    limit: orgLimits?.tokens_per_day,
+    percent,
+    scope: 'org',
+    kind: 'tokens_per_day',
+    label: `${orgTokens.toLocaleString('en-US')} of the org's ${orgLimits?.tokens_per_day?.toLocaleString('en-US')} daily LLM tokens used`,
+  });
+  if (orgAlert) alerts.push(orgAlert);
+
+  for (const agent of agents) {
+    const limit = agent.settings?.rate_limits?.tokens_per_day;
+    if (!limit) continue;
+    const used = tokensToday((row) => row.agent_id === agent.id);
+    const alert = alertFor({
+      used,
+      limit,
+      percent,
+      scope: 'agent',
+      agentId: agent.id,
+      kind: 'tokens_per_day',
+      label: `${agent.name} has used ${used.toLocaleString('en-US')} of its ${limit.toLocaleString('en-US')} daily LLM tokens`,
+    });
+    if (alert) alerts.push(alert);
+  }
+
+  return alerts;
+}
+
+export default {
+  USAGE_ORIGINS,
+  DEFAULT_ALERT_PERCENT,
+  usageDay,
+  recordLlmUsage,
+  summarizeUsage,
+  validateUsageBudget,
+  usageAlerts,
+};
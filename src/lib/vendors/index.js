@@ -40,8 +40,9 @@
  *   // Use for: unwrapping data, normalizing errors
  *   afterResponse: (response, tool, source) => response,
  *   
- *   // Custom headers to add to all requests
- *   getHeaders: (source, credentials) => ({}),
+ *   // Custom headers to add to all requests. `context.idempotencyKey` is set
+ *   // for write calls that have one - send it in the vendor's header.
+ *   getHeaders: (source, credentials, { tool, idempotencyKey }) => ({}),
  * };
  * ```
  */
@@ -125,12 +126,13 @@ export function applyAfterResponse(response, tool, source) {
  * 
  * @param {object} source - API source
  * @param {object} credentials - User credentials
+ * @param {object} [context] - { tool, idempotencyKey } for the call being made
  * @returns {object} Additional headers
  */
-export function getAdapterHeaders(source, credentials) {
+export function getAdapterHeaders(source, credentials, context = {}) {
   const adapter = getAdapter(source);
   if (adapter?.getHeaders) {
-    return adapter.getHeaders(source, credentials);
+    return adapter.getHeaders(source, credentials, context);
   }
   return {};
 }
@@ -13,8 +13,8 @@
  * 3. **Pagination**: Uses cursor-based pagination with `starting_after`
  *    and `ending_before` parameters, plus `has_more` in response.
  * 
- * 4. **Idempotency**: POST requests should include `Idempotency-Key` header
- *    for safe retries (not implemented yet).
+ * 4. **Idempotency**: POST requests carry the call's `Idempotency-Key`
+ *    header, so Stripe itself won't apply a repeated request twice.
  * 
  * ## Common Expand Patterns
  * 
@@ -82,17 +82,20 @@ export const stripeAdapter = {
   /**
    * Additional headers for Stripe requests.
    * 
+   * Idempotency-Key goes on POST only: Stripe rejects it on GET and DELETE.
+   * 
    * Could be extended to add:
    * - Stripe-Version header for API versioning
-   * - Idempotency-Key for POST requests
    * - Stripe-Account for Connect platforms
    * 
    * @param {object} source - API source configuration
    * @param {object} credentials - User credentials
+   * @param {object} [context] - { tool, idempotencyKey }
    * @returns {object} Additional headers
    */
-  getHeaders(source, credentials) {
+  getHeaders(source, credentials, { tool, idempotencyKey } = {}) {
     return {
+      ...(idempotencyKey && tool?.method === 'POST' ? { 'Idempotency-Key': idempotencyKey } : {}),
       // Could add Stripe-Version header here if needed:
       // 'Stripe-Version': '2023-10-16',
     };
@@ -0,0 +1,133 @@
+/**
+ * Webhook Destinations
+ *
+ * Endpoints are set by org admins but called by the server, so an endpoint
+ * must not point back into the server's own network: loopback, link-local
+ * (cloud metadata at 169.254.169.254), private, shared and other reserved
+ * ranges are refused. The host is resolved and every address it resolves to
+ * is checked, both when the URL is saved and before each delivery (a name
+ * can be re-pointed after it was saved). Deliveries don't follow redirects.
+ */
+
+import net from 'net';
+import { lookup } from 'dns/promises';
+
+const RESERVED = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],        // "this" network
+  ['10.0.0.0', 8],       // private
+  ['100.64.0.0', 10],    // shared (carrier-grade NAT)
+  ['127.0.0.0', 8],      // loopback
+  ['169.254.0.0', 16],   // link-local, cloud metadata
+  ['172.16.0.0', 12],    // private
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.0.2.0', 24],     // documentation
+  ['192.88.99.0', 24],   // 6to4 relay
+  ['192.168.0.0', 16],   // private
+  ['198.18.0.0', 15],    // benchmarking
+  ['198.51.100.0', 24],  // documentation
+  ['203.0.113.0', 24],   // documentation
+  ['224.0.0.0', 4],      // multicast
+  ['240.0.0.0', 4],      // reserved, broadcast
+]) {
+  RESERVED.addSubnet(prefix, bits, 'ipv4');
+}
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+for (const [prefix, bits] of [
+  ['::', 128],           // unspecified
+  ['::1', 128],          // loopback
+  ['64:ff9b::', 96],     // IPv4/IPv6 translation
+  ['100::', 64],         // discard
+  ['2001:db8::', 32],    // documentation
+  ['fc00::', 7],         // unique local
+  ['fe80::', 10],        // link-local
+  ['fec0::', 10],        // site-local
+  ['ff00::', 8],         // multicast
+]) {
+  RESERVED.addSubnet(prefix, bits, 'ipv6');
+}
+
+const defaultResolver = (hostname) => lookup(hostname, { all: true, verbatim: true });
+
+let resolver = defaultResolver;
+
+/**
+ * Use a specific resolver for endpoint hosts (tests). `fn(hostname)` returns
+ * [{ address, family }] like dns.promises.lookup with `all: true`; null
+ * restores the system resolver.
+ */
+export function setWebhookResolver(fn) {
+  resolver = fn || defaultResolver;
+}
+
+/**
+ * Whether an IP address is loopback, link-local, private or otherwise reserved.
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for anything that isn't a public IP address
+ */
+export function isReservedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return RESERVED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * The URL's host, without the brackets of an IPv6 literal.
+ */
+function hostOf(parsed) {
+  return parsed.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+/**
+ * Check a URL's host as written: IP literals in reserved ranges and
+ * localhost names are refused without a lookup.
+ *
+ * @param {URL} parsed
+ * @returns {string|null} Error message, or null when the host may be public
+ */
+export function checkHostLiteral(parsed) {
+  const host = hostOf(parsed);
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return 'url must not point to a private or reserved address';
+  }
+  if (net.isIP(host) && isReservedAddress(host)) {
+    return 'url must not point to a private or reserved address';
+  }
+  return null;
+}
+
+/**
+ * Resolve a URL's host and check every address it resolves to.
+ *
+ * @param {URL} parsed
+ * @returns {Promise<string|null>} Error message, or null when all addresses are public
+ */
+export async function checkResolvedHost(parsed) {
+  const literalError = checkHostLiteral(parsed);
+  if (literalError) return literalError;
+
+  const host = hostOf(parsed);
+  if (net.isIP(host)) return null;
+
+  let addresses;
+  try {
+    addresses = await resolver(host);
+  } catch {
+    return `url host ${host} could not be resolved`;
+  }
+  if (!addresses?.length) {
+    return `url host ${host} could not be resolved`;
+  }
+  if (addresses.some(({ address }) => isReservedAddress(address))) {
+    return 'url must not point to a private or reserved address';
+  }
+  return null;
+}
+
+export default {
+  setWebhookResolver,
+  isReservedAddress,
+  checkHostLiteral,
+  checkResolvedHost,
+};
@@ -0,0 +1,370 @@
+/**
+ * Webhook Dispatcher
+ *
+ * Org admins register endpoints (webhook_endpoints) subscribed to events.
+ * emitWebhookEvent() writes one webhook_deliveries row per subscribed
+ * endpoint and makes the first attempt in the background. Failed attempts are
+ * retried with backoff by processDueDeliveries() (`yarn deliver-webhooks`,
+ * run from cron); rows that were never attempted because the process ended
+ * are picked up the same way.
+ *
+ * Delivery rows are the log shown in Settings → Webhooks. Uses a service-role
+ * client: events fire from member sessions, but endpoints and their secrets
+ * are admin-only.
+ */
+
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { decryptSecret } from '../secrets/keyring.js';
+import { SIGNATURE_HEADER, signPayload } from './signing.js';
+import { checkHostLiteral, checkResolvedHost } from './destination.js';
+
+export const WEBHOOK_EVENTS = [
+  'action.completed',
+  'action.failed',
+  'action.rejected',
+  'routine.failed',
+  'routine.scheduled_run',
+  'source.sync_failed',
+];
+
+export const DELIVERY_STATUSES = ['pending', 'retrying', 'succeeded', 'failed'];
+
+// Wait before attempt 2, 3, ... (seconds); after the last one the delivery is failed
+export const RETRY_DELAYS_SECONDS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60];
+export const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BODY = 1000;
+
+// A new delivery becomes due for the retry job only after this, so the
+// background first attempt isn't raced
+const FIRST_ATTEMPT_GRACE_SECONDS = 60;
+
+const ENDPOINT_CACHE_TTL_MS = 30 * 1000;
+
+let store = null;
+const endpointCache = new Map(); // orgId → { endpoints, expiresAt }
+
+function getStore() {
+  if (!store) {
+    const url = process.env.NEXT_PUBLIC_SUPABASE_URL;
+    const serviceKey = process.env.SUPABASE_SERVICE_ROLE || process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!url || !serviceKey) {
+      throw new Error('Missing Supabase service role key (needed to deliver webhooks)');
+    }
+    store = createClient(url, serviceKey);
+  }
+  return store;
+}
+
+/**
+ * Use a specific Supabase client for endpoints and deliveries (scripts, tests).
+ */
+export function setWebhookStore(client) {
+  store = client;
+  endpointCache.clear();
+}
+
+/**
+ * Forget cached endpoints of an org (after they change), or of all orgs.
+ */
+export function clearEndpointCache(orgId) {
+  if (orgId) endpointCache.delete(orgId);
+  else endpointCache.clear();
+}
+
+/**
+ * Validate an endpoint URL. HTTPS is required outside development, and IP
+ * literals in private or reserved ranges are refused (see destination.js;
+ * checkWebhookUrl also resolves the host).
+ *
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be a valid URL';
+  }
+  if (!['https:', 'http:'].includes(parsed.protocol)) {
+    return 'url must use https';
+  }
+  if (parsed.protocol === 'http:' && process.env.NODE_ENV === 'production') {
+    return 'url must use https';
+  }
+  if (parsed.username || parsed.password) {
+    return 'url must not contain credentials';
+  }
+  return checkHostLiteral(parsed);
+}
+
+/**
+ * validateWebhookUrl, then resolve the host: every address it resolves to
+ * must be public. Used when an endpoint is saved and before each delivery.
+ *
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+export async function checkWebhookUrl(url) {
+  return validateWebhookUrl(url) || checkResolvedHost(new URL(url));
+}
+
+/**
+ * Validate an event subscription list.
+ *
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateWebhookEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+  const unknown = events.find(e => !WEBHOOK_EVENTS.includes(e));
+  return unknown ? `Unknown event: ${unknown}` : null;
+}
+
+/**
+ * When to retry after a failed attempt.
+ *
+ * @param {number} attempts - Attempts made so far (including the failed one)
+ * @returns {string|null} ISO timestamp, or null when no attempts are left
+ */
+export function nextAttemptAt(attempts, now = Date.now()) {
+  const delay = RETRY_DELAYS_SECONDS[attempts - 1];
+  return delay === undefined ? null : new Date(now + delay * 1000).toISOString();
+}
+
+async function getEndpoints(orgId) {
+  const cached = endpointCache.get(orgId);
+  if (cached && cached.expiresAt > Date.now()) return cached.endpoints;
+
+  const { data, error } = await getStore()
+    .from('webhook_endpoints')
+    .select('id, org_id, url, secret, events')
+    .eq('org_id', orgId)
+    .eq('is_active', true);
+  if (error) throw error;
+
+  const endpoints = data || [];
+  endpointCache.set(orgId, { endpoints, expiresAt: Date.now() + ENDPOINT_CACHE_TTL_MS });
+  return endpoints;
+}
+
+/**
+ * POST one delivery to its endpoint and record the attempt.
+ *
+ * @param {object} delivery - webhook_deliveries row (id, org_id, event, payload, attempts)
+ * @param {object} endpoint - webhook_endpoints row (url, secret)
+ * @returns {Promise<object>} The recorded attempt (status, response_status, error_message, ...)
+ */
+export async function attemptDelivery(delivery, endpoint) {
+  const body = JSON.stringify(delivery.payload);
+  const startTime = Date.now();
+  let response_status = null;
+  let response_body = null;
+  let error_message = null;
+
+  try {
+    // The host may have been re-pointed since the endpoint was saved
+    const destinationError = await checkWebhookUrl(endpoint.url);
+    if (destinationError) throw new Error(destinationError);
+
+    const secret = await decryptSecret(delivery.org_id, endpoint.secret);
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ActionChat-Webhooks/1.0',
+        'X-ActionChat-Event': delivery.event,
+        'X-ActionChat-Delivery': delivery.id,
+        [SIGNATURE_HEADER]: signPayload(secret, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    response_status = response.status;
+    response_body = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+    if (response.status < 200 || response.status >= 300) {
+      error_message = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    error_message = error.name === 'TimeoutError' ? `Timed out after ${DELIVERY_TIMEOUT_MS / 1000}s` : error.message;
+  }
+
+  const now = new Date().toISOString();
+  const attempts = (delivery.attempts || 0) + 1;
+  const retryAt = error_message ? nextAttemptAt(attempts) : null;
+  const update = {
+    status: !error_message ? 'succeeded' : retryAt ? 'retrying' : 'failed',
+    attempts,
+    response_status,
+    response_body,
+    error_message,
+    duration_ms: Date.now() - startTime,
+    last_attempt_at: now,
+    next_attempt_at: retryAt,
+    delivered_at: error_message ? null : now,
+  };
+
+  const { error } = await getStore()
+    .from('webhook_deliveries')
+    .update(update)
+    .eq('id', delivery.id);
+  if (error) {
+    console.error('[WEBHOOKS] Failed to record attempt for', delivery.id, ':', error.message);
+  }
+
+  console.log('[WEBHOOKS]', delivery.event, '→', endpoint.url, '|', update.status, response_status || error_message);
+  return { id: delivery.id, ...update };
+}
+
+/**
+ * Emit an event to every active endpoint of the org subscribed to it.
+ * Never throws; failures are logged.
+ *
+ * @param {string} orgId
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} data - Event payload (`data` of the delivered JSON)
+ * @param {object} [options]
+ * @param {boolean} [options.wait] - Await the first attempts (scripts, tests); by
+ *   default they run in the background
+ * @returns {Promise<Array>} Delivery rows created (with attempt results when waiting)
+ */
+export async function emitWebhookEvent(orgId, event, data, { wait = false } = {}) {
+  if (!orgId || !WEBHOOK_EVENTS.includes(event)) return [];
+
+  try {
+    const endpoints = (await getEndpoints(orgId)).filter(e => e.events?.includes(event));
+    if (endpoints.length === 0) return [];
+
+    const payload = {
+      id: crypto.randomUUID(),
+      type: event,
+      created_at: new Date().toISOString(),
+      org_id: orgId,
+      data,
+    };
+    const firstDue = new Date(Date.now() + FIRST_ATTEMPT_GRACE_SECONDS * 1000).toISOString();
+
+    const { data: deliveries, error } = await getStore()
+      .from('webhook_deliveries')
+      .insert(endpoints.map(endpoint => ({
+        org_id: orgId,
+        endpoint_id: endpoint.id,
+        event,
+        event_id: payload.id,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: firstDue,
+      })))
+      .select('id, org_id, endpoint_id, event, payload, attempts');
+    if (error) throw error;
+
+    const endpointById = new Map(endpoints.map(e => [e.id, e]));
+    const attempts = (deliveries || []).map(delivery =>
+      attemptDelivery(delivery, endpointById.get(delivery.endpoint_id)).catch(err => {
+        console.error('[WEBHOOKS] Delivery', delivery.id, 'failed:', err.message);
+        return { id: delivery.id, status: 'pending', error_message: err.message };
+      })
+    );
+
+    return wait ? await Promise.all(attempts) : deliveries || [];
+  } catch (error) {
+    console.error('[WEBHOOKS] Failed to emit', event, 'for org', orgId, ':', error.message);
+    return [];
+  }
+}
+
+/**
+ * Attempt every delivery that is due: retries whose backoff has passed and
+ * new deliveries whose background attempt never ran.
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit] - Max deliveries this run
+ * @param {string} [options.orgId] - Limit to one org
+ * @returns {Promise<{ processed: number, succeeded: number, failed: number }>}
+ */
+export async function processDueDeliveries({ limit = 100, orgId } = {}) {
+  const now = new Date().toISOString();
+  let query = getStore()
+    .from('webhook_deliveries')
+    .select('id, org_id, endpoint_id, event, payload, attempts, status, webhook_endpoints ( id, url, secret, is_active )')
+    .in('status', ['pending', 'retrying'])
+    .lte('next_attempt_at', now)
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+  if (orgId) query = query.eq('org_id', orgId);
+
+  const { data: due, error } = await query;
+  if (error) throw error;
+
+  const counts = { processed: 0, succeeded: 0, failed: 0 };
+
+  for (const delivery of due || []) {
+    const endpoint = delivery.webhook_endpoints;
+
+    if (!endpoint?.is_active) {
+      await getStore()
+        .from('webhook_deliveries')
+        .update({ status: 'failed', error_message: 'Endpoint disabled', next_attempt_at: null })
+        .eq('id', delivery.id);
+      counts.failed++;
+      continue;
+    }
+
+    // Claim the row so a concurrent run skips it
+    const { data: claimed } = await getStore()
+      .from('webhook_deliveries')
+      .update({ next_attempt_at: new Date(Date.now() + 3 * DELIVERY_TIMEOUT_MS).toISOString() })
+      .eq('id', delivery.id)
+      .eq('attempts', delivery.attempts)
+      .lte('next_attempt_at', now)
+      .select('id');
+    if (!claimed?.length) continue;
+
+    const result = await attemptDelivery(delivery, endpoint);
+    counts.processed++;
+    if (result.status === 'succeeded') counts.succeeded++;
+    if (result.status === 'failed') counts.failed++;
+  }
+
+  return counts;
+}
+
+/**
+ * Attempt one delivery again now, whatever its status (Settings → Redeliver).
+ *
+ * @param {string} deliveryId
+ * @param {string} orgId - Delivery must belong to this org
+ * @returns {Promise<object|null>} Attempt result, or null when not found
+ */
+export async function redeliver(deliveryId, orgId) {
+  const { data: delivery, error } = await getStore()
+    .from('webhook_deliveries')
+    .select('id, org_id, endpoint_id, event, payload, attempts, webhook_endpoints ( id, url, secret, is_active )')
+    .eq('id', deliveryId)
+    .eq('org_id', orgId)
+    .single();
+  if (error || !delivery?.webhook_endpoints) return null;
+
+  return attemptDelivery(delivery, delivery.webhook_endpoints);
+}
+
+export default {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  RETRY_DELAYS_SECONDS,
+  MAX_ATTEMPTS,
+  setWebhookStore,
+  clearEndpointCache,
+  validateWebhookUrl,
+  checkWebhookUrl,
+  validateWebhookEvents,
+  nextAttemptAt,
+  attemptDelivery,
+  emitWebhookEvent,
+  processDueDeliveries,
+  redeliver,
+};
@@ -0,0 +1,47 @@
+/**
+ * Webhooks Module - Outbound event notifications
+ *
+ * - Signing: HMAC-SHA256 signature header and endpoint secrets
+ * - Dispatcher: Delivery rows, attempts with retry/backoff, due-delivery
+ *   processing for the cron job
+ * - Destination: Endpoint hosts must resolve to public addresses
+ *
+ * Usage:
+ *   import { emitWebhookEvent } from '@/lib/webhooks';
+ *   import { verifySignature } from '@/lib/webhooks';
+ */
+
+// Signing - HMAC signatures and secrets
+export {
+  SIGNATURE_HEADER,
+  SIGNATURE_VERSION,
+  DEFAULT_TOLERANCE_SECONDS,
+  generateWebhookSecret,
+  secretPreview,
+  signPayload,
+  verifySignature,
+} from './signing.js';
+
+// Dispatcher - Delivery and retries
+export {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  RETRY_DELAYS_SECONDS,
+  MAX_ATTEMPTS,
+  setWebhookStore,
+  clearEndpointCache,
+  validateWebhookUrl,
+  checkWebhookUrl,
+  validateWebhookEvents,
+  nextAttemptAt,
+  attemptDelivery,
+  emitWebhookEvent,
+  processDueDeliveries,
+  redeliver,
+} from './dispatcher.js';
+
+// Destination - Private and reserved addresses
+export {
+  setWebhookResolver,
+  isReservedAddress,
+} from './destination.js';
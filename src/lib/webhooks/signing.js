@@ -0,0 +1,90 @@
+/**
+ * Webhook Signing
+ *
+ * Every delivery carries
+ *
+ *   X-ActionChat-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ *
+ * where the HMAC is computed with the endpoint's secret over
+ * `${t}.${raw request body}`. Receivers recompute it and compare in constant
+ * time, and reject timestamps outside their tolerance to stop replays.
+ */
+
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'X-ActionChat-Signature';
+export const SIGNATURE_VERSION = 'v1';
+export const SECRET_PREFIX = 'whsec_';
+
+// Receivers should reject signatures older than this
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * New endpoint secret: whsec_<32 random bytes, base64url>.
+ */
+export function generateWebhookSecret() {
+  return `${SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Display form of a secret ("whsec_AbCd…").
+ */
+export function secretPreview(secret) {
+  return `${secret.slice(0, SECRET_PREFIX.length + 4)}…`;
+}
+
+function hmac(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Signature header value for a payload.
+ *
+ * @param {string} secret - Endpoint secret (plain)
+ * @param {string} body - Raw JSON body exactly as sent
+ * @param {number} [timestamp] - Unix seconds (defaults to now)
+ * @returns {string} "t=...,v1=..."
+ */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},${SIGNATURE_VERSION}=${hmac(secret, timestamp, body)}`;
+}
+
+/**
+ * Check a signature header (for receivers and tests).
+ *
+ * @param {string} secret
+ * @param {string} body - Raw request body
+ * @param {string} header - X-ActionChat-Signature value
+ * @param {object} [options]
+ * @param {number} [options.toleranceSeconds]
+ * @param {number} [options.now] - Unix seconds
+ * @returns {boolean}
+ */
+export function verifySignature(secret, body, header, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Math.floor(Date.now() / 1000) } = {}) {
+  if (!header) return false;
+  const parts = Object.fromEntries(
+    header.split(',').map(part => {
+      const i = part.indexOf('=');
+      return [part.slice(0, i).trim(), part.slice(i + 1).trim()];
+    })
+  );
+  const timestamp = Number(parts.t);
+  const signature = parts[SIGNATURE_VERSION];
+  if (!Number.isFinite(timestamp) || !signature) return false;
+  if (Math.abs(now - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(hmac(secret, timestamp, body), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+export default {
+  SIGNATURE_HEADER,
+  SIGNATURE_VERSION,
+  SECRET_PREFIX,
+  DEFAULT_TOLERANCE_SECONDS,
+  generateWebhookSecret,
+  secretPreview,
+  signPayload,
+  verifySignature,
+};
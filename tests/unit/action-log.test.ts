@@ -0,0 +1,343 @@
+/**
+ * Unit tests for the action audit log: redaction, activity filters, the
+ * rows written around a tool call and CSV/NDJSON export.
+ *
+ * Run with: yarn test tests/unit/action-log.test.ts
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  redactRequest,
+  redactUrl,
+  extractApprovalResponses,
+  parseActivityFilters,
+  startAction,
+  finishAction,
+  csvField,
+  toExportRecord,
+  createActivityExportStream,
+  EXPORT_COLUMNS,
+} from '@/lib/audit';
+import { convertToolsToAISDK } from '@/lib/tools';
+import { wrapMCPTools } from '@/lib/mcp';
+import { jsonSchema } from 'ai';
+
+/**
+ * Minimal stand-in for the Supabase query builder that records writes
+ * and keeps inserted rows, so updates match them by their filters.
+ */
+function fakeSupabase() {
+  const writes = [];
+  const rows = [];
+  return {
+    writes,
+    rows,
+    from(table) {
+      const record = (op, payload, options) => {
+        const entry = { table, op, payload, options, filters: {} };
+        if (op !== 'select') writes.push(entry);
+        const run = () => {
+          if (op === 'insert') {
+            const row = { id: `act_${rows.length + 1}`, ...payload };
+            rows.push(row);
+            return [row];
+          }
+          const matched = rows.filter(row => Object.entries(entry.filters).every(([column, value]) => (row[column] ?? null) === value));
+          matched.forEach(row => Object.assign(row, payload));
+          return matched;
+        };
+        const filter = (column, value) => {
+          entry.filters[column] = value;
+          return builder;
+        };
+        const builder = {
+          select: () => builder,
+          eq: filter,
+          is: filter,
+          single: async () => ({ data: run()[0] ?? null, error: null }),
+          then: (resolve) => resolve({ data: run(), error: null }),
+        };
+        return builder;
+      };
+      return {
+        select: () => record('select'),
+        insert: (payload) => record('insert', payload),
+        update: (payload) => record('update', payload),
+      };
+    },
+  };
+}
+
+describe('redaction', () => {
+  it('masks sensitive keys at any depth', () => {
+    expect(redactRequest({
+      customer: 'cus_1',
+      api_key: 'sk_live_x',
+      card: { number: '4242', cvc: '123' },
+      headers: [{ Authorization: 'Bearer x' }],
+      accessToken: 'abc',
+    })).toEqual({
+      customer: 'cus_1',
+      api_key: '[REDACTED]',
+      card: { number: '4242', cvc: '[REDACTED]' },
+      headers: [{ Authorization: '[REDACTED]' }],
+      accessToken: '[REDACTED]',
+    });
+  });
+
+  it('cuts long strings', () => {
+    const out = redactRequest({ note: 'x'.repeat(5000) });
+    expect(out.note.length).toBe(2001);
+  });
+
+  it('masks sensitive query params in URLs', () => {
+    expect(redactUrl('https://api.example.com/v1/items?limit=10&api_key=secret'))
+      .toBe('https://api.example.com/v1/items?limit=10&api_key=%5BREDACTED%5D');
+    expect(redactUrl('https://api.example.com/v1/items?limit=10')).toBe('https://api.example.com/v1/items?limit=10');
+    expect(redactUrl('mcp://Stripe/list_customers')).toBe('mcp://Stripe/list_customers');
+  });
+});
+
+describe('parseActivityFilters', () => {
+  it('applies defaults and bounds', () => {
+    expect(parseActivityFilters(new URLSearchParams())).toEqual({ filters: { limit: 50, offset: 0 } });
+    expect(parseActivityFilters(new URLSearchParams('limit=5000&offset=-3')).filters).toMatchObject({ limit: 200, offset: 0 });
+  });
+
+  it('validates status, ids and dates', () => {
+    expect(parseActivityFilters(new URLSearchParams('status=completed,failed')).filters.status).toEqual(['completed', 'failed']);
+    expect(parseActivityFilters(new URLSearchParams('status=done')).error).toBe('Unknown status: done');
+    expect(parseActivityFilters(new URLSearchParams('agent_id=abc')).error).toBe('agent_id must be a UUID');
+    expect(parseActivityFilters(new URLSearchParams('from=yesterday')).error).toBe('from must be an ISO date');
+    expect(parseActivityFilters(new URLSearchParams('method=post,delete')).filters.method).toEqual(['POST', 'DELETE']);
+  });
+});
+
+describe('approval responses', () => {
+  it('reads decisions from the last assistant message only', () => {
+    const messages = [
+      { role: 'assistant', parts: [{ type: 'tool-x', toolCallId: 'old', state: 'approval-responded', approval: { id: 'a0', approved: false } }] },
+      { role: 'user', parts: [{ type: 'text', text: 'refund it' }] },
+      {
+        role: 'assistant',
+        parts: [
+          { type: 'tool-refund', toolCallId: 'call_1', state: 'approval-responded', approval: { id: 'a1', approved: false, reason: 'User rejected the action' } },
+          { type: 'tool-list', toolCallId: 'call_2', state: 'output-available', output: {} },
+        ],
+      },
+    ];
+    expect(extractApprovalResponses(messages)).toEqual([
+      { toolCallId: 'call_1', approved: false, reason: 'User rejected the action' },
+    ]);
+  });
+});
+
+describe('action rows', () => {
+  it('inserts direct calls and finishes them with the outcome', async () => {
+    const supabase = fakeSupabase();
+    const id = await startAction(supabase, { orgId: 'org_1', userId: 'u1', origin: 'execute' }, {
+      toolId: 't1', toolName: 'get_charge', sourceId: 's1', method: 'GET', args: { id: 'ch_1', token: 'x' },
+    });
+    await finishAction(supabase, id, {
+      url: 'https://api.example.com/charges/ch_1',
+      response_status: 404,
+      duration_ms: 12,
+      error_message: 'HTTP 404',
+      credential_identity: { type: 'shared', source_id: 's1' },
+    });
+
+    const [insert, update] = supabase.writes;
+    expect(insert.op).toBe('insert');
+    expect(insert.payload).toMatchObject({
+      org_id: 'org_1', user_id: 'u1', origin: 'execute', status: 'executing', approval: 'not_required',
+      request_body: { id: 'ch_1', token: '[REDACTED]' },
+    });
+    expect(update.filters).toEqual({ id: 'act_1' });
+    expect(update.payload).toMatchObject({ status: 'failed', response_status: 404, duration_ms: 12 });
+  });
+
+  it('keeps the undo arguments apart from the masked undo', async () => {
+    const supabase = fakeSupabase();
+    const id = await startAction(supabase, { orgId: 'org_1', userId: 'u1', origin: 'execute' }, {
+      toolId: 't1', toolName: 'create_customer', sourceId: 's1', method: 'POST', args: {},
+    });
+    const undo = { tool_id: 't2', tool_name: 'delete_customer', method: 'DELETE', path: '/customers/{id}', args: { id: 'cus_1' } };
+    const masked = { ...undo, args: { id: '[REDACTED]' } };
+    await finishAction(supabase, id, { url: 'https://api.example.com/customers', response_status: 201, undo: masked, undo_args: undo.args });
+
+    const update = supabase.writes.find(write => write.op === 'update');
+    // No master key in tests, so the sealed value is the plain arguments
+    expect(update.payload).toMatchObject({ status: 'completed', undo: masked, undo_args: { id: 'cus_1' } });
+  });
+});
+
+describe('converter', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const row = {
+    tool_id: '11111111-2222-3333-4444-555555555555',
+    tool_name: 'Refund charge',
+    method: 'POST',
+    path: '/refunds',
+    parameters: {},
+    request_body: { type: 'object', properties: { charge: { type: 'string' } } },
+    risk_level: 'dangerous',
+    source_name: 'Stripe',
+  };
+  const source = { id: 's1', name: 'Stripe', auth_type: 'none', base_url: 'https://api.example.com' };
+
+  it('logs the pending approval and the approved execution under one tool call id', async () => {
+    vi.stubGlobal('fetch', async () => new Response('{"id":"re_1"}', { headers: { 'content-type': 'application/json' } }));
+    const supabase = fakeSupabase();
+    const actionLog = { supabase, orgId: 'org_1', userId: 'u1', agentId: 'a1', chatId: 'c1', origin: 'chat' };
+
+    const tools = convertToolsToAISDK([row], {
+      sourceMap: new Map([['Stripe', source]]),
+      userCredentialsMap: new Map(),
+      userId: 'u1',
+      actionLog,
+    });
+    const refund = Object.values(tools)[0];
+
+    expect(await refund.needsApproval({ charge: 'ch_1' }, { toolCallId: 'call_1', messages: [] })).toBe(true);
+    const output = await refund.execute({ charge: 'ch_1' }, { toolCallId: 'call_1', messages: [] });
+
+    expect(output._actionchat.response_status).toBe(200);
+    const [lookup, pending, started, finished] = supabase.writes;
+    expect(lookup).toMatchObject({ op: 'update', filters: { tool_call_id: 'call_1', org_id: 'org_1', user_id: 'u1' } });
+    expect(pending).toMatchObject({ op: 'insert' });
+    expect(pending.payload).toMatchObject({ tool_call_id: 'call_1', status: 'pending_confirmation', approval: 'pending', agent_id: 'a1', chat_id: 'c1' });
+    expect(started).toMatchObject({ op: 'update', filters: { tool_call_id: 'call_1', user_id: 'u1' } });
+    expect(started.payload).toMatchObject({ tool_call_id: 'call_1', status: 'executing', approval: 'approved', approved_by: 'u1' });
+    expect(finished).toMatchObject({ op: 'update', filters: { id: 'act_1' } });
+    expect(finished.payload).toMatchObject({ status: 'completed', url: 'https://api.example.com/refunds' });
+    expect(supabase.rows).toHaveLength(1);
+  });
+
+  it('logs a call confirmed because of a confirm guardrail as approved', async () => {
+    vi.stubGlobal('fetch', async () => new Response('{"id":"re_1"}', { headers: { 'content-type': 'application/json' } }));
+    const supabase = fakeSupabase();
+    const actionLog = { supabase, orgId: 'org_1', userId: 'u1', agentId: 'a1', chatId: 'c1', origin: 'chat' };
+    const guarded = { ...source, guardrails: { [row.tool_id]: [{ field: 'amount', max: 500, action: 'confirm' }] } };
+
+    const tools = convertToolsToAISDK([{ ...row, risk_level: 'moderate', request_body: { type: 'object', properties: { amount: { type: 'number' } } } }], {
+      sourceMap: new Map([['Stripe', guarded]]),
+      userCredentialsMap: new Map(),
+      userId: 'u1',
+      actionLog,
+    });
+    const refund = Object.values(tools)[0];
+
+    expect(await refund.needsApproval({ amount: 900 }, { toolCallId: 'call_1', messages: [] })).toBe(true);
+    await refund.execute({ amount: 900 }, { toolCallId: 'call_1', messages: [] });
+    expect(await refund.needsApproval({ amount: 100 }, { toolCallId: 'call_2', messages: [] })).toBe(false);
+    await refund.execute({ amount: 100 }, { toolCallId: 'call_2', messages: [] });
+
+    const started = supabase.writes.filter(w => w.payload?.status === 'executing');
+    expect(started[0].payload).toMatchObject({ tool_call_id: 'call_1', approval: 'approved', approved_by: 'u1' });
+    expect(started[1].payload).toMatchObject({ tool_call_id: 'call_2', approval: 'not_required' });
+  });
+
+  it('logs a live MCP call confirmed because of a confirm guardrail as approved', async () => {
+    const supabase = fakeSupabase();
+    const actionLog = { supabase, orgId: 'org_1', userId: 'u1', agentId: 'a1', chatId: 'c1', origin: 'chat' };
+    const mcpSource = { id: 's2', name: 'Billing', source_type: 'mcp', mcp_transport: 'http', guardrails: { t_refund: [{ field: 'amount', max: 500, action: 'confirm' }] } };
+    const { refund } = wrapMCPTools(mcpSource, {
+      refund: {
+        description: 'Refund',
+        inputSchema: jsonSchema({ type: 'object', properties: { amount: { type: 'number' } } }),
+        execute: async () => ({ content: [{ type: 'text', text: '{}' }] }),
+      },
+    }, { toolIds: new Map([['refund', 't_refund']]), actionLog });
+
+    expect(await refund.needsApproval({ amount: 900 }, { toolCallId: 'call_1', messages: [] })).toBe(true);
+    await refund.execute({ amount: 900 }, { toolCallId: 'call_1', messages: [] });
+    await refund.execute({ amount: 100 }, { toolCallId: 'call_2', messages: [] });
+
+    const started = supabase.writes.filter(w => w.payload?.status === 'executing');
+    expect(started[0].payload).toMatchObject({ tool_call_id: 'call_1', approval: 'approved', approved_by: 'u1' });
+    expect(started[1].payload).toMatchObject({ tool_call_id: 'call_2', approval: 'not_required' });
+  });
+
+  it("never takes over another user's row with the same tool call id", async () => {
+    const supabase = fakeSupabase();
+    await startAction(supabase, { orgId: 'org_1', userId: 'u1' }, { toolCallId: 'call_1', toolName: 'get_charge', args: {} });
+    await startAction(supabase, { orgId: 'org_1', userId: 'u2' }, { toolCallId: 'call_1', toolName: 'get_charge', args: {} });
+
+    expect(supabase.rows.map(row => row.user_id)).toEqual(['u1', 'u2']);
+  });
+
+  it('keeps a plain needsApproval flag without a log context', () => {
+    const tools = convertToolsToAISDK([row], {
+      sourceMap: new Map([['Stripe', source]]),
+      userCredentialsMap: new Map(),
+      userId: 'u1',
+    });
+    expect(Object.values(tools)[0].needsApproval).toBe(true);
+  });
+});
+
+describe('export', () => {
+  const row = (n) => ({
+    id: `id_${n}`,
+    created_at: `2026-10-${String(30 - n).padStart(2, '0')}T00:00:00Z`,
+    tool_name: `tool ${n}`,
+    method: 'POST',
+    status: 'completed',
+    url: 'https://api.example.com/x?token=abc',
+    request_body: { amount: 5, password: 'p' },
+    credential_identity: { type: 'shared', source_id: 's1' },
+    agents: { name: 'Support' },
+    api_sources: null,
+  });
+
+  async function readAll(stream) {
+    return new Response(stream).text();
+  }
+
+  it('escapes CSV fields and defuses formulas', () => {
+    expect(csvField('plain')).toBe('plain');
+    expect(csvField('a,b')).toBe('"a,b"');
+    expect(csvField('say "hi"')).toBe('"say ""hi"""');
+    expect(csvField('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(csvField(null)).toBe('');
+    expect(csvField({ a: 1 })).toBe('"{""a"":1}"');
+  });
+
+  it('flattens and re-redacts records', () => {
+    const record = toExportRecord(row(1));
+    expect(Object.keys(record)).toEqual(EXPORT_COLUMNS);
+    expect(record).toMatchObject({
+      agent_name: 'Support',
+      source_name: null,
+      credential_type: 'shared',
+      url: 'https://api.example.com/x?token=%5BREDACTED%5D',
+      request_body: { amount: 5, password: '[REDACTED]' },
+    });
+  });
+
+  it('streams batches with a keyset cursor until a short batch', async () => {
+    const rows = [row(1), row(2), row(3)];
+    const cursors = [];
+    const stream = createActivityExportStream({
+      format: 'ndjson',
+      batchSize: 2,
+      fetchBatch: async (cursor, size) => {
+        cursors.push(cursor);
+        const start = cursor ? rows.findIndex(r => r.id === cursor.id) + 1 : 0;
+        return rows.slice(start, start + size);
+      },
+    });
+
+    const lines = (await readAll(stream)).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(l => l.id)).toEqual(['id_1', 'id_2', 'id_3']);
+    expect(cursors).toEqual([null, { created_at: rows[1].created_at, id: 'id_2' }]);
+  });
+
+  it('writes a CSV header even when empty', async () => {
+    const text = await readAll(createActivityExportStream({ format: 'csv', fetchBatch: async () => [] }));
+    expect(text).toBe(`${EXPORT_COLUMNS.join(',')}\r\n`);
+  });
+});
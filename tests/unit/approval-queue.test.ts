@@ -0,0 +1,179 @@
+/**
+ * Unit tests for the approval queue: approval policies, who may approve,
+ * parking chat calls for someone else, and showing queued calls' outcomes
+ * in place of their approval requests.
+ *
+ * Run with: yarn test tests/unit/approval-queue.test.ts
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  validateApprovalPolicy,
+  approvalRouteForTool,
+  describeApprovers,
+  isEligibleApprover,
+  convertToolsToAISDK,
+} from '@/lib/tools';
+import { canDecide, queuedCallOutput, settleQueuedCalls } from '@/lib/audit';
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('approval policies', () => {
+  it('validates routes per tool', () => {
+    expect(validateApprovalPolicy(null)).toEqual({ policy: {}, error: null });
+    expect(validateApprovalPolicy({ t1: { role: 'admin', access_level: null } }).policy).toEqual({ t1: { role: 'admin' } });
+    expect(validateApprovalPolicy({ t1: {} }).error).toMatch(/needs a role or an access_level/);
+    expect(validateApprovalPolicy({ t1: { role: 'root' } }).error).toMatch(/role must be one of/);
+    expect(validateApprovalPolicy({ t1: { access_level: 'editor' } }).error).toMatch(/access_level must be one of/);
+    expect(validateApprovalPolicy({ t1: { role: 'admin', users: ['u1'] } }).error).toMatch(/unknown key users/);
+  });
+
+  it('ignores broken stored routes', () => {
+    const source = { approval_policy: { t1: { role: 'admin' }, t2: { role: 'root' } } };
+    expect(approvalRouteForTool(source, 't1')).toEqual({ role: 'admin' });
+    expect(approvalRouteForTool(source, 't2')).toBeNull();
+    expect(approvalRouteForTool(source, 't3')).toBeNull();
+  });
+
+  it('describes the approvers', () => {
+    expect(describeApprovers({ role: 'admin' })).toBe('an admin');
+    expect(describeApprovers({ role: 'owner', access_level: 'operator' })).toBe('an owner or an operator of the agent');
+    expect(describeApprovers({ role: 'member' })).toBe('another member');
+  });
+});
+
+describe('isEligibleApprover', () => {
+  const base = { userId: 'u2', requesterId: 'u1' };
+
+  it('never lets the requester approve', () => {
+    expect(isEligibleApprover({ role: 'member' }, { userId: 'u1', requesterId: 'u1', role: 'owner' })).toBe(false);
+  });
+
+  it('goes by org role or agent access level', () => {
+    expect(isEligibleApprover({ role: 'admin' }, { ...base, role: 'owner' })).toBe(true);
+    expect(isEligibleApprover({ role: 'admin' }, { ...base, role: 'member' })).toBe(false);
+    expect(isEligibleApprover({ access_level: 'operator' }, { ...base, role: 'member', accessLevel: 'operator' })).toBe(true);
+    expect(isEligibleApprover({ access_level: 'operator' }, { ...base, role: 'member', accessLevel: 'viewer' })).toBe(false);
+    expect(isEligibleApprover({ access_level: 'operator' }, { ...base, role: 'admin' })).toBe(true);
+    expect(isEligibleApprover({ role: 'owner', access_level: 'viewer' }, { ...base, role: 'member', accessLevel: 'viewer' })).toBe(true);
+  });
+
+  it('checks queue rows against the agent the call came from', () => {
+    const row = { user_id: 'u1', agent_id: 'a1', approval_route: { access_level: 'operator' } };
+    expect(canDecide(row, { userId: 'u2', role: 'member', agentAccess: new Map([['a1', 'operator']]) })).toBe(true);
+    expect(canDecide(row, { userId: 'u2', role: 'member', agentAccess: new Map([['a2', 'operator']]) })).toBe(false);
+  });
+});
+
+describe('chat tools', () => {
+  function fakeSupabase() {
+    const writes = [];
+    return {
+      writes,
+      from(table) {
+        const record = (op, payload) => {
+          writes.push({ table, op, payload });
+          const builder = {
+            select: () => builder,
+            eq: () => builder,
+            is: () => builder,
+            single: async () => ({ data: { id: 'act_1' }, error: null }),
+            then: (resolve) => resolve({ error: null }),
+          };
+          return builder;
+        };
+        return {
+          insert: (payload) => record('insert', payload),
+          update: (payload) => record('update', payload),
+        };
+      },
+    };
+  }
+
+  const row = {
+    tool_id: 't1',
+    tool_name: 'Delete customer',
+    method: 'DELETE',
+    path: '/customers/{id}',
+    parameters: { type: 'object', properties: { id: { type: 'string' } } },
+    risk_level: 'dangerous',
+    source_name: 'Shop',
+  };
+  const source = {
+    id: 's1',
+    name: 'Shop',
+    auth_type: 'none',
+    base_url: 'https://api.example.com',
+    approval_policy: { t1: { role: 'admin' } },
+  };
+  const build = (opts = {}) => Object.values(convertToolsToAISDK([row], {
+    sourceMap: new Map([['Shop', source]]),
+    userCredentialsMap: new Map(),
+    userId: 'u1',
+    ...opts,
+  }))[0];
+
+  it('parks calls in the queue with the route', async () => {
+    const supabase = fakeSupabase();
+    const queuedApprovals = new Map();
+    const remove = build({
+      actionLog: { supabase, orgId: 'org_1', userId: 'u1', agentId: 'a1', chatId: 'c1', origin: 'chat' },
+      queuedApprovals,
+    });
+
+    expect(remove.description).toContain('[requires approval from an admin]');
+    expect(remove.description).not.toContain('[requires confirmation]');
+    expect(await remove.needsApproval({ id: 'cus_1' }, { toolCallId: 'call_1', messages: [] })).toBe(true);
+
+    const [pending] = supabase.writes;
+    expect(pending.payload).toMatchObject({
+      tool_call_id: 'call_1',
+      status: 'pending_confirmation',
+      approval_route: { role: 'admin' },
+    });
+    expect(pending.payload.queued_args).toBeDefined();
+    expect(queuedApprovals.get('call_1')).toEqual({ action_id: 'act_1', approvers: 'an admin' });
+  });
+
+  it('never sends the call from chat, even with an approval from the requester', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    const remove = build();
+
+    expect(await remove.needsApproval({ id: 'cus_1' }, { toolCallId: 'call_2', messages: [] })).toBe(false);
+    const output = await remove.execute({ id: 'cus_1' }, { toolCallId: 'call_2', messages: [] });
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(output.result).toMatch(/^NEEDS APPROVAL from an admin - this call was NOT sent/);
+  });
+});
+
+describe('queued calls in chat history', () => {
+  const route = { role: 'admin' };
+  const part = { type: 'tool-delete_customer', toolCallId: 'call_1', state: 'approval-requested', input: { id: 'cus_1' }, approval: { id: 'ap_1' } };
+  const messages = [
+    { role: 'user', parts: [{ type: 'text', text: 'delete cus_1' }] },
+    { role: 'assistant', parts: [part] },
+  ];
+
+  it('describes each stage', () => {
+    expect(queuedCallOutput({ status: 'pending_confirmation', approval_route: route }).result)
+      .toBe('Waiting for approval from an admin - not sent yet.');
+    expect(queuedCallOutput({ status: 'rejected', approval_route: route, error_message: 'Not this one' }).result)
+      .toMatch(/Rejected in the approval queue - this call was NOT sent\. Reason: Not this one/);
+    expect(queuedCallOutput({ status: 'completed', approval_route: route, response_status: 204 }).result)
+      .toBe('Approved in the approval queue and sent: HTTP 204.');
+  });
+
+  it('replaces queued approval requests with their outcome', () => {
+    const queued = new Map([['call_1', { id: 'act_1', tool_name: 'Delete customer', status: 'pending_confirmation', approval_route: route }]]);
+    const settled = settleQueuedCalls(messages, queued);
+
+    expect(settled[0]).toBe(messages[0]);
+    expect(settled[1].parts[0]).toMatchObject({ state: 'output-available', toolCallId: 'call_1' });
+    expect(settled[1].parts[0].approval).toBeUndefined();
+    expect(settled[1].parts[0].output._actionchat).toMatchObject({ action_id: 'act_1', approval_status: 'pending_confirmation' });
+    expect(settleQueuedCalls(messages, new Map())).toBe(messages);
+  });
+});
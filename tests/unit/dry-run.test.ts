@@ -0,0 +1,254 @@
+/**
+ * Unit tests for dry-run mode: which calls are held back, header masking,
+ * and the simulated result the executor returns instead of sending.
+ *
+ * Run with: yarn test tests/unit/dry-run.test.ts
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { isWriteCall, maskHeaders, executeTool, formatToolResult } from '@/lib/tools';
+import { resultStatus } from '@/lib/audit';
+import { wrapMCPTools } from '@/lib/mcp';
+import { jsonSchema } from 'ai';
+import { POST as executeRoute } from '@/app/api/tools/execute/route';
+
+// Rows the Supabase stub returns, by table (read by /api/tools/execute)
+const db = vi.hoisted(() => ({ rows: {} as Record<string, unknown>, updates: [] as unknown[] }));
+
+vi.mock('@/utils/supabase/server', () => {
+  const client = {
+    auth: { getUser: async () => ({ data: { user: { id: 'user_1' } } }) },
+    from(table: string) {
+      const result = () => ({ data: db.rows[table] ?? null, error: db.rows[table] ? null : { message: 'not found' } });
+      const query = {
+        select: () => query,
+        eq: () => query,
+        insert: () => query,
+        update: (values: unknown) => { db.updates.push(values); return query; },
+        single: async () => result(),
+        maybeSingle: async () => ({ data: db.rows[table] ?? null, error: null }),
+        then: (resolve: (value: unknown) => unknown) => resolve(result()),
+      };
+      return query;
+    },
+  };
+  return {
+    createClient: async () => client,
+    createServiceClient: () => client,
+    getUserOrgId: async () => 'org_1',
+  };
+});
+vi.mock('@/utils/permissions', () => ({
+  getPermissions: async () => ({ role: 'member' }),
+  requireMember: () => null,
+}));
+vi.mock('next/headers', () => ({
+  cookies: async () => ({ get: () => undefined }),
+}));
+
+const SOURCE = {
+  id: 'src_1',
+  name: 'Payments',
+  source_type: 'openapi',
+  base_url: 'https://api.payments.test/v1',
+  auth_type: 'bearer',
+};
+const CREDENTIALS = { token: 'sk_live_secret' };
+const REFUND = {
+  tool_id: 'tool_refund',
+  name: 'Create refund',
+  method: 'POST',
+  path: '/refunds',
+  request_body: { type: 'object', properties: { charge: { type: 'string' }, amount: { type: 'integer' } } },
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('isWriteCall', () => {
+  it('holds back write methods and lets reads through', () => {
+    expect(isWriteCall({ method: 'POST' })).toBe(true);
+    expect(isWriteCall({ method: 'delete' })).toBe(true);
+    expect(isWriteCall({ method: 'GET' })).toBe(false);
+  });
+
+  it('holds back dangerous MCP tools only', () => {
+    expect(isWriteCall({ method: 'MCP', mcp_tool_name: 'delete_issue' })).toBe(true);
+    expect(isWriteCall({ method: 'MCP', mcp_tool_name: 'list_issues' })).toBe(false);
+    expect(isWriteCall({ method: 'MCP', mcp_tool_name: 'sync', risk_level: 'dangerous' })).toBe(true);
+  });
+});
+
+describe('maskHeaders', () => {
+  it('masks credential headers and anything that looks like a secret', () => {
+    const masked = maskHeaders(
+      { Authorization: 'Bearer x', 'X-Shop-Key': 'k', 'X-Api-Key': 'y', 'Content-Type': 'application/json' },
+      ['X-Shop-Key'],
+    );
+    expect(masked).toEqual({
+      Authorization: '[REDACTED]',
+      'X-Shop-Key': '[REDACTED]',
+      'X-Api-Key': '[REDACTED]',
+      'Content-Type': 'application/json',
+    });
+  });
+});
+
+describe('executeTool in dry-run mode', () => {
+  it('returns the built request for a write without sending it', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await executeTool({
+      tool: REFUND,
+      source: SOURCE,
+      args: { charge: 'ch_1', amount: 500 },
+      userCredentials: CREDENTIALS,
+      userId: null,
+      callId: 'call_1',
+      dryRun: true,
+    });
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ dry_run: true, response_status: 0, error_message: null });
+    expect(result.simulated_request).toMatchObject({
+      method: 'POST',
+      url: 'https://api.payments.test/v1/refunds',
+      body: { charge: 'ch_1', amount: 500 },
+    });
+    expect(result.simulated_request.headers.Authorization).toBe('[REDACTED]');
+    expect(JSON.stringify(result)).not.toContain('sk_live_secret');
+  });
+
+  it('still executes reads', async () => {
+    const fetchMock = vi.fn(async () => new Response('{"data":[]}', { status: 200, headers: { 'content-type': 'application/json' } }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await executeTool({
+      tool: { name: 'List refunds', method: 'GET', path: '/refunds' },
+      source: SOURCE,
+      args: {},
+      userCredentials: CREDENTIALS,
+      userId: null,
+      dryRun: true,
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(result.dry_run).toBeUndefined();
+    expect(result.response_status).toBe(200);
+  });
+
+  it('reports a simulated MCP call under the same URL as a real one', async () => {
+    const mcpSource = { id: 'src_2', name: 'Tracker', source_type: 'mcp', mcp_transport: 'http' };
+    const result = await executeTool({
+      tool: { name: 'delete_issue', method: 'MCP', mcp_tool_name: 'delete_issue' },
+      source: mcpSource,
+      args: {},
+      userCredentials: null,
+      userId: null,
+      dryRun: true,
+    });
+    expect(result).toMatchObject({ dry_run: true, url: 'mcp://Tracker/delete_issue' });
+
+    const execute = vi.fn();
+    const { delete_issue } = wrapMCPTools(mcpSource, {
+      delete_issue: { description: 'Delete an issue', inputSchema: jsonSchema({ type: 'object', properties: {} }), execute },
+    }, { dryRun: true });
+    const output = await delete_issue.execute({}, { toolCallId: 'call_1', messages: [] });
+    expect(execute).not.toHaveBeenCalled();
+    expect(output._actionchat).toMatchObject({ dry_run: true, url: 'mcp://Tracker/delete_issue' });
+  });
+
+  it('tells the model the call was not sent and logs it as simulated', async () => {
+    const result = await executeTool({ tool: REFUND, source: SOURCE, args: { charge: 'ch_1' }, userCredentials: CREDENTIALS, userId: null, dryRun: true });
+
+    expect(formatToolResult(result)).toMatch(/^DRY RUN - this request was NOT sent/);
+    expect(resultStatus(result)).toBe('simulated');
+  });
+});
+
+describe('POST /api/tools/execute in dry-run mode', () => {
+  const tool = (method: string, path: string) => ({
+    id: 'tool_1',
+    name: `${method} ${path}`,
+    method,
+    path,
+    api_sources: { ...SOURCE, org_id: 'org_1', credential_mode: 'user' },
+  });
+
+  const execute = (body: object) => executeRoute(new Request('http://localhost/api/tools/execute', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  }) as never);
+
+  afterEach(() => {
+    db.rows = {};
+    db.updates = [];
+  });
+
+  it('simulates a slash-command write in a dry-run chat instead of sending it', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    db.rows = {
+      agents: { id: 'agent_1', settings: {} },
+      chats: { id: 'chat_1', dry_run: true },
+      tools: tool('POST', '/refunds'),
+      user_api_credentials: { id: 'cred_1', credentials: CREDENTIALS },
+      action_log: { id: 'act_1' },
+    };
+
+    const res = await execute({ toolId: 'tool_1', params: { charge: 'ch_1' }, agentId: 'agent_1', chatId: 'chat_1' });
+    const data = await res.json();
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(data.ok).toBe(true);
+    expect(data.result).toMatchObject({ dry_run: true, status: 0 });
+    expect(data.result.simulated_request).toMatchObject({ method: 'POST', url: 'https://api.payments.test/v1/refunds' });
+    expect(db.updates).toContainEqual(expect.objectContaining({ status: 'simulated' }));
+  });
+
+  it('simulates a DELETE when the agent forces dry run', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    db.rows = {
+      agents: { id: 'agent_1', settings: { dry_run: true } },
+      tools: tool('DELETE', '/customers'),
+      user_api_credentials: { id: 'cred_1', credentials: CREDENTIALS },
+      action_log: { id: 'act_1' },
+    };
+
+    const res = await execute({ toolId: 'tool_1', params: { id: 'cus_1' }, agentId: 'agent_1' });
+    const data = await res.json();
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(data.result).toMatchObject({ dry_run: true, simulated_request: { method: 'DELETE' } });
+  });
+
+  it('sends the write when neither the agent nor the chat is in dry run', async () => {
+    const fetchMock = vi.fn(async () => new Response('{"id":"re_1"}', { status: 200, headers: { 'content-type': 'application/json' } }));
+    vi.stubGlobal('fetch', fetchMock);
+    db.rows = {
+      agents: { id: 'agent_1', settings: {} },
+      chats: { id: 'chat_1', dry_run: false },
+      tools: tool('POST', '/refunds'),
+      user_api_credentials: { id: 'cred_1', credentials: CREDENTIALS },
+      action_log: { id: 'act_1' },
+    };
+
+    const res = await execute({ toolId: 'tool_1', params: { charge: 'ch_1' }, agentId: 'agent_1', chatId: 'chat_1' });
+    const data = await res.json();
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(data.result.dry_run).toBe(false);
+  });
+
+  it('refuses a chat the caller does not own', async () => {
+    db.rows = { agents: { id: 'agent_1', settings: {} }, tools: tool('POST', '/refunds') };
+
+    const res = await execute({ toolId: 'tool_1', params: {}, agentId: 'agent_1', chatId: 'chat_other' });
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Unit tests for argument guardrails: rule validation, evaluation with role
+ * exemptions, the executor stopping calls before they are sent, and chat
+ * tools (database-backed and live MCP) asking for approval when a `confirm`
+ * rule is broken.
+ *
+ * Run with: yarn test tests/unit/guardrails.test.ts
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { jsonSchema } from 'ai';
+import {
+  validateGuardrails,
+  guardrailsForTool,
+  evaluateGuardrails,
+  describeGuardrails,
+  executeTool,
+  formatToolResult,
+  convertToolsToAISDK,
+} from '@/lib/tools';
+import { wrapMCPTools } from '@/lib/mcp';
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('validateGuardrails', () => {
+  it('normalises rules and drops tools without any', () => {
+    expect(validateGuardrails(null)).toEqual({ guardrails: {}, error: null });
+    expect(validateGuardrails({ t1: [{ field: 'amount', max: 50000, unless_role: 'admin', message: ' Big refund ' }], t2: [] }))
+      .toEqual({ guardrails: { t1: [{ field: 'amount', action: 'block', max: 50000, unless_role: 'admin', message: 'Big refund' }] }, error: null });
+  });
+
+  it('rejects broken rules', () => {
+    expect(validateGuardrails([]).error).toMatch(/keyed by tool id/);
+    expect(validateGuardrails({ t1: [{ field: 'amount' }] }).error).toMatch(/at least one of/);
+    expect(validateGuardrails({ t1: [{ field: 'amount', max: '10' }] }).error).toMatch(/max must be a number/);
+    expect(validateGuardrails({ t1: [{ field: 'status', enum: [] }] }).error).toMatch(/enum/);
+    expect(validateGuardrails({ t1: [{ field: 'id', pattern: '(' }] }).error).toMatch(/pattern/);
+    expect(validateGuardrails({ t1: [{ field: 'id', pattern: 'x', action: 'warn' }] }).error).toMatch(/action/);
+    expect(validateGuardrails({ t1: [{ field: 'a b', max: 1 }] }).error).toMatch(/field/);
+  });
+
+  it('skips invalid stored rules for a tool', () => {
+    const source = { guardrails: { t1: [{ field: 'amount', max: 10 }, { field: 'x' }] } };
+    expect(guardrailsForTool(source, 't1')).toEqual([{ field: 'amount', action: 'block', max: 10 }]);
+    expect(guardrailsForTool(source, 't2')).toEqual([]);
+  });
+});
+
+describe('evaluateGuardrails', () => {
+  const rules = [
+    { field: 'amount', max: 50000, unless_role: 'admin', action: 'block' },
+    { field: 'status', enum: ['active', 'paused'], action: 'confirm' },
+    { field: 'customers', pattern: '^cus_', action: 'block', message: 'Only customer ids' },
+  ];
+
+  it('blocks over the limit unless the caller has the role', () => {
+    expect(evaluateGuardrails(rules, { amount: 60000 }, { role: 'member' })).toMatchObject({
+      blocked: true,
+      needsConfirmation: false,
+      violations: [{ field: 'amount', action: 'block', reason: 'amount must be at most 50000 unless the user is an admin' }],
+    });
+    expect(evaluateGuardrails(rules, { amount: 60000 }, { role: 'owner' }).violations).toEqual([]);
+    expect(evaluateGuardrails(rules, { amount: 60000 }).blocked).toBe(true);
+    expect(evaluateGuardrails(rules, { amount: 'lots' }).blocked).toBe(true);
+  });
+
+  it('asks to confirm on confirm rules and ignores missing fields', () => {
+    expect(evaluateGuardrails(rules, { status: 'canceled' })).toMatchObject({ blocked: false, needsConfirmation: true });
+    expect(evaluateGuardrails(rules, { status: 'paused', amount: 10 }).violations).toEqual([]);
+    expect(evaluateGuardrails(rules, {}).violations).toEqual([]);
+  });
+
+  it('checks each item of an array and nested fields', () => {
+    const check = evaluateGuardrails(rules, { customers: ['cus_1', 'acct_2'] });
+    expect(check.violations[0].reason).toBe('customers must be matching /^cus_/ (Only customer ids)');
+    expect(evaluateGuardrails([{ field: 'meta.ref', pattern: '^ORD-', action: 'block' }], { meta: { ref: 'X-1' } }).blocked).toBe(true);
+  });
+
+  it('describes the rules for the model', () => {
+    expect(describeGuardrails(rules.slice(0, 2))).toBe(
+      '[guardrails: amount must be at most 50000 unless the user is an admin; status must be one of active, paused (otherwise needs confirmation)]',
+    );
+    expect(describeGuardrails([])).toBe('');
+  });
+});
+
+describe('executeTool with guardrails', () => {
+  const tool = { name: 'Create refund', method: 'POST', path: '/refunds' };
+  const source = { id: 'src_1', name: 'Shop', source_type: 'openapi', base_url: 'https://api.shop.test', auth_type: 'none' };
+
+  it('stops a blocked call before anything is sent', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await executeTool({
+      tool,
+      source,
+      args: { amount: 90000 },
+      userCredentials: null,
+      userId: null,
+      guardrails: [{ field: 'amount', max: 50000, action: 'block' }],
+      role: 'member',
+    });
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(result.response_body.error).toBe('guardrail_blocked');
+    expect(result.error_message).toBe('Blocked by guardrail: amount must be at most 50000');
+    expect(formatToolResult(result)).toMatch(/^BLOCKED by a guardrail - this call was NOT sent:\n- amount must be at most 50000/);
+  });
+
+  it('needs approval for confirm rules and sends once approved', async () => {
+    const fetchMock = vi.fn(async () => new Response('{"id":"re_1"}', { headers: { 'content-type': 'application/json' } }));
+    vi.stubGlobal('fetch', fetchMock);
+    const params = {
+      tool,
+      source,
+      args: { amount: 90000 },
+      userCredentials: null,
+      userId: null,
+      guardrails: [{ field: 'amount', max: 50000, action: 'confirm' }],
+    };
+
+    const stopped = await executeTool(params);
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(stopped.needs_confirmation).toBe(true);
+    expect(formatToolResult(stopped)).toMatch(/^NEEDS CONFIRMATION/);
+
+    const sent = await executeTool({ ...params, approved: true });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(sent.response_status).toBe(200);
+  });
+});
+
+describe('chat tools', () => {
+  const row = {
+    tool_id: 't1',
+    tool_name: 'Create refund',
+    method: 'POST',
+    path: '/refunds',
+    parameters: {},
+    request_body: { type: 'object', properties: { amount: { type: 'number' } } },
+    risk_level: 'moderate',
+    source_name: 'Shop',
+  };
+  const source = {
+    id: 's1',
+    name: 'Shop',
+    auth_type: 'none',
+    base_url: 'https://api.example.com',
+    guardrails: { t1: [{ field: 'amount', max: 50000, action: 'confirm', unless_role: 'admin' }] },
+  };
+  const build = (opts = {}) => Object.values(convertToolsToAISDK([row], {
+    sourceMap: new Map([['Shop', source]]),
+    userCredentialsMap: new Map(),
+    userId: 'u1',
+    ...opts,
+  }))[0];
+
+  it('asks for approval only when a confirm rule is broken, with the reason', async () => {
+    const escalations = new Map();
+    const refund = build({ role: 'member', escalations });
+
+    expect(refund.description).toContain('[guardrails: amount must be at most 50000 unless the user is an admin (otherwise needs confirmation)]');
+    expect(await refund.needsApproval({ amount: 100 }, { toolCallId: 'call_1', messages: [] })).toBe(false);
+    expect(await refund.needsApproval({ amount: 90000 }, { toolCallId: 'call_2', messages: [] })).toBe(true);
+    expect(escalations.get('call_2')).toEqual(['amount must be at most 50000 unless the user is an admin']);
+    expect(await build({ role: 'admin' }).needsApproval({ amount: 90000 }, { toolCallId: 'call_3', messages: [] })).toBe(false);
+  });
+
+  it('stops the call when nobody can approve it', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    const refund = build({ canApprove: false });
+
+    expect(refund.needsApproval).toBeUndefined();
+    const output = await refund.execute({ amount: 90000 }, { toolCallId: 'call_4', messages: [] });
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(output._actionchat.guardrail_violations).toHaveLength(1);
+    expect(output.result).toMatch(/^NEEDS CONFIRMATION/);
+  });
+});
+
+describe('live MCP tools', () => {
+  const source = {
+    id: 's2',
+    name: 'Billing',
+    source_type: 'mcp',
+    mcp_transport: 'http',
+    guardrails: {
+      t_refund: [{ field: 'amount', max: 50000, action: 'confirm' }],
+      t_delete: [{ field: 'id', pattern: '^test_', action: 'block' }],
+    },
+  };
+  const rawTool = (execute) => ({
+    description: 'Billing call',
+    inputSchema: jsonSchema({ type: 'object', properties: { amount: { type: 'number' }, id: { type: 'string' } } }),
+    execute,
+  });
+  const toolIds = new Map([['refund', 't_refund'], ['delete_customer', 't_delete']]);
+
+  it('stops a call a block rule forbids before it reaches the server', async () => {
+    const execute = vi.fn();
+    const { delete_customer } = wrapMCPTools(source, { delete_customer: rawTool(execute) }, { toolIds });
+
+    const output = await delete_customer.execute({ id: 'cus_1' }, { toolCallId: 'call_1', messages: [] });
+    expect(execute).not.toHaveBeenCalled();
+    expect(output._actionchat.guardrail_violations).toHaveLength(1);
+    expect(output.result).toMatch(/^BLOCKED/);
+  });
+
+  it('asks for approval when a confirm rule is broken, or stops the call when nobody can approve', async () => {
+    const escalations = new Map();
+    const { refund } = wrapMCPTools(source, { refund: rawTool(vi.fn()) }, { toolIds, escalations });
+
+    expect(refund.description).toContain('[guardrails: amount must be at most 50000');
+    expect(await refund.needsApproval({ amount: 100 }, { toolCallId: 'call_2', messages: [] })).toBe(false);
+    expect(await refund.needsApproval({ amount: 90000 }, { toolCallId: 'call_3', messages: [] })).toBe(true);
+    expect(escalations.get('call_3')).toEqual(['amount must be at most 50000']);
+
+    const execute = vi.fn();
+    const { refund: unattended } = wrapMCPTools(source, { refund: rawTool(execute) }, { toolIds, canApprove: false });
+    expect(unattended.needsApproval).toBeUndefined();
+    const output = await unattended.execute({ amount: 90000 }, { toolCallId: 'call_4', messages: [] });
+    expect(execute).not.toHaveBeenCalled();
+    expect(output.result).toMatch(/^NEEDS CONFIRMATION/);
+  });
+});
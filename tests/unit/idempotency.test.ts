@@ -0,0 +1,184 @@
+/**
+ * Unit tests for idempotency keys on write tool calls: stable keys, the
+ * vendor/source header, and replays that return the stored result instead
+ * of calling the API again.
+ *
+ * Run with: yarn test tests/unit/idempotency.test.ts
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { deriveIdempotencyKey, needsIdempotencyKey, setIdempotencyStore, executeTool } from '@/lib/tools';
+import { createMemoryLimitStore, setLimitStore } from '@/lib/limits';
+
+/**
+ * In-memory stand-in for the idempotency_keys table: inserts conflict on
+ * key (23505), eq() filters, update/delete apply to matching rows.
+ */
+function fakeStore() {
+  const rows = new Map();
+  return {
+    rows,
+    from() {
+      let op = 'select';
+      let values = null;
+      const filters = [];
+      const matching = () => [...rows.values()].filter(row => filters.every(([col, val]) => row[col] === val));
+      const run = () => {
+        if (op === 'insert') {
+          if (rows.has(values.key)) return { data: null, error: { code: '23505', message: 'duplicate key' } };
+          rows.set(values.key, { ...values });
+          return { data: [values], error: null };
+        }
+        if (op === 'update') {
+          const hit = matching();
+          hit.forEach(row => Object.assign(row, values));
+          return { data: hit, error: null };
+        }
+        if (op === 'delete') {
+          const hit = matching();
+          hit.forEach(row => rows.delete(row.key));
+          return { data: hit, error: null };
+        }
+        return { data: matching(), error: null };
+      };
+      const builder = {
+        insert: (row) => { op = 'insert'; values = row; return builder; },
+        update: (row) => { op = 'update'; values = row; return builder; },
+        upsert: (row) => { op = 'update'; values = row; rows.set(row.key, { ...row }); return builder; },
+        delete: () => { op = 'delete'; return builder; },
+        select: () => builder,
+        eq: (col, val) => { filters.push([col, val]); return builder; },
+        lt: () => builder,
+        maybeSingle: async () => ({ data: matching()[0] || null, error: null }),
+        then: (resolve) => resolve(run()),
+      };
+      return builder;
+    },
+  };
+}
+
+const SOURCE = { id: 'src_1', org_id: 'org_1', name: 'Payments', source_type: 'openapi', base_url: 'https://api.payments.test/v1', auth_type: 'none' };
+const STRIPE_SOURCE = { ...SOURCE, id: 'src_stripe', name: 'Stripe', base_url: 'https://api.stripe.com/v1' };
+const REFUND = { tool_id: 'tool_refund', name: 'Create refund', method: 'POST', path: '/refunds', request_body: { type: 'object', properties: { charge: { type: 'string' } } } };
+
+function okFetch() {
+  return vi.fn(async () => new Response('{"id":"re_1"}', { status: 200, headers: { 'content-type': 'application/json' } }));
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('keys', () => {
+  it('derives the same key for the same call and a different one otherwise', () => {
+    const key = deriveIdempotencyKey({ sourceId: 'src_1', toolId: 'tool_1', callId: 'call_1' });
+    expect(key).toMatch(/^ac_[0-9a-f]{40}$/);
+    expect(deriveIdempotencyKey({ sourceId: 'src_1', toolId: 'tool_1', callId: 'call_1' })).toBe(key);
+    expect(deriveIdempotencyKey({ sourceId: 'src_1', toolId: 'tool_1', callId: 'call_2' })).not.toBe(key);
+  });
+
+  it('covers write methods only', () => {
+    expect(needsIdempotencyKey('POST')).toBe(true);
+    expect(needsIdempotencyKey('delete')).toBe(true);
+    expect(needsIdempotencyKey('GET')).toBe(false);
+  });
+});
+
+describe('executeTool idempotency', () => {
+  it('sends the key in the Stripe adapter header on POST', async () => {
+    setIdempotencyStore(fakeStore());
+    const fetchMock = okFetch();
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await executeTool({ tool: REFUND, source: STRIPE_SOURCE, args: { charge: 'ch_1' }, userCredentials: null, userId: null, callId: 'call_1' });
+
+    const [, init] = fetchMock.mock.calls[0] as any;
+    expect(init.headers['Idempotency-Key']).toBe(result.idempotency_key);
+    expect(result.idempotency_key).toBe(deriveIdempotencyKey({ sourceId: 'src_stripe', toolId: 'tool_refund', callId: 'call_1' }));
+  });
+
+  it('uses the header configured on the source', async () => {
+    setIdempotencyStore(fakeStore());
+    const fetchMock = okFetch();
+    vi.stubGlobal('fetch', fetchMock);
+
+    await executeTool({ tool: REFUND, source: { ...SOURCE, idempotency_header: 'X-Request-Key' }, args: {}, userCredentials: null, userId: null, callId: 'call_1' });
+
+    const [, init] = fetchMock.mock.calls[0] as any;
+    expect(init.headers['X-Request-Key']).toMatch(/^ac_/);
+  });
+
+  it('replays a repeated call from the store without calling the API', async () => {
+    const store = fakeStore();
+    setIdempotencyStore(store);
+    const fetchMock = okFetch();
+    vi.stubGlobal('fetch', fetchMock);
+
+    const call = () => executeTool({ tool: REFUND, source: SOURCE, args: { charge: 'ch_1' }, userCredentials: null, userId: null, callId: 'call_1' });
+    const first = await call();
+    const second = await call();
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(first.idempotent_replay).toBeUndefined();
+    expect(second).toMatchObject({ idempotent_replay: true, response_status: 200, response_body: { id: 're_1' } });
+    expect([...store.rows.values()][0]).toMatchObject({ status: 'completed', org_id: 'org_1', tool_name: 'Create refund' });
+  });
+
+  it('does not send a call that is still running', async () => {
+    const store = fakeStore();
+    setIdempotencyStore(store);
+    const key = deriveIdempotencyKey({ sourceId: 'src_1', toolId: 'tool_refund', callId: 'call_1' });
+    store.rows.set(key, { key, status: 'in_progress', created_at: new Date().toISOString(), expires_at: new Date(Date.now() + 60000).toISOString() });
+    const fetchMock = okFetch();
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await executeTool({ tool: REFUND, source: SOURCE, args: {}, userCredentials: null, userId: null, callId: 'call_1' });
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(result.error_message).toMatch(/already being executed/);
+  });
+
+  it('releases the key when the call is worth retrying', async () => {
+    const store = fakeStore();
+    setIdempotencyStore(store);
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('{}', { status: 503, headers: { 'content-type': 'application/json' } })));
+
+    await executeTool({ tool: REFUND, source: { ...SOURCE, request_policy: { max_retries: 0 } }, args: {}, userCredentials: null, userId: null, callId: 'call_1' });
+
+    expect(store.rows.size).toBe(0);
+  });
+
+  it('does not count replays against the rate limits, and releases the key of a limited call', async () => {
+    const store = fakeStore();
+    setIdempotencyStore(store);
+    setLimitStore(createMemoryLimitStore());
+    const fetchMock = okFetch();
+    vi.stubGlobal('fetch', fetchMock);
+    const limited = { ...SOURCE, rate_limits: { tools: { tool_refund: 2 } } };
+    const call = (callId: string) => executeTool({ tool: REFUND, source: limited, args: {}, userCredentials: null, userId: null, callId });
+
+    await call('call_1');
+    expect(await call('call_1')).toMatchObject({ idempotent_replay: true, response_status: 200 });
+    expect(await call('call_1')).toMatchObject({ idempotent_replay: true, response_status: 200 });
+    expect((await call('call_2')).response_status).toBe(200);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+
+    const over = await call('call_3');
+    expect(over.rate_limited).toMatchObject({ scope: 'tool', max: 2 });
+    expect(store.rows.has(over.idempotency_key)).toBe(false);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('leaves reads and calls without a call id alone', async () => {
+    const store = fakeStore();
+    setIdempotencyStore(store);
+    const fetchMock = okFetch();
+    vi.stubGlobal('fetch', fetchMock);
+
+    await executeTool({ tool: { ...REFUND, method: 'GET' }, source: SOURCE, args: {}, userCredentials: null, userId: null, callId: 'call_1' });
+    await executeTool({ tool: REFUND, source: SOURCE, args: {}, userCredentials: null, userId: null });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(store.rows.size).toBe(0);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Unit tests for the OAuth2 authorization-code + PKCE flow: authorize URL,
+ * code exchange and token refresh, run against the mock OAuth provider.
+ *
+ * Run with: yarn test tests/unit/oauth.test.ts
+ */
+
+import crypto from 'crypto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  createPkcePair,
+  buildAuthorizationUrl,
+  tokenResponseToCredentials,
+  isTokenExpiring,
+  sanitizeReturnTo,
+  exchangeAuthorizationCode,
+  ensureFreshCredentials,
+} from '@/lib/oauth';
+import { buildAuthHeaders } from '@/lib/tools/executor';
+import { authorize, verifyAccessToken, resetMockOAuth, MOCK_CLIENT_ID } from '@/app/api/mock/oauth/provider';
+import { POST as mockTokenEndpoint } from '@/app/api/mock/oauth/token/route';
+
+const REDIRECT_URI = 'http://localhost:3000/api/oauth/callback';
+
+const AUTH_CONFIG = {
+  authorization_url: 'http://localhost:3000/api/mock/oauth/authorize',
+  token_url: 'http://localhost:3000/api/mock/oauth/token',
+  client_id: MOCK_CLIENT_ID,
+  scopes: ['profile'],
+};
+
+const SOURCE = { id: 'src_1', name: 'Mock', auth_type: 'oauth2', auth_config: AUTH_CONFIG };
+
+/** Supabase stand-in that records credential updates. */
+function fakeSupabase() {
+  const updates: any[] = [];
+  return {
+    updates,
+    from: () => ({
+      update: (values) => ({
+        eq: async (_column, id) => {
+          updates.push({ id, ...values });
+          return { error: null };
+        },
+      }),
+    }),
+  };
+}
+
+/** Run the authorize + token exchange against the mock provider. */
+async function connect() {
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const authorizeUrl = new URL(buildAuthorizationUrl(AUTH_CONFIG, {
+    redirectUri: REDIRECT_URI,
+    state: 'state-1',
+    codeChallenge,
+  }));
+  const { redirect } = authorize(authorizeUrl.searchParams) as { redirect: string };
+  const code = new URL(redirect).searchParams.get('code');
+  return exchangeAuthorizationCode(AUTH_CONFIG, { code, codeVerifier, redirectUri: REDIRECT_URI });
+}
+
+describe('flow helpers', () => {
+  it('derives the S256 challenge from the verifier', () => {
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(codeChallenge).toBe(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+  });
+
+  it('builds the authorize URL with PKCE and scopes', () => {
+    const url = new URL(buildAuthorizationUrl({ ...AUTH_CONFIG, scopes: 'profile email' }, {
+      redirectUri: REDIRECT_URI,
+      state: 'abc',
+      codeChallenge: 'challenge',
+    }));
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      response_type: 'code',
+      client_id: MOCK_CLIENT_ID,
+      redirect_uri: REDIRECT_URI,
+      state: 'abc',
+      code_challenge: 'challenge',
+      code_challenge_method: 'S256',
+      scope: 'profile email',
+    });
+  });
+
+  it('keeps the previous refresh token when the provider does not rotate it', () => {
+    const creds = tokenResponseToCredentials(
+      { access_token: 'new', expires_in: 60 },
+      { access_token: 'old', refresh_token: 'rt', scope: 'profile' },
+      Date.parse('2026-01-01T00:00:00Z'),
+    );
+    expect(creds).toEqual({
+      access_token: 'new',
+      refresh_token: 'rt',
+      token_type: 'Bearer',
+      scope: 'profile',
+      expires_at: '2026-01-01T00:01:00.000Z',
+    });
+  });
+
+  it('treats tokens expiring within five minutes as expiring', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    expect(isTokenExpiring({ access_token: 'a', expires_at: '2026-01-01T00:04:00Z' }, now)).toBe(true);
+    expect(isTokenExpiring({ access_token: 'a', expires_at: '2026-01-01T01:00:00Z' }, now)).toBe(false);
+    expect(isTokenExpiring({ access_token: 'a' }, now)).toBe(false);
+  });
+
+  it('only returns to same-origin paths', () => {
+    expect(sanitizeReturnTo('/chat?agent=1')).toBe('/chat?agent=1');
+    expect(sanitizeReturnTo('//evil.com')).toBe('/');
+    expect(sanitizeReturnTo('https://evil.com')).toBe('/');
+  });
+
+  it('sends the access token as a bearer header', () => {
+    expect(buildAuthHeaders(SOURCE, { access_token: 'tok' })).toEqual({ Authorization: 'Bearer tok' });
+    expect(() => buildAuthHeaders(SOURCE, {})).toThrow('Connect your account');
+  });
+});
+
+describe('against the mock provider', () => {
+  beforeEach(() => {
+    resetMockOAuth();
+    // Route token requests to the mock token endpoint instead of the network
+    vi.stubGlobal('fetch', (url, init) => mockTokenEndpoint(new Request(url, init)));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('exchanges a code for tokens the mock API accepts', async () => {
+    const creds = await connect();
+    expect(creds.refresh_token).toMatch(/^mrt_/);
+    expect(verifyAccessToken(creds.access_token)?.scope).toBe('profile');
+  });
+
+  it('rejects a code exchanged with the wrong verifier', async () => {
+    const { codeChallenge } = createPkcePair();
+    const authorizeUrl = new URL(buildAuthorizationUrl(AUTH_CONFIG, { redirectUri: REDIRECT_URI, state: 's', codeChallenge }));
+    const { redirect } = authorize(authorizeUrl.searchParams) as { redirect: string };
+    const code = new URL(redirect).searchParams.get('code');
+
+    await expect(exchangeAuthorizationCode(AUTH_CONFIG, {
+      code,
+      codeVerifier: createPkcePair().codeVerifier,
+      redirectUri: REDIRECT_URI,
+    })).rejects.toThrow('PKCE verification failed');
+  });
+
+  it('refreshes an expiring token once and stores it', async () => {
+    const creds = await connect();
+    const row = { id: 'cred_1', credentials: { ...creds, expires_at: new Date().toISOString() } };
+    const supabase = fakeSupabase();
+
+    const [a, b] = await Promise.all([
+      ensureFreshCredentials(supabase, SOURCE, row),
+      ensureFreshCredentials(supabase, SOURCE, row),
+    ]);
+
+    expect(a).toBe(b);
+    expect(a.access_token).not.toBe(creds.access_token);
+    expect(verifyAccessToken(a.access_token)).not.toBeNull();
+    expect(supabase.updates).toEqual([{ id: 'cred_1', credentials: a }]);
+    expect(row.credentials).toBe(a);
+  });
+
+  it('asks the user to reconnect when the refresh token was revoked', async () => {
+    const creds = await connect();
+    const row = { id: 'cred_2', credentials: { ...creds, refresh_token: 'mrt_revoked', expires_at: new Date().toISOString() } };
+
+    await expect(ensureFreshCredentials(fakeSupabase(), SOURCE, row)).rejects.toThrow('Reconnect it');
+  });
+
+  it('leaves other auth types alone', async () => {
+    const creds = { token: 'static' };
+    expect(await ensureFreshCredentials(fakeSupabase(), { ...SOURCE, auth_type: 'bearer' }, { id: 'x', credentials: creds })).toBe(creds);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for the OpenAPI parser (OpenAPI 3.x + Swagger 2.0, JSON + YAML).
+ *
+ * Run with: yarn test tests/unit/openapi-parser.test.ts
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { parseOpenApiSpec } from '@/lib/tools/openapi-parser';
+import { loadSpecDocument, describeSpec } from '@/lib/tools/spec-loader';
+import { executeTool } from '@/lib/tools/executor';
+
+const SWAGGER_YAML = `
+swagger: "2.0"
+info:
+  title: Pet Store
+  version: 2024-01-01
+host: api.pets.example.com
+basePath: /v1/
+schemes: [http, https]
+consumes: [application/json]
+parameters:
+  petId:
+    name: petId
+    in: path
+    required: true
+    type: string
+paths:
+  /pets:
+    get:
+      operationId: listPets
+      parameters:
+        - name: limit
+          in: query
+          type: integer
+          maximum: 100
+    post:
+      operationId: createPet
+      parameters:
+        - name: body
+          in: body
+          required: true
+          schema:
+            $ref: '#/definitions/Pet'
+  /pets/{petId}:
+    parameters:
+      - $ref: '#/parameters/petId'
+    delete:
+      operationId: deletePet
+  /pets/{petId}/photo:
+    post:
+      operationId: uploadPhoto
+      consumes: [multipart/form-data]
+      parameters:
+        - $ref: '#/parameters/petId'
+        - name: file
+          in: formData
+          type: file
+          required: true
+        - name: caption
+          in: formData
+          type: string
+definitions:
+  Pet:
+    type: object
+    properties:
+      name:
+        type: string
+`;
+
+describe('loadSpecDocument', () => {
+  it('parses JSON text', () => {
+    expect(loadSpecDocument('{"openapi":"3.0.0","paths":{}}')).toEqual({ openapi: '3.0.0', paths: {} });
+  });
+
+  it('parses YAML text and keeps dates as strings', () => {
+    const doc = loadSpecDocument(SWAGGER_YAML);
+    expect(doc.swagger).toBe('2.0');
+    expect(doc.info.version).toBe('2024-01-01');
+  });
+
+  it('returns objects unchanged', () => {
+    const spec = { openapi: '3.1.0', paths: {} };
+    expect(loadSpecDocument(spec)).toBe(spec);
+  });
+
+  it('throws on empty or scalar input', () => {
+    expect(() => loadSpecDocument('')).toThrow('Spec is empty');
+    expect(() => loadSpecDocument('just a string')).toThrow('neither valid JSON nor YAML');
+  });
+});
+
+describe('describeSpec', () => {
+  it('summarizes a Swagger 2.0 spec', () => {
+    const summary = describeSpec(loadSpecDocument(SWAGGER_YAML));
+    expect(summary.format).toBe('Swagger 2.0');
+    expect(summary.base_url).toBe('https://api.pets.example.com/v1');
+    expect(summary.toolCount).toBe(4);
+  });
+});
+
+describe('parseOpenApiSpec with Swagger 2.0', () => {
+  const { source_meta, tools } = parseOpenApiSpec(SWAGGER_YAML);
+  const byOp = Object.fromEntries(tools.map(t => [t.operation_id, t]));
+
+  it('builds base_url from host, basePath and schemes', () => {
+    expect(source_meta.title).toBe('Pet Store');
+    expect(source_meta.base_url).toBe('https://api.pets.example.com/v1');
+  });
+
+  it('moves non-body parameter types into the schema', () => {
+    expect(byOp.listPets.parameters.properties.limit).toMatchObject({
+      type: 'integer',
+      maximum: 100,
+      in: 'query',
+    });
+  });
+
+  it('converts in: body to a request body and resolves definitions refs', () => {
+    expect(byOp.createPet.request_body).toEqual({
+      type: 'object',
+      properties: { name: { type: 'string' } },
+    });
+  });
+
+  it('resolves path-level parameter refs', () => {
+    expect(byOp.deletePet.parameters.properties.petId).toMatchObject({ type: 'string', in: 'path' });
+    expect(byOp.deletePet.parameters.required).toEqual(['petId']);
+  });
+
+  it('converts formData parameters to a form request body', () => {
+    const body = byOp.uploadPhoto.request_body;
+    expect(body.properties.file).toEqual({ type: 'string', format: 'binary' });
+    expect(body.properties.caption.type).toBe('string');
+    expect(body.required).toEqual(['file']);
+    expect(body.content_type).toBe('multipart/form-data');
+    expect(byOp.uploadPhoto.parameters.properties).not.toHaveProperty('file');
+    expect(byOp.createPet.request_body).not.toHaveProperty('content_type');
+  });
+
+  it('hashes the original document', () => {
+    expect(parseOpenApiSpec(SWAGGER_YAML).source_meta.spec_hash).toBe(source_meta.spec_hash);
+  });
+});
+
+describe('parseOpenApiSpec version checks', () => {
+  it('rejects OpenAPI 2.x and Swagger 1.x', () => {
+    expect(() => parseOpenApiSpec({ openapi: '2.0', paths: {} })).toThrow('Only 3.x is supported');
+    expect(() => parseOpenApiSpec({ swagger: '1.2', paths: {} })).toThrow('Only 2.0 is supported');
+  });
+});
+
+describe('executeTool with a converted form body', () => {
+  const FORM_SPEC = {
+    swagger: '2.0',
+    info: { title: 'Forms', version: '1' },
+    host: 'api.forms.test',
+    paths: {
+      '/pets/{petId}': {
+        post: {
+          operationId: 'updatePet',
+          consumes: ['application/x-www-form-urlencoded'],
+          parameters: [
+            { name: 'petId', in: 'path', required: true, type: 'string' },
+            { name: 'name', in: 'formData', type: 'string' },
+            { name: 'status', in: 'formData', type: 'string' },
+          ],
+        },
+      },
+    },
+  };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sends the body with the media type the spec declared', async () => {
+    const fetchMock = vi.fn(async () => new Response('{}', { headers: { 'content-type': 'application/json' } }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { tools: [tool] } = parseOpenApiSpec(FORM_SPEC);
+    const source = { id: 'src_forms', name: 'Forms', source_type: 'openapi', base_url: 'https://api.forms.test', auth_type: 'none' };
+    const result = await executeTool({ tool, source, args: { petId: 'p1', name: 'Rex', status: 'sold' }, userCredentials: null, userId: null });
+
+    expect(result.error_message).toBeNull();
+    const [url, init] = fetchMock.mock.calls[0] as any;
+    expect(url).toBe('https://api.forms.test/pets/p1');
+    expect(init.headers['Content-Type']).toBe('application/x-www-form-urlencoded');
+    expect(init.body).toBe('name=Rex&status=sold');
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * Unit tests for rate limits and quotas: validating limits, messages per
+ * minute, embed lookups, widget totals and visitor addresses, daily token
+ * budgets, tool calls per hour (database-backed and live MCP tools), and the
+ * 429 responses.
+ *
+ * Run with: yarn test tests/unit/rate-limits.test.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { jsonSchema } from 'ai';
+import {
+  validateRateLimits,
+  formatRetryAfter,
+  enforceMessageRate,
+  enforceLookupRate,
+  enforceTokenBudget,
+  recordTokenUsage,
+  consumeToolCall,
+  rateLimitResponse,
+  readRateLimitMessage,
+  RateLimitError,
+  DEFAULT_EMBED_MESSAGES_PER_MINUTE,
+  EMBED_LOOKUPS_PER_MINUTE,
+  EMBED_WIDGET_MESSAGES_PER_MINUTE,
+  EMBED_WIDGET_LOOKUPS_PER_MINUTE,
+  visitorAddress,
+  createMemoryLimitStore,
+  setLimitStore,
+} from '@/lib/limits';
+import { executeTool } from '@/lib/tools';
+import { wrapMCPTools } from '@/lib/mcp';
+
+// 10:00:30 UTC - half a minute into the minute, 14h into the day
+const NOW = Date.UTC(2026, 9, 19, 10, 0, 30);
+let clock = NOW;
+
+beforeEach(() => {
+  clock = NOW;
+  setLimitStore(createMemoryLimitStore(() => clock));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('validateRateLimits', () => {
+  it('accepts the settings of each scope', () => {
+    expect(validateRateLimits({ messages_per_minute: 20, tokens_per_day: 500000, embed_messages_per_minute: null }, 'org'))
+      .toEqual({ limits: { messages_per_minute: 20, tokens_per_day: 500000 }, error: null });
+    expect(validateRateLimits({ calls_per_hour: 100, tools: { t1: 5 } }, 'source'))
+      .toEqual({ limits: { calls_per_hour: 100, tools: { t1: 5 } }, error: null });
+    expect(validateRateLimits(null, 'agent')).toEqual({ limits: {}, error: null });
+  });
+
+  it('rejects settings from another scope and values out of range', () => {
+    expect(validateRateLimits({ calls_per_hour: 100 }, 'org').error).toMatch(/Unknown rate limit for an org: calls_per_hour/);
+    expect(validateRateLimits({ tools: { t1: 5 } }, 'agent').error).toMatch(/Unknown rate limit/);
+    expect(validateRateLimits({ tokens_per_day: 10 }, 'org').error).toMatch(/tokens_per_day must be an integer between 1000/);
+    expect(validateRateLimits({ messages_per_minute: 2.5 }, 'agent').error).toMatch(/messages_per_minute must be an integer/);
+    expect(validateRateLimits({ tools: { t1: 0 } }, 'source').error).toMatch(/rate_limits\.tools\.t1: calls_per_hour/);
+    expect(validateRateLimits([], 'org').error).toBe('rate_limits must be an object');
+  });
+});
+
+describe('formatRetryAfter', () => {
+  it('reads like a duration', () => {
+    expect(formatRetryAfter(30)).toBe('30s');
+    expect(formatRetryAfter(61)).toBe('2m');
+    expect(formatRetryAfter(3600)).toBe('1h');
+    expect(formatRetryAfter(3 * 3600 + 300)).toBe('3h 5m');
+  });
+});
+
+describe('enforceMessageRate', () => {
+  const base = { orgId: 'org_1', agentId: 'a1', subject: 'u1' };
+
+  it('lets messages through up to the limit, per user', async () => {
+    const params = { ...base, orgLimits: { messages_per_minute: 2 }, agentLimits: {} };
+    await enforceMessageRate(params, clock);
+    await enforceMessageRate(params, clock);
+    await expect(enforceMessageRate(params, clock)).rejects.toMatchObject({
+      name: 'RateLimitError',
+      status: 429,
+      limit: 'messages_per_minute',
+      scope: 'org',
+      retryAfter: 30,
+      message: 'Too many messages: the limit is 2 per minute for each user. Try again in 30s.',
+    });
+    // Another user has their own count
+    await enforceMessageRate({ ...params, subject: 'u2' }, clock);
+  });
+
+  it('starts over in the next window', async () => {
+    const params = { ...base, orgLimits: { messages_per_minute: 1 }, agentLimits: {} };
+    await enforceMessageRate(params, clock);
+    await expect(enforceMessageRate(params, clock)).rejects.toBeInstanceOf(RateLimitError);
+    clock = NOW + 30000;
+    await enforceMessageRate(params, clock);
+  });
+
+  it('applies the agent limit on top of the org one', async () => {
+    const params = { ...base, orgLimits: { messages_per_minute: 10 }, agentLimits: { messages_per_minute: 1 } };
+    await enforceMessageRate(params, clock);
+    await expect(enforceMessageRate(params, clock)).rejects.toMatchObject({ scope: 'agent', message: expect.stringMatching(/this agent allows 1 per minute/) });
+    await enforceMessageRate({ ...params, agentId: 'a2' }, clock);
+  });
+
+  it('limits embed visitors by default', async () => {
+    const params = { ...base, subject: '203.0.113.7', orgLimits: null, agentLimits: null, embed: true };
+    for (let i = 0; i < DEFAULT_EMBED_MESSAGES_PER_MINUTE; i++) {
+      await enforceMessageRate(params, clock);
+    }
+    await expect(enforceMessageRate(params, clock)).rejects.toMatchObject({
+      limit: 'embed_messages_per_minute',
+      message: expect.stringMatching(/for each visitor/),
+    });
+    // Signed-in users have no limit unless one is set
+    for (let i = 0; i < 20; i++) {
+      await enforceMessageRate({ ...base, orgLimits: null, agentLimits: null }, clock);
+    }
+  });
+
+  it('limits entity lookups per visitor of each widget', async () => {
+    const params = { orgId: 'org_1', embedId: 'emb_1', subject: '203.0.113.7' };
+    for (let i = 0; i < EMBED_LOOKUPS_PER_MINUTE; i++) {
+      await enforceLookupRate(params, clock);
+    }
+    await expect(enforceLookupRate(params, clock)).rejects.toMatchObject({ limit: 'embed_lookups_per_minute', status: 429 });
+    await enforceLookupRate({ ...params, subject: '203.0.113.8' }, clock);
+  });
+
+  it('caps all visitors of a widget together', async () => {
+    const visitor = (i: number) => `198.51.${Math.floor(i / 256)}.${i % 256}`;
+    const messages = { ...base, orgLimits: null, agentLimits: null, embed: true, embedId: 'emb_1' };
+    for (let i = 0; i < EMBED_WIDGET_MESSAGES_PER_MINUTE; i++) {
+      await enforceMessageRate({ ...messages, subject: visitor(i) }, clock);
+    }
+    await expect(enforceMessageRate({ ...messages, subject: 'fresh' }, clock)).rejects.toMatchObject({ scope: 'embed', max: EMBED_WIDGET_MESSAGES_PER_MINUTE });
+    await enforceMessageRate({ ...messages, embedId: 'emb_2', subject: 'fresh' }, clock);
+
+    const lookups = { orgId: 'org_1', embedId: 'emb_1' };
+    for (let i = 0; i < EMBED_WIDGET_LOOKUPS_PER_MINUTE; i++) {
+      await enforceLookupRate({ ...lookups, subject: visitor(i) }, clock);
+    }
+    await expect(enforceLookupRate({ ...lookups, subject: 'fresh' }, clock)).rejects.toMatchObject({ scope: 'embed', limit: 'embed_widget_lookups_per_minute' });
+  });
+
+  it('tells visitors apart by the hop the proxy appended', () => {
+    const request = (headers: Record<string, string>) => new Request('https://app.example/api/embed/chat', { headers });
+    expect(visitorAddress(request({ 'x-forwarded-for': '10.0.0.1, 203.0.113.7' }))).toBe('203.0.113.7');
+    expect(visitorAddress(request({ 'x-forwarded-for': '203.0.113.7' }))).toBe('203.0.113.7');
+    expect(visitorAddress(request({ 'x-real-ip': '203.0.113.9' }))).toBe('203.0.113.9');
+    expect(visitorAddress(request({}))).toBe('unknown');
+  });
+
+  it('lets requests through when the store is down', async () => {
+    setLimitStore({ increment: async () => { throw new Error('connection refused'); }, get: async () => 0 });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const params = { ...base, orgLimits: { messages_per_minute: 1 }, agentLimits: {} };
+    await enforceMessageRate(params, clock);
+    await enforceMessageRate(params, clock);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('token budgets', () => {
+  const params = { orgId: 'org_1', agentId: 'a1', orgLimits: { tokens_per_day: 5000 }, agentLimits: { tokens_per_day: 2000 } };
+
+  it('stops requests once a daily budget is used up', async () => {
+    await enforceTokenBudget(params, clock);
+    await recordTokenUsage(params, 1500, clock);
+    await enforceTokenBudget(params, clock);
+    await recordTokenUsage(params, 600, clock);
+
+    await expect(enforceTokenBudget(params, clock)).rejects.toMatchObject({
+      limit: 'tokens_per_day',
+      scope: 'agent',
+      retryAfter: 14 * 3600 - 30,
+      message: 'This agent has used its daily budget of 2,000 LLM tokens. It resets at midnight UTC, in 14h.',
+    });
+    // Other agents still have the org's budget
+    await enforceTokenBudget({ ...params, agentId: 'a2' }, clock);
+    await recordTokenUsage({ ...params, agentId: 'a2' }, 3000, clock);
+    await expect(enforceTokenBudget({ ...params, agentId: 'a2' }, clock)).rejects.toMatchObject({ scope: 'org' });
+  });
+
+  it('resets at midnight UTC', async () => {
+    await recordTokenUsage(params, 9000, clock);
+    await expect(enforceTokenBudget(params, clock)).rejects.toBeInstanceOf(RateLimitError);
+    clock = Date.UTC(2026, 9, 20, 0, 0, 1);
+    await enforceTokenBudget(params, clock);
+  });
+
+  it('ignores missing usage', async () => {
+    await recordTokenUsage(params, undefined, clock);
+    await recordTokenUsage(params, NaN, clock);
+    await enforceTokenBudget(params, clock);
+  });
+});
+
+describe('tool calls per hour', () => {
+  const tool = {
+    id: 't1',
+    name: 'List customers',
+    method: 'GET',
+    path: '/customers',
+    parameters: { type: 'object', properties: {} },
+  };
+  const source = {
+    id: 's1',
+    name: 'Shop',
+    auth_type: 'none',
+    base_url: 'https://api.example.com',
+    rate_limits: { calls_per_hour: 3, tools: { t1: 1 } },
+  };
+
+  it('counts per tool and per source', async () => {
+    expect(await consumeToolCall(source, tool, clock)).toBeNull();
+    expect(await consumeToolCall(source, tool, clock)).toMatchObject({
+      scope: 'tool',
+      max: 1,
+      message: expect.stringMatching(/^Rate limit reached: at most 1 call per hour to List customers\. Try again in 1h\.$/),
+    });
+    const other = { ...tool, id: 't2', name: 'Get customer' };
+    expect(await consumeToolCall(source, other, clock)).toBeNull();
+    expect(await consumeToolCall(source, other, clock)).toBeNull();
+    expect(await consumeToolCall(source, other, clock)).toMatchObject({ scope: 'source', max: 3, message: expect.stringMatching(/at most 3 calls per hour to Shop\./) });
+    expect(await consumeToolCall({ ...source, rate_limits: {} }, tool, clock)).toBeNull();
+  });
+
+  it('does not count calls a tool limit refused against the source', async () => {
+    const capped = { ...source, rate_limits: { calls_per_hour: 20, tools: { t1: 5 } } };
+    const results = [];
+    for (let i = 0; i < 25; i++) results.push(await consumeToolCall(capped, tool, clock));
+    expect(results.filter(Boolean)).toHaveLength(20);
+    expect(results[24]).toMatchObject({ scope: 'tool', max: 5 });
+
+    const other = { ...tool, id: 't2', name: 'Get customer' };
+    for (let i = 0; i < 15; i++) expect(await consumeToolCall(capped, other, clock)).toBeNull();
+    expect(await consumeToolCall(capped, other, clock)).toMatchObject({ scope: 'source', max: 20 });
+  });
+
+  it('does not send calls over the limit', async () => {
+    const fetchMock = vi.fn(async () => new Response(JSON.stringify({ data: [] }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const first = await executeTool({ tool, source, args: {}, userCredentials: null, userId: 'u1' });
+    expect(first.response_status).toBe(200);
+
+    const second = await executeTool({ tool, source, args: {}, userCredentials: null, userId: 'u1' });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(second).toMatchObject({ response_status: 0, rate_limited: { scope: 'tool', max: 1 } });
+    expect(second.error_message).toMatch(/^Rate limit reached/);
+  });
+
+  it('applies to live MCP tools too', async () => {
+    const execute = vi.fn(async () => ({ content: [{ type: 'text', text: '[]' }] }));
+    const mcpSource = { id: 's2', name: 'Search', source_type: 'mcp', mcp_transport: 'http', rate_limits: { tools: { t9: 1 } } };
+    const { search } = wrapMCPTools(mcpSource, {
+      search: { description: 'Search records', inputSchema: jsonSchema({ type: 'object', properties: {} }), execute },
+    }, { toolIds: new Map([['search', 't9']]) });
+
+    await search.execute({}, { toolCallId: 'call_1', messages: [] });
+    const output = await search.execute({}, { toolCallId: 'call_2', messages: [] });
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(output._actionchat.error_message).toMatch(/^Rate limit reached: at most 1 call per hour to search/);
+  });
+
+  it('does not count dry runs', async () => {
+    const write = { ...tool, id: 't3', name: 'Create customer', method: 'POST', path: '/customers' };
+    const limited = { ...source, rate_limits: { tools: { t3: 1 } } };
+    for (let i = 0; i < 3; i++) {
+      const result = await executeTool({ tool: write, source: limited, args: {}, userCredentials: null, userId: 'u1', dryRun: true });
+      expect(result.dry_run).toBe(true);
+    }
+  });
+});
+
+describe('429 responses', () => {
+  it('carries the limit and Retry-After', async () => {
+    const error = new RateLimitError('Too many messages.', { limit: 'messages_per_minute', scope: 'org', max: 2, retryAfter: 30 });
+    const response = rateLimitResponse(error);
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBe('30');
+
+    const text = await response.text();
+    expect(JSON.parse(text)).toEqual({
+      error: 'Too many messages.',
+      rate_limit: { limit: 'messages_per_minute', scope: 'org', max: 2, retry_after: 30 },
+    });
+    expect(readRateLimitMessage(text)).toBe('Too many messages.');
+    expect(readRateLimitMessage('{"error":"Agent not found"}')).toBeNull();
+    expect(readRateLimitMessage('Failed to fetch')).toBeNull();
+  });
+});
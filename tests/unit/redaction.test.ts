@@ -0,0 +1,169 @@
+/**
+ * Unit tests for response redaction: policy validation and merging, JSON
+ * paths, detectors, and the separate views for people and the model.
+ *
+ * Run with: yarn test tests/unit/redaction.test.ts
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  parseRedactionPath,
+  validateRedactionPolicy,
+  mergeRedactionPolicies,
+  redactionRules,
+  withRedaction,
+  redactValue,
+  redactResult,
+  executeTool,
+  toolOutputForModel,
+  redactMessagesForModel,
+} from '@/lib/tools';
+
+const rules = (overrides = {}) => ({ paths: [], detectors: [], patterns: [], ...overrides });
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('redaction policies', () => {
+  it('validates and normalises', () => {
+    expect(validateRedactionPolicy(null)).toEqual({ policy: null, error: null });
+    expect(validateRedactionPolicy({ human: { detectors: ['email', 'email'] } }).policy)
+      .toEqual({ human: rules({ detectors: ['email'] }) });
+    expect(validateRedactionPolicy({ model: {} }).error).toMatch(/unknown key model/);
+    expect(validateRedactionPolicy({ human: { detectors: ['iban'] } }).error).toMatch(/unknown detector/);
+    expect(validateRedactionPolicy({ llm: { paths: ['$.a[x]'] } }).error).toMatch(/not a valid JSON path/);
+    expect(validateRedactionPolicy({ llm: { patterns: [{ name: 'acc', regex: '(' }] } }).error).toMatch(/patterns.acc/);
+  });
+
+  it('adds org and source rules up, and gives the model both sets', () => {
+    const merged = mergeRedactionPolicies(
+      { human: { detectors: ['token'] } },
+      { human: { paths: ['$.ssn'] }, llm: { detectors: ['email'] } },
+      'not a policy',
+    );
+    expect(merged).toEqual({
+      human: rules({ paths: ['$.ssn'], detectors: ['token'] }),
+      llm: rules({ detectors: ['email'] }),
+    });
+    expect(redactionRules(merged, 'llm')).toEqual(rules({ paths: ['$.ssn'], detectors: ['token', 'email'] }));
+    expect(redactionRules(mergeRedactionPolicies({ llm: { detectors: ['email'] } }), 'human')).toBeNull();
+    expect(withRedaction({ id: 's', redaction_policy: null }, null).redaction).toBeNull();
+  });
+});
+
+describe('redactValue', () => {
+  it('parses JSON paths', () => {
+    expect(parseRedactionPath('$.data[x]')).toBeNull();
+    expect(parseRedactionPath('$')).toBeNull();
+    expect(parseRedactionPath("data[0]['full name']..ssn")).toEqual([
+      { type: 'key', name: 'data' },
+      { type: 'index', index: 0 },
+      { type: 'key', name: 'full name' },
+      { type: 'deep', name: 'ssn' },
+    ]);
+  });
+
+  it('masks fields by path without touching the input', () => {
+    const body = { data: [{ id: 1, ssn: '1', profile: { password: 'x' } }, { id: 2, ssn: '2' }], meta: { password: 'y' } };
+    const { value, count } = redactValue(body, rules({ paths: ['$.data[*].ssn', '$..password', '$.missing.field'] }));
+    expect(value).toEqual({
+      data: [{ id: 1, ssn: '[REDACTED]', profile: { password: '[REDACTED]' } }, { id: 2, ssn: '[REDACTED]' }],
+      meta: { password: '[REDACTED]' },
+    });
+    expect(count).toBe(4);
+    expect(body.data[0].ssn).toBe('1');
+  });
+
+  it('detects personal data inside strings', () => {
+    const { value } = redactValue(
+      {
+        note: 'Mail ada@example.com, SSN 123-45-6789, card 4242 4242 4242 4242, order 4242424242424241',
+        key: 'sk_live_abcdefgh12345678',
+        account: 'ACC-12345678',
+      },
+      rules({ detectors: ['email', 'ssn', 'card_number', 'token'], patterns: [{ name: 'account', regex: 'ACC-\\d{8}' }] }),
+    );
+    expect(value).toEqual({
+      note: 'Mail [REDACTED:email], SSN [REDACTED:ssn], card [REDACTED:card_number], order 4242424242424241',
+      key: '[REDACTED:token]',
+      account: '[REDACTED:account]',
+    });
+  });
+
+  it('scans long base64 contents in linear time', () => {
+    const content = 'QUJD'.repeat(25000);
+    const started = Date.now();
+    const { value, count } = redactValue(
+      { content, bare: 'x'.repeat(100000), note: 'from ada@example.com' },
+      rules({ detectors: ['email', 'ssn', 'card_number', 'token'] }),
+    );
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(value).toEqual({ content, bare: 'x'.repeat(100000), note: 'from [REDACTED:email]' });
+    expect(count).toBe(1);
+  });
+});
+
+describe('views for people and the model', () => {
+  const policy = mergeRedactionPolicies({ human: { paths: ['$.ssn'] }, llm: { detectors: ['email'] } });
+
+  it('executeTool returns the human view', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(
+      JSON.stringify({ id: 'cus_1', email: 'ada@example.com', ssn: '123-45-6789' }),
+      { status: 200, headers: { 'content-type': 'application/json' } },
+    )));
+
+    const result = await executeTool({
+      tool: { name: 'Get customer', method: 'GET', path: '/customers/cus_1' },
+      source: { id: 'src_1', name: 'Shop', source_type: 'openapi', base_url: 'https://api.shop.test', auth_type: 'none', redaction: policy },
+      args: {},
+      userCredentials: null,
+      userId: null,
+    });
+
+    expect(result.response_body).toEqual({ id: 'cus_1', email: 'ada@example.com', ssn: '[REDACTED]' });
+    expect(result.redacted).toBe(1);
+  });
+
+  it('masks the undo arguments and the error text too', () => {
+    const human = mergeRedactionPolicies({ human: { detectors: ['ssn'] } });
+    const result = redactResult({
+      response_status: 200,
+      response_body: { id: 'cus_1' },
+      undo: { tool_id: 't2', args: { id: 'cus_1', ssn: '123-45-6789' } },
+      undo_args: { id: 'cus_1', ssn: '123-45-6789' },
+      error_message: 'Duplicate ssn 123-45-6789',
+    }, human);
+
+    expect(result.undo.args).toEqual({ id: 'cus_1', ssn: '[REDACTED:ssn]' });
+    expect(result.error_message).toBe('Duplicate ssn [REDACTED:ssn]');
+    expect(result.undo_args.ssn).toBe('123-45-6789');
+    expect(result.redacted).toBe(2);
+  });
+
+  it('the model sees the llm rules on top, with a rebuilt summary', () => {
+    const output = {
+      _actionchat: { source_id: 'src_1', response_status: 200, response_body: { id: 'cus_1', email: 'ada@example.com' } },
+      result: 'Success: object cus_1 (ada@example.com)',
+    };
+    const view = toolOutputForModel(output, policy);
+    expect(view._actionchat.response_body).toEqual({ id: 'cus_1', email: '[REDACTED:email]' });
+    expect(view.result).toBe('Success: object cus_1 ([REDACTED:email])');
+    expect(output._actionchat.response_body.email).toBe('ada@example.com');
+    expect(toolOutputForModel(output, null)).toBe(output);
+  });
+
+  it('redacts tool outputs of earlier turns by source', () => {
+    const part = {
+      type: 'tool-get_customer',
+      state: 'output-available',
+      output: { _actionchat: { source_id: 'src_1', response_status: 200, response_body: { email: 'ada@example.com' } }, result: 'ok' },
+    };
+    const messages = [{ role: 'user', parts: [{ type: 'text', text: 'hi' }] }, { role: 'assistant', parts: [part] }];
+    const redacted = redactMessagesForModel(messages, id => (id === 'src_1' ? policy : null));
+
+    expect(redacted[0]).toBe(messages[0]);
+    expect(redacted[1].parts[0].output._actionchat.response_body.email).toBe('[REDACTED:email]');
+    expect(part.output._actionchat.response_body.email).toBe('ada@example.com');
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit tests for per-source request policies: validation, Retry-After
+ * parsing, retries with backoff, and the circuit breaker.
+ *
+ * Run with: yarn test tests/unit/request-policy.test.ts
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  DEFAULT_REQUEST_POLICY,
+  resolveRequestPolicy,
+  validateRequestPolicy,
+  parseRetryAfter,
+  resetCircuits,
+  fetchWithPolicy,
+  executeTool,
+} from '@/lib/tools';
+
+const noSleep = vi.fn(async () => {});
+
+function responses(...statuses) {
+  const queue = [...statuses];
+  return vi.fn(async () => {
+    const next = queue.shift();
+    if (next instanceof Error) throw next;
+    const [status, headers] = Array.isArray(next) ? next : [next, {}];
+    return new Response(`{"status":${status}}`, { status, headers: { 'content-type': 'application/json', ...headers } });
+  });
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  noSleep.mockClear();
+  resetCircuits();
+});
+
+describe('policy settings', () => {
+  it('merges stored values over the defaults', () => {
+    expect(resolveRequestPolicy(null)).toEqual(DEFAULT_REQUEST_POLICY);
+    expect(resolveRequestPolicy({ max_retries: 0, bogus: 1, timeout_ms: 'x' })).toEqual({ ...DEFAULT_REQUEST_POLICY, max_retries: 0 });
+  });
+
+  it('validates ranges and unknown keys', () => {
+    expect(validateRequestPolicy({ timeout_ms: 5000 })).toEqual({ policy: { timeout_ms: 5000 }, error: null });
+    expect(validateRequestPolicy({ timeout_ms: 10 }).error).toMatch(/between 1000 and 120000/);
+    expect(validateRequestPolicy({ retries: 3 }).error).toMatch(/Unknown/);
+    expect(validateRequestPolicy({ backoff_base_ms: 5000, backoff_max_ms: 1000 }).error).toMatch(/larger/);
+    expect(validateRequestPolicy([]).error).toMatch(/object/);
+  });
+
+  it('parses Retry-After seconds and dates', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    expect(parseRetryAfter('3', now)).toBe(3000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter('soon', now)).toBeNull();
+    expect(parseRetryAfter(null, now)).toBeNull();
+  });
+});
+
+describe('fetchWithPolicy retries', () => {
+  const policy = { ...DEFAULT_REQUEST_POLICY, max_retries: 2 };
+
+  it('retries an idempotent request on 502 and reports every attempt', async () => {
+    vi.stubGlobal('fetch', responses(502, 502, 200));
+
+    const result = await fetchWithPolicy('https://api.test/x', { method: 'GET' }, { method: 'GET', policy, sleep: noSleep });
+
+    expect(result.response.status).toBe(200);
+    expect(result.attempts.map(a => a.status)).toEqual([502, 502, 200]);
+    expect(result.attempts[0].retry_in_ms).toBeGreaterThan(0);
+    expect(result.attempts[2].retry_in_ms).toBeUndefined();
+    expect(noSleep).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry a POST on 502 or a network error, but does on 429/503', async () => {
+    vi.stubGlobal('fetch', responses(502));
+    expect((await fetchWithPolicy('u', {}, { method: 'POST', policy, sleep: noSleep })).attempts).toHaveLength(1);
+
+    vi.stubGlobal('fetch', responses(new Error('ECONNRESET')));
+    const failed = await fetchWithPolicy('u', {}, { method: 'POST', policy, sleep: noSleep });
+    expect(failed.attempts).toEqual([expect.objectContaining({ attempt: 1, status: null, error: 'ECONNRESET' })]);
+    expect(failed.error.message).toBe('ECONNRESET');
+
+    vi.stubGlobal('fetch', responses(429, 503, 201));
+    expect((await fetchWithPolicy('u', {}, { method: 'POST', policy, sleep: noSleep })).response.status).toBe(201);
+  });
+
+  it('honours Retry-After, and gives up when it is longer than the max backoff', async () => {
+    vi.stubGlobal('fetch', responses([429, { 'retry-after': '2' }], 200));
+    const result = await fetchWithPolicy('u', {}, { method: 'GET', policy, sleep: noSleep });
+    expect(noSleep).toHaveBeenCalledWith(2000);
+    expect(result.attempts[0].retry_in_ms).toBe(2000);
+
+    vi.stubGlobal('fetch', responses([429, { 'retry-after': '3600' }], 200));
+    const gaveUp = await fetchWithPolicy('u', {}, { method: 'GET', policy, sleep: noSleep });
+    expect(gaveUp.response.status).toBe(429);
+    expect(gaveUp.attempts).toHaveLength(1);
+  });
+
+  it('stops after max_retries', async () => {
+    vi.stubGlobal('fetch', responses(503, 503, 503, 200));
+    const result = await fetchWithPolicy('u', {}, { method: 'GET', policy, sleep: noSleep });
+    expect(result.response.status).toBe(503);
+    expect(result.attempts).toHaveLength(3);
+  });
+});
+
+describe('circuit breaker', () => {
+  const policy = { ...DEFAULT_REQUEST_POLICY, max_retries: 0, breaker_threshold: 2, breaker_cooldown_ms: 5000 };
+
+  it('opens after consecutive failures, fails fast, and closes after a good trial', async () => {
+    const fetchMock = responses(500, 500, 200);
+    vi.stubGlobal('fetch', fetchMock);
+    const call = () => fetchWithPolicy('u', {}, { method: 'GET', policy, circuitKey: 'src_1', sleep: noSleep });
+
+    await call();
+    await call();
+    const rejected = await call();
+    expect(rejected).toMatchObject({ circuitOpen: true, response: null, attempts: [] });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+
+    // Another source is unaffected
+    vi.stubGlobal('fetch', responses(200));
+    expect((await fetchWithPolicy('u', {}, { method: 'GET', policy, circuitKey: 'src_2', sleep: noSleep })).circuitOpen).toBe(false);
+
+    // After the cooldown one trial call goes through
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 6000);
+    expect((await call()).response.status).toBe(200);
+    expect((await call()).circuitOpen).toBe(false);
+    vi.restoreAllMocks();
+  });
+
+  it('does not count 4xx responses as failures', async () => {
+    vi.stubGlobal('fetch', responses(404, 404, 404));
+    const call = () => fetchWithPolicy('u', {}, { method: 'GET', policy, circuitKey: 'src_1', sleep: noSleep });
+    await call();
+    await call();
+    expect((await call()).circuitOpen).toBe(false);
+  });
+});
+
+describe('executeTool with a request policy', () => {
+  const tool = { name: 'List charges', method: 'GET', path: '/charges' };
+
+  it('returns the attempts and fails fast once the circuit is open', async () => {
+    const source = {
+      id: 'src_policy',
+      name: 'Payments',
+      source_type: 'openapi',
+      base_url: 'https://api.payments.test/v1',
+      auth_type: 'none',
+      request_policy: { max_retries: 1, breaker_threshold: 1, backoff_base_ms: 100, backoff_max_ms: 1000 },
+    };
+    vi.stubGlobal('fetch', responses(503, 503));
+
+    const first = await executeTool({ tool, source, args: {}, userCredentials: null, userId: null });
+    expect(first.response_status).toBe(503);
+    expect(first.attempts.map(a => a.status)).toEqual([503, 503]);
+
+    const second = await executeTool({ tool, source, args: {}, userCredentials: null, userId: null });
+    expect(second).toMatchObject({ response_status: 0, circuit_open: true, attempts: [] });
+    expect(second.error_message).toMatch(/Payments is failing repeatedly/);
+  });
+});
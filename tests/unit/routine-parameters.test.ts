@@ -0,0 +1,140 @@
+/**
+ * Unit tests for typed routine parameters: checking values by type and
+ * defaults, validating the schema before it is saved, the generated form
+ * fields, lookup options from a GET tool's response, and the run prompt.
+ *
+ * Run with: yarn test tests/unit/routine-parameters.test.ts
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  checkParameterValue,
+  checkRoutineParams,
+  validateParameterSchema,
+  parameterFormFields,
+  lookupOptions,
+  buildRoutinePrompt,
+} from '@/lib/routines';
+
+const PARAMETERS = {
+  customer_id: { type: 'entity', required: true, lookup: { tool_id: 't-customers', search_param: 'email' } },
+  reason: { type: 'enum', options: ['duplicate', 'fraudulent'], default: 'duplicate' },
+  since: { type: 'date' },
+  notify: { type: 'email' },
+  amount: { type: 'integer' },
+};
+
+describe('checkParameterValue', () => {
+  it('converts text by type', () => {
+    expect(checkParameterValue('n', { type: 'number' }, ' 12.5 ')).toEqual({ value: 12.5, error: null });
+    expect(checkParameterValue('n', { type: 'integer' }, '3')).toEqual({ value: 3, error: null });
+    expect(checkParameterValue('b', { type: 'boolean' }, 'False')).toEqual({ value: false, error: null });
+    expect(checkParameterValue('e', { type: 'email' }, ' ada@example.com ').value).toBe('ada@example.com');
+    expect(checkParameterValue('r', { type: 'enum', options: [1, 2] }, '2').value).toBe(2);
+    expect(checkParameterValue('id', { type: 'entity' }, ' cus_1 ').value).toBe('cus_1');
+  });
+
+  it('rejects values of the wrong type', () => {
+    expect(checkParameterValue('n', { type: 'number' }, '  ').error).toBe('n must be a number');
+    expect(checkParameterValue('n', { type: 'integer' }, '1.5').error).toBe('n must be a whole number');
+    expect(checkParameterValue('b', { type: 'boolean' }, 'yes').error).toBe('b must be true or false');
+    expect(checkParameterValue('e', { type: 'email' }, 'ada').error).toBe('e must be an email address');
+    expect(checkParameterValue('r', { type: 'enum', options: ['a', 'b'] }, 'c').error).toBe('r must be one of a, b');
+  });
+
+  it('only accepts real calendar dates', () => {
+    expect(checkParameterValue('d', { type: 'date' }, '2026-02-28').error).toBeNull();
+    expect(checkParameterValue('d', { type: 'date' }, '2026-02-30').error).toBe('d must be a date (YYYY-MM-DD)');
+    expect(checkParameterValue('d', { type: 'date' }, '28/02/2026').error).toBe('d must be a date (YYYY-MM-DD)');
+  });
+});
+
+describe('checkRoutineParams', () => {
+  it('applies defaults and reports every problem by name', () => {
+    const { params, errors } = checkRoutineParams(PARAMETERS, { since: 'soon', notify: '', amount: '7' });
+    expect(params).toEqual({ reason: 'duplicate', amount: 7 });
+    expect(errors).toEqual({
+      customer_id: 'Missing parameter: customer_id',
+      since: 'since must be a date (YYYY-MM-DD)',
+    });
+  });
+
+  it('passes complete values', () => {
+    expect(checkRoutineParams(PARAMETERS, { customer_id: 'cus_1', reason: 'fraudulent' }))
+      .toEqual({ params: { customer_id: 'cus_1', reason: 'fraudulent' }, errors: {} });
+  });
+});
+
+describe('validateParameterSchema', () => {
+  it('normalizes entries and drops unknown settings', () => {
+    const { parameters, error } = validateParameterSchema({
+      email: { required: true, placeholder: 'x' },
+      reason: { type: 'enum', options: ['a', 'b', 'a'], default: 'b' },
+      customer: { type: 'entity', lookup: { tool_id: 't1', items_path: 'data', extra: 1 } },
+    });
+    expect(error).toBeNull();
+    expect(parameters).toEqual({
+      email: { type: 'string', required: true },
+      reason: { type: 'enum', options: ['a', 'b'], default: 'b' },
+      customer: { type: 'entity', lookup: { tool_id: 't1', items_path: 'data' } },
+    });
+  });
+
+  it('treats no parameters as none', () => {
+    expect(validateParameterSchema(null)).toEqual({ parameters: {}, error: null });
+  });
+
+  it('rejects bad definitions', () => {
+    expect(validateParameterSchema([]).error).toBe('parameters must be an object');
+    expect(validateParameterSchema({ '1st': {} }).error).toBe('Invalid parameter name: 1st');
+    expect(validateParameterSchema({ a: { type: 'color' } }).error).toMatch(/^Parameter a: type must be one of/);
+    expect(validateParameterSchema({ a: { type: 'enum' } }).error).toBe('Parameter a: an enum needs a list of options');
+    expect(validateParameterSchema({ a: { type: 'entity' } }).error).toMatch(/lookup\.tool_id/);
+    expect(validateParameterSchema({ a: { type: 'entity', lookup: { tool_id: 't', value_path: 'a..b' } } }).error)
+      .toMatch(/lookup\.value_path must be a dotted path/);
+    expect(validateParameterSchema({ a: { type: 'number', default: 'ten' } }).error).toBe('Parameter a default must be a number');
+  });
+});
+
+describe('parameterFormFields', () => {
+  it('lists fields in order with labels', () => {
+    const fields = parameterFormFields({
+      customerEmail: { type: 'email', required: true },
+      refund_reason: { type: 'enum', options: ['a'], label: 'Why' },
+      note: { type: 'rich' },
+    });
+    expect(fields.map(f => [f.name, f.type, f.label, f.required])).toEqual([
+      ['customerEmail', 'email', 'Customer Email', true],
+      ['refund_reason', 'enum', 'Why', false],
+      ['note', 'string', 'Note', false],
+    ]);
+    expect(fields[1].options).toEqual(['a']);
+  });
+});
+
+describe('lookupOptions', () => {
+  it('reads items, values and labels at the given paths', () => {
+    const body = { data: { results: [{ ref: { id: 7 }, profile: { name: 'Ada' } }, { ref: {} }] } };
+    expect(lookupOptions(body, { items_path: 'data.results', value_path: 'ref.id', label_path: 'profile.name' }))
+      .toEqual([{ value: '7', label: 'Ada' }]);
+  });
+
+  it('finds the list and a label by itself', () => {
+    const body = { object: 'list', data: [{ id: 'cus_1', email: 'ada@example.com' }, { id: 'cus_2' }] };
+    expect(lookupOptions(body)).toEqual([
+      { value: 'cus_1', label: 'ada@example.com' },
+      { value: 'cus_2', label: 'cus_2' },
+    ]);
+    expect(lookupOptions([{ id: 1 }, { id: 2 }, { id: 3 }], {}, 2)).toHaveLength(2);
+    expect(lookupOptions('not found')).toEqual([]);
+  });
+});
+
+describe('buildRoutinePrompt', () => {
+  it('adds the parameters and any context', () => {
+    const routine = { name: 'refund', prompt: 'Refund the last charge.' };
+    expect(buildRoutinePrompt(routine)).toBe('Run the "refund" routine:\n\nRefund the last charge.');
+    expect(buildRoutinePrompt(routine, { customer_id: 'cus_1', amount: 5 }, 'VIP'))
+      .toBe('Run the "refund" routine:\n\nRefund the last charge.\n\nParameters:\n- customer_id: "cus_1"\n- amount: 5\n\nAdditional context: VIP');
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Unit tests for portable routines: the export format, checking an import,
+ * remapping tools to another org's sources (and what changes when some are
+ * missing), and the starter routines templates ship for the gallery.
+ *
+ * Run with: yarn test tests/unit/routine-portable.test.ts
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  toolRefKey,
+  routineToolIds,
+  exportRoutine,
+  parseRoutineExport,
+  routineToolRefs,
+  remapRoutine,
+  describeTools,
+  findTools,
+  galleryRoutines,
+  validateParameterSchema,
+  validateRoutineSteps,
+} from '@/lib/routines';
+import integrationsData from '../../docs/integrations.json';
+
+const CHARGES = { template: 'stripe', operation_id: 'GetCharges', name: 'List charges', method: 'GET', path: '/v1/charges' };
+const REFUNDS = { template: 'stripe', operation_id: 'PostRefunds', name: 'Create refund', method: 'POST', path: '/v1/refunds' };
+const NOTIFY = { source: 'Support API', name: 'Notify', method: 'POST', path: '/notify' };
+
+const ROUTINE = {
+  name: 'refund-last',
+  description: 'Refund the last charge',
+  prompt: 'Refund the last charge.',
+  parameters: {
+    customer: { type: 'entity', required: true, lookup: { tool_id: 'c1', search_param: 'email' } },
+    note: { type: 'string' },
+  },
+  tool_chain: ['t-charges', 't-refunds', 't-gone'],
+  mode: 'deterministic',
+  steps: [
+    { id: 'find', tool_id: 't-charges', tool_name: 'List charges', args: { customer: '{{params.customer}}' } },
+    { id: 'refund', tool_id: 't-refunds', tool_name: 'Create refund', args: { charge: '{{steps.find.response.data.0.id}}' } },
+  ],
+};
+
+const REFS = new Map([
+  ['t-charges', CHARGES],
+  ['t-refunds', REFUNDS],
+  ['c1', { template: 'stripe', operation_id: 'GetCustomers', name: 'List customers', method: 'GET', path: '/v1/customers' }],
+]);
+
+// Just enough of the Supabase query builder: select, eq, in, is, not
+function fakeSupabase(tables) {
+  return {
+    from(table) {
+      const filters = [];
+      const query = {
+        select: () => query,
+        eq: (col, val) => (filters.push(row => row[col] === val), query),
+        in: (col, vals) => (filters.push(row => vals.includes(row[col])), query),
+        is: (col, val) => (filters.push(row => (row[col] ?? null) === val), query),
+        not: (col, op, val) => (filters.push(row => (row[col] ?? null) !== val), query),
+        then: (resolve) => resolve({ data: (tables[table] || []).filter(row => filters.every(f => f(row))), error: null }),
+      };
+      return query;
+    },
+  };
+}
+
+describe('toolRefKey', () => {
+  it('keys by owner and operation, else method and path', () => {
+    expect(toolRefKey(CHARGES)).toBe('template:stripe|GetCharges');
+    expect(toolRefKey({ ...NOTIFY, method: 'post' })).toBe('source:Support API|POST /notify');
+  });
+});
+
+describe('exportRoutine', () => {
+  it('names tools by template and operation instead of ids', () => {
+    expect(routineToolIds(ROUTINE)).toEqual(['t-charges', 't-refunds', 't-gone', 'c1']);
+
+    const { document, unexported } = exportRoutine(ROUTINE, REFS);
+    expect(unexported).toEqual(['t-gone']);
+    expect(document).toMatchObject({ format: 'actionchat.routine', version: 1, name: 'refund-last', mode: 'deterministic' });
+    expect(document.tools).toEqual([CHARGES, REFUNDS]);
+    expect(document.steps[1]).toEqual({ id: 'refund', tool: REFUNDS, tool_name: 'Create refund', args: { charge: '{{steps.find.response.data.0.id}}' } });
+    expect(document.parameters.customer.lookup).toEqual({ search_param: 'email', tool: REFS.get('c1') });
+    expect(JSON.stringify(document)).not.toMatch(/t-charges|tool_id/);
+  });
+
+  it('drops steps and lookups whose tool is gone', () => {
+    const { document } = exportRoutine(ROUTINE, new Map([['t-charges', CHARGES]]));
+    expect(document.steps).toBeNull();
+    expect(document.mode).toBe('llm');
+    expect(document.parameters.customer).toEqual({ type: 'string', required: true });
+  });
+});
+
+describe('parseRoutineExport', () => {
+  it('round-trips an export', () => {
+    const { document } = exportRoutine(ROUTINE, REFS);
+    expect(parseRoutineExport(JSON.parse(JSON.stringify(document)))).toEqual({ document, error: null });
+  });
+
+  it('rejects what is not an export', () => {
+    expect(parseRoutineExport('{}').error).toBe('The routine must be a JSON object');
+    expect(parseRoutineExport({ name: 'x', prompt: 'y' }).error).toMatch(/^Not an exported routine/);
+    expect(parseRoutineExport({ format: 'actionchat.routine', version: 2, name: 'x', prompt: 'y' }).error)
+      .toBe('Unsupported export version: 2');
+    expect(parseRoutineExport({ format: 'actionchat.routine', version: 1, name: 'x', prompt: '' }).error).toBe('prompt is required');
+  });
+
+  it('needs every tool reference to identify a tool', () => {
+    const base = { format: 'actionchat.routine', version: 1, name: 'x', prompt: 'y' };
+    expect(parseRoutineExport({ ...base, tools: [{ operation_id: 'GetCharges' }] }).error)
+      .toBe('tools[0] needs a template slug or a source name');
+    expect(parseRoutineExport({ ...base, tools: [{ source: 'Support API', method: 'POST' }] }).error)
+      .toBe('tools[0] needs an operation_id, or a method and path');
+    expect(parseRoutineExport({ ...base, steps: [{ id: 'a', tool_id: 'uuid' }] }).error)
+      .toBe('steps[0].tool must be a tool reference');
+  });
+
+  it('keeps only identifying fields and ignores a stray mode', () => {
+    const { document } = parseRoutineExport({
+      format: 'actionchat.routine', version: 1, name: ' x ', prompt: 'y', mode: 'deterministic',
+      tools: [{ ...NOTIFY, method: 'post', id: 'uuid-from-elsewhere' }],
+    });
+    expect(document.name).toBe('x');
+    expect(document.tools).toEqual([{ ...NOTIFY }]);
+    expect(document.mode).toBe('llm');
+  });
+});
+
+describe('remapRoutine', () => {
+  const { document } = exportRoutine(ROUTINE, REFS);
+
+  it('lists each tool once', () => {
+    expect(routineToolRefs(document).map(toolRefKey)).toEqual([
+      'template:stripe|GetCharges',
+      'template:stripe|PostRefunds',
+      'template:stripe|GetCustomers',
+    ]);
+  });
+
+  it('uses the target org tool ids', () => {
+    const ids = new Map([
+      ['template:stripe|GetCharges', 'x-charges'],
+      ['template:stripe|PostRefunds', 'x-refunds'],
+      ['template:stripe|GetCustomers', 'x-customers'],
+    ]);
+    const { routine, changes } = remapRoutine(document, ids);
+    expect(changes).toEqual([]);
+    expect(routine.tool_chain).toEqual(['x-charges', 'x-refunds']);
+    expect(routine.tool_chain_names).toEqual(['List charges', 'Create refund']);
+    expect(routine.steps.map(step => step.tool_id)).toEqual(['x-charges', 'x-refunds']);
+    expect(routine.parameters.customer.lookup).toEqual({ search_param: 'email', tool_id: 'x-customers' });
+    expect(routine.mode).toBe('deterministic');
+    expect(validateRoutineSteps(routine.steps, routine.parameters).error).toBeNull();
+  });
+
+  it('imports without missing tools and says what changed', () => {
+    const { routine, changes } = remapRoutine(document, new Map([['template:stripe|GetCharges', 'x-charges']]));
+    expect(routine.tool_chain).toEqual(['x-charges']);
+    expect(routine.steps).toBeNull();
+    expect(routine.mode).toBe('llm');
+    expect(routine.parameters.customer).toEqual({ type: 'string', required: true });
+    expect(changes).toEqual([
+      'customer is plain text: its lookup tool (stripe: List customers) is missing',
+      'Steps left out (a missing tool is used by refund); the routine runs with the LLM',
+    ]);
+  });
+});
+
+describe('describeTools and findTools', () => {
+  const tables = {
+    source_templates: [{ id: 'tpl-stripe', slug: 'stripe', name: 'Stripe' }],
+    template_tools: [
+      { id: 't-charges', template_id: 'tpl-stripe', operation_id: 'GetCharges', name: 'List charges', method: 'GET', path: '/v1/charges', is_active: true },
+      { id: 't-refunds', template_id: 'tpl-stripe', operation_id: 'PostRefunds', name: 'Create refund', method: 'POST', path: '/v1/refunds', is_active: true },
+    ],
+    api_sources: [
+      { id: 's-stripe', org_id: 'org-b', name: 'Stripe', template_id: 'tpl-stripe', is_active: true },
+      { id: 's-support', org_id: 'org-b', name: 'Support API', template_id: null, is_active: true },
+      { id: 's-old', org_id: 'org-a', name: 'Support API', template_id: null, is_active: true },
+    ],
+    tools: [
+      { id: 'a-notify', source_id: 's-old', operation_id: null, name: 'Notify', method: 'POST', path: '/notify', is_active: true },
+      { id: 'b-notify', source_id: 's-support', operation_id: null, name: 'Notify', method: 'POST', path: '/notify', is_active: true },
+    ],
+  };
+
+  it('describes template and custom tools', async () => {
+    const refs = await describeTools(fakeSupabase(tables), ['t-charges', 'a-notify', 'missing']);
+    expect(refs.get('t-charges')).toEqual(CHARGES);
+    expect(refs.get('a-notify')).toEqual(NOTIFY);
+    expect(refs.has('missing')).toBe(false);
+  });
+
+  it('finds them in the target org and reports the rest', async () => {
+    const { toolIds, missing } = await findTools(fakeSupabase(tables), 'org-b', [
+      CHARGES,
+      NOTIFY,
+      { template: 'stripe', operation_id: 'GetPayouts' },
+      { template: 'github', operation_id: 'issues/create' },
+      { source: 'Billing API', method: 'GET', path: '/invoices' },
+    ]);
+    expect(Object.fromEntries(toolIds)).toEqual({
+      'template:stripe|GetCharges': 't-charges',
+      'source:Support API|POST /notify': 'b-notify',
+    });
+    expect(missing.map(ref => ref.reason)).toEqual([
+      'Stripe has no such operation',
+      'No template "github"',
+      'No source named "Billing API"',
+    ]);
+  });
+
+  it('needs the template connected in the org', async () => {
+    const { missing } = await findTools(fakeSupabase(tables), 'org-a', [CHARGES]);
+    expect(missing).toEqual([{ ...CHARGES, reason: 'Stripe is not connected' }]);
+  });
+});
+
+describe('galleryRoutines', () => {
+  const gallery = galleryRoutines(integrationsData.integrations);
+
+  it('lists the starter routines templates ship', () => {
+    expect(gallery.map(r => r.id)).toContain('stripe/refund-last-charge');
+    expect(new Set(gallery.map(r => r.id)).size).toBe(gallery.length);
+    expect(gallery.find(r => r.id === 'stripe/refund-last-charge').template).toMatchObject({ slug: 'stripe', name: 'Stripe' });
+  });
+
+  it('ships routines that import cleanly once their tools are found', () => {
+    for (const entry of gallery) {
+      const { document, error } = parseRoutineExport(entry);
+      expect(error, entry.id).toBeNull();
+      const ids = new Map(routineToolRefs(document).map((ref, i) => [toolRefKey(ref), `tool-${i}`]));
+      const { routine, changes } = remapRoutine(document, ids);
+      expect(changes, entry.id).toEqual([]);
+      const { parameters, error: parametersError } = validateParameterSchema(routine.parameters);
+      expect(parametersError, entry.id).toBeNull();
+      expect(validateRoutineSteps(routine.steps, parameters).error, entry.id).toBeNull();
+    }
+  });
+});
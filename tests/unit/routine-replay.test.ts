@@ -0,0 +1,310 @@
+/**
+ * Unit tests for deterministic routine replay: step templates and
+ * conditions, validation, compiling steps from a recorded chat, and the
+ * runner's confirmations and LLM fallback.
+ *
+ * Run with: yarn test tests/unit/routine-replay.test.ts
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  resolveStepTemplate,
+  stepDependencies,
+  evaluateCondition,
+  validateRoutineSteps,
+  resolveRoutineParams,
+  compileRoutineSteps,
+  runRoutineSteps,
+  buildFallbackPrompt,
+  bindStepTools,
+} from '@/lib/routines';
+import { sanitizeToolKey } from '@/lib/tools';
+
+const PARAMETERS = {
+  customer_email: { type: 'string', required: true },
+  amount: { type: 'number', required: false },
+};
+
+const REFUND_STEPS = [
+  { id: 'find', tool_id: 't-find', tool_name: 'List customers', args: { email: '{{params.customer_email}}' } },
+  {
+    id: 'charges',
+    tool_id: 't-charges',
+    tool_name: 'List charges',
+    args: { customer: '{{steps.find.response.data.0.id}}' },
+    when: { ref: '{{steps.find.response.data}}', op: 'exists' },
+  },
+  {
+    id: 'refund',
+    tool_id: 't-refund',
+    tool_name: 'Create refund',
+    args: { charge: '{{steps.charges.response.data.0.id}}', amount: '{{params.amount}}' },
+  },
+];
+
+const RESPONSES = {
+  find: { data: [{ id: 'cus_123', email: 'ada@example.com' }] },
+  charges: { data: [{ id: 'ch_999', amount: 5000, paid: true }] },
+  refund: { id: 're_1', status: 'succeeded' },
+};
+
+describe('step templates', () => {
+  const context = {
+    params: { customer_email: 'ada@example.com', amount: 2500 },
+    steps: { find: { response: RESPONSES.find } },
+  };
+
+  it('fills whole values as-is and interpolates inside strings', () => {
+    const missing = [];
+    expect(resolveStepTemplate({
+      amount: '{{params.amount}}',
+      customer: '{{ steps.find.response.data.0.id }}',
+      note: 'Refund for {{params.customer_email}}',
+      items: ['{{params.amount}}', 'fixed'],
+    }, context, missing)).toEqual({
+      amount: 2500,
+      customer: 'cus_123',
+      note: 'Refund for ada@example.com',
+      items: [2500, 'fixed'],
+    });
+    expect(missing).toEqual([]);
+  });
+
+  it('collects placeholders without a value', () => {
+    const missing = [];
+    resolveStepTemplate({ a: '{{params.reason}}', b: 'id {{steps.find.response.data.5.id}}' }, context, missing);
+    expect(missing).toEqual(['params.reason', 'steps.find.response.data.5.id']);
+  });
+
+  it('lists the steps a step reads from', () => {
+    expect(stepDependencies(REFUND_STEPS[2])).toEqual(['charges']);
+    expect(stepDependencies(REFUND_STEPS[1])).toEqual(['find']);
+    expect(stepDependencies(REFUND_STEPS[0])).toEqual([]);
+  });
+
+  it('evaluates conditions', () => {
+    const ctx = { params: { amount: 2500 }, steps: { charges: { response: RESPONSES.charges } } };
+    expect(evaluateCondition(undefined, ctx)).toBe(true);
+    expect(evaluateCondition({ ref: '{{steps.charges.response.data.0.paid}}', op: 'equals', value: true }, ctx)).toBe(true);
+    expect(evaluateCondition({ ref: '{{steps.charges.response.data.0.amount}}', op: 'gte', value: '{{params.amount}}' }, ctx)).toBe(true);
+    expect(evaluateCondition({ ref: '{{steps.charges.response.data.0.amount}}', op: 'lt', value: 100 }, ctx)).toBe(false);
+    expect(evaluateCondition({ ref: '{{steps.charges.response.data.1}}', op: 'missing' }, ctx)).toBe(true);
+    expect(evaluateCondition({ ref: '{{steps.charges.response.refunds}}', op: 'exists' }, { ...ctx, steps: { charges: { response: { refunds: [] } } } })).toBe(false);
+  });
+});
+
+describe('validateRoutineSteps', () => {
+  it('accepts a step graph and normalizes it', () => {
+    const { steps, error } = validateRoutineSteps(REFUND_STEPS, PARAMETERS);
+    expect(error).toBeNull();
+    expect(steps).toHaveLength(3);
+    expect(steps[1].when).toEqual({ ref: '{{steps.find.response.data}}', op: 'exists' });
+    expect(validateRoutineSteps(null, PARAMETERS)).toEqual({ steps: null, error: null });
+  });
+
+  it('rejects references to unknown parameters and later steps', () => {
+    expect(validateRoutineSteps([{ id: 'a', tool_id: 't', args: { x: '{{params.nope}}' } }], PARAMETERS).error)
+      .toBe('steps[0] uses {{params.nope}}, which is not a parameter of this routine');
+    expect(validateRoutineSteps([REFUND_STEPS[0], REFUND_STEPS[2]], PARAMETERS).error)
+      .toBe('steps[1] uses {{steps.charges}}, which is not an earlier step');
+    expect(validateRoutineSteps([REFUND_STEPS[0], { id: 'b', tool_id: 't', args: { x: '{{steps.find.data}}' } }], PARAMETERS).error)
+      .toMatch(/must read \{\{steps\.find\.response/);
+  });
+
+  it('rejects malformed steps', () => {
+    expect(validateRoutineSteps({}, PARAMETERS).error).toBe('steps must be an array');
+    expect(validateRoutineSteps([{ id: 'Find', tool_id: 't' }], PARAMETERS).error).toMatch(/id must be lowercase/);
+    expect(validateRoutineSteps([{ id: 'a', tool_id: 't' }, { id: 'a', tool_id: 't' }], PARAMETERS).error).toBe('steps[1].id "a" is used twice');
+    expect(validateRoutineSteps([{ id: 'a' }], PARAMETERS).error).toBe('steps[0].tool_id is required');
+    expect(validateRoutineSteps([{ id: 'a', tool_id: 't', when: { ref: '{{params.amount}}', op: 'near' } }], PARAMETERS).error)
+      .toMatch(/when\.op must be one of/);
+  });
+});
+
+describe('resolveRoutineParams', () => {
+  it('requires required parameters and converts numbers', () => {
+    expect(resolveRoutineParams(PARAMETERS, { customer_email: 'ada@example.com', amount: '2500' }))
+      .toEqual({ params: { customer_email: 'ada@example.com', amount: 2500 }, error: null });
+    expect(resolveRoutineParams(PARAMETERS, { amount: 10 }).error).toBe('Missing parameter: customer_email');
+    expect(resolveRoutineParams(PARAMETERS, { customer_email: 'x', amount: 'lots' }).error).toBe('amount must be a number');
+    expect(resolveRoutineParams({ notify: { type: 'boolean' } }, { notify: 'TRUE' }).params).toEqual({ notify: true });
+  });
+});
+
+describe('compileRoutineSteps', () => {
+  const routine = {
+    parameters: PARAMETERS,
+    tool_chain: ['t-find', 't-charges', 't-refund'],
+    tool_chain_names: ['List customers', 'List charges', 'Create refund'],
+  };
+
+  it('traces recorded values to earlier responses and parameters', () => {
+    const recorded = [
+      { tool_name: 'List customers', arguments: { email: 'ada@example.com' }, result: { tool_id: 't-find', body: RESPONSES.find } },
+      { tool_name: 'Search docs', arguments: { q: 'refunds' }, result: { tool_id: 't-other', body: {} } },
+      { tool_name: 'List charges', arguments: { customer: 'cus_123', limit: 3 }, result: { tool_id: 't-charges', body: RESPONSES.charges } },
+      { tool_name: 'Create refund', arguments: { charge: 'ch_999', amount: 2500, reason: 'duplicate' }, result: { tool_id: 't-refund', body: RESPONSES.refund } },
+    ];
+    const { steps, literals, unmapped } = compileRoutineSteps(routine, recorded);
+
+    expect(steps.map(s => s.id)).toEqual(['list_customers', 'list_charges', 'create_refund']);
+    expect(steps[0].args).toEqual({ email: 'ada@example.com' });
+    expect(steps[1].args).toEqual({ customer: '{{steps.list_customers.response.data.0.id}}', limit: 3 });
+    expect(steps[2].args).toEqual({
+      charge: '{{steps.list_charges.response.data.0.id}}',
+      amount: '{{params.amount}}',
+      reason: 'duplicate',
+    });
+    expect(literals).toEqual(['list_customers.email', 'list_charges.limit', 'create_refund.reason']);
+    expect(unmapped).toEqual([]);
+    expect(validateRoutineSteps(steps, PARAMETERS).error).toBeNull();
+  });
+
+  it('maps parameters by name when compiling from the tool chain', () => {
+    const schemas = new Map([
+      ['t-find', { properties: { customerEmail: {}, limit: {} } }],
+      ['t-refund', { properties: { charge: {}, amount: {} }, required: ['charge'] }],
+    ]);
+    const { steps, unmapped } = compileRoutineSteps(routine, [], schemas);
+
+    expect(steps[0]).toEqual({ id: 'list_customers', tool_id: 't-find', tool_name: 'List customers', args: { customerEmail: '{{params.customer_email}}' } });
+    expect(steps[1].args).toEqual({});
+    expect(steps[2].args).toEqual({ amount: '{{params.amount}}' });
+    expect(unmapped).toEqual(['create_refund.charge']);
+  });
+});
+
+describe('runRoutineSteps', () => {
+  const params = { customer_email: 'ada@example.com', amount: 2500 };
+  const callStep = vi.fn(async (step) => ({ ok: true, status: 200, response: RESPONSES[step.id], action_id: `act-${step.id}` }));
+
+  it('runs every step, feeding responses into later arguments', async () => {
+    callStep.mockClear();
+    const outcome = await runRoutineSteps({
+      steps: REFUND_STEPS,
+      params,
+      checkStep: async () => ({ confirm: false, blocked: null }),
+      callStep,
+    });
+
+    expect(outcome.status).toBe('completed');
+    expect(callStep).toHaveBeenCalledTimes(3);
+    expect(outcome.results.refund).toEqual({
+      status: 'completed',
+      args: { charge: 'ch_999', amount: 2500 },
+      response_status: 200,
+      response: RESPONSES.refund,
+      action_id: 'act-refund',
+    });
+  });
+
+  it('pauses at a step that needs confirmation and resumes after it', async () => {
+    callStep.mockClear();
+    const checkStep = async (step) => ({ confirm: step.id === 'refund' ? ['Create refund changes data'] : false, blocked: null });
+
+    const paused = await runRoutineSteps({ steps: REFUND_STEPS, params, checkStep, callStep });
+    expect(paused.status).toBe('needs_confirmation');
+    expect(paused.pending).toEqual({
+      step_id: 'refund',
+      tool_name: 'Create refund',
+      args: { charge: 'ch_999', amount: 2500 },
+      reasons: ['Create refund changes data'],
+    });
+    expect(callStep).toHaveBeenCalledTimes(2);
+
+    const resumed = await runRoutineSteps({ steps: REFUND_STEPS, params, results: paused.results, confirmedStepId: 'refund', checkStep, callStep });
+    expect(resumed.status).toBe('completed');
+    expect(callStep).toHaveBeenCalledTimes(3);
+    expect(callStep).toHaveBeenLastCalledWith(REFUND_STEPS[2], { charge: 'ch_999', amount: 2500 }, { confirmed: true });
+  });
+
+  it('skips a step whose condition is false', async () => {
+    const outcome = await runRoutineSteps({
+      steps: [REFUND_STEPS[0], REFUND_STEPS[1]],
+      params,
+      checkStep: async () => ({ confirm: false, blocked: null }),
+      callStep: async (step) => ({ ok: true, status: 200, response: step.id === 'find' ? { data: [] } : {} }),
+    });
+    expect(outcome.status).toBe('completed');
+    expect(outcome.results.charges).toEqual({ status: 'skipped' });
+  });
+
+  it('stops at a failed step and hands the rest to the LLM', async () => {
+    const outcome = await runRoutineSteps({
+      steps: REFUND_STEPS,
+      params,
+      checkStep: async () => ({ confirm: false, blocked: null }),
+      callStep: async (step) => step.id === 'refund'
+        ? { ok: false, status: 402, response: { error: 'charge_already_refunded' }, error: 'Create refund returned 402' }
+        : { ok: true, status: 200, response: RESPONSES[step.id] },
+    });
+
+    expect(outcome).toMatchObject({ status: 'failed', failed_step: 'refund', error: 'Create refund returned 402' });
+    expect(outcome.results.refund.status).toBe('failed');
+
+    const prompt = buildFallbackPrompt({ name: 'refund', prompt: 'Refund the last charge.' }, REFUND_STEPS, { params, ...outcome });
+    expect(prompt).toContain('Run the "refund" routine:\n\nRefund the last charge.');
+    expect(prompt).toContain('Parameters: {"customer_email":"ada@example.com","amount":2500}');
+    expect(prompt).toContain('- List charges: {"data":[{"id":"ch_999"');
+    expect(prompt).toContain('The "Create refund" step failed: Create refund returned 402. Continue the routine from that step.');
+  });
+
+  it('fails a step with a missing value without calling it', async () => {
+    const call = vi.fn();
+    const outcome = await runRoutineSteps({
+      steps: [REFUND_STEPS[2]],
+      params,
+      checkStep: async () => ({ confirm: false, blocked: null }),
+      callStep: call,
+    });
+    expect(outcome.error).toBe('No value for {{steps.charges.response.data.0.id}}');
+    expect(call).not.toHaveBeenCalled();
+  });
+});
+
+describe('bindStepTools', () => {
+  const toolRows = [
+    { tool_id: 't-find', tool_name: 'List customers', source_name: 'Stripe', method: 'GET', risk_level: 'read' },
+    { tool_id: 't-refund', tool_name: 'Create refund', source_name: 'Stripe', method: 'POST', risk_level: 'dangerous' },
+  ];
+  const execute = vi.fn(async () => ({
+    _actionchat: { response_status: 200, response_body: { id: 're_1' }, action_id: 'act-1' },
+  }));
+  const tools = Object.fromEntries(toolRows.map(row => [sanitizeToolKey(row.tool_name, row.tool_id), { execute }]));
+  const { checkStep, callStep } = bindStepTools(
+    { tools, toolRows, sourcesWithHints: [{ name: 'Stripe', settings: {} }] },
+    { runId: 'run-1' }
+  );
+
+  it('asks for confirmation on dangerous tools and confirm steps', async () => {
+    expect(await checkStep({ id: 'find', tool_id: 't-find' }, {})).toEqual({ confirm: false, blocked: null });
+    expect(await checkStep({ id: 'find', tool_id: 't-find', confirm: true }, {}))
+      .toEqual({ confirm: ['This step always asks for confirmation'], blocked: null });
+    expect((await checkStep({ id: 'refund', tool_id: 't-refund' }, {})).confirm)
+      .toEqual(['Create refund changes data and needs confirmation']);
+  });
+
+  it('blocks steps that need confirmation when nobody can confirm them', async () => {
+    const unattended = bindStepTools(
+      { tools, toolRows, sourcesWithHints: [{ name: 'Stripe', settings: {} }] },
+      { runId: 'run-2', canConfirm: false }
+    );
+    expect(await unattended.checkStep({ id: 'find', tool_id: 't-find' }, {})).toEqual({ confirm: false, blocked: null });
+    expect(await unattended.checkStep({ id: 'refund', tool_id: 't-refund' }, {})).toEqual({
+      confirm: false,
+      blocked: 'Create refund changes data and needs confirmation, and nobody can confirm it in this run',
+    });
+  });
+
+  it('blocks tools the agent does not have', async () => {
+    expect((await checkStep({ id: 'x', tool_id: 't-missing', tool_name: 'Delete customer' }, {})).blocked)
+      .toBe('Delete customer is not available to this agent');
+  });
+
+  it('calls the agent tool with a call id per run and step', async () => {
+    expect(await callStep({ id: 'refund', tool_id: 't-refund' }, { charge: 'ch_999' })).toEqual({
+      ok: true, status: 200, response: { id: 're_1' }, error: null, action_id: 'act-1',
+    });
+    expect(execute).toHaveBeenCalledWith({ charge: 'ch_999' }, { toolCallId: 'routine:run-1:refund' });
+  });
+});
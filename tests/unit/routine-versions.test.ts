@@ -0,0 +1,115 @@
+/**
+ * Unit tests for routine versions: which edits make a new version, the
+ * line diff, and the field-by-field diff between two versions.
+ *
+ * Run with: yarn test tests/unit/routine-versions.test.ts
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  VERSIONED_FIELDS,
+  routineSnapshot,
+  changedRoutineFields,
+  diffLines,
+  diffRoutineVersions,
+} from '@/lib/routines';
+
+const ROUTINE = {
+  id: 'r-1',
+  name: 'failed-payments',
+  is_shared: true,
+  prompt: 'List failed payments from the last {{days}} days.\nGroup them by customer.',
+  description: 'Daily payments check',
+  parameters: { days: { type: 'number', required: true } },
+  tool_chain: ['t-1'],
+  tool_chain_names: ['list_payments'],
+  mode: 'llm',
+  steps: null,
+};
+
+describe('routineSnapshot', () => {
+  it('keeps only the versioned fields, with defaults', () => {
+    expect(Object.keys(routineSnapshot(ROUTINE))).toEqual(VERSIONED_FIELDS);
+    expect(routineSnapshot({ prompt: 'Hi' })).toEqual({
+      prompt: 'Hi',
+      description: null,
+      parameters: {},
+      tool_chain: [],
+      tool_chain_names: [],
+      mode: 'llm',
+      steps: null,
+    });
+  });
+});
+
+describe('changedRoutineFields', () => {
+  it('lists versioned fields whose value changes', () => {
+    expect(changedRoutineFields(ROUTINE, { prompt: 'Something else', mode: 'llm' })).toEqual(['prompt']);
+    expect(changedRoutineFields(ROUTINE, { steps: [{ id: 's1', tool: 'list_payments', args: {} }] })).toEqual(['steps']);
+  });
+
+  it('ignores unversioned fields and equal values', () => {
+    expect(changedRoutineFields(ROUTINE, { name: 'renamed', is_shared: false })).toEqual([]);
+    // Key order doesn't matter
+    expect(changedRoutineFields(
+      { parameters: { days: { required: true, type: 'number' } } },
+      { parameters: { days: { type: 'number', required: true } } }
+    )).toEqual([]);
+    expect(changedRoutineFields({ description: null }, { description: null, parameters: {} })).toEqual([]);
+  });
+});
+
+describe('diffLines', () => {
+  it('marks added, removed and unchanged lines', () => {
+    expect(diffLines('a\nb\nc', 'a\nx\nc\nd')).toEqual([
+      { op: 'equal', text: 'a' },
+      { op: 'remove', text: 'b' },
+      { op: 'add', text: 'x' },
+      { op: 'equal', text: 'c' },
+      { op: 'add', text: 'd' },
+    ]);
+  });
+
+  it('handles empty sides', () => {
+    expect(diffLines('', 'a')).toEqual([{ op: 'add', text: 'a' }]);
+    expect(diffLines('a', null)).toEqual([{ op: 'remove', text: 'a' }]);
+    expect(diffLines('', '')).toEqual([]);
+  });
+});
+
+describe('diffRoutineVersions', () => {
+  it('diffs only the fields that changed', () => {
+    const next = {
+      ...ROUTINE,
+      prompt: 'List failed payments from the last {{days}} days.\nGroup them by country.',
+      mode: 'deterministic',
+    };
+    expect(diffRoutineVersions(ROUTINE, next)).toEqual([
+      {
+        field: 'prompt',
+        lines: [
+          { op: 'equal', text: 'List failed payments from the last {{days}} days.' },
+          { op: 'remove', text: 'Group them by customer.' },
+          { op: 'add', text: 'Group them by country.' },
+        ],
+      },
+      { field: 'mode', lines: [{ op: 'remove', text: 'llm' }, { op: 'add', text: 'deterministic' }] },
+    ]);
+  });
+
+  it('shows structured fields as JSON lines', () => {
+    const next = { ...ROUTINE, parameters: { ...ROUTINE.parameters, currency: { type: 'string' } } };
+    const [{ field, lines }] = diffRoutineVersions(ROUTINE, next);
+    expect(field).toBe('parameters');
+    expect(lines.filter(line => line.op === 'add').map(line => line.text.trim())).toEqual([
+      '"currency": {',
+      '"type": "string"',
+      '},',
+    ]);
+    expect(lines.some(line => line.op === 'remove')).toBe(false);
+  });
+
+  it('is empty for the same content', () => {
+    expect(diffRoutineVersions(ROUTINE, { ...ROUTINE, name: 'other' })).toEqual([]);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for scheduled routines: cron parsing, next run times across
+ * timezones and DST changes, schedule validation, and what a scheduled run
+ * sends to the LLM and to webhooks.
+ *
+ * Run with: yarn test tests/unit/schedules.test.ts
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseCron,
+  isValidTimezone,
+  nextCronRun,
+  validateRoutineSchedule,
+  nextScheduledRun,
+  buildScheduledPrompt,
+  scheduledRunEvent,
+} from '@/lib/schedules';
+
+const iso = (date: Date | null) => date?.toISOString() ?? null;
+
+describe('parseCron', () => {
+  it('expands lists, ranges, steps and names', () => {
+    const { cron, error } = parseCron('*/15 9-17 1,15 JAN-MAR mon-fri');
+    expect(error).toBeNull();
+    expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hour]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    expect([...cron.dayOfMonth]).toEqual([1, 15]);
+    expect([...cron.month]).toEqual([1, 2, 3]);
+    expect([...cron.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect(cron.dayOfMonthRestricted).toBe(true);
+    expect(cron.dayOfWeekRestricted).toBe(true);
+  });
+
+  it('treats 7 as Sunday', () => {
+    expect([...parseCron('0 0 * * 7').cron.dayOfWeek]).toEqual([0]);
+  });
+
+  it('rejects malformed expressions', () => {
+    expect(parseCron('0 9 * *').error).toBe('cron must have five fields: minute hour day-of-month month day-of-week');
+    expect(parseCron('61 * * * *').error).toBe('minute must be between 0 and 59: 61');
+    expect(parseCron('0 9 * * 1-5/0').error).toBe('Invalid step in day of week: 1-5/0');
+    expect(parseCron('').error).toMatch(/five-field expression/);
+    expect(parseCron('0 25 * * *').error).toBe('hour must be between 0 and 23: 25');
+  });
+});
+
+describe('nextCronRun', () => {
+  it('finds the next weekday morning in the timezone', () => {
+    // Friday 10:00 in New York → Monday 09:00 EDT
+    expect(iso(nextCronRun('0 9 * * 1-5', 'America/New_York', '2026-10-16T14:00:00Z'))).toBe('2026-10-19T13:00:00.000Z');
+    // Monday 08:59 → the same morning
+    expect(iso(nextCronRun('0 9 * * 1-5', 'America/New_York', '2026-10-19T12:59:00Z'))).toBe('2026-10-19T13:00:00.000Z');
+  });
+
+  it('is strictly after the given time', () => {
+    expect(iso(nextCronRun('*/15 * * * *', 'UTC', '2026-10-19T10:07:30Z'))).toBe('2026-10-19T10:15:00.000Z');
+    expect(iso(nextCronRun('*/15 * * * *', 'UTC', '2026-10-19T10:15:00Z'))).toBe('2026-10-19T10:30:00.000Z');
+  });
+
+  it('follows the timezone across a DST change', () => {
+    // 09:00 in New York is 13:00 UTC in summer time and 14:00 after it ends (Nov 1)
+    expect(iso(nextCronRun('0 9 * * *', 'America/New_York', '2026-10-31T14:00:00Z'))).toBe('2026-11-01T14:00:00.000Z');
+    // 02:30 doesn't exist on the day summer time starts (Mar 8), so the next one is the day after
+    expect(iso(nextCronRun('30 2 * * *', 'America/New_York', '2026-03-08T00:00:00Z'))).toBe('2026-03-09T06:30:00.000Z');
+  });
+
+  it('runs on either day field when both are restricted', () => {
+    // The 1st of the month or any Monday: Monday Oct 19 comes first
+    expect(iso(nextCronRun('0 12 1 * MON', 'UTC', '2026-10-18T12:00:00Z'))).toBe('2026-10-19T12:00:00.000Z');
+  });
+
+  it('returns null for dates that never come and bad input', () => {
+    expect(nextCronRun('0 0 30 2 *', 'UTC', '2026-10-19T00:00:00Z')).toBeNull();
+    expect(nextCronRun('0 9 * * *', 'Mars/Olympus', '2026-10-19T00:00:00Z')).toBeNull();
+    expect(nextCronRun('nope', 'UTC')).toBeNull();
+  });
+});
+
+describe('validateRoutineSchedule', () => {
+  const PARAMETERS = { days: { type: 'number', required: true } };
+  const base = { cron: '0  9 * * 1-5', timezone: 'America/New_York', agent_id: 'agent-1', params: { days: 1 } };
+
+  it('fills in defaults and normalizes the expression', () => {
+    expect(validateRoutineSchedule(base, PARAMETERS)).toEqual({
+      schedule: {
+        cron: '0 9 * * 1-5',
+        timezone: 'America/New_York',
+        enabled: true,
+        agent_id: 'agent-1',
+        run_as: 'owner',
+        params: { days: 1 },
+        deliver_to: ['chat'],
+      },
+      error: null,
+    });
+    expect(validateRoutineSchedule(null)).toEqual({ schedule: null, error: null });
+  });
+
+  it('keeps the delivery chat and dedupes targets', () => {
+    const { schedule } = validateRoutineSchedule(
+      { ...base, deliver_to: ['webhook', 'chat', 'webhook'], chat_id: 'chat-1', run_as: 'service' },
+      PARAMETERS
+    );
+    expect(schedule.deliver_to).toEqual(['webhook', 'chat']);
+    expect(schedule.chat_id).toBe('chat-1');
+    expect(schedule.run_as).toBe('service');
+  });
+
+  it('rejects bad settings', () => {
+    expect(validateRoutineSchedule({ ...base, every: 'day' }, PARAMETERS).error).toBe('Unknown schedule setting: every');
+    expect(validateRoutineSchedule({ ...base, cron: '0 9 * *' }, PARAMETERS).error).toMatch(/five fields/);
+    expect(validateRoutineSchedule({ ...base, timezone: 'EST5' }, PARAMETERS).error).toBe('Unknown timezone: EST5');
+    expect(validateRoutineSchedule({ ...base, agent_id: '' }, PARAMETERS).error).toBe('schedule.agent_id is required');
+    expect(validateRoutineSchedule({ ...base, run_as: 'admin' }, PARAMETERS).error).toBe('run_as must be one of owner, service');
+    expect(validateRoutineSchedule({ ...base, deliver_to: [] }, PARAMETERS).error)
+      .toBe('deliver_to must list one or more of chat, webhook');
+    expect(validateRoutineSchedule({ ...base, params: {} }, PARAMETERS).error).toMatch(/days/);
+    expect(validateRoutineSchedule([], PARAMETERS).error).toBe('schedule must be an object');
+  });
+});
+
+describe('nextScheduledRun', () => {
+  it('is null while the schedule is disabled', () => {
+    const { schedule } = validateRoutineSchedule({ cron: '0 9 * * *', agent_id: 'agent-1' });
+    expect(nextScheduledRun(schedule, '2026-10-19T10:00:00Z')).toBe('2026-10-20T09:00:00.000Z');
+    expect(nextScheduledRun({ ...schedule, enabled: false }, '2026-10-19T10:00:00Z')).toBeNull();
+    expect(nextScheduledRun(null)).toBeNull();
+  });
+});
+
+describe('scheduled run messages', () => {
+  const routine = { id: 'r-1', name: 'failed-payments', prompt: 'List failed payments from the last {{days}} days and summarize them.' };
+
+  it('sends the routine prompt with its parameter values', () => {
+    expect(buildScheduledPrompt(routine, { days: 1 })).toBe(
+      'Run the "failed-payments" routine:\n\nList failed payments from the last {{days}} days and summarize them.\n\nParameters:\n- days: 1'
+    );
+    expect(buildScheduledPrompt(routine)).toBe(
+      'Run the "failed-payments" routine:\n\nList failed payments from the last {{days}} days and summarize them.'
+    );
+  });
+
+  it('sends the run to webhooks with its output cut short', () => {
+    const event = scheduledRunEvent(routine, {
+      id: 'run-1',
+      status: 'completed',
+      trigger: 'schedule',
+      run_as: 'owner',
+      scheduled_for: '2026-10-19T13:00:00Z',
+      chat_id: 'chat-1',
+      output: 'x'.repeat(5000),
+      error: null,
+    });
+    expect(event).toMatchObject({
+      routine_id: 'r-1',
+      routine_name: 'failed-payments',
+      run_id: 'run-1',
+      status: 'completed',
+      trigger: 'schedule',
+      scheduled_for: '2026-10-19T13:00:00Z',
+      chat_id: 'chat-1',
+      error: null,
+    });
+    expect(event.output).toHaveLength(4001);
+    expect(event.output.endsWith('…')).toBe(true);
+  });
+});
+
+describe('isValidTimezone', () => {
+  it('knows IANA names', () => {
+    expect(isValidTimezone('Europe/Berlin')).toBe(true);
+    expect(isValidTimezone('Not/AZone')).toBe(false);
+    expect(isValidTimezone(undefined)).toBe(false);
+  });
+});
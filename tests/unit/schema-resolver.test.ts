@@ -0,0 +1,153 @@
+/**
+ * Unit tests for $ref resolution and allOf/oneOf/anyOf flattening.
+ *
+ * Run with: yarn test tests/unit/schema-resolver.test.ts
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createSchemaResolver, flattenComposition } from '@/lib/tools/schema-resolver';
+import { parseOpenApiSpec } from '@/lib/tools/openapi-parser';
+
+const SPEC = {
+  openapi: '3.0.3',
+  info: { title: 'Billing', version: '1' },
+  servers: [{ url: 'https://billing.example.com' }],
+  paths: {
+    '/customers/{id}': {
+      parameters: [{ $ref: '#/components/parameters/CustomerId' }],
+      post: {
+        operationId: 'updateCustomer',
+        parameters: [{ name: 'expand', in: 'query', schema: { $ref: '#/components/schemas/Expand' } }],
+        requestBody: { $ref: '#/components/requestBodies/CustomerUpdate' },
+      },
+    },
+  },
+  components: {
+    parameters: {
+      CustomerId: { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+    },
+    requestBodies: {
+      CustomerUpdate: {
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/CustomerUpdate' } } },
+      },
+    },
+    schemas: {
+      Expand: { type: 'array', items: { type: 'string', enum: ['invoices', 'subscriptions'] } },
+      Address: {
+        type: 'object',
+        properties: { city: { type: 'string' }, country: { type: 'string' } },
+        required: ['country'],
+      },
+      Base: { type: 'object', properties: { email: { type: 'string', format: 'email' } }, required: ['email'] },
+      Customer: {
+        type: 'object',
+        properties: { name: { type: 'string' }, parent: { $ref: '#/components/schemas/Customer' } },
+      },
+      CustomerUpdate: {
+        allOf: [
+          { $ref: '#/components/schemas/Base' },
+          {
+            type: 'object',
+            properties: {
+              address: { $ref: '#/components/schemas/Address' },
+              referrer: { $ref: '#/components/schemas/Customer' },
+              description: { anyOf: [{ type: 'string', maxLength: 500 }, { type: 'string', enum: [''] }] },
+            },
+          },
+        ],
+      },
+    },
+  },
+};
+
+describe('createSchemaResolver', () => {
+  const { resolveSchema, resolveObject } = createSchemaResolver(SPEC);
+
+  it('dereferences local schema refs', () => {
+    expect(resolveSchema({ $ref: '#/components/schemas/Address' })).toEqual(SPEC.components.schemas.Address);
+  });
+
+  it('follows parameter and requestBody refs', () => {
+    expect(resolveObject({ $ref: '#/components/parameters/CustomerId' }).name).toBe('id');
+    expect(resolveObject({ $ref: '#/components/requestBodies/CustomerUpdate' }).content).toBeDefined();
+  });
+
+  it('cuts off recursive schemas', () => {
+    const customer = resolveSchema({ $ref: '#/components/schemas/Customer' });
+    expect(customer.properties.parent.type).toBe('object');
+    expect(customer.properties.parent.properties).toBeUndefined();
+    expect(customer.properties.parent.description).toMatch(/recursively/);
+  });
+
+  it('marks unresolvable refs instead of throwing', () => {
+    expect(resolveSchema({ $ref: '#/components/schemas/Missing' })).toMatchObject({
+      type: 'object',
+      description: 'Unresolved reference: #/components/schemas/Missing',
+    });
+    expect(resolveSchema({ $ref: 'https://example.com/schema.json' }).description).toMatch(/Unresolved/);
+  });
+});
+
+describe('flattenComposition', () => {
+  it('merges allOf properties and required', () => {
+    expect(flattenComposition({
+      allOf: [
+        { type: 'object', properties: { a: { type: 'string' } }, required: ['a'] },
+        { properties: { b: { type: 'integer' } }, required: ['b'] },
+      ],
+      description: 'Combined',
+    })).toEqual({
+      type: 'object',
+      properties: { a: { type: 'string' }, b: { type: 'integer' } },
+      required: ['a', 'b'],
+      description: 'Combined',
+    });
+  });
+
+  it('unions oneOf object variants and keeps only shared required fields', () => {
+    const flat = flattenComposition({
+      oneOf: [
+        { type: 'object', title: 'Card', properties: { number: { type: 'string' }, currency: { type: 'string' } }, required: ['number', 'currency'] },
+        { type: 'object', title: 'Bank', properties: { iban: { type: 'string' }, currency: { type: 'string' } }, required: ['iban', 'currency'] },
+      ],
+    });
+    expect(Object.keys(flat.properties)).toEqual(['number', 'currency', 'iban']);
+    expect(flat.required).toEqual(['currency']);
+    expect(flat.description).toBe('One of: Card, Bank');
+  });
+
+  it('drops empty-string placeholders and nulls from anyOf', () => {
+    expect(flattenComposition({ anyOf: [{ type: 'integer' }, { type: 'string', enum: [''] }, { type: 'null' }] }))
+      .toEqual({ type: 'integer' });
+  });
+
+  it('unions enums of same-typed variants', () => {
+    expect(flattenComposition({ oneOf: [{ type: 'string', enum: ['a'] }, { type: 'string', enum: ['b'] }] }))
+      .toEqual({ type: 'string', enum: ['a', 'b'] });
+  });
+
+  it('keeps the first of mixed-type variants and describes the rest', () => {
+    expect(flattenComposition({ anyOf: [{ type: 'string' }, { type: 'integer' }] }))
+      .toEqual({ type: 'string', description: 'Any of: string, integer' });
+  });
+});
+
+describe('parseOpenApiSpec with components', () => {
+  const [tool] = parseOpenApiSpec(SPEC).tools;
+
+  it('resolves parameters from components', () => {
+    expect(tool.parameters.properties.id).toMatchObject({ type: 'string', in: 'path' });
+    expect(tool.parameters.required).toEqual(['id']);
+    expect(tool.parameters.properties.expand.items.enum).toEqual(['invoices', 'subscriptions']);
+  });
+
+  it('produces a flat, self-contained request body', () => {
+    const body = tool.request_body;
+    expect(body.type).toBe('object');
+    expect(body.required).toEqual(['email']);
+    expect(body.properties.email.format).toBe('email');
+    expect(body.properties.address.properties.country.type).toBe('string');
+    expect(body.properties.description).toEqual({ type: 'string', maxLength: 500 });
+    expect(JSON.stringify(body)).not.toContain('$ref');
+  });
+});
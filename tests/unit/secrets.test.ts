@@ -0,0 +1,267 @@
+/**
+ * Unit tests for envelope encryption of stored secrets: master/data key
+ * wrapping, per-org data keys and the credential/settings/auth_config helpers.
+ *
+ * Run with: yarn test tests/unit/secrets.test.ts
+ */
+
+import crypto from 'crypto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  getMasterKeys,
+  generateDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  encryptValue,
+  decryptValue,
+  isEncrypted,
+} from '@/lib/secrets/envelope';
+import {
+  setKeyStore,
+  createDataKey,
+  encryptCredentials,
+  decryptCredentials,
+  encryptSettings,
+  decryptSettings,
+  encryptAuthConfig,
+  decryptAuthConfig,
+  encryptSecret,
+  decryptSealedSecret,
+} from '@/lib/secrets/keyring';
+import { rewrapDataKeys, encryptOrgSecrets, purgeRetiredDataKeys } from '@/lib/secrets/rotation';
+
+const MASTER = crypto.randomBytes(32).toString('base64');
+const NEXT_MASTER = crypto.randomBytes(32).toString('hex');
+const ORG = 'org-1';
+const OTHER_ORG = 'org-2';
+
+/** In-memory org_data_keys table with the query-builder calls the keyring uses. */
+function fakeKeyStore() {
+  const rows: any[] = [];
+  let nextId = 1;
+
+  const query = (filters: Array<[string, string, any]> = []) => {
+    const matches = () => rows.filter(r => filters.every(([op, col, v]) => (op === 'eq' ? r[col] === v : r[col] !== v)));
+    const builder: any = {
+      eq: (col, v) => query([...filters, ['eq', col, v]]),
+      neq: (col, v) => query([...filters, ['neq', col, v]]),
+      maybeSingle: async () => ({ data: matches()[0] || null, error: null }),
+      then: (resolve) => resolve({ data: matches(), error: null }),
+    };
+    return builder;
+  };
+
+  const update = (values, filters: Array<[string, any]> = []) => ({
+    eq: (col, v) => update(values, [...filters, [col, v]]),
+    then: (resolve) => {
+      rows.filter(r => filters.every(([c, val]) => r[c] === val)).forEach(r => Object.assign(r, values));
+      resolve({ error: null });
+    },
+  });
+
+  return {
+    rows,
+    from: () => ({
+      select: () => query(),
+      update: (values) => update(values),
+      insert: (values) => ({
+        select: () => ({
+          single: async () => {
+            if (values.is_active && rows.some(r => r.org_id === values.org_id && r.is_active)) {
+              return { data: null, error: { code: '23505', message: 'duplicate key' } };
+            }
+            const row = { id: `key-${nextId++}`, ...values };
+            rows.push(row);
+            return { data: { id: row.id }, error: null };
+          },
+        }),
+      }),
+    }),
+  };
+}
+
+/**
+ * In-memory tables for the rotation helpers: select/update/delete with eq, in,
+ * not-null filters and .range(), returning at most `cap` rows per response
+ * like PostgREST's max-rows.
+ */
+function fakeTables(tables: Record<string, any[]>, cap: number) {
+  return {
+    from(table: string) {
+      const filters: Array<(row: any) => boolean> = [];
+      let action: 'select' | 'update' | 'delete' = 'select';
+      let values: any = null;
+      let range: [number, number] | null = null;
+      const run = () => {
+        const matches = tables[table].filter(row => filters.every(f => f(row)));
+        if (action === 'update') matches.forEach(row => Object.assign(row, values));
+        if (action === 'delete') tables[table] = tables[table].filter(row => !matches.includes(row));
+        const page = range ? matches.slice(range[0], range[1] + 1) : matches;
+        return { data: page.slice(0, cap), error: null };
+      };
+      const query: any = {
+        select: () => query,
+        update: (v) => ((action = 'update'), (values = v), query),
+        delete: () => ((action = 'delete'), query),
+        eq: (col, v) => (filters.push(row => row[col] === v), query),
+        in: (col, vs) => (filters.push(row => vs.includes(row[col])), query),
+        not: (col) => (filters.push(row => row[col] !== null && row[col] !== undefined), query),
+        order: () => query,
+        range: (from, to) => ((range = [from, to]), query),
+        single: async () => ({ data: run().data[0], error: null }),
+        maybeSingle: async () => ({ data: run().data[0] || null, error: null }),
+        then: (resolve) => resolve(run()),
+      };
+      return query;
+    },
+  };
+}
+
+describe('envelope', () => {
+  it('reads base64 and hex master keys, current first', () => {
+    const keys = getMasterKeys({ CREDENTIALS_MASTER_KEY: NEXT_MASTER, CREDENTIALS_MASTER_KEY_PREVIOUS: MASTER });
+    expect(keys).toHaveLength(2);
+    expect(keys[0].key.toString('hex')).toBe(NEXT_MASTER);
+    expect(keys[1].key.toString('base64')).toBe(MASTER);
+    expect(() => getMasterKeys({ CREDENTIALS_MASTER_KEY: 'too-short' })).toThrow('32 bytes');
+  });
+
+  it('binds a wrapped data key to its org', () => {
+    const masterKeys = getMasterKeys({ CREDENTIALS_MASTER_KEY: MASTER });
+    const dataKey = generateDataKey();
+    const wrapped = wrapDataKey(dataKey, masterKeys[0].key, ORG);
+
+    expect(unwrapDataKey(wrapped, masterKeys, masterKeys[0].id, ORG).equals(dataKey)).toBe(true);
+    expect(() => unwrapDataKey(wrapped, masterKeys, masterKeys[0].id, OTHER_ORG)).toThrow();
+  });
+
+  it('round-trips values and detects tampering', () => {
+    const dataKey = generateDataKey();
+    const envelope = encryptValue({ token: 'sk_live_123' }, dataKey, 'key-1');
+
+    expect(isEncrypted(envelope)).toBe(true);
+    expect(JSON.stringify(envelope)).not.toContain('sk_live_123');
+    expect(decryptValue(envelope, dataKey)).toEqual({ token: 'sk_live_123' });
+    expect(() => decryptValue({ ...envelope, kid: 'key-2' }, dataKey)).toThrow();
+  });
+});
+
+describe('keyring', () => {
+  let store: ReturnType<typeof fakeKeyStore>;
+
+  beforeEach(() => {
+    vi.stubEnv('CREDENTIALS_MASTER_KEY', MASTER);
+    store = fakeKeyStore();
+    setKeyStore(store);
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('creates one data key per org on first use', async () => {
+    const a = await encryptCredentials(ORG, { token: 'a' });
+    const b = await encryptCredentials(ORG, { token: 'b' });
+    await encryptCredentials(OTHER_ORG, { token: 'c' });
+
+    expect(a.kid).toBe(b.kid);
+    expect(store.rows.map(r => r.org_id)).toEqual([ORG, OTHER_ORG]);
+    expect(await decryptCredentials(ORG, b)).toEqual({ token: 'b' });
+  });
+
+  it('refuses to decrypt another org\'s values', async () => {
+    const stored = await encryptCredentials(ORG, { token: 'a' });
+    await expect(decryptCredentials(OTHER_ORG, stored)).rejects.toThrow('another organization');
+  });
+
+  it('passes plaintext rows through on read', async () => {
+    expect(await decryptCredentials(ORG, { token: 'legacy' })).toEqual({ token: 'legacy' });
+    expect(await decryptSettings(ORG, { openai_api_key: 'sk-legacy' })).toEqual({ openai_api_key: 'sk-legacy' });
+  });
+
+  it('refuses plaintext where the server only writes envelopes', async () => {
+    const sealed = await encryptSecret(ORG, { amount: 100 });
+    expect(await decryptSealedSecret(ORG, sealed)).toEqual({ amount: 100 });
+    expect(await decryptSealedSecret(ORG, null)).toBeNull();
+    await expect(decryptSealedSecret(ORG, { amount: 999999 })).rejects.toThrow('not encrypted');
+  });
+
+  it('encrypts only the secret settings and auth_config fields', async () => {
+    const settings = await encryptSettings(ORG, { openai_api_key: 'sk-1', default_model: 'gpt-5-mini' });
+    expect(isEncrypted(settings.openai_api_key)).toBe(true);
+    expect(settings.default_model).toBe('gpt-5-mini');
+    expect(await decryptSettings(ORG, settings)).toEqual({ openai_api_key: 'sk-1', default_model: 'gpt-5-mini' });
+
+    const authConfig = await encryptAuthConfig(ORG, { client_id: 'cid', client_secret: 'shh', token_url: 'https://x/token' });
+    expect(authConfig.client_id).toBe('cid');
+    expect(isEncrypted(authConfig.client_secret)).toBe(true);
+    expect((await decryptAuthConfig(ORG, authConfig)).client_secret).toBe('shh');
+  });
+
+  it('does not double-encrypt', async () => {
+    const settings = await encryptSettings(ORG, { openai_api_key: 'sk-1' });
+    expect(await encryptSettings(ORG, settings)).toEqual(settings);
+  });
+
+  it('keeps retired data keys readable after rotation', async () => {
+    const old = await encryptCredentials(ORG, { token: 'old' });
+    const { id } = await createDataKey(ORG);
+    const fresh = await encryptCredentials(ORG, { token: 'new' });
+
+    expect(fresh.kid).toBe(id);
+    expect(store.rows.filter(r => r.is_active)).toHaveLength(1);
+
+    setKeyStore(store); // drop the cache so the retired key is loaded from the store
+    expect(await decryptCredentials(ORG, old)).toEqual({ token: 'old' });
+  });
+
+  it('re-wraps data keys under a new master key', async () => {
+    const stored = await encryptCredentials(ORG, { token: 'a' });
+
+    vi.stubEnv('CREDENTIALS_MASTER_KEY', NEXT_MASTER);
+    vi.stubEnv('CREDENTIALS_MASTER_KEY_PREVIOUS', MASTER);
+    expect(await rewrapDataKeys(store)).toBe(1);
+
+    vi.stubEnv('CREDENTIALS_MASTER_KEY_PREVIOUS', '');
+    setKeyStore(store);
+    expect(await decryptCredentials(ORG, stored)).toEqual({ token: 'a' });
+  });
+
+  describe('rotation', () => {
+    const setup = async (credentialCount: number) => {
+      const old = await encryptCredentials(ORG, { token: 'old' });
+      const tables: Record<string, any[]> = {
+        org: [{ id: ORG, settings: {} }],
+        api_sources: [{ id: 'src-1', org_id: ORG, auth_config: {}, shared_credentials: {} }],
+        user_api_credentials: Array.from({ length: credentialCount }, (_, i) => ({ id: `cred-${i}`, source_id: 'src-1', credentials: old })),
+        webhook_endpoints: [],
+        action_log: [{ id: 'act-1', org_id: ORG, queued_args: old }],
+        org_data_keys: store.rows,
+      };
+      const { id: retiredId } = store.rows[0];
+      await createDataKey(ORG);
+      return { tables, retiredId };
+    };
+
+    it('re-encrypts rows past the response cap', async () => {
+      const { tables } = await setup(5);
+      const counts = await encryptOrgSecrets(fakeTables(tables, 2), ORG);
+
+      expect(counts).toMatchObject({ credentials: 5, queued: 1 });
+      const activeId = store.rows.find(r => r.is_active).id;
+      expect(tables.user_api_credentials.every(c => c.credentials.kid === activeId)).toBe(true);
+    });
+
+    it('keeps a retired key while a stored value still uses it', async () => {
+      const { tables, retiredId } = await setup(3);
+      const client = fakeTables(tables, 2);
+
+      expect(await purgeRetiredDataKeys(client, { orgId: ORG })).toEqual({ purged: 0, kept: [retiredId] });
+      expect(store.rows.map(r => r.id)).toContain(retiredId);
+
+      await encryptOrgSecrets(client, ORG);
+      expect(await purgeRetiredDataKeys(client, { orgId: ORG })).toEqual({ purged: 1, kept: [] });
+      expect(tables.org_data_keys.map(r => r.id)).not.toContain(retiredId);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for deriving auth from securitySchemes and for sending API keys
+ * in headers, query parameters and cookies.
+ *
+ * Run with: yarn test tests/unit/security-schemes.test.ts
+ */
+
+import { describe, it, expect } from 'vitest';
+import { detectAuth, schemeToAuth } from '@/lib/tools/security-schemes';
+import { describeSpec, loadSpecDocument } from '@/lib/tools/spec-loader';
+import { parseOpenApiSpec } from '@/lib/tools/openapi-parser';
+import { buildAuthHeaders, buildAuthQuery } from '@/lib/tools/executor';
+
+const spec = (securitySchemes, security, operationSecurity?) => ({
+  openapi: '3.0.3',
+  info: { title: 'Test', version: '1' },
+  ...(security ? { security } : {}),
+  paths: {
+    '/a': { get: { operationId: 'a', ...(operationSecurity ? { security: operationSecurity } : {}) } },
+    '/b': { get: { operationId: 'b' } },
+  },
+  components: { securitySchemes },
+});
+
+describe('schemeToAuth', () => {
+  it('maps http bearer with its format', () => {
+    expect(schemeToAuth('jwt', { type: 'http', scheme: 'Bearer', bearerFormat: 'JWT' })).toEqual({
+      auth_type: 'bearer',
+      auth_config: { scheme: 'jwt', bearer_format: 'JWT' },
+    });
+  });
+
+  it('maps apiKey locations', () => {
+    expect(schemeToAuth('key', { type: 'apiKey', in: 'query', name: 'api_key' })).toEqual({
+      auth_type: 'api_key',
+      auth_config: { scheme: 'key', in: 'query', name: 'api_key' },
+    });
+    expect(schemeToAuth('session', { type: 'apiKey', in: 'cookie', name: 'sid' }).auth_config.in).toBe('cookie');
+  });
+
+  it('maps OAuth2 authorization-code flows to oauth2', () => {
+    expect(schemeToAuth('oauth', {
+      type: 'oauth2',
+      flows: {
+        authorizationCode: {
+          authorizationUrl: 'https://auth.example.com/authorize',
+          tokenUrl: 'https://auth.example.com/token',
+          scopes: { 'contacts.read': 'Read contacts', 'contacts.write': 'Write contacts' },
+        },
+      },
+    })).toEqual({
+      auth_type: 'oauth2',
+      auth_config: {
+        scheme: 'oauth',
+        authorization_url: 'https://auth.example.com/authorize',
+        token_url: 'https://auth.example.com/token',
+        scopes: ['contacts.read', 'contacts.write'],
+      },
+    });
+  });
+
+  it('sends other OAuth2 tokens as bearer and skips unsupported schemes', () => {
+    expect(schemeToAuth('oauth', { type: 'oauth2', flows: {} }).auth_type).toBe('bearer');
+    expect(schemeToAuth('digest', { type: 'http', scheme: 'digest' })).toBeNull();
+  });
+});
+
+describe('detectAuth', () => {
+  const schemes = {
+    basicAuth: { type: 'http', scheme: 'basic' },
+    apiKey: { type: 'apiKey', in: 'header', name: 'X-Api-Token' },
+  };
+
+  it('returns null when the spec declares no schemes', () => {
+    expect(detectAuth(spec({}, null))).toBeNull();
+  });
+
+  it('uses the document-level requirement', () => {
+    expect(detectAuth(spec(schemes, [{ apiKey: [] }])).auth_config).toEqual({
+      scheme: 'apiKey',
+      in: 'header',
+      name: 'X-Api-Token',
+    });
+  });
+
+  it('picks the scheme most operations require', () => {
+    const doc = spec(schemes, null, [{ basicAuth: [] }]);
+    doc.paths['/b'].get.security = [{ basicAuth: [] }];
+    expect(detectAuth(doc).auth_type).toBe('basic');
+  });
+
+  it('returns none when every operation is public', () => {
+    expect(detectAuth(spec(schemes, [])).auth_type).toBe('none');
+  });
+
+  it('reads Swagger 2.0 securityDefinitions', () => {
+    const swagger = loadSpecDocument(`
+swagger: "2.0"
+info: { title: Legacy, version: "1" }
+securityDefinitions:
+  key: { type: apiKey, in: query, name: token }
+security: [{ key: [] }]
+paths:
+  /items: { get: { operationId: listItems } }
+`);
+    expect(describeSpec(swagger).auth).toEqual({
+      auth_type: 'api_key',
+      auth_config: { scheme: 'key', in: 'query', name: 'token' },
+    });
+    expect(parseOpenApiSpec(swagger).source_meta.auth.auth_config.name).toBe('token');
+  });
+});
+
+describe('API key placement', () => {
+  const creds = { api_key: 'secret', header_name: 'X-API-Key' };
+
+  it('uses the header named by the spec', () => {
+    const source = { auth_type: 'api_key', auth_config: { in: 'header', name: 'X-Api-Token' } };
+    expect(buildAuthHeaders(source, creds)).toEqual({ 'X-Api-Token': 'secret' });
+  });
+
+  it('falls back to the credential header when the source has no config', () => {
+    expect(buildAuthHeaders({ auth_type: 'api_key', auth_config: {} }, creds)).toEqual({ 'X-API-Key': 'secret' });
+  });
+
+  it('sends query keys as params instead of headers', () => {
+    const source = { auth_type: 'api_key', auth_config: { in: 'query', name: 'api_key' } };
+    expect(buildAuthHeaders(source, creds)).toEqual({});
+    expect(buildAuthQuery(source, creds)).toEqual({ api_key: 'secret' });
+  });
+
+  it('uses the default param name when the spec names none', () => {
+    const source = { auth_type: 'api_key', auth_config: { in: 'query' } };
+    expect(buildAuthQuery(source, creds)).toEqual({ api_key: 'secret' });
+    expect(buildAuthHeaders({ auth_type: 'api_key', auth_config: { in: 'cookie' } }, creds)).toEqual({ Cookie: 'api_key=secret' });
+  });
+
+  it('sends cookie keys as a Cookie header', () => {
+    const source = { auth_type: 'api_key', auth_config: { in: 'cookie', name: 'sid' } };
+    expect(buildAuthHeaders(source, { api_key: 'a b' })).toEqual({ Cookie: 'sid=a%20b' });
+    expect(buildAuthQuery(source, { api_key: 'a b' })).toEqual({});
+  });
+
+  it('still requires a key', () => {
+    const source = { name: 'Orders', auth_type: 'api_key', auth_config: { in: 'query', name: 'api_key' } };
+    expect(() => buildAuthHeaders(source, {})).toThrow('requires an API key');
+  });
+});
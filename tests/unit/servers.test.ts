@@ -0,0 +1,151 @@
+/**
+ * Unit tests for multi-server support: parsing declared servers, picking the
+ * server for a call, keeping shared-credential calls on the admin's hosts and
+ * substituting server variables in buildUrl.
+ *
+ * Run with: yarn test tests/unit/servers.test.ts
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { normalizeServers, resolveServer, mergeEnvironments, substituteServerVariables } from '@/lib/tools/servers';
+import { parseOpenApiSpec } from '@/lib/tools/openapi-parser';
+import { buildUrl, executeTool } from '@/lib/tools/executor';
+
+const SPEC = {
+  openapi: '3.0.3',
+  info: { title: 'Orders', version: '1' },
+  servers: [
+    {
+      url: 'https://{region}.api.example.com/v1/',
+      description: 'Production',
+      variables: { region: { default: 'us', enum: ['us', 'eu'] } },
+    },
+    { url: 'https://staging.example.com/v1', description: 'Staging' },
+  ],
+  paths: {
+    '/orders': { get: { operationId: 'listOrders' } },
+    '/exports': {
+      servers: [{ url: 'https://exports.example.com' }],
+      post: { operationId: 'createExport' },
+    },
+  },
+};
+
+describe('parseOpenApiSpec servers', () => {
+  const { source_meta, tools } = parseOpenApiSpec(SPEC);
+  const byOp = Object.fromEntries(tools.map(t => [t.operation_id, t]));
+
+  it('keeps every declared server and defaults base_url to the first', () => {
+    expect(source_meta.servers.map(s => s.url)).toEqual([
+      'https://{region}.api.example.com/v1',
+      'https://staging.example.com/v1',
+    ]);
+    expect(source_meta.servers[0].variables.region).toEqual({ default: 'us', enum: ['us', 'eu'] });
+    expect(source_meta.base_url).toBe('https://{region}.api.example.com/v1');
+  });
+
+  it('records path- and operation-level server overrides', () => {
+    expect(byOp.listOrders.servers).toEqual([]);
+    expect(byOp.createExport.servers.map(s => s.url)).toEqual(['https://exports.example.com']);
+  });
+});
+
+describe('resolveServer', () => {
+  const source = {
+    base_url: 'https://{region}.api.example.com/v1',
+    servers: normalizeServers(SPEC.servers),
+    server_variables: {},
+  };
+
+  it('uses declared variable defaults', () => {
+    expect(resolveServer(source)).toEqual({ url: source.base_url, variables: { region: 'us' } });
+  });
+
+  it('lets source, agent and user values override in order', () => {
+    const resolved = resolveServer({
+      ...source,
+      server_variables: { region: 'eu' },
+      environment: mergeEnvironments({ server_variables: { region: 'us' } }, null),
+    });
+    expect(resolved.variables.region).toBe('us');
+  });
+
+  it('switches to another declared server', () => {
+    const resolved = resolveServer({ ...source, environment: { server_url: 'https://staging.example.com/v1' } });
+    expect(resolved.url).toBe('https://staging.example.com/v1');
+  });
+
+  it('ignores a server_url that is not declared', () => {
+    const resolved = resolveServer({ ...source, environment: { server_url: 'https://evil.example.com' } });
+    expect(resolved.url).toBe(source.base_url);
+  });
+
+  it('rejects values outside a variable enum', () => {
+    expect(() => resolveServer({ ...source, server_variables: { region: 'apac' } }))
+      .toThrow('must be one of: us, eu');
+  });
+
+  it('prefers operation-level servers', () => {
+    const tool = { servers: normalizeServers([{ url: 'https://exports.example.com' }]) };
+    expect(resolveServer(source, tool).url).toBe('https://exports.example.com');
+  });
+});
+
+describe('server variables with the shared credential', () => {
+  const source = {
+    id: 'src_1',
+    name: 'Tenant API',
+    base_url: 'https://{host}/v1',
+    servers: normalizeServers([{ url: 'https://{host}/v1', variables: { host: { default: 'api.example.com' } } }]),
+    server_variables: { host: 'acme.example.com' },
+    auth_type: 'bearer',
+  };
+  const tool = { name: 'list_orders', method: 'GET', path: '/orders', parameters: { type: 'object', properties: {} } };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('refuses agent/user values for variables without an enum', () => {
+    const overridden = { ...source, environment: mergeEnvironments({ server_variables: { host: 'evil.example' } }) };
+    expect(() => resolveServer(overridden, {}, { sharedCredential: true }))
+      .toThrow('Server variable "host" can\'t be changed for calls with the shared credential');
+    expect(resolveServer(overridden).variables.host).toBe('evil.example');
+    expect(resolveServer({ ...source, environment: { server_variables: { host: 'acme.example.com' } } }, {}, { sharedCredential: true }).variables.host)
+      .toBe('acme.example.com');
+  });
+
+  it('does not send a shared-credential call to an overridden host', async () => {
+    const fetch = vi.fn();
+    vi.stubGlobal('fetch', fetch);
+    const result = await executeTool({
+      tool,
+      source: { ...source, environment: mergeEnvironments({ server_variables: { host: 'evil.example' } }) },
+      args: {},
+      userCredentials: { token: 'org-token' },
+      userId: null,
+      credentialIdentity: { type: 'shared', source_id: 'src_1' },
+    });
+    expect(fetch).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ response_status: 0, error_message: expect.stringMatching(/shared credential/) });
+  });
+});
+
+describe('buildUrl with server variables', () => {
+  const params = { type: 'object', properties: { id: { type: 'string', in: 'path' } } };
+
+  it('substitutes variables into the base URL', () => {
+    expect(buildUrl('https://{region}.api.example.com/v1', '/orders/{id}', { id: '42' }, params, { region: 'eu' }))
+      .toBe('https://eu.api.example.com/v1/orders/42');
+  });
+
+  it('throws when a variable has no value', () => {
+    expect(() => buildUrl('https://{region}.api.example.com', '/orders', {}, null))
+      .toThrow('No value for server variable "region"');
+  });
+
+  it('encodes values so they cannot change the host', () => {
+    expect(substituteServerVariables('https://{region}.api.example.com', { region: 'evil.com/x?' }))
+      .toBe('https://evil.com%2Fx%3F.api.example.com');
+  });
+});
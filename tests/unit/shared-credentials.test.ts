@@ -0,0 +1,118 @@
+/**
+ * Unit tests for org-level shared credentials: which credential a call runs
+ * with under each credential_mode, and the identity recorded for it.
+ *
+ * Run with: yarn test tests/unit/shared-credentials.test.ts
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  resolveSourceCredential,
+  validateCredentialInput,
+  maskCredentials,
+  hasSharedCredentials,
+  buildAuthHeaders,
+  executeTool,
+} from '@/lib/tools';
+
+const SHARED = { token: 'sk_live_shared_000000' };
+const USER_ROW = {
+  id: 'cred_1',
+  label: 'Mine',
+  credentials: { token: 'sk_live_mine_1111111' },
+  server_url: null,
+  server_variables: {},
+};
+
+function source(mode, shared: object = SHARED) {
+  return {
+    id: 'src_1',
+    org_id: 'org_1',
+    name: 'Stripe',
+    auth_type: 'bearer',
+    credential_mode: mode,
+    shared_credentials: shared,
+  };
+}
+
+describe('resolveSourceCredential', () => {
+  it('uses only the member\'s own credential in user mode', async () => {
+    const mine = await resolveSourceCredential(source('user'), USER_ROW, { userId: 'u1' });
+    expect(mine.row).toBe(USER_ROW);
+    expect(mine.identity).toEqual({ type: 'user', user_id: 'u1', credential_id: 'cred_1', label: 'Mine' });
+
+    const none = await resolveSourceCredential(source('user'), null);
+    expect(none).toEqual({ row: null, identity: { type: 'none' } });
+  });
+
+  it('ignores personal credentials in shared mode', async () => {
+    const { row, identity } = await resolveSourceCredential(source('shared'), USER_ROW, { userId: 'u1' });
+    expect(row.credentials).toEqual(SHARED);
+    expect(row.id).toBeNull();
+    expect(identity).toEqual({ type: 'shared', source_id: 'src_1' });
+  });
+
+  it('lets a member override the shared credential', async () => {
+    const own = await resolveSourceCredential(source('user_override'), USER_ROW, { userId: 'u1' });
+    expect(own.identity.type).toBe('user');
+
+    const fallback = await resolveSourceCredential(source('user_override'), null, { userId: 'u2' });
+    expect(fallback.row.credentials).toEqual(SHARED);
+    expect(fallback.identity.type).toBe('shared');
+  });
+
+  it('treats an empty shared credential as unset', async () => {
+    expect(hasSharedCredentials(source('shared', {}))).toBe(false);
+    const { row, identity } = await resolveSourceCredential(source('shared', {}), USER_ROW);
+    expect(row).toBeNull();
+    expect(identity.type).toBe('none');
+  });
+
+  it('defaults sources without a mode to user', async () => {
+    const { identity } = await resolveSourceCredential({ ...source('user'), credential_mode: undefined }, USER_ROW);
+    expect(identity.type).toBe('user');
+  });
+});
+
+describe('credential input', () => {
+  it('validates fields per auth type', () => {
+    expect(validateCredentialInput('api_key', { api_key: 'k' })).toEqual({
+      credentials: { api_key: 'k', header_name: 'X-API-Key' },
+    });
+    expect(validateCredentialInput('basic', { username: 'a' })).toEqual({ error: 'username and password are required' });
+    expect(validateCredentialInput('oauth2', {}).error).toContain('Connect button');
+  });
+
+  it('masks previews', () => {
+    expect(maskCredentials(SHARED, 'bearer')).toBe('sk_l...0000');
+    expect(maskCredentials({ username: 'ops', password: 'x' }, 'basic')).toBe('ops:****');
+  });
+});
+
+describe('executor', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('points members at an admin when the shared credential is missing', () => {
+    expect(() => buildAuthHeaders(source('shared'), null)).toThrow('Ask an admin to set the shared credential for "Stripe"');
+    expect(() => buildAuthHeaders(source('user'), null)).toThrow('Add your credentials for "Stripe"');
+  });
+
+  it('records the credential identity with the call', async () => {
+    vi.stubGlobal('fetch', async () => new Response('{"id":"ch_1"}', { headers: { 'content-type': 'application/json' } }));
+
+    const identity = { type: 'shared', source_id: 'src_1' };
+    const result = await executeTool({
+      tool: { name: 'get_charge', method: 'GET', path: '/charges/ch_1', parameters: {} },
+      source: { ...source('shared'), base_url: 'https://api.example.com' },
+      args: {},
+      userCredentials: SHARED,
+      userId: 'u1',
+      credentialIdentity: identity,
+    });
+
+    expect(result.response_status).toBe(200);
+    expect(result.credential_identity).toEqual(identity);
+  });
+});
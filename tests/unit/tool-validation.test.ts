@@ -0,0 +1,175 @@
+/**
+ * Unit tests for argument validation: LLM arguments are checked against the
+ * tool's parameters / request_body schema, and invalid calls are answered
+ * with structured errors instead of reaching the API (live MCP tools too).
+ *
+ * Run with: yarn test tests/unit/tool-validation.test.ts
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { jsonSchema } from 'ai';
+import { validateToolArgs, buildArgsSchema, executeTool, formatToolResult } from '@/lib/tools';
+import { wrapMCPTools } from '@/lib/mcp';
+
+const REFUND_TOOL = {
+  name: 'Create refund',
+  method: 'POST',
+  path: '/charges/{charge}/refunds',
+  parameters: {
+    type: 'object',
+    properties: {
+      charge: { type: 'string', in: 'path' },
+      expand: { type: 'array', items: { type: 'string' }, in: 'query' },
+    },
+  },
+  request_body: {
+    type: 'object',
+    properties: {
+      amount: { type: 'integer', minimum: 1 },
+      reason: { type: 'string', enum: ['duplicate', 'fraudulent', 'requested_by_customer'] },
+      receipt_email: { type: 'string', format: 'email', nullable: true },
+      // Untyped anyOf: the spec parser's sanitizer stores it with type "string"
+      metadata: {
+        type: 'string',
+        anyOf: [
+          { type: 'object', additionalProperties: { type: 'string' } },
+          { type: 'string', enum: [''] },
+        ],
+      },
+    },
+    required: ['amount'],
+  },
+};
+
+const SOURCE = { id: 'src_1', name: 'Payments', source_type: 'openapi', base_url: 'https://api.payments.test/v1', auth_type: 'none' };
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('buildArgsSchema', () => {
+  it('merges parameters and body, drops OpenAPI keywords and requires path placeholders', () => {
+    const schema = buildArgsSchema(REFUND_TOOL);
+    expect(schema.required).toEqual(['amount', 'charge']);
+    expect(schema.properties.charge).toEqual({ type: 'string' });
+    expect(schema.properties.receipt_email.type).toEqual(['string', 'null']);
+    expect(schema.properties.metadata.type).toBeUndefined();
+  });
+});
+
+describe('validateToolArgs', () => {
+  it('accepts valid arguments and coerces scalars', () => {
+    const result = validateToolArgs(REFUND_TOOL, { charge: 'ch_1', amount: '500', metadata: { order: '42' } });
+    expect(result).toMatchObject({ valid: true, errors: [] });
+    expect(result.args.amount).toBe(500);
+  });
+
+  it('does not modify the caller\'s arguments', () => {
+    const args = { charge: 'ch_1', amount: '500' };
+    validateToolArgs(REFUND_TOOL, args);
+    expect(args.amount).toBe('500');
+  });
+
+  it('reports missing, mistyped, out-of-enum and badly formatted fields', () => {
+    const result = validateToolArgs(REFUND_TOOL, { amount: 'five', reason: 'angry', receipt_email: 'nope' });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      { field: 'charge', message: 'is required' },
+      expect.objectContaining({ field: 'amount', message: 'must be integer' }),
+      expect.objectContaining({ field: 'reason', allowed_values: ['duplicate', 'fraudulent', 'requested_by_customer'] }),
+      expect.objectContaining({ field: 'receipt_email', expected_format: 'email' }),
+    ]));
+  });
+
+  it('validates MCP tools against their input schema', () => {
+    const tool = {
+      name: 'search',
+      method: 'MCP',
+      path: 'search',
+      parameters: { type: 'object', properties: { query: { type: 'string' }, limit: { type: 'integer' } }, required: ['query'] },
+    };
+    expect(validateToolArgs(tool, { query: 'x', limit: 5 }).valid).toBe(true);
+    expect(validateToolArgs(tool, { limit: 5 }).errors).toEqual([{ field: 'query', message: 'is required' }]);
+  });
+
+  it('reports nested fields with their path', () => {
+    const tool = {
+      name: 'Create order',
+      method: 'POST',
+      path: '/orders',
+      request_body: {
+        type: 'object',
+        properties: {
+          items: { type: 'array', items: { type: 'object', properties: { qty: { type: 'integer' } }, required: ['qty'] } },
+        },
+      },
+    };
+    expect(validateToolArgs(tool, { items: [{ qty: 1 }, {}] }).errors).toEqual([{ field: 'items[1].qty', message: 'is required' }]);
+  });
+});
+
+describe('executeTool validation', () => {
+  it('never calls the API and returns errors the model can act on', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await executeTool({ tool: REFUND_TOOL, source: SOURCE, args: { amount: 100 }, userCredentials: null, userId: null });
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(result.validation_errors).toEqual([{ field: 'charge', message: 'is required' }]);
+    expect(result.error_message).toBe('Invalid arguments: charge is required');
+
+    const text = formatToolResult(result);
+    expect(text).toMatch(/NOT sent/);
+    expect(JSON.parse(text.slice(text.indexOf('{')))).toEqual({
+      error: 'invalid_arguments',
+      errors: [{ field: 'charge', message: 'is required' }],
+    });
+  });
+
+  it('sends the coerced arguments when valid', async () => {
+    const fetchMock = vi.fn(async () => new Response('{"id":"re_1"}', { headers: { 'content-type': 'application/json' } }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await executeTool({ tool: REFUND_TOOL, source: SOURCE, args: { charge: 'ch_1', amount: '100', reason: '' }, userCredentials: null, userId: null });
+
+    expect(result.error_message).toBeNull();
+    const [url, init] = fetchMock.mock.calls[0] as any;
+    expect(url).toBe('https://api.payments.test/v1/charges/ch_1/refunds');
+    expect(JSON.parse(init.body)).toEqual({ amount: 100 });
+  });
+});
+
+describe('live MCP tool validation', () => {
+  const MCP_SOURCE = { id: 'src_2', name: 'Search', source_type: 'mcp', mcp_transport: 'http' };
+  const rawTool = (execute) => ({
+    description: 'Search records',
+    inputSchema: jsonSchema({
+      type: 'object',
+      properties: { query: { type: 'string' }, limit: { type: 'integer' } },
+      required: ['query'],
+      additionalProperties: false,
+    }),
+    execute,
+  });
+
+  it('never calls the server with invalid arguments', async () => {
+    const execute = vi.fn();
+    const { search } = wrapMCPTools(MCP_SOURCE, { search: rawTool(execute) });
+
+    const output = await search.execute({ limit: 5, sort: 'asc' }, { toolCallId: 'call_1', messages: [] });
+
+    expect(execute).not.toHaveBeenCalled();
+    expect(output._actionchat.error_message).toBe('Invalid arguments: query is required; sort is not a known parameter');
+    expect(output.result).toMatch(/NOT sent/);
+  });
+
+  it('calls it with the coerced arguments when valid', async () => {
+    const execute = vi.fn(async () => ({ content: [{ type: 'text', text: '{"results":[]}' }] }));
+    const { search } = wrapMCPTools(MCP_SOURCE, { search: rawTool(execute) });
+
+    await search.execute({ query: 'acme', limit: '5', sort: '' }, { toolCallId: 'call_2', messages: [] });
+
+    expect(execute).toHaveBeenCalledWith({ query: 'acme', limit: 5 }, { toolCallId: 'call_2', messages: [] });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Unit tests for reversible actions: inverse declarations, argument
+ * templates, the snapshot taken before a call, the undo it returns, and
+ * the tool an undo runs.
+ *
+ * Run with: yarn test tests/unit/undo.test.ts
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  validateInverse,
+  inverseForTool,
+  resolveTemplate,
+  buildInverseArgs,
+  planUndo,
+  undoBlocker,
+  loadUndoTool,
+  parseOpenApiSpec,
+  executeTool,
+} from '@/lib/tools';
+import { toActivityItem } from '@/lib/audit';
+
+const SOURCE = { id: 'src_1', name: 'Shop', source_type: 'openapi', base_url: 'https://api.shop.test', auth_type: 'none' };
+
+const GET_CUSTOMER = {
+  id: 'tool_get',
+  name: 'Get customer',
+  method: 'GET',
+  path: '/customers/{id}',
+  parameters: { type: 'object', properties: { id: { type: 'string', in: 'path' } }, required: ['id'] },
+};
+const UPDATE_CUSTOMER = {
+  id: 'tool_update',
+  name: 'Update customer',
+  method: 'PATCH',
+  path: '/customers/{id}',
+  parameters: { type: 'object', properties: { id: { type: 'string', in: 'path' } }, required: ['id'] },
+  request_body: { type: 'object', properties: { name: { type: 'string' }, email: { type: 'string' } } },
+};
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('inverse declarations', () => {
+  it('validates and normalises', () => {
+    expect(validateInverse(null)).toEqual({ inverse: null, error: null });
+    expect(validateInverse({ tool: ' deleteCustomer ', args: { id: '{{response.id}}' } }).inverse)
+      .toEqual({ tool: 'deleteCustomer', args: { id: '{{response.id}}' } });
+    expect(validateInverse({ args: {} }).error).toMatch(/inverse.tool/);
+    expect(validateInverse({ tool: 'x', snapshot: { tool: 'y', args: [] } }).error).toMatch(/snapshot.args/);
+    expect(validateInverse({ tool: 'x', restore: 'yes' }).error).toMatch(/restore/);
+  });
+
+  it('prefers a template override to the spec declaration', () => {
+    const tool = { operation_id: 'createCustomer', inverse: { tool: 'fromSpec', args: {} } };
+    expect(inverseForTool(tool, { createCustomer: { tool: 'fromTemplate' } })).toEqual({ tool: 'fromTemplate', args: {} });
+    expect(inverseForTool(tool, {})).toEqual({ tool: 'fromSpec', args: {} });
+    expect(inverseForTool({ operation_id: 'x' }, null)).toBeNull();
+  });
+
+  it('is read from the x-actionchat-inverse extension', () => {
+    const { tools } = parseOpenApiSpec({
+      openapi: '3.0.0',
+      info: { title: 'Shop' },
+      paths: {
+        '/customers': {
+          post: {
+            operationId: 'createCustomer',
+            'x-actionchat-inverse': { tool: 'deleteCustomer', args: { id: '{{response.id}}' } },
+          },
+        },
+        '/customers/{id}': {
+          delete: { operationId: 'deleteCustomer', 'x-actionchat-inverse': 'nope' },
+        },
+      },
+    });
+    const byOp = Object.fromEntries(tools.map(t => [t.operation_id, t]));
+    expect(byOp.createCustomer.inverse).toEqual({ tool: 'deleteCustomer', args: { id: '{{response.id}}' } });
+    expect(byOp.deleteCustomer.inverse).toBeNull();
+  });
+});
+
+describe('argument templates', () => {
+  const context = { args: { id: 'cus_1' }, response: { id: 'cus_2', total: 5 }, before: { name: 'Ada' } };
+
+  it('keeps whole-placeholder values as-is and interpolates the rest', () => {
+    expect(resolveTemplate({ id: '{{response.id}}', n: '{{response.total}}', path: 'customers/{{args.id}}', fixed: true }, context))
+      .toEqual({ id: 'cus_2', n: 5, path: 'customers/cus_1', fixed: true });
+  });
+
+  it('reports placeholders without a value', () => {
+    const missing = [];
+    resolveTemplate({ a: '{{response.missing}}', b: 'x-{{before.nope}}' }, context, missing);
+    expect(missing).toEqual(['response.missing', 'before.nope']);
+  });
+
+  it('restores the previous value of each argument sent', () => {
+    const inverse = { tool: 'updateCustomer', args: { id: '{{args.id}}' }, restore: true };
+    expect(buildInverseArgs(inverse, { args: { id: 'cus_1', name: 'Grace' }, before: { id: 'cus_1', name: 'Ada', email: 'a@x' } }))
+      .toEqual({ args: { id: 'cus_1', name: 'Ada' }, missing: [] });
+    expect(buildInverseArgs(inverse, { args: { id: 'cus_1' }, before: null }).missing).toEqual(['before']);
+  });
+});
+
+describe('planUndo', () => {
+  const inverse = { tool: 'deleteCustomer', args: { id: '{{response.id}}' } };
+  const inverseTool = { id: 'tool_delete', name: 'Delete customer', method: 'DELETE', path: '/customers/{id}' };
+
+  it('resolves the inverse call after a successful call', () => {
+    const { undo } = planUndo({ inverse, inverseTool, args: {}, result: { response_status: 201, response_body: { id: 'cus_9' } } });
+    expect(undo).toEqual({
+      tool_id: 'tool_delete',
+      tool_name: 'Delete customer',
+      method: 'DELETE',
+      path: '/customers/{id}',
+      args: { id: 'cus_9' },
+      is_template_tool: false,
+    });
+  });
+
+  it('offers nothing for failed calls, unknown tools or missing values', () => {
+    expect(planUndo({ inverse, inverseTool, args: {}, result: { response_status: 400, response_body: {} } }).reason).toMatch(/did not succeed/);
+    expect(planUndo({ inverse, inverseTool: null, args: {}, result: { response_status: 200 } }).reason).toMatch(/not found/);
+    expect(planUndo({ inverse, inverseTool, args: {}, result: { response_status: 200, response_body: {} } }).reason).toMatch(/response.id/);
+  });
+
+  it('tells whether a logged action can still be undone', () => {
+    expect(undoBlocker({ status: 'completed', undo: { tool_id: 't' } })).toBeNull();
+    expect(undoBlocker({ status: 'completed', undo: null })).toMatch(/no undo/);
+    expect(undoBlocker({ status: 'completed', undo: {}, undone_at: '2026-01-01' })).toMatch(/already/);
+    expect(toActivityItem({ status: 'completed', undo: { args: { secret: 1 } }, undone_at: null }))
+      .toEqual({ status: 'completed', undone_at: null, agent_name: null, source_name: null, undoable: true });
+  });
+});
+
+describe('executeTool with an inverse', () => {
+  const inverse = {
+    inverse: { tool: 'updateCustomer', args: { id: '{{args.id}}' }, restore: true, snapshot: { tool: 'getCustomer', args: { id: '{{args.id}}' } } },
+    inverseTool: UPDATE_CUSTOMER,
+    snapshotTool: GET_CUSTOMER,
+  };
+
+  it('snapshots first and returns the restoring undo', async () => {
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(json({ id: 'cus_1', name: 'Ada', email: 'ada@x' }))
+      .mockResolvedValueOnce(json({ id: 'cus_1', name: 'Grace', email: 'ada@x' }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await executeTool({ tool: UPDATE_CUSTOMER, source: SOURCE, args: { id: 'cus_1', name: 'Grace' }, userCredentials: null, userId: null, inverse });
+
+    expect(fetchMock.mock.calls.map(([url, init]: any) => `${init.method} ${url}`)).toEqual([
+      'GET https://api.shop.test/customers/cus_1',
+      'PATCH https://api.shop.test/customers/cus_1',
+    ]);
+    expect(result.undo).toMatchObject({ tool_id: 'tool_update', method: 'PATCH', args: { id: 'cus_1', name: 'Ada' } });
+  });
+
+  it('still makes the call when the snapshot fails, without an undo', async () => {
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(json({ error: 'not found' }, 404))
+      .mockResolvedValueOnce(json({ id: 'cus_1' }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await executeTool({ tool: UPDATE_CUSTOMER, source: SOURCE, args: { id: 'cus_1', name: 'Grace' }, userCredentials: null, userId: null, inverse });
+
+    expect(result.response_status).toBe(200);
+    expect(result.undo).toBeUndefined();
+    expect(result.undo_unavailable).toMatch(/before/);
+  });
+});
+
+describe('loadUndoTool', () => {
+  const DELETE_CUSTOMER = { id: 'tool_delete', name: 'Delete customer', method: 'DELETE', path: '/customers/{id}' };
+
+  // tools rows by id; the inverse lookup (`.or(...)`) answers with `inverseTool`
+  function fakeSupabase({ inverse, inverseTool }) {
+    return {
+      from: () => {
+        let byName = false;
+        const query: any = {
+          select: () => query,
+          eq: () => query,
+          or: () => { byName = true; return query; },
+          limit: async () => ({ data: byName && inverseTool ? [inverseTool] : [], error: null }),
+          maybeSingle: async () => ({ data: { id: 'tool_create', source_id: 'src_1', inverse }, error: null }),
+        };
+        return query;
+      },
+    };
+  }
+  const action = { tool_id: 'tool_create', tool_name: 'Create customer', undo: { tool_id: 'tool_delete', args: { id: '[REDACTED]' } } };
+
+  it("runs the tool the original tool's inverse names now", async () => {
+    const supabase = fakeSupabase({ inverse: { tool: 'deleteCustomer', args: { id: '{{response.id}}' } }, inverseTool: DELETE_CUSTOMER });
+    const { tool, error } = await loadUndoTool(supabase, action);
+    expect(error).toBeNull();
+    expect(tool).toMatchObject({ id: 'tool_delete', method: 'DELETE' });
+  });
+
+  it('refuses an undo whose tool is not the declared inverse', async () => {
+    const supabase = fakeSupabase({ inverse: { tool: 'deleteCustomer' }, inverseTool: DELETE_CUSTOMER });
+    const edited = { ...action, undo: { tool_id: 'tool_delete_all', args: {} } };
+    expect((await loadUndoTool(supabase, edited)).error).toMatch(/has changed/);
+    expect((await loadUndoTool(fakeSupabase({ inverse: null, inverseTool: null }), action)).error).toMatch(/can no longer be undone/);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Unit tests for LLM usage and cost: the price table, recording usage,
+ * dashboard rollups and budget alerts.
+ *
+ * Run with: yarn test tests/unit/usage.test.ts
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  MODEL_PRICES,
+  getModelPrice,
+  normalizeUsage,
+  estimateCost,
+  formatCost,
+  usageDay,
+  recordLlmUsage,
+  summarizeUsage,
+  validateUsageBudget,
+  usageAlerts,
+} from '@/lib/usage';
+import { getProviders, getModelsForProvider } from '@/lib/ai';
+import { saveConversation } from '@/lib/chat/persistence';
+
+// 10:00 UTC on 2026-10-19
+const NOW = Date.UTC(2026, 9, 19, 10, 0, 0);
+
+function row(overrides = {}) {
+  return {
+    day: '2026-10-19',
+    agent_id: 'a1',
+    user_id: 'u1',
+    origin: 'chat',
+    provider: 'openai',
+    model: 'gpt-5',
+    requests: 1,
+    input_tokens: 800,
+    output_tokens: 200,
+    total_tokens: 1000,
+    cost_usd: '0.003',
+    ...overrides,
+  };
+}
+
+describe('pricing', () => {
+  it('has a price for every model the settings offer', () => {
+    for (const provider of getProviders()) {
+      for (const model of getModelsForProvider(provider.id)) {
+        expect(getModelPrice(provider.id, model.id), `${provider.id}/${model.id}`).not.toBeNull();
+      }
+    }
+    expect(Object.keys(MODEL_PRICES)).not.toContain('ollama');
+  });
+
+  it('prices input and output tokens per million', () => {
+    expect(estimateCost('openai', 'gpt-5', { inputTokens: 1_000_000, outputTokens: 100_000 })).toBe(2.25);
+    expect(estimateCost('anthropic', 'claude-sonnet-4-20250514', { inputTokens: 1200, outputTokens: 300 })).toBe(0.0081);
+    expect(estimateCost('ollama', 'llama4', { inputTokens: 5000, outputTokens: 5000 })).toBe(0);
+    expect(estimateCost('openai', 'gpt-4-custom', { inputTokens: 1000, outputTokens: 10 })).toBeNull();
+  });
+
+  it('reads AI SDK usage, with missing counts as zero', () => {
+    expect(normalizeUsage({ inputTokens: 10, outputTokens: 5, totalTokens: 17 }))
+      .toEqual({ input_tokens: 10, output_tokens: 5, total_tokens: 17 });
+    expect(normalizeUsage({ inputTokens: 10, outputTokens: undefined }))
+      .toEqual({ input_tokens: 10, output_tokens: 0, total_tokens: 10 });
+    expect(normalizeUsage(null)).toEqual({ input_tokens: 0, output_tokens: 0, total_tokens: 0 });
+  });
+
+  it('formats costs', () => {
+    expect(formatCost(null)).toBe('—');
+    expect(formatCost(0)).toBe('$0.00');
+    expect(formatCost(0.0031)).toBe('$0.0031');
+    expect(formatCost(1234.5)).toBe('$1,234.50');
+  });
+});
+
+describe('recordLlmUsage', () => {
+  it('adds the response to the daily rollup', async () => {
+    const rpc = vi.fn(async () => ({ error: null }));
+    const recorded = await recordLlmUsage({ rpc }, {
+      orgId: 'org_1',
+      agentId: 'a1',
+      userId: null,
+      origin: 'embed',
+      provider: 'google',
+      model: 'gemini-3-flash',
+      usage: { inputTokens: 2000, outputTokens: 1000, totalTokens: 3000 },
+    }, NOW);
+
+    expect(recorded).toEqual({ total_tokens: 3000, cost_usd: 0.004 });
+    expect(rpc).toHaveBeenCalledWith('record_llm_usage', {
+      p_org_id: 'org_1',
+      p_agent_id: 'a1',
+      p_user_id: null,
+      p_origin: 'embed',
+      p_provider: 'google',
+      p_model: 'gemini-3-flash',
+      p_input_tokens: 2000,
+      p_output_tokens: 1000,
+      p_total_tokens: 3000,
+      p_cost_usd: 0.004,
+      p_day: '2026-10-19',
+    });
+  });
+
+  it('skips empty usage and does not throw when the insert fails', async () => {
+    const rpc = vi.fn(async () => ({ error: { message: 'permission denied' } }));
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const params = { orgId: 'org_1', agentId: 'a1', userId: 'u1', origin: 'chat', provider: 'openai', model: 'gpt-5' };
+
+    expect(await recordLlmUsage({ rpc }, { ...params, usage: undefined }, NOW)).toBeNull();
+    expect(rpc).not.toHaveBeenCalled();
+    expect(await recordLlmUsage({ rpc }, { ...params, usage: { totalTokens: 10 } }, NOW)).toBeNull();
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('saveConversation', () => {
+  it('stores the cost with the assistant message', async () => {
+    const inserts = [];
+    const supabase = {
+      from: () => ({
+        insert: (values) => {
+          inserts.push(values);
+          return { select: () => ({ single: async () => ({ data: { id: 'm1' }, error: null }) }) };
+        },
+      }),
+    };
+
+    await saveConversation(supabase, {
+      chatId: 'c1',
+      messages: [{ role: 'user', parts: [{ type: 'text', text: 'hi' }] }],
+      text: 'Hello',
+      steps: [],
+      usage: { inputTokens: 1000, outputTokens: 100, totalTokens: 1100 },
+      agent: { model_provider: 'openai', model_name: 'gpt-5-mini' },
+    });
+
+    expect(inserts.find((m) => m.role === 'assistant').metadata).toEqual({
+      usage: { inputTokens: 1000, outputTokens: 100, totalTokens: 1100 },
+      cost_usd: 0.00045,
+      model: 'gpt-5-mini',
+      provider: 'openai',
+    });
+  });
+});
+
+describe('summarizeUsage', () => {
+  it('rolls usage up per day, agent, user and model', () => {
+    const rows = [
+      row(),
+      row({ user_id: 'u2', requests: 2, total_tokens: 3000, input_tokens: 2500, output_tokens: 500, cost_usd: '0.01' }),
+      row({ day: '2026-10-17', agent_id: 'a2', user_id: null, origin: 'embed', provider: 'ollama', model: 'llama4', cost_usd: '0' }),
+      row({ day: '2026-10-01' }), // outside a 7-day range
+    ];
+    const summary = summarizeUsage(rows, { days: 7, now: NOW });
+
+    expect(summary.totals).toEqual({ requests: 4, input_tokens: 4100, output_tokens: 900, total_tokens: 5000, cost_usd: 0.013 });
+    expect(summary.daily).toHaveLength(7);
+    expect(summary.daily[0].day).toBe('2026-10-13');
+    expect(summary.daily[4]).toMatchObject({ day: '2026-10-17', total_tokens: 1000 });
+    expect(summary.daily[6]).toMatchObject({ day: '2026-10-19', total_tokens: 4000, cost_usd: 0.013 });
+    expect(summary.daily[5].total_tokens).toBe(0);
+
+    expect(summary.agents.map((a) => [a.agent_id, a.total_tokens])).toEqual([['a1', 4000], ['a2', 1000]]);
+    expect(summary.users.map((u) => [u.user_id, u.origin, u.cost_usd])).toEqual([
+      ['u2', 'chat', 0.01],
+      ['u1', 'chat', 0.003],
+      [null, 'embed', 0],
+    ]);
+    expect(summary.models.map((m) => `${m.provider}:${m.model}`)).toEqual(['openai:gpt-5', 'ollama:llama4']);
+  });
+
+  it('uses UTC days', () => {
+    expect(usageDay(Date.UTC(2026, 9, 19, 23, 59))).toBe('2026-10-19');
+    expect(usageDay(Date.UTC(2026, 9, 20, 0, 1))).toBe('2026-10-20');
+  });
+});
+
+describe('budgets', () => {
+  it('validates the monthly budget', () => {
+    expect(validateUsageBudget({ monthly_usd: 250, alert_percent: 90 })).toEqual({ budget: { monthly_usd: 250, alert_percent: 90 }, error: null });
+    expect(validateUsageBudget({ monthly_usd: 19.999 })).toEqual({ budget: { monthly_usd: 20 }, error: null });
+    expect(validateUsageBudget(null)).toEqual({ budget: null, error: null });
+    expect(validateUsageBudget({ monthly_usd: -5 }).error).toMatch(/monthly_usd must be a number/);
+    expect(validateUsageBudget({ monthly_usd: 10, alert_percent: 150 }).error).toMatch(/alert_percent must be an integer/);
+    expect(validateUsageBudget({ monthly: 10 }).error).toBe('Unknown usage_budget setting: monthly');
+  });
+
+  it('warns near the monthly budget and daily token budgets', () => {
+    const rows = [
+      row({ day: '2026-10-02', cost_usd: '70' }),
+      row({ day: '2026-09-30', cost_usd: '500' }), // last month
+      row({ total_tokens: 4500, cost_usd: '12' }),
+    ];
+    const agents = [
+      { id: 'a1', name: 'Support', settings: { rate_limits: { tokens_per_day: 4000 } } },
+      { id: 'a2', name: 'Sales', settings: {} },
+    ];
+    const alerts = usageAlerts({ rows, budget: { monthly_usd: 100 }, orgLimits: { tokens_per_day: 10000 }, agents }, NOW);
+
+    expect(alerts).toEqual([
+      expect.objectContaining({ kind: 'monthly_cost', level: 'warning', used: 82, limit: 100, percent: 82, message: '$82.00 of the $100.00 monthly LLM budget spent' }),
+      expect.objectContaining({ kind: 'tokens_per_day', scope: 'agent', agent_id: 'a1', level: 'exceeded', percent: 112, message: 'Support has used 4,500 of its 4,000 daily LLM tokens' }),
+    ]);
+
+    expect(usageAlerts({ rows, budget: { monthly_usd: 100, alert_percent: 90 }, orgLimits: null, agents: [] }, NOW)).toEqual([]);
+    expect(usageAlerts({ rows, budget: null, orgLimits: { tokens_per_day: 5000 }, agents: [] }, NOW)).toEqual([
+      expect.objectContaining({ kind: 'tokens_per_day', scope: 'org', level: 'warning', percent: 90 }),
+    ]);
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Unit tests for outbound webhooks: signatures, the retry schedule, endpoint
+ * URLs (no private or reserved addresses), and the deliveries written and
+ * attempted when an event is emitted.
+ *
+ * Run with: yarn test tests/unit/webhooks.test.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  signPayload,
+  verifySignature,
+  generateWebhookSecret,
+  secretPreview,
+  SIGNATURE_HEADER,
+  RETRY_DELAYS_SECONDS,
+  MAX_ATTEMPTS,
+  nextAttemptAt,
+  validateWebhookUrl,
+  checkWebhookUrl,
+  validateWebhookEvents,
+  isReservedAddress,
+  setWebhookResolver,
+  setWebhookStore,
+  emitWebhookEvent,
+  attemptDelivery,
+} from '@/lib/webhooks';
+
+const SECRET = 'whsec_test_secret';
+
+const ENDPOINTS = [
+  { id: 'ep_1', org_id: 'org_1', url: 'https://hooks.example.com/a', secret: SECRET, events: ['action.failed', 'action.completed'] },
+  { id: 'ep_2', org_id: 'org_1', url: 'https://hooks.example.com/b', secret: SECRET, events: ['routine.failed'] },
+];
+
+/**
+ * Minimal stand-in for the Supabase query builder: endpoint reads return
+ * ENDPOINTS, inserts echo rows back with ids, writes are recorded.
+ */
+function fakeStore(endpoints = ENDPOINTS) {
+  const writes = [];
+  let nextId = 1;
+  return {
+    writes,
+    from(table) {
+      let op = 'select';
+      let payload = null;
+      const builder = {
+        select: () => builder,
+        eq: () => builder,
+        insert: (rows) => {
+          op = 'insert';
+          payload = rows.map(row => ({ id: `dlv_${nextId++}`, ...row }));
+          writes.push({ table, op, payload });
+          return builder;
+        },
+        update: (values) => {
+          op = 'update';
+          payload = values;
+          writes.push({ table, op, payload });
+          return builder;
+        },
+        then: (resolve) => resolve({
+          data: op === 'insert' ? payload : op === 'select' ? endpoints : null,
+          error: null,
+        }),
+      };
+      return builder;
+    },
+  };
+}
+
+// Endpoint hosts resolve to a public address unless a test says otherwise
+beforeEach(() => {
+  setWebhookResolver(async () => [{ address: '93.184.216.34', family: 4 }]);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('signatures', () => {
+  it('round-trips a signed payload', () => {
+    const body = JSON.stringify({ type: 'action.failed' });
+    const header = signPayload(SECRET, body, 1700000000);
+    expect(header).toMatch(/^t=1700000000,v1=[0-9a-f]{64}$/);
+    expect(verifySignature(SECRET, body, header, { now: 1700000010 })).toBe(true);
+  });
+
+  it('rejects a tampered body, wrong secret or stale timestamp', () => {
+    const body = '{"a":1}';
+    const header = signPayload(SECRET, body, 1700000000);
+    expect(verifySignature(SECRET, '{"a":2}', header, { now: 1700000000 })).toBe(false);
+    expect(verifySignature('whsec_other', body, header, { now: 1700000000 })).toBe(false);
+    expect(verifySignature(SECRET, body, header, { now: 1700000000 + 301 })).toBe(false);
+    expect(verifySignature(SECRET, body, 'garbage', { now: 1700000000 })).toBe(false);
+  });
+
+  it('generates prefixed secrets and short previews', () => {
+    const secret = generateWebhookSecret();
+    expect(secret).toMatch(/^whsec_[A-Za-z0-9_-]{43}$/);
+    expect(secretPreview(secret)).toBe(`${secret.slice(0, 10)}…`);
+  });
+});
+
+describe('retry schedule', () => {
+  it('backs off after each failed attempt and stops after the last', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    expect(nextAttemptAt(1, now)).toBe('2026-01-01T00:01:00.000Z');
+    expect(nextAttemptAt(2, now)).toBe('2026-01-01T00:05:00.000Z');
+    expect(nextAttemptAt(RETRY_DELAYS_SECONDS.length, now)).toBe('2026-01-01T12:00:00.000Z');
+    expect(nextAttemptAt(MAX_ATTEMPTS, now)).toBeNull();
+  });
+});
+
+describe('validation', () => {
+  it('accepts http(s) URLs without credentials', () => {
+    expect(validateWebhookUrl('https://hooks.example.com/x')).toBeNull();
+    expect(validateWebhookUrl('ftp://hooks.example.com')).toMatch(/https/);
+    expect(validateWebhookUrl('https://user:pw@hooks.example.com')).toMatch(/credentials/);
+    expect(validateWebhookUrl('not a url')).toMatch(/valid URL/);
+  });
+
+  it('refuses private and reserved IP literals', () => {
+    for (const url of [
+      'http://127.0.0.1/x',
+      'http://localhost:8080/x',
+      'http://169.254.169.254/latest/meta-data',
+      'https://10.1.2.3/x',
+      'https://172.20.0.1/x',
+      'https://192.168.1.1/x',
+      'https://[::1]/x',
+      'https://[::ffff:127.0.0.1]/x',
+      'https://[fd00::1]/x',
+      'http://2130706433/x',
+    ]) {
+      expect(validateWebhookUrl(url), url).toMatch(/private or reserved/);
+    }
+    expect(validateWebhookUrl('https://93.184.216.34/x')).toBeNull();
+  });
+
+  it('classifies addresses', () => {
+    expect(isReservedAddress('100.64.0.1')).toBe(true);
+    expect(isReservedAddress('fe80::1')).toBe(true);
+    expect(isReservedAddress('8.8.8.8')).toBe(false);
+    expect(isReservedAddress('2606:4700::1111')).toBe(false);
+    expect(isReservedAddress('not an ip')).toBe(true);
+  });
+
+  it('refuses hosts that resolve to a private address', async () => {
+    setWebhookResolver(async (host) => host === 'internal.example.com'
+      ? [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]
+      : [{ address: '93.184.216.34', family: 4 }]);
+
+    expect(await checkWebhookUrl('https://internal.example.com/x')).toMatch(/private or reserved/);
+    expect(await checkWebhookUrl('https://hooks.example.com/x')).toBeNull();
+    expect(await checkWebhookUrl('ftp://hooks.example.com')).toMatch(/https/);
+  });
+
+  it('refuses hosts that do not resolve', async () => {
+    setWebhookResolver(async () => { throw new Error('ENOTFOUND'); });
+
+    expect(await checkWebhookUrl('https://nowhere.example.com/x')).toMatch(/could not be resolved/);
+  });
+
+  it('requires known events', () => {
+    expect(validateWebhookEvents(['action.failed'])).toBeNull();
+    expect(validateWebhookEvents([])).toMatch(/non-empty/);
+    expect(validateWebhookEvents(['action.exploded'])).toMatch(/Unknown event/);
+  });
+});
+
+describe('emitWebhookEvent', () => {
+  it('delivers only to endpoints subscribed to the event, signed', async () => {
+    const store = fakeStore();
+    setWebhookStore(store);
+    const fetchMock = vi.fn(async () => new Response('ok', { status: 200 }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const results = await emitWebhookEvent('org_1', 'action.failed', { id: 'act_1', status: 'failed' }, { wait: true });
+
+    const insert = store.writes.find(w => w.op === 'insert');
+    expect(insert.payload).toHaveLength(1);
+    expect(insert.payload[0]).toMatchObject({ endpoint_id: 'ep_1', event: 'action.failed', status: 'pending', attempts: 0 });
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const [url, init] = fetchMock.mock.calls[0] as any;
+    expect(url).toBe('https://hooks.example.com/a');
+    expect(JSON.parse(init.body)).toMatchObject({ type: 'action.failed', org_id: 'org_1', data: { id: 'act_1' } });
+    expect(verifySignature(SECRET, init.body, init.headers[SIGNATURE_HEADER])).toBe(true);
+
+    expect(results[0]).toMatchObject({ status: 'succeeded', attempts: 1, response_status: 200 });
+  });
+
+  it('does nothing without an org or subscribed endpoints', async () => {
+    const store = fakeStore();
+    setWebhookStore(store);
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    expect(await emitWebhookEvent(null, 'action.failed', {}, { wait: true })).toEqual([]);
+    expect(await emitWebhookEvent('org_1', 'source.sync_failed', {}, { wait: true })).toEqual([]);
+    expect(store.writes).toEqual([]);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe('attemptDelivery', () => {
+  const delivery = { id: 'dlv_1', org_id: 'org_1', event: 'action.failed', payload: { id: 'evt_1' }, attempts: 0 };
+
+  it('does not send to a host re-pointed at a private address', async () => {
+    setWebhookStore(fakeStore());
+    setWebhookResolver(async () => [{ address: '169.254.169.254', family: 4 }]);
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await attemptDelivery(delivery, ENDPOINTS[0]);
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ status: 'retrying', error_message: 'url must not point to a private or reserved address' });
+  });
+
+  it('schedules a retry on a non-2xx response', async () => {
+    setWebhookStore(fakeStore());
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('boom', { status: 503 })));
+
+    const result = await attemptDelivery(delivery, ENDPOINTS[0]);
+    expect(result).toMatchObject({ status: 'retrying', attempts: 1, response_status: 503, error_message: 'HTTP 503', response_body: 'boom' });
+    expect(result.next_attempt_at).not.toBeNull();
+  });
+
+  it('fails for good after the last attempt', async () => {
+    setWebhookStore(fakeStore());
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new Error('ECONNREFUSED'); }));
+
+    const result = await attemptDelivery({ ...delivery, attempts: MAX_ATTEMPTS - 1 }, ENDPOINTS[0]);
+    expect(result).toMatchObject({ status: 'failed', attempts: MAX_ATTEMPTS, error_message: 'ECONNREFUSED', next_attempt_at: null });
+  });
+});